@@ -11,27 +11,33 @@ const config = require('../../../config');
 const logger = new Logger('ControlController');
 
 /**
- * Move the tractor with specified speed and direction
+ * Move the tractor with specified speed and direction, or with linear (v, m/s)
+ * and angular (omega, rad/s counter-clockwise) velocity. A negative speed reverses.
  */
 const move = async (req, res) => {
   try {
     // Validate request body
-    const { speed, direction } = req.body;
+    const { speed, direction, v, omega } = req.body;
+    const isVelocity = v !== undefined || omega !== undefined;
     
-    if (typeof speed !== 'number' || typeof direction !== 'number') {
+    if (isVelocity ?
+      (!Number.isFinite(v) || !Number.isFinite(omega)) :
+      (typeof speed !== 'number' || typeof direction !== 'number')) {
       return res.status(400).json({ 
         error: 'Invalid parameters', 
-        message: 'Speed and direction must be numbers' 
+        message: isVelocity ? 'v and omega must be numbers' : 'Speed and direction must be numbers' 
       });
     }
     
-    // Apply safety limits
-    const safeSpeed = Math.min(Math.max(speed, 0), config.motors.maxSpeed);
+    // Apply safety limits in either direction
+    const maxSpeed = config.motors.maxSpeed;
+    const params = isVelocity ?
+      { v: Math.min(Math.max(v, -maxSpeed), maxSpeed), omega: omega } :
+      { speed: Math.min(Math.max(speed, -maxSpeed), maxSpeed), direction: direction };
     
     // Create command data
     const commandData = {
-      speed: safeSpeed,
-      direction: direction,
+      ...params,
       timestamp: Date.now(),
       source: 'api',
       clientId: req.ip,
@@ -42,15 +48,12 @@ const move = async (req, res) => {
     eventBus.publish('command.move', commandData);
     eventBus.publish('command.move.redundant', commandData);
     
-    logger.info(`API MOVE command: speed=${safeSpeed}, direction=${direction} from ${req.ip}`);
+    logger.info(`API MOVE command: ${isVelocity ? `v=${params.v}, omega=${omega}` : `speed=${params.speed}, direction=${direction}`} from ${req.ip}`);
     
     res.json({
       success: true,
       command: 'move',
-      params: {
-        speed: safeSpeed,
-        direction: direction
-      },
+      params: params,
       timestamp: Date.now(),
       commandId: commandData.commandId
     });
@@ -0,0 +1,129 @@
+/**
+ * Sevak Mini Tractor - Fields Controller
+ *
+ * Handles API endpoints related to the field and route library.
+ */
+
+const eventBus = require('../../../utils/eventBus');
+const Logger = require('../../../utils/logger');
+
+const logger = new Logger('FieldsController');
+
+// HTTP status for each field library error code
+const ERROR_STATUS = {
+  invalid: 400,
+  notFound: 404,
+  conflict: 409
+};
+
+/**
+ * Send a field library result
+ */
+function sendResult(res, result, successStatus = 200) {
+  if (result.success) {
+    return res.status(successStatus).json(result);
+  }
+
+  const status = ERROR_STATUS[result.code] || 500;
+  const error = result.code === 'invalid' ? 'Invalid parameters' : 'Field library request failed';
+
+  res.status(status).json({ error: error, message: result.error });
+}
+
+/**
+ * Create the CRUD and load handlers for one kind of record ('field' or 'route')
+ */
+function libraryHandlers(kind) {
+  const plural = `${kind}s`;
+
+  return {
+    list: async (req, res) => {
+      try {
+        const records = await eventBus.request(`${kind}.list`, {}, 1000);
+        res.json(records);
+      } catch (error) {
+        logger.error(`Failed to list ${plural}: ${error.message}`);
+        res.status(500).json({ error: `Failed to list ${plural}`, message: error.message });
+      }
+    },
+
+    get: async (req, res) => {
+      try {
+        const result = await eventBus.request(`${kind}.get`, { id: req.params.id }, 1000);
+        sendResult(res, result);
+      } catch (error) {
+        logger.error(`Failed to get ${kind}: ${error.message}`);
+        res.status(500).json({ error: `Failed to get ${kind}`, message: error.message });
+      }
+    },
+
+    create: async (req, res) => {
+      try {
+        const result = await eventBus.request(`${kind}.create`, { [kind]: req.body }, 1000);
+
+        if (result.success) {
+          logger.info(`API ${kind} created: ${result[kind].id} from ${req.ip}`);
+        }
+
+        sendResult(res, result, 201);
+      } catch (error) {
+        logger.error(`Failed to create ${kind}: ${error.message}`);
+        res.status(500).json({ error: `Failed to create ${kind}`, message: error.message });
+      }
+    },
+
+    update: async (req, res) => {
+      try {
+        const result = await eventBus.request(`${kind}.update`, { id: req.params.id, [kind]: req.body }, 1000);
+        sendResult(res, result);
+      } catch (error) {
+        logger.error(`Failed to update ${kind}: ${error.message}`);
+        res.status(500).json({ error: `Failed to update ${kind}`, message: error.message });
+      }
+    },
+
+    delete: async (req, res) => {
+      try {
+        const result = await eventBus.request(`${kind}.delete`, { id: req.params.id }, 1000);
+        sendResult(res, result);
+      } catch (error) {
+        logger.error(`Failed to delete ${kind}: ${error.message}`);
+        res.status(500).json({ error: `Failed to delete ${kind}`, message: error.message });
+      }
+    },
+
+    load: async (req, res) => {
+      try {
+        // Loading a field reads its occupancy map from disk
+        const result = await eventBus.request(`${kind}.load`, { id: req.params.id }, 5000);
+
+        if (result.success) {
+          logger.info(`API ${kind} loaded: ${req.params.id} from ${req.ip}`);
+        }
+
+        sendResult(res, result);
+      } catch (error) {
+        logger.error(`Failed to load ${kind}: ${error.message}`);
+        res.status(500).json({ error: `Failed to load ${kind}`, message: error.message });
+      }
+    }
+  };
+}
+
+const fields = libraryHandlers('field');
+const routes = libraryHandlers('route');
+
+module.exports = {
+  listFields: fields.list,
+  getField: fields.get,
+  createField: fields.create,
+  updateField: fields.update,
+  deleteField: fields.delete,
+  loadField: fields.load,
+  listRoutes: routes.list,
+  getRoute: routes.get,
+  createRoute: routes.create,
+  updateRoute: routes.update,
+  deleteRoute: routes.delete,
+  loadRoute: routes.load
+};
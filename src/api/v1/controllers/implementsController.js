@@ -0,0 +1,120 @@
+/**
+ * Sevak Mini Tractor - Implements Controller
+ * 
+ * Handles API endpoints related to the fodder implements.
+ */
+
+const eventBus = require('../../../utils/eventBus');
+const Logger = require('../../../utils/logger');
+const config = require('../../../config');
+
+const logger = new Logger('ImplementsController');
+
+const CUTTER_ACTIONS = ['start', 'stop', 'adjust', 'clearJam'];
+
+/**
+ * Get cutter status
+ */
+const getCutterStatus = async (req, res) => {
+  try {
+    const cutterStatus = await eventBus.request('implement.cutter.getStatus', {}, 1000);
+    res.json(cutterStatus);
+  } catch (error) {
+    logger.error(`Failed to get cutter status: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get cutter status', message: error.message });
+  }
+};
+
+/**
+ * Get loader status
+ */
+const getLoaderStatus = async (req, res) => {
+  try {
+    const loaderStatus = await eventBus.request('implement.loader.getStatus', {}, 1000);
+    res.json(loaderStatus);
+  } catch (error) {
+    logger.error(`Failed to get loader status: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get loader status', message: error.message });
+  }
+};
+
+/**
+ * Control the cutting mechanism
+ */
+const controlCutter = async (req, res) => {
+  try {
+    // Validate request body
+    const { action, height, speed } = req.body;
+    const cutterConfig = config.implements?.cutter || {};
+    const minHeight = cutterConfig.minHeight || 5;
+    const maxHeight = cutterConfig.maxHeight || 30;
+    const minBladeSpeed = cutterConfig.minBladeSpeed || 2000;
+    const maxBladeSpeed = cutterConfig.maxBladeSpeed || 3000;
+    
+    if (!CUTTER_ACTIONS.includes(action)) {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: `Action must be one of: ${CUTTER_ACTIONS.join(', ')}` 
+      });
+    }
+    
+    if (height !== undefined && (typeof height !== 'number' || height < minHeight || height > maxHeight)) {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: `Height must be a number between ${minHeight} and ${maxHeight} cm` 
+      });
+    }
+    
+    if (speed !== undefined && (typeof speed !== 'number' || speed < minBladeSpeed || speed > maxBladeSpeed)) {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: `Speed must be a number between ${minBladeSpeed} and ${maxBladeSpeed} RPM` 
+      });
+    }
+    
+    // Create command data
+    const commandData = {
+      action: action,
+      height: height,
+      speed: speed,
+      timestamp: Date.now(),
+      source: 'api',
+      clientId: req.ip,
+      commandId: generateCommandId()
+    };
+    
+    // Publish cutter command event with redundancy
+    eventBus.publish('command.cutter', commandData);
+    eventBus.publish('command.cutter.redundant', commandData);
+    
+    logger.info(`API CUTTER command: action=${action} from ${req.ip}`);
+    
+    res.json({
+      success: true,
+      command: 'cutter',
+      params: {
+        action: action,
+        height: height,
+        speed: speed
+      },
+      timestamp: Date.now(),
+      commandId: commandData.commandId
+    });
+  } catch (error) {
+    logger.error(`Failed to execute cutter command: ${error.message}`);
+    res.status(500).json({ error: 'Failed to execute cutter command', message: error.message });
+  }
+};
+
+/**
+ * Generate a unique command ID
+ */
+function generateCommandId() {
+  return require('crypto').randomBytes(16).toString('hex');
+}
+
+module.exports = {
+  getCutterStatus,
+  getLoaderStatus,
+  controlCutter
+};
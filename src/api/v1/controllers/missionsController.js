@@ -0,0 +1,131 @@
+/**
+ * Sevak Mini Tractor - Missions Controller
+ *
+ * Handles API endpoints related to missions.
+ */
+
+const eventBus = require('../../../utils/eventBus');
+const Logger = require('../../../utils/logger');
+
+const logger = new Logger('MissionsController');
+
+// HTTP status for each mission manager error code
+const ERROR_STATUS = {
+  invalid: 400,
+  notFound: 404,
+  conflict: 409
+};
+
+/**
+ * Send a mission manager result
+ */
+function sendResult(res, result, successStatus = 200) {
+  if (result.success) {
+    return res.status(successStatus).json(result);
+  }
+
+  const status = ERROR_STATUS[result.code] || 500;
+  const error = result.code === 'invalid' ? 'Invalid parameters' : 'Mission request failed';
+
+  res.status(status).json({ error: error, message: result.error });
+}
+
+/**
+ * List missions
+ */
+const listMissions = async (req, res) => {
+  try {
+    const missions = await eventBus.request('mission.list', {}, 1000);
+    res.json(missions);
+  } catch (error) {
+    logger.error(`Failed to list missions: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list missions', message: error.message });
+  }
+};
+
+/**
+ * Get a mission
+ */
+const getMission = async (req, res) => {
+  try {
+    const result = await eventBus.request('mission.get', { id: req.params.id }, 1000);
+    sendResult(res, result);
+  } catch (error) {
+    logger.error(`Failed to get mission: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get mission', message: error.message });
+  }
+};
+
+/**
+ * Create a mission
+ */
+const createMission = async (req, res) => {
+  try {
+    const result = await eventBus.request('mission.create', { mission: req.body }, 1000);
+
+    if (result.success) {
+      logger.info(`API mission created: ${result.mission.id} from ${req.ip}`);
+    }
+
+    sendResult(res, result, 201);
+  } catch (error) {
+    logger.error(`Failed to create mission: ${error.message}`);
+    res.status(500).json({ error: 'Failed to create mission', message: error.message });
+  }
+};
+
+/**
+ * Update a mission
+ */
+const updateMission = async (req, res) => {
+  try {
+    const result = await eventBus.request('mission.update', { id: req.params.id, mission: req.body }, 1000);
+    sendResult(res, result);
+  } catch (error) {
+    logger.error(`Failed to update mission: ${error.message}`);
+    res.status(500).json({ error: 'Failed to update mission', message: error.message });
+  }
+};
+
+/**
+ * Delete a mission
+ */
+const deleteMission = async (req, res) => {
+  try {
+    const result = await eventBus.request('mission.delete', { id: req.params.id }, 1000);
+    sendResult(res, result);
+  } catch (error) {
+    logger.error(`Failed to delete mission: ${error.message}`);
+    res.status(500).json({ error: 'Failed to delete mission', message: error.message });
+  }
+};
+
+/**
+ * Create a handler that runs a mission action (start, pause, resume, abort)
+ */
+function missionAction(action) {
+  return async (req, res) => {
+    try {
+      const result = await eventBus.request(`mission.${action}`, { id: req.params.id }, 1000);
+
+      logger.info(`API mission ${action}: ${req.params.id} from ${req.ip}`);
+
+      sendResult(res, result);
+    } catch (error) {
+      logger.error(`Failed to ${action} mission: ${error.message}`);
+      res.status(500).json({ error: `Failed to ${action} mission`, message: error.message });
+    }
+  };
+}
+
+module.exports = {
+  listMissions,
+  getMission,
+  createMission,
+  updateMission,
+  deleteMission,
+  startMission: missionAction('start'),
+  pauseMission: missionAction('pause'),
+  resumeMission: missionAction('resume'),
+  abortMission: missionAction('abort')
+};
@@ -7,9 +7,18 @@
 const eventBus = require('../../../utils/eventBus');
 const Logger = require('../../../utils/logger');
 const config = require('../../../config');
+const { isValidPoint } = require('../../../utils/geodesy');
 
 const logger = new Logger('NavigationController');
 
+/**
+ * Check optional keep-out zones (an array of polygons with at least 3 valid points each)
+ */
+function isValidKeepOutZones(zones) {
+  return zones === undefined ||
+    (Array.isArray(zones) && zones.every(zone => Array.isArray(zone) && zone.length >= 3 && zone.every(isValidPoint)));
+}
+
 /**
  * Get navigation status
  */
@@ -40,10 +49,10 @@ const setWaypoints = async (req, res) => {
     
     // Validate each waypoint
     for (const waypoint of waypoints) {
-      if (typeof waypoint.x !== 'number' || typeof waypoint.y !== 'number') {
+      if (!isValidPoint(waypoint)) {
         return res.status(400).json({ 
           error: 'Invalid parameters', 
-          message: 'Each waypoint must have numeric x and y coordinates' 
+          message: 'Each waypoint must have numeric x and y coordinates or a valid latitude and longitude' 
         });
       }
     }
@@ -136,13 +145,107 @@ const stopNavigation = async (req, res) => {
   }
 };
 
+/**
+ * Plan and start coverage of the whole field
+ */
+const navigateCoverage = async (req, res) => {
+  try {
+    const { boundary, keepOutZones, swathWidth, overlap, headlandWidth, orientation } = req.body;
+    
+    // Validate boundary (optional - defaults to the current field boundary)
+    if (boundary !== undefined) {
+      if (!Array.isArray(boundary) || boundary.length < 3) {
+        return res.status(400).json({ 
+          error: 'Invalid parameters', 
+          message: 'Boundary must be an array with at least 3 points' 
+        });
+      }
+      
+      for (const point of boundary) {
+        if (!isValidPoint(point)) {
+          return res.status(400).json({ 
+            error: 'Invalid parameters', 
+            message: 'Each boundary point must have numeric x and y coordinates or a valid latitude and longitude' 
+          });
+        }
+      }
+    }
+    
+    if (!isValidKeepOutZones(keepOutZones)) {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: 'Keep-out zones must be an array of polygons with at least 3 valid points each' 
+      });
+    }
+    
+    // Validate coverage parameters
+    if (swathWidth !== undefined && !(typeof swathWidth === 'number' && swathWidth > 0)) {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: 'Swath width must be a positive number' 
+      });
+    }
+    
+    if (overlap !== undefined && !(typeof overlap === 'number' && overlap >= 0 && overlap < 100)) {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: 'Overlap must be a percentage between 0 and 100' 
+      });
+    }
+    
+    if (headlandWidth !== undefined && !(typeof headlandWidth === 'number' && headlandWidth >= 0)) {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: 'Headland width must be a non-negative number' 
+      });
+    }
+    
+    if (orientation !== undefined && orientation !== 'auto' && typeof orientation !== 'number') {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: 'Orientation must be a heading in degrees or "auto"' 
+      });
+    }
+    
+    // Create command data
+    const commandData = {
+      boundary: boundary,
+      keepOutZones: keepOutZones,
+      swathWidth: swathWidth,
+      overlap: overlap,
+      headlandWidth: headlandWidth,
+      orientation: orientation,
+      timestamp: Date.now(),
+      source: 'api',
+      clientId: req.ip,
+      commandId: generateCommandId()
+    };
+    
+    // Publish coverage navigation command event with redundancy
+    eventBus.publish('command.navigateCoverage', commandData);
+    eventBus.publish('command.navigateCoverage.redundant', commandData);
+    
+    logger.info(`API NAVIGATE_COVERAGE command from ${req.ip}`);
+    
+    res.json({
+      success: true,
+      command: 'navigateCoverage',
+      timestamp: Date.now(),
+      commandId: commandData.commandId
+    });
+  } catch (error) {
+    logger.error(`Failed to start coverage navigation: ${error.message}`);
+    res.status(500).json({ error: 'Failed to start coverage navigation', message: error.message });
+  }
+};
+
 /**
  * Set field boundaries
  */
 const setBoundaries = async (req, res) => {
   try {
     // Validate request body
-    const { points } = req.body;
+    const { points, keepOutZones } = req.body;
     
     if (!Array.isArray(points) || points.length < 3) {
       return res.status(400).json({ 
@@ -153,17 +256,25 @@ const setBoundaries = async (req, res) => {
     
     // Validate each point
     for (const point of points) {
-      if (typeof point.x !== 'number' || typeof point.y !== 'number') {
+      if (!isValidPoint(point)) {
         return res.status(400).json({ 
           error: 'Invalid parameters', 
-          message: 'Each boundary point must have numeric x and y coordinates' 
+          message: 'Each boundary point must have numeric x and y coordinates or a valid latitude and longitude' 
         });
       }
     }
     
+    if (!isValidKeepOutZones(keepOutZones)) {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: 'Keep-out zones must be an array of polygons with at least 3 valid points each' 
+      });
+    }
+    
     // Create command data
     const commandData = {
       points: points,
+      keepOutZones: keepOutZones || [],
       timestamp: Date.now(),
       source: 'api',
       clientId: req.ip,
@@ -174,12 +285,13 @@ const setBoundaries = async (req, res) => {
     eventBus.publish('command.setBoundaries', commandData);
     eventBus.publish('command.setBoundaries.redundant', commandData);
     
-    logger.info(`API SET_BOUNDARIES command: ${points.length} points from ${req.ip}`);
+    logger.info(`API SET_BOUNDARIES command: ${points.length} points, ${commandData.keepOutZones.length} keep-out zones from ${req.ip}`);
     
     res.json({
       success: true,
       command: 'setBoundaries',
       pointCount: points.length,
+      keepOutZoneCount: commandData.keepOutZones.length,
       timestamp: Date.now(),
       commandId: commandData.commandId
     });
@@ -202,6 +314,106 @@ const getBoundaries = async (req, res) => {
   }
 };
 
+/**
+ * Get the local frame datum origin
+ */
+const getDatum = async (req, res) => {
+  try {
+    const datum = await eventBus.request('navigation.getDatum', {}, 1000);
+    res.json({ datum: datum });
+  } catch (error) {
+    logger.error(`Failed to get datum: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get datum', message: error.message });
+  }
+};
+
+/**
+ * Set the local frame datum origin
+ */
+const setDatum = async (req, res) => {
+  try {
+    const { latitude, longitude, altitude } = req.body;
+    
+    if (!isValidPoint({ latitude, longitude }) || (altitude !== undefined && typeof altitude !== 'number')) {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: 'Datum must have a valid latitude and longitude and an optional numeric altitude' 
+      });
+    }
+    
+    const result = await eventBus.request('navigation.setDatum', { latitude, longitude, altitude }, 1000);
+    
+    if (!result.success) {
+      return res.status(409).json({ error: 'Failed to set datum', message: result.error });
+    }
+    
+    logger.info(`API datum set to ${latitude}, ${longitude} from ${req.ip}`);
+    
+    res.json(result);
+  } catch (error) {
+    logger.error(`Failed to set datum: ${error.message}`);
+    res.status(500).json({ error: 'Failed to set datum', message: error.message });
+  }
+};
+
+/**
+ * Get the occupancy map as a run-length encoded grid with the obstacles found in it
+ */
+const getMap = async (req, res) => {
+  try {
+    const map = await eventBus.request('navigation.getMap', {}, 1000);
+    res.json(map);
+  } catch (error) {
+    logger.error(`Failed to get map: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get map', message: error.message });
+  }
+};
+
+/**
+ * Open a field's occupancy map, loading its known obstacles
+ */
+const openFieldMap = async (req, res) => {
+  try {
+    const { fieldId } = req.body;
+    
+    if (typeof fieldId !== 'string' || fieldId.length === 0) {
+      return res.status(400).json({ 
+        error: 'Invalid parameters', 
+        message: 'Field ID must be a non-empty string' 
+      });
+    }
+    
+    const result = await eventBus.request('navigation.openFieldMap', { fieldId }, 5000);
+    
+    if (!result.success) {
+      return res.status(400).json({ error: 'Failed to open field map', message: result.error });
+    }
+    
+    logger.info(`API field map opened: ${fieldId} from ${req.ip}`);
+    
+    res.json(result);
+  } catch (error) {
+    logger.error(`Failed to open field map: ${error.message}`);
+    res.status(500).json({ error: 'Failed to open field map', message: error.message });
+  }
+};
+
+/**
+ * Clear the occupancy map, including what is stored for the open field
+ */
+const clearMap = async (req, res) => {
+  try {
+    const result = await eventBus.request('navigation.clearMap', {}, 5000);
+    
+    logger.info(`API map cleared from ${req.ip}`);
+    
+    res.json(result);
+  } catch (error) {
+    logger.error(`Failed to clear map: ${error.message}`);
+    res.status(500).json({ error: 'Failed to clear map', message: error.message });
+  }
+};
+
 /**
  * Generate a unique command ID
  */
@@ -214,6 +426,12 @@ module.exports = {
   setWaypoints,
   startNavigation,
   stopNavigation,
+  navigateCoverage,
   setBoundaries,
-  getBoundaries
+  getBoundaries,
+  getDatum,
+  setDatum,
+  getMap,
+  openFieldMap,
+  clearMap
 };
\ No newline at end of file
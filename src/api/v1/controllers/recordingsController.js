@@ -0,0 +1,151 @@
+/**
+ * Sevak Mini Tractor - Recordings Controller
+ *
+ * Handles API endpoints related to the black box recordings.
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+const eventBus = require('../../../utils/eventBus');
+const Logger = require('../../../utils/logger');
+
+const logger = new Logger('RecordingsController');
+
+// HTTP status for each recorder error code
+const ERROR_STATUS = {
+  invalid: 400,
+  notFound: 404,
+  conflict: 409
+};
+
+/**
+ * Send a recorder or replayer result
+ */
+function sendResult(res, result, successStatus = 200) {
+  if (result.success) {
+    return res.status(successStatus).json(result);
+  }
+
+  const status = ERROR_STATUS[result.code] || 500;
+  const error = result.code === 'invalid' ? 'Invalid parameters' : 'Recording request failed';
+
+  res.status(status).json({ error: error, message: result.error });
+}
+
+/**
+ * List recordings
+ */
+const listRecordings = async (req, res) => {
+  try {
+    const recordings = await eventBus.request('recording.list', {}, 1000);
+    res.json(recordings);
+  } catch (error) {
+    logger.error(`Failed to list recordings: ${error.message}`);
+    res.status(500).json({ error: 'Failed to list recordings', message: error.message });
+  }
+};
+
+/**
+ * Get recorder and replay status
+ */
+const getStatus = async (req, res) => {
+  try {
+    const status = await eventBus.request('recording.getStatus', {}, 1000);
+    res.json(status);
+  } catch (error) {
+    logger.error(`Failed to get recording status: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get recording status', message: error.message });
+  }
+};
+
+/**
+ * Download a recording
+ *
+ * The chunks are gzip files of JSON lines, sent back to back; the result is
+ * itself a valid gzip file of the whole recording.
+ */
+const downloadRecording = async (req, res) => {
+  let result;
+  try {
+    result = await eventBus.request('recording.get', { id: req.params.id }, 5000);
+  } catch (error) {
+    logger.error(`Failed to get recording: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to get recording', message: error.message });
+  }
+
+  if (!result.success) {
+    return sendResult(res, result);
+  }
+
+  const files = result.recording.files.filter(file => file.size > 0);
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/gzip',
+    'Content-Disposition': `attachment; filename="${result.recording.id}.jsonl.gz"`,
+    'Content-Length': files.reduce((sum, file) => sum + file.size, 0)
+  });
+
+  try {
+    for (const file of files) {
+      // Read only what was written when the recording was listed
+      const stream = fs.createReadStream(file.path, { start: 0, end: file.size - 1 });
+
+      for await (const chunk of stream) {
+        if (!res.write(chunk)) {
+          await once(res, 'drain');
+        }
+      }
+    }
+
+    res.end();
+    logger.info(`API recording downloaded: ${result.recording.id} from ${req.ip}`);
+  } catch (error) {
+    // Headers are gone already, all that is left is to cut the response short
+    logger.error(`Failed to send recording ${result.recording.id}: ${error.message}`);
+    res.destroy(error);
+  }
+};
+
+/**
+ * Replay a recording onto the event bus
+ */
+const replayRecording = async (req, res) => {
+  try {
+    const result = await eventBus.request('recording.replay.start', {
+      id: req.params.id,
+      speed: req.body?.speed,
+      topics: req.body?.topics
+    }, 5000);
+
+    if (result.success) {
+      logger.info(`API recording replay started: ${req.params.id} at ${result.replay.speed}x from ${req.ip}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    logger.error(`Failed to replay recording: ${error.message}`);
+    res.status(500).json({ error: 'Failed to replay recording', message: error.message });
+  }
+};
+
+/**
+ * Stop the running replay
+ */
+const stopReplay = async (req, res) => {
+  try {
+    const result = await eventBus.request('recording.replay.stop', {}, 1000);
+    sendResult(res, result);
+  } catch (error) {
+    logger.error(`Failed to stop replay: ${error.message}`);
+    res.status(500).json({ error: 'Failed to stop replay', message: error.message });
+  }
+};
+
+module.exports = {
+  listRecordings,
+  getStatus,
+  downloadRecording,
+  replayRecording,
+  stopReplay
+};
@@ -23,6 +23,32 @@ const getStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get speed zones
+ */
+const getSpeedZones = async (req, res) => {
+  try {
+    const speedZones = await eventBus.request('safety.getSpeedZones', {}, 1000);
+    res.json(speedZones);
+  } catch (error) {
+    logger.error(`Failed to get speed zones: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get speed zones', message: error.message });
+  }
+};
+
+/**
+ * Get the speed governor's envelope
+ */
+const getSpeedGovernor = async (req, res) => {
+  try {
+    const speedGovernor = await eventBus.request('safety.getSpeedGovernor', {}, 1000);
+    res.json(speedGovernor);
+  } catch (error) {
+    logger.error(`Failed to get speed governor: ${error.message}`);
+    res.status(500).json({ error: 'Failed to get speed governor', message: error.message });
+  }
+};
+
 /**
  * Get safety limits
  */
@@ -141,6 +167,8 @@ function generateCommandId() {
 
 module.exports = {
   getStatus,
+  getSpeedZones,
+  getSpeedGovernor,
   getLimits,
   updateLimits
 };
\ No newline at end of file
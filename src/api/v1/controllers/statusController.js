@@ -15,12 +15,15 @@ const logger = new Logger('StatusController');
 const getStatus = async (req, res) => {
   try {
     // Request status from various systems
-    const [navigationStatus, motorStatus, sensorStatus, safetyStatus, monitoringStatus] = await Promise.all([
+    const [navigationStatus, motorStatus, sensorStatus, safetyStatus, monitoringStatus, cutterStatus, loaderStatus, dockingStatus] = await Promise.all([
       eventBus.request('navigation.getStatus', {}, 1000),
       eventBus.request('motor.getStatus', {}, 1000),
       eventBus.request('sensor.getStatus', {}, 1000),
       eventBus.request('safety.getStatus', {}, 1000),
-      eventBus.request('monitoring.getStatus', {}, 1000)
+      eventBus.request('monitoring.getStatus', {}, 1000),
+      eventBus.request('implement.cutter.getStatus', {}, 1000),
+      eventBus.request('implement.loader.getStatus', {}, 1000),
+      eventBus.request('docking.getStatus', {}, 1000)
     ]);
     
     // Prepare status data
@@ -30,6 +33,11 @@ const getStatus = async (req, res) => {
       sensor: sensorStatus,
       safety: safetyStatus,
       monitoring: monitoringStatus,
+      implements: {
+        cutter: cutterStatus,
+        loader: loaderStatus
+      },
+      docking: dockingStatus,
       timestamp: Date.now()
     };
     
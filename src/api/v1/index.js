@@ -12,6 +12,10 @@ const statusController = require('./controllers/statusController');
 const controlController = require('./controllers/controlController');
 const navigationController = require('./controllers/navigationController');
 const sensorsController = require('./controllers/sensorsController');
+const implementsController = require('./controllers/implementsController');
+const missionsController = require('./controllers/missionsController');
+const fieldsController = require('./controllers/fieldsController');
+const recordingsController = require('./controllers/recordingsController');
 const safetyController = require('./controllers/safetyController');
 const monitoringController = require('./controllers/monitoringController');
 const authController = require('./controllers/authController');
@@ -25,13 +29,56 @@ router.post('/control/move', controlController.move);
 router.post('/control/stop', controlController.stop);
 router.post('/control/emergency-stop', controlController.emergencyStop);
 
+// Implement endpoints
+router.get('/implements/cutter', implementsController.getCutterStatus);
+router.get('/implements/loader', implementsController.getLoaderStatus);
+router.post('/control/implements/cutter', implementsController.controlCutter);
+
 // Navigation endpoints
 router.get('/navigation/status', navigationController.getStatus);
 router.post('/navigation/waypoints', navigationController.setWaypoints);
 router.post('/navigation/start', navigationController.startNavigation);
 router.post('/navigation/stop', navigationController.stopNavigation);
+router.post('/navigation/coverage', navigationController.navigateCoverage);
 router.post('/navigation/boundaries', navigationController.setBoundaries);
 router.get('/navigation/boundaries', navigationController.getBoundaries);
+router.get('/navigation/datum', navigationController.getDatum);
+router.put('/navigation/datum', navigationController.setDatum);
+router.get('/navigation/map', navigationController.getMap);
+router.put('/navigation/map', navigationController.openFieldMap);
+router.delete('/navigation/map', navigationController.clearMap);
+
+// Mission endpoints
+router.get('/missions', missionsController.listMissions);
+router.post('/missions', missionsController.createMission);
+router.get('/missions/:id', missionsController.getMission);
+router.put('/missions/:id', missionsController.updateMission);
+router.delete('/missions/:id', missionsController.deleteMission);
+router.post('/missions/:id/start', missionsController.startMission);
+router.post('/missions/:id/pause', missionsController.pauseMission);
+router.post('/missions/:id/resume', missionsController.resumeMission);
+router.post('/missions/:id/abort', missionsController.abortMission);
+
+// Field and route library endpoints
+router.get('/fields', fieldsController.listFields);
+router.post('/fields', fieldsController.createField);
+router.get('/fields/:id', fieldsController.getField);
+router.put('/fields/:id', fieldsController.updateField);
+router.delete('/fields/:id', fieldsController.deleteField);
+router.post('/fields/:id/load', fieldsController.loadField);
+router.get('/routes', fieldsController.listRoutes);
+router.post('/routes', fieldsController.createRoute);
+router.get('/routes/:id', fieldsController.getRoute);
+router.put('/routes/:id', fieldsController.updateRoute);
+router.delete('/routes/:id', fieldsController.deleteRoute);
+router.post('/routes/:id/load', fieldsController.loadRoute);
+
+// Recording endpoints
+router.get('/recordings', recordingsController.listRecordings);
+router.get('/recordings/status', recordingsController.getStatus);
+router.post('/recordings/replay/stop', recordingsController.stopReplay);
+router.get('/recordings/:id', recordingsController.downloadRecording);
+router.post('/recordings/:id/replay', recordingsController.replayRecording);
 
 // Sensors endpoints
 router.get('/sensors', sensorsController.getAllSensors);
@@ -43,6 +90,8 @@ router.get('/sensors/camera', sensorsController.getCameraData);
 
 // Safety endpoints
 router.get('/safety/status', safetyController.getStatus);
+router.get('/safety/speed-zones', safetyController.getSpeedZones);
+router.get('/safety/speed-governor', safetyController.getSpeedGovernor);
 router.get('/safety/limits', safetyController.getLimits);
 router.post('/safety/limits', safetyController.updateLimits);
 
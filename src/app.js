@@ -12,8 +12,18 @@ const config = require('./config');
 const SensorManager = require('./sensors/sensorManager');
 const MotorController = require('./motors/motorController');
 const NavigationSystem = require('./navigation/navigationSystem');
+const PerceptionSystem = require('./perception/perceptionSystem');
+const CuttingController = require('./implements/cuttingController');
+const LoadingController = require('./implements/loadingController');
+const MissionManager = require('./missions/missionManager');
+const DockingManager = require('./missions/dockingManager');
+const FieldLibrary = require('./fields/fieldLibrary');
 const SafetyMonitor = require('./safety/safetyMonitor');
+const SpeedZoneManager = require('./safety/speedZoneManager');
+const SpeedGovernor = require('./safety/speedGovernor');
 const MobileAppInterface = require('./communication/mobileAppInterface');
+const Recorder = require('./recording/recorder');
+const Replayer = require('./recording/replayer');
 const { initMonitoring } = require('./monitoring');
 
 class SevakApp {
@@ -22,11 +32,23 @@ class SevakApp {
     
     // System components
     this.sensorManager = new SensorManager();
-    this.motorController = new MotorController();
+    this.motorController = new MotorController(this.sensorManager);
     this.navigationSystem = null; // Will be initialized after sensor manager
+    this.perceptionSystem = null; // Will be initialized after navigation system
+    this.cuttingController = new CuttingController();
+    this.loadingController = null; // Will be initialized after navigation system
+    this.missionManager = null; // Will be initialized after implement controllers
+    this.dockingManager = null; // Will be initialized after mission manager
+    this.fieldLibrary = null; // Will be initialized after docking manager
     this.safetyMonitor = new SafetyMonitor();
+    this.speedZoneManager = null; // Will be initialized after navigation system
+    this.speedGovernor = null; // Will be initialized after motor controller
     this.mobileAppInterface = new MobileAppInterface();
     
+    // Black box recording and replay
+    this.recorder = new Recorder();
+    this.replayer = new Replayer();
+    
     // Monitoring components
     this.monitoring = null; // Will be initialized during initialize()
     
@@ -37,6 +59,9 @@ class SevakApp {
     // Command handlers
     this._registerCommandHandlers();
     
+    // Alerts raised by other subsystems
+    this._registerAlertHandlers();
+    
     this.logger.info('Sevak App initialized');
   }
   
@@ -47,7 +72,11 @@ class SevakApp {
     this.logger.info('Initializing Sevak system...');
     
     try {
-      // Initialize components in order
+      // Initialize components in order, starting the recording first so it
+      // covers the whole run
+      this.logger.info('Initializing Recorder...');
+      await this.recorder.initialize();
+      
       this.logger.info('Initializing Sensor Manager...');
       await this.sensorManager.initialize();
       
@@ -55,9 +84,40 @@ class SevakApp {
       await this.motorController.initialize();
       
       this.logger.info('Initializing Navigation System...');
-      this.navigationSystem = new NavigationSystem(this.sensorManager);
+      this.navigationSystem = new NavigationSystem(this.sensorManager, this.motorController);
       await this.navigationSystem.initialize();
       
+      this.logger.info('Initializing Perception System...');
+      this.perceptionSystem = new PerceptionSystem(this.sensorManager);
+      await this.perceptionSystem.initialize();
+      
+      this.logger.info('Initializing Speed Zone Manager...');
+      this.speedZoneManager = new SpeedZoneManager(this.sensorManager, this.navigationSystem, this.motorController);
+      await this.speedZoneManager.initialize();
+      
+      this.logger.info('Initializing Speed Governor...');
+      this.speedGovernor = new SpeedGovernor(this.sensorManager, this.motorController);
+      await this.speedGovernor.initialize();
+      
+      this.logger.info('Initializing Cutting Controller...');
+      await this.cuttingController.initialize();
+      
+      this.logger.info('Initializing Loading Controller...');
+      this.loadingController = new LoadingController(this.navigationSystem);
+      await this.loadingController.initialize();
+      
+      this.logger.info('Initializing Mission Manager...');
+      this.missionManager = new MissionManager(this.navigationSystem, this.cuttingController, this.loadingController);
+      await this.missionManager.initialize();
+      
+      this.logger.info('Initializing Docking Manager...');
+      this.dockingManager = new DockingManager(this.navigationSystem, this.missionManager, this.safetyMonitor);
+      await this.dockingManager.initialize();
+      
+      this.logger.info('Initializing Field Library...');
+      this.fieldLibrary = new FieldLibrary(this.navigationSystem, this.dockingManager, this.loadingController);
+      await this.fieldLibrary.initialize();
+      
       this.logger.info('Initializing Safety Monitor...');
       await this.safetyMonitor.initialize();
       
@@ -147,12 +207,18 @@ class SevakApp {
         this.watchdogInterval = null;
       }
       
+      // Hold any running mission
+      this.missionManager.pauseActiveMission('System stopped');
+      
       // Stop navigation
       await this.navigationSystem.stopNavigation();
       
       // Stop motors
       await this.motorController.setTargetSpeed(0);
       
+      // Stop cutting
+      this.cuttingController.disengage();
+      
       // Stop monitoring system if running
       if (config.monitoring?.enabled && this.monitoring?.monitoringSystem?.isRunning) {
         this.logger.info('Stopping monitoring system...');
@@ -189,6 +255,30 @@ class SevakApp {
       this.logger.info('Shutting down Safety Monitor...');
       await this.safetyMonitor.shutdown();
       
+      this.logger.info('Shutting down Field Library...');
+      await this.fieldLibrary.shutdown();
+      
+      this.logger.info('Shutting down Docking Manager...');
+      await this.dockingManager.shutdown();
+      
+      this.logger.info('Shutting down Mission Manager...');
+      await this.missionManager.shutdown();
+      
+      this.logger.info('Shutting down Loading Controller...');
+      await this.loadingController.shutdown();
+      
+      this.logger.info('Shutting down Cutting Controller...');
+      await this.cuttingController.shutdown();
+      
+      this.logger.info('Shutting down Speed Governor...');
+      await this.speedGovernor.shutdown();
+      
+      this.logger.info('Shutting down Speed Zone Manager...');
+      await this.speedZoneManager.shutdown();
+      
+      this.logger.info('Shutting down Perception System...');
+      await this.perceptionSystem.shutdown();
+      
       this.logger.info('Shutting down Navigation System...');
       await this.navigationSystem.shutdown();
       
@@ -208,6 +298,10 @@ class SevakApp {
         this.monitoring.monitoringWebSocket.close();
       }
       
+      this.logger.info('Shutting down Recorder...');
+      await this.replayer.shutdown();
+      await this.recorder.shutdown();
+      
       // Mark as not initialized
       this.isInitialized = false;
       
@@ -234,6 +328,11 @@ class SevakApp {
       this._handleNavigateCommand(data);
     });
     
+    // Handle coverage navigation command
+    eventBus.subscribe('command.navigateCoverage', (data) => {
+      this._handleNavigateCoverageCommand(data);
+    });
+    
     // Handle stop command
     eventBus.subscribe('command.stop', (data) => {
       this._handleStopCommand(data);
@@ -248,6 +347,24 @@ class SevakApp {
     eventBus.subscribe('command.setBoundaries', (data) => {
       this._handleSetBoundariesCommand(data);
     });
+    
+    // Handle cutter command
+    eventBus.subscribe('command.cutter', (data) => {
+      this._handleCutterCommand(data);
+    });
+  }
+  
+  /**
+   * Register alert handlers
+   * @private
+   */
+  _registerAlertHandlers() {
+    // Forward subsystem alerts to the monitoring system
+    eventBus.subscribe('monitoring.alert', (data) => {
+      if (this.monitoring?.monitoringSystem) {
+        this.monitoring.monitoringSystem.raiseAlert(data);
+      }
+    });
   }
   
   /**
@@ -265,6 +382,183 @@ class SevakApp {
       return this.motorController.getStatus();
     });
     
+    // Handle motor fault reset request
+    eventBus.registerRequestHandler('motor.resetFault', async (data) => {
+      return this.motorController.resetMotorFault(data.motor) ?
+        { success: true, derating: this.motorController.getDerating() } :
+        { success: false, code: 'conflict', error: `Cannot reset ${data.motor} motor fault` };
+    });
+    
+    // Handle cutter status request
+    eventBus.registerRequestHandler('implement.cutter.getStatus', async (data) => {
+      return this.cuttingController.getStatus();
+    });
+    
+    // Handle loader status request
+    eventBus.registerRequestHandler('implement.loader.getStatus', async (data) => {
+      return this.loadingController.getStatus();
+    });
+    
+    // Handle mission requests
+    eventBus.registerRequestHandler('mission.list', async (data) => {
+      return this.missionManager.listMissions();
+    });
+    
+    eventBus.registerRequestHandler('mission.get', async (data) => {
+      const mission = this.missionManager.getMission(data.id);
+      return mission ?
+        { success: true, mission: mission } :
+        { success: false, code: 'notFound', error: 'Mission not found' };
+    });
+    
+    eventBus.registerRequestHandler('mission.create', async (data) => {
+      return this.missionManager.createMission(data.mission || {});
+    });
+    
+    eventBus.registerRequestHandler('mission.update', async (data) => {
+      return this.missionManager.updateMission(data.id, data.mission || {});
+    });
+    
+    eventBus.registerRequestHandler('mission.delete', async (data) => {
+      return this.missionManager.deleteMission(data.id);
+    });
+    
+    eventBus.registerRequestHandler('mission.start', async (data) => {
+      const error = this._checkCanOperate();
+      return error ?
+        { success: false, code: 'conflict', error: error } :
+        this.missionManager.startMission(data.id);
+    });
+    
+    eventBus.registerRequestHandler('mission.pause', async (data) => {
+      return this.missionManager.pauseMission(data.id);
+    });
+    
+    eventBus.registerRequestHandler('mission.resume', async (data) => {
+      const error = this._checkCanOperate();
+      return error ?
+        { success: false, code: 'conflict', error: error } :
+        this.missionManager.resumeMission(data.id);
+    });
+    
+    eventBus.registerRequestHandler('mission.abort', async (data) => {
+      return this.missionManager.abortMission(data.id);
+    });
+    
+    // Handle field library requests
+    eventBus.registerRequestHandler('field.list', async (data) => {
+      return this.fieldLibrary.listFields();
+    });
+    
+    eventBus.registerRequestHandler('field.get', async (data) => {
+      const field = this.fieldLibrary.getField(data.id);
+      return field ?
+        { success: true, field: field } :
+        { success: false, code: 'notFound', error: 'Field not found' };
+    });
+    
+    eventBus.registerRequestHandler('field.create', async (data) => {
+      return this.fieldLibrary.createField(data.field || {});
+    });
+    
+    eventBus.registerRequestHandler('field.update', async (data) => {
+      return this.fieldLibrary.updateField(data.id, data.field || {});
+    });
+    
+    eventBus.registerRequestHandler('field.delete', async (data) => {
+      return this.fieldLibrary.deleteField(data.id);
+    });
+    
+    eventBus.registerRequestHandler('field.load', async (data) => {
+      return this.fieldLibrary.loadField(data.id);
+    });
+    
+    eventBus.registerRequestHandler('route.list', async (data) => {
+      return this.fieldLibrary.listRoutes();
+    });
+    
+    eventBus.registerRequestHandler('route.get', async (data) => {
+      const route = this.fieldLibrary.getRoute(data.id);
+      return route ?
+        { success: true, route: route } :
+        { success: false, code: 'notFound', error: 'Route not found' };
+    });
+    
+    eventBus.registerRequestHandler('route.create', async (data) => {
+      return this.fieldLibrary.createRoute(data.route || {});
+    });
+    
+    eventBus.registerRequestHandler('route.update', async (data) => {
+      return this.fieldLibrary.updateRoute(data.id, data.route || {});
+    });
+    
+    eventBus.registerRequestHandler('route.delete', async (data) => {
+      return this.fieldLibrary.deleteRoute(data.id);
+    });
+    
+    eventBus.registerRequestHandler('route.load', async (data) => {
+      return this.fieldLibrary.loadRoute(data.id);
+    });
+    
+    // Handle recording requests
+    eventBus.registerRequestHandler('recording.list', async (data) => {
+      return this.recorder.listRecordings();
+    });
+    
+    eventBus.registerRequestHandler('recording.get', async (data) => {
+      return this.recorder.getRecording(data.id);
+    });
+    
+    eventBus.registerRequestHandler('recording.getStatus', async (data) => {
+      return {
+        recorder: this.recorder.getStatus(),
+        replay: this.replayer.getStatus()
+      };
+    });
+    
+    eventBus.registerRequestHandler('recording.replay.start', async (data) => {
+      const result = await this.recorder.getRecording(data.id);
+      return result.success ?
+        this.replayer.start(result.recording.directory, { speed: data.speed, topics: data.topics }) :
+        result;
+    });
+    
+    eventBus.registerRequestHandler('recording.replay.stop', async (data) => {
+      return this.replayer.stop();
+    });
+    
+    // Handle geofence requests
+    eventBus.registerRequestHandler('navigation.getBoundaries', async (data) => {
+      return this.navigationSystem.getBoundaries();
+    });
+    
+    // Handle local frame datum requests
+    eventBus.registerRequestHandler('navigation.getDatum', async (data) => {
+      return this.navigationSystem.getDatum();
+    });
+    
+    eventBus.registerRequestHandler('navigation.setDatum', async (data) => {
+      return this.navigationSystem.setDatum(data);
+    });
+    
+    // Handle occupancy map requests
+    eventBus.registerRequestHandler('navigation.getMap', async (data) => {
+      return this.navigationSystem.getMap();
+    });
+    
+    eventBus.registerRequestHandler('navigation.openFieldMap', async (data) => {
+      return this.navigationSystem.openFieldMap(data.fieldId);
+    });
+    
+    eventBus.registerRequestHandler('navigation.clearMap', async (data) => {
+      return this.navigationSystem.clearMap();
+    });
+    
+    // Handle docking status request
+    eventBus.registerRequestHandler('docking.getStatus', async (data) => {
+      return this.dockingManager.getStatus();
+    });
+    
     // Handle sensor status request
     eventBus.registerRequestHandler('sensor.getStatus', async (data) => {
       return this.sensorManager.getSensorStatus();
@@ -275,6 +569,16 @@ class SevakApp {
       return this.safetyMonitor.getStatus();
     });
     
+    // Handle speed zone request
+    eventBus.registerRequestHandler('safety.getSpeedZones', async (data) => {
+      return this.speedZoneManager.getStatus();
+    });
+    
+    // Handle speed governor request
+    eventBus.registerRequestHandler('safety.getSpeedGovernor', async (data) => {
+      return this.speedGovernor.getStatus();
+    });
+    
     // Handle monitoring status request
     eventBus.registerRequestHandler('monitoring.getStatus', async (data) => {
       if (this.monitoring?.monitoringSystem) {
@@ -316,12 +620,33 @@ class SevakApp {
     });
   }
   
+  /**
+   * Check whether the tractor may start moving on its own
+   * @private
+   * @returns {string|null} Reason it may not, or null if it may
+   */
+  _checkCanOperate() {
+    if (!this.isRunning) {
+      return 'System is not running';
+    }
+    
+    if (!this.safetyMonitor.isSafeToOperate()) {
+      return 'Safety violation';
+    }
+    
+    return null;
+  }
+  
   /**
    * Handle move command
    * @private
    */
   _handleMoveCommand(data) {
-    this.logger.info(`Received move command: speed=${data.speed}, direction=${data.direction}`);
+    const isVelocity = data.v !== undefined;
+    
+    this.logger.info(isVelocity ?
+      `Received move command: v=${data.v}, omega=${data.omega}` :
+      `Received move command: speed=${data.speed}, direction=${data.direction}`);
     
     // Check if system is running
     if (!this.isRunning) {
@@ -335,7 +660,12 @@ class SevakApp {
       return;
     }
     
-    // Set motor speed and direction
+    // Set linear and angular velocity, or motor speed and direction
+    if (isVelocity) {
+      this.motorController.setVelocityCommand(data.v, data.omega);
+      return;
+    }
+    
     this.motorController.setTargetSpeed(data.speed);
     this.motorController.setTargetDirection(data.direction);
   }
@@ -364,6 +694,42 @@ class SevakApp {
     this.navigationSystem.startNavigation();
   }
   
+  /**
+   * Handle coverage navigation command
+   * @private
+   */
+  _handleNavigateCoverageCommand(data) {
+    this.logger.info('Received coverage navigation command');
+    
+    // Check if system is running
+    if (!this.isRunning) {
+      this.logger.error('Cannot execute coverage navigation command: system is not running');
+      return;
+    }
+    
+    // Check if it's safe to operate
+    if (!this.safetyMonitor.isSafeToOperate()) {
+      this.logger.error('Cannot execute coverage navigation command: safety violation');
+      return;
+    }
+    
+    // Use the supplied boundary and keep-out zones for geofencing too
+    if (data.boundary && !this.navigationSystem.setFieldBoundaries(data.boundary, data.keepOutZones)) {
+      return;
+    }
+    
+    // Plan passes over the field
+    const plan = this.navigationSystem.planCoverage(data);
+    
+    if (!plan.success) {
+      return;
+    }
+    
+    // Set waypoints and start navigation
+    this.navigationSystem.setWaypoints(plan.waypoints);
+    this.navigationSystem.startNavigation();
+  }
+  
   /**
    * Handle stop command
    * @private
@@ -371,11 +737,17 @@ class SevakApp {
   _handleStopCommand(data) {
     this.logger.info('Received stop command');
     
+    // Hold any running mission
+    this.missionManager.pauseActiveMission('Stopped by operator');
+    
     // Stop navigation
     this.navigationSystem.stopNavigation();
     
     // Stop motors
     this.motorController.setTargetSpeed(0);
+    
+    // Stop cutting
+    this.cuttingController.disengage();
   }
   
   /**
@@ -387,6 +759,8 @@ class SevakApp {
     
     // Trigger emergency stop
     this.motorController.emergencyStop();
+    this.cuttingController.emergencyStop(data.reason);
+    this.loadingController.emergencyStop(data.reason);
   }
   
   /**
@@ -394,10 +768,51 @@ class SevakApp {
    * @private
    */
   _handleSetBoundariesCommand(data) {
-    this.logger.info(`Received set boundaries command with ${data.points.length} points`);
+    this.logger.info(`Received set boundaries command with ${data.points.length} points and ${(data.keepOutZones || []).length} keep-out zones`);
     
     // Set field boundaries
-    this.navigationSystem.setFieldBoundaries(data.points);
+    this.navigationSystem.setFieldBoundaries(data.points, data.keepOutZones);
+  }
+  
+  /**
+   * Handle cutter command
+   * @private
+   */
+  _handleCutterCommand(data) {
+    this.logger.info(`Received cutter command: ${data.action}`);
+    
+    // Stopping the blade is always allowed
+    if (data.action === 'stop') {
+      this.cuttingController.disengage();
+      return;
+    }
+    
+    // Check if system is running
+    if (!this.isRunning) {
+      this.logger.error('Cannot execute cutter command: system is not running');
+      return;
+    }
+    
+    // Check if it's safe to operate
+    if (!this.safetyMonitor.isSafeToOperate()) {
+      this.logger.error('Cannot execute cutter command: safety violation');
+      return;
+    }
+    
+    // Apply settings
+    if (data.height !== undefined) {
+      this.cuttingController.setCuttingHeight(data.height);
+    }
+    
+    if (data.speed !== undefined) {
+      this.cuttingController.setBladeSpeed(data.speed);
+    }
+    
+    if (data.action === 'start') {
+      this.cuttingController.engage();
+    } else if (data.action === 'clearJam') {
+      this.cuttingController.clearJam();
+    }
   }
 }
 
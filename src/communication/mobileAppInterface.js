@@ -13,6 +13,7 @@ const Logger = require('../utils/logger');
 const eventBus = require('../utils/eventBus');
 const config = require('../config');
 const SecurityManager = require('../utils/security');
+const { isValidPoint } = require('../utils/geodesy');
 const fs = require('fs');
 const path = require('path');
 const socketIo = require('socket.io');
@@ -28,6 +29,39 @@ dotenv.config();
 // Message compression threshold in bytes
 const COMPRESSION_THRESHOLD = 1024;
 
+// Mission commands and the mission manager requests they map to
+const MISSION_REQUESTS = {
+  'MISSION_LIST': 'mission.list',
+  'MISSION_GET': 'mission.get',
+  'MISSION_CREATE': 'mission.create',
+  'MISSION_UPDATE': 'mission.update',
+  'MISSION_DELETE': 'mission.delete',
+  'MISSION_START': 'mission.start',
+  'MISSION_PAUSE': 'mission.pause',
+  'MISSION_RESUME': 'mission.resume',
+  'MISSION_ABORT': 'mission.abort'
+};
+
+// Error codes sent to clients for mission manager error codes
+const MISSION_ERROR_CODES = {
+  invalid: 'INVALID_PARAMETERS',
+  notFound: 'MISSION_NOT_FOUND',
+  conflict: 'MISSION_CONFLICT'
+};
+
+// Load commands and the field library requests they map to
+const LOAD_REQUESTS = {
+  'LOAD_FIELD': 'field.load',
+  'LOAD_ROUTE': 'route.load'
+};
+
+// Error codes sent to clients for field library error codes
+const LOAD_ERROR_CODES = {
+  invalid: 'INVALID_PARAMETERS',
+  notFound: 'NOT_FOUND',
+  conflict: 'LOAD_CONFLICT'
+};
+
 // Cache TTL in milliseconds
 const CACHE_TTL = 5000; // 5 seconds
 
@@ -71,7 +105,9 @@ class MobileAppInterface {
       navigation: { data: null, timestamp: 0 },
       motor: { data: null, timestamp: 0 },
       sensor: { data: null, timestamp: 0 },
-      safety: { data: null, timestamp: 0 }
+      safety: { data: null, timestamp: 0 },
+      cutter: { data: null, timestamp: 0 },
+      loader: { data: null, timestamp: 0 }
     };
     
     // Message batching for broadcasts
@@ -83,10 +119,22 @@ class MobileAppInterface {
       'AUTH': this._handleAuthCommand.bind(this),
       'MOVE': this._handleMoveCommand.bind(this),
       'NAVIGATE': this._handleNavigateCommand.bind(this),
+      'NAVIGATE_COVERAGE': this._handleNavigateCoverageCommand.bind(this),
       'STOP': this._handleStopCommand.bind(this),
       'EMERGENCY_STOP': this._handleEmergencyStopCommand.bind(this),
       'GET_STATUS': this._handleGetStatusCommand.bind(this),
       'SET_BOUNDARIES': this._handleSetBoundariesCommand.bind(this),
+      'MISSION_LIST': this._handleMissionCommand.bind(this),
+      'MISSION_GET': this._handleMissionCommand.bind(this),
+      'MISSION_CREATE': this._handleMissionCommand.bind(this),
+      'MISSION_UPDATE': this._handleMissionCommand.bind(this),
+      'MISSION_DELETE': this._handleMissionCommand.bind(this),
+      'MISSION_START': this._handleMissionCommand.bind(this),
+      'MISSION_PAUSE': this._handleMissionCommand.bind(this),
+      'MISSION_RESUME': this._handleMissionCommand.bind(this),
+      'MISSION_ABORT': this._handleMissionCommand.bind(this),
+      'LOAD_FIELD': this._handleLoadCommand.bind(this),
+      'LOAD_ROUTE': this._handleLoadCommand.bind(this),
       'LOGOUT': this._handleLogoutCommand.bind(this)
     };
     
@@ -274,6 +322,53 @@ class MobileAppInterface {
         this._broadcastEvent('BOUNDARY_VIOLATION', data);
       })
     );
+    
+    // Subscribe to warnings that the tractor is nearing the geofence
+    this.eventSubscriptions.push(
+      eventBus.subscribe('navigation.boundary.approaching', (data) => {
+        this._broadcastEvent('BOUNDARY_APPROACHING', data);
+      })
+    );
+    
+    // Subscribe to speed zone changes around obstacles
+    this.eventSubscriptions.push(
+      eventBus.subscribe('safety.speedZone.changed', (data) => {
+        this._broadcastEvent('SPEED_ZONE_CHANGED', data);
+      })
+    );
+    
+    // Subscribe to changes of the speed envelope for slope, load and battery
+    this.eventSubscriptions.push(
+      eventBus.subscribe('safety.speedGovernor.changed', (data) => {
+        this._broadcastEvent('SPEED_GOVERNOR_CHANGED', data);
+      })
+    );
+    
+    // Subscribe to mission updates so the task list follows the tractor
+    this.eventSubscriptions.push(
+      eventBus.subscribe('mission.updated', (data) => {
+        this._broadcastEvent('MISSION_UPDATE', data);
+      })
+    );
+    
+    this.eventSubscriptions.push(
+      eventBus.subscribe('mission.progress', (data) => {
+        this._broadcastEvent('MISSION_PROGRESS', data);
+      })
+    );
+    
+    this.eventSubscriptions.push(
+      eventBus.subscribe('mission.deleted', (data) => {
+        this._broadcastEvent('MISSION_DELETED', data);
+      })
+    );
+    
+    // Subscribe to return-to-dock updates (reason and ETA)
+    this.eventSubscriptions.push(
+      eventBus.subscribe('docking.status.updated', (data) => {
+        this._broadcastEvent('DOCKING_STATUS', data);
+      })
+    );
   }
   
   /**
@@ -762,8 +857,10 @@ class MobileAppInterface {
       // Process command based on type
       switch (command.type) {
         case 'MOVE':
-          // Validate data
-          if (typeof command.data.speed !== 'number' || typeof command.data.direction !== 'number') {
+          // Validate data (speed and direction, or linear and angular velocity)
+          const moveParameters = this._moveParameters(command.data);
+          
+          if (!moveParameters) {
             socket.emit('ERROR', {
               code: 'INVALID_PARAMETERS',
               message: 'Invalid speed or direction'
@@ -771,15 +868,9 @@ class MobileAppInterface {
             return;
           }
           
-          // Add safety checks (default to 100 if not in config)
-          if (command.data.speed > (config.motors?.maxSpeed || 100)) {
-            command.data.speed = config.motors.maxSpeed;
-          }
-          
           // Add command metadata
           const moveCommandData = {
-            speed: command.data.speed,
-            direction: command.data.direction,
+            ...moveParameters,
             timestamp: Date.now(),
             clientId: clientInfo.id,
             commandId: command.id
@@ -796,7 +887,7 @@ class MobileAppInterface {
             commandId: command.id
           });
           
-          this.logger.info(`MOVE command: speed=${command.data.speed}, direction=${command.data.direction} from Socket.IO client ${clientInfo.id}`);
+          this.logger.info(`MOVE command: ${this._describeMove(moveParameters)} from Socket.IO client ${clientInfo.id}`);
           break;
           
         case 'STOP':
@@ -848,7 +939,8 @@ class MobileAppInterface {
           
         case 'NAVIGATE':
           // Validate data
-          if (!Array.isArray(command.data.waypoints) || command.data.waypoints.length === 0) {
+          if (!Array.isArray(command.data.waypoints) || command.data.waypoints.length === 0 ||
+              !command.data.waypoints.every(isValidPoint)) {
             socket.emit('ERROR', {
               code: 'INVALID_PARAMETERS',
               message: 'Invalid waypoints'
@@ -878,9 +970,44 @@ class MobileAppInterface {
           this.logger.info(`NAVIGATE command: ${command.data.waypoints.length} waypoints from Socket.IO client ${clientInfo.id}`);
           break;
           
+        case 'NAVIGATE_COVERAGE':
+          // Validate data
+          const coverageError = this._validateCoverageParameters(command.data);
+          
+          if (coverageError) {
+            socket.emit('ERROR', {
+              code: 'INVALID_PARAMETERS',
+              message: coverageError
+            });
+            return;
+          }
+          
+          // Add command metadata
+          const coverageCommandData = {
+            ...this._coverageParameters(command.data),
+            timestamp: Date.now(),
+            clientId: clientInfo.id,
+            commandId: command.id
+          };
+          
+          // Publish coverage navigation command event
+          eventBus.publish('command.navigateCoverage', coverageCommandData);
+          eventBus.publish('command.navigateCoverage.redundant', coverageCommandData);
+          
+          // Send success response
+          socket.emit('COMMAND_ACCEPTED', {
+            command: 'NAVIGATE_COVERAGE',
+            timestamp: Date.now(),
+            commandId: command.id
+          });
+          
+          this.logger.info(`NAVIGATE_COVERAGE command from Socket.IO client ${clientInfo.id}`);
+          break;
+          
         case 'SET_BOUNDARIES':
           // Validate data
-          if (!Array.isArray(command.data.points) || command.data.points.length < 3) {
+          if (!Array.isArray(command.data.points) || command.data.points.length < 3 ||
+              !command.data.points.every(isValidPoint)) {
             socket.emit('ERROR', {
               code: 'INVALID_PARAMETERS',
               message: 'Invalid boundary points'
@@ -888,9 +1015,18 @@ class MobileAppInterface {
             return;
           }
           
+          if (!this._isValidKeepOutZones(command.data.keepOutZones)) {
+            socket.emit('ERROR', {
+              code: 'INVALID_PARAMETERS',
+              message: 'Invalid keep-out zones'
+            });
+            return;
+          }
+          
           // Add command metadata
           const setBoundariesCommandData = {
             points: command.data.points,
+            keepOutZones: command.data.keepOutZones || [],
             timestamp: Date.now(),
             clientId: clientInfo.id,
             commandId: command.id
@@ -910,21 +1046,104 @@ class MobileAppInterface {
           this.logger.info(`SET_BOUNDARIES command: ${command.data.points.length} points from Socket.IO client ${clientInfo.id}`);
           break;
           
+        case 'MISSION_LIST':
+        case 'MISSION_GET':
+        case 'MISSION_CREATE':
+        case 'MISSION_UPDATE':
+        case 'MISSION_DELETE':
+        case 'MISSION_START':
+        case 'MISSION_PAUSE':
+        case 'MISSION_RESUME':
+        case 'MISSION_ABORT':
+          this._requestMission(command.type, command.data)
+            .then(result => {
+              if (result.success === false) {
+                socket.emit('ERROR', {
+                  code: MISSION_ERROR_CODES[result.code] || 'COMMAND_FAILED',
+                  message: result.error,
+                  commandId: command.id
+                });
+                return;
+              }
+              
+              socket.emit('MISSION_RESULT', {
+                command: command.type,
+                result: result,
+                timestamp: Date.now(),
+                commandId: command.id
+              });
+            })
+            .catch(error => {
+              this.logger.error(`Failed to process ${command.type}: ${error.message}`);
+              socket.emit('ERROR', {
+                code: 'INTERNAL_ERROR',
+                message: 'Failed to process mission command'
+              });
+            });
+          
+          this.logger.info(`${command.type} command from Socket.IO client ${clientInfo.id}`);
+          break;
+          
+        case 'LOAD_FIELD':
+        case 'LOAD_ROUTE':
+          if (typeof command.data?.id !== 'string') {
+            socket.emit('ERROR', {
+              code: 'INVALID_PARAMETERS',
+              message: 'Invalid ID'
+            });
+            return;
+          }
+          
+          this._requestLoad(command.type, command.data)
+            .then(result => {
+              if (result.success === false) {
+                socket.emit('ERROR', {
+                  code: LOAD_ERROR_CODES[result.code] || 'COMMAND_FAILED',
+                  message: result.error,
+                  commandId: command.id
+                });
+                return;
+              }
+              
+              socket.emit('LOAD_RESULT', {
+                command: command.type,
+                result: result,
+                timestamp: Date.now(),
+                commandId: command.id
+              });
+            })
+            .catch(error => {
+              this.logger.error(`Failed to process ${command.type}: ${error.message}`);
+              socket.emit('ERROR', {
+                code: 'INTERNAL_ERROR',
+                message: 'Failed to process load command'
+              });
+            });
+          
+          this.logger.info(`${command.type} command: ${command.data.id} from Socket.IO client ${clientInfo.id}`);
+          break;
+          
         case 'GET_STATUS':
           // Request status from various systems
           Promise.all([
             this._getNavigationStatus(),
             this._getMotorStatus(),
             this._getSensorStatus(),
-            this._getSafetyStatus()
+            this._getSafetyStatus(),
+            this._getCutterStatus(),
+            this._getLoaderStatus()
           ])
-          .then(([navigationStatus, motorStatus, sensorStatus, safetyStatus]) => {
+          .then(([navigationStatus, motorStatus, sensorStatus, safetyStatus, cutterStatus, loaderStatus]) => {
             // Prepare status data
             const statusData = {
               navigation: navigationStatus,
               motor: motorStatus,
               sensor: sensorStatus,
               safety: safetyStatus,
+              implements: {
+                cutter: cutterStatus,
+                loader: loaderStatus
+              },
               timestamp: Date.now(),
               commandId: command.id
             };
@@ -1201,8 +1420,10 @@ class MobileAppInterface {
    */
   _handleMoveCommand(ws, data, command) {
     return this._verifyAndProcessCommand(ws, 'MOVE', data, command, (data, clientInfo) => {
-      // Validate data
-      if (typeof data.speed !== 'number' || typeof data.direction !== 'number') {
+      // Validate data (speed and direction, or linear and angular velocity)
+      const moveParameters = this._moveParameters(data);
+      
+      if (!moveParameters) {
         return {
           success: false,
           errorCode: 'INVALID_PARAMETERS',
@@ -1210,16 +1431,9 @@ class MobileAppInterface {
         };
       }
       
-      // Add safety checks (default to 100 if not in config)
-      const maxSpeed = config.motors?.maxSpeed || 100;
-      if (data.speed > maxSpeed) {
-        data.speed = maxSpeed;
-      }
-      
       // Add command metadata
       const commandData = {
-        speed: data.speed,
-        direction: data.direction,
+        ...moveParameters,
         timestamp: Date.now(),
         clientId: clientInfo.id,
         commandId: command.id
@@ -1233,12 +1447,49 @@ class MobileAppInterface {
       eventBus.publish('command.move.redundant', commandData);
       
       // Log command
-      this.logger.info(`MOVE command: speed=${data.speed}, direction=${data.direction} from client ${clientInfo.id}`);
+      this.logger.info(`MOVE command: ${this._describeMove(moveParameters)} from client ${clientInfo.id}`);
       
       return { success: true };
     });
   }
   
+  /**
+   * Pick the movement from MOVE command data, within the speed limit either way
+   * Takes { v, omega } (m/s, rad/s counter-clockwise) or the older
+   * { speed, direction } (radians, positive turns right); a negative speed reverses.
+   * @private
+   * @returns {object|null} { v, omega } or { speed, direction }, or null if invalid
+   */
+  _moveParameters(data) {
+    // Add safety checks (default to 100 if not in config)
+    const maxSpeed = config.motors?.maxSpeed || 100;
+    const limit = speed => Math.max(-maxSpeed, Math.min(speed, maxSpeed));
+    
+    if (data.v !== undefined || data.omega !== undefined) {
+      if (!Number.isFinite(data.v) || !Number.isFinite(data.omega)) {
+        return null;
+      }
+      
+      return { v: limit(data.v), omega: data.omega };
+    }
+    
+    if (typeof data.speed !== 'number' || typeof data.direction !== 'number') {
+      return null;
+    }
+    
+    return { speed: limit(data.speed), direction: data.direction };
+  }
+  
+  /**
+   * Describe a movement for the log
+   * @private
+   */
+  _describeMove(move) {
+    return move.v !== undefined ?
+      `v=${move.v}, omega=${move.omega}` :
+      `speed=${move.speed}, direction=${move.direction}`;
+  }
+  
   /**
    * Handle NAVIGATE command
    * @private
@@ -1256,7 +1507,7 @@ class MobileAppInterface {
       
       // Validate each waypoint
       for (const waypoint of data.waypoints) {
-        if (typeof waypoint.x !== 'number' || typeof waypoint.y !== 'number') {
+        if (!isValidPoint(waypoint)) {
           return {
             success: false,
             errorCode: 'INVALID_PARAMETERS',
@@ -1287,6 +1538,110 @@ class MobileAppInterface {
     });
   }
   
+  /**
+   * Handle NAVIGATE_COVERAGE command
+   * @private
+   */
+  _handleNavigateCoverageCommand(ws, data, command) {
+    return this._verifyAndProcessCommand(ws, 'NAVIGATE_COVERAGE', data, command, (data, clientInfo) => {
+      // Validate data
+      const error = this._validateCoverageParameters(data);
+      
+      if (error) {
+        return {
+          success: false,
+          errorCode: 'INVALID_PARAMETERS',
+          errorMessage: error
+        };
+      }
+      
+      // Add command metadata
+      const commandData = {
+        ...this._coverageParameters(data),
+        timestamp: Date.now(),
+        clientId: clientInfo.id,
+        commandId: command.id
+      };
+      
+      // Publish coverage navigation command event with redundancy
+      // Primary channel
+      eventBus.publish('command.navigateCoverage', commandData);
+      
+      // Secondary channel for critical commands
+      eventBus.publish('command.navigateCoverage.redundant', commandData);
+      
+      // Log command
+      this.logger.info(`NAVIGATE_COVERAGE command from client ${clientInfo.id}`);
+      
+      return { success: true };
+    });
+  }
+  
+  /**
+   * Validate coverage planning parameters
+   * @private
+   * @returns {string|null} Error message, or null if valid
+   */
+  _validateCoverageParameters(data) {
+    if (data.boundary !== undefined) {
+      if (!Array.isArray(data.boundary) || data.boundary.length < 3) {
+        return 'Invalid boundary points';
+      }
+      
+      for (const point of data.boundary) {
+        if (!isValidPoint(point)) {
+          return 'Invalid boundary point coordinates';
+        }
+      }
+    }
+    
+    if (!this._isValidKeepOutZones(data.keepOutZones)) {
+      return 'Invalid keep-out zones';
+    }
+    
+    if (data.swathWidth !== undefined && !(typeof data.swathWidth === 'number' && data.swathWidth > 0)) {
+      return 'Invalid swath width';
+    }
+    
+    if (data.overlap !== undefined && !(typeof data.overlap === 'number' && data.overlap >= 0 && data.overlap < 100)) {
+      return 'Invalid overlap percentage';
+    }
+    
+    if (data.headlandWidth !== undefined && !(typeof data.headlandWidth === 'number' && data.headlandWidth >= 0)) {
+      return 'Invalid headland width';
+    }
+    
+    if (data.orientation !== undefined && data.orientation !== 'auto' && typeof data.orientation !== 'number') {
+      return 'Invalid row orientation';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Pick the coverage planning parameters from command data
+   * @private
+   */
+  _coverageParameters(data) {
+    return {
+      boundary: data.boundary,
+      keepOutZones: data.keepOutZones,
+      swathWidth: data.swathWidth,
+      overlap: data.overlap,
+      headlandWidth: data.headlandWidth,
+      orientation: data.orientation
+    };
+  }
+  
+  /**
+   * Check optional keep-out zones (polygons of at least 3 valid points)
+   * @private
+   */
+  _isValidKeepOutZones(zones) {
+    return zones === undefined ||
+      (Array.isArray(zones) && zones.every(zone => Array.isArray(zone) && zone.length >= 3 && zone.every(isValidPoint)));
+  }
+  
   /**
    * Handle STOP command
    * @private
@@ -1357,15 +1712,21 @@ class MobileAppInterface {
         this._getNavigationStatus(),
         this._getMotorStatus(),
         this._getSensorStatus(),
-        this._getSafetyStatus()
+        this._getSafetyStatus(),
+        this._getCutterStatus(),
+        this._getLoaderStatus()
       ])
-      .then(([navigationStatus, motorStatus, sensorStatus, safetyStatus]) => {
+      .then(([navigationStatus, motorStatus, sensorStatus, safetyStatus, cutterStatus, loaderStatus]) => {
         // Prepare status data
         const statusData = {
           navigation: navigationStatus,
           motor: motorStatus,
           sensor: sensorStatus,
           safety: safetyStatus,
+          implements: {
+            cutter: cutterStatus,
+            loader: loaderStatus
+          },
           timestamp: Date.now(),
           commandId: command.id
         };
@@ -1389,6 +1750,109 @@ class MobileAppInterface {
     });
   }
   
+  /**
+   * Handle MISSION_* commands
+   * @private
+   */
+  _handleMissionCommand(ws, data, command) {
+    return this._verifyAndProcessCommand(ws, command.type, data, command, (data, clientInfo) => {
+      this._requestMission(command.type, data)
+        .then(result => {
+          if (result.success === false) {
+            this._sendError(ws, MISSION_ERROR_CODES[result.code] || 'COMMAND_FAILED', result.error);
+            return;
+          }
+          
+          // Send mission result
+          this._sendToClient(ws, {
+            type: 'MISSION_RESULT',
+            data: {
+              command: command.type,
+              result: result,
+              timestamp: Date.now(),
+              commandId: command.id
+            }
+          });
+        })
+        .catch(error => {
+          this.logger.error(`Failed to process ${command.type}: ${error.message}`);
+          this._sendError(ws, 'INTERNAL_ERROR', 'Failed to process mission command');
+        });
+      
+      // Log command
+      this.logger.info(`${command.type} command from client ${clientInfo.id}`);
+      
+      // Return success immediately, the result will be sent asynchronously
+      return { success: true };
+    });
+  }
+  
+  /**
+   * Forward a mission command to the mission manager
+   * @private
+   */
+  _requestMission(commandType, data = {}) {
+    return eventBus.request(MISSION_REQUESTS[commandType], {
+      id: data.id,
+      mission: data.mission
+    }, 1000);
+  }
+  
+  /**
+   * Handle LOAD_FIELD and LOAD_ROUTE commands
+   * @private
+   */
+  _handleLoadCommand(ws, data, command) {
+    return this._verifyAndProcessCommand(ws, command.type, data, command, (data, clientInfo) => {
+      // Validate data
+      if (typeof data?.id !== 'string') {
+        return {
+          success: false,
+          errorCode: 'INVALID_PARAMETERS',
+          errorMessage: 'Invalid ID'
+        };
+      }
+      
+      this._requestLoad(command.type, data)
+        .then(result => {
+          if (result.success === false) {
+            this._sendError(ws, LOAD_ERROR_CODES[result.code] || 'COMMAND_FAILED', result.error);
+            return;
+          }
+          
+          // Send load result
+          this._sendToClient(ws, {
+            type: 'LOAD_RESULT',
+            data: {
+              command: command.type,
+              result: result,
+              timestamp: Date.now(),
+              commandId: command.id
+            }
+          });
+        })
+        .catch(error => {
+          this.logger.error(`Failed to process ${command.type}: ${error.message}`);
+          this._sendError(ws, 'INTERNAL_ERROR', 'Failed to process load command');
+        });
+      
+      // Log command
+      this.logger.info(`${command.type} command: ${data.id} from client ${clientInfo.id}`);
+      
+      // Return success immediately, the result will be sent asynchronously
+      return { success: true };
+    });
+  }
+  
+  /**
+   * Forward a load command to the field library
+   * @private
+   */
+  _requestLoad(commandType, data) {
+    // Loading a field reads its occupancy map from disk
+    return eventBus.request(LOAD_REQUESTS[commandType], { id: data.id }, 5000);
+  }
+  
   /**
    * Get navigation status with caching
    * @private
@@ -1421,6 +1885,22 @@ class MobileAppInterface {
     return this._getCachedStatus('safety', 'safety.getStatus');
   }
   
+  /**
+   * Get cutter implement status with caching
+   * @private
+   */
+  _getCutterStatus() {
+    return this._getCachedStatus('cutter', 'implement.cutter.getStatus');
+  }
+  
+  /**
+   * Get loader implement status with caching
+   * @private
+   */
+  _getLoaderStatus() {
+    return this._getCachedStatus('loader', 'implement.loader.getStatus');
+  }
+  
   /**
    * Get status with caching to reduce redundant requests
    * @private
@@ -1469,7 +1949,7 @@ class MobileAppInterface {
       
       // Validate each point
       for (const point of data.points) {
-        if (typeof point.x !== 'number' || typeof point.y !== 'number') {
+        if (!isValidPoint(point)) {
           return {
             success: false,
             errorCode: 'INVALID_PARAMETERS',
@@ -1478,9 +1958,18 @@ class MobileAppInterface {
         }
       }
       
+      if (!this._isValidKeepOutZones(data.keepOutZones)) {
+        return {
+          success: false,
+          errorCode: 'INVALID_PARAMETERS',
+          errorMessage: 'Invalid keep-out zones'
+        };
+      }
+      
       // Add command metadata
       const commandData = {
         points: data.points,
+        keepOutZones: data.keepOutZones || [],
         timestamp: Date.now(),
         clientId: clientInfo.id,
         commandId: command.id
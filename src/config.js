@@ -20,13 +20,41 @@ const config = {
     logRotationSize: 10 * 1024 * 1024 // 10 MB
   },
   
+  // Hardware abstraction layer
+  hal: {
+    backend: 'simulator', // 'simulator', 'physics' (simulation world), 'replay' (recorded sensor log) or 'hardware'
+    seed: 1, // Simulator random seed, runs with the same seed read the same sensor values
+    replayFile: null, // Sensor log (JSON lines, gzip or a recording directory) for the replay backend
+    replayLoop: false, // Start the log again when it ends
+    devices: {} // Backend per device class, overriding backend, e.g. { gps: 'hardware' }
+  },
+  
+  // Simulation world for the physics backend
+  simulation: {
+    stepSize: 0.01, // s
+    origin: { latitude: 37.7749, longitude: -122.4194, altitude: 10 }, // Where the local frame origin is
+    start: { x: 0, y: 0, yaw: 0 }, // Starting pose (m, rad counter-clockwise from east)
+    terrain: {
+      slope: { x: 0, y: 0 }, // Grade towards east and north (rise over run)
+      hills: [] // { x, y, radius, height } in meters
+    },
+    obstacles: [], // { x, y, radius } circles, { x, y, width, height } boxes or { points } polygons
+    battery: {
+      capacity: 100, // Ah
+      level: 100 // % at start
+    },
+    noise: {} // Sensor noise overrides, see src/simulation/world.js
+  },
+  
   // Sensor configuration
   sensors: {
     updateInterval: 100, // ms
     gps: {
       enabled: true,
       port: '/dev/ttyUSB0',
-      baudRate: 9600
+      baudRate: 9600,
+      replayFile: null, // NMEA log to replay instead of the sensor log (replay backend)
+      replayLoop: true // Start the log again when it ends
     },
     imu: {
       enabled: true,
@@ -43,6 +71,14 @@ const config = {
         height: 480
       },
       frameRate: 30
+    },
+    loadCell: {
+      enabled: true,
+      updateInterval: 200 // ms
+    },
+    fusion: {
+      maxMeasurementDelay: 500, // ms a late measurement can be replayed into the filter
+      nisSmoothing: 0.05 // Smoothing factor for the innovation consistency check
     }
   },
   
@@ -51,6 +87,58 @@ const config = {
     maxSpeed: 100, // % of maximum
     acceleration: 10, // % per second
     deceleration: 20, // % per second
+    maxAcceleration: 0.5, // m/s²
+    maxDeceleration: 1.0, // m/s² (braking, also sizes the geofence stopping envelope)
+    reverseSpeedRatio: 0.5, // reverse speed limit as a fraction of maxSpeed
+    maxAngularVelocity: 1.0, // rad/s
+    wheelBase: 1.2, // meters, steering directions are driven as the curvature of a bicycle this long
+    // Per-wheel speed loops (normalized speed)
+    wheelPid: {
+      kp: 0.3,
+      ki: 0.5,
+      kd: 0,
+      integralLimit: 0.2
+    },
+    // Wheel slip against the fused ground speed
+    traction: {
+      enabled: true,
+      slipThreshold: 0.25, // slip ratio (wheel speed off ground speed, as a share of the faster)
+      minSpeed: 0.2, // m/s, below which slip is not judged
+      detectTime: 200, // ms over the threshold before a wheel is slipping
+      clearTime: 500, // ms under the threshold before it has grip again
+      targetSlip: 0.1, // a spinning wheel is held this far over ground speed
+      maxBoost: 0.3, // share of its own speed a wheel may take over from a spinning partner
+      maxFusionAge: 500 // ms
+    },
+    // Per-motor derating from temperature and current, and isolation of faulted motors
+    derating: {
+      temperature: {
+        start: 60, // °C, full output below
+        end: 70, // °C, derated to minFactor above
+        minFactor: 0.3,
+        hysteresis: 5 // °C the temperature must drop before the derating is released
+      },
+      current: {
+        start: 10, // A
+        end: 15, // A
+        minFactor: 0.5,
+        hysteresis: 1 // A
+      },
+      faultTemperature: 90, // °C, isolates the motor
+      faultCurrent: 20, // A, isolates the motor
+      limpFactor: 0.3 // vehicle speed, as a share of the maximum, with a motor isolated
+    },
+    // Wheel drives on CAN (hardware backend)
+    can: {
+      bus: 'socketcan', // 'socketcan' or 'virtual' (in-process loopback with virtual drives)
+      channel: 'can0', // SocketCAN interface or virtual bus name
+      nodeIds: { frontLeft: 1, frontRight: 2, rearLeft: 3, rearRight: 4 },
+      masterNodeId: 127, // node of this controller, whose heartbeat the drives watch
+      maxRpm: 3000, // motor rpm at full speed
+      torqueLimit: 100, // % of rated torque
+      heartbeatInterval: 100, // ms
+      heartbeatTimeout: 300 // ms without hearing from a drive before dropping to zero torque
+    },
     leftMotor: {
       pin: 12,
       reverse: false
@@ -58,21 +146,184 @@ const config = {
     rightMotor: {
       pin: 13,
       reverse: false
+    },
+    odometry: {
+      wheelRadius: 0.25, // meters
+      trackWidth: 0.9, // meters between left and right wheel centres
+      ticksPerRevolution: 1024, // encoder ticks per wheel revolution
+      publishInterval: 100 // ms
+    }
+  },
+  
+  // Implement configuration
+  implements: {
+    cutter: {
+      enabled: true,
+      updateInterval: 50, // ms (20 Hz)
+      bladeSpeed: 2500, // RPM (default operating speed)
+      minBladeSpeed: 2000, // RPM
+      maxBladeSpeed: 3000, // RPM
+      spinUpRate: 1000, // RPM per second
+      spinDownRate: 1500, // RPM per second
+      defaultHeight: 10, // cm
+      minHeight: 5, // cm
+      maxHeight: 30, // cm
+      transportHeight: 30, // cm (raised when the blade is stopped)
+      heightRate: 5, // cm per second
+      noLoadCurrent: 4, // A at operating speed
+      cuttingCurrent: 6, // A per m/s of ground speed at 10 cm cutting height
+      currentWarning: 25, // A
+      currentCritical: 35, // A
+      temperatureWarning: 70, // °C
+      temperatureCritical: 85, // °C
+      jamCurrentRatio: 2.5, // spike relative to the running average current
+      jamMinCurrent: 15, // A (spikes below this are ignored)
+      jamDetectionTime: 200, // ms the spike must last
+      sensorTimeout: 1000 // ms before falling back to the simulated blade model
+    },
+    loader: {
+      enabled: true,
+      updateInterval: 100, // ms (10 Hz)
+      capacity: 150, // kg of fodder the container holds
+      fullThreshold: 80, // % fill that raises the container-full alert
+      alertHysteresis: 10, // % the fill must drop before the alert can be raised again
+      emptyThreshold: 2, // kg below which the container counts as empty
+      cropYield: 1.5, // kg collected per metre driven while cutting
+      conveyorRunOn: 3000, // ms the conveyor keeps running after the blade stops
+      dumpRate: 25, // kg per second while tipping the container
+      weightFilter: 0.2, // Low-pass factor for the vibrating load cell
+      sensorTimeout: 1000, // ms before falling back to the feed-rate estimate
+      autoUnload: true, // Drive to the unload point when the container is full
+      unloadPoint: null // { x, y } designated unload point in the field frame
     }
   },
   
   // Navigation configuration
   navigation: {
+    datum: null, // Local frame origin { latitude, longitude, altitude }, or null to use the first GPS fix
     pathPlanningInterval: 500, // ms
     waypointReachedThreshold: 1.0, // meters
     obstacleAvoidanceEnabled: true,
     maxPathDeviationDistance: 5.0, // meters
+    pathPlanningResolution: 0.5, // meters per grid cell
+    maxPathfindingIterations: 10000, // A* node expansions
+    obstacleAvoidanceMargin: 1.0, // meters
+    minTurningRadius: 1.5, // meters
+    pathFollowing: {
+      lookaheadDistance: 2.0, // meters
+      minLookaheadDistance: 1.0, // meters
+      lookaheadGain: 0.5, // seconds (lookahead grows with speed)
+      cruiseSpeed: 1.5, // m/s
+      minSpeed: 0.3, // m/s
+      slowdownDistance: 3.0, // meters before a waypoint
+      wheelBase: 1.2, // meters
+      maxSteeringAngle: 30 // degrees
+    },
+    coverage: {
+      swathWidth: 1.2, // meters (cutter width)
+      overlap: 10, // % of swath width
+      headlandWidth: 4.0, // meters (must fit the headland turns)
+      orientation: 'auto', // row heading in degrees, or 'auto' for the longest boundary edge
+      headlandPasses: true, // cut the headland with laps after the interior
+      turnResolution: 0.5 // meters between turn waypoints
+    },
     boundaries: {
       enabled: true,
-      margin: 2.0 // meters
+      margin: 2.0, // meters
+      reactionTime: 0.3, // seconds from a speed limit to braking
+      warningDistance: 5.0, // meters ahead of the buffered boundary to warn the app
+      warningInterval: 1000, // ms between approach warnings
+      stopTimeout: 3000, // ms held at the geofence while navigating before replanning
+      pivotAngle: 0.2, // radians between heading and path before turning on the spot away from the geofence
+      pivotRate: 0.5 // rad/s turning on the spot away from the geofence
+    },
+    localization: {
+      slowdownUncertainty: 1.5, // meters of position uncertainty before slowing down
+      slowdownFactor: 0.5, // fraction of the commanded speed while degraded
+      maxUncertainty: 3.0 // meters of position uncertainty before holding position
+    },
+    map: {
+      storageDir: './data/maps', // Static obstacles of each field
+      saveInterval: 60000, // ms between saves of the open field's map
+      resolution: 0.5, // meters per cell
+      maxRange: 15, // meters of a LIDAR ray used, returns beyond count as free space
+      lidarHitLogOdds: 0.85,
+      ultrasonicHitLogOdds: 0.6, // wide beam, weaker evidence
+      missLogOdds: -0.4,
+      decayRate: 0.2, // log-odds per second towards unknown
+      staleAfter: 5000, // ms without an observation before a cell decays
+      tracking: {
+        gate: 1.5, // meters
+        movingSpeed: 0.3, // m/s
+        staticAfter: 3000, // ms still before an obstacle is static (and persisted)
+        maxAge: 2000 // ms unseen before a track is dropped
+      },
+      // Ultrasonic sensor mounting (meters forward/left of the vehicle center, rad counter-clockwise from forward)
+      ultrasonicMounts: {
+        front_left: { x: 1.0, y: 0.4, angle: 0.35 },
+        front_center: { x: 1.0, y: 0, angle: 0 },
+        front_right: { x: 1.0, y: -0.4, angle: -0.35 },
+        rear_left: { x: -1.0, y: 0.4, angle: Math.PI - 0.35 },
+        rear_center: { x: -1.0, y: 0, angle: Math.PI },
+        rear_right: { x: -1.0, y: -0.4, angle: -Math.PI + 0.35 }
+      }
+    }
+  },
+  
+  // People and animal detection
+  perception: {
+    enabled: true,
+    classifier: 'rules', // 'rules', 'stub' or a registered model
+    maxRange: 15, // meters of LIDAR range searched
+    clusterGap: 0.5, // meters between neighbouring returns of one candidate
+    minPoints: 2, // returns in a candidate
+    minConfidence: 0.5, // person or animal labels below this count as objects
+    frameMaxAge: 1000, // ms a camera frame is used for
+    clearance: {
+      person: 3.0, // meters the planner keeps from people
+      animal: 2.5 // meters the planner keeps from animals
+    },
+    rules: {
+      personWidth: [0.2, 0.8], // meters
+      animalWidth: [0.8, 2.5] // meters
     }
   },
   
+  // Mission configuration
+  missions: {
+    storageDir: './data/missions',
+    progressInterval: 1000 // ms
+  },
+  
+  // Named fields and saved routes
+  fields: {
+    storageDir: './data/fields'
+  },
+  
+  // Black box recording of every run
+  recording: {
+    enabled: true,
+    storageDir: './data/recordings', // One directory of chunks per run
+    topics: ['sensor.*', 'motor.*', 'navigation.*', 'command.*', 'safety.*', 'mission.*', 'perception.*'], // '*' matches any characters
+    flushInterval: 1000, // ms between compressed writes, the most a crash loses
+    chunkDuration: 60000, // ms before starting a new chunk file
+    chunkSize: 8 * 1024 * 1024, // compressed bytes before starting a new chunk file
+    maxRecordings: 50, // Oldest runs are deleted beyond this
+    maxTotalSize: 1024 * 1024 * 1024 // compressed bytes kept across all runs
+  },
+  
+  // Return-to-dock configuration
+  docking: {
+    location: null, // { x, y } of the charging station
+    autoReturn: true, // Head home when the battery gets too low to finish
+    batteryCapacity: 2400, // Wh (48 V, 50 Ah pack)
+    defaultEnergyPerMeter: 0.1, // Wh/m until enough driving has been measured
+    minLearningDistance: 50, // meters driven before trusting the measured rate
+    energyReserve: 1.5, // Safety factor on the energy needed to reach the dock
+    checkInterval: 5000, // ms
+    resumeLevel: 90 // % charge before resuming the mission
+  },
+  
   // Safety configuration
   safety: {
     watchdogTimeout: 1000, // ms
@@ -80,6 +331,36 @@ const config = {
     maxSpeed: 5, // m/s
     emergencyStopEnabled: true,
     obstacleSafeDistance: 1.0, // meters
+    humanSafeDistance: 2.0, // meters (closer people stop the tractor)
+    // Speed limits by distance to the nearest obstacle (meters from its edge)
+    speedZones: {
+      enabled: true,
+      updateInterval: 100, // ms
+      stationary: {
+        protective: 0.5, // meters (stop)
+        warning: 1.5, // meters (creep at warningSpeed)
+        slow: 4.0, // meters (slow down from full speed to warningSpeed)
+        warningSpeed: 0.3 // m/s
+      },
+      moving: {
+        protective: 1.5,
+        warning: 3.0,
+        slow: 8.0,
+        warningSpeed: 0.2
+      }
+    },
+    // Speed envelope for slope, lateral tilt, container load and battery (FR2.3.4)
+    speedGovernor: {
+      enabled: true,
+      updateInterval: 200, // ms
+      tiltFilter: 0.2, // low-pass filter on pitch and roll
+      minSpeed: 0.3, // m/s, the governor never limits below
+      uphill: { start: 5, end: 15, minFactor: 0.6 }, // degrees of climb
+      downhill: { start: 3, end: 15, minFactor: 0.3 }, // degrees of descent
+      roll: { start: 4, end: 12, minFactor: 0.4 }, // degrees of lateral tilt
+      load: { minFactor: 0.7, downhillMinFactor: 0.5 }, // with a full container
+      battery: { start: 30, end: 10, minFactor: 0.5 } // percent charge
+    },
     boundaryEnforcementEnabled: true
   },
   
@@ -0,0 +1,578 @@
+/**
+ * Sevak Mini Tractor - Field Library
+ *
+ * Stores named fields (boundary polygon, no-go zones, dock and unload points)
+ * and saved routes on disk, so they survive a restart and can be loaded into
+ * the navigation system by name instead of being sent point by point. Every
+ * change bumps the record's version; updates may name the version they were
+ * made against to avoid overwriting someone else's edit.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const config = require('../config');
+const { isValidPoint } = require('../utils/geodesy');
+
+/**
+ * Check that a value is a local frame point ({ x, y })
+ */
+function isLocalPoint(point) {
+  return !!point && typeof point.x === 'number' && typeof point.y === 'number';
+}
+
+/**
+ * Check that a value is a polygon of at least three valid points
+ */
+function isValidPolygon(points) {
+  return Array.isArray(points) && points.length >= 3 && points.every(isValidPoint);
+}
+
+class FieldLibrary {
+  constructor(navigationSystem, dockingManager, loadingController) {
+    this.logger = new Logger('FieldLibrary');
+    this.navigationSystem = navigationSystem;
+    this.dockingManager = dockingManager;
+    this.loadingController = loadingController;
+
+    const fieldConfig = config.fields || {};
+
+    // Library parameters (with default values if not in config)
+    this.params = {
+      storageDir: fieldConfig.storageDir || path.join(process.cwd(), 'data', 'fields')
+    };
+
+    // Fields and routes by ID
+    this.fields = new Map();
+    this.routes = new Map();
+
+    // Field whose boundary is currently set in the navigation system
+    this.loadedFieldId = null;
+
+    // Serializes writes to the library files
+    this.saveQueue = Promise.resolve();
+
+    this.logger.info('Field Library initialized');
+  }
+
+  /**
+   * Initialize the field library
+   */
+  async initialize() {
+    this.logger.info('Initializing field library...');
+
+    try {
+      await this._load('fields', this.fields);
+      await this._load('routes', this.routes);
+
+      this.logger.info(`Loaded ${this.fields.size} fields and ${this.routes.size} routes`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to initialize field library: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Load one kind of record from storage
+   * @private
+   */
+  async _load(kind, records) {
+    try {
+      const data = await fs.readFile(path.join(this.params.storageDir, `${kind}.json`), 'utf8');
+
+      for (const record of JSON.parse(data)) {
+        records.set(record.id, record);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      // File doesn't exist yet, start with an empty library
+    }
+  }
+
+  /**
+   * Save one kind of record to storage
+   * @private
+   */
+  _save(kind) {
+    const records = JSON.stringify(Array.from(this[kind].values()), null, 2);
+
+    this.saveQueue = this.saveQueue
+      .then(async () => {
+        const filePath = path.join(this.params.storageDir, `${kind}.json`);
+        const tempPath = `${filePath}.tmp`;
+
+        await fs.mkdir(this.params.storageDir, { recursive: true });
+
+        // Write to a temporary file first so a crash never leaves a truncated file
+        await fs.writeFile(tempPath, records, 'utf8');
+        await fs.rename(tempPath, filePath);
+      })
+      .catch(error => {
+        this.logger.error(`Failed to save ${kind}: ${error.message}`);
+      });
+
+    return this.saveQueue;
+  }
+
+  /**
+   * Validate field data, filling in what an update leaves out from the stored field
+   * @private
+   * @returns {string|null} Error message, or null if valid
+   */
+  _validateField(data, field = {}) {
+    const merged = { ...field, ...data };
+
+    if (typeof merged.name !== 'string' || merged.name.trim() === '') {
+      return 'Field name is required';
+    }
+
+    if (!isValidPolygon(merged.boundary)) {
+      return 'Field boundary must have at least 3 valid points';
+    }
+
+    if (merged.noGoZones !== undefined &&
+        (!Array.isArray(merged.noGoZones) || !merged.noGoZones.every(isValidPolygon))) {
+      return 'No-go zones must be polygons of at least 3 valid points';
+    }
+
+    // The dock and unload point are used in the local frame
+    for (const key of ['dock', 'unloadPoint']) {
+      if (merged[key] !== undefined && merged[key] !== null && !isLocalPoint(merged[key])) {
+        return `Field ${key} must have numeric x and y`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate route data, filling in what an update leaves out from the stored route
+   * @private
+   * @returns {string|null} Error message, or null if valid
+   */
+  _validateRoute(data, route = {}) {
+    const merged = { ...route, ...data };
+
+    if (typeof merged.name !== 'string' || merged.name.trim() === '') {
+      return 'Route name is required';
+    }
+
+    if (!Array.isArray(merged.waypoints) || merged.waypoints.length === 0 ||
+        !merged.waypoints.every(isValidPoint)) {
+      return 'Route waypoints must be a non-empty array of valid points';
+    }
+
+    if (merged.fieldId !== undefined && merged.fieldId !== null && !this.fields.has(merged.fieldId)) {
+      return 'Route field not found';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the version an update was made against
+   * @private
+   * @returns {object|null} Conflict result, or null if the update may go ahead
+   */
+  _checkVersion(record, version) {
+    if (version !== undefined && version !== record.version) {
+      return {
+        success: false,
+        code: 'conflict',
+        error: `Version ${version} is out of date, current version is ${record.version}`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a change, persist it and notify listeners
+   * @private
+   */
+  _touch(kind, record, event) {
+    this._save(kind === 'field' ? 'fields' : 'routes');
+
+    eventBus.publish(`${kind}.updated`, {
+      event: event,
+      [kind]: this._copy(record),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Copy a record for callers outside the library
+   * @private
+   */
+  _copy(record) {
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  /**
+   * Get all fields
+   * @returns {Array} Fields
+   */
+  listFields() {
+    return Array.from(this.fields.values()).map(field => this._copy(field));
+  }
+
+  /**
+   * Get a field
+   * @param {string} id - Field ID
+   * @returns {object|null} Field, or null if not found
+   */
+  getField(id) {
+    const field = this.fields.get(id);
+    return field ? this._copy(field) : null;
+  }
+
+  /**
+   * Create a field
+   * @param {object} data - Field data (name, boundary, noGoZones, dock, unloadPoint, description)
+   * @returns {object} Result ({ success, field, code, error })
+   */
+  createField(data) {
+    const error = this._validateField(data);
+
+    if (error) {
+      return { success: false, code: 'invalid', error: error };
+    }
+
+    const now = Date.now();
+    const field = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: data.name.trim(),
+      version: 1,
+      description: data.description || '',
+      boundary: data.boundary,
+      noGoZones: data.noGoZones || [],
+      dock: data.dock || null,
+      unloadPoint: data.unloadPoint || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.fields.set(field.id, field);
+    this.logger.info(`Field created: ${field.name}`);
+
+    this._touch('field', field, 'created');
+
+    return { success: true, field: this._copy(field) };
+  }
+
+  /**
+   * Update a field
+   * @param {string} id - Field ID
+   * @param {object} data - Fields to update, and optionally the version they were made against
+   * @returns {object} Result ({ success, field, code, error })
+   */
+  updateField(id, data) {
+    const field = this.fields.get(id);
+
+    if (!field) {
+      return { success: false, code: 'notFound', error: 'Field not found' };
+    }
+
+    const conflict = this._checkVersion(field, data.version);
+    if (conflict) {
+      return conflict;
+    }
+
+    const changes = {};
+    for (const key of ['name', 'description', 'boundary', 'noGoZones', 'dock', 'unloadPoint']) {
+      if (data[key] !== undefined) {
+        changes[key] = data[key];
+      }
+    }
+
+    const error = this._validateField(changes, field);
+
+    if (error) {
+      return { success: false, code: 'invalid', error: error };
+    }
+
+    Object.assign(field, changes);
+    field.name = field.name.trim();
+    field.version++;
+    field.updatedAt = Date.now();
+
+    this.logger.info(`Field updated: ${field.name} (version ${field.version})`);
+
+    this._touch('field', field, 'updated');
+
+    return { success: true, field: this._copy(field) };
+  }
+
+  /**
+   * Delete a field that no saved route uses
+   * @param {string} id - Field ID
+   * @returns {object} Result ({ success, code, error })
+   */
+  deleteField(id) {
+    if (!this.fields.has(id)) {
+      return { success: false, code: 'notFound', error: 'Field not found' };
+    }
+
+    const routes = Array.from(this.routes.values()).filter(route => route.fieldId === id);
+
+    if (routes.length > 0) {
+      return {
+        success: false,
+        code: 'conflict',
+        error: `Field is used by ${routes.length} saved route${routes.length === 1 ? '' : 's'}`
+      };
+    }
+
+    this.fields.delete(id);
+    this._save('fields');
+
+    if (this.loadedFieldId === id) {
+      this.loadedFieldId = null;
+    }
+
+    eventBus.publish('field.deleted', {
+      fieldId: id,
+      timestamp: Date.now()
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Get all routes
+   * @returns {Array} Routes
+   */
+  listRoutes() {
+    return Array.from(this.routes.values()).map(route => this._copy(route));
+  }
+
+  /**
+   * Get a route
+   * @param {string} id - Route ID
+   * @returns {object|null} Route, or null if not found
+   */
+  getRoute(id) {
+    const route = this.routes.get(id);
+    return route ? this._copy(route) : null;
+  }
+
+  /**
+   * Create a route
+   * @param {object} data - Route data (name, waypoints, fieldId, description)
+   * @returns {object} Result ({ success, route, code, error })
+   */
+  createRoute(data) {
+    const error = this._validateRoute(data);
+
+    if (error) {
+      return { success: false, code: 'invalid', error: error };
+    }
+
+    const now = Date.now();
+    const route = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: data.name.trim(),
+      version: 1,
+      description: data.description || '',
+      fieldId: data.fieldId || null,
+      waypoints: data.waypoints,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.routes.set(route.id, route);
+    this.logger.info(`Route created: ${route.name} (${route.waypoints.length} waypoints)`);
+
+    this._touch('route', route, 'created');
+
+    return { success: true, route: this._copy(route) };
+  }
+
+  /**
+   * Update a route
+   * @param {string} id - Route ID
+   * @param {object} data - Fields to update, and optionally the version they were made against
+   * @returns {object} Result ({ success, route, code, error })
+   */
+  updateRoute(id, data) {
+    const route = this.routes.get(id);
+
+    if (!route) {
+      return { success: false, code: 'notFound', error: 'Route not found' };
+    }
+
+    const conflict = this._checkVersion(route, data.version);
+    if (conflict) {
+      return conflict;
+    }
+
+    const changes = {};
+    for (const key of ['name', 'description', 'fieldId', 'waypoints']) {
+      if (data[key] !== undefined) {
+        changes[key] = data[key];
+      }
+    }
+
+    const error = this._validateRoute(changes, route);
+
+    if (error) {
+      return { success: false, code: 'invalid', error: error };
+    }
+
+    Object.assign(route, changes);
+    route.name = route.name.trim();
+    route.version++;
+    route.updatedAt = Date.now();
+
+    this.logger.info(`Route updated: ${route.name} (version ${route.version})`);
+
+    this._touch('route', route, 'updated');
+
+    return { success: true, route: this._copy(route) };
+  }
+
+  /**
+   * Delete a route
+   * @param {string} id - Route ID
+   * @returns {object} Result ({ success, code, error })
+   */
+  deleteRoute(id) {
+    if (!this.routes.has(id)) {
+      return { success: false, code: 'notFound', error: 'Route not found' };
+    }
+
+    this.routes.delete(id);
+    this._save('routes');
+
+    eventBus.publish('route.deleted', {
+      routeId: id,
+      timestamp: Date.now()
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Load a field into the navigation system: its boundary, dock, unload
+   * point and occupancy map
+   * @param {string} id - Field ID
+   * @returns {Promise<object>} Result ({ success, field, code, error })
+   */
+  async loadField(id) {
+    const field = this.fields.get(id);
+
+    if (!field) {
+      return { success: false, code: 'notFound', error: 'Field not found' };
+    }
+
+    if (this.navigationSystem.getStatus().isNavigating) {
+      return { success: false, code: 'conflict', error: 'Cannot load a field while navigating' };
+    }
+
+    // Fails for latitude/longitude boundaries when no datum is set
+    if (!this.navigationSystem.setFieldBoundaries(field.boundary, field.noGoZones)) {
+      return { success: false, code: 'invalid', error: 'Field boundary could not be set' };
+    }
+
+    if (field.dock) {
+      this.dockingManager.setLocation(field.dock);
+    }
+
+    if (field.unloadPoint) {
+      this.loadingController.setUnloadPoint(field.unloadPoint);
+    }
+
+    this.loadedFieldId = field.id;
+
+    // Known obstacles of the field
+    const map = await this.navigationSystem.openFieldMap(field.id);
+    if (!map.success) {
+      this.logger.warn(`Field ${field.name} loaded without its map: ${map.error}`);
+    }
+
+    this.logger.info(`Field loaded: ${field.name} (version ${field.version})`);
+
+    eventBus.publish('field.loaded', {
+      fieldId: field.id,
+      name: field.name,
+      version: field.version,
+      timestamp: Date.now()
+    });
+
+    return { success: true, field: this._copy(field) };
+  }
+
+  /**
+   * Load a route's waypoints into the navigation system, loading its field
+   * first if another one is loaded
+   * @param {string} id - Route ID
+   * @returns {Promise<object>} Result ({ success, route, code, error })
+   */
+  async loadRoute(id) {
+    const route = this.routes.get(id);
+
+    if (!route) {
+      return { success: false, code: 'notFound', error: 'Route not found' };
+    }
+
+    if (this.navigationSystem.getStatus().isNavigating) {
+      return { success: false, code: 'conflict', error: 'Cannot load a route while navigating' };
+    }
+
+    if (route.fieldId && route.fieldId !== this.loadedFieldId) {
+      const result = await this.loadField(route.fieldId);
+
+      if (!result.success) {
+        return result;
+      }
+    }
+
+    // Fails for latitude/longitude waypoints when no datum is set
+    if (!this.navigationSystem.setWaypoints(route.waypoints)) {
+      return { success: false, code: 'invalid', error: 'Route waypoints could not be set' };
+    }
+
+    this.logger.info(`Route loaded: ${route.name} (version ${route.version})`);
+
+    eventBus.publish('route.loaded', {
+      routeId: route.id,
+      name: route.name,
+      version: route.version,
+      timestamp: Date.now()
+    });
+
+    return { success: true, route: this._copy(route) };
+  }
+
+  /**
+   * Get field library status
+   * @returns {object} Status
+   */
+  getStatus() {
+    return {
+      loadedFieldId: this.loadedFieldId,
+      fieldCount: this.fields.size,
+      routeCount: this.routes.size
+    };
+  }
+
+  /**
+   * Shutdown the field library
+   */
+  async shutdown() {
+    this.logger.info('Shutting down field library...');
+
+    // Wait for pending writes
+    await this.saveQueue;
+
+    this.logger.info('Field library shut down');
+    return true;
+  }
+}
+
+module.exports = FieldLibrary;
@@ -0,0 +1,155 @@
+/**
+ * Sevak Mini Tractor - CAN Bus
+ *
+ * Sends and receives raw CAN frames ({ id, data }) on one of two backends:
+ *
+ * - socketcan: a Linux SocketCAN interface such as can0
+ * - virtual: an in-process loopback bus, where every frame sent is received
+ *   by all other ends opened on the same channel name; for tests and for
+ *   running the CAN drivers without hardware
+ */
+
+// Open ends of the virtual buses, by channel name
+const virtualChannels = new Map();
+
+class SocketCanBus {
+  /**
+   * @param {string} channel - SocketCAN interface, e.g. 'can0'
+   */
+  constructor(channel = 'can0') {
+    this.channel = channel;
+    this.socket = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Open the interface
+   */
+  async open() {
+    // Only needed on the tractor itself
+    let socketcan;
+    try {
+      socketcan = require('socketcan');
+    } catch (error) {
+      throw new Error('The SocketCAN bus needs the socketcan package');
+    }
+
+    this.socket = socketcan.createRawChannel(this.channel, true);
+
+    this.socket.addListener('onMessage', message => {
+      this.listeners.forEach(listener => listener({ id: message.id, data: message.data }));
+    });
+
+    this.socket.start();
+  }
+
+  /**
+   * Close the interface
+   */
+  async close() {
+    if (this.socket) {
+      this.socket.stop();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Send a frame
+   * @param {object} frame - { id, data }
+   */
+  send(frame) {
+    this.socket.send({ id: frame.id, ext: false, rtr: false, data: frame.data });
+  }
+
+  /**
+   * Receive every frame read from the bus
+   * @param {function} listener - (frame) => void
+   */
+  onFrame(listener) {
+    this.listeners.push(listener);
+  }
+}
+
+class VirtualCanBus {
+  /**
+   * @param {string} channel - Name of the virtual bus
+   */
+  constructor(channel = 'vcan0') {
+    this.channel = channel;
+    this.listeners = [];
+  }
+
+  /**
+   * Join the virtual bus
+   */
+  async open() {
+    if (!virtualChannels.has(this.channel)) {
+      virtualChannels.set(this.channel, new Set());
+    }
+
+    virtualChannels.get(this.channel).add(this);
+  }
+
+  /**
+   * Leave the virtual bus
+   */
+  async close() {
+    const ends = virtualChannels.get(this.channel);
+
+    if (ends) {
+      ends.delete(this);
+      if (ends.size === 0) {
+        virtualChannels.delete(this.channel);
+      }
+    }
+  }
+
+  /**
+   * Send a frame to every other end of the bus
+   * @param {object} frame - { id, data }
+   */
+  send(frame) {
+    const ends = virtualChannels.get(this.channel);
+
+    if (!ends || !ends.has(this)) {
+      throw new Error(`Virtual CAN bus ${this.channel} is not open`);
+    }
+
+    ends.forEach(end => {
+      if (end !== this) {
+        end.listeners.forEach(listener => listener({ id: frame.id, data: Buffer.from(frame.data) }));
+      }
+    });
+  }
+
+  /**
+   * Receive every frame the other ends send
+   * @param {function} listener - (frame) => void
+   */
+  onFrame(listener) {
+    this.listeners.push(listener);
+  }
+}
+
+/**
+ * Create a CAN bus
+ * @param {string} type - 'socketcan' or 'virtual'
+ * @param {string} channel - Interface or virtual bus name
+ * @returns {SocketCanBus|VirtualCanBus} Bus, not yet opened
+ */
+function createCanBus(type, channel) {
+  switch (type) {
+    case 'socketcan':
+      return new SocketCanBus(channel);
+    case 'virtual':
+      return new VirtualCanBus(channel);
+    default:
+      throw new Error(`Unknown CAN bus: ${type}`);
+  }
+}
+
+module.exports = {
+  SocketCanBus,
+  VirtualCanBus,
+  createCanBus
+};
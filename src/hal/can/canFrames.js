@@ -0,0 +1,251 @@
+/**
+ * Sevak Mini Tractor - CAN Motor Drive Frames
+ *
+ * Encodes and decodes the frames the wheel drives speak, CANopen style:
+ * each drive is a node (1-127) and the frame function is in the top bits of
+ * the 11-bit identifier.
+ *
+ * - NMT (0x000): [command, node] starts or stops a node, node 0 for all
+ * - EMCY (0x080 + node): [fault code (uint16), error register, 0...], fault code 0 when cleared
+ * - TPDO1 (0x180 + node), telemetry from the drive:
+ *   [rpm (int16), current (int16, 0.1 A), temperature (int8, °C), status, fault code (uint16)]
+ * - RPDO1 (0x200 + node), command to the drive:
+ *   [rpm (int16), torque limit (uint16, 0.1 % of rated), control (bit 0 enables the power stage)]
+ * - Heartbeat (0x700 + node): [NMT state]
+ *
+ * Multi-byte fields are little-endian.
+ */
+
+const FUNCTION_CODES = {
+  nmt: 0x000,
+  emergency: 0x080,
+  telemetry: 0x180,
+  command: 0x200,
+  heartbeat: 0x700
+};
+
+const NMT_COMMANDS = {
+  start: 0x01,
+  stop: 0x02,
+  preOperational: 0x80
+};
+
+const NMT_STATES = {
+  stopped: 0x04,
+  operational: 0x05,
+  preOperational: 0x7f
+};
+
+// Fault codes the drives report (CiA 402 error codes)
+const FAULT_CODES = {
+  0x2310: 'overcurrent',
+  0x3210: 'overvoltage',
+  0x3220: 'undervoltage',
+  0x4310: 'overtemperature',
+  0x7305: 'encoder fault',
+  0x8130: 'heartbeat lost'
+};
+
+const STATUS_FAULT = 0x01;
+const CONTROL_ENABLE = 0x01;
+
+/**
+ * Clamp a value into an integer field
+ * @private
+ */
+function clampInt(value, min, max) {
+  return Math.max(min, Math.min(Math.round(value), max));
+}
+
+/**
+ * Split a frame identifier into its function code and node
+ * @param {object} frame - { id, data }
+ * @returns {object} { functionCode, nodeId }
+ */
+function parseId(frame) {
+  return {
+    functionCode: frame.id & 0x780,
+    nodeId: frame.id & 0x7f
+  };
+}
+
+/**
+ * NMT command to one node, or to all with node 0
+ * @param {string} command - 'start', 'stop' or 'preOperational'
+ * @param {number} nodeId - Node, 0 for all
+ * @returns {object} Frame
+ */
+function encodeNmt(command, nodeId = 0) {
+  return {
+    id: FUNCTION_CODES.nmt,
+    data: Buffer.from([NMT_COMMANDS[command], nodeId])
+  };
+}
+
+/**
+ * @param {object} frame - NMT frame
+ * @returns {object} { command, nodeId }
+ */
+function decodeNmt(frame) {
+  const command = Object.keys(NMT_COMMANDS).find(name => NMT_COMMANDS[name] === frame.data[0]) || null;
+
+  return {
+    command: command,
+    nodeId: frame.data[1]
+  };
+}
+
+/**
+ * Heartbeat of a node
+ * @param {number} nodeId - Node
+ * @param {string} state - NMT state
+ * @returns {object} Frame
+ */
+function encodeHeartbeat(nodeId, state = 'operational') {
+  return {
+    id: FUNCTION_CODES.heartbeat + nodeId,
+    data: Buffer.from([NMT_STATES[state]])
+  };
+}
+
+/**
+ * @param {object} frame - Heartbeat frame
+ * @returns {object} { nodeId, state }
+ */
+function decodeHeartbeat(frame) {
+  const state = Object.keys(NMT_STATES).find(name => NMT_STATES[name] === frame.data[0]) || null;
+
+  return {
+    nodeId: parseId(frame).nodeId,
+    state: state
+  };
+}
+
+/**
+ * Speed and torque command to a drive
+ * @param {number} nodeId - Drive node
+ * @param {object} command - { rpm, torque (% of rated), enable }
+ * @returns {object} Frame
+ */
+function encodeCommand(nodeId, command) {
+  const data = Buffer.alloc(5);
+
+  data.writeInt16LE(clampInt(command.rpm, -32768, 32767), 0);
+  data.writeUInt16LE(clampInt(command.torque * 10, 0, 65535), 2);
+  data.writeUInt8(command.enable ? CONTROL_ENABLE : 0, 4);
+
+  return {
+    id: FUNCTION_CODES.command + nodeId,
+    data: data
+  };
+}
+
+/**
+ * @param {object} frame - Command frame
+ * @returns {object} { nodeId, rpm, torque (% of rated), enable }
+ */
+function decodeCommand(frame) {
+  return {
+    nodeId: parseId(frame).nodeId,
+    rpm: frame.data.readInt16LE(0),
+    torque: frame.data.readUInt16LE(2) / 10,
+    enable: (frame.data.readUInt8(4) & CONTROL_ENABLE) !== 0
+  };
+}
+
+/**
+ * Telemetry from a drive
+ * @param {number} nodeId - Drive node
+ * @param {object} telemetry - { rpm, current (A), temperature (°C), faultCode (null if none) }
+ * @returns {object} Frame
+ */
+function encodeTelemetry(nodeId, telemetry) {
+  const data = Buffer.alloc(8);
+
+  data.writeInt16LE(clampInt(telemetry.rpm, -32768, 32767), 0);
+  data.writeInt16LE(clampInt(telemetry.current * 10, -32768, 32767), 2);
+  data.writeInt8(clampInt(telemetry.temperature, -128, 127), 4);
+  data.writeUInt8(telemetry.faultCode ? STATUS_FAULT : 0, 5);
+  data.writeUInt16LE(telemetry.faultCode || 0, 6);
+
+  return {
+    id: FUNCTION_CODES.telemetry + nodeId,
+    data: data
+  };
+}
+
+/**
+ * @param {object} frame - Telemetry frame
+ * @returns {object} { nodeId, rpm, current (A), temperature (°C), faultCode (null if none) }
+ */
+function decodeTelemetry(frame) {
+  const faulted = (frame.data.readUInt8(5) & STATUS_FAULT) !== 0;
+
+  return {
+    nodeId: parseId(frame).nodeId,
+    rpm: frame.data.readInt16LE(0),
+    current: frame.data.readInt16LE(2) / 10,
+    temperature: frame.data.readInt8(4),
+    faultCode: faulted ? frame.data.readUInt16LE(6) : null
+  };
+}
+
+/**
+ * Emergency message of a drive
+ * @param {number} nodeId - Drive node
+ * @param {number} faultCode - Fault code, 0 when the fault is cleared
+ * @returns {object} Frame
+ */
+function encodeEmergency(nodeId, faultCode) {
+  const data = Buffer.alloc(8);
+
+  data.writeUInt16LE(faultCode, 0);
+  data.writeUInt8(faultCode ? 0x01 : 0, 2); // Generic error bit of the error register
+
+  return {
+    id: FUNCTION_CODES.emergency + nodeId,
+    data: data
+  };
+}
+
+/**
+ * @param {object} frame - Emergency frame
+ * @returns {object} { nodeId, faultCode (null when cleared) }
+ */
+function decodeEmergency(frame) {
+  const faultCode = frame.data.readUInt16LE(0);
+
+  return {
+    nodeId: parseId(frame).nodeId,
+    faultCode: faultCode || null
+  };
+}
+
+/**
+ * Describe a fault code
+ * @param {number} faultCode - Fault code
+ * @returns {string} e.g. '0x2310 (overcurrent)'
+ */
+function describeFault(faultCode) {
+  const hex = `0x${faultCode.toString(16).padStart(4, '0')}`;
+
+  return FAULT_CODES[faultCode] ? `${hex} (${FAULT_CODES[faultCode]})` : hex;
+}
+
+module.exports = {
+  FUNCTION_CODES,
+  NMT_STATES,
+  FAULT_CODES,
+  parseId,
+  encodeNmt,
+  decodeNmt,
+  encodeHeartbeat,
+  decodeHeartbeat,
+  encodeCommand,
+  decodeCommand,
+  encodeTelemetry,
+  decodeTelemetry,
+  encodeEmergency,
+  decodeEmergency,
+  describeFault
+};
@@ -0,0 +1,294 @@
+/**
+ * Sevak Mini Tractor - CAN Motor Drive Driver
+ *
+ * Drives the four wheel drives over CAN (config.motors.can), see
+ * canFrames.js for the frames. Each setpoint is sent as a speed command
+ * with the configured torque limit, and the drives answer with telemetry:
+ * speed, current, temperature and fault code. Faults from telemetry and
+ * emergency messages are reported on the wheel for the motor controller to
+ * isolate the motor.
+ *
+ * The driver sends its heartbeat for the drives to watch, and watches
+ * theirs: when a drive has not been heard from within the timeout, every
+ * drive is commanded to zero torque and the silent wheel reports a fault,
+ * until it answers again.
+ *
+ * On the virtual bus a virtual drive is attached for each wheel.
+ */
+
+const Logger = require('../../utils/logger');
+const MotorDriver = require('../motorDriver');
+const { createCanBus } = require('./canBus');
+const VirtualCanDrive = require('./virtualCanDrive');
+const frames = require('./canFrames');
+
+const DEFAULT_NODE_IDS = {
+  frontLeft: 1,
+  frontRight: 2,
+  rearLeft: 3,
+  rearRight: 4
+};
+
+class CanMotorDriveDriver extends MotorDriver {
+  /**
+   * @param {object} options - Driver options (config.motors, with the bus settings in can)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.logger = new Logger(this.constructor.name);
+
+    const can = options.can || {};
+
+    // Bus parameters (with default values if not in config)
+    this.params = {
+      bus: can.bus || 'socketcan', // 'socketcan' or 'virtual'
+      channel: can.channel || 'can0',
+      nodeIds: { ...DEFAULT_NODE_IDS, ...can.nodeIds },
+      masterNodeId: can.masterNodeId || 0x7f,
+      maxRpm: can.maxRpm || 3000, // rpm at a setpoint of 1
+      torqueLimit: can.torqueLimit || 100, // % of rated torque
+      heartbeatInterval: can.heartbeatInterval || 100, // ms
+      heartbeatTimeout: can.heartbeatTimeout || 300 // ms
+    };
+
+    this.bus = null;
+    this.virtualDrives = [];
+    this.heartbeatTimer = null;
+
+    // Last state heard from each drive
+    this.drives = {};
+    this.wheelsByNode = {};
+    MotorDriver.WHEELS.forEach(wheel => {
+      this.drives[wheel] = {
+        rpm: 0,
+        current: null, // A
+        temperature: null, // °C
+        faultCode: null,
+        state: null,
+        lastSeen: null,
+        answering: true
+      };
+      this.wheelsByNode[this.params.nodeIds[wheel]] = wheel;
+    });
+  }
+
+  /**
+   * Open the bus, start the drives and the heartbeat
+   */
+  async open() {
+    this.bus = createCanBus(this.params.bus, this.params.channel);
+    await this.bus.open();
+    this.bus.onFrame(frame => this._handleFrame(frame));
+
+    if (this.params.bus === 'virtual') {
+      this.virtualDrives = MotorDriver.WHEELS.map(wheel => new VirtualCanDrive(this.params.channel, this.params.nodeIds[wheel], {
+        maxRpm: this.params.maxRpm,
+        masterNodeId: this.params.masterNodeId,
+        heartbeatInterval: this.params.heartbeatInterval,
+        heartbeatTimeout: this.params.heartbeatTimeout
+      }));
+
+      await Promise.all(this.virtualDrives.map(drive => drive.open()));
+    }
+
+    // The drives have until the timeout to answer
+    const now = Date.now();
+    MotorDriver.WHEELS.forEach(wheel => {
+      this.drives[wheel].lastSeen = now;
+      this.drives[wheel].answering = true;
+    });
+
+    this.bus.send(frames.encodeNmt('start'));
+
+    this.heartbeatTimer = setInterval(() => {
+      this.bus.send(frames.encodeHeartbeat(this.params.masterNodeId));
+      this._checkDrives();
+    }, this.params.heartbeatInterval);
+
+    this.opened = true;
+    this.logger.info(`Driving wheel drives over ${this.params.bus} CAN bus ${this.params.channel}`);
+  }
+
+  /**
+   * Drop the drives to zero torque and close the bus
+   */
+  async close() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    if (this.bus) {
+      this._dropTorque();
+      this.bus.send(frames.encodeNmt('preOperational'));
+      await Promise.all(this.virtualDrives.map(drive => drive.close()));
+      await this.bus.close();
+    }
+
+    this.bus = null;
+    this.virtualDrives = [];
+    this.opened = false;
+  }
+
+  /**
+   * Send the speed setpoints, or zero torque while a drive is not answering
+   * @param {object} setpoints - Normalized speed per wheel
+   */
+  write(setpoints) {
+    if (!this.bus) {
+      return;
+    }
+
+    this._checkDrives();
+
+    if (MotorDriver.WHEELS.some(wheel => !this.drives[wheel].answering)) {
+      this._dropTorque();
+      return;
+    }
+
+    MotorDriver.WHEELS.forEach(wheel => {
+      const setpoint = Math.max(-1, Math.min(setpoints[wheel] || 0, 1));
+
+      this.bus.send(frames.encodeCommand(this.params.nodeIds[wheel], {
+        rpm: setpoint * this.params.maxRpm,
+        torque: this.params.torqueLimit,
+        enable: true
+      }));
+    });
+  }
+
+  /**
+   * Read the drives' telemetry
+   * @returns {object} Per wheel: normalized speed, rpm, current (A), temperature (°C) and fault (null if none)
+   */
+  read() {
+    this._checkDrives();
+
+    const wheels = {};
+    MotorDriver.WHEELS.forEach(wheel => {
+      const drive = this.drives[wheel];
+      let fault = null;
+
+      if (!drive.answering) {
+        fault = 'drive not answering';
+      } else if (drive.faultCode) {
+        fault = `drive fault ${frames.describeFault(drive.faultCode)}`;
+      }
+
+      wheels[wheel] = {
+        speed: drive.answering ? drive.rpm / this.params.maxRpm : 0,
+        rpm: drive.rpm,
+        current: drive.current,
+        temperature: drive.temperature,
+        fault: fault
+      };
+    });
+
+    return {
+      wheels: wheels,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Command every drive to zero torque
+   * @private
+   */
+  _dropTorque() {
+    MotorDriver.WHEELS.forEach(wheel => {
+      this.bus.send(frames.encodeCommand(this.params.nodeIds[wheel], { rpm: 0, torque: 0, enable: false }));
+    });
+  }
+
+  /**
+   * Mark drives that have not been heard from within the timeout, dropping
+   * every drive to zero torque when one falls silent
+   * @private
+   */
+  _checkDrives() {
+    if (!this.bus) {
+      return;
+    }
+
+    const now = Date.now();
+
+    MotorDriver.WHEELS.forEach(wheel => {
+      const drive = this.drives[wheel];
+      const answering = now - drive.lastSeen <= this.params.heartbeatTimeout;
+
+      if (drive.answering === answering) {
+        return;
+      }
+
+      drive.answering = answering;
+
+      if (answering) {
+        this.logger.info(`${wheel} drive is answering again`);
+      } else {
+        this.logger.error(`${wheel} drive (node ${this.params.nodeIds[wheel]}) stopped answering, dropping to zero torque`);
+        this._dropTorque();
+      }
+    });
+  }
+
+  /**
+   * Take in a frame from a drive
+   * @private
+   */
+  _handleFrame(frame) {
+    const { functionCode, nodeId } = frames.parseId(frame);
+    const wheel = this.wheelsByNode[nodeId];
+
+    if (!wheel) {
+      return;
+    }
+
+    const drive = this.drives[wheel];
+
+    switch (functionCode) {
+      case frames.FUNCTION_CODES.telemetry: {
+        const telemetry = frames.decodeTelemetry(frame);
+        drive.rpm = telemetry.rpm;
+        drive.current = telemetry.current;
+        drive.temperature = telemetry.temperature;
+        this._setFault(wheel, telemetry.faultCode);
+        break;
+      }
+
+      case frames.FUNCTION_CODES.emergency:
+        this._setFault(wheel, frames.decodeEmergency(frame).faultCode);
+        break;
+
+      case frames.FUNCTION_CODES.heartbeat:
+        drive.state = frames.decodeHeartbeat(frame).state;
+        break;
+
+      default:
+        return;
+    }
+
+    drive.lastSeen = Date.now();
+  }
+
+  /**
+   * Record a drive's fault code, logging changes
+   * @private
+   */
+  _setFault(wheel, faultCode) {
+    const drive = this.drives[wheel];
+
+    if (drive.faultCode === faultCode) {
+      return;
+    }
+
+    if (faultCode) {
+      this.logger.error(`${wheel} drive fault ${frames.describeFault(faultCode)}`);
+    } else {
+      this.logger.info(`${wheel} drive fault cleared`);
+    }
+
+    drive.faultCode = faultCode;
+  }
+}
+
+module.exports = CanMotorDriveDriver;
@@ -0,0 +1,168 @@
+/**
+ * Sevak Mini Tractor - Virtual CAN Drive
+ *
+ * A wheel drive on a virtual CAN bus, answering like the real ones: it
+ * starts on the NMT start command, slews towards each speed command and
+ * answers it with telemetry, and sends its heartbeat. Like the real drives
+ * it faults and drops to zero torque when the controller's heartbeat stops.
+ *
+ * Tests can make it fall silent or raise a fault.
+ */
+
+const { VirtualCanBus } = require('./canBus');
+const frames = require('./canFrames');
+
+// Fault code raised when the controller's heartbeat stops
+const HEARTBEAT_LOST = 0x8130;
+
+class VirtualCanDrive {
+  /**
+   * @param {string} channel - Name of the virtual bus
+   * @param {number} nodeId - Drive node
+   * @param {object} options - Drive options
+   * @param {number} options.maxRpm - Rated speed (rpm)
+   * @param {number} options.maxStep - Largest speed change per command (rpm)
+   * @param {number} options.masterNodeId - Node of the controller, whose heartbeat the drive watches
+   * @param {number} options.heartbeatInterval - ms between heartbeats
+   * @param {number} options.heartbeatTimeout - ms without the controller's heartbeat before dropping torque
+   */
+  constructor(channel, nodeId, options = {}) {
+    this.bus = new VirtualCanBus(channel);
+    this.nodeId = nodeId;
+    this.maxRpm = options.maxRpm || 3000;
+    this.maxStep = options.maxStep || this.maxRpm * 0.05;
+    this.masterNodeId = options.masterNodeId || 0x7f;
+    this.heartbeatInterval = options.heartbeatInterval || 100;
+    this.heartbeatTimeout = options.heartbeatTimeout || 300;
+
+    this.state = 'preOperational';
+    this.rpm = 0;
+    this.enabled = false;
+    this.temperature = 30; // °C
+    this.faultCode = null;
+    this.responding = true;
+    this.lastMasterHeartbeat = null;
+    this.timer = null;
+  }
+
+  /**
+   * Join the bus and start sending heartbeats
+   */
+  async open() {
+    await this.bus.open();
+    this.bus.onFrame(frame => this._handleFrame(frame));
+
+    this.lastMasterHeartbeat = Date.now();
+    this.timer = setInterval(() => this._tick(), this.heartbeatInterval);
+  }
+
+  /**
+   * Leave the bus
+   */
+  async close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await this.bus.close();
+  }
+
+  /**
+   * Stop or start answering, as if the drive lost power or its bus connection
+   * @param {boolean} responding - Whether the drive answers
+   */
+  setResponding(responding) {
+    this.responding = responding;
+  }
+
+  /**
+   * Raise a fault, announcing it with an emergency message
+   * @param {number} faultCode - Fault code
+   */
+  raiseFault(faultCode) {
+    this.faultCode = faultCode;
+    this.enabled = false;
+    this.bus.send(frames.encodeEmergency(this.nodeId, faultCode));
+  }
+
+  /**
+   * Clear the fault
+   */
+  clearFault() {
+    this.faultCode = null;
+    this.bus.send(frames.encodeEmergency(this.nodeId, 0));
+  }
+
+  /**
+   * Current drawn at the present speed (A)
+   * @private
+   */
+  _current() {
+    return this.enabled ? 2 + 8 * Math.abs(this.rpm) / this.maxRpm : 0;
+  }
+
+  /**
+   * Answer a frame from the bus
+   * @private
+   */
+  _handleFrame(frame) {
+    if (!this.responding) {
+      return;
+    }
+
+    const { functionCode, nodeId } = frames.parseId(frame);
+
+    if (functionCode === frames.FUNCTION_CODES.nmt) {
+      const nmt = frames.decodeNmt(frame);
+
+      if (nmt.nodeId === 0 || nmt.nodeId === this.nodeId) {
+        this.state = nmt.command === 'start' ? 'operational' : (nmt.command === 'stop' ? 'stopped' : 'preOperational');
+      }
+      return;
+    }
+
+    if (functionCode === frames.FUNCTION_CODES.heartbeat && nodeId === this.masterNodeId) {
+      this.lastMasterHeartbeat = Date.now();
+      return;
+    }
+
+    if (functionCode !== frames.FUNCTION_CODES.command || nodeId !== this.nodeId || this.state !== 'operational') {
+      return;
+    }
+
+    const command = frames.decodeCommand(frame);
+    this.enabled = command.enable && command.torque > 0 && !this.faultCode;
+
+    // Without torque the wheel coasts down
+    const target = this.enabled ? command.rpm : 0;
+    const diff = target - this.rpm;
+    this.rpm += Math.min(Math.abs(diff), this.maxStep) * Math.sign(diff);
+
+    this.bus.send(frames.encodeTelemetry(this.nodeId, {
+      rpm: this.rpm,
+      current: this._current(),
+      temperature: this.temperature,
+      faultCode: this.faultCode
+    }));
+  }
+
+  /**
+   * Send the heartbeat and watch the controller's
+   * @private
+   */
+  _tick() {
+    if (!this.responding) {
+      return;
+    }
+
+    // Losing the controller is a fault: no torque until it is cleared
+    if (!this.faultCode && Date.now() - this.lastMasterHeartbeat > this.heartbeatTimeout) {
+      this.raiseFault(HEARTBEAT_LOST);
+    }
+
+    this.bus.send(frames.encodeHeartbeat(this.nodeId, this.state));
+  }
+}
+
+module.exports = VirtualCanDrive;
@@ -0,0 +1,41 @@
+/**
+ * Sevak Mini Tractor - Hardware Driver Placeholders
+ *
+ * Stand-ins for sensors that have no hardware driver yet. They fail to
+ * open with a clear message, so SensorManager reports the sensor as
+ * disconnected instead of silently running on simulated data. Replace one
+ * by registering the real driver with
+ * hal.registerDriver('hardware', deviceClass, factory).
+ */
+
+const SensorDriver = require('../sensorDriver');
+
+class HardwareSensorDriver extends SensorDriver {
+  /**
+   * @param {string} deviceClass - Device class
+   * @param {object} options - Driver options
+   */
+  constructor(deviceClass, options = {}) {
+    super(options);
+    this.deviceClass = deviceClass;
+  }
+
+  /**
+   * Fail: there is no driver for this hardware
+   */
+  async open() {
+    throw new Error(`No hardware driver is available for ${this.deviceClass}`);
+  }
+
+  /**
+   * Nothing to read without hardware
+   * @returns {null} Always null
+   */
+  read() {
+    return null;
+  }
+}
+
+module.exports = {
+  HardwareSensorDriver
+};
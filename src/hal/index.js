@@ -0,0 +1,189 @@
+/**
+ * Sevak Mini Tractor - Hardware Abstraction Layer
+ *
+ * Creates the driver for each device class from a registry of backends:
+ *
+ * - simulator: deterministic simulated devices, seeded from config.hal.seed
+ * - physics: devices in the simulation world, where the motor commands move
+ *   the tractor that the sensors observe
+ * - replay: readings played back from a recorded sensor log
+ * - hardware: real devices, with the wheel drives on CAN (placeholders
+ *   where no driver exists yet)
+ *
+ * The backend comes from config.hal.backend and can be overridden per
+ * device class with config.hal.devices, e.g. { gps: 'hardware' } for a real
+ * RTK receiver on an otherwise simulated tractor.
+ */
+
+const config = require('../config');
+const { createRandom } = require('./random');
+const SensorDriver = require('./sensorDriver');
+const MotorDriver = require('./motorDriver');
+const SimulatedImuDriver = require('./simulator/simulatedImu');
+const SimulatedLidarDriver = require('./simulator/simulatedLidar');
+const SimulatedUltrasonicDriver = require('./simulator/simulatedUltrasonic');
+const SimulatedTemperatureDriver = require('./simulator/simulatedTemperature');
+const SimulatedPowerDriver = require('./simulator/simulatedPower');
+const SimulatedCameraDriver = require('./simulator/simulatedCamera');
+const SimulatedLoadCellDriver = require('./simulator/simulatedLoadCell');
+const SimulatedMotorDriveDriver = require('./simulator/simulatedMotorDrive');
+const ReplaySensorDriver = require('./replay/replaySensorDriver');
+const ReplayGpsFixDriver = require('./replay/replayGpsFixDriver');
+const ReplayMotorDriveDriver = require('./replay/replayMotorDriveDriver');
+const PhysicsSensorDriver = require('./physics/physicsSensorDriver');
+const PhysicsGpsDriver = require('./physics/physicsGpsDriver');
+const PhysicsMotorDriveDriver = require('./physics/physicsMotorDriveDriver');
+const { HardwareSensorDriver } = require('./hardware/hardwareDrivers');
+const CanMotorDriveDriver = require('./can/canMotorDriveDriver');
+const { getWorld } = require('../simulation');
+const { SimulatedGpsDriver, SerialGpsDriver, ReplayGpsDriver } = require('../sensors/gps');
+
+// Device classes, with the topic their readings are published (and recorded) on
+const DEVICE_TOPICS = {
+  gps: 'sensor.gps.updated',
+  imu: 'sensor.imu.updated',
+  lidar: 'sensor.lidar.updated',
+  ultrasonic: 'sensor.ultrasonic.updated',
+  temperature: 'sensor.temperatureSensors.updated',
+  power: 'sensor.powerMonitors.updated',
+  camera: 'sensor.camera.updated',
+  loadCell: 'sensor.loadCell.updated',
+  motorDrive: 'motor.status.updated'
+};
+
+const DEVICE_CLASSES = Object.keys(DEVICE_TOPICS);
+
+/**
+ * Replay options for a generic sensor
+ * @private
+ */
+function replayOptions(options, context) {
+  return {
+    ...options,
+    replayFile: context.replayFile,
+    replayLoop: context.replayLoop,
+    topic: context.topic
+  };
+}
+
+// Driver factories per backend and device class: (options, context) => driver
+const registry = {
+  simulator: {
+    gps: (options, context) => new SimulatedGpsDriver({ ...options, random: context.random }),
+    imu: (options, context) => new SimulatedImuDriver({ ...options, random: context.random }),
+    lidar: (options, context) => new SimulatedLidarDriver({ ...options, random: context.random }),
+    ultrasonic: (options, context) => new SimulatedUltrasonicDriver({ ...options, random: context.random }),
+    temperature: (options, context) => new SimulatedTemperatureDriver({ ...options, random: context.random }),
+    power: (options, context) => new SimulatedPowerDriver({ ...options, random: context.random }),
+    camera: (options) => new SimulatedCameraDriver(options),
+    loadCell: (options, context) => new SimulatedLoadCellDriver({ ...options, random: context.random }),
+    motorDrive: (options) => new SimulatedMotorDriveDriver(options)
+  },
+  physics: {
+    gps: (options) => new PhysicsGpsDriver(getWorld(), options),
+    imu: (options) => new PhysicsSensorDriver(getWorld(), world => world.readImu(), options),
+    lidar: (options) => new PhysicsSensorDriver(getWorld(), (world, lidar) => world.readLidar(lidar), options),
+    ultrasonic: (options) => new PhysicsSensorDriver(getWorld(), world => world.readUltrasonic(), options),
+    temperature: (options) => new PhysicsSensorDriver(getWorld(), world => world.readTemperatures(), options),
+    power: (options) => new PhysicsSensorDriver(getWorld(), world => world.readPower(), options),
+    // The world has no camera image or container, these stay on the plain simulator
+    camera: (options) => new SimulatedCameraDriver(options),
+    loadCell: (options, context) => new SimulatedLoadCellDriver({ ...options, random: context.random }),
+    motorDrive: (options) => new PhysicsMotorDriveDriver(getWorld(), options)
+  },
+  replay: {
+    // A GPS with its own NMEA log replays that through the NMEA parser
+    gps: (options, context) => options.replayFile ?
+      new ReplayGpsDriver(options) :
+      new ReplayGpsFixDriver(replayOptions(options, context)),
+    imu: (options, context) => new ReplaySensorDriver(replayOptions(options, context)),
+    lidar: (options, context) => new ReplaySensorDriver(replayOptions(options, context)),
+    ultrasonic: (options, context) => new ReplaySensorDriver(replayOptions(options, context)),
+    temperature: (options, context) => new ReplaySensorDriver(replayOptions(options, context)),
+    power: (options, context) => new ReplaySensorDriver(replayOptions(options, context)),
+    camera: (options, context) => new ReplaySensorDriver(replayOptions(options, context)),
+    loadCell: (options, context) => new ReplaySensorDriver(replayOptions(options, context)),
+    motorDrive: (options, context) => new ReplayMotorDriveDriver(replayOptions(options, context))
+  },
+  hardware: {
+    gps: (options) => new SerialGpsDriver(options),
+    imu: (options) => new HardwareSensorDriver('imu', options),
+    lidar: (options) => new HardwareSensorDriver('lidar', options),
+    ultrasonic: (options) => new HardwareSensorDriver('ultrasonic', options),
+    temperature: (options) => new HardwareSensorDriver('temperature', options),
+    power: (options) => new HardwareSensorDriver('power', options),
+    camera: (options) => new HardwareSensorDriver('camera', options),
+    loadCell: (options) => new HardwareSensorDriver('loadCell', options),
+    motorDrive: (options) => new CanMotorDriveDriver(options)
+  }
+};
+
+/**
+ * Get the backend a device class uses
+ * @param {string} deviceClass - Device class
+ * @returns {string} Backend name
+ */
+function getBackend(deviceClass) {
+  const hal = config.hal || {};
+  return (hal.devices && hal.devices[deviceClass]) || hal.backend || 'simulator';
+}
+
+/**
+ * Register a driver factory, adding a backend or replacing a driver
+ * @param {string} backend - Backend name
+ * @param {string} deviceClass - Device class
+ * @param {function} factory - (options, context) => driver
+ */
+function registerDriver(backend, deviceClass, factory) {
+  if (!DEVICE_TOPICS[deviceClass]) {
+    throw new Error(`Unknown device class: ${deviceClass}`);
+  }
+
+  if (!registry[backend]) {
+    registry[backend] = {};
+  }
+
+  registry[backend][deviceClass] = factory;
+}
+
+/**
+ * Create the configured driver for a device class
+ * @param {string} deviceClass - Device class
+ * @param {object} options - Device options (usually its config section)
+ * @returns {SensorDriver|MotorDriver} Driver, not yet opened
+ */
+function createDriver(deviceClass, options = {}) {
+  if (!DEVICE_TOPICS[deviceClass]) {
+    throw new Error(`Unknown device class: ${deviceClass}`);
+  }
+
+  const backend = getBackend(deviceClass);
+  const factory = registry[backend] && registry[backend][deviceClass];
+
+  if (!factory) {
+    throw new Error(`No ${backend} driver for ${deviceClass}`);
+  }
+
+  const hal = config.hal || {};
+  const seed = hal.seed !== undefined ? hal.seed : 1;
+
+  return factory(options, {
+    deviceClass: deviceClass,
+    backend: backend,
+    topic: DEVICE_TOPICS[deviceClass],
+    // One random stream per device, so adding a sensor does not change the others' readings
+    random: createRandom(`${seed}:${deviceClass}`),
+    replayFile: hal.replayFile || null,
+    replayLoop: hal.replayLoop || false
+  });
+}
+
+module.exports = {
+  DEVICE_CLASSES,
+  DEVICE_TOPICS,
+  createDriver,
+  getBackend,
+  registerDriver,
+  SensorDriver,
+  MotorDriver
+};
@@ -0,0 +1,79 @@
+/**
+ * Sevak Mini Tractor - Motor Drive Driver
+ *
+ * Base class for the motor drive behind the hardware abstraction layer.
+ * MotorController writes one set of wheel speed setpoints per control loop
+ * step and reads back the measured wheel speeds.
+ *
+ * Setpoints and speeds are normalized (-1 to 1 of maximum speed, negative
+ * in reverse) per wheel:
+ * { frontLeft, frontRight, rearLeft, rearRight }
+ */
+
+const WHEELS = ['frontLeft', 'frontRight', 'rearLeft', 'rearRight'];
+
+class MotorDriver {
+  /**
+   * @param {object} options - Driver options (config.motors)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.opened = false;
+  }
+
+  /**
+   * Open the driver
+   */
+  async open() {
+    this.opened = true;
+  }
+
+  /**
+   * Close the driver
+   */
+  async close() {
+    this.opened = false;
+  }
+
+  /**
+   * Check whether the driver is open
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return this.opened;
+  }
+
+  /**
+   * Send wheel speed setpoints
+   * @param {object} setpoints - Normalized speed per wheel
+   */
+  write(setpoints) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  /**
+   * Read the measured wheel speeds
+   * Drives that measure them also report each motor's current (A) and
+   * temperature (°C), and a wheel whose drive reports a fault carries its
+   * reason as fault.
+   * @returns {object|null} { wheels: { frontLeft: { speed, current, temperature, fault }, ... }, timestamp }, or null if unavailable
+   */
+  read() {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  /**
+   * Command every wheel to stop immediately
+   */
+  stop() {
+    const setpoints = {};
+    WHEELS.forEach(wheel => {
+      setpoints[wheel] = 0;
+    });
+    this.write(setpoints);
+  }
+}
+
+MotorDriver.WHEELS = WHEELS;
+
+module.exports = MotorDriver;
@@ -0,0 +1,37 @@
+/**
+ * Sevak Mini Tractor - Physics GPS Driver
+ *
+ * Takes fixes of the vehicle's true position in the simulation world.
+ */
+
+const GpsDriver = require('../../sensors/gps/gpsDriver');
+
+class PhysicsGpsDriver extends GpsDriver {
+  /**
+   * @param {SimulationWorld} world - Simulation world
+   * @param {object} options - Driver options (config.sensors.gps)
+   */
+  constructor(world, options = {}) {
+    super(options);
+    this.world = world;
+  }
+
+  /**
+   * Take a fix from the world
+   * @returns {object} Fix
+   */
+  read() {
+    this.world.update();
+    return this.world.readGps();
+  }
+
+  /**
+   * Get the current fix quality
+   * @returns {string} Fix quality
+   */
+  getFixQuality() {
+    return 'simulation';
+  }
+}
+
+module.exports = PhysicsGpsDriver;
@@ -0,0 +1,62 @@
+/**
+ * Sevak Mini Tractor - Physics Motor Drive Driver
+ *
+ * Drives the wheels of the simulation world. Normalized setpoints are scaled
+ * by the same maximum speed MotorController normalizes with.
+ */
+
+const MotorDriver = require('../motorDriver');
+
+class PhysicsMotorDriveDriver extends MotorDriver {
+  /**
+   * @param {SimulationWorld} world - Simulation world
+   * @param {object} options - Driver options (config.motors)
+   */
+  constructor(world, options = {}) {
+    super(options);
+    this.world = world;
+    this.maxSpeed = (options.maxSpeed || 10) / 3.6; // km/h to m/s
+  }
+
+  /**
+   * Send wheel speed setpoints to the world
+   * @param {object} setpoints - Normalized speed per wheel
+   */
+  write(setpoints) {
+    this.world.update();
+
+    const targets = {};
+    Object.keys(setpoints).forEach(wheel => {
+      targets[wheel] = setpoints[wheel] * this.maxSpeed;
+    });
+
+    this.world.setWheelTargets(targets);
+  }
+
+  /**
+   * Read the wheel speeds from the world
+   * @returns {object} Wheel speeds
+   */
+  read() {
+    this.world.update();
+
+    const wheels = {};
+    MotorDriver.WHEELS.forEach(wheel => {
+      wheels[wheel] = { speed: this.world.wheels[wheel].speed / this.maxSpeed };
+    });
+
+    return {
+      wheels: wheels,
+      timestamp: this.world.now()
+    };
+  }
+
+  /**
+   * Brake every wheel at once
+   */
+  stop() {
+    this.world.stopWheels();
+  }
+}
+
+module.exports = PhysicsMotorDriveDriver;
@@ -0,0 +1,32 @@
+/**
+ * Sevak Mini Tractor - Physics Sensor Driver
+ *
+ * Reads one sensor of the simulation world, after advancing the world to
+ * the current time.
+ */
+
+const SensorDriver = require('../sensorDriver');
+
+class PhysicsSensorDriver extends SensorDriver {
+  /**
+   * @param {SimulationWorld} world - Simulation world
+   * @param {function} measure - (world, options) => reading
+   * @param {object} options - Driver options (the sensor's config section)
+   */
+  constructor(world, measure, options = {}) {
+    super(options);
+    this.world = world;
+    this.measure = measure;
+  }
+
+  /**
+   * Take a reading from the world
+   * @returns {object} Reading
+   */
+  read() {
+    this.world.update();
+    return this.measure(this.world, this.options);
+  }
+}
+
+module.exports = PhysicsSensorDriver;
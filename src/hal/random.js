@@ -0,0 +1,42 @@
+/**
+ * Sevak Mini Tractor - Seeded Random Numbers
+ *
+ * Small deterministic pseudo-random generator (mulberry32) for the simulator
+ * backend, so two runs with the same seed see identical sensor readings.
+ */
+
+/**
+ * Hash a string seed to a 32-bit integer (FNV-1a)
+ * @param {string} text - Seed text
+ * @returns {number} 32-bit seed
+ * @private
+ */
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a random number generator
+ * @param {number|string} seed - Seed
+ * @returns {function(): number} Generator returning numbers in [0, 1), like Math.random
+ */
+function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  createRandom
+};
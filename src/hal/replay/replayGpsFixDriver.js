@@ -0,0 +1,42 @@
+/**
+ * Sevak Mini Tractor - Replay GPS Fix Driver
+ *
+ * Plays back recorded 'sensor.gps.updated' fixes from a sensor log and
+ * reports the fix quality of the last one, like a live GPS driver.
+ */
+
+const ReplaySensorDriver = require('./replaySensorDriver');
+
+class ReplayGpsFixDriver extends ReplaySensorDriver {
+  /**
+   * @param {object} options - Driver options (see ReplaySensorDriver)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.fixQuality = 'none';
+  }
+
+  /**
+   * Take the next fix from the log
+   * @returns {object|null} Fix, or null at the end of the log
+   */
+  read() {
+    const fix = super.read();
+
+    if (fix) {
+      this.fixQuality = fix.fixQuality || 'gps';
+    }
+
+    return fix;
+  }
+
+  /**
+   * Get the fix quality of the last fix played
+   * @returns {string} Fix quality
+   */
+  getFixQuality() {
+    return this.fixQuality;
+  }
+}
+
+module.exports = ReplayGpsFixDriver;
@@ -0,0 +1,94 @@
+/**
+ * Sevak Mini Tractor - Replay Log
+ *
+ * Reads a sensor log for the replay backend. The log is JSON lines, one
+ * published event per line:
+ *
+ *   { "topic": "sensor.imu.updated", "timestamp": 1700000000000, "data": { ... } }
+ *
+ * The log may be a plain file, a gzip file (.gz) or a recording directory
+ * written by the recorder, whose chunks are read in name order. Lines that
+ * are blank or do not parse are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Read the text of one log file
+ * @param {string} file - Log file
+ * @returns {Promise<string>} Text, decompressed for .gz files
+ * @private
+ */
+async function readText(file) {
+  const content = await fs.promises.readFile(file);
+
+  if (file.endsWith('.gz')) {
+    // Chunks are a series of gzip members, which gunzip joins
+    return (await gunzip(content)).toString('utf8');
+  }
+
+  return content.toString('utf8');
+}
+
+/**
+ * Load all records from a log
+ * @param {string} file - Log file or recording directory
+ * @returns {Promise<Array>} Records ({ topic, timestamp, data }) in log order
+ */
+async function readLog(file) {
+  const stat = await fs.promises.stat(file);
+  let files = [file];
+
+  if (stat.isDirectory()) {
+    files = (await fs.promises.readdir(file))
+      .filter(name => name.endsWith('.jsonl') || name.endsWith('.jsonl.gz'))
+      .sort()
+      .map(name => path.join(file, name));
+  }
+
+  const records = [];
+
+  for (const logFile of files) {
+    const text = await readText(logFile);
+
+    text.split(/\r?\n/).forEach(line => {
+      if (!line.trim()) {
+        return;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        return;
+      }
+
+      if (record && typeof record.topic === 'string') {
+        records.push(record);
+      }
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Load the records of one topic from a log
+ * @param {string} file - Log file or recording directory
+ * @param {string} topic - Topic to keep
+ * @returns {Promise<Array>} Records ({ topic, timestamp, data }) in log order
+ */
+async function loadRecords(file, topic) {
+  const records = await readLog(file);
+  return records.filter(record => record.topic === topic && record.data);
+}
+
+module.exports = {
+  readLog,
+  loadRecords
+};
@@ -0,0 +1,82 @@
+/**
+ * Sevak Mini Tractor - Replay Motor Drive Driver
+ *
+ * Plays back the recorded wheel speeds from the 'motor.status.updated'
+ * events of a log. Setpoints are ignored, the recorded run drives the wheels.
+ */
+
+const Logger = require('../../utils/logger');
+const MotorDriver = require('../motorDriver');
+const { loadRecords } = require('./replayLog');
+
+const TOPIC = 'motor.status.updated';
+
+class ReplayMotorDriveDriver extends MotorDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {string} options.replayFile - Sensor log file
+   * @param {boolean} options.replayLoop - Start again at the end of the log
+   */
+  constructor(options = {}) {
+    super(options);
+    this.logger = new Logger(this.constructor.name);
+    this.records = [];
+    this.position = 0;
+  }
+
+  /**
+   * Load the motor status records from the log
+   */
+  async open() {
+    if (!this.options.replayFile) {
+      throw new Error('The replay backend needs a replayFile');
+    }
+
+    this.records = (await loadRecords(this.options.replayFile, TOPIC)).filter(record => record.data.motors);
+    this.position = 0;
+    this.opened = true;
+
+    this.logger.info(`Replaying ${this.records.length} motor status records from ${this.options.replayFile}`);
+  }
+
+  /**
+   * Ignore setpoints during replay
+   */
+  write() {}
+
+  /**
+   * Ignore stop commands during replay
+   */
+  stop() {}
+
+  /**
+   * Take the next recorded wheel speeds
+   * @returns {object|null} Wheel speeds, or null at the end of the log
+   */
+  read() {
+    if (this.position >= this.records.length && this.options.replayLoop) {
+      this.position = 0;
+    }
+
+    if (this.position >= this.records.length) {
+      return null;
+    }
+
+    const record = this.records[this.position++];
+    const wheels = {};
+
+    MotorDriver.WHEELS.forEach(wheel => {
+      const motor = record.data.motors[wheel];
+      if (motor) {
+        wheels[wheel] = { speed: motor.speed };
+      }
+    });
+
+    return {
+      wheels: wheels,
+      timestamp: record.data.timestamp || record.timestamp
+    };
+  }
+}
+
+module.exports = ReplayMotorDriveDriver;
@@ -0,0 +1,72 @@
+/**
+ * Sevak Mini Tractor - Replay Sensor Driver
+ *
+ * Plays back the readings of one sensor from a recorded log, one reading
+ * per read, so a run can be reproduced through the same fusion, safety and
+ * navigation code as live data.
+ */
+
+const Logger = require('../../utils/logger');
+const SensorDriver = require('../sensorDriver');
+const { loadRecords } = require('./replayLog');
+
+class ReplaySensorDriver extends SensorDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {string} options.replayFile - Sensor log file
+   * @param {boolean} options.replayLoop - Start again at the end of the log
+   * @param {string} options.topic - Topic the sensor's readings were published on
+   */
+  constructor(options = {}) {
+    super(options);
+    this.logger = new Logger(this.constructor.name);
+    this.records = [];
+    this.position = 0;
+  }
+
+  /**
+   * Load the sensor's readings from the log
+   */
+  async open() {
+    if (!this.options.replayFile) {
+      throw new Error('The replay backend needs a replayFile');
+    }
+
+    this.records = await loadRecords(this.options.replayFile, this.options.topic);
+    this.position = 0;
+    this.opened = true;
+
+    this.logger.info(`Replaying ${this.records.length} ${this.options.topic} readings from ${this.options.replayFile}`);
+  }
+
+  /**
+   * Take the next reading from the log
+   * @returns {object|null} Reading, or null at the end of the log
+   */
+  read() {
+    if (this.position >= this.records.length && this.options.replayLoop) {
+      this.position = 0;
+    }
+
+    if (this.isFinished()) {
+      return null;
+    }
+
+    const record = this.records[this.position++];
+
+    return {
+      ...record.data,
+      timestamp: record.data.timestamp || record.timestamp
+    };
+  }
+
+  /**
+   * Check whether the whole log has been played
+   * @returns {boolean} True at the end of the log
+   */
+  isFinished() {
+    return this.position >= this.records.length;
+  }
+}
+
+module.exports = ReplaySensorDriver;
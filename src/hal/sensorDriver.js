@@ -0,0 +1,51 @@
+/**
+ * Sevak Mini Tractor - Sensor Driver
+ *
+ * Base class for every sensor driver behind the hardware abstraction layer.
+ * A driver is opened once, then polled with read() at the sensor's update
+ * rate; read() returns the newest reading since the previous call, or null
+ * if there is none. Readings have the shape SensorManager publishes on the
+ * sensor's 'sensor.*.updated' topic and always carry a timestamp.
+ */
+
+class SensorDriver {
+  /**
+   * @param {object} options - Driver options (the sensor's config section)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.opened = false;
+  }
+
+  /**
+   * Open the driver
+   */
+  async open() {
+    this.opened = true;
+  }
+
+  /**
+   * Close the driver
+   */
+  async close() {
+    this.opened = false;
+  }
+
+  /**
+   * Check whether the driver is open
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return this.opened;
+  }
+
+  /**
+   * Take the newest reading since the last read
+   * @returns {object|null} Reading, or null if there is no new one
+   */
+  read() {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+}
+
+module.exports = SensorDriver;
@@ -0,0 +1,32 @@
+/**
+ * Sevak Mini Tractor - Simulated Camera Driver
+ *
+ * Reports a frame as available at the configured resolution.
+ */
+
+const SensorDriver = require('../sensorDriver');
+
+class SimulatedCameraDriver extends SensorDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {object} options.resolution - Frame size ({ width, height })
+   */
+  constructor(options = {}) {
+    super(options);
+    this.resolution = options.resolution || { width: 1280, height: 720 };
+  }
+
+  /**
+   * Take a new simulated frame
+   * @returns {object} Frame metadata
+   */
+  read() {
+    return {
+      imageAvailable: true,
+      resolution: { ...this.resolution },
+      timestamp: Date.now()
+    };
+  }
+}
+
+module.exports = SimulatedCameraDriver;
@@ -0,0 +1,52 @@
+/**
+ * Sevak Mini Tractor - Simulated IMU Driver
+ *
+ * Produces noisy readings of a level, stationary vehicle facing north-east.
+ */
+
+const SensorDriver = require('../sensorDriver');
+
+class SimulatedImuDriver extends SensorDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {function} options.random - Random number generator (defaults to Math.random)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Take a new simulated reading
+   * @returns {object} IMU reading
+   */
+  read() {
+    const noise = scale => (this.random() - 0.5) * scale;
+
+    return {
+      acceleration: {
+        x: noise(0.2),
+        y: noise(0.2),
+        z: 9.8 + noise(0.2)
+      },
+      gyroscope: {
+        x: noise(0.1),
+        y: noise(0.1),
+        z: noise(0.1)
+      },
+      magnetometer: {
+        x: 20 + noise(2),
+        y: 0 + noise(2),
+        z: 40 + noise(2)
+      },
+      orientation: {
+        roll: noise(0.05),
+        pitch: noise(0.05),
+        yaw: 0.785 + noise(0.05) // ~45 degrees
+      },
+      timestamp: Date.now()
+    };
+  }
+}
+
+module.exports = SimulatedImuDriver;
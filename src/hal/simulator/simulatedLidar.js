@@ -0,0 +1,56 @@
+/**
+ * Sevak Mini Tractor - Simulated LIDAR Driver
+ *
+ * Produces a 360 point scan of open ground with two fixed obstacles.
+ */
+
+const SensorDriver = require('../sensorDriver');
+
+class SimulatedLidarDriver extends SensorDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {function} options.random - Random number generator (defaults to Math.random)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Take a new simulated scan
+   * @returns {object} Scan ({ points: [{ angle, distance, intensity }], scanTime, timestamp })
+   */
+  read() {
+    const points = [];
+
+    // One point per degree
+    const numPoints = 360;
+    for (let i = 0; i < numPoints; i++) {
+      const angle = (i / numPoints) * 2 * Math.PI;
+
+      // Base distance (10-20 meters)
+      let distance = 10 + this.random() * 10;
+
+      // Add some obstacles
+      if (i > 30 && i < 50) {
+        distance = 3 + this.random() * 2; // Obstacle at 3-5 meters
+      } else if (i > 180 && i < 200) {
+        distance = 4 + this.random() * 3; // Obstacle at 4-7 meters
+      }
+
+      points.push({
+        angle: angle,
+        distance: distance,
+        intensity: 100 + this.random() * 100
+      });
+    }
+
+    return {
+      points: points,
+      scanTime: 100, // ms
+      timestamp: Date.now()
+    };
+  }
+}
+
+module.exports = SimulatedLidarDriver;
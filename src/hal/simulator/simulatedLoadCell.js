@@ -0,0 +1,81 @@
+/**
+ * Sevak Mini Tractor - Simulated Load Cell Driver
+ *
+ * Weighs a simulated container that fills at the loader conveyor's feed
+ * rate and empties while the loader is dumping.
+ */
+
+const SensorDriver = require('../sensorDriver');
+const eventBus = require('../../utils/eventBus');
+
+class SimulatedLoadCellDriver extends SensorDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {number} options.dumpRate - Mass leaving the container while dumping (kg/s)
+   * @param {function} options.random - Random number generator (defaults to Math.random)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.random = options.random || Math.random;
+
+    // Container contents behind the load cell
+    this.simulation = {
+      containerMass: 0, // kg
+      feedRate: 0, // kg per second delivered by the conveyor
+      dumping: false,
+      dumpRate: options.dumpRate || 25, // kg per second
+      lastUpdate: 0
+    };
+
+    this.subscription = null;
+  }
+
+  /**
+   * Follow the loader's conveyor and unload state
+   */
+  async open() {
+    this.subscription = eventBus.subscribe('implement.loader.status.updated', (data) => {
+      this.simulation.feedRate = data.conveyor ? data.conveyor.feedRate : 0;
+      this.simulation.dumping = data.unload ? data.unload.state === 'dumping' : false;
+    });
+
+    this.simulation.lastUpdate = Date.now();
+    this.opened = true;
+  }
+
+  /**
+   * Stop following the loader
+   */
+  async close() {
+    if (this.subscription) {
+      eventBus.unsubscribe(this.subscription);
+      this.subscription = null;
+    }
+    this.opened = false;
+  }
+
+  /**
+   * Weigh the container
+   * @returns {object} Reading ({ weight, timestamp })
+   */
+  read() {
+    const now = Date.now();
+    const simulation = this.simulation;
+    const dt = Math.max(0, (now - simulation.lastUpdate) / 1000);
+    simulation.lastUpdate = now;
+
+    simulation.containerMass += simulation.feedRate * dt;
+
+    if (simulation.dumping) {
+      simulation.containerMass = Math.max(0, simulation.containerMass - simulation.dumpRate * dt);
+    }
+
+    // Vibration from the chassis adds noise
+    return {
+      weight: Math.max(0, simulation.containerMass + (this.random() - 0.5) * 2),
+      timestamp: now
+    };
+  }
+}
+
+module.exports = SimulatedLoadCellDriver;
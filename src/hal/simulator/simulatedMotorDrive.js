@@ -0,0 +1,63 @@
+/**
+ * Sevak Mini Tractor - Simulated Motor Drive Driver
+ *
+ * Each wheel approaches its setpoint by at most a fixed step per control
+ * loop step, like a drive with a limited slew rate.
+ */
+
+const MotorDriver = require('../motorDriver');
+
+class SimulatedMotorDriveDriver extends MotorDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {number} options.maxStep - Largest normalized speed change per write
+   */
+  constructor(options = {}) {
+    super(options);
+    this.maxStep = options.maxStep || 0.05;
+
+    this.speeds = {};
+    MotorDriver.WHEELS.forEach(wheel => {
+      this.speeds[wheel] = 0;
+    });
+  }
+
+  /**
+   * Move each wheel one step towards its setpoint
+   * @param {object} setpoints - Normalized speed per wheel
+   */
+  write(setpoints) {
+    MotorDriver.WHEELS.forEach(wheel => {
+      const diff = (setpoints[wheel] || 0) - this.speeds[wheel];
+      const step = Math.min(Math.abs(diff), this.maxStep) * Math.sign(diff);
+      this.speeds[wheel] += step;
+    });
+  }
+
+  /**
+   * Read the simulated wheel speeds
+   * @returns {object} Wheel speeds
+   */
+  read() {
+    const wheels = {};
+    MotorDriver.WHEELS.forEach(wheel => {
+      wheels[wheel] = { speed: this.speeds[wheel] };
+    });
+
+    return {
+      wheels: wheels,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Stop every wheel at once
+   */
+  stop() {
+    MotorDriver.WHEELS.forEach(wheel => {
+      this.speeds[wheel] = 0;
+    });
+  }
+}
+
+module.exports = SimulatedMotorDriveDriver;
@@ -0,0 +1,42 @@
+/**
+ * Sevak Mini Tractor - Simulated Power Monitor Driver
+ *
+ * Produces battery and motor current readings for a tractor under light load.
+ */
+
+const SensorDriver = require('../sensorDriver');
+
+class SimulatedPowerDriver extends SensorDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {function} options.random - Random number generator (defaults to Math.random)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Take a new simulated reading
+   * @returns {object} Power reading
+   */
+  read() {
+    const noise = scale => (this.random() - 0.5) * scale;
+
+    return {
+      batteryVoltage: 48 + noise(2),
+      batteryCurrent: 10 + noise(5),
+      batteryLevel: 75 + noise(2), // Percentage
+      motorCurrents: {
+        frontLeft: 5 + noise(2),
+        frontRight: 5.2 + noise(2),
+        rearLeft: 4.8 + noise(2),
+        rearRight: 5.1 + noise(2)
+      },
+      powerConsumption: 500 + noise(100), // Watts
+      timestamp: Date.now()
+    };
+  }
+}
+
+module.exports = SimulatedPowerDriver;
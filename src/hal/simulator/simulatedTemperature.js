@@ -0,0 +1,40 @@
+/**
+ * Sevak Mini Tractor - Simulated Temperature Driver
+ *
+ * Produces ambient, motor, controller and battery temperatures at normal
+ * operating levels.
+ */
+
+const SensorDriver = require('../sensorDriver');
+
+class SimulatedTemperatureDriver extends SensorDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {function} options.random - Random number generator (defaults to Math.random)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Take a new simulated reading
+   * @returns {object} Temperatures (°C)
+   */
+  read() {
+    const noise = scale => (this.random() - 0.5) * scale;
+
+    return {
+      ambient: 25 + noise(2),
+      motorFrontLeft: 40 + noise(5),
+      motorFrontRight: 42 + noise(5),
+      motorRearLeft: 41 + noise(5),
+      motorRearRight: 43 + noise(5),
+      controllerMain: 35 + noise(3),
+      batteryPack: 30 + noise(2),
+      timestamp: Date.now()
+    };
+  }
+}
+
+module.exports = SimulatedTemperatureDriver;
@@ -0,0 +1,61 @@
+/**
+ * Sevak Mini Tractor - Simulated Ultrasonic Driver
+ *
+ * Produces readings for the ring of ultrasonic sensors, with the front left
+ * and front centre sensors now and then seeing a close obstacle.
+ */
+
+const SensorDriver = require('../sensorDriver');
+
+const DEFAULT_SENSORS = [
+  { id: 'front_left', maxRange: 4.0 },
+  { id: 'front_center', maxRange: 4.0 },
+  { id: 'front_right', maxRange: 4.0 },
+  { id: 'rear_left', maxRange: 4.0 },
+  { id: 'rear_center', maxRange: 4.0 },
+  { id: 'rear_right', maxRange: 4.0 }
+];
+
+class SimulatedUltrasonicDriver extends SensorDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {Array} options.sensors - Sensors ({ id, maxRange })
+   * @param {function} options.random - Random number generator (defaults to Math.random)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.random = options.random || Math.random;
+    this.sensors = options.sensors || DEFAULT_SENSORS;
+  }
+
+  /**
+   * Take a new simulated reading
+   * @returns {object} Reading ({ sensors: [{ id, distance, maxRange }], timestamp })
+   */
+  read() {
+    const sensors = this.sensors.map(sensor => {
+      // Base distance (3-4 meters)
+      let distance = 3 + this.random();
+
+      // 20% chance of the front sensors detecting an obstacle
+      if (sensor.id === 'front_left' || sensor.id === 'front_center') {
+        if (this.random() < 0.2) {
+          distance = 0.5 + this.random() * 1.5; // Obstacle at 0.5-2 meters
+        }
+      }
+
+      return {
+        id: sensor.id,
+        distance: distance,
+        maxRange: sensor.maxRange
+      };
+    });
+
+    return {
+      sensors: sensors,
+      timestamp: Date.now()
+    };
+  }
+}
+
+module.exports = SimulatedUltrasonicDriver;
@@ -0,0 +1,621 @@
+/**
+ * Sevak Mini Tractor - Cutting Controller
+ *
+ * Controls the fodder cutting implement: blade motor spin-up and spin-down,
+ * cutting height adjustment, blade current and temperature monitoring, and
+ * jam detection from current spikes.
+ */
+
+const Logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const config = require('../config');
+
+class CuttingController {
+  constructor() {
+    this.logger = new Logger('CuttingController');
+
+    const cutterConfig = config.implements?.cutter || {};
+
+    // Cutter parameters (with default values if not in config)
+    this.params = {
+      updateInterval: cutterConfig.updateInterval || 50, // ms
+      bladeSpeed: cutterConfig.bladeSpeed || 2500, // RPM
+      minBladeSpeed: cutterConfig.minBladeSpeed || 2000, // RPM
+      maxBladeSpeed: cutterConfig.maxBladeSpeed || 3000, // RPM
+      spinUpRate: cutterConfig.spinUpRate || 1000, // RPM per second
+      spinDownRate: cutterConfig.spinDownRate || 1500, // RPM per second
+      defaultHeight: cutterConfig.defaultHeight || 10, // cm
+      minHeight: cutterConfig.minHeight || 5, // cm
+      maxHeight: cutterConfig.maxHeight || 30, // cm
+      transportHeight: cutterConfig.transportHeight || 30, // cm
+      heightRate: cutterConfig.heightRate || 5, // cm per second
+      noLoadCurrent: cutterConfig.noLoadCurrent || 4, // A
+      cuttingCurrent: cutterConfig.cuttingCurrent || 6, // A per m/s
+      currentWarning: cutterConfig.currentWarning || 25, // A
+      currentCritical: cutterConfig.currentCritical || 35, // A
+      temperatureWarning: cutterConfig.temperatureWarning || 70, // °C
+      temperatureCritical: cutterConfig.temperatureCritical || 85, // °C
+      jamCurrentRatio: cutterConfig.jamCurrentRatio || 2.5,
+      jamMinCurrent: cutterConfig.jamMinCurrent || 15, // A
+      jamDetectionTime: cutterConfig.jamDetectionTime || 200, // ms
+      sensorTimeout: cutterConfig.sensorTimeout || 1000, // ms
+      ambientTemperature: 25, // °C
+      thermalTimeConstant: 120, // seconds
+      temperatureRisePerAmp: 2.5 // °C per A at steady state
+    };
+
+    // Blade state
+    this.blade = {
+      state: 'stopped',   // 'stopped', 'starting', 'spinningUp', 'running', 'spinningDown', 'jammed'
+      speed: 0,           // Current blade speed (RPM)
+      targetSpeed: this.params.bladeSpeed, // Operating blade speed (RPM)
+      current: 0,         // Current draw (amps)
+      averageCurrent: 0,  // Running average current while cutting (amps)
+      temperature: this.params.ambientTemperature, // Temperature (°C)
+      health: 'good'      // Blade motor health status
+    };
+
+    // Cutting height actuator
+    this.height = {
+      current: this.params.transportHeight, // Current height (cm)
+      target: this.params.transportHeight,  // Actuator target height (cm)
+      cutting: this.params.defaultHeight    // Height to cut at when engaged (cm)
+    };
+
+    // Safety flags
+    this.safetyFlags = {
+      emergencyStop: false,
+      jamDetected: false,
+      overTemperature: false,
+      overCurrent: false
+    };
+
+    // Jam detection
+    this.jam = {
+      spikeStartTime: null,
+      lastJam: null
+    };
+
+    // Ground speed of the tractor (m/s), drives the simulated cutting load
+    this.groundSpeed = 0;
+
+    // Latest blade sensor reading
+    this.lastMeasurement = null;
+
+    // Control loop interval
+    this.controlLoopInterval = null;
+    this.lastUpdateTime = Date.now();
+
+    this.logger.info('Cutting Controller initialized');
+  }
+
+  /**
+   * Initialize the cutting controller
+   */
+  async initialize() {
+    this.logger.info('Initializing cutting controller...');
+
+    try {
+      // In a real implementation, this would initialize the blade motor driver
+      // and height actuator. Without blade sensors, the blade is simulated.
+
+      // Subscribe to events
+      this._subscribeToEvents();
+
+      // Start control loop
+      this.startControlLoop();
+
+      this.logger.info('Cutting controller initialized successfully');
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to initialize cutting controller: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to relevant events
+   * @private
+   */
+  _subscribeToEvents() {
+    // Blade motor sensor readings (current, temperature, speed)
+    eventBus.subscribe('sensor.cutter.updated', (data) => {
+      this.lastMeasurement = { ...data, receivedAt: Date.now() };
+    });
+
+    // Ground speed determines how much crop the blade is fed
+    eventBus.subscribe('motor.status.updated', (data) => {
+      this.groundSpeed = data.motion ? Math.abs(data.motion.speed) : 0;
+    });
+
+    // Stop the blade on any emergency stop
+    eventBus.subscribe('safety.emergencyStop.triggered', (data) => {
+      this.emergencyStop(data.reason);
+    });
+
+    eventBus.subscribe('command.emergencyStop', (data) => {
+      this.emergencyStop(data.reason);
+    });
+
+    // Allow the blade to be engaged again once the emergency stop is reset
+    eventBus.subscribe('safety.emergencyStop.reset', () => {
+      this.resetEmergencyStop();
+    });
+  }
+
+  /**
+   * Start the cutter control loop
+   */
+  startControlLoop() {
+    this.logger.info('Starting cutter control loop');
+
+    this.lastUpdateTime = Date.now();
+
+    // Run control loop at 20Hz
+    this.controlLoopInterval = setInterval(() => {
+      this._controlLoop();
+    }, this.params.updateInterval);
+  }
+
+  /**
+   * Stop the cutter control loop
+   */
+  stopControlLoop() {
+    this.logger.info('Stopping cutter control loop');
+
+    if (this.controlLoopInterval) {
+      clearInterval(this.controlLoopInterval);
+      this.controlLoopInterval = null;
+    }
+  }
+
+  /**
+   * Main control loop for the cutter
+   * @private
+   */
+  _controlLoop() {
+    const now = Date.now();
+    const dt = Math.max(0, (now - this.lastUpdateTime) / 1000);
+    this.lastUpdateTime = now;
+
+    // Move cutting height towards target
+    this._updateHeight(dt);
+
+    // Run blade state machine
+    this._updateBlade(dt);
+
+    // Read or simulate blade current and temperature
+    this._updateMeasurements(dt);
+
+    // Check for jams, overcurrent and overheating
+    this._checkBladeHealth(now);
+
+    // Publish cutter status
+    this._publishStatus();
+  }
+
+  /**
+   * Move the height actuator towards its target
+   * @private
+   */
+  _updateHeight(dt) {
+    const diff = this.height.target - this.height.current;
+    const step = Math.min(Math.abs(diff), this.params.heightRate * dt) * Math.sign(diff);
+    this.height.current += step;
+  }
+
+  /**
+   * Advance the blade state machine
+   * @private
+   */
+  _updateBlade(dt) {
+    switch (this.blade.state) {
+      case 'starting':
+        // Lower to cutting height before spinning up
+        if (this._isAtTargetHeight()) {
+          this.blade.state = 'spinningUp';
+          this.logger.info('Cutting height reached, spinning up blade');
+        }
+        break;
+
+      case 'spinningUp':
+      case 'running':
+        if (this.blade.speed < this.blade.targetSpeed) {
+          this.blade.speed = Math.min(this.blade.targetSpeed, this.blade.speed + this.params.spinUpRate * dt);
+        } else {
+          // Operating speed may have been lowered while running
+          this.blade.speed = Math.max(this.blade.targetSpeed, this.blade.speed - this.params.spinDownRate * dt);
+        }
+
+        if (this.blade.state === 'spinningUp' && this.blade.speed >= this.blade.targetSpeed) {
+          this.blade.state = 'running';
+          this.logger.info(`Blade running at ${this.blade.speed} RPM`);
+        }
+        break;
+
+      case 'spinningDown':
+        this.blade.speed = Math.max(0, this.blade.speed - this.params.spinDownRate * dt);
+
+        if (this.blade.speed === 0) {
+          this.blade.state = 'stopped';
+          this.height.target = this.params.transportHeight;
+          this.logger.info('Blade stopped, raising cutter to transport height');
+        }
+        break;
+
+      case 'stopped':
+      case 'jammed':
+        this.blade.speed = 0;
+        break;
+    }
+  }
+
+  /**
+   * Update blade current and temperature from sensors, or simulate them
+   * @private
+   */
+  _updateMeasurements(dt) {
+    const measurement = this.lastMeasurement;
+
+    if (measurement && Date.now() - measurement.receivedAt < this.params.sensorTimeout) {
+      if (typeof measurement.current === 'number') {
+        this.blade.current = measurement.current;
+      }
+
+      if (typeof measurement.temperature === 'number') {
+        this.blade.temperature = measurement.temperature;
+      }
+
+      return;
+    }
+
+    // In a real implementation, these would come from the blade motor driver
+    // For this prototype, we'll simulate the blade motor
+    const speedRatio = this.blade.speed / this.params.bladeSpeed;
+    let current = this.params.noLoadCurrent * speedRatio;
+
+    // Cutting load grows with ground speed and with lower cutting height
+    if (this.blade.state === 'running') {
+      const heightFactor = this.params.defaultHeight / Math.max(this.height.current, this.params.minHeight);
+      current += this.params.cuttingCurrent * this.groundSpeed * heightFactor;
+    }
+
+    this.blade.current = current;
+
+    // First-order thermal model
+    const steadyTemperature = this.params.ambientTemperature + current * this.params.temperatureRisePerAmp;
+    this.blade.temperature += (steadyTemperature - this.blade.temperature) * Math.min(1, dt / this.params.thermalTimeConstant);
+  }
+
+  /**
+   * Check blade current and temperature for jams and overload
+   * @private
+   */
+  _checkBladeHealth(now) {
+    const current = this.blade.current;
+    const temperature = this.blade.temperature;
+
+    // Jam detection - a sustained spike well above the running average
+    if (this.blade.state === 'running') {
+      const spikeThreshold = Math.max(this.params.jamMinCurrent, this.blade.averageCurrent * this.params.jamCurrentRatio);
+
+      if (current > spikeThreshold) {
+        if (this.jam.spikeStartTime === null) {
+          this.jam.spikeStartTime = now;
+        } else if (now - this.jam.spikeStartTime >= this.params.jamDetectionTime) {
+          this._handleJam(current);
+          return;
+        }
+      } else {
+        this.jam.spikeStartTime = null;
+
+        // Only track the average while cutting normally
+        this.blade.averageCurrent = this.blade.averageCurrent === 0 ?
+          current :
+          this.blade.averageCurrent * 0.95 + current * 0.05;
+      }
+    } else {
+      this.jam.spikeStartTime = null;
+    }
+
+    // Overcurrent
+    const overCurrent = current > this.params.currentCritical;
+
+    if (overCurrent !== this.safetyFlags.overCurrent) {
+      this.safetyFlags.overCurrent = overCurrent;
+
+      if (overCurrent) {
+        this.logger.error(`Critical blade motor current: ${current.toFixed(1)}A`);
+        this._handleSafetyEvent('overCurrent');
+      }
+    } else if (current > this.params.currentWarning && this.blade.health === 'good') {
+      this.logger.warn(`High blade motor current: ${current.toFixed(1)}A`);
+    }
+
+    // Overtemperature
+    const overTemperature = temperature > this.params.temperatureCritical;
+
+    if (overTemperature !== this.safetyFlags.overTemperature) {
+      this.safetyFlags.overTemperature = overTemperature;
+
+      if (overTemperature) {
+        this.logger.error(`Critical blade motor temperature: ${temperature.toFixed(1)}°C`);
+        this._handleSafetyEvent('overTemperature');
+      }
+    }
+
+    // Update health
+    if (this.safetyFlags.jamDetected || overCurrent || overTemperature) {
+      this.blade.health = 'critical';
+    } else if (current > this.params.currentWarning || temperature > this.params.temperatureWarning) {
+      this.blade.health = 'warning';
+    } else {
+      this.blade.health = 'good';
+    }
+  }
+
+  /**
+   * Handle a detected blade jam
+   * @private
+   */
+  _handleJam(current) {
+    this.logger.error(`Blade jam detected: ${current.toFixed(1)}A (average ${this.blade.averageCurrent.toFixed(1)}A)`);
+
+    const bladeSpeed = this.blade.speed;
+
+    // Cut blade power immediately
+    this.blade.state = 'jammed';
+    this.blade.speed = 0;
+    this.blade.health = 'critical';
+    this.safetyFlags.jamDetected = true;
+    this.jam.spikeStartTime = null;
+    this.jam.lastJam = {
+      timestamp: Date.now(),
+      current: current,
+      averageCurrent: this.blade.averageCurrent,
+      height: this.height.current
+    };
+
+    // Publish jam event
+    eventBus.publish('implement.cutter.jam', {
+      current: current,
+      averageCurrent: this.blade.averageCurrent,
+      bladeSpeed: bladeSpeed,
+      height: this.height.current,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Handle blade overload events
+   * @private
+   */
+  _handleSafetyEvent(eventType) {
+    this.logger.warn(`Cutter safety event triggered: ${eventType}`);
+
+    // Stop cutting, but let the blade spin down under control
+    if (this.blade.state !== 'stopped' && this.blade.state !== 'jammed') {
+      this.blade.state = 'spinningDown';
+    }
+
+    // Notify safety system
+    eventBus.publish('safety.event', {
+      source: 'cuttingController',
+      eventType: eventType,
+      severity: 'warning',
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Check if the height actuator has reached its target
+   * @private
+   */
+  _isAtTargetHeight() {
+    return Math.abs(this.height.target - this.height.current) < 0.1;
+  }
+
+  /**
+   * Publish cutter status to event bus
+   * @private
+   */
+  _publishStatus() {
+    eventBus.publish('implement.cutter.status.updated', {
+      ...this.getStatus(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Start cutting - lower to cutting height, then spin up the blade
+   * @returns {object} Result ({ success, error })
+   */
+  engage() {
+    if (this.safetyFlags.emergencyStop) {
+      this.logger.error('Cannot engage blade: emergency stop active');
+      return { success: false, error: 'Emergency stop active' };
+    }
+
+    if (this.safetyFlags.jamDetected) {
+      this.logger.error('Cannot engage blade: jam must be cleared first');
+      return { success: false, error: 'Blade jam not cleared' };
+    }
+
+    if (this.safetyFlags.overTemperature || this.safetyFlags.overCurrent) {
+      this.logger.error('Cannot engage blade: blade motor overloaded');
+      return { success: false, error: 'Blade motor overloaded' };
+    }
+
+    if (this.blade.state === 'running' || this.blade.state === 'spinningUp' || this.blade.state === 'starting') {
+      return { success: true };
+    }
+
+    this.logger.info(`Engaging blade at ${this.height.cutting} cm`);
+
+    this.height.target = this.height.cutting;
+    this.blade.state = 'starting';
+    this.blade.averageCurrent = 0;
+
+    return { success: true };
+  }
+
+  /**
+   * Stop cutting - spin the blade down, then raise to transport height
+   * @returns {object} Result ({ success, error })
+   */
+  disengage() {
+    if (this.blade.state === 'stopped' || this.blade.state === 'jammed') {
+      return { success: true };
+    }
+
+    this.logger.info('Disengaging blade');
+    this.blade.state = 'spinningDown';
+
+    return { success: true };
+  }
+
+  /**
+   * Set cutting height
+   * @param {number} height - Cutting height in cm
+   */
+  setCuttingHeight(height) {
+    // Validate input
+    if (typeof height !== 'number' || isNaN(height)) {
+      this.logger.error(`Invalid cutting height: ${height}`);
+      return false;
+    }
+
+    // Limit to the height range of the cutter
+    const limitedHeight = Math.max(this.params.minHeight, Math.min(height, this.params.maxHeight));
+
+    if (limitedHeight !== height) {
+      this.logger.warn(`Cutting height limited from ${height} to ${limitedHeight} cm`);
+    }
+
+    this.height.cutting = limitedHeight;
+
+    // Adjust immediately if the cutter is lowered
+    if (this.blade.state !== 'stopped' && this.blade.state !== 'jammed') {
+      this.height.target = limitedHeight;
+    }
+
+    this.logger.info(`Cutting height set to ${limitedHeight} cm`);
+
+    return true;
+  }
+
+  /**
+   * Set blade operating speed
+   * @param {number} speed - Blade speed in RPM
+   */
+  setBladeSpeed(speed) {
+    // Validate input
+    if (typeof speed !== 'number' || isNaN(speed)) {
+      this.logger.error(`Invalid blade speed: ${speed}`);
+      return false;
+    }
+
+    // Limit to the blade's operating range
+    const limitedSpeed = Math.max(this.params.minBladeSpeed, Math.min(speed, this.params.maxBladeSpeed));
+
+    if (limitedSpeed !== speed) {
+      this.logger.warn(`Blade speed limited from ${speed} to ${limitedSpeed} RPM`);
+    }
+
+    this.blade.targetSpeed = limitedSpeed;
+    this.logger.info(`Blade speed set to ${limitedSpeed} RPM`);
+
+    return true;
+  }
+
+  /**
+   * Clear a detected jam once the blade has been checked
+   * @returns {boolean} Success
+   */
+  clearJam() {
+    if (!this.safetyFlags.jamDetected) {
+      return true;
+    }
+
+    this.logger.info('Clearing blade jam');
+
+    this.safetyFlags.jamDetected = false;
+    this.blade.state = 'stopped';
+    this.height.target = this.params.transportHeight;
+
+    return true;
+  }
+
+  /**
+   * Emergency stop - brake the blade immediately
+   * @param {string} reason - Reason for the emergency stop
+   */
+  emergencyStop(reason) {
+    if (!this.safetyFlags.emergencyStop) {
+      this.logger.critical(`Cutter emergency stop: ${reason || 'Emergency stop'}`, true);
+    }
+
+    this.safetyFlags.emergencyStop = true;
+
+    // Brake blade to a standstill and hold the cutter where it is
+    this.blade.speed = 0;
+    this.height.target = this.height.current;
+    if (this.blade.state !== 'jammed') {
+      this.blade.state = 'stopped';
+    }
+    this.jam.spikeStartTime = null;
+
+    return true;
+  }
+
+  /**
+   * Reset emergency stop
+   */
+  resetEmergencyStop() {
+    if (!this.safetyFlags.emergencyStop) {
+      return true;
+    }
+
+    this.logger.info('Resetting cutter emergency stop');
+
+    // Blade stays stopped until engaged again
+    this.safetyFlags.emergencyStop = false;
+    this.height.target = this.params.transportHeight;
+
+    return true;
+  }
+
+  /**
+   * Get current cutter status
+   * @returns {object} Current cutter status
+   */
+  getStatus() {
+    return {
+      state: this.blade.state,
+      isCutting: this.blade.state === 'running',
+      blade: { ...this.blade },
+      height: { ...this.height },
+      safetyFlags: { ...this.safetyFlags },
+      lastJam: this.jam.lastJam
+    };
+  }
+
+  /**
+   * Shutdown the cutting controller
+   */
+  async shutdown() {
+    this.logger.info('Shutting down cutting controller...');
+
+    // Stop control loop
+    this.stopControlLoop();
+
+    // Stop the blade
+    this.blade.speed = 0;
+    this.blade.state = 'stopped';
+
+    this.logger.info('Cutting controller shut down');
+    return true;
+  }
+}
+
+module.exports = CuttingController;
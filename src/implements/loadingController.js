@@ -0,0 +1,543 @@
+/**
+ * Sevak Mini Tractor - Loading Controller
+ *
+ * Controls the fodder collector conveyor and tracks the container fill level
+ * from the container load cell. Raises an alert when the container is nearly
+ * full and can drive the tractor to a designated unload point to empty it.
+ */
+
+const Logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const config = require('../config');
+
+class LoadingController {
+  constructor(navigationSystem = null) {
+    this.logger = new Logger('LoadingController');
+    this.navigationSystem = navigationSystem;
+
+    const loaderConfig = config.implements?.loader || {};
+
+    // Loader parameters (with default values if not in config)
+    this.params = {
+      updateInterval: loaderConfig.updateInterval || 100, // ms
+      capacity: loaderConfig.capacity || 150, // kg
+      fullThreshold: loaderConfig.fullThreshold || 80, // %
+      alertHysteresis: loaderConfig.alertHysteresis || 10, // %
+      emptyThreshold: loaderConfig.emptyThreshold || 2, // kg
+      cropYield: loaderConfig.cropYield || 1.5, // kg per metre
+      conveyorRunOn: loaderConfig.conveyorRunOn || 3000, // ms
+      dumpRate: loaderConfig.dumpRate || 25, // kg per second
+      weightFilter: loaderConfig.weightFilter || 0.2,
+      sensorTimeout: loaderConfig.sensorTimeout || 1000, // ms
+      autoUnload: loaderConfig.autoUnload !== false
+    };
+
+    // Collector conveyor
+    this.conveyor = {
+      running: false,
+      feedRate: 0,      // kg per second delivered into the container
+      stopRequestedAt: null // Start of the run-on period after cutting stops
+    };
+
+    // Fodder container
+    this.container = {
+      weight: 0,        // Filtered net weight (kg)
+      fillLevel: 0,     // Percentage of capacity
+      capacity: this.params.capacity
+    };
+
+    // Container-full alert
+    this.alert = {
+      raised: false,
+      lastRaised: null
+    };
+
+    // Unload task
+    this.unload = {
+      state: 'idle',    // 'idle', 'travelling', 'dumping'
+      point: loaderConfig.unloadPoint ? { ...loaderConfig.unloadPoint } : null,
+      resumeWaypoints: null, // Remaining path to continue after unloading
+      resumeCutting: false
+    };
+
+    // Safety flags
+    this.safetyFlags = {
+      emergencyStop: false
+    };
+
+    // Inputs from other subsystems
+    this.cutterActive = false;
+    this.groundSpeed = 0;
+    this.lastMeasurement = null;
+
+    // Control loop interval
+    this.controlLoopInterval = null;
+    this.lastUpdateTime = Date.now();
+
+    this.logger.info('Loading Controller initialized');
+  }
+
+  /**
+   * Initialize the loading controller
+   */
+  async initialize() {
+    this.logger.info('Initializing loading controller...');
+
+    try {
+      // In a real implementation, this would initialize the conveyor drive
+      // and container tipping actuator
+
+      // Subscribe to events
+      this._subscribeToEvents();
+
+      // Start control loop
+      this.startControlLoop();
+
+      this.logger.info('Loading controller initialized successfully');
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to initialize loading controller: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to relevant events
+   * @private
+   */
+  _subscribeToEvents() {
+    // Container load cell readings
+    eventBus.subscribe('sensor.loadCell.updated', (data) => {
+      this.lastMeasurement = { ...data, receivedAt: Date.now() };
+    });
+
+    // The collector runs while the cutter is cutting
+    eventBus.subscribe('implement.cutter.status.updated', (data) => {
+      this.cutterActive = data.isCutting;
+    });
+
+    // Ground speed determines how much fodder is collected
+    eventBus.subscribe('motor.status.updated', (data) => {
+      this.groundSpeed = data.motion ? Math.abs(data.motion.speed) : 0;
+    });
+
+    // Unload point reached
+    eventBus.subscribe('navigation.path.complete', () => {
+      if (this.unload.state === 'travelling') {
+        this._startDumping();
+      }
+    });
+
+    // Navigation stopped before reaching the unload point
+    eventBus.subscribe('navigation.stopped', () => {
+      if (this.unload.state === 'travelling') {
+        this._abortUnload('Navigation stopped');
+      }
+    });
+
+    // Stop the conveyor and any unload task on an emergency stop
+    eventBus.subscribe('safety.emergencyStop.triggered', (data) => {
+      this.emergencyStop(data.reason);
+    });
+
+    eventBus.subscribe('command.emergencyStop', (data) => {
+      this.emergencyStop(data.reason);
+    });
+
+    eventBus.subscribe('safety.emergencyStop.reset', () => {
+      this.resetEmergencyStop();
+    });
+  }
+
+  /**
+   * Start the loader control loop
+   */
+  startControlLoop() {
+    this.logger.info('Starting loader control loop');
+
+    this.lastUpdateTime = Date.now();
+
+    // Run control loop at 10Hz
+    this.controlLoopInterval = setInterval(() => {
+      this._controlLoop();
+    }, this.params.updateInterval);
+  }
+
+  /**
+   * Stop the loader control loop
+   */
+  stopControlLoop() {
+    this.logger.info('Stopping loader control loop');
+
+    if (this.controlLoopInterval) {
+      clearInterval(this.controlLoopInterval);
+      this.controlLoopInterval = null;
+    }
+  }
+
+  /**
+   * Main control loop for the loader
+   * @private
+   */
+  _controlLoop() {
+    const now = Date.now();
+    const dt = Math.max(0, (now - this.lastUpdateTime) / 1000);
+    this.lastUpdateTime = now;
+
+    // Run the conveyor with the cutter
+    this._updateConveyor(now);
+
+    // Estimate container contents
+    this._updateFillLevel(dt, now);
+
+    // Raise the container-full alert
+    this._checkFillLevel();
+
+    // Finish emptying the container
+    if (this.unload.state === 'dumping' && this.container.weight <= this.params.emptyThreshold) {
+      this._completeUnload();
+    }
+
+    // Publish loader status
+    this._publishStatus();
+  }
+
+  /**
+   * Run the conveyor while cutting, with a run-on to clear the belt
+   * @private
+   */
+  _updateConveyor(now) {
+    const collecting = this.cutterActive && this.unload.state === 'idle' && !this.safetyFlags.emergencyStop;
+
+    if (collecting) {
+      if (!this.conveyor.running) {
+        this.logger.info('Starting collector conveyor');
+      }
+
+      this.conveyor.running = true;
+      this.conveyor.stopRequestedAt = null;
+    } else if (this.conveyor.running) {
+      if (this.safetyFlags.emergencyStop) {
+        this.conveyor.running = false;
+      } else if (this.conveyor.stopRequestedAt === null) {
+        this.conveyor.stopRequestedAt = now;
+      } else if (now - this.conveyor.stopRequestedAt >= this.params.conveyorRunOn) {
+        this.conveyor.running = false;
+        this.conveyor.stopRequestedAt = null;
+        this.logger.info('Collector conveyor stopped');
+      }
+    }
+
+    // Fodder only arrives while the cutter is feeding the conveyor
+    this.conveyor.feedRate = collecting ? this.params.cropYield * this.groundSpeed : 0;
+  }
+
+  /**
+   * Update container weight from the load cell, or estimate it from the feed rate
+   * @private
+   */
+  _updateFillLevel(dt, now) {
+    const measurement = this.lastMeasurement;
+
+    if (measurement && now - measurement.receivedAt < this.params.sensorTimeout) {
+      // Filter out chassis vibration
+      this.container.weight += (measurement.weight - this.container.weight) * this.params.weightFilter;
+    } else {
+      // Dead-reckon the contents until the load cell comes back
+      this.container.weight += this.conveyor.feedRate * dt;
+
+      if (this.unload.state === 'dumping') {
+        this.container.weight -= this.params.dumpRate * dt;
+      }
+    }
+
+    this.container.weight = Math.max(0, this.container.weight);
+    this.container.fillLevel = Math.min(100, (this.container.weight / this.params.capacity) * 100);
+  }
+
+  /**
+   * Raise the container-full alert once per filling
+   * @private
+   */
+  _checkFillLevel() {
+    const fillLevel = this.container.fillLevel;
+
+    if (fillLevel >= this.params.fullThreshold && !this.alert.raised) {
+      this._handleContainerFull();
+    } else if (fillLevel < this.params.fullThreshold - this.params.alertHysteresis) {
+      this.alert.raised = false;
+    }
+  }
+
+  /**
+   * Handle the container reaching the full threshold
+   * @private
+   */
+  _handleContainerFull() {
+    const fillLevel = Math.round(this.container.fillLevel);
+
+    this.logger.warn(`Fodder container ${fillLevel}% full (${this.container.weight.toFixed(1)} kg)`);
+
+    this.alert.raised = true;
+    this.alert.lastRaised = Date.now();
+
+    // Publish container full event
+    eventBus.publish('implement.loader.full', {
+      fillLevel: this.container.fillLevel,
+      weight: this.container.weight,
+      capacity: this.params.capacity,
+      timestamp: Date.now()
+    });
+
+    // Notify the operator through the monitoring system
+    eventBus.publish('monitoring.alert', {
+      type: 'implement',
+      level: 'warning',
+      message: `Fodder container ${fillLevel}% full`,
+      details: {
+        fillLevel: this.container.fillLevel,
+        weight: this.container.weight,
+        capacity: this.params.capacity,
+        threshold: this.params.fullThreshold
+      }
+    });
+
+    // Go and empty the container if the tractor is working a path
+    if (this.params.autoUnload && this.unload.point && this.navigationSystem?.state.isNavigating) {
+      this.startUnload();
+    }
+  }
+
+  /**
+   * Begin tipping the container
+   * @private
+   */
+  _startDumping() {
+    this.logger.info(`Emptying fodder container (${this.container.weight.toFixed(1)} kg)`);
+
+    this.unload.state = 'dumping';
+
+    eventBus.publish('implement.loader.unload.dumping', {
+      weight: this.container.weight,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Finish unloading and resume the interrupted path
+   * @private
+   */
+  _completeUnload() {
+    this.logger.info('Fodder container empty');
+
+    const resumeWaypoints = this.unload.resumeWaypoints;
+    const resumeCutting = this.unload.resumeCutting;
+
+    this.unload.state = 'idle';
+    this.unload.resumeWaypoints = null;
+    this.unload.resumeCutting = false;
+
+    eventBus.publish('implement.loader.unload.completed', {
+      weight: this.container.weight,
+      resumed: !!resumeWaypoints,
+      timestamp: Date.now()
+    });
+
+    if (resumeWaypoints && this.navigationSystem) {
+      this.logger.info(`Resuming path with ${resumeWaypoints.length} waypoints`);
+
+      this.navigationSystem.setWaypoints(resumeWaypoints);
+      this.navigationSystem.startNavigation();
+
+      if (resumeCutting) {
+        this._commandCutter('start');
+      }
+    }
+  }
+
+  /**
+   * Abandon the unload task
+   * @private
+   */
+  _abortUnload(reason) {
+    this.logger.warn(`Unload aborted: ${reason}`);
+
+    this.unload.state = 'idle';
+    this.unload.resumeWaypoints = null;
+    this.unload.resumeCutting = false;
+
+    eventBus.publish('implement.loader.unload.aborted', {
+      reason: reason,
+      weight: this.container.weight,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Start or stop the cutter around an unload trip
+   * @private
+   */
+  _commandCutter(action) {
+    eventBus.publish('command.cutter', {
+      action: action,
+      timestamp: Date.now(),
+      source: 'loadingController'
+    });
+  }
+
+  /**
+   * Publish loader status to event bus
+   * @private
+   */
+  _publishStatus() {
+    eventBus.publish('implement.loader.status.updated', {
+      ...this.getStatus(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Empty the container - drive to the unload point first if one is set
+   * @returns {object} Result ({ success, error })
+   */
+  startUnload() {
+    if (this.safetyFlags.emergencyStop) {
+      this.logger.error('Cannot unload: emergency stop active');
+      return { success: false, error: 'Emergency stop active' };
+    }
+
+    if (this.unload.state !== 'idle') {
+      return { success: false, error: 'Unload already in progress' };
+    }
+
+    // Without an unload point, tip the container where the tractor stands
+    if (!this.unload.point) {
+      this._startDumping();
+      return { success: true };
+    }
+
+    if (!this.navigationSystem) {
+      this.logger.error('Cannot drive to unload point: no navigation system');
+      return { success: false, error: 'Navigation not available' };
+    }
+
+    // Remember the rest of the current path to pick up afterwards
+    const navigating = this.navigationSystem.state.isNavigating;
+    this.unload.resumeWaypoints = navigating ? this.navigationSystem.getRemainingWaypoints() : null;
+    this.unload.resumeCutting = this.cutterActive;
+
+    if (this.cutterActive) {
+      this._commandCutter('stop');
+    }
+
+    if (!this.navigationSystem.setWaypoints([{ ...this.unload.point }]) ||
+        !this.navigationSystem.startNavigation()) {
+      this.unload.resumeWaypoints = null;
+      this.unload.resumeCutting = false;
+      return { success: false, error: 'Failed to navigate to unload point' };
+    }
+
+    this.logger.info(`Driving to unload point (${this.unload.point.x}, ${this.unload.point.y})`);
+
+    this.unload.state = 'travelling';
+
+    eventBus.publish('implement.loader.unload.started', {
+      point: { ...this.unload.point },
+      weight: this.container.weight,
+      fillLevel: this.container.fillLevel,
+      timestamp: Date.now()
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Set the designated unload point
+   * @param {object} point - Unload point ({ x, y }), or null to unload in place
+   * @returns {boolean} Success
+   */
+  setUnloadPoint(point) {
+    if (point !== null && (!point || typeof point.x !== 'number' || typeof point.y !== 'number')) {
+      this.logger.error('Invalid unload point: must have numeric x and y');
+      return false;
+    }
+
+    this.unload.point = point ? { ...point } : null;
+    this.logger.info(point ? `Unload point set to (${point.x}, ${point.y})` : 'Unload point cleared');
+
+    return true;
+  }
+
+  /**
+   * Emergency stop - stop the conveyor and any unload task
+   * @param {string} reason - Reason for the emergency stop
+   */
+  emergencyStop(reason) {
+    if (!this.safetyFlags.emergencyStop) {
+      this.logger.critical(`Loader emergency stop: ${reason || 'Emergency stop'}`, true);
+    }
+
+    this.safetyFlags.emergencyStop = true;
+
+    this.conveyor.running = false;
+    this.conveyor.feedRate = 0;
+    this.conveyor.stopRequestedAt = null;
+
+    if (this.unload.state !== 'idle') {
+      this._abortUnload('Emergency stop');
+    }
+
+    return true;
+  }
+
+  /**
+   * Reset emergency stop
+   */
+  resetEmergencyStop() {
+    if (!this.safetyFlags.emergencyStop) {
+      return true;
+    }
+
+    this.logger.info('Resetting loader emergency stop');
+    this.safetyFlags.emergencyStop = false;
+
+    return true;
+  }
+
+  /**
+   * Get current loader status
+   * @returns {object} Current loader status
+   */
+  getStatus() {
+    return {
+      conveyor: { ...this.conveyor },
+      container: { ...this.container },
+      isFull: this.container.fillLevel >= this.params.fullThreshold,
+      unload: {
+        state: this.unload.state,
+        point: this.unload.point ? { ...this.unload.point } : null,
+        resumePending: !!this.unload.resumeWaypoints
+      },
+      safetyFlags: { ...this.safetyFlags }
+    };
+  }
+
+  /**
+   * Shutdown the loading controller
+   */
+  async shutdown() {
+    this.logger.info('Shutting down loading controller...');
+
+    // Stop control loop
+    this.stopControlLoop();
+
+    // Stop the conveyor
+    this.conveyor.running = false;
+    this.conveyor.feedRate = 0;
+
+    this.logger.info('Loading controller shut down');
+    return true;
+  }
+}
+
+module.exports = LoadingController;
@@ -0,0 +1,488 @@
+/**
+ * Sevak Mini Tractor - Docking Manager
+ *
+ * Brings the tractor back to its charging station before the battery runs
+ * out. Learns the energy used per metre driven from the power monitors,
+ * checks whether the remaining charge still covers the trip home and, when
+ * it does not, pauses the active mission, drives to the dock and resumes the
+ * mission once the battery is charged.
+ */
+
+const Logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const config = require('../config');
+
+// Position jumps larger than this are GPS corrections, not driving
+const MAX_POSITION_STEP = 5.0; // meters
+
+class DockingManager {
+  constructor(navigationSystem, missionManager, safetyMonitor = null) {
+    this.logger = new Logger('DockingManager');
+    this.navigationSystem = navigationSystem;
+    this.missionManager = missionManager;
+    this.safetyMonitor = safetyMonitor;
+
+    const dockingConfig = config.docking || {};
+
+    // Docking parameters (with default values if not in config)
+    this.params = {
+      autoReturn: dockingConfig.autoReturn !== false,
+      batteryCapacity: dockingConfig.batteryCapacity || 2400, // Wh
+      defaultEnergyPerMeter: dockingConfig.defaultEnergyPerMeter || 0.1, // Wh/m
+      minLearningDistance: dockingConfig.minLearningDistance || 50, // meters
+      energyReserve: dockingConfig.energyReserve || 1.5,
+      checkInterval: dockingConfig.checkInterval || 5000, // ms
+      resumeLevel: dockingConfig.resumeLevel || 90, // %
+      criticalLevel: config.safety?.batteryCriticalThreshold || 10, // %
+      cruiseSpeed: config.navigation?.pathFollowing?.cruiseSpeed || 1.5 // m/s
+    };
+
+    // Charging station position
+    this.location = dockingConfig.location ? { ...dockingConfig.location } : null;
+
+    // Return trip
+    this.state = 'idle'; // 'idle', 'returning', 'charging'
+    this.reason = null;
+    this.missionId = null; // Mission paused for the trip
+    this.estimate = null;  // Last energy and time estimate for the trip home
+    this.resumingMission = false;
+
+    // Energy use history
+    this.energy = {
+      consumed: 0, // Wh used while driving
+      distance: 0  // meters driven
+    };
+
+    // Latest readings
+    this.batteryLevel = null;
+    this.lastPosition = null;
+    this.lastPowerSample = null;
+    this.isNavigating = false;
+    this.remainingDistance = null;
+
+    // Energy check interval
+    this.checkInterval = null;
+
+    this.logger.info('Docking Manager initialized');
+  }
+
+  /**
+   * Initialize the docking manager
+   */
+  async initialize() {
+    this.logger.info('Initializing docking manager...');
+
+    try {
+      // Subscribe to events
+      this._subscribeToEvents();
+
+      // Start energy checks
+      this.checkInterval = setInterval(() => {
+        this._checkEnergy();
+      }, this.params.checkInterval);
+
+      if (!this.location) {
+        this.logger.warn('No dock location configured, automatic return disabled');
+      }
+
+      this.logger.info('Docking manager initialized successfully');
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to initialize docking manager: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to relevant events
+   * @private
+   */
+  _subscribeToEvents() {
+    // Distance driven and progress towards the dock
+    eventBus.subscribe('navigation.status.updated', (data) => {
+      this._handleNavigationStatus(data);
+    });
+
+    // Battery level and power draw
+    eventBus.subscribe('sensor.powerMonitors.updated', (data) => {
+      this._handlePowerStatus(data);
+    });
+
+    // Head home as soon as the safety monitor flags a low battery
+    eventBus.subscribe('safety.violation', (data) => {
+      if (data.type === 'batteryLow') {
+        this._considerReturn('Battery low');
+      }
+    });
+
+    // Arrived at the dock
+    eventBus.subscribe('navigation.path.complete', () => {
+      if (this.state === 'returning') {
+        this._startCharging();
+      }
+    });
+
+    // Navigation stopped before reaching the dock
+    eventBus.subscribe('navigation.stopped', () => {
+      if (this.state === 'returning') {
+        this._abortReturn('Navigation stopped');
+      }
+    });
+
+    // The operator took over the paused mission
+    eventBus.subscribe('mission.updated', (data) => {
+      this._handleMissionUpdate(data);
+    });
+  }
+
+  /**
+   * Track distance driven and the remaining distance home
+   * @private
+   */
+  _handleNavigationStatus(data) {
+    const position = data.position;
+
+    if (this.lastPosition && this.isNavigating && data.isNavigating) {
+      const step = Math.hypot(position.x - this.lastPosition.x, position.y - this.lastPosition.y);
+
+      if (step < MAX_POSITION_STEP) {
+        this.energy.distance += step;
+      }
+    }
+
+    this.lastPosition = { x: position.x, y: position.y };
+    this.isNavigating = data.isNavigating;
+    this.remainingDistance = data.path ? data.path.remainingDistance : null;
+  }
+
+  /**
+   * Track battery level and the energy used while driving
+   * @private
+   */
+  _handlePowerStatus(data) {
+    const timestamp = data.timestamp || Date.now();
+
+    if (this.lastPowerSample !== null && this.isNavigating) {
+      const dt = Math.max(0, (timestamp - this.lastPowerSample) / 1000);
+      this.energy.consumed += (data.powerConsumption || 0) * dt / 3600;
+    }
+
+    this.lastPowerSample = timestamp;
+    this.batteryLevel = data.batteryLevel;
+
+    // Charged enough to go back to work
+    if (this.state === 'charging' && this.batteryLevel >= this.params.resumeLevel) {
+      this._finishCharging();
+    }
+  }
+
+  /**
+   * Follow operator actions on the mission paused for the trip
+   * @private
+   */
+  _handleMissionUpdate(data) {
+    if (this.resumingMission || !this.missionId || data.mission.id !== this.missionId) {
+      return;
+    }
+
+    if (data.event === 'resumed' || data.event === 'started') {
+      // The mission drives away from the dock, leave it to the operator
+      this.logger.warn('Mission resumed by operator, return to dock cancelled');
+
+      this.missionId = null;
+
+      if (this.state !== 'idle') {
+        this.state = 'idle';
+        this._publishStatus('cancelled');
+      }
+    } else if (data.event === 'aborted') {
+      // Keep going home, but nothing to resume afterwards
+      this.missionId = null;
+    }
+  }
+
+  /**
+   * Periodic check that the charge left still covers the trip home
+   * @private
+   */
+  _checkEnergy() {
+    if (this.state === 'returning') {
+      this._updateEstimate();
+      this._publishStatus('progress');
+      return;
+    }
+
+    if (this.state !== 'idle' || !this._missionInProgress()) {
+      return;
+    }
+
+    const estimate = this.estimateReturn();
+
+    if (estimate && estimate.energyAvailable <= estimate.energyRequired) {
+      this._considerReturn('Insufficient battery to continue');
+    }
+  }
+
+  /**
+   * Check whether a mission is currently running
+   * @private
+   */
+  _missionInProgress() {
+    const mission = this.missionManager.getStatus().activeMission;
+    return !!mission && mission.status === 'in_progress';
+  }
+
+  /**
+   * Return to the dock if there is a running mission to interrupt
+   * @private
+   */
+  _considerReturn(reason) {
+    if (!this.params.autoReturn || !this.location || this.state !== 'idle' || !this._missionInProgress()) {
+      return;
+    }
+
+    this.returnToDock(reason);
+  }
+
+  /**
+   * Refresh the trip estimate from the distance left on the path home
+   * @private
+   */
+  _updateEstimate() {
+    if (!this.estimate || this.remainingDistance === null) {
+      return;
+    }
+
+    this.estimate = this._buildEstimate(this.remainingDistance);
+  }
+
+  /**
+   * Build an energy and time estimate for driving a distance
+   * @private
+   */
+  _buildEstimate(distance) {
+    const energyPerMeter = this.getEnergyPerMeter();
+    const usableLevel = Math.max(0, (this.batteryLevel ?? 0) - this.params.criticalLevel);
+    const duration = distance / this.params.cruiseSpeed; // seconds
+
+    return {
+      distance: distance,
+      energyPerMeter: energyPerMeter,
+      energyRequired: distance * energyPerMeter * this.params.energyReserve,
+      energyAvailable: (usableLevel / 100) * this.params.batteryCapacity,
+      duration: duration,
+      eta: Date.now() + duration * 1000
+    };
+  }
+
+  /**
+   * Arrive at the dock and wait for the battery to charge
+   * @private
+   */
+  _startCharging() {
+    this.logger.info('Arrived at dock, charging');
+
+    this.state = 'charging';
+    this.estimate = null;
+
+    this._publishStatus('arrived');
+
+    // Already charged, e.g. a manual return with a healthy battery
+    if (this.batteryLevel !== null && this.batteryLevel >= this.params.resumeLevel) {
+      this._finishCharging();
+    }
+  }
+
+  /**
+   * Battery charged - resume the interrupted mission
+   * @private
+   */
+  _finishCharging() {
+    this.logger.info(`Battery charged to ${Math.round(this.batteryLevel)}%`);
+
+    const missionId = this.missionId;
+
+    this.state = 'idle';
+    this.reason = null;
+    this.missionId = null;
+
+    let resumed = false;
+
+    if (missionId) {
+      if (this.safetyMonitor && !this.safetyMonitor.isSafeToOperate()) {
+        this.logger.warn('Not resuming mission: safety violation');
+      } else {
+        this.resumingMission = true;
+        const result = this.missionManager.resumeMission(missionId);
+        this.resumingMission = false;
+
+        resumed = result.success;
+
+        if (!result.success) {
+          this.logger.warn(`Could not resume mission: ${result.error}`);
+        }
+      }
+    }
+
+    this._publishStatus('charged', { missionId: missionId, resumed: resumed });
+  }
+
+  /**
+   * Abandon the trip home
+   * @private
+   */
+  _abortReturn(reason) {
+    this.logger.warn(`Return to dock aborted: ${reason}`);
+
+    this.state = 'idle';
+    this.estimate = null;
+
+    this._publishStatus('aborted', { abortReason: reason });
+  }
+
+  /**
+   * Publish docking status to event bus
+   * @private
+   */
+  _publishStatus(event, details = {}) {
+    eventBus.publish('docking.status.updated', {
+      event: event,
+      ...this.getStatus(),
+      ...details,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Energy used per metre driven, learned from the power monitors
+   * @returns {number} Wh per metre
+   */
+  getEnergyPerMeter() {
+    if (this.energy.distance < this.params.minLearningDistance) {
+      return this.params.defaultEnergyPerMeter;
+    }
+
+    return this.energy.consumed / this.energy.distance;
+  }
+
+  /**
+   * Estimate the energy and time needed to reach the dock from here
+   * @returns {object|null} Estimate, or null if the dock cannot be reached
+   */
+  estimateReturn() {
+    if (!this.location) {
+      return null;
+    }
+
+    const route = this.navigationSystem.planRoute(this.location);
+
+    if (!route.success) {
+      return null;
+    }
+
+    return { ...this._buildEstimate(route.distance), waypoints: route.waypoints };
+  }
+
+  /**
+   * Set the charging station position
+   * @param {object} location - Dock position ({ x, y })
+   * @returns {boolean} Success
+   */
+  setLocation(location) {
+    if (!location || typeof location.x !== 'number' || typeof location.y !== 'number') {
+      this.logger.error('Invalid dock location: must have numeric x and y');
+      return false;
+    }
+
+    this.location = { x: location.x, y: location.y };
+    this.logger.info(`Dock location set to (${location.x}, ${location.y})`);
+
+    return true;
+  }
+
+  /**
+   * Pause the active mission and drive to the dock
+   * @param {string} reason - Reason for returning
+   * @returns {object} Result ({ success, error })
+   */
+  returnToDock(reason = 'Requested by operator') {
+    if (!this.location) {
+      return { success: false, error: 'No dock location set' };
+    }
+
+    if (this.state !== 'idle') {
+      return { success: false, error: 'Already returning to dock' };
+    }
+
+    const estimate = this.estimateReturn();
+
+    if (!estimate) {
+      this.logger.error('Cannot return to dock: no route found');
+
+      eventBus.publish('monitoring.alert', {
+        type: 'navigation',
+        level: 'critical',
+        message: 'No route to the charging station',
+        details: { reason: reason, location: this.location }
+      });
+
+      return { success: false, error: 'No route to dock' };
+    }
+
+    this.logger.warn(`Returning to dock: ${reason} (${estimate.distance.toFixed(1)} m, ${Math.round(estimate.duration)} s)`);
+
+    // Hold the mission where it is so it can pick up after charging
+    const paused = this.missionManager.pauseActiveMission(`Returning to dock: ${reason}`);
+    if (paused && paused.success) {
+      this.missionId = paused.mission.id;
+    }
+
+    const { waypoints, ...tripEstimate } = estimate;
+
+    if (!this.navigationSystem.setWaypoints(waypoints) || !this.navigationSystem.startNavigation()) {
+      this.logger.error('Cannot return to dock: failed to start navigation');
+      return { success: false, error: 'Failed to start navigation' };
+    }
+
+    this.state = 'returning';
+    this.reason = reason;
+    this.estimate = tripEstimate;
+
+    this._publishStatus('returning');
+
+    return { success: true };
+  }
+
+  /**
+   * Get docking status
+   * @returns {object} Status
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      reason: this.reason,
+      location: this.location ? { ...this.location } : null,
+      missionId: this.missionId,
+      batteryLevel: this.batteryLevel,
+      energyPerMeter: this.getEnergyPerMeter(),
+      estimate: this.estimate ? { ...this.estimate } : null
+    };
+  }
+
+  /**
+   * Shutdown the docking manager
+   */
+  async shutdown() {
+    this.logger.info('Shutting down docking manager...');
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.logger.info('Docking manager shut down successfully');
+    return true;
+  }
+}
+
+module.exports = DockingManager;
@@ -0,0 +1,938 @@
+/**
+ * Sevak Mini Tractor - Mission Manager
+ *
+ * Server-side mission engine. Stores missions (cutting, loading, transport
+ * and custom tasks) on disk and runs them as a sequence of steps across the
+ * navigation system and the implement controllers, with pause, resume and
+ * abort support.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const config = require('../config');
+const { isValidPoint } = require('../utils/geodesy');
+
+// Mission types offered by the mobile app task list
+const MISSION_TYPES = ['cutting', 'loading', 'transport', 'custom'];
+
+// Step types the engine knows how to run
+const STEP_TYPES = ['navigate', 'coverage', 'cutterStart', 'cutterStop', 'unload', 'wait'];
+
+// Steps that drive the tractor along a path
+const DRIVING_STEPS = ['navigate', 'coverage'];
+
+class MissionManager {
+  constructor(navigationSystem, cuttingController, loadingController) {
+    this.logger = new Logger('MissionManager');
+    this.navigationSystem = navigationSystem;
+    this.cuttingController = cuttingController;
+    this.loadingController = loadingController;
+
+    const missionConfig = config.missions || {};
+
+    // Mission parameters (with default values if not in config)
+    this.params = {
+      storageDir: missionConfig.storageDir || path.join(process.cwd(), 'data', 'missions'),
+      progressInterval: missionConfig.progressInterval || 1000 // ms
+    };
+
+    // Missions by ID
+    this.missions = new Map();
+
+    // Mission currently in progress or paused
+    this.activeMissionId = null;
+
+    // Timer for wait steps
+    this.stepTimer = null;
+
+    // Progress publishing interval
+    this.progressInterval = null;
+
+    // Serializes writes to the missions file
+    this.saveQueue = Promise.resolve();
+
+    this.logger.info('Mission Manager initialized');
+  }
+
+  /**
+   * Initialize the mission manager
+   */
+  async initialize() {
+    this.logger.info('Initializing mission manager...');
+
+    try {
+      // Load stored missions
+      await this._loadMissions();
+
+      // Subscribe to events
+      this._subscribeToEvents();
+
+      // Start progress updates
+      this.progressInterval = setInterval(() => {
+        this._publishProgress();
+      }, this.params.progressInterval);
+
+      this.logger.info('Mission manager initialized successfully');
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to initialize mission manager: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to relevant events
+   * @private
+   */
+  _subscribeToEvents() {
+    // Driving steps finish at the end of the path, unless the loader has
+    // taken the tractor to the unload point
+    eventBus.subscribe('navigation.path.complete', () => {
+      const loaderState = this.loadingController ? this.loadingController.getStatus().unload.state : 'idle';
+
+      if (loaderState === 'idle' && DRIVING_STEPS.includes(this._currentStepType())) {
+        this._completeStep();
+      }
+    });
+
+    eventBus.subscribe('navigation.path.blocked', (data) => {
+      if (DRIVING_STEPS.includes(this._currentStepType())) {
+        this._failMission(`Path blocked: ${data.reason}`);
+      }
+    });
+
+    // Navigation stopped by something other than the mission
+    eventBus.subscribe('navigation.stopped', () => {
+      if (DRIVING_STEPS.includes(this._currentStepType())) {
+        this.pauseActiveMission('Navigation stopped');
+      }
+    });
+
+    // Blade up to speed
+    eventBus.subscribe('implement.cutter.status.updated', (data) => {
+      if (data.isCutting && this._currentStepType() === 'cutterStart') {
+        this._completeStep();
+      }
+    });
+
+    // A jammed blade needs the operator
+    eventBus.subscribe('implement.cutter.jam', () => {
+      this.pauseActiveMission('Cutter jam');
+    });
+
+    eventBus.subscribe('implement.loader.unload.completed', () => {
+      if (this._currentStepType() === 'unload') {
+        this._completeStep();
+      }
+    });
+
+    eventBus.subscribe('implement.loader.unload.aborted', (data) => {
+      if (this._currentStepType() === 'unload') {
+        this.pauseActiveMission(`Unload aborted: ${data.reason}`);
+      }
+    });
+
+    // Hold the mission on any emergency stop
+    eventBus.subscribe('safety.emergencyStop.triggered', () => {
+      this.pauseActiveMission('Emergency stop');
+    });
+
+    eventBus.subscribe('command.emergencyStop', () => {
+      this.pauseActiveMission('Emergency stop');
+    });
+  }
+
+  /**
+   * Load missions from storage
+   * @private
+   */
+  async _loadMissions() {
+    const filePath = path.join(this.params.storageDir, 'missions.json');
+
+    try {
+      const data = await fs.readFile(filePath, 'utf8');
+
+      for (const mission of JSON.parse(data)) {
+        // A mission that was running when the system went down waits for the operator
+        if (mission.status === 'in_progress') {
+          mission.status = 'paused';
+          mission.pauseReason = 'System restarted';
+        }
+
+        if (mission.status === 'paused') {
+          this.activeMissionId = mission.id;
+        }
+
+        this.missions.set(mission.id, mission);
+      }
+
+      this.logger.info(`Loaded ${this.missions.size} missions`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      // File doesn't exist yet, start with no missions
+    }
+  }
+
+  /**
+   * Save missions to storage
+   * @private
+   */
+  _saveMissions() {
+    const missions = JSON.stringify(Array.from(this.missions.values()), null, 2);
+
+    this.saveQueue = this.saveQueue
+      .then(async () => {
+        const filePath = path.join(this.params.storageDir, 'missions.json');
+        const tempPath = `${filePath}.tmp`;
+
+        await fs.mkdir(this.params.storageDir, { recursive: true });
+
+        // Write to a temporary file first so a crash never leaves a truncated file
+        await fs.writeFile(tempPath, missions, 'utf8');
+        await fs.rename(tempPath, filePath);
+      })
+      .catch(error => {
+        this.logger.error(`Failed to save missions: ${error.message}`);
+      });
+
+    return this.saveQueue;
+  }
+
+  /**
+   * Validate mission data and build its steps
+   * @private
+   * @returns {object} Steps ({ steps }) or validation error ({ error })
+   */
+  _buildSteps(type, parameters, steps) {
+    if (!MISSION_TYPES.includes(type)) {
+      return { error: `Mission type must be one of: ${MISSION_TYPES.join(', ')}` };
+    }
+
+    if (steps !== undefined) {
+      if (!Array.isArray(steps) || steps.length === 0) {
+        return { error: 'Steps must be a non-empty array' };
+      }
+
+      for (const step of steps) {
+        const error = this._validateStep(step);
+
+        if (error) {
+          return { error: error };
+        }
+      }
+
+      return { steps: steps.map(step => ({ ...step, status: 'pending' })) };
+    }
+
+    // Standard step sequences for each mission type
+    const cutterStart = { type: 'cutterStart', height: parameters.height, speed: parameters.speed };
+    const coverage = {
+      type: 'coverage',
+      boundary: parameters.boundary,
+      swathWidth: parameters.swathWidth,
+      overlap: parameters.overlap,
+      headlandWidth: parameters.headlandWidth,
+      orientation: parameters.orientation
+    };
+
+    let sequence;
+
+    switch (type) {
+      case 'cutting':
+        sequence = [cutterStart, coverage, { type: 'cutterStop' }];
+        break;
+
+      case 'loading':
+        sequence = [cutterStart, coverage, { type: 'cutterStop' }, { type: 'unload' }];
+        break;
+
+      case 'transport':
+        sequence = [{ type: 'navigate', waypoints: parameters.waypoints }, { type: 'unload' }];
+        break;
+
+      case 'custom':
+        return { error: 'Custom missions require steps' };
+    }
+
+    for (const step of sequence) {
+      const error = this._validateStep(step);
+
+      if (error) {
+        return { error: error };
+      }
+    }
+
+    return { steps: sequence.map(step => ({ ...step, status: 'pending' })) };
+  }
+
+  /**
+   * Validate a single mission step
+   * @private
+   * @returns {string|null} Error message, or null if valid
+   */
+  _validateStep(step) {
+    if (!step || !STEP_TYPES.includes(step.type)) {
+      return `Step type must be one of: ${STEP_TYPES.join(', ')}`;
+    }
+
+    if (step.type === 'navigate') {
+      if (!Array.isArray(step.waypoints) || step.waypoints.length === 0) {
+        return 'Navigate steps require a non-empty waypoints array';
+      }
+
+      if (!step.waypoints.every(isValidPoint)) {
+        return 'Each waypoint must have numeric x and y coordinates or a valid latitude and longitude';
+      }
+    }
+
+    if (step.type === 'coverage' && step.boundary !== undefined) {
+      if (!Array.isArray(step.boundary) || step.boundary.length < 3) {
+        return 'Coverage boundary must be an array with at least 3 points';
+      }
+
+      if (!step.boundary.every(isValidPoint)) {
+        return 'Each boundary point must have numeric x and y coordinates or a valid latitude and longitude';
+      }
+    }
+
+    if (step.type === 'wait' && (typeof step.duration !== 'number' || step.duration <= 0)) {
+      return 'Wait steps require a positive duration in milliseconds';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the active mission
+   * @private
+   */
+  _getActiveMission() {
+    return this.activeMissionId ? this.missions.get(this.activeMissionId) : null;
+  }
+
+  /**
+   * Get the type of the step the active mission is running
+   * @private
+   */
+  _currentStepType() {
+    const mission = this._getActiveMission();
+
+    if (!mission || mission.status !== 'in_progress') {
+      return null;
+    }
+
+    const step = mission.steps[mission.currentStep];
+    return step ? step.type : null;
+  }
+
+  /**
+   * Start the current step of the active mission
+   * @private
+   */
+  _runStep() {
+    const mission = this._getActiveMission();
+
+    if (mission.currentStep >= mission.steps.length) {
+      this._completeMission();
+      return;
+    }
+
+    const step = mission.steps[mission.currentStep];
+
+    step.status = 'running';
+    step.startedAt = Date.now();
+
+    this.logger.info(`Mission ${mission.name}: step ${mission.currentStep + 1}/${mission.steps.length} (${step.type})`);
+
+    eventBus.publish('mission.step.started', {
+      missionId: mission.id,
+      stepIndex: mission.currentStep,
+      step: { ...step },
+      timestamp: Date.now()
+    });
+
+    switch (step.type) {
+      case 'navigate':
+        if (!this.navigationSystem.setWaypoints(step.waypoints) || !this.navigationSystem.startNavigation()) {
+          this._failMission('Failed to start navigation');
+        }
+        break;
+
+      case 'coverage': {
+        const plan = this.navigationSystem.planCoverage({ ...step });
+
+        if (!plan.success) {
+          this._failMission(`Coverage planning failed: ${plan.reason}`);
+          break;
+        }
+
+        if (!this.navigationSystem.setWaypoints(plan.waypoints) || !this.navigationSystem.startNavigation()) {
+          this._failMission('Failed to start navigation');
+        }
+        break;
+      }
+
+      case 'cutterStart': {
+        if (step.height !== undefined) {
+          this.cuttingController.setCuttingHeight(step.height);
+        }
+
+        if (step.speed !== undefined) {
+          this.cuttingController.setBladeSpeed(step.speed);
+        }
+
+        const result = this.cuttingController.engage();
+
+        if (!result.success) {
+          this._failMission(`Failed to start cutter: ${result.error}`);
+        } else if (this.cuttingController.getStatus().isCutting) {
+          this._completeStep();
+        }
+        break;
+      }
+
+      case 'cutterStop':
+        this.cuttingController.disengage();
+        this._completeStep();
+        break;
+
+      case 'unload': {
+        const result = this.loadingController.startUnload();
+
+        if (!result.success) {
+          this._failMission(`Failed to unload: ${result.error}`);
+        }
+        break;
+      }
+
+      case 'wait':
+        this._startWait(step.duration);
+        break;
+    }
+  }
+
+  /**
+   * Finish a wait step after the given time
+   * @private
+   */
+  _startWait(duration) {
+    this.stepTimer = setTimeout(() => {
+      this.stepTimer = null;
+
+      if (this._currentStepType() === 'wait') {
+        this._completeStep();
+      }
+    }, duration);
+  }
+
+  /**
+   * Mark the current step complete and move to the next one
+   * @private
+   */
+  _completeStep() {
+    const mission = this._getActiveMission();
+    const step = mission.steps[mission.currentStep];
+
+    step.status = 'completed';
+    step.completedAt = Date.now();
+
+    eventBus.publish('mission.step.completed', {
+      missionId: mission.id,
+      stepIndex: mission.currentStep,
+      step: { ...step },
+      timestamp: Date.now()
+    });
+
+    mission.currentStep++;
+    mission.progress = mission.currentStep / mission.steps.length;
+    this._touch(mission, 'stepCompleted');
+
+    this._runStep();
+  }
+
+  /**
+   * Finish the active mission
+   * @private
+   */
+  _completeMission() {
+    const mission = this._getActiveMission();
+
+    this.logger.info(`Mission ${mission.name} completed`);
+
+    mission.status = 'completed';
+    mission.progress = 1;
+    mission.completedAt = Date.now();
+    this.activeMissionId = null;
+
+    this._touch(mission, 'completed');
+  }
+
+  /**
+   * Fail the active mission and bring the tractor to a stop
+   * @private
+   */
+  _failMission(reason) {
+    const mission = this._getActiveMission();
+
+    this.logger.error(`Mission ${mission.name} failed: ${reason}`);
+
+    const step = mission.steps[mission.currentStep];
+    if (step) {
+      step.status = 'failed';
+    }
+
+    // Update state before stopping so the resulting events are ignored
+    mission.status = 'failed';
+    mission.error = reason;
+    mission.completedAt = Date.now();
+    this.activeMissionId = null;
+
+    this._haltTractor();
+    this._touch(mission, 'failed');
+  }
+
+  /**
+   * Stop navigation, the blade and any wait timer
+   * @private
+   */
+  _haltTractor() {
+    if (this.stepTimer) {
+      clearTimeout(this.stepTimer);
+      this.stepTimer = null;
+    }
+
+    this.navigationSystem.stopNavigation();
+    this.cuttingController.disengage();
+  }
+
+  /**
+   * Record a mission change, persist it and notify listeners
+   * @private
+   */
+  _touch(mission, event) {
+    mission.updatedAt = Date.now();
+    this._saveMissions();
+
+    eventBus.publish('mission.updated', {
+      event: event,
+      mission: this._copyMission(mission),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Publish progress of the running mission
+   * @private
+   */
+  _publishProgress() {
+    const mission = this._getActiveMission();
+
+    if (!mission || mission.status !== 'in_progress') {
+      return;
+    }
+
+    // Count partial progress along the path for driving steps
+    let stepProgress = 0;
+    if (DRIVING_STEPS.includes(this._currentStepType())) {
+      stepProgress = this.navigationSystem.getStatus().path.progress;
+    }
+
+    mission.progress = Math.min(1, (mission.currentStep + stepProgress) / mission.steps.length);
+
+    eventBus.publish('mission.progress', {
+      missionId: mission.id,
+      status: mission.status,
+      currentStep: mission.currentStep,
+      totalSteps: mission.steps.length,
+      stepType: this._currentStepType(),
+      progress: mission.progress,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Copy a mission for callers outside the manager
+   * @private
+   */
+  _copyMission(mission) {
+    return JSON.parse(JSON.stringify(mission));
+  }
+
+  /**
+   * Get all missions
+   * @returns {Array} Missions
+   */
+  listMissions() {
+    return Array.from(this.missions.values()).map(mission => this._copyMission(mission));
+  }
+
+  /**
+   * Get a mission
+   * @param {string} id - Mission ID
+   * @returns {object|null} Mission, or null if not found
+   */
+  getMission(id) {
+    const mission = this.missions.get(id);
+    return mission ? this._copyMission(mission) : null;
+  }
+
+  /**
+   * Create a mission
+   * @param {object} data - Mission data (name, type, parameters or steps, scheduling details)
+   * @returns {object} Result ({ success, mission, code, error })
+   */
+  createMission(data) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      return { success: false, code: 'invalid', error: 'Mission name is required' };
+    }
+
+    const parameters = data.parameters || {};
+    const built = this._buildSteps(data.type, parameters, data.steps);
+
+    if (built.error) {
+      return { success: false, code: 'invalid', error: built.error };
+    }
+
+    const now = Date.now();
+    const mission = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: data.name.trim(),
+      type: data.type,
+      status: 'scheduled', // 'scheduled', 'in_progress', 'paused', 'completed', 'cancelled', 'failed'
+      description: data.description || '',
+      scheduledTime: data.scheduledTime || now,
+      estimatedDuration: data.estimatedDuration || 0, // minutes
+      fieldId: data.fieldId,
+      fieldName: data.fieldName,
+      parameters: parameters,
+      steps: built.steps,
+      currentStep: 0,
+      progress: 0,
+      pauseReason: null,
+      checkpoint: null, // Where to pick up after a pause
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.missions.set(mission.id, mission);
+    this.logger.info(`Mission created: ${mission.name} (${mission.type})`);
+
+    this._touch(mission, 'created');
+
+    return { success: true, mission: this._copyMission(mission) };
+  }
+
+  /**
+   * Update a mission that is not running
+   * @param {string} id - Mission ID
+   * @param {object} data - Fields to update
+   * @returns {object} Result ({ success, mission, code, error })
+   */
+  updateMission(id, data) {
+    const mission = this.missions.get(id);
+
+    if (!mission) {
+      return { success: false, code: 'notFound', error: 'Mission not found' };
+    }
+
+    if (id === this.activeMissionId) {
+      return { success: false, code: 'conflict', error: 'Cannot edit a mission while it is running' };
+    }
+
+    if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim() === '')) {
+      return { success: false, code: 'invalid', error: 'Mission name is required' };
+    }
+
+    // Rebuild steps when the work itself changes
+    if (data.type !== undefined || data.parameters !== undefined || data.steps !== undefined) {
+      const type = data.type !== undefined ? data.type : mission.type;
+      const parameters = data.parameters !== undefined ? data.parameters : mission.parameters;
+      const steps = data.steps !== undefined ? data.steps : (type === 'custom' ? mission.steps : undefined);
+      const built = this._buildSteps(type, parameters, steps);
+
+      if (built.error) {
+        return { success: false, code: 'invalid', error: built.error };
+      }
+
+      mission.type = type;
+      mission.parameters = parameters;
+      mission.steps = built.steps;
+      mission.currentStep = 0;
+      mission.progress = 0;
+    }
+
+    for (const field of ['description', 'scheduledTime', 'estimatedDuration', 'fieldId', 'fieldName']) {
+      if (data[field] !== undefined) {
+        mission[field] = data[field];
+      }
+    }
+
+    if (data.name !== undefined) {
+      mission.name = data.name.trim();
+    }
+
+    this._touch(mission, 'updated');
+
+    return { success: true, mission: this._copyMission(mission) };
+  }
+
+  /**
+   * Delete a mission that is not running
+   * @param {string} id - Mission ID
+   * @returns {object} Result ({ success, code, error })
+   */
+  deleteMission(id) {
+    if (!this.missions.has(id)) {
+      return { success: false, code: 'notFound', error: 'Mission not found' };
+    }
+
+    if (id === this.activeMissionId) {
+      return { success: false, code: 'conflict', error: 'Cannot delete a mission while it is running' };
+    }
+
+    this.missions.delete(id);
+    this._saveMissions();
+
+    eventBus.publish('mission.deleted', {
+      missionId: id,
+      timestamp: Date.now()
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Start a mission from its first step
+   * @param {string} id - Mission ID
+   * @returns {object} Result ({ success, mission, code, error })
+   */
+  startMission(id) {
+    const mission = this.missions.get(id);
+
+    if (!mission) {
+      return { success: false, code: 'notFound', error: 'Mission not found' };
+    }
+
+    if (this.activeMissionId) {
+      return { success: false, code: 'conflict', error: 'Another mission is already active' };
+    }
+
+    this.logger.info(`Starting mission ${mission.name}`);
+
+    // Reset progress so finished missions can be run again
+    mission.steps.forEach(step => {
+      step.status = 'pending';
+      delete step.startedAt;
+      delete step.completedAt;
+    });
+    mission.status = 'in_progress';
+    mission.currentStep = 0;
+    mission.progress = 0;
+    mission.pauseReason = null;
+    mission.checkpoint = null;
+    mission.error = null;
+    mission.startedAt = Date.now();
+    mission.completedAt = null;
+    this.activeMissionId = id;
+
+    this._touch(mission, 'started');
+    this._runStep();
+
+    return { success: true, mission: this._copyMission(mission) };
+  }
+
+  /**
+   * Pause a running mission
+   * @param {string} id - Mission ID
+   * @param {string} reason - Reason for pausing
+   * @returns {object} Result ({ success, mission, code, error })
+   */
+  pauseMission(id, reason = 'Paused by operator') {
+    const mission = this.missions.get(id);
+
+    if (!mission) {
+      return { success: false, code: 'notFound', error: 'Mission not found' };
+    }
+
+    if (mission.status !== 'in_progress') {
+      return { success: false, code: 'conflict', error: 'Mission is not in progress' };
+    }
+
+    this.logger.warn(`Pausing mission ${mission.name}: ${reason}`);
+
+    const step = mission.steps[mission.currentStep];
+    const cutterState = this.cuttingController.getStatus().state;
+
+    // Remember where to pick up
+    mission.checkpoint = {
+      waypoints: DRIVING_STEPS.includes(step.type) ? this.navigationSystem.getRemainingWaypoints() : null,
+      remainingTime: step.type === 'wait' ? Math.max(0, step.duration - (Date.now() - step.startedAt)) : null,
+      cutting: ['starting', 'spinningUp', 'running'].includes(cutterState)
+    };
+
+    // Update state before stopping so the resulting events are ignored
+    mission.status = 'paused';
+    mission.pauseReason = reason;
+
+    this._haltTractor();
+    this._touch(mission, 'paused');
+
+    return { success: true, mission: this._copyMission(mission) };
+  }
+
+  /**
+   * Pause the active mission if it is running
+   * @param {string} reason - Reason for pausing
+   * @returns {object|null} Result, or null if no mission was running
+   */
+  pauseActiveMission(reason) {
+    const mission = this._getActiveMission();
+
+    if (!mission || mission.status !== 'in_progress') {
+      return null;
+    }
+
+    return this.pauseMission(mission.id, reason);
+  }
+
+  /**
+   * Resume a paused mission from where it stopped
+   * @param {string} id - Mission ID
+   * @returns {object} Result ({ success, mission, code, error })
+   */
+  resumeMission(id) {
+    const mission = this.missions.get(id);
+
+    if (!mission) {
+      return { success: false, code: 'notFound', error: 'Mission not found' };
+    }
+
+    if (mission.status !== 'paused') {
+      return { success: false, code: 'conflict', error: 'Mission is not paused' };
+    }
+
+    const checkpoint = mission.checkpoint || {};
+    const step = mission.steps[mission.currentStep];
+
+    if (checkpoint.cutting) {
+      const result = this.cuttingController.engage();
+
+      if (!result.success) {
+        return { success: false, code: 'conflict', error: `Cannot restart cutter: ${result.error}` };
+      }
+    }
+
+    this.logger.info(`Resuming mission ${mission.name}`);
+
+    mission.status = 'in_progress';
+    mission.pauseReason = null;
+    mission.checkpoint = null;
+
+    this._touch(mission, 'resumed');
+
+    if (DRIVING_STEPS.includes(step.type) && checkpoint.waypoints && checkpoint.waypoints.length > 0) {
+      // Continue along the rest of the path
+      if (!this.navigationSystem.setWaypoints(checkpoint.waypoints) || !this.navigationSystem.startNavigation()) {
+        this._failMission('Failed to resume navigation');
+      }
+    } else if (step.type === 'wait' && checkpoint.remainingTime !== null && checkpoint.remainingTime !== undefined) {
+      this._startWait(checkpoint.remainingTime);
+    } else if (step.type === 'unload' && this.loadingController.getStatus().unload.state !== 'idle') {
+      // Container is still being emptied, wait for it to finish
+    } else {
+      this._runStep();
+    }
+
+    return { success: true, mission: this._copyMission(mission) };
+  }
+
+  /**
+   * Abort an active mission
+   * @param {string} id - Mission ID
+   * @param {string} reason - Reason for aborting
+   * @returns {object} Result ({ success, mission, code, error })
+   */
+  abortMission(id, reason = 'Aborted by operator') {
+    const mission = this.missions.get(id);
+
+    if (!mission) {
+      return { success: false, code: 'notFound', error: 'Mission not found' };
+    }
+
+    if (id !== this.activeMissionId) {
+      return { success: false, code: 'conflict', error: 'Mission is not active' };
+    }
+
+    this.logger.warn(`Aborting mission ${mission.name}: ${reason}`);
+
+    // Update state before stopping so the resulting events are ignored
+    mission.status = 'cancelled';
+    mission.error = reason;
+    mission.checkpoint = null;
+    mission.completedAt = Date.now();
+    this.activeMissionId = null;
+
+    this._haltTractor();
+    this._touch(mission, 'aborted');
+
+    return { success: true, mission: this._copyMission(mission) };
+  }
+
+  /**
+   * Get mission manager status
+   * @returns {object} Status
+   */
+  getStatus() {
+    const mission = this._getActiveMission();
+
+    return {
+      activeMission: mission ? {
+        id: mission.id,
+        name: mission.name,
+        type: mission.type,
+        status: mission.status,
+        currentStep: mission.currentStep,
+        totalSteps: mission.steps.length,
+        progress: mission.progress,
+        pauseReason: mission.pauseReason
+      } : null,
+      missionCount: this.missions.size
+    };
+  }
+
+  /**
+   * Shutdown the mission manager
+   */
+  async shutdown() {
+    this.logger.info('Shutting down mission manager...');
+
+    if (this.progressInterval) {
+      clearInterval(this.progressInterval);
+      this.progressInterval = null;
+    }
+
+    // Leave a running mission paused so it can be resumed after restart
+    this.pauseActiveMission('System shutdown');
+
+    if (this.stepTimer) {
+      clearTimeout(this.stepTimer);
+      this.stepTimer = null;
+    }
+
+    // Wait for pending writes
+    await this.saveQueue;
+
+    this.logger.info('Mission manager shut down');
+    return true;
+  }
+}
+
+module.exports = MissionManager;
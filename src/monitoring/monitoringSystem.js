@@ -846,6 +846,18 @@ class MonitoringSystem {
     }
   }
   
+  /**
+   * Raise an alert reported by another subsystem
+   */
+  raiseAlert(alertData) {
+    const alert = this.alertManager.createAlert(alertData);
+    
+    this.alerts.push(alert);
+    this.eventEmitter.emit('alert:new', alert);
+    
+    return alert;
+  }
+  
   /**
    * Process and handle alerts
    */
@@ -0,0 +1,289 @@
+/**
+ * Sevak Mini Tractor - Derating Manager
+ *
+ * Works out how hard each motor may be driven from its temperature and
+ * current. Each reading derates its motor along a curve: full output up to
+ * the start of the curve, falling linearly to the curve's minimum at its
+ * end. A derating is released with hysteresis - only once the reading has
+ * dropped the hysteresis band below the level that set it - so a motor
+ * hovering at a threshold does not flap in and out.
+ *
+ * A motor that faults (too hot, too much current, or a fault reported by
+ * the drive) is isolated: it is no longer driven and the vehicle carries on
+ * in limp mode until the fault is reset.
+ */
+
+const DEFAULTS = {
+  temperature: {
+    start: 60, // °C, derating starts
+    end: 70, // °C, derated to minFactor
+    minFactor: 0.3,
+    hysteresis: 5 // °C
+  },
+  current: {
+    start: 10, // A
+    end: 15, // A
+    minFactor: 0.5,
+    hysteresis: 1 // A
+  },
+  faultTemperature: 90, // °C
+  faultCurrent: 20, // A
+  limpFactor: 0.3 // vehicle speed, as a share of the maximum, with a motor isolated
+};
+
+class DeratingManager {
+  /**
+   * @param {Array} motors - Motor names
+   * @param {object} options - Derating parameters, see DEFAULTS
+   */
+  constructor(motors, options = {}) {
+    this.params = {
+      ...DEFAULTS,
+      ...options,
+      temperature: { ...DEFAULTS.temperature, ...options.temperature },
+      current: { ...DEFAULTS.current, ...options.current }
+    };
+
+    // Derating per motor
+    this.motors = {};
+    motors.forEach(motor => {
+      this.motors[motor] = {
+        temperatureFactor: 1,
+        currentFactor: 1,
+        temperature: null,
+        current: null,
+        isolated: false,
+        fault: null, // Why the motor was isolated
+        since: null // When it was first derated
+      };
+    });
+  }
+
+  /**
+   * Derate a motor from its latest readings
+   * @param {string} motor - Motor name
+   * @param {object} readings - { temperature (°C), current (A), fault (reason reported by the drive) }, each optional
+   * @param {number} time - Reading time (ms)
+   * @returns {boolean} True if the motor's derating or isolation changed
+   */
+  update(motor, readings, time) {
+    const state = this.motors[motor];
+    const before = this._summary(state);
+
+    if (typeof readings.temperature === 'number') {
+      state.temperature = readings.temperature;
+      state.temperatureFactor = this._derate(state.temperatureFactor, readings.temperature, this.params.temperature);
+
+      if (readings.temperature >= this.params.faultTemperature) {
+        this._isolate(state, `temperature ${readings.temperature.toFixed(0)}°C`);
+      }
+    }
+
+    if (typeof readings.current === 'number') {
+      state.current = readings.current;
+      state.currentFactor = this._derate(state.currentFactor, readings.current, this.params.current);
+
+      if (readings.current >= this.params.faultCurrent) {
+        this._isolate(state, `current ${readings.current.toFixed(1)} A`);
+      }
+    }
+
+    if (readings.fault) {
+      this._isolate(state, readings.fault);
+    }
+
+    const derated = state.isolated || state.temperatureFactor < 1 || state.currentFactor < 1;
+    if (!derated) {
+      state.since = null;
+    } else if (state.since === null) {
+      state.since = time;
+    }
+
+    return this._summary(state) !== before;
+  }
+
+  /**
+   * Move a derating factor along its curve, releasing it only past the hysteresis band
+   * @private
+   */
+  _derate(factor, reading, curve) {
+    const derated = this._curve(reading, curve);
+
+    if (derated <= factor) {
+      return derated;
+    }
+
+    return Math.max(factor, this._curve(reading + curve.hysteresis, curve));
+  }
+
+  /**
+   * Output factor of a reading on a derating curve
+   * @private
+   */
+  _curve(reading, curve) {
+    if (reading <= curve.start) {
+      return 1;
+    }
+
+    if (reading >= curve.end) {
+      return curve.minFactor;
+    }
+
+    return 1 - (1 - curve.minFactor) * (reading - curve.start) / (curve.end - curve.start);
+  }
+
+  /**
+   * Isolate a faulted motor
+   * @private
+   */
+  _isolate(state, reason) {
+    if (!state.isolated) {
+      state.isolated = true;
+      state.fault = reason;
+    }
+  }
+
+  /**
+   * Reset a motor's fault, if its readings allow it
+   * @param {string} motor - Motor name
+   * @returns {boolean} True if the motor is no longer isolated
+   */
+  resetFault(motor) {
+    const state = this.motors[motor];
+
+    if (!state || !state.isolated) {
+      return true;
+    }
+
+    if ((state.temperature !== null && state.temperature >= this.params.faultTemperature) ||
+        (state.current !== null && state.current >= this.params.faultCurrent)) {
+      return false;
+    }
+
+    state.isolated = false;
+    state.fault = null;
+    return true;
+  }
+
+  /**
+   * Get the output factor of a motor
+   * @param {string} motor - Motor name
+   * @returns {number} Share of full output the motor may deliver (0 when isolated)
+   */
+  getFactor(motor) {
+    const state = this.motors[motor];
+
+    return state.isolated ? 0 : Math.min(state.temperatureFactor, state.currentFactor);
+  }
+
+  /**
+   * Check whether a motor is isolated
+   * @param {string} motor - Motor name
+   * @returns {boolean} True if the motor has faulted and is no longer driven
+   */
+  isIsolated(motor) {
+    return this.motors[motor].isolated;
+  }
+
+  /**
+   * Get why a motor is derated
+   * @param {string} motor - Motor name
+   * @returns {Array} Reasons, empty at full output
+   */
+  getReasons(motor) {
+    const state = this.motors[motor];
+    const reasons = [];
+
+    if (state.isolated) {
+      reasons.push(`isolated: ${state.fault}`);
+    }
+
+    if (state.temperatureFactor < 1) {
+      reasons.push(`temperature ${state.temperature.toFixed(0)}°C`);
+    }
+
+    if (state.currentFactor < 1) {
+      reasons.push(`current ${state.current.toFixed(1)} A`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Get the limits the motors' derating puts on the vehicle
+   * Isolated motors are left out of the factors; isolating any puts the vehicle in limp mode.
+   * @returns {object} { speedFactor, accelerationFactor, limpMode, reason }
+   */
+  getVehicleLimits() {
+    let speedFactor = 1;
+    let accelerationFactor = 1;
+    let reason = null;
+    let limpMode = false;
+
+    Object.keys(this.motors).forEach(motor => {
+      const state = this.motors[motor];
+
+      if (state.isolated) {
+        limpMode = true;
+        if (this.params.limpFactor < speedFactor) {
+          speedFactor = this.params.limpFactor;
+          reason = `${motor} motor isolated (${state.fault}), limp mode`;
+        }
+        return;
+      }
+
+      if (state.temperatureFactor < speedFactor) {
+        speedFactor = state.temperatureFactor;
+        reason = `${motor} motor temperature ${state.temperature.toFixed(0)}°C`;
+      }
+
+      accelerationFactor = Math.min(accelerationFactor, state.currentFactor);
+    });
+
+    return {
+      speedFactor: speedFactor,
+      accelerationFactor: accelerationFactor,
+      limpMode: limpMode,
+      reason: reason
+    };
+  }
+
+  /**
+   * Get the derating of every motor
+   * @returns {object} Per motor: { factor, temperatureFactor, currentFactor, isolated, fault, reasons, since }
+   */
+  getState() {
+    const motors = {};
+
+    Object.keys(this.motors).forEach(motor => {
+      const state = this.motors[motor];
+
+      motors[motor] = {
+        factor: this.getFactor(motor),
+        temperatureFactor: state.temperatureFactor,
+        currentFactor: state.currentFactor,
+        isolated: state.isolated,
+        fault: state.fault,
+        reasons: this.getReasons(motor),
+        since: state.since
+      };
+    });
+
+    return motors;
+  }
+
+  /**
+   * One string for what matters about a motor's derating, to tell changes apart
+   * Factors are compared in 5% steps so a slowly changing reading is not a change every time.
+   * @private
+   */
+  _summary(state) {
+    return [
+      state.isolated,
+      Math.round(state.temperatureFactor * 20),
+      Math.round(state.currentFactor * 20)
+    ].join('/');
+  }
+}
+
+module.exports = DeratingManager;
@@ -3,15 +3,48 @@
  * 
  * Manages the electric motors that drive the tractor, providing interfaces
  * for speed control, steering, and motor health monitoring.
+ * 
+ * The tractor is skid-steered: each side's wheels are driven at the speed
+ * that gives the commanded linear (v) and angular (ω, counter-clockwise
+ * positive) velocity, v ∓ ω · trackWidth / 2, so it can reverse and pivot on
+ * the spot with the sides counter-rotating. A steering direction (positive
+ * turns right) is still accepted and driven as the curvature of a bicycle
+ * with the configured wheel base.
+ * 
+ * Each wheel runs its own PID loop on its measured speed. With a sensor
+ * manager to read the fused ground speed from, a wheel turning much faster
+ * or slower than the ground under it is slipping: 'motor.slip.detected' is
+ * published, a spinning wheel is held just above ground speed and the drive
+ * it loses is shifted to the other wheel on its side.
+ * 
+ * Hot or overloaded motors are derated one by one rather than slowing the
+ * whole vehicle for good: each motor's output is capped by its own
+ * temperature and current, the vehicle speed by its hottest motor and the
+ * acceleration by its most loaded one. A faulted motor is isolated and the
+ * vehicle carries on in limp mode until the fault is reset.
  */
 
 const Logger = require('../utils/logger');
 const eventBus = require('../utils/eventBus');
 const config = require('../config');
+const hal = require('../hal');
+const DeratingManager = require('./deratingManager');
+
+// The other wheel on each wheel's side
+const SIDE_PARTNERS = {
+  frontLeft: 'rearLeft',
+  rearLeft: 'frontLeft',
+  frontRight: 'rearRight',
+  rearRight: 'frontRight'
+};
 
 class MotorController {
-  constructor() {
+  /**
+   * @param {object} sensorManager - Sensor manager, for the fused ground speed slip is judged against (optional)
+   */
+  constructor(sensorManager = null) {
     this.logger = new Logger('MotorController');
+    this.sensorManager = sensorManager;
     
     // Motor state
     this.motors = {
@@ -47,16 +80,25 @@ class MotorController {
     
     // Vehicle motion state
     this.motion = {
-      speed: 0,              // Current speed in m/s
+      speed: 0,              // Current speed in m/s (negative when reversing)
       targetSpeed: 0,        // Target speed in m/s
       direction: 0,          // Direction in radians (0 = forward)
       targetDirection: 0,    // Target direction in radians
+      angularVelocity: 0,    // Current yaw rate in rad/s (counter-clockwise positive)
+      targetAngularVelocity: 0, // Target yaw rate in rad/s, in velocity mode
+      commandMode: 'steering', // 'steering' (speed and direction) or 'velocity' (v and ω)
       acceleration: 0,       // Current acceleration in m/s²
       maxSpeed: config.motors.maxSpeed / 3.6, // Convert km/h to m/s
-      maxAcceleration: config.motors.maxAcceleration,
-      maxDeceleration: config.motors.maxDeceleration
+      maxReverseSpeed: config.motors.maxSpeed / 3.6 * (config.motors.reverseSpeedRatio || 0.5), // m/s
+      maxAngularVelocity: config.motors.maxAngularVelocity || 1.0, // rad/s
+      wheelBase: config.motors.wheelBase || 1.2, // meters, of the bicycle model steering directions are driven with
+      maxAcceleration: config.motors.maxAcceleration || 0.5, // m/s²
+      maxDeceleration: config.motors.maxDeceleration || 1.0 // m/s²
     };
     
+    // Speed limits imposed by other systems, keyed by source ({ limit (m/s), reason, since })
+    this.speedLimits = {};
+    
     // PID controller parameters
     this.pid = {
       kp: 0.5, // Default value since config.motors.motorControllerParams is undefined
@@ -67,6 +109,72 @@ class MotorController {
       dt: 0.02  // 50Hz control loop
     };
     
+    // Per-wheel speed loops on the measured wheel speeds (normalized)
+    const wheelPid = config.motors.wheelPid || {};
+    this.wheelPid = {
+      kp: wheelPid.kp || 0.3,
+      ki: wheelPid.ki || 0.5,
+      kd: wheelPid.kd || 0,
+      integralLimit: wheelPid.integralLimit || 0.2,
+      wheels: {}
+    };
+    
+    // Traction control: slip of each wheel against the fused ground speed
+    const traction = config.motors.traction || {};
+    this.traction = {
+      enabled: traction.enabled !== false,
+      slipThreshold: traction.slipThreshold || 0.25, // slip ratio
+      minSpeed: traction.minSpeed || 0.2, // m/s, below which slip is not judged
+      detectTime: traction.detectTime || 200, // ms over the threshold before a wheel is slipping
+      clearTime: traction.clearTime || 500, // ms under the threshold before it has grip again
+      targetSlip: traction.targetSlip || 0.1, // a spinning wheel is held this far over ground speed
+      maxBoost: traction.maxBoost || 0.3, // share of its own speed a wheel may take over from its partner
+      maxFusionAge: traction.maxFusionAge || 500, // ms
+      groundSpeed: null, // Fused forward speed in m/s, null if unknown
+      wheels: {}
+    };
+    
+    // Wheel odometry (encoder ticks are cumulative per wheel)
+    this.odometry = {
+      wheelRadius: config.motors.odometry?.wheelRadius || 0.25, // meters
+      trackWidth: config.motors.odometry?.trackWidth || 0.9, // meters
+      ticksPerRevolution: config.motors.odometry?.ticksPerRevolution || 1024,
+      publishInterval: config.motors.odometry?.publishInterval || 100, // ms
+      revolutions: {
+        frontLeft: 0,
+        frontRight: 0,
+        rearLeft: 0,
+        rearRight: 0
+      },
+      lastPublish: 0
+    };
+    
+    Object.keys(this.motors).forEach(motor => {
+      this.wheelPid.wheels[motor] = { integral: 0, previousError: 0 };
+      this.traction.wheels[motor] = {
+        slipRatio: 0,
+        groundSpeed: null, // m/s under the wheel
+        slipping: false,
+        overSince: null,
+        underSince: null,
+        redistribution: 0 // m/s added to (or taken from) the wheel's target
+      };
+    });
+    
+    // Per-motor derating, along the temperature sensor thresholds unless configured otherwise
+    const derating = config.motors.derating || {};
+    this.deratingManager = new DeratingManager(Object.keys(this.motors), {
+      ...derating,
+      temperature: {
+        start: config.sensors.temperatureSensors?.warningThreshold || 60, // °C
+        end: config.sensors.temperatureSensors?.criticalThreshold || 70, // °C
+        ...derating.temperature
+      }
+    });
+    
+    // Motor drive from the hardware abstraction layer (simulator, replay or hardware backend)
+    this.motorDriver = hal.createDriver('motorDrive', config.motors);
+    
     // Safety flags
     this.safetyFlags = {
       emergencyStop: false,
@@ -88,8 +196,7 @@ class MotorController {
     this.logger.info('Initializing motor controller...');
     
     try {
-      // In a real implementation, this would initialize actual motor hardware
-      // For this prototype, we'll simulate the motors
+      await this.motorDriver.open();
       
       // Start control loop
       this.startControlLoop();
@@ -140,7 +247,12 @@ class MotorController {
     Object.keys(this.motors).forEach(motor => {
       const temp = this.motors[motor].temperature;
       
-      if (temp > criticalThreshold) {
+      this._updateDerating(motor, { temperature: temp });
+      
+      if (this.deratingManager.isIsolated(motor)) {
+        this.motors[motor].health = 'fault';
+        overTemp = overTemp || temp > criticalThreshold;
+      } else if (temp > criticalThreshold) {
         this.motors[motor].health = 'critical';
         overTemp = true;
         this.logger.error(`Critical temperature in ${motor} motor: ${temp}°C`);
@@ -173,14 +285,16 @@ class MotorController {
     this.motors.rearLeft.current = data.motorCurrents.rearLeft;
     this.motors.rearRight.current = data.motorCurrents.rearRight;
     
-    // Check for overcurrent conditions
-    const currentThreshold = 10; // Amps, would be from config in real implementation
+    // Check for overcurrent conditions, from where the current starts derating a motor
+    const currentThreshold = this.deratingManager.params.current.start; // Amps
     
     let overCurrent = false;
     
     Object.keys(this.motors).forEach(motor => {
       const current = this.motors[motor].current;
       
+      this._updateDerating(motor, { current: current });
+      
       if (current > currentThreshold) {
         overCurrent = true;
         this.logger.warn(`High current in ${motor} motor: ${current}A`);
@@ -198,6 +312,66 @@ class MotorController {
     }
   }
   
+  /**
+   * Derate a motor from its latest readings and apply what it means for the vehicle
+   * @private
+   */
+  _updateDerating(motor, readings) {
+    const wasIsolated = this.deratingManager.isIsolated(motor);
+    const now = Date.now();
+    
+    if (!this.deratingManager.update(motor, readings, now)) {
+      return;
+    }
+    
+    const derating = this.deratingManager.getState()[motor];
+    
+    if (derating.isolated && !wasIsolated) {
+      this.motors[motor].health = 'fault';
+      this.logger.error(`Isolating ${motor} motor: ${derating.fault}`);
+      
+      eventBus.publish('motor.fault', {
+        motor: motor,
+        reason: derating.fault,
+        timestamp: now
+      });
+    } else if (derating.reasons.length > 0) {
+      this.logger.warn(`Derating ${motor} motor to ${(derating.factor * 100).toFixed(0)}%: ${derating.reasons.join(', ')}`);
+    } else {
+      this.logger.info(`${motor} motor back to full output`);
+    }
+    
+    eventBus.publish('motor.derating.changed', {
+      motor: motor,
+      ...derating,
+      timestamp: now
+    });
+    
+    this._applyDeratingLimits();
+  }
+  
+  /**
+   * Limit the vehicle speed by the derated motors and flag isolated ones
+   * @private
+   */
+  _applyDeratingLimits() {
+    const limits = this.deratingManager.getVehicleLimits();
+    
+    if (limits.speedFactor < 1) {
+      this.setSpeedLimit('derating', limits.speedFactor * this.motion.maxSpeed, limits.reason);
+    } else {
+      this.clearSpeedLimit('derating');
+    }
+    
+    if (this.safetyFlags.motorFault !== limits.limpMode) {
+      this.safetyFlags.motorFault = limits.limpMode;
+      
+      if (limits.limpMode) {
+        this._handleSafetyEvent('motorFault');
+      }
+    }
+  }
+  
   /**
    * Start the motor control loop
    */
@@ -239,9 +413,15 @@ class MotorController {
     // Calculate individual motor speeds based on direction
     this._calculateMotorSpeeds();
     
+    // Check each wheel's grip and move drive away from slipping wheels
+    this._updateTraction();
+    
     // Apply motor speeds
     this._applyMotorSpeeds();
     
+    // Count wheel rotation and publish odometry
+    this._updateOdometry();
+    
     // Publish motor status
     this._publishMotorStatus();
   }
@@ -251,8 +431,14 @@ class MotorController {
    * @private
    */
   _updateVehicleSpeed() {
-    // Calculate error
-    const error = this.motion.targetSpeed - this.motion.speed;
+    // Calculate error against the target within the speed limits of each direction
+    const forwardLimit = this.getSpeedLimit('forward');
+    const reverseLimit = this.getSpeedLimit('reverse');
+    const targetSpeed = Math.max(
+      reverseLimit ? -reverseLimit.limit : -Infinity,
+      Math.min(this.motion.targetSpeed, forwardLimit ? forwardLimit.limit : Infinity)
+    );
+    const error = targetSpeed - this.motion.speed;
     
     // Calculate PID terms
     const p = this.pid.kp * error;
@@ -263,18 +449,24 @@ class MotorController {
     // Calculate acceleration
     let acceleration = p + i + d;
     
-    // Limit acceleration
-    if (acceleration > 0) {
-      acceleration = Math.min(acceleration, this.motion.maxAcceleration);
-    } else {
-      acceleration = Math.max(acceleration, -this.motion.maxDeceleration);
-    }
+    // Limit acceleration, braking whenever it works against the current speed
+    // (overloaded motors derate acceleration; braking is never derated)
+    const braking = this.motion.speed !== 0 && Math.sign(acceleration) !== Math.sign(this.motion.speed);
+    const maxAcceleration = this.motion.maxAcceleration * this.deratingManager.getVehicleLimits().accelerationFactor;
+    const maxChange = braking ? this.motion.maxDeceleration : maxAcceleration;
+    acceleration = Math.max(-maxChange, Math.min(acceleration, maxChange));
     
     // Update speed
+    const previousSpeed = this.motion.speed;
     this.motion.speed += acceleration * this.pid.dt;
     
+    // Braking stops at standstill rather than driving on the other way
+    if (braking && Math.sign(this.motion.speed) !== Math.sign(previousSpeed)) {
+      this.motion.speed = 0;
+    }
+    
     // Limit speed
-    this.motion.speed = Math.max(0, Math.min(this.motion.speed, this.motion.maxSpeed));
+    this.motion.speed = Math.max(-this.motion.maxReverseSpeed, Math.min(this.motion.speed, this.motion.maxSpeed));
     
     // Update state
     this.motion.acceleration = acceleration;
@@ -282,55 +474,260 @@ class MotorController {
   }
   
   /**
-   * Calculate individual motor speeds based on direction
+   * Calculate individual motor speeds from the linear and angular velocity
    * @private
    */
   _calculateMotorSpeeds() {
-    // Normalize speed to 0-1 range
-    const normalizedSpeed = this.motion.speed / this.motion.maxSpeed;
-    
-    // Calculate steering factor (-1 to 1)
-    // 0 = straight, positive = right turn, negative = left turn
-    const steeringFactor = Math.sin(this.motion.targetDirection);
-    
-    // Calculate motor speeds based on steering
-    if (steeringFactor > 0) {
-      // Turning right
-      this.motors.frontLeft.targetSpeed = normalizedSpeed;
-      this.motors.rearLeft.targetSpeed = normalizedSpeed;
-      this.motors.frontRight.targetSpeed = normalizedSpeed * (1 - steeringFactor);
-      this.motors.rearRight.targetSpeed = normalizedSpeed * (1 - steeringFactor);
-    } else if (steeringFactor < 0) {
-      // Turning left
-      this.motors.frontLeft.targetSpeed = normalizedSpeed * (1 + steeringFactor);
-      this.motors.rearLeft.targetSpeed = normalizedSpeed * (1 + steeringFactor);
-      this.motors.frontRight.targetSpeed = normalizedSpeed;
-      this.motors.rearRight.targetSpeed = normalizedSpeed;
+    const speed = this.motion.speed;
+    
+    // A steering direction turns along a fixed curvature, so the yaw rate follows the speed
+    const angularVelocity = this.motion.commandMode === 'velocity' ?
+      this.motion.targetAngularVelocity :
+      -speed * Math.tan(this.motion.targetDirection) / this.motion.wheelBase;
+    
+    // Skid-steer kinematics: the sides differ by the yaw rate across the track
+    const halfTrack = this.odometry.trackWidth / 2;
+    let left = speed - angularVelocity * halfTrack;
+    let right = speed + angularVelocity * halfTrack;
+    
+    // No wheel may run faster than the speed limit or the motors allow; slow
+    // both sides alike to keep the curvature. A limit on one direction of
+    // travel leaves turning on the spot free.
+    const speedLimit = this._getLowestSpeedLimit(speedLimit => !speedLimit.direction);
+    const maxWheelSpeed = speedLimit ? Math.min(speedLimit.limit, this.motion.maxSpeed) : this.motion.maxSpeed;
+    const fastest = Math.max(Math.abs(left), Math.abs(right));
+    
+    if (fastest > maxWheelSpeed) {
+      const scale = maxWheelSpeed / fastest;
+      left *= scale;
+      right *= scale;
+    }
+    
+    this.motion.angularVelocity = (right - left) / this.odometry.trackWidth;
+    
+    // Normalize to -1 to 1 of maximum speed
+    this.motors.frontLeft.targetSpeed = left / this.motion.maxSpeed;
+    this.motors.rearLeft.targetSpeed = left / this.motion.maxSpeed;
+    this.motors.frontRight.targetSpeed = right / this.motion.maxSpeed;
+    this.motors.rearRight.targetSpeed = right / this.motion.maxSpeed;
+  }
+  
+  /**
+   * Check each wheel for slip against the fused ground speed and hold
+   * spinning wheels near ground speed, shifting their drive to the other
+   * wheel on the same side
+   * @private
+   */
+  _updateTraction() {
+    const ground = this._getGroundMotion();
+    const halfTrack = this.odometry.trackWidth / 2;
+    const now = Date.now();
+    
+    this.traction.groundSpeed = ground ? ground.speed : null;
+    
+    Object.keys(this.motors).forEach(motor => {
+      const wheel = this.traction.wheels[motor];
+      wheel.redistribution = 0;
+      
+      if (!ground) {
+        wheel.groundSpeed = null;
+        wheel.slipRatio = 0;
+        this._setSlipping(motor, false, now);
+        return;
+      }
+      
+      // Ground speed under the wheel, from the vehicle's speed and yaw rate
+      const side = motor.endsWith('Left') ? -1 : 1;
+      const groundSpeed = ground.speed + side * ground.yawRate * halfTrack;
+      const wheelSpeed = this.motors[motor].speed * this.motion.maxSpeed;
+      const reference = Math.max(Math.abs(wheelSpeed), Math.abs(groundSpeed));
+      
+      wheel.groundSpeed = groundSpeed;
+      wheel.slipRatio = reference >= this.traction.minSpeed ? (wheelSpeed - groundSpeed) / reference : 0;
+      
+      if (Math.abs(wheel.slipRatio) > this.traction.slipThreshold) {
+        wheel.underSince = null;
+        wheel.overSince = wheel.overSince || now;
+        
+        if (now - wheel.overSince >= this.traction.detectTime) {
+          this._setSlipping(motor, true, now);
+        }
+      } else {
+        wheel.overSince = null;
+        wheel.underSince = wheel.underSince || now;
+        
+        if (now - wheel.underSince >= this.traction.clearTime) {
+          this._setSlipping(motor, false, now);
+        }
+      }
+    });
+    
+    // Hold spinning wheels just above the ground speed, giving the drive to their partners
+    Object.keys(this.motors).forEach(motor => {
+      const wheel = this.traction.wheels[motor];
+      
+      if (!wheel.slipping || wheel.slipRatio <= 0) {
+        return;
+      }
+      
+      const target = this.motors[motor].targetSpeed * this.motion.maxSpeed;
+      const hold = Math.max(Math.abs(wheel.groundSpeed) * (1 + this.traction.targetSlip), this.traction.minSpeed);
+      
+      if (Math.abs(target) <= hold) {
+        return;
+      }
+      
+      const held = Math.sign(target) * hold;
+      const partner = SIDE_PARTNERS[motor];
+      
+      this.motors[motor].targetSpeed = held / this.motion.maxSpeed;
+      wheel.redistribution = held - target;
+      
+      if (!this.traction.wheels[partner].slipping) {
+        const partnerTarget = this.motors[partner].targetSpeed * this.motion.maxSpeed;
+        const boost = Math.min(Math.abs(target - held), Math.abs(partnerTarget) * this.traction.maxBoost);
+        const boosted = Math.max(-1, Math.min(this.motors[partner].targetSpeed + Math.sign(target) * boost / this.motion.maxSpeed, 1));
+        
+        this.traction.wheels[partner].redistribution = (boosted - this.motors[partner].targetSpeed) * this.motion.maxSpeed;
+        this.motors[partner].targetSpeed = boosted;
+      }
+    });
+  }
+  
+  /**
+   * Fused forward speed and yaw rate of the vehicle
+   * @private
+   * @returns {object|null} { speed, yawRate }, or null without a recent estimate
+   */
+  _getGroundMotion() {
+    if (!this.traction.enabled || !this.sensorManager) {
+      return null;
+    }
+    
+    const estimate = this.sensorManager.getPositionAndOrientation();
+    
+    if (!estimate || !estimate.timestamp || Date.now() - estimate.timestamp > this.traction.maxFusionAge) {
+      return null;
+    }
+    
+    const yaw = estimate.orientation.yaw;
+    
+    return {
+      speed: estimate.velocity.x * Math.cos(yaw) + estimate.velocity.y * Math.sin(yaw),
+      yawRate: estimate.angularVelocity?.yaw || 0
+    };
+  }
+  
+  /**
+   * Mark a wheel as slipping or gripping, publishing the change
+   * @private
+   */
+  _setSlipping(motor, slipping, now) {
+    const wheel = this.traction.wheels[motor];
+    
+    if (wheel.slipping === slipping) {
+      return;
+    }
+    
+    wheel.slipping = slipping;
+    
+    if (slipping) {
+      this.logger.warn(`Wheel slip on ${motor} motor: ${(wheel.slipRatio * 100).toFixed(0)}% against ${wheel.groundSpeed.toFixed(2)} m/s ground speed`);
+      
+      eventBus.publish('motor.slip.detected', {
+        motor: motor,
+        slipRatio: wheel.slipRatio,
+        wheelSpeed: this.motors[motor].speed * this.motion.maxSpeed,
+        groundSpeed: wheel.groundSpeed,
+        timestamp: now
+      });
     } else {
-      // Straight
-      this.motors.frontLeft.targetSpeed = normalizedSpeed;
-      this.motors.rearLeft.targetSpeed = normalizedSpeed;
-      this.motors.frontRight.targetSpeed = normalizedSpeed;
-      this.motors.rearRight.targetSpeed = normalizedSpeed;
+      wheel.overSince = null;
+      this.logger.info(`${motor} motor has grip again`);
+      
+      eventBus.publish('motor.slip.cleared', {
+        motor: motor,
+        timestamp: now
+      });
     }
   }
   
   /**
-   * Apply calculated speeds to motors
+   * Drive each motor towards its target speed with its own PID loop on the
+   * measured wheel speed, within the output its derating allows
    * @private
    */
   _applyMotorSpeeds() {
-    // In a real implementation, this would send commands to actual motor controllers
-    // For this prototype, we'll simulate motor behavior
+    const setpoints = {};
+    const dt = this.pid.dt;
+    
+    Object.keys(this.motors).forEach(motor => {
+      const loop = this.wheelPid.wheels[motor];
+      const target = this.motors[motor].targetSpeed;
+      const error = target - this.motors[motor].speed;
+      
+      const derivative = (error - loop.previousError) / dt;
+      const integral = Math.max(-this.wheelPid.integralLimit, Math.min(loop.integral + error * dt, this.wheelPid.integralLimit));
+      
+      // The target is fed forward; the loop makes up what the wheel falls short by
+      const output = target + this.wheelPid.kp * error + this.wheelPid.ki * integral + this.wheelPid.kd * derivative;
+      const factor = this.deratingManager.getFactor(motor);
+      setpoints[motor] = Math.max(-factor, Math.min(output, factor));
+      
+      // Stop integrating while the drive is saturated
+      if (setpoints[motor] === output) {
+        loop.integral = integral;
+      }
+      loop.previousError = error;
+    });
+    
+    this.motorDriver.write(setpoints);
+    
+    // Measured wheel speeds from the drive
+    const feedback = this.motorDriver.read();
+    if (!feedback) {
+      return;
+    }
     
-    const motorNames = ['frontLeft', 'frontRight', 'rearLeft', 'rearRight'];
+    Object.keys(feedback.wheels).forEach(motor => {
+      if (!this.motors[motor]) {
+        return;
+      }
+      
+      const { speed, current, temperature, fault } = feedback.wheels[motor];
+      this.motors[motor].speed = speed;
+      
+      // Drives that measure their motors derate and isolate them directly
+      if (typeof current === 'number') {
+        this.motors[motor].current = current;
+      }
+      if (typeof temperature === 'number') {
+        this.motors[motor].temperature = temperature;
+      }
+      if (typeof current === 'number' || typeof temperature === 'number' || fault) {
+        this._updateDerating(motor, { current, temperature, fault });
+      }
+    });
+  }
+  
+  /**
+   * Advance the wheel encoders by one control loop step
+   * @private
+   */
+  _updateOdometry() {
+    // Count ticks from the measured wheel speeds
+    const circumference = 2 * Math.PI * this.odometry.wheelRadius;
     
-    motorNames.forEach(motor => {
-      // Simulate motor response (gradual approach to target speed)
-      const diff = this.motors[motor].targetSpeed - this.motors[motor].speed;
-      const step = Math.min(Math.abs(diff), 0.05) * Math.sign(diff);
-      this.motors[motor].speed += step;
+    Object.keys(this.odometry.revolutions).forEach(motor => {
+      const wheelSpeed = this.motors[motor].speed * this.motion.maxSpeed; // m/s
+      this.odometry.revolutions[motor] += wheelSpeed * this.pid.dt / circumference;
     });
+    
+    const now = Date.now();
+    if (now - this.odometry.lastPublish >= this.odometry.publishInterval) {
+      this.odometry.lastPublish = now;
+      eventBus.publish('motor.odometry.updated', this.getOdometry());
+    }
   }
   
   /**
@@ -341,7 +738,12 @@ class MotorController {
     Object.keys(this.motors).forEach(motor => {
       this.motors[motor].speed = speed;
       this.motors[motor].targetSpeed = speed;
+      this.wheelPid.wheels[motor] = { integral: 0, previousError: 0 };
     });
+    
+    if (speed === 0) {
+      this.motorDriver.stop();
+    }
   }
   
   /**
@@ -352,6 +754,9 @@ class MotorController {
     const status = {
       motors: { ...this.motors },
       motion: { ...this.motion },
+      speedLimit: this.getSpeedLimit(),
+      traction: this.getTraction(),
+      derating: this.getDerating(),
       safetyFlags: { ...this.safetyFlags },
       timestamp: Date.now()
     };
@@ -372,24 +777,22 @@ class MotorController {
         this._setAllMotorSpeeds(0);
         this.motion.speed = 0;
         this.motion.targetSpeed = 0;
+        this.motion.angularVelocity = 0;
+        this.motion.targetAngularVelocity = 0;
         break;
         
       case 'overTemperature':
-        // Reduce power to affected motors
-        this.motion.maxSpeed = this.motion.maxSpeed * 0.7;
-        this.logger.warn('Reducing maximum speed due to high motor temperature');
+        // The hot motors are derated by the derating manager
+        this.logger.warn('Derating motors due to high motor temperature');
         break;
         
       case 'overCurrent':
-        // Reduce acceleration
-        this.motion.maxAcceleration = this.motion.maxAcceleration * 0.7;
-        this.logger.warn('Reducing maximum acceleration due to high motor current');
+        // The overloaded motors are derated by the derating manager
+        this.logger.warn('Derating motors due to high motor current');
         break;
         
       case 'motorFault':
-        // Enter limp mode
-        this.motion.maxSpeed = this.motion.maxSpeed * 0.5;
-        this.motion.maxAcceleration = this.motion.maxAcceleration * 0.5;
+        // The faulted motor is isolated and the vehicle limited to limp speed
         this.logger.warn('Entering limp mode due to motor fault');
         break;
     }
@@ -405,7 +808,7 @@ class MotorController {
   
   /**
    * Set target speed for the vehicle
-   * @param {number} speed - Target speed in m/s
+   * @param {number} speed - Target speed in m/s (negative to reverse)
    */
   setTargetSpeed(speed) {
     // Validate input
@@ -414,8 +817,8 @@ class MotorController {
       return false;
     }
     
-    // Limit to maximum speed
-    const limitedSpeed = Math.max(0, Math.min(speed, this.motion.maxSpeed));
+    // Limit to maximum speed in either direction
+    const limitedSpeed = Math.max(-this.motion.maxReverseSpeed, Math.min(speed, this.motion.maxSpeed));
     
     if (limitedSpeed !== speed) {
       this.logger.warn(`Speed limited from ${speed} to ${limitedSpeed} m/s`);
@@ -450,11 +853,147 @@ class MotorController {
     }
     
     this.motion.targetDirection = limitedDirection;
+    this.motion.commandMode = 'steering';
     this.logger.info(`Target direction set to ${limitedDirection} radians`);
     
     return true;
   }
   
+  /**
+   * Set linear and angular velocity targets for the vehicle
+   * A zero linear velocity with a yaw rate pivots the tractor on the spot.
+   * @param {number} v - Linear velocity in m/s (negative to reverse)
+   * @param {number} omega - Angular velocity in rad/s (counter-clockwise positive)
+   */
+  setVelocityCommand(v, omega) {
+    // Validate input
+    if (typeof v !== 'number' || isNaN(v) || typeof omega !== 'number' || isNaN(omega)) {
+      this.logger.error(`Invalid velocity command: v=${v}, omega=${omega}`);
+      return false;
+    }
+    
+    const limitedSpeed = Math.max(-this.motion.maxReverseSpeed, Math.min(v, this.motion.maxSpeed));
+    const limitedOmega = Math.max(-this.motion.maxAngularVelocity, Math.min(omega, this.motion.maxAngularVelocity));
+    
+    if (limitedSpeed !== v || limitedOmega !== omega) {
+      this.logger.warn(`Velocity command limited from (${v}, ${omega}) to (${limitedSpeed}, ${limitedOmega})`);
+    }
+    
+    this.motion.targetSpeed = limitedSpeed;
+    this.motion.targetAngularVelocity = limitedOmega;
+    this.motion.targetDirection = 0;
+    this.motion.commandMode = 'velocity';
+    this.logger.info(`Velocity command set to v=${limitedSpeed} m/s, omega=${limitedOmega} rad/s`);
+    
+    return true;
+  }
+  
+  /**
+   * Limit the vehicle speed on behalf of another system
+   * The lowest limit of all sources applies until its source clears it.
+   * A limit on one direction of travel leaves the other direction and
+   * turning on the spot free.
+   * @param {string} source - Name of the limiting system
+   * @param {number} limit - Maximum speed in m/s
+   * @param {string} reason - Why the speed is limited
+   * @param {string|null} direction - 'forward' or 'reverse' to limit only that direction, null for both
+   */
+  setSpeedLimit(source, limit, reason, direction = null) {
+    if (typeof limit !== 'number' || isNaN(limit) || limit < 0) {
+      this.logger.error(`Invalid speed limit from ${source}: ${limit}`);
+      return false;
+    }
+    
+    if (direction !== null && direction !== 'forward' && direction !== 'reverse') {
+      this.logger.error(`Invalid speed limit direction from ${source}: ${direction}`);
+      return false;
+    }
+    
+    const previous = this.speedLimits[source];
+    
+    if (!previous || previous.reason !== reason || previous.direction !== direction) {
+      this.logger.info(`Speed${direction ? ` ${direction}` : ''} limited to ${limit.toFixed(2)} m/s by ${source}: ${reason}`);
+    }
+    
+    this.speedLimits[source] = {
+      limit: limit,
+      reason: reason,
+      direction: direction,
+      since: previous ? previous.since : Date.now()
+    };
+    
+    return true;
+  }
+  
+  /**
+   * Remove the speed limit of a source
+   * @param {string} source - Name of the limiting system
+   */
+  clearSpeedLimit(source) {
+    if (!this.speedLimits[source]) {
+      return false;
+    }
+    
+    delete this.speedLimits[source];
+    this.logger.info(`Speed limit from ${source} cleared`);
+    
+    return true;
+  }
+  
+  /**
+   * Get the speed limit that applies now
+   * @param {string} direction - 'forward' or 'reverse' for the limit on that direction of travel, omitted for any
+   * @returns {object|null} Lowest limit ({ source, limit, reason, direction, since }), or null if unlimited
+   */
+  getSpeedLimit(direction) {
+    return this._getLowestSpeedLimit(speedLimit =>
+      !direction || !speedLimit.direction || speedLimit.direction === direction);
+  }
+  
+  /**
+   * Lowest of the speed limits that pass a filter
+   * @private
+   */
+  _getLowestSpeedLimit(filter) {
+    let lowest = null;
+    
+    Object.keys(this.speedLimits).forEach(source => {
+      const speedLimit = this.speedLimits[source];
+      
+      if (filter(speedLimit) && (!lowest || speedLimit.limit < lowest.limit)) {
+        lowest = { source: source, ...speedLimit };
+      }
+    });
+    
+    return lowest;
+  }
+  
+  /**
+   * Get the distance needed to stop at the maximum deceleration
+   * @param {number} speed - Speed in m/s (defaults to the current speed)
+   * @returns {number} Stopping distance in meters
+   */
+  getStoppingDistance(speed = this.motion.speed) {
+    return speed * speed / (2 * this.motion.maxDeceleration);
+  }
+  
+  /**
+   * Get the highest speed from which the vehicle can stop within a distance
+   * Solves speed * reactionTime + speed² / (2 * deceleration) = distance.
+   * @param {number} distance - Distance available in meters
+   * @param {number} reactionTime - Seconds before braking starts
+   * @returns {number} Speed in m/s
+   */
+  getStoppingSpeed(distance, reactionTime = 0) {
+    const deceleration = this.motion.maxDeceleration;
+    
+    if (distance <= 0) {
+      return 0;
+    }
+    
+    return deceleration * (Math.sqrt(reactionTime * reactionTime + 2 * distance / deceleration) - reactionTime);
+  }
+  
   /**
    * Emergency stop
    */
@@ -491,6 +1030,41 @@ class MotorController {
     return true;
   }
   
+  /**
+   * Reset the fault of an isolated motor, driving it again
+   * @param {string} motor - Motor name
+   * @returns {boolean} True if the motor is no longer isolated
+   */
+  resetMotorFault(motor) {
+    if (!this.motors[motor]) {
+      this.logger.error(`Unknown motor: ${motor}`);
+      return false;
+    }
+    
+    if (!this.deratingManager.isIsolated(motor)) {
+      return true;
+    }
+    
+    if (!this.deratingManager.resetFault(motor)) {
+      this.logger.error(`Cannot reset ${motor} motor fault: readings still over the fault level`);
+      return false;
+    }
+    
+    this.motors[motor].health = 'good';
+    this.wheelPid.wheels[motor] = { integral: 0, previousError: 0 };
+    this.logger.info(`${motor} motor fault reset`);
+    
+    eventBus.publish('motor.derating.changed', {
+      motor: motor,
+      ...this.deratingManager.getState()[motor],
+      timestamp: Date.now()
+    });
+    
+    this._applyDeratingLimits();
+    
+    return true;
+  }
+  
   /**
    * Get current motor status
    * @returns {object} Current motor status
@@ -499,10 +1073,53 @@ class MotorController {
     return {
       motors: { ...this.motors },
       motion: { ...this.motion },
+      speedLimit: this.getSpeedLimit(),
+      traction: this.getTraction(),
+      derating: this.getDerating(),
       safetyFlags: { ...this.safetyFlags }
     };
   }
   
+  /**
+   * Get the derating of each motor and what it means for the vehicle
+   * @returns {object} Per motor factor, isolation and reasons, with the vehicle's speed and acceleration factors and whether it is in limp mode
+   */
+  getDerating() {
+    const limits = this.deratingManager.getVehicleLimits();
+    
+    return {
+      speedFactor: limits.speedFactor,
+      accelerationFactor: limits.accelerationFactor,
+      limpMode: limits.limpMode,
+      reason: limits.reason,
+      motors: this.deratingManager.getState()
+    };
+  }
+  
+  /**
+   * Get the grip of each wheel
+   * @returns {object} Fused ground speed and, per wheel, slip ratio, ground speed, whether it slips and the drive shifted to it (m/s)
+   */
+  getTraction() {
+    const wheels = {};
+    
+    Object.keys(this.traction.wheels).forEach(motor => {
+      const wheel = this.traction.wheels[motor];
+      
+      wheels[motor] = {
+        slipRatio: wheel.slipRatio,
+        groundSpeed: wheel.groundSpeed,
+        slipping: wheel.slipping,
+        redistribution: wheel.redistribution
+      };
+    });
+    
+    return {
+      groundSpeed: this.traction.groundSpeed,
+      wheels: wheels
+    };
+  }
+  
   /**
    * Get current vehicle speed
    * @returns {number} Current speed in m/s
@@ -511,6 +1128,37 @@ class MotorController {
     return this.motion.speed;
   }
   
+  /**
+   * Get target vehicle speed
+   * @returns {number} Commanded speed in m/s (negative when reversing)
+   */
+  getTargetSpeed() {
+    return this.motion.targetSpeed;
+  }
+  
+  /**
+   * Get wheel odometry
+   * @returns {object} Per-wheel speed (m/s) and cumulative encoder ticks, with the wheel geometry
+   */
+  getOdometry() {
+    const wheels = {};
+    
+    Object.keys(this.odometry.revolutions).forEach(motor => {
+      wheels[motor] = {
+        speed: this.motors[motor].speed * this.motion.maxSpeed,
+        ticks: Math.round(this.odometry.revolutions[motor] * this.odometry.ticksPerRevolution)
+      };
+    });
+    
+    return {
+      wheels: wheels,
+      wheelRadius: this.odometry.wheelRadius,
+      trackWidth: this.odometry.trackWidth,
+      ticksPerRevolution: this.odometry.ticksPerRevolution,
+      timestamp: Date.now()
+    };
+  }
+  
   /**
    * Shutdown the motor controller
    */
@@ -523,6 +1171,13 @@ class MotorController {
     // Stop all motors
     this._setAllMotorSpeeds(0);
     
+    // Release the motor drive
+    try {
+      await this.motorDriver.close();
+    } catch (error) {
+      this.logger.error(`Failed to close motor drive: ${error.message}`);
+    }
+    
     // Unsubscribe from events
     // In a real implementation, we would unsubscribe from all events
     
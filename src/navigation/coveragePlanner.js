@@ -0,0 +1,888 @@
+/**
+ * Sevak Mini Tractor - Coverage Planner
+ *
+ * Boustrophedon (back-and-forth) coverage planning for cutting a whole field.
+ * The field is shrunk by the headland width, split into cells that can be
+ * covered with straight parallel passes, and each cell is driven row by row
+ * with headland turns in between. Keep-out zones (ponds, sheds, ditches) get
+ * a headland of their own and split the rows around them. Optional laps
+ * around the headlands finish the field edge once the interior is cut.
+ */
+
+const PathPlanner = require('./pathPlanner');
+
+class CoveragePlanner {
+  /**
+   * Create a new coverage planner
+   * @param {object} params - Coverage parameters (see config.navigation.coverage)
+   */
+  constructor(params = {}) {
+    this.params = {
+      swathWidth: params.swathWidth || 1.2, // meters
+      overlap: params.overlap !== undefined ? params.overlap : 10, // % of swath width
+      headlandWidth: params.headlandWidth !== undefined ? params.headlandWidth : 3.0, // meters
+      orientation: params.orientation !== undefined ? params.orientation : 'auto', // degrees or 'auto'
+      headlandPasses: params.headlandPasses !== undefined ? params.headlandPasses : true,
+      boundaryMargin: params.boundaryMargin || 0, // meters kept inside the boundary and away from keep-out zones
+      minTurningRadius: params.minTurningRadius || 1.5, // meters
+      turnResolution: params.turnResolution || 0.5, // meters between turn waypoints
+      minRowLength: params.minRowLength || 1.0 // meters
+    };
+
+    // Used to route between separate parts of the field without leaving it
+    this.transitPlanner = params.transitPlanner || new PathPlanner({
+      resolution: params.transitResolution || 0.5,
+      maxIterations: params.transitMaxIterations || 20000,
+      obstacleMargin: 0.1,
+      minTurningRadius: this.params.minTurningRadius
+    });
+  }
+
+  /**
+   * Plan coverage of a field
+   * @param {Array} boundary - Field boundary polygon points ({ x, y })
+   * @param {object} options - Overrides for the planner parameters
+   * @param {object} options.start - Position the tractor starts from
+   * @param {Array} options.keepOut - Keep-out polygons inside the field, each an array of points
+   * @returns {object} Result ({ success, waypoints, reason, stats })
+   */
+  plan(boundary, options = {}) {
+    const params = { ...this.params, ...this._definedOptions(options) };
+
+    if (!Array.isArray(boundary) || boundary.length < 3) {
+      return this._failure('invalidBoundary');
+    }
+
+    if (!(params.swathWidth > 0) || !(params.overlap >= 0 && params.overlap < 100) ||
+        !(params.headlandWidth >= 0) || !(params.boundaryMargin >= 0)) {
+      return this._failure('invalidParameters');
+    }
+
+    const outline = this._makeCounterClockwise(boundary.map(point => ({ x: point.x, y: point.y })));
+
+    if (Math.abs(this._polygonArea(outline)) < 1e-6) {
+      return this._failure('invalidBoundary');
+    }
+
+    const zones = (options.keepOut || []).map(zone =>
+      this._makeCounterClockwise(zone.map(point => ({ x: point.x, y: point.y })))
+    );
+
+    if (zones.some(zone => zone.length < 3 || Math.abs(this._polygonArea(zone)) < 1e-6)) {
+      return this._failure('invalidKeepOut');
+    }
+
+    // Area the tractor may drive in, the margin inside the boundary and
+    // around each keep-out zone
+    const field = this._offsetPolygon(outline, params.boundaryMargin);
+
+    if (!field) {
+      return this._failure('boundaryMarginTooWide');
+    }
+
+    const holes = zones.map(zone => this._growPolygon(zone, params.boundaryMargin));
+
+    const spacing = params.swathWidth * (1 - params.overlap / 100);
+
+    // Headland turns must fit between the interior and the field edge
+    const turnReach = this._turnReach(spacing, params.minTurningRadius);
+
+    if (turnReach > params.headlandWidth) {
+      return this._failure('headlandTooNarrow', { requiredHeadlandWidth: turnReach });
+    }
+
+    const heading = params.orientation === 'auto' ?
+      this._longestEdgeHeading(field) :
+      Number(params.orientation) * Math.PI / 180;
+
+    // Area left for parallel passes once the headlands are reserved for turning
+    const interior = this._offsetPolygon(field, params.headlandWidth);
+
+    if (!interior) {
+      return this._failure('headlandTooWide');
+    }
+
+    const interiorHoles = holes.map(hole => this._growPolygon(hole, params.headlandWidth));
+
+    const rows = this._generateRows(interior, interiorHoles, heading, spacing);
+    const cells = this._decomposeRows(rows, params.minRowLength);
+
+    if (cells.length === 0) {
+      return this._failure('fieldTooSmall');
+    }
+
+    const start = options.start || this._rowPoint(cells[0].rows[0].offset, cells[0].rows[0].start, heading);
+    const waypoints = [];
+    let position = { x: start.x, y: start.y };
+    let turns = 0;
+    let passes = 0;
+
+    // Cover the interior cell by cell, always picking the nearest remaining cell
+    const remaining = cells.slice();
+
+    while (remaining.length > 0) {
+      const { index, entry } = this._nearestCell(remaining, position, heading);
+      const cell = remaining.splice(index, 1)[0];
+      const cellRows = entry.reverseRows ? cell.rows.slice().reverse() : cell.rows;
+      let forward = entry.forward;
+
+      const firstPoint = this._rowEndpoints(cellRows[0], heading, forward).from;
+
+      if (!this._appendTransit(waypoints, position, firstPoint, field, holes)) {
+        return this._failure('unreachableRegion');
+      }
+
+      cellRows.forEach((row, rowIndex) => {
+        const { from, to } = this._rowEndpoints(row, heading, forward);
+
+        if (rowIndex > 0) {
+          this._appendTurn(waypoints, waypoints[waypoints.length - 1], from, params);
+          turns++;
+        }
+
+        this._appendPoint(waypoints, from);
+        this._appendPoint(waypoints, to);
+        passes++;
+        forward = !forward;
+      });
+
+      position = waypoints[waypoints.length - 1];
+    }
+
+    // Finish with laps around the headlands, innermost first: the field
+    // edge, then each keep-out zone
+    let laps = 0;
+
+    if (params.headlandPasses && params.headlandWidth > 0) {
+      for (const around of [null, ...holes]) {
+        // Zones are driven around on the outside
+        const others = holes.filter(hole => hole !== around);
+        let inset = params.headlandWidth - params.swathWidth / 2;
+
+        for (;;) {
+          const lapInset = Math.max(inset, params.swathWidth / 2);
+          const lap = around ? this._growPolygon(around, lapInset) : this._offsetPolygon(field, lapInset);
+
+          // Laps that would cut through the field edge or another zone are left out
+          if (lap && this._isLapClear(lap, field, others)) {
+            const lapPoints = this._rotateToNearest(lap, position);
+
+            if (!this._appendTransit(waypoints, position, lapPoints[0], field, holes)) {
+              return this._failure('unreachableRegion');
+            }
+
+            lapPoints.forEach(point => this._appendPoint(waypoints, point));
+            this._appendPoint(waypoints, lapPoints[0]);
+            position = lapPoints[0];
+            laps++;
+          }
+
+          if (lapInset <= params.swathWidth / 2) {
+            break;
+          }
+
+          inset -= spacing;
+        }
+      }
+    }
+
+    return {
+      success: true,
+      waypoints: waypoints,
+      reason: null,
+      stats: {
+        passes: passes,
+        turns: turns,
+        headlandLaps: laps,
+        cells: cells.length,
+        keepOutZones: holes.length,
+        swathSpacing: spacing,
+        orientation: this._normalizeDegrees(heading * 180 / Math.PI),
+        distance: this._pathLength(waypoints),
+        fieldArea: Math.abs(this._polygonArea(field))
+      }
+    };
+  }
+
+  /**
+   * Build a failed planning result
+   * @private
+   */
+  _failure(reason, details = {}) {
+    return { success: false, waypoints: null, reason: reason, stats: null, ...details };
+  }
+
+  /**
+   * Drop undefined option values so they do not override defaults
+   * @private
+   */
+  _definedOptions(options) {
+    const defined = {};
+
+    Object.keys(options).forEach(key => {
+      if (options[key] !== undefined && key !== 'start' && key !== 'keepOut') {
+        defined[key] = options[key];
+      }
+    });
+
+    return defined;
+  }
+
+  /**
+   * Intersect parallel scan lines with the interior polygon, leaving out the
+   * parts inside holes
+   * @private
+   * @returns {Array} Rows ({ offset, intervals: [[start, end], ...] }) in row-frame coordinates
+   */
+  _generateRows(polygon, holes, heading, spacing) {
+    const local = polygon.map(point => this._toRowFrame(point, heading));
+    const localHoles = holes.map(hole => hole.map(point => this._toRowFrame(point, heading)));
+    const offsets = local.map(point => point.v);
+    const minOffset = Math.min(...offsets);
+    const width = Math.max(...offsets) - minOffset;
+
+    // Spread the rows evenly, keeping half a swath from each side of the interior
+    const count = Math.max(1, Math.ceil(width / spacing));
+    const step = count > 1 ? (width - spacing) / (count - 1) : 0;
+    const first = count > 1 ? minOffset + spacing / 2 : minOffset + width / 2;
+    const rows = [];
+
+    for (let k = 0; k < count; k++) {
+      const offset = first + k * step;
+      const cuts = [].concat(...localHoles.map(hole => this._scanLine(hole, offset)));
+      rows.push({ offset: offset, intervals: this._subtractIntervals(this._scanLine(local, offset), cuts) });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Remove the parts of sorted intervals covered by any of the cuts
+   * @private
+   */
+  _subtractIntervals(intervals, cuts) {
+    let pieces = intervals;
+
+    cuts.forEach(([cutStart, cutEnd]) => {
+      const remaining = [];
+
+      pieces.forEach(([start, end]) => {
+        if (cutEnd <= start || cutStart >= end) {
+          remaining.push([start, end]);
+          return;
+        }
+
+        if (cutStart > start) {
+          remaining.push([start, cutStart]);
+        }
+
+        if (cutEnd < end) {
+          remaining.push([cutEnd, end]);
+        }
+      });
+
+      pieces = remaining;
+    });
+
+    return pieces;
+  }
+
+  /**
+   * Intervals where a scan line at the given offset lies inside the polygon
+   * @private
+   */
+  _scanLine(local, offset) {
+    const crossings = [];
+
+    for (let i = 0, j = local.length - 1; i < local.length; j = i++) {
+      const a = local[j];
+      const b = local[i];
+
+      // Half-open test so shared vertices are counted once
+      if ((a.v > offset) !== (b.v > offset)) {
+        const t = (offset - a.v) / (b.v - a.v);
+        crossings.push(a.u + t * (b.u - a.u));
+      }
+    }
+
+    crossings.sort((a, b) => a - b);
+
+    const intervals = [];
+
+    for (let k = 0; k + 1 < crossings.length; k += 2) {
+      intervals.push([crossings[k], crossings[k + 1]]);
+    }
+
+    return intervals;
+  }
+
+  /**
+   * Split rows into cells that can each be covered without leaving the field.
+   * A new set of cells starts wherever the number of intervals per row changes.
+   * @private
+   */
+  _decomposeRows(rows, minRowLength) {
+    const cells = [];
+    let open = [];
+
+    rows.forEach(row => {
+      const intervals = row.intervals.filter(interval => interval[1] - interval[0] >= minRowLength);
+
+      const continues = intervals.length === open.length && intervals.every((interval, index) => {
+        const last = open[index].rows[open[index].rows.length - 1];
+        return interval[0] < last.end && interval[1] > last.start;
+      });
+
+      if (!continues) {
+        open = intervals.map(() => ({ rows: [] }));
+        open.forEach(cell => cells.push(cell));
+      }
+
+      intervals.forEach((interval, index) => {
+        open[index].rows.push({ offset: row.offset, start: interval[0], end: interval[1] });
+      });
+    });
+
+    return cells.filter(cell => cell.rows.length > 0);
+  }
+
+  /**
+   * Find the remaining cell with the closest entry point
+   * @private
+   */
+  _nearestCell(cells, position, heading) {
+    let best = null;
+
+    cells.forEach((cell, index) => {
+      const first = cell.rows[0];
+      const last = cell.rows[cell.rows.length - 1];
+
+      // A cell can be entered at any of its four corners
+      [
+        { row: first, reverseRows: false },
+        { row: last, reverseRows: true }
+      ].forEach(option => {
+        [true, false].forEach(forward => {
+          const point = this._rowEndpoints(option.row, heading, forward).from;
+          const distance = this._distance(position, point);
+
+          if (!best || distance < best.distance) {
+            best = { index, distance, entry: { reverseRows: option.reverseRows, forward } };
+          }
+        });
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * World coordinates of a row's ends in the driving direction
+   * @private
+   */
+  _rowEndpoints(row, heading, forward) {
+    const a = this._rowPoint(row.offset, row.start, heading);
+    const b = this._rowPoint(row.offset, row.end, heading);
+    return forward ? { from: a, to: b } : { from: b, to: a };
+  }
+
+  /**
+   * Add a headland turn from the end of one row to the start of the next
+   * @private
+   */
+  _appendTurn(waypoints, from, to, params) {
+    const previous = waypoints.length > 1 ? waypoints[waypoints.length - 2] : null;
+
+    if (!previous) {
+      this._appendPoint(waypoints, to);
+      return;
+    }
+
+    // Local frame: x along the finished row, y towards the next row
+    const length = this._distance(previous, from);
+    const hx = (from.x - previous.x) / length;
+    const hy = (from.y - previous.y) / length;
+    const along = (to.x - from.x) * hx + (to.y - from.y) * hy;
+    const lateral = (to.x - from.x) * -hy + (to.y - from.y) * hx;
+    const side = lateral >= 0 ? 1 : -1;
+    const spacing = Math.abs(lateral);
+
+    // Turn at whichever row end reaches further into the headland
+    const reach = Math.max(0, along);
+    const toLocal = (x, y) => ({
+      x: from.x + x * hx - side * y * hy,
+      y: from.y + x * hy + side * y * hx,
+      z: 0
+    });
+
+    const turnPoints = this._turnShape(spacing, params.minTurningRadius, params.turnResolution)
+      .map(point => toLocal(point.x + reach, point.y));
+
+    if (reach > 0) {
+      this._appendPoint(waypoints, toLocal(reach, 0));
+    }
+
+    turnPoints.forEach(point => this._appendPoint(waypoints, point));
+  }
+
+  /**
+   * How far a headland turn extends beyond the end of the row
+   * @private
+   */
+  _turnReach(spacing, radius) {
+    if (spacing >= 2 * radius) {
+      return radius;
+    }
+
+    const halfGap = (spacing + 2 * radius) / 2;
+    return Math.sqrt(4 * radius * radius - halfGap * halfGap) + radius;
+  }
+
+  /**
+   * Turn from (0, 0) heading +x to (0, spacing) heading -x, as sampled points
+   * @private
+   */
+  _turnShape(spacing, radius, resolution) {
+    const points = [];
+
+    if (spacing >= 2 * radius) {
+      // U-turn: quarter arc, straight across, quarter arc
+      this._sampleArc(points, { x: 0, y: radius }, radius, -Math.PI / 2, 0, resolution);
+      this._sampleArc(points, { x: 0, y: spacing - radius }, radius, 0, Math.PI / 2, resolution);
+    } else {
+      // Bulb (omega) turn: swing away from the next row, loop round, swing back
+      const c1 = { x: 0, y: -radius };
+      const c3 = { x: 0, y: spacing + radius };
+      const halfGap = (spacing + 2 * radius) / 2;
+      const c2 = { x: Math.sqrt(4 * radius * radius - halfGap * halfGap), y: spacing / 2 };
+
+      const a12 = Math.atan2(c2.y - c1.y, c2.x - c1.x);
+      const a32 = Math.atan2(c2.y - c3.y, c2.x - c3.x);
+
+      // Clockwise around c1 to the tangent point with c2
+      this._sampleArc(points, c1, radius, Math.PI / 2, a12, resolution, -1);
+      // Counter-clockwise the long way round c2
+      this._sampleArc(points, c2, radius, a12 + Math.PI, a32 + Math.PI, resolution, 1);
+      // Clockwise around c3 into the next row
+      this._sampleArc(points, c3, radius, a32, -Math.PI / 2, resolution, -1);
+    }
+
+    points.push({ x: 0, y: spacing });
+    return points;
+  }
+
+  /**
+   * Sample an arc, excluding its end point
+   * @private
+   * @param {number} sense - 1 for counter-clockwise, -1 for clockwise, 0 for the shorter way
+   */
+  _sampleArc(points, center, radius, startAngle, endAngle, resolution, sense = 0) {
+    let sweep = endAngle - startAngle;
+
+    if (sense > 0) {
+      while (sweep <= 0) sweep += 2 * Math.PI;
+    } else if (sense < 0) {
+      while (sweep >= 0) sweep -= 2 * Math.PI;
+    } else {
+      sweep = Math.atan2(Math.sin(sweep), Math.cos(sweep));
+    }
+
+    const steps = Math.max(2, Math.ceil(Math.abs(sweep) * radius / resolution));
+
+    for (let s = 0; s < steps; s++) {
+      const angle = startAngle + sweep * (s / steps);
+      points.push({
+        x: center.x + radius * Math.cos(angle),
+        y: center.y + radius * Math.sin(angle)
+      });
+    }
+  }
+
+  /**
+   * Drive from one point to another, routing inside the field and around
+   * keep-out zones if needed
+   * @private
+   * @returns {boolean} False if no route exists
+   */
+  _appendTransit(waypoints, from, to, field, holes) {
+    if (this._distance(from, to) < 1e-6) {
+      this._appendPoint(waypoints, to);
+      return true;
+    }
+
+    if (this._isSegmentClear(from, to, field, holes)) {
+      this._appendPoint(waypoints, to);
+      return true;
+    }
+
+    const environment = { obstacles: [], boundary: field, keepOut: holes };
+    const result = this.transitPlanner.plan(from, to, environment);
+
+    if (!result.success) {
+      // Starting outside the field - drive straight to the first row
+      if (waypoints.length === 0) {
+        this._appendPoint(waypoints, to);
+        return true;
+      }
+
+      return false;
+    }
+
+    result.path.slice(1).forEach(point => this._appendPoint(waypoints, point));
+    return true;
+  }
+
+  /**
+   * Check that a segment does not cross the polygon outline
+   * @private
+   */
+  _isSegmentInsidePolygon(a, b, polygon) {
+    const midpoint = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+    if (!this._isPointInPolygon(midpoint, polygon)) {
+      return false;
+    }
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      if (this._segmentsCross(a, b, polygon[j], polygon[i])) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check that a segment stays inside the field and out of every hole
+   * @private
+   */
+  _isSegmentClear(a, b, field, holes) {
+    if (!this._isSegmentInsidePolygon(a, b, field)) {
+      return false;
+    }
+
+    return holes.every(hole => {
+      const midpoint = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+      if (this._isPointInPolygon(midpoint, hole)) {
+        return false;
+      }
+
+      for (let i = 0, j = hole.length - 1; i < hole.length; j = i++) {
+        if (this._segmentsCross(a, b, hole[j], hole[i])) {
+          return false;
+        }
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Check that a closed lap stays inside the field and out of the given holes
+   * @private
+   */
+  _isLapClear(lap, field, holes) {
+    return lap.every((point, index) => this._isSegmentClear(point, lap[(index + 1) % lap.length], field, holes));
+  }
+
+  /**
+   * Check if two segments cross at a point inside both (touching does not count)
+   * @private
+   */
+  _segmentsCross(p1, p2, q1, q2) {
+    const orientation = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    const eps = 1e-9;
+
+    const d1 = orientation(q1, q2, p1);
+    const d2 = orientation(q1, q2, p2);
+    const d3 = orientation(p1, p2, q1);
+    const d4 = orientation(p1, p2, q2);
+
+    return ((d1 > eps && d2 < -eps) || (d1 < -eps && d2 > eps)) &&
+      ((d3 > eps && d4 < -eps) || (d3 < -eps && d4 > eps));
+  }
+
+  /**
+   * Check if a point is inside a polygon (ray casting)
+   * @private
+   */
+  _isPointInPolygon(point, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const xi = polygon[i].x;
+      const yi = polygon[i].y;
+      const xj = polygon[j].x;
+      const yj = polygon[j].y;
+
+      const intersect = ((yi > point.y) !== (yj > point.y)) &&
+        (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
+
+      if (intersect) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  /**
+   * Append a waypoint, skipping duplicates
+   * @private
+   */
+  _appendPoint(waypoints, point) {
+    const last = waypoints[waypoints.length - 1];
+
+    if (last && this._distance(last, point) < 1e-6) {
+      return;
+    }
+
+    waypoints.push({ x: point.x, y: point.y, z: 0 });
+  }
+
+  /**
+   * Offset a counter-clockwise polygon inwards by a distance (outwards if negative)
+   * @private
+   * @returns {Array|null} Inset polygon, or null if it collapses
+   */
+  _offsetPolygon(polygon, distance) {
+    if (distance === 0) {
+      return polygon.slice();
+    }
+
+    const count = polygon.length;
+    const lines = [];
+
+    // Shift every edge towards the inside (left of a counter-clockwise edge)
+    for (let i = 0; i < count; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % count];
+      const length = this._distance(a, b);
+
+      if (length < 1e-9) {
+        continue;
+      }
+
+      const nx = -(b.y - a.y) / length;
+      const ny = (b.x - a.x) / length;
+
+      lines.push({
+        point: { x: a.x + nx * distance, y: a.y + ny * distance },
+        direction: { x: (b.x - a.x) / length, y: (b.y - a.y) / length }
+      });
+    }
+
+    const inset = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const previous = lines[(i + lines.length - 1) % lines.length];
+      const current = lines[i];
+      const intersection = this._intersectLines(previous, current);
+
+      if (intersection) {
+        inset.push(intersection);
+      }
+    }
+
+    if (inset.length < 3) {
+      return null;
+    }
+
+    // A collapsed offset flips orientation or moves edges the wrong way
+    if (this._polygonArea(inset) <= 0) {
+      return null;
+    }
+
+    for (let i = 0; i < inset.length; i++) {
+      const original = lines[i].direction;
+      const a = inset[i];
+      const b = inset[(i + 1) % inset.length];
+
+      if ((b.x - a.x) * original.x + (b.y - a.y) * original.y < 0) {
+        return null;
+      }
+    }
+
+    return inset;
+  }
+
+  /**
+   * Grow a counter-clockwise polygon outwards by a distance. Growing can fold
+   * narrow notches over themselves, in which case the convex hull is grown
+   * instead, which covers more but never less than the polygon.
+   * @private
+   */
+  _growPolygon(polygon, distance) {
+    return this._offsetPolygon(polygon, -distance) || this._offsetPolygon(this._convexHull(polygon), -distance);
+  }
+
+  /**
+   * Counter-clockwise convex hull of a set of points (monotone chain)
+   * @private
+   */
+  _convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    const upper = [];
+
+    sorted.forEach(point => {
+      while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+        lower.pop();
+      }
+      lower.push(point);
+    });
+
+    sorted.slice().reverse().forEach(point => {
+      while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+        upper.pop();
+      }
+      upper.push(point);
+    });
+
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+  }
+
+  /**
+   * Intersection of two infinite lines, or null if they are parallel
+   * @private
+   */
+  _intersectLines(l1, l2) {
+    const cross = l1.direction.x * l2.direction.y - l1.direction.y * l2.direction.x;
+
+    if (Math.abs(cross) < 1e-9) {
+      // Collinear edges - the shared offset point is on both lines
+      return { x: l2.point.x, y: l2.point.y };
+    }
+
+    const dx = l2.point.x - l1.point.x;
+    const dy = l2.point.y - l1.point.y;
+    const t = (dx * l2.direction.y - dy * l2.direction.x) / cross;
+
+    return {
+      x: l1.point.x + t * l1.direction.x,
+      y: l1.point.y + t * l1.direction.y
+    };
+  }
+
+  /**
+   * Rotate a closed polygon so it starts at the vertex nearest to a point
+   * @private
+   */
+  _rotateToNearest(polygon, point) {
+    let nearest = 0;
+
+    polygon.forEach((vertex, index) => {
+      if (this._distance(vertex, point) < this._distance(polygon[nearest], point)) {
+        nearest = index;
+      }
+    });
+
+    return [...polygon.slice(nearest), ...polygon.slice(0, nearest)];
+  }
+
+  /**
+   * Heading of the longest boundary edge (rows run parallel to it)
+   * @private
+   */
+  _longestEdgeHeading(polygon) {
+    let longest = 0;
+    let heading = 0;
+
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % polygon.length];
+      const length = this._distance(a, b);
+
+      if (length > longest) {
+        longest = length;
+        heading = Math.atan2(b.y - a.y, b.x - a.x);
+      }
+    }
+
+    return heading;
+  }
+
+  /**
+   * Convert a point to row-frame coordinates (u along rows, v across rows)
+   * @private
+   */
+  _toRowFrame(point, heading) {
+    const cos = Math.cos(heading);
+    const sin = Math.sin(heading);
+
+    return {
+      u: point.x * cos + point.y * sin,
+      v: -point.x * sin + point.y * cos
+    };
+  }
+
+  /**
+   * Convert row-frame coordinates back to a world point
+   * @private
+   */
+  _rowPoint(v, u, heading) {
+    const cos = Math.cos(heading);
+    const sin = Math.sin(heading);
+
+    return {
+      x: u * cos - v * sin,
+      y: u * sin + v * cos,
+      z: 0
+    };
+  }
+
+  /**
+   * Ensure a polygon is counter-clockwise
+   * @private
+   */
+  _makeCounterClockwise(polygon) {
+    return this._polygonArea(polygon) < 0 ? polygon.reverse() : polygon;
+  }
+
+  /**
+   * Signed polygon area (positive for counter-clockwise)
+   * @private
+   */
+  _polygonArea(polygon) {
+    let area = 0;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      area += polygon[j].x * polygon[i].y - polygon[i].x * polygon[j].y;
+    }
+
+    return area / 2;
+  }
+
+  /**
+   * @private
+   */
+  _pathLength(points) {
+    let length = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      length += this._distance(points[i - 1], points[i]);
+    }
+
+    return length;
+  }
+
+  /**
+   * @private
+   */
+  _normalizeDegrees(angle) {
+    return ((angle % 360) + 360) % 360;
+  }
+
+  /**
+   * @private
+   */
+  _distance(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+}
+
+module.exports = CoveragePlanner;
@@ -0,0 +1,96 @@
+/**
+ * Sevak Mini Tractor - Map Store
+ *
+ * Keeps the static obstacles of each field's occupancy map on disk, one
+ * JSON file per field, so known obstacles are there again the next time
+ * the field is worked.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class MapStore {
+  /**
+   * @param {string} storageDir - Directory for the map files
+   */
+  constructor(storageDir) {
+    this.storageDir = storageDir;
+
+    // Serializes writes to the map files
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Get the file of a field's map
+   * @private
+   */
+  _filePath(fieldId) {
+    // Encoded, so an ID can never point outside the storage directory
+    return path.join(this.storageDir, `${encodeURIComponent(fieldId)}.json`);
+  }
+
+  /**
+   * Load a field's map
+   * @param {string} fieldId - Field ID
+   * @returns {Promise<object|null>} Map ({ fieldId, resolution, cells, savedAt }), or null if none is stored
+   */
+  async load(fieldId) {
+    let data;
+    try {
+      data = await fs.readFile(this._filePath(fieldId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const map = JSON.parse(data);
+
+    if (!map || typeof map.resolution !== 'number' || !Array.isArray(map.cells)) {
+      throw new Error(`Invalid map file for field ${fieldId}`);
+    }
+
+    return map;
+  }
+
+  /**
+   * Save a field's map
+   * @param {string} fieldId - Field ID
+   * @param {object} map - Map ({ resolution, cells })
+   * @returns {Promise} Resolves when the map is on disk
+   */
+  save(fieldId, map) {
+    const filePath = this._filePath(fieldId);
+    const data = JSON.stringify({
+      fieldId: fieldId,
+      resolution: map.resolution,
+      cells: map.cells,
+      savedAt: Date.now()
+    });
+
+    this.saveQueue = this.saveQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(this.storageDir, { recursive: true });
+
+        // Write to a temporary file first so a crash cannot leave a truncated map
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, data, 'utf8');
+        await fs.rename(tempPath, filePath);
+      });
+
+    return this.saveQueue;
+  }
+
+  /**
+   * Delete a field's map
+   * @param {string} fieldId - Field ID
+   */
+  async delete(fieldId) {
+    await this.saveQueue.catch(() => {});
+    await fs.rm(this._filePath(fieldId), { force: true });
+  }
+}
+
+module.exports = MapStore;
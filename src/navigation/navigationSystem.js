@@ -8,22 +8,43 @@
 const Logger = require('../utils/logger');
 const eventBus = require('../utils/eventBus');
 const config = require('../config');
+const PathFollower = require('./pathFollower');
+const PathPlanner = require('./pathPlanner');
+const CoveragePlanner = require('./coveragePlanner');
+const OccupancyGrid = require('./occupancyGrid');
+const ObstacleTracker = require('./obstacleTracker');
+const MapStore = require('./mapStore');
+const { isGeodeticPoint } = require('../utils/geodesy');
+
+// Ultrasonic sensor mounting (meters forward/left of the vehicle center, rad counter-clockwise from forward)
+const DEFAULT_ULTRASONIC_MOUNTS = {
+  front_left: { x: 1.0, y: 0.4, angle: 0.35 },
+  front_center: { x: 1.0, y: 0, angle: 0 },
+  front_right: { x: 1.0, y: -0.4, angle: -0.35 },
+  rear_left: { x: -1.0, y: 0.4, angle: Math.PI - 0.35 },
+  rear_center: { x: -1.0, y: 0, angle: Math.PI },
+  rear_right: { x: -1.0, y: -0.4, angle: -Math.PI + 0.35 }
+};
 
 class NavigationSystem {
-  constructor(sensorManager) {
+  constructor(sensorManager, motorController = null) {
     this.logger = new Logger('NavigationSystem');
     this.sensorManager = sensorManager;
+    this.motorController = motorController;
     
     // Navigation state
     this.state = {
       currentPosition: { x: 0, y: 0, z: 0 },
       currentOrientation: { roll: 0, pitch: 0, yaw: 0 },
       positionUncertainty: 10.0, // meters
+      localization: 'good', // 'good', 'degraded' (slowed down), 'lost' (holding position)
       isNavigating: false,
       isPathValid: false,
       navigationMode: 'idle', // 'idle', 'manual', 'autonomous'
       obstacleDetected: false,
-      obstacleAvoidanceActive: false
+      obstacleAvoidanceActive: false,
+      crossTrackError: 0, // meters (positive = left of path)
+      headingError: 0 // radians
     };
     
     // Path planning
@@ -33,30 +54,101 @@ class NavigationSystem {
       completedWaypoints: 0,
       totalDistance: 0,
       remainingDistance: 0,
-      progress: 0
+      progress: 0,
+      segmentStart: null // Start point of the active segment
     };
     
-    // Field boundaries
+    // Geofence: the field boundary and the keep-out zones inside it
     this.boundaries = {
       points: [],
-      isWithinBoundaries: true
+      keepOutZones: [], // Polygons, each an array of points
+      isWithinBoundaries: true,
+      violation: null, // null, 'boundaryExit' or 'keepOutEntry'
+      approach: null, // Buffered boundary ahead within the warning distance ({ distance, zone, direction, speedLimit })
+      lastApproachWarning: 0,
+      stop: null // Held at the geofence while navigating ({ since, replanned })
     };
     
-    // Obstacle map
+    // Obstacle map, built from the occupancy grid and the obstacle tracks
     this.obstacleMap = {
       staticObstacles: [],
       dynamicObstacles: [],
       lastUpdated: 0
     };
     
+    // People and animals from perception, kept among the dynamic obstacles with a larger clearance
+    this.perceivedObstacles = [];
+    
+    const mapConfig = config.navigation.map || {};
+    
     // Navigation parameters
     this.params = {
       waypointReachedThreshold: config.navigation.waypointReachedThreshold || 1.0,
       pathPlanningResolution: config.navigation.pathPlanningResolution || 0.5,
       obstacleAvoidanceMargin: config.navigation.obstacleAvoidanceMargin || 1.0,
       maxPathfindingIterations: config.navigation.maxPathfindingIterations || 1000,
-      geofencingMargin: config.navigation.geofencingMargin || 2.0
+      geofencingMargin: config.navigation.geofencingMargin || 2.0,
+      minTurningRadius: config.navigation.minTurningRadius || 1.5,
+      slowdownUncertainty: config.navigation.localization?.slowdownUncertainty || 1.5,
+      slowdownFactor: config.navigation.localization?.slowdownFactor || 0.5,
+      maxUncertainty: config.navigation.localization?.maxUncertainty || 3.0,
+      geofenceReactionTime: config.navigation.boundaries?.reactionTime || 0.3,
+      geofenceWarningDistance: config.navigation.boundaries?.warningDistance || 5.0,
+      geofenceWarningInterval: config.navigation.boundaries?.warningInterval || 1000,
+      geofenceStopTimeout: config.navigation.boundaries?.stopTimeout || 3000,
+      geofencePivotAngle: config.navigation.boundaries?.pivotAngle || 0.2,
+      geofencePivotRate: config.navigation.boundaries?.pivotRate || 0.5,
+      map: {
+        storageDir: mapConfig.storageDir || './data/maps',
+        saveInterval: mapConfig.saveInterval || 60000, // ms
+        maxRange: mapConfig.maxRange || 15, // meters
+        lidarHitLogOdds: mapConfig.lidarHitLogOdds || 0.85,
+        ultrasonicHitLogOdds: mapConfig.ultrasonicHitLogOdds || 0.6,
+        ultrasonicMounts: mapConfig.ultrasonicMounts || DEFAULT_ULTRASONIC_MOUNTS,
+        perceivedMaxAge: mapConfig.perceivedMaxAge || 1000 // ms a perception detection is kept
+      }
+    };
+    
+    // Occupancy grid of the field, with obstacles tracked to tell moving from static ones
+    this.occupancyGrid = new OccupancyGrid({
+      resolution: mapConfig.resolution,
+      missLogOdds: mapConfig.missLogOdds,
+      decayRate: mapConfig.decayRate,
+      staleAfter: mapConfig.staleAfter
+    });
+    this.obstacleTracker = new ObstacleTracker(mapConfig.tracking);
+    
+    // Static obstacles are saved per field
+    this.mapStore = new MapStore(this.params.map.storageDir);
+    this.fieldMap = {
+      fieldId: null,
+      isDirty: false
     };
+    
+    // Grid-based path planner
+    this.pathPlanner = new PathPlanner({
+      resolution: this.params.pathPlanningResolution,
+      maxIterations: this.params.maxPathfindingIterations,
+      obstacleMargin: this.params.obstacleAvoidanceMargin,
+      boundaryMargin: this.params.geofencingMargin,
+      minTurningRadius: this.params.minTurningRadius
+    });
+    
+    // Result of the last planning attempt
+    this.lastPlanResult = null;
+    
+    // Field coverage planner
+    this.coveragePlanner = new CoveragePlanner({
+      ...config.navigation.coverage,
+      boundaryMargin: this.params.geofencingMargin,
+      minTurningRadius: this.params.minTurningRadius
+    });
+    
+    // Path tracking controller
+    this.pathFollower = new PathFollower(config.navigation.pathFollowing);
+    
+    // Last command sent to the motor controller
+    this.lastMotorCommand = { speed: null, direction: null };
   }
   
   /**
@@ -69,9 +161,26 @@ class NavigationSystem {
       // Subscribe to sensor updates
       this._subscribeToSensorUpdates();
       
+      // Open the field's map when a mission on it starts
+      eventBus.subscribe('mission.updated', (data) => {
+        if (data.event === 'started' && data.mission.fieldId) {
+          this.openFieldMap(data.mission.fieldId);
+        }
+      });
+      
+      // Keep clear of people and animals
+      eventBus.subscribe('perception.detections', (data) => {
+        this._updatePerceivedObstacles(data);
+      });
+      
       // Start update loop
       this._startUpdateLoop();
       
+      // Save the open field's map now and then
+      this.mapSaveInterval = setInterval(() => {
+        this.saveFieldMap();
+      }, this.params.map.saveInterval);
+      
       this.logger.info('Navigation system initialized successfully');
       return true;
     } catch (error) {
@@ -137,19 +246,22 @@ class NavigationSystem {
    * @private
    */
   _updateLoop() {
-    // Skip if not navigating
+    // Get current position and orientation
+    this._updatePose();
+    
+    // The geofence holds whether the tractor is navigating or driven by hand:
+    // check if within field boundaries, and limit speed so the tractor can
+    // stop inside the buffered boundary
+    this._checkBoundaries();
+    this._checkBoundaryApproach();
+    
+    // Skip the rest if not navigating
     if (!this.state.isNavigating) {
       return;
     }
     
-    // Get current position and orientation
-    const positionData = this.sensorManager.getPositionAndOrientation();
-    this.state.currentPosition = positionData.position;
-    this.state.currentOrientation = positionData.orientation;
-    this.state.positionUncertainty = positionData.position.uncertainty || 10.0;
-    
-    // Check if within field boundaries
-    this._checkBoundaries();
+    // Check the position estimate is good enough to drive on
+    this._checkLocalization();
     
     // Check for obstacles
     this._checkObstacles();
@@ -162,9 +274,25 @@ class NavigationSystem {
       this._checkWaypointReached();
     }
     
+    // Drive the motors along the path
+    if (this.state.isNavigating) {
+      this._followPath();
+    }
+    
     // Publish navigation status
     this._publishNavigationStatus();
   }
+  
+  /**
+   * Take the current position and orientation from sensor fusion
+   * @private
+   */
+  _updatePose() {
+    const positionData = this.sensorManager.getPositionAndOrientation();
+    this.state.currentPosition = positionData.position;
+    this.state.currentOrientation = positionData.orientation;
+    this.state.positionUncertainty = positionData.position.uncertainty || 10.0;
+  }
 /**
    * Update position from GPS data
    * @private
@@ -188,351 +316,479 @@ class NavigationSystem {
   }
   
   /**
-   * Update obstacle map from LIDAR data
+   * Get the pose the sensors are read from
    * @private
    */
-  _updateObstacleMapFromLidar(lidarData) {
-    // Process LIDAR points to detect obstacles
-    const obstacles = this._detectObstaclesFromLidar(lidarData);
+  _getSensorPose() {
+    const positionData = this.sensorManager.getPositionAndOrientation();
     
-    // Update obstacle map
-    this._updateObstacleMap(obstacles, 'lidar');
+    return {
+      x: positionData.position.x,
+      y: positionData.position.y,
+      yaw: positionData.orientation.yaw
+    };
   }
   
   /**
-   * Detect obstacles from LIDAR data
+   * Update obstacle map from LIDAR data
    * @private
    */
-  _detectObstaclesFromLidar(lidarData) {
-    const obstacles = [];
-    
-    // In a real implementation, this would use clustering algorithms
-    // to identify obstacles from LIDAR point cloud data
-    
-    // For this prototype, we'll simulate obstacle detection
-    
-    // Group points into clusters
-    const clusters = this._clusterLidarPoints(lidarData.points);
+  _updateObstacleMapFromLidar(lidarData) {
+    const pose = this._getSensorPose();
+    const time = lidarData.timestamp || Date.now();
+    const maxRange = this.params.map.maxRange;
+    
+    const rays = lidarData.points
+      .filter(point => point.distance > 0)
+      .map(point => {
+        const range = Math.min(point.distance, maxRange);
+        const angle = pose.yaw + point.angle;
+        
+        return {
+          origin: pose,
+          end: { x: pose.x + range * Math.cos(angle), y: pose.y + range * Math.sin(angle) },
+          // Returns beyond the range used, or without an echo, only show free space
+          hit: point.distance < maxRange && point.intensity !== 0
+        };
+      });
     
-    // Process each cluster
-    clusters.forEach(cluster => {
-      // Calculate cluster properties
-      const center = this._calculateClusterCenter(cluster);
-      const size = this._calculateClusterSize(cluster);
-      
-      // Create obstacle object
-      const obstacle = {
-        position: center,
-        size: size,
-        confidence: 0.9, // High confidence for LIDAR
-        velocity: { x: 0, y: 0, z: 0 }, // Assume static for now
-        type: 'unknown',
-        source: 'lidar',
-        timestamp: lidarData.timestamp
-      };
-      
-      obstacles.push(obstacle);
-    });
+    this.occupancyGrid.integrateScan(rays, time, this.params.map.lidarHitLogOdds);
     
-    return obstacles;
+    this._updateObstacleMap(pose, time);
   }
   
   /**
-   * Cluster LIDAR points
+   * Update obstacle map from ultrasonic data
    * @private
    */
-  _clusterLidarPoints(points) {
-    // In a real implementation, this would use a clustering algorithm
-    // For this prototype, we'll simulate clustering
-    
-    // Simplified clustering - group points by angle sectors
-    const clusters = [];
-    const sectorSize = Math.PI / 8; // 22.5 degrees per sector
-    const numSectors = Math.ceil(2 * Math.PI / sectorSize);
-    
-    // Initialize sectors
-    const sectors = new Array(numSectors).fill().map(() => []);
-    
-    // Assign points to sectors
-    points.forEach(point => {
-      const sectorIndex = Math.floor((point.angle + Math.PI) / sectorSize) % numSectors;
-      sectors[sectorIndex].push(point);
-    });
-    
-    // Create clusters from non-empty sectors
-    sectors.forEach(sector => {
-      if (sector.length > 0) {
-        // Check if points are close enough to form a cluster
-        const avgDistance = sector.reduce((sum, p) => sum + p.distance, 0) / sector.length;
+  _updateObstacleMapFromUltrasonic(ultrasonicData) {
+    const pose = this._getSensorPose();
+    const time = ultrasonicData.timestamp || Date.now();
+    const cosYaw = Math.cos(pose.yaw);
+    const sinYaw = Math.sin(pose.yaw);
+    
+    const rays = ultrasonicData.sensors
+      .filter(sensor => this.params.map.ultrasonicMounts[sensor.id] && sensor.distance >= 0)
+      .map(sensor => {
+        const mount = this.params.map.ultrasonicMounts[sensor.id];
         
-        // If average distance is less than threshold, consider it an obstacle
-        if (avgDistance < 15) {
-          clusters.push(sector);
-        }
-      }
-    });
+        // Sensor position and facing in the local frame
+        const origin = {
+          x: pose.x + mount.x * cosYaw - mount.y * sinYaw,
+          y: pose.y + mount.x * sinYaw + mount.y * cosYaw
+        };
+        const angle = pose.yaw + mount.angle;
+        const range = Math.min(sensor.distance, sensor.maxRange);
+        
+        return {
+          origin: origin,
+          end: { x: origin.x + range * Math.cos(angle), y: origin.y + range * Math.sin(angle) },
+          hit: sensor.distance < sensor.maxRange
+        };
+      });
     
-    return clusters;
+    this.occupancyGrid.integrateScan(rays, time, this.params.map.ultrasonicHitLogOdds);
+    
+    this._updateObstacleMap(pose, time);
   }
   
   /**
-   * Calculate cluster center
+   * Rebuild the obstacle lists from the occupancy grid and the obstacle tracks
+   * @param {object} pose - Where the sensors are ({ x, y })
+   * @param {number} time - Reading time (ms)
    * @private
    */
-  _calculateClusterCenter(cluster) {
-    // Convert polar coordinates to Cartesian
-    let sumX = 0;
-    let sumY = 0;
-    
-    cluster.forEach(point => {
-      const x = point.distance * Math.cos(point.angle);
-      const y = point.distance * Math.sin(point.angle);
-      sumX += x;
-      sumY += y;
+  _updateObstacleMap(pose, time) {
+    this.occupancyGrid.decay(time);
+    
+    const clusters = this.occupancyGrid.findClusters();
+    
+    // Only obstacles in sensor range can be followed
+    const inRange = clusters.filter(cluster =>
+      Math.hypot(cluster.position.x - pose.x, cluster.position.y - pose.y) <= this.params.map.maxRange
+    );
+    const tracks = this.obstacleTracker.update(inRange, time);
+    
+    const movingClusters = new Set();
+    tracks.forEach(track => {
+      if (!track.detection) {
+        return;
+      }
+      
+      if (track.classification === 'static') {
+        // Confirmed fixed obstacle, keep it and save it with the field
+        this.occupancyGrid.markStatic(track.detection.cells);
+        this.fieldMap.isDirty = true;
+      } else if (track.classification === 'moving') {
+        movingClusters.add(track.detection);
+      }
     });
     
-    const center = {
-      x: sumX / cluster.length,
-      y: sumY / cluster.length,
-      z: 0 // Assume flat ground for simplicity
-    };
+    this.obstacleMap.staticObstacles = clusters
+      .filter(cluster => !movingClusters.has(cluster))
+      .map(cluster => ({
+        position: cluster.position,
+        size: cluster.size,
+        confidence: cluster.confidence,
+        velocity: { x: 0, y: 0, z: 0 },
+        type: cluster.isStatic ? 'static' : 'unknown',
+        source: 'map',
+        timestamp: time
+      }));
+    
+    const trackedObstacles = tracks
+      .filter(track => track.classification === 'moving' && track.detection)
+      .map(track => ({
+        id: track.id,
+        position: { x: track.position.x, y: track.position.y, z: 0 },
+        size: { ...track.size },
+        confidence: track.detection.confidence,
+        velocity: { x: track.velocity.x, y: track.velocity.y, z: 0 },
+        type: 'moving',
+        source: 'tracker',
+        timestamp: time
+      }));
+    
+    const perceivedObstacles = this.perceivedObstacles.filter(obstacle =>
+      time - obstacle.timestamp <= this.params.map.perceivedMaxAge
+    );
     
-    return center;
+    this.obstacleMap.dynamicObstacles = [...trackedObstacles, ...perceivedObstacles];
+    this.obstacleMap.lastUpdated = time;
   }
   
   /**
-   * Calculate cluster size
+   * Replace the people and animals among the dynamic obstacles
+   * Objects are left to the occupancy grid, which already holds them.
    * @private
    */
-  _calculateClusterSize(cluster) {
-    // Find min and max points in cluster
-    let minX = Infinity;
-    let maxX = -Infinity;
-    let minY = Infinity;
-    let maxY = -Infinity;
-    
-    cluster.forEach(point => {
-      const x = point.distance * Math.cos(point.angle);
-      const y = point.distance * Math.sin(point.angle);
-      
-      minX = Math.min(minX, x);
-      maxX = Math.max(maxX, x);
-      minY = Math.min(minY, y);
-      maxY = Math.max(maxY, y);
-    });
-    
-    const size = {
-      width: maxX - minX,
-      height: 1.0, // Assume 1m height
-      depth: maxY - minY
-    };
-    
-    return size;
+  _updatePerceivedObstacles(data) {
+    this.perceivedObstacles = (data.detections || [])
+      .filter(detection => detection.label !== 'object')
+      .map(detection => ({
+        position: { ...detection.position },
+        size: { ...detection.size },
+        confidence: detection.confidence,
+        velocity: { x: 0, y: 0, z: 0 },
+        type: detection.label,
+        clearance: detection.clearance,
+        source: 'perception',
+        timestamp: detection.timestamp
+      }));
+    
+    this.obstacleMap.dynamicObstacles = [
+      ...this.obstacleMap.dynamicObstacles.filter(obstacle => obstacle.source !== 'perception'),
+      ...this.perceivedObstacles
+    ];
   }
-/**
-   * Update obstacle map from ultrasonic data
+  
+  /**
+   * Grade the position estimate by its uncertainty
    * @private
    */
-  _updateObstacleMapFromUltrasonic(ultrasonicData) {
-    // Process ultrasonic data to detect obstacles
-    const obstacles = this._detectObstaclesFromUltrasonic(ultrasonicData);
+  _checkLocalization() {
+    const uncertainty = this.state.positionUncertainty;
+    let localization = 'good';
+    
+    if (uncertainty > this.params.maxUncertainty) {
+      localization = 'lost';
+    } else if (uncertainty > this.params.slowdownUncertainty) {
+      localization = 'degraded';
+    }
+    
+    if (localization === this.state.localization) {
+      return;
+    }
+    
+    const previous = this.state.localization;
+    this.state.localization = localization;
     
-    // Update obstacle map
-    this._updateObstacleMap(obstacles, 'ultrasonic');
+    if (localization === 'lost') {
+      this.logger.warn(`Position uncertainty ${uncertainty.toFixed(2)} m exceeds ${this.params.maxUncertainty} m, holding position`);
+    } else if (localization === 'degraded') {
+      this.logger.warn(`Position uncertainty ${uncertainty.toFixed(2)} m exceeds ${this.params.slowdownUncertainty} m, slowing down`);
+    } else {
+      this.logger.info(`Position uncertainty back to ${uncertainty.toFixed(2)} m`);
+    }
+    
+    eventBus.publish('navigation.localization.changed', {
+      localization: localization,
+      previous: previous,
+      positionUncertainty: uncertainty,
+      position: { ...this.state.currentPosition },
+      timestamp: Date.now()
+    });
   }
   
   /**
-   * Detect obstacles from ultrasonic data
+   * Check the current position against the geofence
+   * The margin is kept by the planners; only crossing the boundary itself or
+   * entering a keep-out zone counts as a violation.
    * @private
    */
-  _detectObstaclesFromUltrasonic(ultrasonicData) {
-    const obstacles = [];
+  _checkBoundaries() {
+    const position = this.state.currentPosition;
     
-    // Process each ultrasonic sensor
-    ultrasonicData.sensors.forEach(sensor => {
-      // Skip if no obstacle detected
-      if (sensor.distance >= sensor.maxRange) {
-        return;
-      }
-      
-      // Calculate obstacle position based on sensor position and orientation
-      const position = this._calculatePositionFromUltrasonic(sensor);
-      
-      // Create obstacle object
-      const obstacle = {
-        position: position,
-        size: {
-          width: 0.5, // Assume 0.5m width
-          height: 0.5, // Assume 0.5m height
-          depth: 0.5  // Assume 0.5m depth
-        },
-        confidence: 0.7, // Medium confidence for ultrasonic
-        velocity: { x: 0, y: 0, z: 0 }, // Assume static for now
-        type: 'unknown',
-        source: 'ultrasonic',
-        timestamp: ultrasonicData.timestamp
-      };
+    // Skip if no boundaries defined
+    const isWithin = this.boundaries.points.length < 3 ||
+      this._isPointInPolygon(position, this.boundaries.points);
+    const zoneIndex = this.boundaries.keepOutZones.findIndex(zone => this._isPointInPolygon(position, zone));
+    
+    let violation = null;
+    if (!isWithin) {
+      violation = 'boundaryExit';
+    } else if (zoneIndex !== -1) {
+      violation = 'keepOutEntry';
+    }
+    
+    this.boundaries.isWithinBoundaries = isWithin;
+    
+    if (this.boundaries.violation === violation) {
+      return;
+    }
+    
+    const previous = this.boundaries.violation;
+    this.boundaries.violation = violation;
+    
+    if (previous) {
+      this.logger.info(previous === 'boundaryExit' ?
+        'Tractor has returned within field boundaries' :
+        'Tractor has left the keep-out zone');
       
-      obstacles.push(obstacle);
-    });
+      eventBus.publish('navigation.boundaryViolation.cleared', {
+        type: previous,
+        position: { ...position },
+        timestamp: Date.now()
+      });
+    }
     
-    return obstacles;
+    if (violation) {
+      this.logger.warn(violation === 'boundaryExit' ?
+        'Tractor has left field boundaries' :
+        `Tractor has entered keep-out zone ${zoneIndex}`);
+      
+      // Publish boundary violation event
+      eventBus.publish('navigation.boundaryViolation', {
+        type: violation,
+        zone: violation === 'keepOutEntry' ? zoneIndex : null,
+        position: { ...position },
+        timestamp: Date.now()
+      });
+    }
   }
   
   /**
-   * Calculate position from ultrasonic sensor
+   * Project the stopping envelope along the current heading
+   * Speed is limited so that the tractor, braking at the motor controller's
+   * deceleration limit after the reaction time, stops before the buffered
+   * boundary. A tractor already inside the margin (leaving the dock) may not
+   * get any closer to the edge, but may drive away from it.
+   * The limit only holds the direction of travel that leads to the boundary,
+   * so a tractor stopped at it can always back off or turn on the spot.
    * @private
    */
-  _calculatePositionFromUltrasonic(sensor) {
-    // In a real implementation, this would use the sensor's position and orientation
-    // For this prototype, we'll use a simplified approach
-    
-    // Determine sensor position and orientation based on ID
-    let angle = 0;
-    
-    switch (sensor.id) {
-      case 'front_left':
-        angle = -Math.PI / 4; // -45 degrees
-        break;
-      case 'front_center':
-        angle = 0; // 0 degrees (forward)
-        break;
-      case 'front_right':
-        angle = Math.PI / 4; // 45 degrees
-        break;
-      case 'rear_left':
-        angle = -3 * Math.PI / 4; // -135 degrees
-        break;
-      case 'rear_center':
-        angle = Math.PI; // 180 degrees (backward)
-        break;
-      case 'rear_right':
-        angle = 3 * Math.PI / 4; // 135 degrees
-        break;
-      case 'left_center':
-        angle = -Math.PI / 2; // -90 degrees (left)
-        break;
-      case 'right_center':
-        angle = Math.PI / 2; // 90 degrees (right)
-        break;
-    }
-    
-    // Calculate position relative to tractor
-    const relativePosition = {
-      x: sensor.distance * Math.cos(angle),
-      y: sensor.distance * Math.sin(angle),
-      z: 0 // Assume flat ground
-    };
+  _checkBoundaryApproach() {
+    if (!this.motorController || this.boundaries.points.length < 3) {
+      return;
+    }
+    
+    const position = this.state.currentPosition;
+    const start = this._geofenceClearance(position);
+    
+    // Outside the geofence the violation is already reported
+    if (start.clearance <= 0) {
+      this._clearBoundaryApproach();
+      return;
+    }
+    
+    // Look the way the tractor is driving, or about to drive when standing
+    // still, behind it when reversing
+    const velocity = this.motorController.getCurrentSpeed();
+    const reversing = velocity < 0 || (velocity === 0 && this.motorController.getTargetSpeed() < 0);
+    const direction = reversing ? 'reverse' : 'forward';
+    const speed = Math.abs(velocity);
+    const heading = this.state.currentOrientation.yaw + (reversing ? Math.PI : 0);
+    const reactionDistance = speed * this.params.geofenceReactionTime;
+    const range = this.params.geofenceWarningDistance + reactionDistance + this.motorController.getStoppingDistance(speed);
+    
+    // Inside the margin the tractor may keep its distance to the edge (1 cm slack) but not close it
+    const required = Math.min(this.params.geofencingMargin, start.clearance - 0.01);
+    
+    const approach = this._projectGeofence(position, heading, range, required);
     
-    // Convert to global coordinates
-    // In a real implementation, this would use the tractor's position and orientation
-    const globalPosition = {
-      x: this.state.currentPosition.x + relativePosition.x * Math.cos(this.state.currentOrientation.yaw) - relativePosition.y * Math.sin(this.state.currentOrientation.yaw),
-      y: this.state.currentPosition.y + relativePosition.x * Math.sin(this.state.currentOrientation.yaw) + relativePosition.y * Math.cos(this.state.currentOrientation.yaw),
-      z: this.state.currentPosition.z + relativePosition.z
+    if (!approach) {
+      this._clearBoundaryApproach();
+      return;
+    }
+    
+    // Highest speed that can still brake to a stop within the distance left
+    const speedLimit = this.motorController.getStoppingSpeed(approach.distance, this.params.geofenceReactionTime);
+    const stopping = speedLimit < 0.05;
+    
+    const reason = approach.zone === null ?
+      'Approaching the field boundary' :
+      `Approaching keep-out zone ${approach.zone}`;
+    
+    this.motorController.setSpeedLimit('geofence', stopping ? 0 : speedLimit, reason, direction);
+    
+    if (stopping && !(this.boundaries.approach && this.boundaries.approach.speedLimit === 0)) {
+      this.logger.warn(`${reason}: stopping ${approach.distance.toFixed(2)} m short of the geofence margin`);
+    }
+    
+    this.boundaries.approach = {
+      distance: approach.distance,
+      zone: approach.zone,
+      direction: direction,
+      speedLimit: stopping ? 0 : speedLimit
     };
     
-    return globalPosition;
+    // Warn the app now and then while the boundary is ahead
+    const now = Date.now();
+    if (approach.distance <= this.params.geofenceWarningDistance &&
+        now - this.boundaries.lastApproachWarning >= this.params.geofenceWarningInterval) {
+      this.boundaries.lastApproachWarning = now;
+      
+      eventBus.publish('navigation.boundary.approaching', {
+        type: approach.zone === null ? 'boundary' : 'keepOut',
+        zone: approach.zone,
+        distance: approach.distance,
+        clearance: start.clearance,
+        speedLimit: this.boundaries.approach.speedLimit,
+        position: { ...position },
+        timestamp: now
+      });
+    }
   }
   
   /**
-   * Update obstacle map with new detections
+   * Replan while the path itself holds the tractor at the geofence
+   * Called while the way ahead runs into the buffered boundary or a keep-out
+   * zone, where turning on the spot does not help. The path is replanned
+   * once the stop has lasted the stop timeout; if the tractor is still held
+   * a timeout after that, the path is blocked.
    * @private
    */
-  _updateObstacleMap(newObstacles, source) {
+  _checkGeofenceStop() {
     const now = Date.now();
     
-    // Update existing obstacles
-    if (source === 'lidar') {
-      // LIDAR provides a complete view, so replace static obstacles
-      this.obstacleMap.staticObstacles = newObstacles;
-    } else {
-      // For other sensors, merge with existing obstacles
-      newObstacles.forEach(newObstacle => {
-        // Check if obstacle already exists
-        const existingIndex = this.obstacleMap.staticObstacles.findIndex(
-          existing => this._areObstaclesTheSame(existing, newObstacle)
-        );
-        
-        if (existingIndex >= 0) {
-          // Update existing obstacle
-          const existing = this.obstacleMap.staticObstacles[existingIndex];
-          
-          // Update position with weighted average
-          const weight = newObstacle.confidence / (existing.confidence + newObstacle.confidence);
-          existing.position.x = (1 - weight) * existing.position.x + weight * newObstacle.position.x;
-          existing.position.y = (1 - weight) * existing.position.y + weight * newObstacle.position.y;
-          existing.position.z = (1 - weight) * existing.position.z + weight * newObstacle.position.z;
-          
-          // Update confidence
-          existing.confidence = Math.min(0.95, existing.confidence + 0.05);
-          
-          // Update timestamp
-          existing.timestamp = now;
-        } else {
-          // Add new obstacle
-          this.obstacleMap.staticObstacles.push(newObstacle);
-        }
-      });
+    if (!this.boundaries.stop) {
+      this.boundaries.stop = { since: now, replanned: false };
+      return;
     }
     
-    // Remove old obstacles
-    const maxAge = 5000; // 5 seconds
-    this.obstacleMap.staticObstacles = this.obstacleMap.staticObstacles.filter(
-      obstacle => now - obstacle.timestamp < maxAge
-    );
+    if (now - this.boundaries.stop.since < this.params.geofenceStopTimeout) {
+      return;
+    }
+    
+    if (!this.boundaries.stop.replanned) {
+      this.logger.warn('Held at the geofence, replanning path');
+      this.boundaries.stop = { since: now, replanned: true };
+      this._replanPath();
+      return;
+    }
     
-    // Update timestamp
-    this.obstacleMap.lastUpdated = now;
+    // Already reported if the replan found no path
+    if (!this.state.isPathValid || this.path.currentWaypoint >= this.path.waypoints.length) {
+      return;
+    }
+    
+    this.logger.error('Still held at the geofence after replanning');
+    this.state.isPathValid = false;
+    this._publishPathBlocked(
+      { ...this.state.currentPosition },
+      this.path.waypoints[this.path.currentWaypoint],
+      'geofence'
+    );
   }
-/**
-   * Check if two obstacles are the same
+  
+  /**
+   * Lift the geofence speed limit
    * @private
    */
-  _areObstaclesTheSame(obstacle1, obstacle2) {
-    // Calculate distance between obstacles
-    const dx = obstacle1.position.x - obstacle2.position.x;
-    const dy = obstacle1.position.y - obstacle2.position.y;
-    const dz = obstacle1.position.z - obstacle2.position.z;
-    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-    
-    // If distance is less than threshold, consider them the same obstacle
-    return distance < 1.0; // 1 meter threshold
+  _clearBoundaryApproach() {
+    if (!this.boundaries.approach) {
+      return;
+    }
+    
+    this.boundaries.approach = null;
+    
+    if (this.motorController) {
+      this.motorController.clearSpeedLimit('geofence');
+    }
   }
   
   /**
-   * Check if current position is within field boundaries
+   * Find how far the tractor can drive along a heading before getting closer
+   * than the required clearance to the geofence
    * @private
+   * @returns {object|null} Distance and keep-out zone index (null for the boundary), or null if clear within range
    */
-  _checkBoundaries() {
-    // Skip if no boundaries defined
-    if (this.boundaries.points.length < 3) {
-      this.boundaries.isWithinBoundaries = true;
-      return;
+  _projectGeofence(position, heading, range, required) {
+    const step = this.params.pathPlanningResolution / 2;
+    const dx = Math.cos(heading);
+    const dy = Math.sin(heading);
+    
+    for (let distance = step; distance <= range + step; distance += step) {
+      const sample = this._geofenceClearance({ x: position.x + dx * distance, y: position.y + dy * distance });
+      
+      if (sample.clearance < required) {
+        // The last sample that was still clear
+        return { distance: distance - step, zone: sample.zone };
+      }
     }
     
-    // Check if current position is within polygon
-    const isWithin = this._isPointInPolygon(
-      this.state.currentPosition,
-      this.boundaries.points
-    );
+    return null;
+  }
+  
+  /**
+   * Distance from a point to the nearest geofence edge
+   * @private
+   * @returns {object} Clearance in meters (negative outside the boundary or inside a keep-out zone) and the nearest keep-out zone index, or null for the boundary
+   */
+  _geofenceClearance(point) {
+    let clearance = this._distanceToPolygonEdge(point, this.boundaries.points);
+    let zone = null;
     
-    // Update state
-    if (this.boundaries.isWithinBoundaries !== isWithin) {
-      this.boundaries.isWithinBoundaries = isWithin;
+    if (!this._isPointInPolygon(point, this.boundaries.points)) {
+      clearance = -clearance;
+    }
+    
+    this.boundaries.keepOutZones.forEach((polygon, index) => {
+      let zoneClearance = this._distanceToPolygonEdge(point, polygon);
       
-      if (!isWithin) {
-        this.logger.warn('Tractor has left field boundaries');
-        
-        // Publish boundary violation event
-        eventBus.publish('navigation.boundaryViolation', {
-          position: { ...this.state.currentPosition },
-          timestamp: Date.now()
-        });
-      } else {
-        this.logger.info('Tractor has returned within field boundaries');
+      if (this._isPointInPolygon(point, polygon)) {
+        zoneClearance = -zoneClearance;
+      }
+      
+      if (zoneClearance < clearance) {
+        clearance = zoneClearance;
+        zone = index;
       }
+    });
+    
+    return { clearance: clearance, zone: zone };
+  }
+  
+  /**
+   * Shortest distance from a point to the polygon outline
+   * @private
+   */
+  _distanceToPolygonEdge(point, polygon) {
+    let minDistance = Infinity;
+    
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[j];
+      const b = polygon[i];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0 ? 0 :
+        Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+      
+      minDistance = Math.min(minDistance, Math.hypot(a.x + t * dx - point.x, a.y + t * dy - point.y));
     }
+    
+    return minDistance;
   }
   
   /**
@@ -646,9 +902,9 @@ class NavigationSystem {
     // Calculate distance from obstacle to path
     const distance = Math.abs(ox * ny - oy * nx);
     
-    // Check if distance is less than margin plus obstacle size
+    // Check if distance is less than margin (or the obstacle's own clearance) plus obstacle size
     const obstacleRadius = Math.max(obstacle.size.width, obstacle.size.depth) / 2;
-    return distance < margin + obstacleRadius;
+    return distance < Math.max(margin, obstacle.clearance || 0) + obstacleRadius;
   }
   
   /**
@@ -661,9 +917,6 @@ class NavigationSystem {
     // Set obstacle avoidance flag
     this.state.obstacleAvoidanceActive = true;
     
-    // In a real implementation, this would replan the path to avoid obstacles
-    // For this prototype, we'll simulate path replanning
-    
     // Publish obstacle avoidance event
     eventBus.publish('navigation.obstacleAvoidance.started', {
       obstacles: obstacles,
@@ -704,125 +957,128 @@ class NavigationSystem {
    * @private
    */
   _replanPath() {
-    // In a real implementation, this would use a path planning algorithm
-    // For this prototype, we'll simulate path replanning
-    
     this.logger.info('Replanning path');
     
     // If we have waypoints, replan from current position to current waypoint
-    if (this.path.waypoints.length > 0 && this.path.currentWaypoint < this.path.waypoints.length) {
-      const targetWaypoint = this.path.waypoints[this.path.currentWaypoint];
+    if (this.path.waypoints.length > 0 && this.path.currentWaypoint < this.path.waypoints.length &&
+        this._planActiveSegment({ ...this.state.currentPosition })) {
+      this.logger.info('Path replanned successfully');
+    }
+  }
+  
+  /**
+   * Plan the active segment, from its start to the current waypoint
+   * Waypoints are stored as given, so each segment goes through the planner
+   * as it becomes active, keeping it out of the keep-out zones and clear of
+   * known obstacles. A path around them replaces the waypoint; if there is
+   * none while navigating, the path is marked invalid and
+   * 'navigation.path.blocked' is published. Before that startNavigation
+   * reports the failure itself.
+   * @private
+   * @param {object} start - Start of the segment
+   * @returns {boolean} Whether a path was found
+   */
+  _planActiveSegment(start) {
+    const targetWaypoint = this.path.waypoints[this.path.currentWaypoint];
+    
+    // Plan new path
+    const newPath = this._planPath(start, targetWaypoint);
+    
+    if (!newPath || newPath.length === 0) {
+      const reason = this.lastPlanResult ? this.lastPlanResult.reason : 'noPath';
       
-      // Plan new path
-      const newPath = this._planPath(
-        this.state.currentPosition,
-        targetWaypoint
-      );
+      this.logger.error(`No path to waypoint ${this.path.currentWaypoint + 1}: ${reason}`);
       
-      // Update path
-      if (newPath && newPath.length > 0) {
-        // Replace current segment with new path
-        const updatedWaypoints = [
-          ...this.path.waypoints.slice(0, this.path.currentWaypoint),
-          ...newPath,
-          ...this.path.waypoints.slice(this.path.currentWaypoint + 1)
-        ];
-        
-        // Update path
-        this.path.waypoints = updatedWaypoints;
-        
-        // Reset current waypoint to start of new segment
-        this.path.currentWaypoint = this.path.currentWaypoint;
-        
-        // Update path metrics
-        this._updatePathMetrics();
-        
-        this.logger.info('Path replanned successfully');
-        this.state.isPathValid = true;
-      } else {
-        this.logger.error('Failed to replan path');
+      if (this.state.isNavigating) {
         this.state.isPathValid = false;
+        this._publishPathBlocked(start, targetWaypoint, reason);
       }
+      
+      return false;
     }
+    
+    if (newPath.length > 2) {
+      this.logger.info(`Planned ${newPath.length - 2} waypoints around the way to waypoint ${this.path.currentWaypoint + 1}`);
+    }
+    
+    // Replace current segment with the new path (minus the start point)
+    this.path.waypoints = [
+      ...this.path.waypoints.slice(0, this.path.currentWaypoint),
+      ...newPath.slice(1),
+      ...this.path.waypoints.slice(this.path.currentWaypoint + 1)
+    ];
+    this.path.segmentStart = start;
+    
+    // Update path metrics
+    this._updatePathMetrics();
+    
+    this.state.isPathValid = true;
+    return true;
+  }
+  
+  /**
+   * Publish path blocked event
+   * @private
+   */
+  _publishPathBlocked(start, goal, reason) {
+    eventBus.publish('navigation.path.blocked', {
+      start: start,
+      goal: { ...goal },
+      reason: reason,
+      position: { ...this.state.currentPosition },
+      timestamp: Date.now()
+    });
   }
   
   /**
    * Plan path between two points
    * @private
+   * @returns {Array|null} Path including start and goal, or null if no path exists
    */
   _planPath(start, goal) {
-    // In a real implementation, this would use A* or RRT
-    // For this prototype, we'll use a simplified approach
+    this.lastPlanResult = null;
     
-    // If no obstacles, return direct path
-    if (!this.state.obstacleDetected) {
+    // If no obstacles and no keep-out zone near the way, return direct path
+    if (!this.state.obstacleDetected && this.pathPlanner.isClearOfZones(start, goal, this.boundaries.keepOutZones)) {
       return [start, goal];
     }
     
-    // Simplified obstacle avoidance - find midpoint between obstacles
     const obstaclesInPath = this._findObstaclesInPath(
       start,
       goal,
       this.params.obstacleAvoidanceMargin
     );
     
-    if (obstaclesInPath.length === 0) {
-      return [start, goal];
-    }
-    
-    // Calculate average obstacle position
-    let avgX = 0;
-    let avgY = 0;
-    
-    obstaclesInPath.forEach(obstacle => {
-      avgX += obstacle.position.x;
-      avgY += obstacle.position.y;
-    });
-    
-    avgX /= obstaclesInPath.length;
-    avgY /= obstaclesInPath.length;
-    
-    // Calculate vector from start to goal
-    const dx = goal.x - start.x;
-    const dy = goal.y - start.y;
-    const length = Math.sqrt(dx * dx + dy * dy);
-    
-    // Normalize vector
-    const nx = dx / length;
-    const ny = dy / length;
-    
-    // Calculate perpendicular vector
-    const px = -ny;
-    const py = nx;
-    
-    // Calculate vector from start to average obstacle
-    const ox = avgX - start.x;
-    const oy = avgY - start.y;
-    
-    // Calculate projection of obstacle vector onto path vector
-    const projection = ox * nx + oy * ny;
+    // Plan against everything we know about, including obstacles only seen in the corridor
+    const obstacles = Array.from(new Set([
+      ...this.obstacleMap.staticObstacles,
+      ...this.obstacleMap.dynamicObstacles,
+      ...obstaclesInPath
+    ]));
     
-    // Calculate distance from obstacle to path
-    const distance = Math.abs(ox * ny - oy * nx);
+    const environment = {
+      obstacles: obstacles,
+      boundary: this.boundaries.points,
+      keepOut: this.boundaries.keepOutZones
+    };
     
-    // Determine which side to go around
-    const side = (ox * px + oy * py) > 0 ? 1 : -1;
+    if (obstaclesInPath.length === 0 && this.pathPlanner.isDirectPathClear(start, goal, environment)) {
+      return [start, goal];
+    }
     
-    // Calculate waypoint to go around obstacle
-    const waypointX = start.x + projection * nx + (distance + this.params.obstacleAvoidanceMargin * 2) * px * side;
-    const waypointY = start.y + projection * ny + (distance + this.params.obstacleAvoidanceMargin * 2) * py * side;
+    const result = this.pathPlanner.plan(start, goal, environment);
+    this.lastPlanResult = result;
     
-    // Create waypoint
-    const waypoint = {
-      x: waypointX,
-      y: waypointY,
-      z: start.z
-    };
+    if (!result.success) {
+      this.logger.warn(`No path found: ${result.reason} after ${result.iterations} iterations`);
+      return null;
+    }
     
-    // Return path with intermediate waypoint
-    return [start, waypoint, goal];
+    this.logger.debug(`Planned path with ${result.path.length} points in ${result.iterations} iterations`);
+    return result.path;
   }
-/**
+  
+  /**
    * Update path progress
    * @private
    */
@@ -883,6 +1139,9 @@ class NavigationSystem {
       this.path.currentWaypoint++;
       this.path.completedWaypoints++;
       
+      // Next segment starts at the reached waypoint
+      this.path.segmentStart = { ...currentWaypoint };
+      
       // Publish waypoint reached event
       eventBus.publish('navigation.waypoint.reached', {
         waypointIndex: this.path.currentWaypoint - 1,
@@ -893,6 +1152,8 @@ class NavigationSystem {
       // Check if path complete
       if (this.path.currentWaypoint >= this.path.waypoints.length) {
         this._handlePathComplete();
+      } else {
+        this._planActiveSegment({ ...currentWaypoint });
       }
     }
   }
@@ -907,6 +1168,9 @@ class NavigationSystem {
     // Update state
     this.state.isNavigating = false;
     
+    // Bring the tractor to a stop at the final waypoint
+    this._stopMotors();
+    
     // Publish path complete event
     eventBus.publish('navigation.path.complete', {
       position: { ...this.state.currentPosition },
@@ -915,15 +1179,172 @@ class NavigationSystem {
   }
   
   /**
-   * Calculate distance between two points
+   * Command the motors to follow the active path segment
+   * @private
+   */
+  _followPath() {
+    // Nothing to drive without a motor controller
+    if (!this.motorController) {
+      return;
+    }
+    
+    // Hold position while the path is invalid or the position is too uncertain to steer by
+    if (!this.state.isPathValid || this.state.localization === 'lost') {
+      this._commandMotors(0, 0);
+      return;
+    }
+    
+    const command = this.pathFollower.computeCommand(
+      {
+        position: this.state.currentPosition,
+        orientation: this.state.currentOrientation,
+        speed: this.motorController.getCurrentSpeed()
+      },
+      this.path
+    );
+    
+    if (!command) {
+      return;
+    }
+    
+    // Store tracking errors for status reporting
+    this.state.crossTrackError = command.crossTrackError;
+    this.state.headingError = command.headingError;
+    
+    // Held at the geofence: turn on the spot, which the geofence leaves free,
+    // if the path leads off another way, or else find another path
+    const approach = this.boundaries.approach;
+    
+    if (approach && approach.speedLimit === 0 && approach.direction === 'forward') {
+      const position = this.state.currentPosition;
+      const bearing = Math.atan2(command.lookaheadPoint.y - position.y, command.lookaheadPoint.x - position.x) -
+        this.state.currentOrientation.yaw;
+      const offset = Math.atan2(Math.sin(bearing), Math.cos(bearing));
+      
+      if (Math.abs(offset) > this.params.geofencePivotAngle) {
+        this.boundaries.stop = null;
+        this._commandPivot(Math.sign(offset) * this.params.geofencePivotRate);
+        return;
+      }
+      
+      this._checkGeofenceStop();
+    } else {
+      this.boundaries.stop = null;
+    }
+    
+    const speed = this.state.localization === 'degraded' ?
+      command.speed * this.params.slowdownFactor :
+      command.speed;
+    
+    this._commandMotors(speed, command.direction);
+  }
+  
+  /**
+   * Send speed and direction to the motor controller if they changed
+   * @private
+   */
+  _commandMotors(speed, direction) {
+    if (!this.motorController) {
+      return;
+    }
+    
+    // Avoid flooding the motor controller with identical commands
+    const epsilon = 0.01;
+    
+    if (this.lastMotorCommand.speed === null || Math.abs(this.lastMotorCommand.speed - speed) > epsilon) {
+      this.motorController.setTargetSpeed(speed);
+      this.lastMotorCommand.speed = speed;
+    }
+    
+    if (this.lastMotorCommand.direction === null || Math.abs(this.lastMotorCommand.direction - direction) > epsilon) {
+      this.motorController.setTargetDirection(direction);
+      this.lastMotorCommand.direction = direction;
+    }
+  }
+  
+  /**
+   * Turn on the spot
+   * @private
+   * @param {number} angularVelocity - Yaw rate in rad/s (counter-clockwise positive)
+   */
+  _commandPivot(angularVelocity) {
+    this.motorController.setVelocityCommand(0, angularVelocity);
+    
+    // Steer again once the pivot is done
+    this.lastMotorCommand = { speed: null, direction: null };
+  }
+  
+  /**
+   * Stop the motors and reset tracking state
+   * @private
+   */
+  _stopMotors() {
+    if (this.motorController) {
+      this.motorController.setTargetSpeed(0);
+      this.motorController.setTargetDirection(0);
+    }
+    
+    this.lastMotorCommand = { speed: null, direction: null };
+    this.state.crossTrackError = 0;
+    this.state.headingError = 0;
+  }
+  
+  /**
+   * Calculate ground distance between two points
+   * Height is ignored: GPS altitude in the local frame follows the terrain
+   * while waypoints usually carry no height at all.
    * @private
    */
   _calculateDistance(point1, point2) {
     const dx = point2.x - point1.x;
     const dy = point2.y - point1.y;
-    const dz = point2.z - point1.z;
     
-    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+  
+  /**
+   * Get the local frame positions are expressed in
+   * @private
+   * @returns {LocalFrame|null} Local frame, or null if the sensors do not provide one
+   */
+  _getLocalFrame() {
+    return (this.sensorManager && typeof this.sensorManager.getLocalFrame === 'function') ?
+      this.sensorManager.getLocalFrame() || null :
+      null;
+  }
+  
+  /**
+   * Convert points given in latitude/longitude to the local frame
+   * Points already in local meters are passed through unchanged.
+   * @private
+   * @returns {Array|null} Local points, or null if they cannot be converted
+   */
+  _toLocalPoints(points) {
+    if (!points.some(isGeodeticPoint)) {
+      return points;
+    }
+    
+    const frame = this._getLocalFrame();
+    
+    if (!frame) {
+      this.logger.error('Cannot convert latitude/longitude points: no local frame available');
+      return null;
+    }
+    
+    // Without a GPS fix or configured datum, anchor the frame at the first point
+    if (!frame.hasOrigin()) {
+      const origin = points.find(isGeodeticPoint);
+      this.sensorManager.setDatum(origin, 'navigation');
+    }
+    
+    return points.map(point => {
+      if (!isGeodeticPoint(point)) {
+        return point;
+      }
+      
+      const { latitude, longitude, altitude, ...rest } = point;
+      return { ...rest, ...frame.toLocal(point) };
+    });
   }
   
   /**
@@ -952,16 +1373,24 @@ class NavigationSystem {
    * @private
    */
   _publishNavigationStatus() {
+    const frame = this._getLocalFrame();
+    
     const status = {
       position: { ...this.state.currentPosition },
+      geodeticPosition: frame && frame.hasOrigin() ? frame.toGeodetic(this.state.currentPosition) : null,
       orientation: { ...this.state.currentOrientation },
       positionUncertainty: this.state.positionUncertainty,
+      localization: this.state.localization,
       isNavigating: this.state.isNavigating,
       isPathValid: this.state.isPathValid,
       navigationMode: this.state.navigationMode,
       obstacleDetected: this.state.obstacleDetected,
       obstacleAvoidanceActive: this.state.obstacleAvoidanceActive,
       isWithinBoundaries: this.boundaries.isWithinBoundaries,
+      geofenceViolation: this.boundaries.violation,
+      boundaryApproach: this.boundaries.approach ? { ...this.boundaries.approach } : null,
+      crossTrackError: this.state.crossTrackError,
+      headingError: this.state.headingError,
       path: {
         currentWaypoint: this.path.currentWaypoint,
         totalWaypoints: this.path.waypoints.length,
@@ -986,12 +1415,19 @@ class NavigationSystem {
       return false;
     }
     
+    // Waypoints may be given in latitude/longitude
+    const localWaypoints = this._toLocalPoints(waypoints);
+    if (!localWaypoints) {
+      return false;
+    }
+    
     this.logger.info(`Setting ${waypoints.length} waypoints`);
     
     // Store waypoints
-    this.path.waypoints = waypoints;
+    this.path.waypoints = localWaypoints;
     this.path.currentWaypoint = 0;
     this.path.completedWaypoints = 0;
+    this.path.segmentStart = { ...this.state.currentPosition };
     
     // Update path metrics
     this._updatePathMetrics();
@@ -1002,6 +1438,14 @@ class NavigationSystem {
     return true;
   }
   
+  /**
+   * Get the waypoints not yet reached on the current path
+   * @returns {Array} Remaining waypoints
+   */
+  getRemainingWaypoints() {
+    return this.path.waypoints.slice(this.path.currentWaypoint).map(waypoint => ({ ...waypoint }));
+  }
+  
   /**
    * Start navigation along the set waypoints
    * @returns {boolean} Success
@@ -1019,10 +1463,21 @@ class NavigationSystem {
     
     this.logger.info('Starting navigation');
     
+    // The segment ahead starts at the current position
+    this._updatePose();
+    
+    if (!this._planActiveSegment({ ...this.state.currentPosition })) {
+      this.logger.error('Cannot start navigation: no path to the first waypoint');
+      return false;
+    }
+    
     // Set navigation state
     this.state.isNavigating = true;
     this.state.navigationMode = 'autonomous';
     
+    this.boundaries.stop = null;
+    this.lastMotorCommand = { speed: null, direction: null };
+    
     // Publish navigation started event
     eventBus.publish('navigation.started', {
       waypoints: this.path.waypoints.length,
@@ -1048,6 +1503,9 @@ class NavigationSystem {
     this.state.isNavigating = false;
     this.state.navigationMode = 'idle';
     
+    // Stop the motors
+    this._stopMotors();
+    
     // Publish navigation stopped event
     eventBus.publish('navigation.stopped', {
       position: { ...this.state.currentPosition },
@@ -1059,19 +1517,34 @@ class NavigationSystem {
   
   /**
    * Set field boundaries
+   * Replaces the whole geofence: the keep-out zones of a previous field are dropped.
    * @param {Array} points - Array of points defining the field boundary polygon
+   * @param {Array} keepOutZones - Polygons inside the field the tractor must stay out of (ponds, sheds, ditches)
    * @returns {boolean} Success
    */
-  setFieldBoundaries(points) {
+  setFieldBoundaries(points, keepOutZones = []) {
     if (!Array.isArray(points) || points.length < 3) {
       this.logger.error('Invalid field boundaries: must be an array with at least 3 points');
       return false;
     }
     
-    this.logger.info(`Setting field boundaries with ${points.length} points`);
+    if (!Array.isArray(keepOutZones) || !keepOutZones.every(zone => Array.isArray(zone) && zone.length >= 3)) {
+      this.logger.error('Invalid keep-out zones: each must be an array with at least 3 points');
+      return false;
+    }
+    
+    // Boundary points may be given in latitude/longitude
+    const localPoints = this._toLocalPoints(points);
+    const localZones = keepOutZones.map(zone => this._toLocalPoints(zone));
+    if (!localPoints || localZones.includes(null)) {
+      return false;
+    }
+    
+    this.logger.info(`Setting field boundaries with ${points.length} points and ${keepOutZones.length} keep-out zones`);
     
     // Store boundaries
-    this.boundaries.points = points;
+    this.boundaries.points = localPoints;
+    this.boundaries.keepOutZones = localZones;
     
     // Check if current position is within boundaries
     this._checkBoundaries();
@@ -1079,6 +1552,278 @@ class NavigationSystem {
     return true;
   }
   
+  /**
+   * Get the geofence
+   * @returns {object} Geofence ({ points, keepOutZones, margin, isWithinBoundaries, violation }) in the local frame
+   */
+  getBoundaries() {
+    return {
+      points: this.boundaries.points.map(point => ({ ...point })),
+      keepOutZones: this.boundaries.keepOutZones.map(zone => zone.map(point => ({ ...point }))),
+      margin: this.params.geofencingMargin,
+      isWithinBoundaries: this.boundaries.isWithinBoundaries,
+      violation: this.boundaries.violation
+    };
+  }
+  
+  /**
+   * Plan a route from the current position to a goal around known obstacles
+   * @param {object} goal - Goal position ({ x, y })
+   * @returns {object} Route ({ success, waypoints, distance, reason })
+   */
+  planRoute(goal) {
+    const localGoal = this._toLocalPoints([goal]);
+    
+    if (!localGoal) {
+      return { success: false, waypoints: null, distance: null, reason: 'noDatum' };
+    }
+    
+    const start = { ...this.state.currentPosition };
+    const path = this._planPath(start, { x: localGoal[0].x, y: localGoal[0].y });
+    
+    if (!path) {
+      return {
+        success: false,
+        waypoints: null,
+        distance: null,
+        reason: this.lastPlanResult ? this.lastPlanResult.reason : 'noPath'
+      };
+    }
+    
+    let distance = 0;
+    for (let i = 1; i < path.length; i++) {
+      distance += this._calculateDistance(path[i - 1], path[i]);
+    }
+    
+    return {
+      success: true,
+      waypoints: path.slice(1),
+      distance: distance,
+      reason: null
+    };
+  }
+  
+  /**
+   * Plan back-and-forth passes covering the whole field
+   * The passes keep out of the keep-out zones, which come with the boundary:
+   * those of the geofence, or options.keepOutZones with options.boundary.
+   * @param {object} options - Coverage options (swathWidth, overlap, headlandWidth, orientation, boundary, keepOutZones)
+   * @returns {object} Coverage plan ({ success, waypoints, reason, stats })
+   */
+  planCoverage(options = {}) {
+    const boundary = options.boundary ? this._toLocalPoints(options.boundary) || [] : this.boundaries.points;
+    const keepOut = options.boundary ?
+      (options.keepOutZones || []).map(zone => this._toLocalPoints(zone) || []) :
+      this.boundaries.keepOutZones;
+    
+    const result = boundary.length < 3 ?
+      { success: false, waypoints: null, reason: 'noBoundary', stats: null } :
+      this.coveragePlanner.plan(boundary, {
+        swathWidth: options.swathWidth,
+        overlap: options.overlap,
+        headlandWidth: options.headlandWidth,
+        orientation: options.orientation,
+        headlandPasses: options.headlandPasses,
+        keepOut: keepOut,
+        start: { ...this.state.currentPosition }
+      });
+    
+    if (result.success) {
+      this.logger.info(`Coverage planned: ${result.stats.passes} passes, ${result.waypoints.length} waypoints, ${result.stats.distance.toFixed(1)} m`);
+      
+      eventBus.publish('navigation.coverage.planned', {
+        stats: result.stats,
+        waypointCount: result.waypoints.length,
+        timestamp: Date.now()
+      });
+    } else {
+      this.logger.error(`Coverage planning failed: ${result.reason}`);
+      
+      eventBus.publish('navigation.coverage.failed', {
+        reason: result.reason,
+        timestamp: Date.now()
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Get the local frame datum origin
+   * @returns {object|null} Datum origin ({ latitude, longitude, altitude }), or null until set
+   */
+  getDatum() {
+    const frame = this._getLocalFrame();
+    return frame ? frame.getOrigin() : null;
+  }
+  
+  /**
+   * Move the local frame datum origin
+   * The geofence and any stored path are carried over to the new frame.
+   * @param {object} datum - Datum origin ({ latitude, longitude, altitude })
+   * @returns {object} Result ({ success, datum, error })
+   */
+  setDatum(datum) {
+    if (!isGeodeticPoint(datum) || Math.abs(datum.latitude) > 90 || Math.abs(datum.longitude) > 180) {
+      return { success: false, error: 'Datum must have a valid latitude and longitude' };
+    }
+    
+    if (this.state.isNavigating) {
+      return { success: false, error: 'Cannot move the datum while navigating' };
+    }
+    
+    const frame = this._getLocalFrame();
+    
+    if (!frame) {
+      return { success: false, error: 'No local frame available' };
+    }
+    
+    // Express stored points in latitude/longitude so they survive the move
+    const toGeodetic = points => (frame.hasOrigin() ?
+      points.map(point => ({ ...point, ...frame.toGeodetic(point) })) :
+      points);
+    const boundary = toGeodetic(this.boundaries.points);
+    const keepOutZones = this.boundaries.keepOutZones.map(toGeodetic);
+    const waypoints = toGeodetic(this.path.waypoints);
+    
+    this.sensorManager.setDatum(datum, 'user');
+    
+    this.boundaries.points = this._toLocalPoints(boundary);
+    this.boundaries.keepOutZones = keepOutZones.map(zone => this._toLocalPoints(zone));
+    this.path.waypoints = this._toLocalPoints(waypoints);
+    this._updatePathMetrics();
+    
+    return { success: true, datum: frame.getOrigin() };
+  }
+  
+  /**
+   * Open a field's occupancy map, loading the static obstacles stored for it
+   * The map of the field open before is saved and cleared.
+   * @param {string} fieldId - Field ID
+   * @returns {Promise<object>} Result ({ success, fieldId, staticCells, error })
+   */
+  async openFieldMap(fieldId) {
+    if (typeof fieldId !== 'string' || fieldId.length === 0) {
+      return { success: false, error: 'Field ID must be a non-empty string' };
+    }
+    
+    if (fieldId === this.fieldMap.fieldId) {
+      return { success: true, fieldId: fieldId, staticCells: this.occupancyGrid.getStaticCells().length };
+    }
+    
+    await this.saveFieldMap();
+    
+    this.occupancyGrid.clear();
+    this.obstacleTracker.clear();
+    this.fieldMap = { fieldId: fieldId, isDirty: false };
+    
+    let stored = null;
+    try {
+      stored = await this.mapStore.load(fieldId);
+    } catch (error) {
+      this.logger.error(`Failed to load map of field ${fieldId}: ${error.message}`);
+    }
+    
+    if (stored) {
+      this.occupancyGrid.loadStaticCells(stored.cells, stored.resolution, Date.now());
+    }
+    
+    // Plan around the known obstacles straight away
+    this._updateObstacleMap(this._getSensorPose(), Date.now());
+    
+    const staticCells = stored ? stored.cells.length : 0;
+    this.logger.info(`Opened map of field ${fieldId} with ${staticCells} static obstacle cells`);
+    
+    eventBus.publish('navigation.map.opened', {
+      fieldId: fieldId,
+      staticCells: staticCells,
+      timestamp: Date.now()
+    });
+    
+    return { success: true, fieldId: fieldId, staticCells: staticCells };
+  }
+  
+  /**
+   * Save the static obstacles of the open field's map
+   * @returns {Promise<boolean>} True if the map was saved or had nothing new
+   */
+  async saveFieldMap() {
+    if (!this.fieldMap.fieldId || !this.fieldMap.isDirty) {
+      return true;
+    }
+    
+    this.fieldMap.isDirty = false;
+    
+    try {
+      await this.mapStore.save(this.fieldMap.fieldId, {
+        resolution: this.occupancyGrid.params.resolution,
+        cells: this.occupancyGrid.getStaticCells()
+      });
+      return true;
+    } catch (error) {
+      this.fieldMap.isDirty = true;
+      this.logger.error(`Failed to save map of field ${this.fieldMap.fieldId}: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Forget the occupancy map, including what is stored for the open field
+   * @returns {Promise<object>} Result ({ success, fieldId })
+   */
+  async clearMap() {
+    this.occupancyGrid.clear();
+    this.obstacleTracker.clear();
+    this.obstacleMap.staticObstacles = [];
+    this.obstacleMap.dynamicObstacles = [];
+    this.fieldMap.isDirty = false;
+    
+    if (this.fieldMap.fieldId) {
+      await this.mapStore.delete(this.fieldMap.fieldId);
+    }
+    
+    this.logger.info(`Cleared occupancy map${this.fieldMap.fieldId ? ` of field ${this.fieldMap.fieldId}` : ''}`);
+    
+    return { success: true, fieldId: this.fieldMap.fieldId };
+  }
+  
+  /**
+   * Get the obstacles around the tractor
+   * @returns {object} Obstacles ({ static, dynamic }) in the local frame
+   */
+  getObstacles() {
+    return {
+      static: [...this.obstacleMap.staticObstacles],
+      dynamic: [...this.obstacleMap.dynamicObstacles]
+    };
+  }
+  
+  /**
+   * Get the occupancy map and the obstacles found in it
+   * @returns {object} Map ({ fieldId, grid, obstacles })
+   */
+  getMap() {
+    return {
+      fieldId: this.fieldMap.fieldId,
+      grid: this.occupancyGrid.encode(),
+      obstacles: {
+        static: this.obstacleMap.staticObstacles.map(obstacle => ({
+          position: obstacle.position,
+          size: obstacle.size,
+          type: obstacle.type
+        })),
+        dynamic: this.obstacleMap.dynamicObstacles.map(obstacle => ({
+          id: obstacle.id,
+          position: obstacle.position,
+          size: obstacle.size,
+          velocity: obstacle.velocity,
+          type: obstacle.type
+        }))
+      },
+      lastUpdated: this.obstacleMap.lastUpdated
+    };
+  }
+  
   /**
    * Get current navigation status
    * @returns {object} Navigation status
@@ -1114,6 +1859,9 @@ class NavigationSystem {
     // Stop update loop
     this._stopUpdateLoop();
     
+    clearInterval(this.mapSaveInterval);
+    await this.saveFieldMap();
+    
     // Unsubscribe from events
     // In a real implementation, we would unsubscribe from all events
     
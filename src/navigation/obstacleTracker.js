@@ -0,0 +1,180 @@
+/**
+ * Sevak Mini Tractor - Obstacle Tracker
+ *
+ * Follows obstacles detected in the occupancy grid from scan to scan to
+ * tell moving obstacles (people, animals, other vehicles) from static ones.
+ * Detections are associated to tracks by nearest neighbour within a gate
+ * around each track's predicted position, and each track's position and
+ * velocity are smoothed with an alpha-beta filter.
+ *
+ * A track is moving once its speed has stayed over the threshold for a few
+ * updates, and static once it has stayed still for a while. Tracks not seen
+ * for a while are dropped.
+ */
+
+const DEFAULTS = {
+  gate: 1.5, // meters around the predicted position (plus the obstacle's radius)
+  alpha: 0.5, // position gain
+  beta: 0.3, // velocity gain
+  movingSpeed: 0.3, // m/s
+  movingUpdates: 3, // updates over movingSpeed before a track is moving
+  staticAfter: 3000, // ms still before a track is static
+  maxAge: 2000 // ms without a detection before a track is dropped
+};
+
+class ObstacleTracker {
+  /**
+   * @param {object} options - Tracker parameters, see DEFAULTS
+   */
+  constructor(options = {}) {
+    this.params = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+      if (options[key] !== undefined) {
+        this.params[key] = options[key];
+      }
+    });
+
+    // Tracks by ID
+    this.tracks = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Update the tracks with the obstacles detected in one scan
+   * @param {Array} detections - Detections ({ position, size, ... })
+   * @param {number} time - Scan time (ms)
+   * @returns {Array} Current tracks, each with the detection it matched this scan (or null)
+   */
+  update(detections, time) {
+    const tracks = Array.from(this.tracks.values());
+
+    // Candidate pairs within the gate, closest first
+    const pairs = [];
+    tracks.forEach(track => {
+      const dt = Math.max(0, time - track.lastSeen) / 1000;
+      const predicted = {
+        x: track.position.x + track.velocity.x * dt,
+        y: track.position.y + track.velocity.y * dt
+      };
+
+      detections.forEach(detection => {
+        const distance = Math.hypot(detection.position.x - predicted.x, detection.position.y - predicted.y);
+        const gate = this.params.gate + Math.max(detection.size.width, detection.size.depth) / 2;
+
+        if (distance <= gate) {
+          pairs.push({ track, detection, predicted, distance, dt });
+        }
+      });
+    });
+
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const matchedTracks = new Set();
+    const matchedDetections = new Set();
+
+    tracks.forEach(track => {
+      track.detection = null;
+    });
+
+    pairs.forEach(pair => {
+      if (matchedTracks.has(pair.track) || matchedDetections.has(pair.detection)) {
+        return;
+      }
+
+      matchedTracks.add(pair.track);
+      matchedDetections.add(pair.detection);
+      this._correct(pair.track, pair.detection, pair.predicted, pair.dt, time);
+    });
+
+    // New obstacles
+    detections.forEach(detection => {
+      if (!matchedDetections.has(detection)) {
+        const track = {
+          id: this.nextId++,
+          position: { x: detection.position.x, y: detection.position.y },
+          velocity: { x: 0, y: 0 },
+          size: { ...detection.size },
+          classification: 'unknown', // 'unknown', 'static' or 'moving'
+          firstSeen: time,
+          lastSeen: time,
+          stillSince: time,
+          movingUpdates: 0,
+          detection: detection
+        };
+
+        this.tracks.set(track.id, track);
+      }
+    });
+
+    // Lost obstacles
+    for (const track of this.tracks.values()) {
+      if (time - track.lastSeen > this.params.maxAge) {
+        this.tracks.delete(track.id);
+      }
+    }
+
+    return this.getTracks();
+  }
+
+  /**
+   * Correct a track with its detection
+   * @private
+   */
+  _correct(track, detection, predicted, dt, time) {
+    const residual = {
+      x: detection.position.x - predicted.x,
+      y: detection.position.y - predicted.y
+    };
+
+    track.position = {
+      x: predicted.x + this.params.alpha * residual.x,
+      y: predicted.y + this.params.alpha * residual.y
+    };
+
+    if (dt > 0) {
+      track.velocity = {
+        x: track.velocity.x + this.params.beta * residual.x / dt,
+        y: track.velocity.y + this.params.beta * residual.y / dt
+      };
+    }
+
+    track.size = { ...detection.size };
+    track.lastSeen = time;
+    track.detection = detection;
+
+    const speed = Math.hypot(track.velocity.x, track.velocity.y);
+
+    if (speed > this.params.movingSpeed) {
+      track.movingUpdates++;
+      track.stillSince = time;
+    } else {
+      track.movingUpdates = 0;
+    }
+
+    if (track.movingUpdates >= this.params.movingUpdates) {
+      track.classification = 'moving';
+    } else if (time - track.stillSince >= this.params.staticAfter) {
+      track.classification = 'static';
+    } else if (track.classification === 'moving' && speed <= this.params.movingSpeed / 2) {
+      // Stopped, but not for long enough to call it static
+      track.classification = 'unknown';
+    }
+  }
+
+  /**
+   * Get the current tracks
+   * @returns {Array} Tracks
+   */
+  getTracks() {
+    return Array.from(this.tracks.values());
+  }
+
+  /**
+   * Drop all tracks
+   */
+  clear() {
+    this.tracks.clear();
+  }
+}
+
+module.exports = ObstacleTracker;
@@ -0,0 +1,542 @@
+/**
+ * Sevak Mini Tractor - Occupancy Grid
+ *
+ * 2D occupancy grid over the local frame holding, per cell, the log-odds of
+ * the cell being occupied. Range readings are integrated as rays: cells a
+ * ray passes through become more likely free and the cell it ends in more
+ * likely occupied. The grid is stored in square tiles created as new ground
+ * is seen, so it has no fixed extent.
+ *
+ * Cells not observed for a while decay back towards unknown, except cells
+ * marked static (confirmed fixed obstacles such as trees or poles), which
+ * are kept until the sensors see through them and are what gets persisted.
+ */
+
+// Cells per tile side
+const TILE_SIZE = 64;
+
+// Cell flags
+const FLAG_STATIC = 1;
+
+// Cell states in an encoded grid
+const CELL_STATE = {
+  unknown: 0,
+  free: 1,
+  occupied: 2,
+  static: 3
+};
+
+const DEFAULTS = {
+  resolution: 0.5, // meters per cell
+  hitLogOdds: 0.85, // added to the cell a ray ends in
+  missLogOdds: -0.4, // added to the cells a ray passes through
+  minLogOdds: -2.0,
+  maxLogOdds: 3.5,
+  occupiedLogOdds: 1.2, // about 77% occupied
+  freeLogOdds: -0.8, // about 31% occupied
+  decayRate: 0.2, // log-odds per second towards unknown
+  staleAfter: 5000, // ms without an observation before a cell decays
+  decayInterval: 1000 // ms between decay passes over the grid
+};
+
+class OccupancyGrid {
+  /**
+   * @param {object} options - Grid parameters, see DEFAULTS
+   */
+  constructor(options = {}) {
+    this.params = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+      if (options[key] !== undefined) {
+        this.params[key] = options[key];
+      }
+    });
+
+    // Tiles by 'ti,tj'
+    this.tiles = new Map();
+
+    // Occupied cells by 'i,j', so clustering does not scan the whole grid
+    this.occupied = new Set();
+
+    this.lastDecay = null;
+  }
+
+  /**
+   * Get the cell containing a point
+   * @param {number} x - East (m)
+   * @param {number} y - North (m)
+   * @returns {object} Cell ({ i, j })
+   */
+  cellAt(x, y) {
+    return {
+      i: Math.floor(x / this.params.resolution),
+      j: Math.floor(y / this.params.resolution)
+    };
+  }
+
+  /**
+   * Get the center of a cell
+   * @returns {object} Point ({ x, y })
+   */
+  cellCenter(i, j) {
+    return {
+      x: (i + 0.5) * this.params.resolution,
+      y: (j + 0.5) * this.params.resolution
+    };
+  }
+
+  /**
+   * Get the tile holding a cell
+   * @param {boolean} create - Create the tile if it does not exist
+   * @returns {object|null} Tile ({ logOdds, seen, flags }), with the cell's index in it
+   * @private
+   */
+  _tile(i, j, create) {
+    const ti = Math.floor(i / TILE_SIZE);
+    const tj = Math.floor(j / TILE_SIZE);
+    const key = `${ti},${tj}`;
+    let tile = this.tiles.get(key);
+
+    if (!tile) {
+      if (!create) {
+        return null;
+      }
+
+      tile = {
+        ti: ti,
+        tj: tj,
+        logOdds: new Float32Array(TILE_SIZE * TILE_SIZE),
+        seen: new Float64Array(TILE_SIZE * TILE_SIZE),
+        flags: new Uint8Array(TILE_SIZE * TILE_SIZE)
+      };
+      this.tiles.set(key, tile);
+    }
+
+    tile.index = (j - tj * TILE_SIZE) * TILE_SIZE + (i - ti * TILE_SIZE);
+    return tile;
+  }
+
+  /**
+   * Get the log-odds of a cell
+   * @returns {number} Log-odds, 0 for unknown
+   */
+  getLogOdds(i, j) {
+    const tile = this._tile(i, j, false);
+    return tile ? tile.logOdds[tile.index] : 0;
+  }
+
+  /**
+   * Get the probability that the cell containing a point is occupied
+   * @param {number} x - East (m)
+   * @param {number} y - North (m)
+   * @returns {number} Probability (0.5 for unknown)
+   */
+  getProbability(x, y) {
+    const cell = this.cellAt(x, y);
+    return 1 - 1 / (1 + Math.exp(this.getLogOdds(cell.i, cell.j)));
+  }
+
+  /**
+   * Check if a cell is occupied
+   * @returns {boolean} True if the cell is over the occupied threshold
+   */
+  isOccupied(i, j) {
+    return this.occupied.has(`${i},${j}`);
+  }
+
+  /**
+   * Check if a cell is a static obstacle
+   * @returns {boolean} True if the cell is marked static
+   */
+  isStatic(i, j) {
+    const tile = this._tile(i, j, false);
+    return tile ? (tile.flags[tile.index] & FLAG_STATIC) !== 0 : false;
+  }
+
+  /**
+   * Add an observation to a cell
+   * @param {number} delta - Log-odds to add
+   * @param {number} time - Observation time (ms)
+   */
+  updateCell(i, j, delta, time) {
+    const tile = this._tile(i, j, true);
+    const index = tile.index;
+    const logOdds = Math.max(this.params.minLogOdds, Math.min(this.params.maxLogOdds, tile.logOdds[index] + delta));
+
+    tile.logOdds[index] = logOdds;
+    tile.seen[index] = time;
+
+    // Seen through, the obstacle is gone
+    if (logOdds <= this.params.freeLogOdds) {
+      tile.flags[index] &= ~FLAG_STATIC;
+    }
+
+    this._updateOccupied(i, j, logOdds);
+  }
+
+  /**
+   * Keep the occupied set in step with a cell's log-odds
+   * @private
+   */
+  _updateOccupied(i, j, logOdds) {
+    const key = `${i},${j}`;
+
+    if (logOdds >= this.params.occupiedLogOdds) {
+      this.occupied.add(key);
+    } else {
+      this.occupied.delete(key);
+    }
+  }
+
+  /**
+   * Integrate one range reading
+   * @param {object} origin - Sensor position ({ x, y })
+   * @param {object} end - Where the ray ends ({ x, y })
+   * @param {boolean} hit - True if the ray ended on an obstacle, false if it ran out of range
+   * @param {number} time - Reading time (ms)
+   * @param {number} hitLogOdds - Log-odds for the hit cell (defaults to params.hitLogOdds)
+   */
+  integrateRay(origin, end, hit, time, hitLogOdds = this.params.hitLogOdds) {
+    this.integrateScan([{ origin, end, hit }], time, hitLogOdds);
+  }
+
+  /**
+   * Integrate a scan of range readings
+   *
+   * Each cell is updated once per scan, and a hit wins over misses: rays
+   * close together cross the cell a neighbouring ray ended in, and would
+   * otherwise clear every obstacle they pass near.
+   *
+   * @param {Array} rays - Readings ({ origin, end, hit }), see integrateRay
+   * @param {number} time - Scan time (ms)
+   * @param {number} hitLogOdds - Log-odds for hit cells (defaults to params.hitLogOdds)
+   */
+  integrateScan(rays, time, hitLogOdds = this.params.hitLogOdds) {
+    const hits = new Map();
+    const misses = new Map();
+
+    rays.forEach(({ origin, end, hit }) => {
+      const cell = this.cellAt(end.x, end.y);
+      (hit ? hits : misses).set(`${cell.i},${cell.j}`, cell);
+
+      this._traverse(origin.x, origin.y, end.x, end.y, (i, j) => {
+        misses.set(`${i},${j}`, { i, j });
+      });
+    });
+
+    misses.forEach((cell, key) => {
+      if (!hits.has(key)) {
+        this.updateCell(cell.i, cell.j, this.params.missLogOdds, time);
+      }
+    });
+
+    hits.forEach(cell => {
+      this.updateCell(cell.i, cell.j, hitLogOdds, time);
+    });
+  }
+
+  /**
+   * Visit the cells a segment passes through, excluding the last one
+   * (Amanatides and Woo grid traversal)
+   * @private
+   */
+  _traverse(x0, y0, x1, y1, visit) {
+    const resolution = this.params.resolution;
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const stepI = Math.sign(dx);
+    const stepJ = Math.sign(dy);
+
+    let { i, j } = this.cellAt(x0, y0);
+    const end = this.cellAt(x1, y1);
+
+    const tDeltaX = stepI !== 0 ? Math.abs(resolution / dx) : Infinity;
+    const tDeltaY = stepJ !== 0 ? Math.abs(resolution / dy) : Infinity;
+    let tMaxX = stepI > 0 ? ((i + 1) * resolution - x0) / dx : stepI < 0 ? (i * resolution - x0) / dx : Infinity;
+    let tMaxY = stepJ > 0 ? ((j + 1) * resolution - y0) / dy : stepJ < 0 ? (j * resolution - y0) / dy : Infinity;
+
+    // Bounded by the cell distance in case rounding steps past the end cell
+    let steps = Math.abs(end.i - i) + Math.abs(end.j - j);
+
+    while ((i !== end.i || j !== end.j) && steps-- > 0) {
+      visit(i, j);
+
+      if (tMaxX < tMaxY) {
+        tMaxX += tDeltaX;
+        i += stepI;
+      } else {
+        tMaxY += tDeltaY;
+        j += stepJ;
+      }
+    }
+  }
+
+  /**
+   * Decay cells that have not been observed recently back towards unknown
+   * @param {number} time - Current time (ms)
+   */
+  decay(time) {
+    if (this.lastDecay === null) {
+      this.lastDecay = time;
+      return;
+    }
+
+    if (time - this.lastDecay < this.params.decayInterval) {
+      return;
+    }
+
+    const amount = this.params.decayRate * (time - this.lastDecay) / 1000;
+    this.lastDecay = time;
+
+    for (const tile of this.tiles.values()) {
+      for (let index = 0; index < tile.logOdds.length; index++) {
+        const logOdds = tile.logOdds[index];
+
+        if (logOdds === 0 ||
+            (tile.flags[index] & FLAG_STATIC) !== 0 ||
+            time - tile.seen[index] < this.params.staleAfter) {
+          continue;
+        }
+
+        const decayed = logOdds > 0 ? Math.max(0, logOdds - amount) : Math.min(0, logOdds + amount);
+        tile.logOdds[index] = decayed;
+
+        if (logOdds >= this.params.occupiedLogOdds && decayed < this.params.occupiedLogOdds) {
+          const i = tile.ti * TILE_SIZE + index % TILE_SIZE;
+          const j = tile.tj * TILE_SIZE + Math.floor(index / TILE_SIZE);
+          this.occupied.delete(`${i},${j}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Mark cells as static obstacles, so they no longer decay and are persisted
+   * @param {Array} cells - Cells ({ i, j })
+   */
+  markStatic(cells) {
+    cells.forEach(({ i, j }) => {
+      if (this.isOccupied(i, j)) {
+        const tile = this._tile(i, j, false);
+        tile.flags[tile.index] |= FLAG_STATIC;
+      }
+    });
+  }
+
+  /**
+   * Group occupied cells into clusters of touching cells
+   * @returns {Array} Clusters ({ cells, position, size, isStatic, confidence })
+   */
+  findClusters() {
+    const resolution = this.params.resolution;
+    const visited = new Set();
+    const clusters = [];
+
+    for (const key of this.occupied) {
+      if (visited.has(key)) {
+        continue;
+      }
+
+      visited.add(key);
+      const queue = [key];
+      const cells = [];
+
+      while (queue.length > 0) {
+        const [i, j] = queue.pop().split(',').map(Number);
+        cells.push({ i, j });
+
+        for (let di = -1; di <= 1; di++) {
+          for (let dj = -1; dj <= 1; dj++) {
+            const neighbour = `${i + di},${j + dj}`;
+            if (this.occupied.has(neighbour) && !visited.has(neighbour)) {
+              visited.add(neighbour);
+              queue.push(neighbour);
+            }
+          }
+        }
+      }
+
+      let minI = Infinity;
+      let maxI = -Infinity;
+      let minJ = Infinity;
+      let maxJ = -Infinity;
+      let maxLogOdds = -Infinity;
+      let isStatic = true;
+
+      cells.forEach(({ i, j }) => {
+        minI = Math.min(minI, i);
+        maxI = Math.max(maxI, i);
+        minJ = Math.min(minJ, j);
+        maxJ = Math.max(maxJ, j);
+        maxLogOdds = Math.max(maxLogOdds, this.getLogOdds(i, j));
+        isStatic = isStatic && this.isStatic(i, j);
+      });
+
+      clusters.push({
+        cells: cells,
+        position: {
+          x: (minI + maxI + 1) / 2 * resolution,
+          y: (minJ + maxJ + 1) / 2 * resolution,
+          z: 0
+        },
+        size: {
+          width: (maxI - minI + 1) * resolution,
+          height: 1.0, // Not measured, assume 1m
+          depth: (maxJ - minJ + 1) * resolution
+        },
+        isStatic: isStatic,
+        confidence: 1 - 1 / (1 + Math.exp(maxLogOdds))
+      });
+    }
+
+    return clusters;
+  }
+
+  /**
+   * Get the static cells, for persisting
+   * @returns {Array} Cells ([i, j, logOdds])
+   */
+  getStaticCells() {
+    const cells = [];
+
+    for (const tile of this.tiles.values()) {
+      for (let index = 0; index < tile.flags.length; index++) {
+        if ((tile.flags[index] & FLAG_STATIC) !== 0) {
+          cells.push([
+            tile.ti * TILE_SIZE + index % TILE_SIZE,
+            tile.tj * TILE_SIZE + Math.floor(index / TILE_SIZE),
+            Math.round(tile.logOdds[index] * 100) / 100
+          ]);
+        }
+      }
+    }
+
+    return cells;
+  }
+
+  /**
+   * Load persisted static cells
+   * @param {Array} cells - Cells ([i, j, logOdds])
+   * @param {number} resolution - Resolution the cells were stored at
+   * @param {number} time - Current time (ms)
+   */
+  loadStaticCells(cells, resolution, time) {
+    cells.forEach(([i, j, logOdds]) => {
+      // Carry cells over to this grid's resolution by their centers
+      const cell = resolution === this.params.resolution ?
+        { i, j } :
+        this.cellAt((i + 0.5) * resolution, (j + 0.5) * resolution);
+
+      const tile = this._tile(cell.i, cell.j, true);
+      const value = Math.max(tile.logOdds[tile.index], Math.min(this.params.maxLogOdds, logOdds));
+
+      tile.logOdds[tile.index] = value;
+      tile.seen[tile.index] = time;
+      tile.flags[tile.index] |= FLAG_STATIC;
+
+      this._updateOccupied(cell.i, cell.j, value);
+    });
+  }
+
+  /**
+   * Forget everything
+   */
+  clear() {
+    this.tiles.clear();
+    this.occupied.clear();
+    this.lastDecay = null;
+  }
+
+  /**
+   * Encode the grid compactly: one state per cell (see CELL_STATE), rows
+   * from south to north, run-length encoded as [state, count, state, count, ...]
+   * @returns {object} Encoded grid ({ resolution, origin, width, height, encoding, states, data })
+   */
+  encode() {
+    const resolution = this.params.resolution;
+
+    if (this.tiles.size === 0) {
+      return {
+        resolution: resolution,
+        origin: { x: 0, y: 0 },
+        width: 0,
+        height: 0,
+        encoding: 'rle',
+        states: { ...CELL_STATE },
+        data: []
+      };
+    }
+
+    let minTi = Infinity;
+    let maxTi = -Infinity;
+    let minTj = Infinity;
+    let maxTj = -Infinity;
+
+    for (const tile of this.tiles.values()) {
+      minTi = Math.min(minTi, tile.ti);
+      maxTi = Math.max(maxTi, tile.ti);
+      minTj = Math.min(minTj, tile.tj);
+      maxTj = Math.max(maxTj, tile.tj);
+    }
+
+    const minI = minTi * TILE_SIZE;
+    const minJ = minTj * TILE_SIZE;
+    const width = (maxTi - minTi + 1) * TILE_SIZE;
+    const height = (maxTj - minTj + 1) * TILE_SIZE;
+    const data = [];
+
+    let runState = -1;
+    let runLength = 0;
+
+    for (let j = minJ; j < minJ + height; j++) {
+      for (let i = minI; i < minI + width; i++) {
+        const state = this._cellState(i, j);
+
+        if (state === runState) {
+          runLength++;
+        } else {
+          if (runLength > 0) {
+            data.push(runState, runLength);
+          }
+          runState = state;
+          runLength = 1;
+        }
+      }
+    }
+
+    data.push(runState, runLength);
+
+    return {
+      resolution: resolution,
+      origin: { x: minI * resolution, y: minJ * resolution }, // South-west corner of the first cell
+      width: width,
+      height: height,
+      encoding: 'rle',
+      states: { ...CELL_STATE },
+      data: data
+    };
+  }
+
+  /**
+   * Get the encoded state of a cell
+   * @private
+   */
+  _cellState(i, j) {
+    const tile = this._tile(i, j, false);
+
+    if (!tile) {
+      return CELL_STATE.unknown;
+    }
+
+    const logOdds = tile.logOdds[tile.index];
+
+    if (logOdds >= this.params.occupiedLogOdds) {
+      return (tile.flags[tile.index] & FLAG_STATIC) !== 0 ? CELL_STATE.static : CELL_STATE.occupied;
+    }
+
+    return logOdds <= this.params.freeLogOdds ? CELL_STATE.free : CELL_STATE.unknown;
+  }
+}
+
+OccupancyGrid.CELL_STATE = CELL_STATE;
+
+module.exports = OccupancyGrid;
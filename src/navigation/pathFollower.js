@@ -0,0 +1,203 @@
+/**
+ * Sevak Mini Tractor - Path Follower
+ *
+ * Closed-loop path tracking controller based on pure pursuit.
+ * Turns the fused pose and the active path segment into speed and
+ * steering commands for the motor controller.
+ */
+
+class PathFollower {
+  /**
+   * Create a new path follower
+   * @param {object} params - Path following parameters (see config.navigation.pathFollowing)
+   */
+  constructor(params = {}) {
+    this.params = {
+      lookaheadDistance: params.lookaheadDistance || 2.0, // meters
+      minLookaheadDistance: params.minLookaheadDistance || 1.0, // meters
+      lookaheadGain: params.lookaheadGain || 0.5, // seconds (lookahead grows with speed)
+      cruiseSpeed: params.cruiseSpeed || 1.5, // m/s
+      minSpeed: params.minSpeed || 0.3, // m/s
+      slowdownDistance: params.slowdownDistance || 3.0, // meters
+      wheelBase: params.wheelBase || 1.2, // meters
+      maxSteeringAngle: (params.maxSteeringAngle || 30) * Math.PI / 180 // radians
+    };
+  }
+
+  /**
+   * Compute speed and steering commands for the current pose
+   * @param {object} pose - Current pose ({ position, orientation, speed })
+   * @param {object} path - Active path ({ waypoints, currentWaypoint, segmentStart })
+   * @returns {object|null} Command and tracking errors, or null if there is nothing to follow
+   */
+  computeCommand(pose, path) {
+    const { waypoints, currentWaypoint } = path;
+
+    if (!waypoints || currentWaypoint >= waypoints.length) {
+      return null;
+    }
+
+    const position = pose.position;
+    const yaw = pose.orientation.yaw;
+    const speed = Math.abs(pose.speed || 0);
+
+    // Active segment runs from the previous waypoint (or start point) to the current waypoint
+    const segmentStart = path.segmentStart || position;
+    const target = waypoints[currentWaypoint];
+
+    // Tracking errors against the active segment
+    const segmentHeading = Math.atan2(target.y - segmentStart.y, target.x - segmentStart.x);
+    const crossTrackError = this._crossTrackError(position, segmentStart, target);
+    const headingError = this._normalizeAngle(segmentHeading - yaw);
+
+    // Lookahead distance grows with speed
+    const lookahead = Math.max(
+      this.params.minLookaheadDistance,
+      this.params.lookaheadDistance + this.params.lookaheadGain * speed
+    );
+
+    const lookaheadPoint = this._findLookaheadPoint(position, segmentStart, waypoints, currentWaypoint, lookahead);
+
+    // Pure pursuit steering: curvature through the lookahead point
+    const dx = lookaheadPoint.x - position.x;
+    const dy = lookaheadPoint.y - position.y;
+    const lookaheadDistance = Math.max(Math.sqrt(dx * dx + dy * dy), 1e-6);
+    const alpha = this._normalizeAngle(Math.atan2(dy, dx) - yaw);
+    const curvature = 2 * Math.sin(alpha) / lookaheadDistance;
+
+    let steeringAngle = Math.atan(this.params.wheelBase * curvature);
+    steeringAngle = Math.max(-this.params.maxSteeringAngle, Math.min(steeringAngle, this.params.maxSteeringAngle));
+
+    // Speed ramp-down near waypoints
+    const distanceToWaypoint = Math.sqrt(
+      Math.pow(target.x - position.x, 2) + Math.pow(target.y - position.y, 2)
+    );
+    const targetSpeed = this._computeSpeed(distanceToWaypoint, waypoints, currentWaypoint, alpha);
+
+    return {
+      // Motor controller convention: positive direction turns right, while
+      // yaw and alpha are counter-clockwise positive
+      speed: targetSpeed,
+      direction: -steeringAngle,
+      crossTrackError: crossTrackError,
+      headingError: headingError,
+      lookaheadPoint: lookaheadPoint,
+      distanceToWaypoint: distanceToWaypoint
+    };
+  }
+
+  /**
+   * Compute target speed, slowing down when approaching a waypoint
+   * @private
+   */
+  _computeSpeed(distanceToWaypoint, waypoints, currentWaypoint, alpha) {
+    const { cruiseSpeed, minSpeed, slowdownDistance } = this.params;
+
+    // Heading far off the lookahead point - turn slowly before driving on
+    if (Math.abs(alpha) > Math.PI / 2) {
+      return minSpeed;
+    }
+
+    if (distanceToWaypoint >= slowdownDistance) {
+      return cruiseSpeed;
+    }
+
+    // Slow down fully for the final waypoint, proportionally to the turn for intermediate ones
+    let slowdown = 1;
+
+    if (currentWaypoint < waypoints.length - 1) {
+      const previous = currentWaypoint > 0 ? waypoints[currentWaypoint - 1] : null;
+      const current = waypoints[currentWaypoint];
+      const next = waypoints[currentWaypoint + 1];
+
+      if (previous) {
+        const inHeading = Math.atan2(current.y - previous.y, current.x - previous.x);
+        const outHeading = Math.atan2(next.y - current.y, next.x - current.x);
+        slowdown = Math.min(1, Math.abs(this._normalizeAngle(outHeading - inHeading)) / (Math.PI / 2));
+      }
+    }
+
+    const ratio = distanceToWaypoint / slowdownDistance;
+    return cruiseSpeed - (cruiseSpeed - minSpeed) * slowdown * (1 - ratio);
+  }
+
+  /**
+   * Find the point one lookahead distance further along the path
+   * @private
+   */
+  _findLookaheadPoint(position, segmentStart, waypoints, currentWaypoint, lookahead) {
+    // Start from the projection of the position onto the active segment
+    let from = this._projectOntoSegment(position, segmentStart, waypoints[currentWaypoint]);
+    let remaining = lookahead;
+
+    for (let i = currentWaypoint; i < waypoints.length; i++) {
+      const to = waypoints[i];
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const length = Math.sqrt(dx * dx + dy * dy);
+
+      if (length >= remaining) {
+        const ratio = remaining / length;
+        return {
+          x: from.x + dx * ratio,
+          y: from.y + dy * ratio,
+          z: to.z || 0
+        };
+      }
+
+      remaining -= length;
+      from = to;
+    }
+
+    // Path shorter than the lookahead - aim for the final waypoint
+    const last = waypoints[waypoints.length - 1];
+    return { x: last.x, y: last.y, z: last.z || 0 };
+  }
+
+  /**
+   * Project a point onto a segment, clamped to the segment ends
+   * @private
+   */
+  _projectOntoSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    if (lengthSquared === 0) {
+      return { x: start.x, y: start.y };
+    }
+
+    const t = Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+
+    return {
+      x: start.x + t * dx,
+      y: start.y + t * dy
+    };
+  }
+
+  /**
+   * Signed distance from the segment line (positive = left of the path)
+   * @private
+   */
+  _crossTrackError(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+
+    if (length === 0) {
+      return 0;
+    }
+
+    return (dx * (point.y - start.y) - dy * (point.x - start.x)) / length;
+  }
+
+  /**
+   * Normalize angle to -PI to PI
+   * @private
+   */
+  _normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+  }
+}
+
+module.exports = PathFollower;
@@ -0,0 +1,920 @@
+/**
+ * Sevak Mini Tractor - Path Planner
+ *
+ * Grid-based A* path planner. Builds an occupancy grid from known obstacles,
+ * the field boundary polygon and any keep-out zones inside it, searches it
+ * with A*, then shortens and rounds the result so the tractor can follow it
+ * within its turning radius.
+ */
+
+// Neighbour offsets for 8-connected grid search
+const NEIGHBOURS = [
+  { dx: 1, dy: 0, cost: 1 },
+  { dx: -1, dy: 0, cost: 1 },
+  { dx: 0, dy: 1, cost: 1 },
+  { dx: 0, dy: -1, cost: 1 },
+  { dx: 1, dy: 1, cost: Math.SQRT2 },
+  { dx: 1, dy: -1, cost: Math.SQRT2 },
+  { dx: -1, dy: 1, cost: Math.SQRT2 },
+  { dx: -1, dy: -1, cost: Math.SQRT2 }
+];
+
+class PathPlanner {
+  /**
+   * Create a new path planner
+   * @param {object} params - Planner parameters
+   */
+  constructor(params = {}) {
+    this.params = {
+      resolution: params.resolution || 0.5, // meters per grid cell
+      maxIterations: params.maxIterations || 1000, // A* node expansions
+      obstacleMargin: params.obstacleMargin || 1.0, // meters of clearance around obstacles
+      boundaryMargin: params.boundaryMargin || 0, // meters of clearance inside the boundary and around keep-out zones
+      minTurningRadius: params.minTurningRadius || 1.5, // meters
+      gridPadding: params.gridPadding || 10.0, // meters around start/goal when no boundary is set
+      maxGridCells: params.maxGridCells || 1000000
+    };
+
+    // Boundary and keep-out zones on a grid over the whole field ({ key, grid })
+    this.fieldLayer = null;
+  }
+
+  /**
+   * Plan a path between two points
+   * @param {object} start - Start point ({ x, y, z })
+   * @param {object} goal - Goal point ({ x, y, z })
+   * @param {object} environment - Known obstacles, field boundary and keep-out zones
+   * @param {Array} environment.obstacles - Obstacles ({ position, size, clearance }), clearance overriding obstacleMargin when larger
+   * @param {Array} environment.boundary - Boundary polygon points
+   * @param {Array} environment.keepOut - Keep-out polygons, each an array of points
+   * @returns {object} Result ({ success, path, reason, iterations })
+   */
+  plan(start, goal, environment = {}) {
+    const grid = this._buildGrid(start, goal, environment, true);
+    const result = this._planOnGrid(start, goal, grid);
+
+    // The way round may leave the area around the segment, for instance
+    // along a concave boundary - try again over the whole field
+    if (!result.success && grid && grid.windowed && (result.reason === 'noPath' || result.reason === 'iterationLimit')) {
+      const fieldResult = this._planOnGrid(start, goal, this._buildGrid(start, goal, environment, false));
+      return { ...fieldResult, iterations: result.iterations + fieldResult.iterations };
+    }
+
+    return result;
+  }
+
+  /**
+   * Check if the straight segment between two points keeps the boundary
+   * margin from every keep-out zone, without building a grid
+   * @param {object} start - Start point
+   * @param {object} goal - Goal point
+   * @param {Array} keepOut - Keep-out polygons, each an array of points
+   * @returns {boolean} True if no keep-out zone is in the way
+   */
+  isClearOfZones(start, goal, keepOut = []) {
+    return keepOut.filter(zone => zone.length >= 3).every(zone => {
+      if (this._isPointInPolygon(start, zone) || this._isPointInPolygon(goal, zone)) {
+        return false;
+      }
+
+      let distance = Infinity;
+
+      for (let i = 0, j = zone.length - 1; i < zone.length; j = i++) {
+        distance = Math.min(distance, this._segmentDistance(start, goal, zone[j], zone[i]));
+      }
+
+      return distance > 0 && distance >= this.params.boundaryMargin;
+    });
+  }
+
+  /**
+   * Search a grid built for a planning request
+   * @private
+   */
+  _planOnGrid(start, goal, grid) {
+    if (!grid) {
+      return { success: false, path: null, reason: 'gridTooLarge', iterations: 0 };
+    }
+
+    const startCell = this._toCell(grid, start);
+    const goalCell = this._toCell(grid, goal);
+
+    if (!this._inGrid(grid, startCell)) {
+      return { success: false, path: null, reason: 'startOutsideGrid', iterations: 0 };
+    }
+
+    const startIndex = this._index(grid, startCell.i, startCell.j);
+    const startClearance = grid.clearance[startIndex];
+
+    if (startClearance <= 0) {
+      return { success: false, path: null, reason: 'startBlocked', iterations: 0 };
+    }
+
+    // The tractor may already be closer to an obstacle than the margin - plan
+    // with the clearance it has so that it can drive away. The start cell is
+    // always usable, even if it falls on the edge of the boundary.
+    grid.cells[startIndex] = 0;
+    grid.requiredClearance = Math.min(grid.requiredClearance, startClearance);
+
+    // Likewise the tractor may start, or be sent, closer to the boundary or a
+    // keep-out zone than the margin
+    grid.requiredEdgeClearance = Math.min(grid.requiredEdgeClearance, grid.edgeClearance[startIndex]);
+
+    if (this._inGrid(grid, goalCell)) {
+      const goalIndex = this._index(grid, goalCell.i, goalCell.j);
+      grid.requiredEdgeClearance = Math.min(grid.requiredEdgeClearance, grid.edgeClearance[goalIndex]);
+    }
+
+    if (!this._inGrid(grid, goalCell) || this._isBlocked(grid, goalCell.i, goalCell.j)) {
+      return { success: false, path: null, reason: 'goalBlocked', iterations: 0 };
+    }
+
+    const search = this._search(grid, startCell, goalCell);
+
+    if (!search.cells) {
+      return { success: false, path: null, reason: search.reason, iterations: search.iterations };
+    }
+
+    // Convert cells to world points, keeping the exact start and goal
+    const z = start.z || 0;
+    const rawPath = search.cells.map(cell => this._toPoint(grid, cell, z));
+    rawPath[0] = { x: start.x, y: start.y, z: z };
+    rawPath[rawPath.length - 1] = { x: goal.x, y: goal.y, z: goal.z !== undefined ? goal.z : z };
+
+    const shortened = this._shortenPath(grid, rawPath);
+    const smoothed = this._smoothCorners(grid, shortened);
+
+    return { success: true, path: smoothed, reason: null, iterations: search.iterations };
+  }
+
+  /**
+   * Check if the straight segment between two points is free
+   * @param {object} start - Start point
+   * @param {object} goal - Goal point
+   * @param {object} environment - Known obstacles, field boundary and keep-out zones
+   * @returns {boolean} True if the straight line is collision free
+   */
+  isDirectPathClear(start, goal, environment = {}) {
+    const grid = this._buildGrid(start, goal, environment, true);
+
+    if (!grid) {
+      return false;
+    }
+
+    return this._hasLineOfSight(grid, start, goal, true);
+  }
+
+  /**
+   * Build the occupancy grid for a planning request
+   * With a boundary the grid is cut from the field layer, windowed to the
+   * area around the segment or whole; without one it covers that area.
+   * @private
+   */
+  _buildGrid(start, goal, environment, windowed) {
+    const resolution = this.params.resolution;
+    const obstacles = environment.obstacles || [];
+    const boundary = environment.boundary && environment.boundary.length >= 3 ? environment.boundary : null;
+    const keepOut = (environment.keepOut || []).filter(zone => zone.length >= 3);
+    const area = windowed || !boundary ? this._searchArea(start, goal, obstacles, keepOut) : null;
+
+    let grid;
+
+    if (boundary) {
+      const layer = this._getFieldLayer(boundary, keepOut);
+      grid = layer ? this._cropLayer(layer, area) : null;
+    } else {
+      grid = this._createGrid(
+        area.minX,
+        area.minY,
+        Math.ceil((area.maxX - area.minX) / resolution) + 1,
+        Math.ceil((area.maxY - area.minY) / resolution) + 1
+      );
+
+      if (grid) {
+        this._markZones(grid, null, keepOut);
+      }
+    }
+
+    if (!grid) {
+      return null;
+    }
+
+    const width = grid.width;
+    const height = grid.height;
+
+    // Record clearance to the nearest obstacle for cells near obstacles
+    obstacles.forEach(obstacle => {
+      const size = obstacle.size || { width: 0, depth: 0 };
+
+      // Clearance an obstacle asks for beyond the margin (people, animals) counts as part of its body
+      const extraClearance = Math.max(0, (obstacle.clearance || 0) - this.params.obstacleMargin);
+      const bodyRadius = Math.max(size.width || 0, size.depth || 0) / 2 + extraClearance;
+      const radius = bodyRadius + this.params.obstacleMargin;
+      const center = this._toCell(grid, obstacle.position);
+      const cellRadius = Math.ceil(radius / resolution);
+
+      for (let dj = -cellRadius; dj <= cellRadius; dj++) {
+        for (let di = -cellRadius; di <= cellRadius; di++) {
+          const i = center.i + di;
+          const j = center.j + dj;
+
+          if (i < 0 || j < 0 || i >= width || j >= height) {
+            continue;
+          }
+
+          const point = this._toPoint(grid, { i, j }, 0);
+          const dx = point.x - obstacle.position.x;
+          const dy = point.y - obstacle.position.y;
+          const clearance = Math.sqrt(dx * dx + dy * dy) - bodyRadius;
+          const index = j * width + i;
+
+          if (clearance < grid.clearance[index]) {
+            grid.clearance[index] = clearance;
+          }
+        }
+      }
+    });
+
+    return grid;
+  }
+
+  /**
+   * Create an empty grid, or null if it would be too large
+   * @private
+   */
+  _createGrid(originX, originY, width, height) {
+    if (width * height > this.params.maxGridCells) {
+      return null;
+    }
+
+    return {
+      originX: originX,
+      originY: originY,
+      width: width,
+      height: height,
+      resolution: this.params.resolution,
+      cells: new Uint8Array(width * height), // 1 = outside the boundary or inside a keep-out zone
+      clearance: new Float32Array(width * height).fill(Infinity), // meters to the nearest obstacle
+      requiredClearance: this.params.obstacleMargin,
+      edgeClearance: new Float32Array(width * height).fill(Infinity), // meters to the boundary or a keep-out zone
+      requiredEdgeClearance: this.params.boundaryMargin,
+      windowed: false // cut from part of the field layer
+    };
+  }
+
+  /**
+   * Get the grid of the boundary and keep-out zones over the whole field
+   * Only rebuilt when the boundary or the zones change.
+   * @private
+   */
+  _getFieldLayer(boundary, keepOut) {
+    const key = JSON.stringify([boundary, keepOut]);
+
+    if (this.fieldLayer && this.fieldLayer.key === key) {
+      return this.fieldLayer.grid;
+    }
+
+    const xs = boundary.map(point => point.x);
+    const ys = boundary.map(point => point.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const grid = this._createGrid(
+      minX,
+      minY,
+      Math.ceil((Math.max(...xs) - minX) / this.params.resolution) + 1,
+      Math.ceil((Math.max(...ys) - minY) / this.params.resolution) + 1
+    );
+
+    if (grid) {
+      this._markZones(grid, boundary, keepOut);
+    }
+
+    this.fieldLayer = { key, grid };
+    return grid;
+  }
+
+  /**
+   * Copy the part of the field layer covering an area, or all of it, into a
+   * grid of its own
+   * @private
+   */
+  _cropLayer(layer, area) {
+    let minI = 0;
+    let minJ = 0;
+    let maxI = layer.width - 1;
+    let maxJ = layer.height - 1;
+
+    if (area) {
+      minI = Math.max(minI, Math.floor((area.minX - layer.originX) / layer.resolution));
+      minJ = Math.max(minJ, Math.floor((area.minY - layer.originY) / layer.resolution));
+      maxI = Math.min(maxI, Math.ceil((area.maxX - layer.originX) / layer.resolution));
+      maxJ = Math.min(maxJ, Math.ceil((area.maxY - layer.originY) / layer.resolution));
+    }
+
+    // The area lies outside the field
+    if (minI > maxI || minJ > maxJ) {
+      return null;
+    }
+
+    const grid = this._createGrid(
+      layer.originX + minI * layer.resolution,
+      layer.originY + minJ * layer.resolution,
+      maxI - minI + 1,
+      maxJ - minJ + 1
+    );
+
+    for (let j = 0; j < grid.height; j++) {
+      const from = (minJ + j) * layer.width + minI;
+      grid.cells.set(layer.cells.subarray(from, from + grid.width), j * grid.width);
+      grid.edgeClearance.set(layer.edgeClearance.subarray(from, from + grid.width), j * grid.width);
+    }
+
+    grid.windowed = grid.width < layer.width || grid.height < layer.height;
+    return grid;
+  }
+
+  /**
+   * Area to search around a segment: the segment with padding, grown to take
+   * in the keep-out zones and obstacles it reaches so the way round them fits
+   * @private
+   */
+  _searchArea(start, goal, obstacles, keepOut) {
+    const padding = this.params.gridPadding;
+    const area = {
+      minX: Math.min(start.x, goal.x) - padding,
+      maxX: Math.max(start.x, goal.x) + padding,
+      minY: Math.min(start.y, goal.y) - padding,
+      maxY: Math.max(start.y, goal.y) + padding
+    };
+
+    const extents = [
+      ...keepOut.map(zone => {
+        const reach = this.params.boundaryMargin + padding;
+
+        return {
+          minX: Math.min(...zone.map(point => point.x)) - reach,
+          maxX: Math.max(...zone.map(point => point.x)) + reach,
+          minY: Math.min(...zone.map(point => point.y)) - reach,
+          maxY: Math.max(...zone.map(point => point.y)) + reach
+        };
+      }),
+      ...obstacles.map(obstacle => {
+        const size = obstacle.size || { width: 0, depth: 0 };
+        const reach = Math.max(size.width || 0, size.depth || 0) / 2 +
+          Math.max(obstacle.clearance || 0, this.params.obstacleMargin) + padding;
+
+        return {
+          minX: obstacle.position.x - reach,
+          maxX: obstacle.position.x + reach,
+          minY: obstacle.position.y - reach,
+          maxY: obstacle.position.y + reach
+        };
+      })
+    ];
+
+    // Taking one in may reach others
+    let grown = true;
+
+    while (grown) {
+      grown = false;
+
+      extents.forEach((extent, index) => {
+        if (extent && extent.minX <= area.maxX && extent.maxX >= area.minX &&
+            extent.minY <= area.maxY && extent.maxY >= area.minY) {
+          area.minX = Math.min(area.minX, extent.minX);
+          area.maxX = Math.max(area.maxX, extent.maxX);
+          area.minY = Math.min(area.minY, extent.minY);
+          area.maxY = Math.max(area.maxY, extent.maxY);
+          extents[index] = null;
+          grown = true;
+        }
+      });
+    }
+
+    return area;
+  }
+
+  /**
+   * Block cells outside the boundary and inside keep-out zones
+   * @private
+   */
+  _markZones(grid, boundary, keepOut) {
+    const width = grid.width;
+    const height = grid.height;
+    const margin = this.params.boundaryMargin;
+
+    // Block cells outside the boundary a row at a time, leaving those between
+    // each pair of points where the row crosses it
+    if (boundary) {
+      grid.cells.fill(1);
+
+      for (let j = 0; j < height; j++) {
+        const y = grid.originY + j * grid.resolution;
+        const crossings = [];
+
+        for (let k = 0, l = boundary.length - 1; k < boundary.length; l = k++) {
+          const a = boundary[l];
+          const b = boundary[k];
+
+          if ((a.y > y) !== (b.y > y)) {
+            crossings.push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y));
+          }
+        }
+
+        crossings.sort((a, b) => a - b);
+
+        for (let c = 0; c + 1 < crossings.length; c += 2) {
+          const first = Math.max(0, Math.ceil((crossings[c] - grid.originX) / grid.resolution));
+          const last = Math.min(width - 1, Math.ceil((crossings[c + 1] - grid.originX) / grid.resolution) - 1);
+
+          grid.cells.fill(0, j * width + first, j * width + last + 1);
+        }
+      }
+
+      // Record how close the cells within the margin of each edge are to it
+      if (margin > 0) {
+        for (let k = 0, l = boundary.length - 1; k < boundary.length; l = k++) {
+          const a = boundary[l];
+          const b = boundary[k];
+          const min = this._toCell(grid, { x: Math.min(a.x, b.x) - margin, y: Math.min(a.y, b.y) - margin });
+          const max = this._toCell(grid, { x: Math.max(a.x, b.x) + margin, y: Math.max(a.y, b.y) + margin });
+
+          for (let j = Math.max(0, min.j); j <= Math.min(height - 1, max.j); j++) {
+            for (let i = Math.max(0, min.i); i <= Math.min(width - 1, max.i); i++) {
+              const index = j * width + i;
+
+              if (grid.cells[index] === 0) {
+                const distance = this._pointSegmentDistance(this._toPoint(grid, { i, j }, 0), a, b);
+                grid.edgeClearance[index] = Math.min(grid.edgeClearance[index], distance);
+              }
+            }
+          }
+        }
+      }
+    }
+
+    // Likewise for keep-out zones, only looking at the cells around each zone
+    keepOut.forEach(zone => {
+      const xs = zone.map(point => point.x);
+      const ys = zone.map(point => point.y);
+      const min = this._toCell(grid, { x: Math.min(...xs) - margin, y: Math.min(...ys) - margin });
+      const max = this._toCell(grid, { x: Math.max(...xs) + margin, y: Math.max(...ys) + margin });
+
+      for (let j = Math.max(0, min.j); j <= Math.min(height - 1, max.j); j++) {
+        for (let i = Math.max(0, min.i); i <= Math.min(width - 1, max.i); i++) {
+          const point = this._toPoint(grid, { i, j }, 0);
+          const index = j * width + i;
+
+          if (this._isPointInPolygon(point, zone)) {
+            grid.cells[index] = 1;
+          } else if (margin > 0) {
+            grid.edgeClearance[index] = Math.min(grid.edgeClearance[index], this._distanceToPolygonEdge(point, zone));
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * A* search over the occupancy grid
+   * @private
+   */
+  _search(grid, startCell, goalCell) {
+    const size = grid.width * grid.height;
+    const gScore = new Float64Array(size).fill(Infinity);
+    const cameFrom = new Int32Array(size).fill(-1);
+    const closed = new Uint8Array(size);
+    const open = new MinHeap();
+
+    const startIndex = this._index(grid, startCell.i, startCell.j);
+    const goalIndex = this._index(grid, goalCell.i, goalCell.j);
+
+    gScore[startIndex] = 0;
+    open.push(startIndex, this._heuristic(startCell, goalCell));
+
+    // A window around the segment bounds the search by itself, so it may
+    // look at every cell of it
+    const maxIterations = grid.windowed ? Math.max(this.params.maxIterations, size) : this.params.maxIterations;
+    let iterations = 0;
+
+    while (open.size() > 0) {
+      if (iterations >= maxIterations) {
+        return { cells: null, reason: 'iterationLimit', iterations };
+      }
+
+      const current = open.pop();
+
+      if (closed[current]) {
+        continue;
+      }
+
+      closed[current] = 1;
+      iterations++;
+
+      if (current === goalIndex) {
+        return { cells: this._reconstruct(grid, cameFrom, current), reason: null, iterations };
+      }
+
+      const ci = current % grid.width;
+      const cj = Math.floor(current / grid.width);
+
+      for (const neighbour of NEIGHBOURS) {
+        const ni = ci + neighbour.dx;
+        const nj = cj + neighbour.dy;
+
+        if (ni < 0 || nj < 0 || ni >= grid.width || nj >= grid.height) {
+          continue;
+        }
+
+        if (this._isBlocked(grid, ni, nj)) {
+          continue;
+        }
+
+        // Do not cut corners between two blocked cells
+        if (neighbour.dx !== 0 && neighbour.dy !== 0 &&
+            (this._isBlocked(grid, ci + neighbour.dx, cj) || this._isBlocked(grid, ci, cj + neighbour.dy))) {
+          continue;
+        }
+
+        const neighbourIndex = this._index(grid, ni, nj);
+
+        if (closed[neighbourIndex]) {
+          continue;
+        }
+
+        const tentative = gScore[current] + neighbour.cost;
+
+        if (tentative < gScore[neighbourIndex]) {
+          gScore[neighbourIndex] = tentative;
+          cameFrom[neighbourIndex] = current;
+          open.push(neighbourIndex, tentative + this._heuristic({ i: ni, j: nj }, goalCell));
+        }
+      }
+    }
+
+    return { cells: null, reason: 'noPath', iterations };
+  }
+
+  /**
+   * Rebuild the cell sequence from the A* parent links
+   * @private
+   */
+  _reconstruct(grid, cameFrom, index) {
+    const cells = [];
+    let current = index;
+
+    while (current !== -1) {
+      cells.push({ i: current % grid.width, j: Math.floor(current / grid.width) });
+      current = cameFrom[current];
+    }
+
+    return cells.reverse();
+  }
+
+  /**
+   * Octile distance heuristic
+   * @private
+   */
+  _heuristic(a, b) {
+    const dx = Math.abs(a.i - b.i);
+    const dy = Math.abs(a.j - b.j);
+    return (dx + dy) + (Math.SQRT2 - 2) * Math.min(dx, dy);
+  }
+
+  /**
+   * Remove intermediate points that have line of sight to each other
+   * @private
+   */
+  _shortenPath(grid, path) {
+    if (path.length <= 2) {
+      return path;
+    }
+
+    const shortened = [path[0]];
+    let anchor = 0;
+
+    while (anchor < path.length - 1) {
+      let next = path.length - 1;
+
+      // Furthest point still visible from the anchor
+      while (next > anchor + 1 && !this._hasLineOfSight(grid, path[anchor], path[next])) {
+        next--;
+      }
+
+      shortened.push(path[next]);
+      anchor = next;
+    }
+
+    return shortened;
+  }
+
+  /**
+   * Replace sharp corners with arcs no tighter than the turning radius
+   * @private
+   */
+  _smoothCorners(grid, path) {
+    if (path.length <= 2) {
+      return path;
+    }
+
+    const smoothed = [path[0]];
+
+    for (let k = 1; k < path.length - 1; k++) {
+      const previous = path[k - 1];
+      const corner = path[k];
+      const next = path[k + 1];
+
+      const inLength = this._distance(previous, corner);
+      const outLength = this._distance(corner, next);
+      const inHeading = Math.atan2(corner.y - previous.y, corner.x - previous.x);
+      const outHeading = Math.atan2(next.y - corner.y, next.x - corner.x);
+      const turn = Math.atan2(Math.sin(outHeading - inHeading), Math.cos(outHeading - inHeading));
+
+      // Nearly straight - keep the corner as is
+      if (Math.abs(turn) < 0.1 || inLength === 0 || outLength === 0) {
+        smoothed.push(corner);
+        continue;
+      }
+
+      // Tangent length for the turning radius, limited to half of each segment
+      const halfTurn = Math.abs(turn) / 2;
+      const tangent = Math.min(this.params.minTurningRadius * Math.tan(halfTurn), inLength / 2, outLength / 2);
+      const radius = tangent / Math.tan(halfTurn);
+
+      const arc = this._buildArc(corner, inHeading, outHeading, turn, tangent, radius);
+
+      // Only use the arc if it stays in free space
+      const arcIsFree = arc.every((point, index) =>
+        index === 0 || this._hasLineOfSight(grid, arc[index - 1], point)
+      );
+
+      if (arcIsFree) {
+        arc.forEach(point => smoothed.push(point));
+      } else {
+        smoothed.push(corner);
+      }
+    }
+
+    smoothed.push(path[path.length - 1]);
+    return smoothed;
+  }
+
+  /**
+   * Sample an arc tangent to both segments meeting at a corner
+   * @private
+   */
+  _buildArc(corner, inHeading, outHeading, turn, tangent, radius) {
+    const z = corner.z || 0;
+    const entry = {
+      x: corner.x - tangent * Math.cos(inHeading),
+      y: corner.y - tangent * Math.sin(inHeading)
+    };
+
+    // Arc center lies to the side of the turn
+    const side = turn > 0 ? 1 : -1;
+    const center = {
+      x: entry.x - side * radius * Math.sin(inHeading),
+      y: entry.y + side * radius * Math.cos(inHeading)
+    };
+
+    const arcLength = radius * Math.abs(turn);
+    const steps = Math.max(2, Math.ceil(arcLength / this.params.resolution));
+    const startAngle = Math.atan2(entry.y - center.y, entry.x - center.x);
+    const points = [];
+
+    for (let s = 0; s <= steps; s++) {
+      const angle = startAngle + turn * (s / steps);
+      points.push({
+        x: center.x + radius * Math.cos(angle),
+        y: center.y + radius * Math.sin(angle),
+        z: z
+      });
+    }
+
+    return points;
+  }
+
+  /**
+   * Check that the straight line between two points only crosses free cells
+   * @private
+   */
+  _hasLineOfSight(grid, from, to, checkEndpoints = false) {
+    const distance = this._distance(from, to);
+    const steps = Math.max(1, Math.ceil(distance / (grid.resolution / 2)));
+    const first = checkEndpoints ? 0 : 1;
+    const last = checkEndpoints ? steps : steps - 1;
+
+    for (let s = first; s <= last; s++) {
+      const t = s / steps;
+      const cell = this._toCell(grid, {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t
+      });
+
+      if (!this._inGrid(grid, cell) || this._isBlocked(grid, cell.i, cell.j)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if a cell is blocked (cells outside the grid count as blocked)
+   * @private
+   */
+  _isBlocked(grid, i, j) {
+    if (i < 0 || j < 0 || i >= grid.width || j >= grid.height) {
+      return true;
+    }
+
+    const index = j * grid.width + i;
+    return grid.cells[index] === 1 ||
+      grid.clearance[index] < grid.requiredClearance ||
+      grid.edgeClearance[index] < grid.requiredEdgeClearance;
+  }
+
+  /**
+   * @private
+   */
+  _inGrid(grid, cell) {
+    return cell.i >= 0 && cell.j >= 0 && cell.i < grid.width && cell.j < grid.height;
+  }
+
+  /**
+   * @private
+   */
+  _index(grid, i, j) {
+    return j * grid.width + i;
+  }
+
+  /**
+   * Convert a world point to grid cell coordinates
+   * @private
+   */
+  _toCell(grid, point) {
+    return {
+      i: Math.round((point.x - grid.originX) / grid.resolution),
+      j: Math.round((point.y - grid.originY) / grid.resolution)
+    };
+  }
+
+  /**
+   * Convert grid cell coordinates to a world point
+   * @private
+   */
+  _toPoint(grid, cell, z) {
+    return {
+      x: grid.originX + cell.i * grid.resolution,
+      y: grid.originY + cell.j * grid.resolution,
+      z: z
+    };
+  }
+
+  /**
+   * @private
+   */
+  _distance(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Check if a point is inside a polygon (ray casting)
+   * @private
+   */
+  _isPointInPolygon(point, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const xi = polygon[i].x;
+      const yi = polygon[i].y;
+      const xj = polygon[j].x;
+      const yj = polygon[j].y;
+
+      const intersect = ((yi > point.y) !== (yj > point.y)) &&
+        (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
+
+      if (intersect) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  /**
+   * Shortest distance from a point to the polygon outline
+   * @private
+   */
+  _distanceToPolygonEdge(point, polygon) {
+    let minDistance = Infinity;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      minDistance = Math.min(minDistance, this._pointSegmentDistance(point, polygon[j], polygon[i]));
+    }
+
+    return minDistance;
+  }
+
+  /**
+   * Shortest distance from a point to a segment
+   * @private
+   */
+  _pointSegmentDistance(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 :
+      Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+    const px = a.x + t * dx - point.x;
+    const py = a.y + t * dy - point.y;
+
+    return Math.sqrt(px * px + py * py);
+  }
+
+  /**
+   * Shortest distance between two segments, zero where they cross
+   * @private
+   */
+  _segmentDistance(a, b, c, d) {
+    const side = (o, p, q) => Math.sign((p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x));
+
+    if (side(c, d, a) * side(c, d, b) < 0 && side(a, b, c) * side(a, b, d) < 0) {
+      return 0;
+    }
+
+    return Math.min(
+      this._pointSegmentDistance(a, c, d),
+      this._pointSegmentDistance(b, c, d),
+      this._pointSegmentDistance(c, a, b),
+      this._pointSegmentDistance(d, a, b)
+    );
+  }
+}
+
+/**
+ * Minimal binary heap keyed by priority, used as the A* open set
+ * @private
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    this.items.push({ value, priority });
+    let index = this.items.length - 1;
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+
+      if (this.items[parent].priority <= this.items[index].priority) {
+        break;
+      }
+
+      [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let index = 0;
+
+      for (;;) {
+        const left = 2 * index + 1;
+        const right = left + 1;
+        let smallest = index;
+
+        if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) {
+          smallest = left;
+        }
+
+        if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) {
+          smallest = right;
+        }
+
+        if (smallest === index) {
+          break;
+        }
+
+        [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+        index = smallest;
+      }
+    }
+
+    return top.value;
+  }
+}
+
+module.exports = PathPlanner;
@@ -0,0 +1,59 @@
+/**
+ * Sevak Mini Tractor - Detection Classifier
+ *
+ * Base class for the models that tell people and animals from other
+ * obstacles. A classifier is loaded once, then given the candidates found in
+ * each LIDAR scan together with the newest camera frame (or null when there
+ * is no recent one). Candidates carry their range, bearing and width in the
+ * vehicle frame (bearing counter-clockwise from forward), so a camera model
+ * can find them in the image.
+ */
+
+// Labels a classifier may give a candidate
+const LABELS = ['person', 'animal', 'object'];
+
+class DetectionClassifier {
+  /**
+   * @param {object} options - Classifier options
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.loaded = false;
+  }
+
+  /**
+   * Load the model
+   */
+  async load() {
+    this.loaded = true;
+  }
+
+  /**
+   * Release the model
+   */
+  async unload() {
+    this.loaded = false;
+  }
+
+  /**
+   * Check whether the model is loaded
+   * @returns {boolean} True if loaded
+   */
+  isLoaded() {
+    return this.loaded;
+  }
+
+  /**
+   * Classify the candidates of one scan
+   * @param {Array} candidates - Candidates ({ distance, bearing, bearingSpan, width, points })
+   * @param {object|null} frame - Newest camera frame, or null
+   * @returns {Promise<Array>} One { label, confidence } per candidate, in order
+   */
+  async classify(candidates, frame) {
+    throw new Error(`${this.constructor.name} does not implement classify()`);
+  }
+}
+
+DetectionClassifier.LABELS = LABELS;
+
+module.exports = DetectionClassifier;
@@ -0,0 +1,55 @@
+/**
+ * Sevak Mini Tractor - Detection Classifiers
+ *
+ * Creates the classifier named by config.perception.classifier from a
+ * registry of factories:
+ *
+ * - rules: labels from the candidate's width and any camera labels
+ * - stub: fixed labels, for tests and running without a model
+ *
+ * A trained model is plugged in with registerClassifier() and selected by
+ * name in the config.
+ */
+
+const DetectionClassifier = require('./detectionClassifier');
+const RuleBasedClassifier = require('./ruleBasedClassifier');
+const StubClassifier = require('./stubClassifier');
+
+// Classifier factories by name: (options) => classifier
+const registry = {
+  rules: (options) => new RuleBasedClassifier(options),
+  stub: (options) => new StubClassifier(options)
+};
+
+/**
+ * Register a classifier factory, adding a model or replacing one
+ * @param {string} name - Classifier name
+ * @param {function} factory - (options) => classifier
+ */
+function registerClassifier(name, factory) {
+  registry[name] = factory;
+}
+
+/**
+ * Create a classifier by name
+ * @param {string} name - Classifier name
+ * @param {object} options - Classifier options
+ * @returns {DetectionClassifier} Classifier, not yet loaded
+ */
+function createClassifier(name, options = {}) {
+  const factory = registry[name];
+
+  if (!factory) {
+    throw new Error(`Unknown classifier: ${name}`);
+  }
+
+  return factory(options);
+}
+
+module.exports = {
+  createClassifier,
+  registerClassifier,
+  DetectionClassifier,
+  RuleBasedClassifier,
+  StubClassifier
+};
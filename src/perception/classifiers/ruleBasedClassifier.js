@@ -0,0 +1,114 @@
+/**
+ * Sevak Mini Tractor - Rule-Based Classifier
+ *
+ * Labels candidates from their width in the LIDAR scan: a person is about
+ * shoulder wide, livestock wider, anything else is an object. Where the
+ * camera frame carries labelled objects from an on-camera detector
+ * ({ objects: [{ label, bearing, confidence }] }), a label whose bearing falls
+ * on the candidate is used instead.
+ *
+ * The rules err on the side of caution - a post or tree trunk of a person's
+ * width is taken for a person - so a trained model should replace them
+ * wherever one is available.
+ */
+
+const DetectionClassifier = require('./detectionClassifier');
+
+const DEFAULTS = {
+  personWidth: [0.2, 0.8], // meters
+  animalWidth: [0.8, 2.5], // meters
+  widthConfidence: 0.6, // confidence of a label from width alone
+  bearingTolerance: 0.05 // rad beyond the candidate's edges a camera label may lie
+};
+
+class RuleBasedClassifier extends DetectionClassifier {
+  /**
+   * @param {object} options - Rule parameters, see DEFAULTS
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.params = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+      if (options[key] !== undefined) {
+        this.params[key] = options[key];
+      }
+    });
+  }
+
+  /**
+   * Classify the candidates of one scan
+   * @param {Array} candidates - Candidates ({ distance, bearing, bearingSpan, width, points })
+   * @param {object|null} frame - Newest camera frame, or null
+   * @returns {Promise<Array>} One { label, confidence } per candidate, in order
+   */
+  async classify(candidates, frame) {
+    const objects = (frame && Array.isArray(frame.objects)) ? frame.objects : [];
+
+    return candidates.map(candidate => {
+      const cameraLabel = this._findCameraLabel(candidate, objects);
+
+      if (cameraLabel) {
+        return cameraLabel;
+      }
+
+      return {
+        label: this._labelByWidth(candidate.width),
+        confidence: this.params.widthConfidence
+      };
+    });
+  }
+
+  /**
+   * Most confident camera label on the candidate's bearing
+   * @private
+   */
+  _findCameraLabel(candidate, objects) {
+    const tolerance = this.params.bearingTolerance;
+    let best = null;
+
+    objects.forEach(object => {
+      if (!DetectionClassifier.LABELS.includes(object.label)) {
+        return;
+      }
+
+      const fromMin = this._normalizeAngle(object.bearing - candidate.bearingSpan.min);
+      const toMax = this._normalizeAngle(candidate.bearingSpan.max - object.bearing);
+
+      if (fromMin >= -tolerance && toMax >= -tolerance &&
+          (!best || object.confidence > best.confidence)) {
+        best = { label: object.label, confidence: object.confidence };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Label a candidate by its width
+   * @private
+   */
+  _labelByWidth(width) {
+    const { personWidth, animalWidth } = this.params;
+
+    if (width >= personWidth[0] && width <= personWidth[1]) {
+      return 'person';
+    }
+
+    if (width > animalWidth[0] && width <= animalWidth[1]) {
+      return 'animal';
+    }
+
+    return 'object';
+  }
+
+  /**
+   * Normalize an angle to [-PI, PI]
+   * @private
+   */
+  _normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+  }
+}
+
+module.exports = RuleBasedClassifier;
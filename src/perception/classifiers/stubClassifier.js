@@ -0,0 +1,41 @@
+/**
+ * Sevak Mini Tractor - Stub Classifier
+ *
+ * Gives every candidate the same label, or the label its bearing falls in
+ * from a fixed list of sectors. For tests and for running without a model.
+ */
+
+const DetectionClassifier = require('./detectionClassifier');
+
+class StubClassifier extends DetectionClassifier {
+  /**
+   * @param {object} options - Classifier options
+   * @param {string} options.label - Label for every candidate (defaults to 'object')
+   * @param {number} options.confidence - Confidence of every label (defaults to 1)
+   * @param {Array} options.sectors - Labels by bearing ([{ min, max, label }], rad), checked before options.label
+   */
+  constructor(options = {}) {
+    super(options);
+    this.label = options.label || 'object';
+    this.confidence = options.confidence !== undefined ? options.confidence : 1;
+    this.sectors = options.sectors || [];
+  }
+
+  /**
+   * Classify the candidates of one scan
+   * @param {Array} candidates - Candidates ({ bearing, ... })
+   * @returns {Promise<Array>} One { label, confidence } per candidate, in order
+   */
+  async classify(candidates) {
+    return candidates.map(candidate => {
+      const sector = this.sectors.find(s => candidate.bearing >= s.min && candidate.bearing <= s.max);
+
+      return {
+        label: sector ? sector.label : this.label,
+        confidence: this.confidence
+      };
+    });
+  }
+}
+
+module.exports = StubClassifier;
@@ -0,0 +1,304 @@
+/**
+ * Sevak Mini Tractor - Perception System
+ *
+ * Finds people and animals around the tractor. Each LIDAR scan is split
+ * into candidates - runs of neighbouring returns - which the configured
+ * classifier labels as person, animal or object, using the newest camera
+ * frame where it has one. The labelled detections are published on
+ * 'perception.detections' with their range from the tractor (for the safety
+ * monitor) and their position in the local frame with the clearance to keep
+ * from them (for the obstacle map).
+ *
+ * Classification may be slow, so a scan that arrives while the previous one
+ * is still being classified is dropped.
+ */
+
+const Logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const config = require('../config');
+const { createClassifier } = require('./classifiers');
+
+class PerceptionSystem {
+  /**
+   * @param {object} sensorManager - Sensor manager, for the pose of each scan
+   */
+  constructor(sensorManager) {
+    this.logger = new Logger('PerceptionSystem');
+    this.sensorManager = sensorManager;
+
+    const perceptionConfig = config.perception || {};
+
+    // Perception parameters (with default values if not in config)
+    this.params = {
+      enabled: perceptionConfig.enabled !== false,
+      classifier: perceptionConfig.classifier || 'rules',
+      maxRange: perceptionConfig.maxRange || 15, // meters
+      clusterGap: perceptionConfig.clusterGap || 0.5, // meters between returns of one candidate
+      minPoints: perceptionConfig.minPoints || 2,
+      minConfidence: perceptionConfig.minConfidence || 0.5, // below it a person or animal counts as an object
+      frameMaxAge: perceptionConfig.frameMaxAge || 1000, // ms a camera frame is used for
+      clearance: {
+        person: perceptionConfig.clearance?.person || 3.0, // meters
+        animal: perceptionConfig.clearance?.animal || 2.5, // meters
+        object: perceptionConfig.clearance?.object || 0
+      }
+    };
+
+    this.classifier = createClassifier(this.params.classifier, perceptionConfig[this.params.classifier] || {});
+
+    // Newest camera frame
+    this.lastFrame = null;
+
+    // Detections of the last classified scan
+    this.detections = [];
+    this.lastScanTime = 0;
+
+    this.isProcessing = false;
+    this.subscriptions = [];
+
+    this.stats = {
+      scans: 0,
+      droppedScans: 0,
+      errors: 0
+    };
+
+    this.logger.info('Perception System initialized');
+  }
+
+  /**
+   * Initialize the perception system
+   */
+  async initialize() {
+    this.logger.info('Initializing perception system...');
+
+    if (!this.params.enabled) {
+      this.logger.info('Perception is disabled');
+      return true;
+    }
+
+    try {
+      await this.classifier.load();
+
+      this.subscriptions.push(
+        eventBus.subscribe('sensor.camera.updated', (data) => {
+          this.lastFrame = data;
+        })
+      );
+
+      this.subscriptions.push(
+        eventBus.subscribe('sensor.lidar.updated', (data) => {
+          this._handleScan(data);
+        })
+      );
+
+      this.logger.info(`Perception system initialized with the ${this.params.classifier} classifier`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to initialize perception system: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Classify a scan unless the previous one is still being classified
+   * @private
+   */
+  async _handleScan(scan) {
+    if (this.isProcessing) {
+      this.stats.droppedScans++;
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      await this.processScan(scan);
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.error(`Failed to process LIDAR scan: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Find and classify the candidates in a LIDAR scan
+   * @param {object} scan - LIDAR scan ({ points: [{ angle, distance, intensity }], timestamp })
+   * @returns {Promise<Array>} Detections
+   */
+  async processScan(scan) {
+    const time = scan.timestamp || Date.now();
+    const candidates = this._findCandidates(scan.points || []);
+
+    const frame = this.lastFrame && time - this.lastFrame.timestamp <= this.params.frameMaxAge ?
+      this.lastFrame :
+      null;
+
+    // Where the tractor was at the scan, not after classifying it
+    const pose = this.sensorManager.getPositionAndOrientation();
+    const labels = candidates.length > 0 ? await this.classifier.classify(candidates, frame) : [];
+    const cosYaw = Math.cos(pose.orientation.yaw);
+    const sinYaw = Math.sin(pose.orientation.yaw);
+
+    const detections = candidates.map((candidate, index) => {
+      const result = labels[index] || { label: 'object', confidence: 0 };
+      const label = result.label !== 'object' && result.confidence < this.params.minConfidence ?
+        'object' :
+        result.label;
+
+      return {
+        label: label,
+        confidence: result.confidence,
+        distance: candidate.distance,
+        bearing: candidate.bearing,
+        position: {
+          x: pose.position.x + candidate.center.x * cosYaw - candidate.center.y * sinYaw,
+          y: pose.position.y + candidate.center.x * sinYaw + candidate.center.y * cosYaw,
+          z: 0
+        },
+        // A scan only shows the near side, so depth is taken to equal width
+        size: { width: candidate.width, height: 0, depth: candidate.width },
+        clearance: this.params.clearance[label] || 0,
+        timestamp: time
+      };
+    });
+
+    this.detections = detections;
+    this.lastScanTime = time;
+    this.stats.scans++;
+
+    eventBus.publish('perception.detections', {
+      detections: detections,
+      cameraUsed: frame !== null,
+      timestamp: time
+    });
+
+    return detections;
+  }
+
+  /**
+   * Split a scan into runs of neighbouring returns
+   * @private
+   * @returns {Array} Candidates in the vehicle frame (x forward, y left)
+   */
+  _findCandidates(points) {
+    const returns = points
+      .filter(point => point.distance > 0 && point.distance < this.params.maxRange && point.intensity !== 0)
+      .map(point => {
+        const bearing = this._normalizeAngle(point.angle);
+
+        return {
+          bearing: bearing,
+          distance: point.distance,
+          x: point.distance * Math.cos(bearing),
+          y: point.distance * Math.sin(bearing)
+        };
+      })
+      .sort((a, b) => a.bearing - b.bearing);
+
+    const runs = [];
+    let run = [];
+
+    returns.forEach(point => {
+      const previous = run[run.length - 1];
+
+      if (previous && Math.hypot(point.x - previous.x, point.y - previous.y) > this.params.clusterGap) {
+        runs.push(run);
+        run = [];
+      }
+
+      run.push(point);
+    });
+
+    if (run.length > 0) {
+      runs.push(run);
+    }
+
+    // A run across straight behind (bearing +-PI) was split by the sort
+    if (runs.length > 1) {
+      const first = runs[0][0];
+      const lastRun = runs[runs.length - 1];
+      const last = lastRun[lastRun.length - 1];
+
+      if (Math.hypot(first.x - last.x, first.y - last.y) <= this.params.clusterGap) {
+        runs[0] = [...runs.pop(), ...runs[0]];
+      }
+    }
+
+    return runs
+      .filter(points => points.length >= this.params.minPoints)
+      .map(points => {
+        const first = points[0];
+        const last = points[points.length - 1];
+        const center = {
+          x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+          y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+        };
+
+        return {
+          distance: Math.min(...points.map(point => point.distance)),
+          bearing: Math.atan2(center.y, center.x),
+          bearingSpan: { min: first.bearing, max: last.bearing },
+          width: Math.hypot(last.x - first.x, last.y - first.y),
+          center: center,
+          points: points.map(point => ({ x: point.x, y: point.y }))
+        };
+      });
+  }
+
+  /**
+   * Normalize an angle to [-PI, PI]
+   * @private
+   */
+  _normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+  }
+
+  /**
+   * Get the detections of the last classified scan
+   * @returns {Array} Detections
+   */
+  getDetections() {
+    return this.detections.map(detection => ({ ...detection }));
+  }
+
+  /**
+   * Get perception status
+   * @returns {object} Status
+   */
+  getStatus() {
+    return {
+      enabled: this.params.enabled,
+      classifier: this.params.classifier,
+      classifierLoaded: this.classifier.isLoaded(),
+      detections: this.detections.length,
+      people: this.detections.filter(detection => detection.label === 'person').length,
+      animals: this.detections.filter(detection => detection.label === 'animal').length,
+      lastScanTime: this.lastScanTime,
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Shutdown the perception system
+   */
+  async shutdown() {
+    this.logger.info('Shutting down perception system...');
+
+    this.subscriptions.forEach(subscription => {
+      eventBus.unsubscribe(subscription);
+    });
+    this.subscriptions = [];
+
+    try {
+      await this.classifier.unload();
+    } catch (error) {
+      this.logger.error(`Failed to unload classifier: ${error.message}`);
+    }
+
+    this.logger.info('Perception system shut down');
+    return true;
+  }
+}
+
+module.exports = PerceptionSystem;
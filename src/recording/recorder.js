@@ -0,0 +1,396 @@
+/**
+ * Sevak Mini Tractor - Recorder
+ *
+ * Black box recording of every run. Events on the configured eventBus topics
+ * are written as JSON lines ({ topic, timestamp, data }, the replay log
+ * format) to one directory per run. Records are buffered and written as a
+ * gzip member every flush interval, so a crash loses at most one interval;
+ * chunk files are rotated by age and size, and the oldest runs (or chunks)
+ * are deleted to keep within the storage limits.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const Logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const config = require('../config');
+
+const gzip = promisify(zlib.gzip);
+
+const CHUNK_PATTERN = /^chunk-\d+\.jsonl\.gz$/;
+
+class Recorder {
+  constructor() {
+    this.logger = new Logger('Recorder');
+
+    const recordingConfig = config.recording || {};
+
+    // Recording parameters (with default values if not in config)
+    this.params = {
+      enabled: recordingConfig.enabled !== false,
+      storageDir: recordingConfig.storageDir || path.join(process.cwd(), 'data', 'recordings'),
+      topics: recordingConfig.topics || ['sensor.*', 'motor.*', 'navigation.*', 'command.*', 'safety.*', 'mission.*', 'perception.*'],
+      flushInterval: recordingConfig.flushInterval || 1000, // ms
+      chunkDuration: recordingConfig.chunkDuration || 60000, // ms
+      chunkSize: recordingConfig.chunkSize || 8 * 1024 * 1024, // bytes
+      maxRecordings: recordingConfig.maxRecordings || 50,
+      maxTotalSize: recordingConfig.maxTotalSize || 1024 * 1024 * 1024 // bytes
+    };
+
+    // Recording in progress
+    this.recordingId = null;
+    this.isRecording = false;
+
+    // Recording stops taking events while a log is replayed onto the bus
+    this.isPaused = false;
+
+    // Current chunk
+    this.chunk = {
+      index: 0,
+      startTime: 0,
+      size: 0
+    };
+
+    // Serialized records waiting for the next flush
+    this.buffer = [];
+
+    // Serializes writes to the chunk files
+    this.writeQueue = Promise.resolve();
+
+    this.subscriptions = [];
+    this.replaySubscriptions = [];
+    this.flushInterval = null;
+
+    this.stats = {
+      records: 0,
+      dropped: 0,
+      bytesWritten: 0,
+      writeErrors: 0
+    };
+
+    this.logger.info('Recorder initialized');
+  }
+
+  /**
+   * Initialize the recorder and start recording this run
+   */
+  async initialize() {
+    this.logger.info('Initializing recorder...');
+
+    if (!this.params.enabled) {
+      this.logger.info('Recording is disabled');
+      return true;
+    }
+
+    try {
+      // Replayed events are already recorded
+      this.replaySubscriptions = [
+        eventBus.subscribe('recording.replay.started', () => {
+          this.isPaused = true;
+        }),
+        eventBus.subscribe('recording.replay.finished', () => {
+          this.isPaused = false;
+        })
+      ];
+
+      await this.start();
+
+      this.logger.info('Recorder initialized successfully');
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to initialize recorder: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Start a new recording
+   * @returns {Promise<string>} Recording ID
+   */
+  async start() {
+    if (this.isRecording) {
+      return this.recordingId;
+    }
+
+    // IDs sort in start order and are safe as directory names
+    const id = new Date().toISOString().replace(/:/g, '-');
+
+    await fs.mkdir(path.join(this.params.storageDir, id), { recursive: true });
+
+    this.recordingId = id;
+    this.isRecording = true;
+    this.chunk = { index: 0, startTime: Date.now(), size: 0 };
+
+    this.subscriptions = this.params.topics.map(topic =>
+      eventBus.subscribe(topic, (data, eventType) => this._record(eventType || topic, data))
+    );
+
+    this.flushInterval = setInterval(() => {
+      this.flush();
+    }, this.params.flushInterval);
+
+    await this._enforceLimits();
+
+    this.logger.info(`Recording started: ${id}`);
+    eventBus.publish('recording.started', { id: id });
+
+    return id;
+  }
+
+  /**
+   * Stop the recording in progress, writing out everything buffered
+   */
+  async stop() {
+    if (!this.isRecording) {
+      return;
+    }
+
+    this.subscriptions.forEach(id => eventBus.unsubscribe(id));
+    this.subscriptions = [];
+
+    clearInterval(this.flushInterval);
+    this.flushInterval = null;
+
+    await this.flush();
+
+    const id = this.recordingId;
+    this.isRecording = false;
+
+    this.logger.info(`Recording stopped: ${id}`);
+    eventBus.publish('recording.stopped', { id: id });
+  }
+
+  /**
+   * Buffer one event
+   * @param {string} topic - Event type
+   * @param {object} data - Event data
+   * @private
+   */
+  _record(topic, data) {
+    if (this.isPaused) {
+      return;
+    }
+
+    let line;
+    try {
+      line = JSON.stringify({ topic: topic, timestamp: Date.now(), data: data });
+    } catch (error) {
+      // Circular or otherwise unserializable data
+      this.stats.dropped++;
+      return;
+    }
+
+    this.buffer.push(line);
+    this.stats.records++;
+  }
+
+  /**
+   * Compress the buffered records and append them to the current chunk
+   * @returns {Promise} Resolves when the write has finished
+   */
+  flush() {
+    if (this.buffer.length === 0) {
+      return this.writeQueue;
+    }
+
+    const text = this.buffer.join('\n') + '\n';
+    this.buffer = [];
+
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const now = Date.now();
+
+        if (this.chunk.size >= this.params.chunkSize ||
+            now - this.chunk.startTime >= this.params.chunkDuration) {
+          this.chunk = { index: this.chunk.index + 1, startTime: now, size: 0 };
+          await this._enforceLimits();
+        }
+
+        const compressed = await gzip(text);
+        await fs.appendFile(this._chunkPath(this.recordingId, this.chunk.index), compressed);
+
+        this.chunk.size += compressed.length;
+        this.stats.bytesWritten += compressed.length;
+      })
+      .catch(error => {
+        this.stats.writeErrors++;
+        this.logger.error(`Failed to write recording: ${error.message}`);
+      });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Get the file of a chunk
+   * @private
+   */
+  _chunkPath(id, index) {
+    return path.join(this.params.storageDir, id, `chunk-${String(index).padStart(5, '0')}.jsonl.gz`);
+  }
+
+  /**
+   * Delete the oldest recordings, then the oldest chunks of the current one,
+   * until the recordings are within the count and size limits
+   * @private
+   */
+  async _enforceLimits() {
+    const recordings = await this.listRecordings();
+    let totalSize = recordings.reduce((sum, recording) => sum + recording.size, 0);
+    let count = recordings.length;
+
+    for (const recording of recordings) {
+      if (count <= this.params.maxRecordings && totalSize <= this.params.maxTotalSize) {
+        return;
+      }
+
+      if (recording.id === this.recordingId) {
+        continue;
+      }
+
+      await fs.rm(path.join(this.params.storageDir, recording.id), { recursive: true, force: true });
+      totalSize -= recording.size;
+      count--;
+
+      this.logger.info(`Deleted recording ${recording.id} to stay within storage limits`);
+    }
+
+    const current = recordings.find(recording => recording.id === this.recordingId);
+    if (!current || totalSize <= this.params.maxTotalSize) {
+      return;
+    }
+
+    // The current run alone is over the limit, drop its oldest chunks
+    const directory = path.join(this.params.storageDir, current.id);
+    const chunks = (await this._listChunks(directory))
+      .filter(chunk => chunk.name !== path.basename(this._chunkPath(current.id, this.chunk.index)));
+
+    for (const chunk of chunks) {
+      if (totalSize <= this.params.maxTotalSize) {
+        break;
+      }
+
+      await fs.rm(path.join(directory, chunk.name), { force: true });
+      totalSize -= chunk.size;
+
+      this.logger.info(`Deleted chunk ${chunk.name} of recording ${current.id} to stay within storage limits`);
+    }
+  }
+
+  /**
+   * List the chunk files of a recording directory
+   * @private
+   */
+  async _listChunks(directory) {
+    const names = (await fs.readdir(directory)).filter(name => CHUNK_PATTERN.test(name)).sort();
+    const chunks = [];
+
+    for (const name of names) {
+      const stat = await fs.stat(path.join(directory, name));
+      chunks.push({ name: name, size: stat.size, modified: Math.floor(stat.mtimeMs) });
+    }
+
+    return chunks;
+  }
+
+  /**
+   * List the stored recordings, oldest first
+   * @returns {Promise<Array>} Recordings ({ id, chunks, size, startTime, endTime, active })
+   */
+  async listRecordings() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.params.storageDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const recordings = [];
+
+    for (const entry of entries.filter(entry => entry.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+      const chunks = await this._listChunks(path.join(this.params.storageDir, entry.name));
+      const startTime = Date.parse(entry.name.replace(/T(\d+)-(\d+)-(\d+)/, 'T$1:$2:$3'));
+
+      recordings.push({
+        id: entry.name,
+        chunks: chunks.length,
+        size: chunks.reduce((sum, chunk) => sum + chunk.size, 0),
+        startTime: isNaN(startTime) ? null : startTime,
+        endTime: chunks.length > 0 ? Math.max(...chunks.map(chunk => chunk.modified)) : null,
+        active: this.isRecording && entry.name === this.recordingId
+      });
+    }
+
+    return recordings;
+  }
+
+  /**
+   * Get a stored recording
+   * @param {string} id - Recording ID
+   * @returns {Promise<object>} Result with the recording, its directory and its chunk files ({ path, size })
+   */
+  async getRecording(id) {
+    // Only IDs from the listing are accepted, so a path can never leave the storage directory
+    const recording = (await this.listRecordings()).find(recording => recording.id === id);
+
+    if (!recording) {
+      return { success: false, code: 'notFound', error: 'Recording not found' };
+    }
+
+    if (recording.active) {
+      // Make the download include everything recorded so far
+      await this.flush();
+    }
+
+    // Sizes are taken now, later writes to the current chunk are left out
+    const directory = path.join(this.params.storageDir, id);
+    const files = (await this._listChunks(directory)).map(chunk => ({
+      path: path.join(directory, chunk.name),
+      size: chunk.size
+    }));
+
+    return {
+      success: true,
+      recording: {
+        ...recording,
+        directory: directory,
+        files: files
+      }
+    };
+  }
+
+  /**
+   * Get recorder status
+   * @returns {object} Recorder status
+   */
+  getStatus() {
+    return {
+      isRecording: this.isRecording,
+      isPaused: this.isPaused,
+      recordingId: this.recordingId,
+      chunk: this.chunk.index,
+      topics: [...this.params.topics],
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Shutdown the recorder
+   */
+  async shutdown() {
+    this.logger.info('Shutting down recorder...');
+
+    await this.stop();
+
+    this.replaySubscriptions.forEach(id => eventBus.unsubscribe(id));
+    this.replaySubscriptions = [];
+
+    this.logger.info('Recorder shutdown complete');
+  }
+}
+
+module.exports = Recorder;
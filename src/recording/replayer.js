@@ -0,0 +1,186 @@
+/**
+ * Sevak Mini Tractor - Replayer
+ *
+ * Republishes a recorded log onto the eventBus with the recorded timing, at
+ * real time or sped up, so a run can be played back through the navigation,
+ * safety and monitoring code. Run it with the sensors on a backend that
+ * publishes nothing of its own (or with topics limited to what is needed),
+ * otherwise live and replayed events mix.
+ */
+
+const Logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const { readLog } = require('../hal/replay/replayLog');
+
+// Events closer together than this are published in one batch
+const BATCH_WINDOW = 1; // ms
+
+class Replayer {
+  constructor() {
+    this.logger = new Logger('Replayer');
+
+    this.records = [];
+    this.index = 0;
+    this.source = null;
+    this.speed = 1;
+    this.isReplaying = false;
+
+    // Log time and wall clock time at the start, to schedule without drift
+    this.startLogTime = 0;
+    this.startWallTime = 0;
+
+    this.timer = null;
+  }
+
+  /**
+   * Replay a log
+   * @param {string} source - Log file or recording directory
+   * @param {object} options - Replay options
+   * @param {number} options.speed - Playback speed, 1 for real time (default 1)
+   * @param {Array<string>} options.topics - Only replay these topics (default all)
+   * @returns {Promise<object>} Result with the replay status
+   */
+  async start(source, options = {}) {
+    const speed = options.speed === undefined ? 1 : Number(options.speed);
+
+    if (!(speed > 0) || !isFinite(speed)) {
+      return { success: false, code: 'invalid', error: 'Speed must be a positive number' };
+    }
+
+    if (this.isReplaying) {
+      return { success: false, code: 'conflict', error: 'A replay is already running' };
+    }
+
+    let records;
+    try {
+      records = await readLog(source);
+    } catch (error) {
+      this.logger.error(`Failed to read log ${source}: ${error.message}`);
+      return { success: false, code: 'notFound', error: `Failed to read log: ${error.message}` };
+    }
+
+    if (options.topics) {
+      records = records.filter(record => options.topics.includes(record.topic));
+    }
+
+    records = records.filter(record => typeof record.timestamp === 'number');
+
+    if (records.length === 0) {
+      return { success: false, code: 'invalid', error: 'Log has no records to replay' };
+    }
+
+    this.records = records;
+    this.index = 0;
+    this.source = source;
+    this.speed = speed;
+    this.isReplaying = true;
+    this.startLogTime = records[0].timestamp;
+    this.startWallTime = Date.now();
+
+    this.logger.info(`Replaying ${records.length} records from ${source} at ${speed}x`);
+    eventBus.publish('recording.replay.started', {
+      source: source,
+      speed: speed,
+      records: records.length,
+      duration: records[records.length - 1].timestamp - records[0].timestamp
+    });
+
+    this._scheduleNext();
+
+    return { success: true, replay: this.getStatus() };
+  }
+
+  /**
+   * Stop the replay
+   * @returns {object} Result with the replay status
+   */
+  stop() {
+    if (!this.isReplaying) {
+      return { success: false, code: 'conflict', error: 'No replay is running' };
+    }
+
+    this._finish('stopped');
+    return { success: true, replay: this.getStatus() };
+  }
+
+  /**
+   * Schedule publishing of the next batch of records
+   * @private
+   */
+  _scheduleNext() {
+    if (this.index >= this.records.length) {
+      this._finish('completed');
+      return;
+    }
+
+    const due = this.startWallTime + (this.records[this.index].timestamp - this.startLogTime) / this.speed;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._publishBatch();
+      this._scheduleNext();
+    }, Math.max(0, due - Date.now()));
+  }
+
+  /**
+   * Publish the records due now
+   * @private
+   */
+  _publishBatch() {
+    const batchEnd = this.records[this.index].timestamp + BATCH_WINDOW;
+
+    while (this.index < this.records.length && this.records[this.index].timestamp < batchEnd) {
+      const record = this.records[this.index++];
+      eventBus.publish(record.topic, record.data);
+    }
+  }
+
+  /**
+   * End the replay
+   * @param {string} reason - 'completed' or 'stopped'
+   * @private
+   */
+  _finish(reason) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.isReplaying = false;
+
+    this.logger.info(`Replay of ${this.source} ${reason} after ${this.index} of ${this.records.length} records`);
+    eventBus.publish('recording.replay.finished', {
+      source: this.source,
+      reason: reason,
+      published: this.index
+    });
+  }
+
+  /**
+   * Get replay status
+   * @returns {object} Replay status
+   */
+  getStatus() {
+    const total = this.records.length;
+
+    return {
+      isReplaying: this.isReplaying,
+      source: this.source,
+      speed: this.speed,
+      published: this.index,
+      records: total,
+      progress: total > 0 ? this.index / total : 0
+    };
+  }
+
+  /**
+   * Shutdown the replayer
+   */
+  async shutdown() {
+    if (this.isReplaying) {
+      this._finish('stopped');
+    }
+  }
+}
+
+module.exports = Replayer;
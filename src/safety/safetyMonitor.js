@@ -21,8 +21,11 @@ class SafetyMonitor {
         obstacleProximity: false,
         humanProximity: false,
         boundaryViolation: false,
+        keepOutViolation: false,
         motorOverheat: false,
         motorOvercurrent: false,
+        cutterJam: false,
+        cutterOverheat: false,
         batteryLow: false,
         batteryCritical: false,
         tiltExceeded: false,
@@ -93,11 +96,25 @@ class SafetyMonitor {
       this._handleBoundaryViolation(data);
     });
     
+    eventBus.subscribe('navigation.boundaryViolation.cleared', (data) => {
+      this._handleBoundaryViolationCleared(data);
+    });
+    
+    // Subscribe to people and animals found by perception
+    eventBus.subscribe('perception.detections', (data) => {
+      this._handlePerceptionDetections(data);
+    });
+    
     // Subscribe to motor status events
     eventBus.subscribe('motor.status.updated', (data) => {
       this._handleMotorStatus(data);
     });
     
+    // Subscribe to cutter status events
+    eventBus.subscribe('implement.cutter.status.updated', (data) => {
+      this._handleCutterStatus(data);
+    });
+    
     // Subscribe to power monitoring events
     eventBus.subscribe('sensor.powerMonitors.updated', (data) => {
       this._handlePowerStatus(data);
@@ -230,18 +247,60 @@ class SafetyMonitor {
     }
   }
   
+  /**
+   * Handle perception detections
+   * @private
+   */
+  _handlePerceptionDetections(data) {
+    // Find people within safe distance
+    const nearbyPeople = (data.detections || []).filter(detection =>
+      detection.label === 'person' && detection.distance < this.thresholds.humanSafeDistance
+    );
+    
+    // Update safety state
+    const wasViolation = this.safetyState.currentViolations.humanProximity;
+    this.safetyState.currentViolations.humanProximity = nearbyPeople.length > 0;
+    
+    // Handle violation state change
+    if (this.safetyState.currentViolations.humanProximity && !wasViolation) {
+      const nearest = Math.min(...nearbyPeople.map(detection => detection.distance));
+      this._triggerSafetyViolation('humanProximity', `Person ${nearest.toFixed(1)} m from tractor`);
+    } else if (!this.safetyState.currentViolations.humanProximity && wasViolation) {
+      this._clearSafetyViolation('humanProximity');
+    }
+  }
+  
   /**
    * Handle boundary violation
    * @private
    */
   _handleBoundaryViolation(data) {
+    // Entering a keep-out zone is reported separately from leaving the field
+    const isKeepOut = data?.type === 'keepOutEntry';
+    const violationType = isKeepOut ? 'keepOutViolation' : 'boundaryViolation';
+    
     // Update safety state
-    const wasViolation = this.safetyState.currentViolations.boundaryViolation;
-    this.safetyState.currentViolations.boundaryViolation = true;
+    const wasViolation = this.safetyState.currentViolations[violationType];
+    this.safetyState.currentViolations[violationType] = true;
     
     // Handle violation state change
     if (!wasViolation) {
-      this._triggerSafetyViolation('boundaryViolation', 'Tractor outside defined boundaries');
+      this._triggerSafetyViolation(violationType, isKeepOut ?
+        `Tractor inside keep-out zone ${data.zone}` :
+        'Tractor outside defined boundaries');
+    }
+  }
+  
+  /**
+   * Handle boundary violation cleared
+   * @private
+   */
+  _handleBoundaryViolationCleared(data) {
+    const violationType = data?.type === 'keepOutEntry' ? 'keepOutViolation' : 'boundaryViolation';
+    
+    if (this.safetyState.currentViolations[violationType]) {
+      this.safetyState.currentViolations[violationType] = false;
+      this._clearSafetyViolation(violationType);
     }
   }
   
@@ -292,6 +351,35 @@ class SafetyMonitor {
     }
   }
   
+  /**
+   * Handle cutter status update
+   * @private
+   */
+  _handleCutterStatus(data) {
+    const cutterJam = data.safetyFlags.jamDetected;
+    const cutterOverheat = data.safetyFlags.overTemperature;
+    
+    // Update safety state for blade jam
+    const wasJamViolation = this.safetyState.currentViolations.cutterJam;
+    this.safetyState.currentViolations.cutterJam = cutterJam;
+    
+    if (cutterJam && !wasJamViolation) {
+      this._triggerSafetyViolation('cutterJam', 'Cutter blade jammed');
+    } else if (!cutterJam && wasJamViolation) {
+      this._clearSafetyViolation('cutterJam');
+    }
+    
+    // Update safety state for blade motor overheating
+    const wasOverheatViolation = this.safetyState.currentViolations.cutterOverheat;
+    this.safetyState.currentViolations.cutterOverheat = cutterOverheat;
+    
+    if (cutterOverheat && !wasOverheatViolation) {
+      this._triggerSafetyViolation('cutterOverheat', 'Cutter blade motor temperature critical');
+    } else if (!cutterOverheat && wasOverheatViolation) {
+      this._clearSafetyViolation('cutterOverheat');
+    }
+  }
+  
   /**
    * Handle power status update
    * @private
@@ -0,0 +1,358 @@
+/**
+ * Sevak Mini Tractor - Speed Governor
+ *
+ * Keeps the tractor within a safe speed envelope for the ground it is on and
+ * what it carries (FR2.3.4). Each of these takes a share off the maximum
+ * speed, falling linearly between the start and end of its range:
+ *
+ * - slope along the direction of travel, with a stricter range downhill
+ *   than uphill
+ * - lateral tilt (roll)
+ * - fodder container load, when the loader reports it, weighing more
+ *   heavily downhill
+ * - low battery
+ *
+ * The shares multiply, and the result is applied as the 'speedGovernor'
+ * limit of the motor controller, so navigation and manual driving alike
+ * stay within it. The governor never limits below its minimum speed:
+ * stopping on a slope that is too steep is left to the safety monitor.
+ * Every change of what limits the speed is recorded and published on
+ * 'safety.speedGovernor.changed'.
+ */
+
+const Logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const config = require('../config');
+
+// Name of the limit in the motor controller
+const LIMIT_SOURCE = 'speedGovernor';
+
+class SpeedGovernor {
+  constructor(sensorManager, motorController) {
+    this.logger = new Logger('SpeedGovernor');
+    this.sensorManager = sensorManager;
+    this.motorController = motorController;
+
+    const governorConfig = config.safety?.speedGovernor || {};
+
+    // Governor parameters (with default values if not in config)
+    this.params = {
+      enabled: governorConfig.enabled !== false,
+      updateInterval: governorConfig.updateInterval || 200, // ms
+      maxEvents: governorConfig.maxEvents || 50,
+      tiltFilter: governorConfig.tiltFilter || 0.2,
+      minSpeed: governorConfig.minSpeed || 0.3, // m/s
+      uphill: {
+        start: governorConfig.uphill?.start || 5, // degrees of climb
+        end: governorConfig.uphill?.end || 15, // degrees of climb
+        minFactor: governorConfig.uphill?.minFactor || 0.6
+      },
+      downhill: {
+        start: governorConfig.downhill?.start || 3, // degrees of descent
+        end: governorConfig.downhill?.end || 15, // degrees of descent
+        minFactor: governorConfig.downhill?.minFactor || 0.3
+      },
+      roll: {
+        start: governorConfig.roll?.start || 4, // degrees of lateral tilt
+        end: governorConfig.roll?.end || 12, // degrees of lateral tilt
+        minFactor: governorConfig.roll?.minFactor || 0.4
+      },
+      load: {
+        minFactor: governorConfig.load?.minFactor || 0.7, // with a full container
+        downhillMinFactor: governorConfig.load?.downhillMinFactor || 0.5 // with a full container, downhill
+      },
+      battery: {
+        start: governorConfig.battery?.start || 30, // percent
+        end: governorConfig.battery?.end || 10, // percent
+        minFactor: governorConfig.battery?.minFactor || 0.5
+      }
+    };
+
+    // Filtered tilt (radians), null until the first estimate
+    this.tilt = { pitch: null, roll: null };
+
+    // Container load ({ weight (kg), capacity (kg) }), null unless the loader reports it
+    this.load = null;
+
+    // Battery charge (percent), null until the power monitor reports it
+    this.batteryLevel = null;
+
+    // Applied envelope ({ limit, factors, reason }), or null when unlimited
+    this.current = null;
+
+    // Recent envelope changes, newest last
+    this.events = [];
+
+    // Update interval
+    this.updateInterval = null;
+
+    // Event subscriptions
+    this.subscriptions = [];
+
+    this.logger.info('Speed Governor initialized');
+  }
+
+  /**
+   * Initialize the speed governor
+   */
+  async initialize() {
+    this.logger.info('Initializing speed governor...');
+
+    if (!this.params.enabled) {
+      this.logger.info('Speed governor is disabled');
+      return true;
+    }
+
+    this.subscriptions.push(
+      eventBus.subscribe('implement.loader.status.updated', (data) => {
+        this._handleLoaderStatus(data);
+      })
+    );
+
+    this.subscriptions.push(
+      eventBus.subscribe('sensor.powerMonitors.updated', (data) => {
+        this._handlePowerStatus(data);
+      })
+    );
+
+    this.updateInterval = setInterval(() => {
+      this.update();
+    }, this.params.updateInterval);
+
+    this.logger.info('Speed governor initialized successfully');
+    return true;
+  }
+
+  /**
+   * Track the container load
+   * @private
+   */
+  _handleLoaderStatus(data) {
+    if (!data.container) {
+      return;
+    }
+
+    this.load = {
+      weight: data.container.weight,
+      capacity: data.container.capacity
+    };
+  }
+
+  /**
+   * Track the battery charge
+   * @private
+   */
+  _handlePowerStatus(data) {
+    if (typeof data.batteryLevel === 'number') {
+      this.batteryLevel = data.batteryLevel;
+    }
+  }
+
+  /**
+   * Work out the speed envelope and apply it as a speed limit
+   * @returns {object|null} Applied envelope, or null when unlimited
+   */
+  update() {
+    this._updateTilt();
+
+    const { maxSpeed, speed, targetSpeed } = this.motorController.motion;
+
+    // Which way the tractor is driving or about to drive
+    const reversing = speed < 0 || targetSpeed < 0;
+    const forward = !reversing || speed > 0 || targetSpeed > 0;
+
+    const factors = {
+      slope: 1,
+      roll: 1,
+      load: 1,
+      battery: 1
+    };
+    let downhill = false;
+    let uphill = false;
+
+    if (this.tilt.pitch !== null) {
+      const directions = [];
+      if (forward) {
+        directions.push(1);
+      }
+      if (reversing) {
+        directions.push(-1);
+      }
+
+      // Climbing is nose up, which is a negative pitch
+      directions.forEach(direction => {
+        const climb = -this.tilt.pitch * direction * 180 / Math.PI;
+        const factor = climb < 0 ?
+          this._ramp(-climb, this.params.downhill) :
+          this._ramp(climb, this.params.uphill);
+
+        if (factor < factors.slope) {
+          factors.slope = factor;
+          downhill = climb < 0;
+          uphill = climb > 0;
+        }
+      });
+
+      factors.roll = this._ramp(Math.abs(this.tilt.roll) * 180 / Math.PI, this.params.roll);
+    }
+
+    if (this.load && this.load.capacity > 0) {
+      const fill = Math.max(0, Math.min(this.load.weight / this.load.capacity, 1));
+      const minFactor = downhill ? this.params.load.downhillMinFactor : this.params.load.minFactor;
+      factors.load = 1 - fill * (1 - minFactor);
+    }
+
+    if (this.batteryLevel !== null) {
+      factors.battery = this._ramp(this.batteryLevel, this.params.battery);
+    }
+
+    const factor = factors.slope * factors.roll * factors.load * factors.battery;
+    let next = null;
+
+    if (factor < 1) {
+      next = {
+        limit: Math.min(Math.max(maxSpeed * factor, this.params.minSpeed), maxSpeed),
+        factor: factor,
+        factors: factors,
+        reason: this._describe(factors, downhill, uphill),
+        pitch: this.tilt.pitch,
+        roll: this.tilt.roll,
+        load: this.load ? this.load.weight : null,
+        batteryLevel: this.batteryLevel
+      };
+
+      this.motorController.setSpeedLimit(LIMIT_SOURCE, next.limit, next.reason);
+    } else if (this.current) {
+      this.motorController.clearSpeedLimit(LIMIT_SOURCE);
+    }
+
+    if ((next ? next.reason : null) !== (this.current ? this.current.reason : null)) {
+      this._recordEvent(next);
+    }
+
+    this.current = next;
+    return next;
+  }
+
+  /**
+   * Follow the fused pitch and roll through a low-pass filter
+   * @private
+   */
+  _updateTilt() {
+    const estimate = this.sensorManager.getPositionAndOrientation();
+
+    if (!estimate || !estimate.orientation) {
+      return;
+    }
+
+    const { pitch, roll } = estimate.orientation;
+
+    if (this.tilt.pitch === null) {
+      this.tilt.pitch = pitch;
+      this.tilt.roll = roll;
+      return;
+    }
+
+    this.tilt.pitch += (pitch - this.tilt.pitch) * this.params.tiltFilter;
+    this.tilt.roll += (roll - this.tilt.roll) * this.params.tiltFilter;
+  }
+
+  /**
+   * Share of the maximum speed at a value in a range
+   * Falls linearly from 1 at the start of the range to minFactor at its end
+   * (either way round, so a falling battery level works the same).
+   * @private
+   */
+  _ramp(value, range) {
+    const fraction = Math.max(0, Math.min((value - range.start) / (range.end - range.start), 1));
+
+    return 1 - fraction * (1 - range.minFactor);
+  }
+
+  /**
+   * Name what limits the speed, most limiting first
+   * @private
+   */
+  _describe(factors, downhill, uphill) {
+    const names = {
+      slope: downhill ? 'Downhill slope' : (uphill ? 'Uphill slope' : 'Slope'),
+      roll: 'Lateral tilt',
+      load: 'Container load',
+      battery: 'Low battery'
+    };
+
+    return Object.keys(factors)
+      .filter(name => factors[name] < 1)
+      .sort((a, b) => factors[a] - factors[b])
+      .map(name => names[name])
+      .join(', ');
+  }
+
+  /**
+   * Record and publish a change of what limits the speed
+   * @private
+   */
+  _recordEvent(next) {
+    const event = {
+      limit: next ? next.limit : null,
+      factors: next ? { ...next.factors } : null,
+      reason: next ? next.reason : 'Unlimited',
+      timestamp: Date.now()
+    };
+
+    this.events.push(event);
+    if (this.events.length > this.params.maxEvents) {
+      this.events.shift();
+    }
+
+    if (next) {
+      this.logger.warn(`${next.reason}: speed limited to ${next.limit.toFixed(2)} m/s`);
+    } else {
+      this.logger.info('Speed no longer governed');
+    }
+
+    eventBus.publish('safety.speedGovernor.changed', event);
+  }
+
+  /**
+   * Get speed governor status
+   * @returns {object} Status
+   */
+  getStatus() {
+    return {
+      enabled: this.params.enabled,
+      current: this.current ? { ...this.current, factors: { ...this.current.factors } } : null,
+      tilt: { ...this.tilt },
+      load: this.load ? { ...this.load } : null,
+      batteryLevel: this.batteryLevel,
+      events: this.events.map(event => ({ ...event }))
+    };
+  }
+
+  /**
+   * Shutdown the speed governor
+   */
+  async shutdown() {
+    this.logger.info('Shutting down speed governor...');
+
+    if (this.updateInterval) {
+      clearInterval(this.updateInterval);
+      this.updateInterval = null;
+    }
+
+    this.subscriptions.forEach(subscription => {
+      eventBus.unsubscribe(subscription);
+    });
+    this.subscriptions = [];
+
+    if (this.current) {
+      this.motorController.clearSpeedLimit(LIMIT_SOURCE);
+      this.current = null;
+    }
+
+    this.logger.info('Speed governor shut down');
+    return true;
+  }
+}
+
+module.exports = SpeedGovernor;
@@ -0,0 +1,289 @@
+/**
+ * Sevak Mini Tractor - Speed Zone Manager
+ *
+ * Slows the tractor down as it gets closer to an obstacle, whether it is
+ * driven by hand or by the navigation system. Around each obstacle lie
+ * three zones, wider for moving obstacles (tracked movers, people and
+ * animals) than for stationary ones:
+ *
+ * - slow: the allowed speed falls with distance from full speed down to the
+ *   warning speed
+ * - warning: the tractor may only creep at the warning speed
+ * - protective: the tractor must stop
+ *
+ * The lowest speed of all obstacles is applied as the 'speedZones' limit of
+ * the motor controller. Stationary obstacles on the side the tractor is not
+ * driving towards are left out, so it can always drive away from them;
+ * moving ones count all around.
+ * Every change of zone is recorded with its reason and published on
+ * 'safety.speedZone.changed'.
+ */
+
+const Logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const config = require('../config');
+
+// Name of the limit in the motor controller
+const LIMIT_SOURCE = 'speedZones';
+
+// Zones from the most to the least restrictive
+const ZONES = ['protective', 'warning', 'slow'];
+
+// Obstacle types that may move even while standing still
+const MOVING_TYPES = ['moving', 'person', 'animal'];
+
+class SpeedZoneManager {
+  constructor(sensorManager, navigationSystem, motorController) {
+    this.logger = new Logger('SpeedZoneManager');
+    this.sensorManager = sensorManager;
+    this.navigationSystem = navigationSystem;
+    this.motorController = motorController;
+
+    const zoneConfig = config.safety?.speedZones || {};
+
+    // Zone parameters (with default values if not in config)
+    this.params = {
+      enabled: zoneConfig.enabled !== false,
+      updateInterval: zoneConfig.updateInterval || 100, // ms
+      maxEvents: zoneConfig.maxEvents || 50,
+      stationary: {
+        protective: zoneConfig.stationary?.protective || 0.5, // meters
+        warning: zoneConfig.stationary?.warning || 1.5, // meters
+        slow: zoneConfig.stationary?.slow || 4.0, // meters
+        warningSpeed: zoneConfig.stationary?.warningSpeed || 0.3 // m/s
+      },
+      moving: {
+        protective: zoneConfig.moving?.protective || 1.5, // meters
+        warning: zoneConfig.moving?.warning || 3.0, // meters
+        slow: zoneConfig.moving?.slow || 8.0, // meters
+        warningSpeed: zoneConfig.moving?.warningSpeed || 0.2 // m/s
+      }
+    };
+
+    // Zone the tractor is in ({ zone, obstacleClass, obstacleType, distance, limit, reason }), or null when clear
+    this.current = null;
+
+    // Recent zone changes, newest last
+    this.events = [];
+
+    // Update interval
+    this.updateInterval = null;
+
+    this.logger.info('Speed Zone Manager initialized');
+  }
+
+  /**
+   * Initialize the speed zone manager
+   */
+  async initialize() {
+    this.logger.info('Initializing speed zone manager...');
+
+    if (!this.params.enabled) {
+      this.logger.info('Speed zones are disabled');
+      return true;
+    }
+
+    this.updateInterval = setInterval(() => {
+      this.update();
+    }, this.params.updateInterval);
+
+    this.logger.info('Speed zone manager initialized successfully');
+    return true;
+  }
+
+  /**
+   * Work out the zone from the obstacles around the tractor and apply its speed limit
+   * @returns {object|null} Zone the tractor is in, or null when clear
+   */
+  update() {
+    // The fused pose, which is live whether or not navigation is running
+    const { position, orientation } = this.sensorManager.getPositionAndOrientation();
+    const obstacles = this.navigationSystem.getObstacles();
+    const { maxSpeed, speed, targetSpeed } = this.motorController.motion;
+
+    // Which way the tractor is driving or about to drive
+    const reversing = speed < 0 || targetSpeed < 0;
+    const forward = !reversing || speed > 0 || targetSpeed > 0;
+
+    const candidates = [
+      ...obstacles.static.map(obstacle => ({ obstacle, obstacleClass: 'stationary' })),
+      ...obstacles.dynamic.map(obstacle => ({
+        obstacle,
+        obstacleClass: MOVING_TYPES.includes(obstacle.type) ? 'moving' : 'stationary'
+      }))
+    ];
+
+    const cosYaw = Math.cos(orientation.yaw);
+    const sinYaw = Math.sin(orientation.yaw);
+    let next = null;
+
+    candidates.forEach(({ obstacle, obstacleClass }) => {
+      const dx = obstacle.position.x - position.x;
+      const dy = obstacle.position.y - position.y;
+      const radius = Math.max(obstacle.size?.width || 0, obstacle.size?.depth || 0) / 2;
+
+      const along = dx * cosYaw + dy * sinYaw;
+
+      if (obstacleClass === 'stationary' &&
+          ((!reversing && along + radius < 0) || (!forward && along - radius > 0))) {
+        return;
+      }
+
+      const distance = Math.max(0, Math.hypot(dx, dy) - radius);
+      const zone = this._classify(distance, this.params[obstacleClass], maxSpeed);
+
+      if (zone && (!next || zone.limit < next.limit ||
+          (zone.limit === next.limit && ZONES.indexOf(zone.zone) < ZONES.indexOf(next.zone)))) {
+        next = {
+          ...zone,
+          obstacleClass: obstacleClass,
+          obstacleType: obstacle.type,
+          distance: distance
+        };
+      }
+    });
+
+    if (next) {
+      next.reason = `${this._describe(next)} in ${next.zone} zone`;
+      this.motorController.setSpeedLimit(LIMIT_SOURCE, next.limit, next.reason);
+    } else if (this.current) {
+      this.motorController.clearSpeedLimit(LIMIT_SOURCE);
+    }
+
+    if (this._hasChanged(next)) {
+      this._recordEvent(next);
+    }
+
+    this.current = next;
+    return next;
+  }
+
+  /**
+   * Zone and speed limit at a distance from an obstacle
+   * @private
+   * @returns {object|null} { zone, limit }, or null outside the slow zone
+   */
+  _classify(distance, zones, maxSpeed) {
+    if (distance <= zones.protective) {
+      return { zone: 'protective', limit: 0 };
+    }
+
+    if (distance <= zones.warning) {
+      return { zone: 'warning', limit: Math.min(zones.warningSpeed, maxSpeed) };
+    }
+
+    if (distance <= zones.slow) {
+      const fraction = (distance - zones.warning) / (zones.slow - zones.warning);
+      return { zone: 'slow', limit: Math.min(zones.warningSpeed + fraction * (maxSpeed - zones.warningSpeed), maxSpeed) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Name an obstacle for the reason of a limit
+   * @private
+   */
+  _describe(zone) {
+    if (zone.obstacleType === 'person') {
+      return 'Person';
+    }
+
+    if (zone.obstacleType === 'animal') {
+      return 'Animal';
+    }
+
+    return zone.obstacleClass === 'moving' ? 'Moving obstacle' : 'Stationary obstacle';
+  }
+
+  /**
+   * Whether the zone or what caused it differs from the current one
+   * @private
+   */
+  _hasChanged(next) {
+    if (!next || !this.current) {
+      return next !== this.current;
+    }
+
+    return next.zone !== this.current.zone ||
+      next.obstacleClass !== this.current.obstacleClass ||
+      next.obstacleType !== this.current.obstacleType;
+  }
+
+  /**
+   * Record and publish a change of zone
+   * @private
+   */
+  _recordEvent(next) {
+    const event = next ?
+      {
+        zone: next.zone,
+        obstacleClass: next.obstacleClass,
+        obstacleType: next.obstacleType,
+        distance: next.distance,
+        limit: next.limit,
+        reason: next.reason,
+        timestamp: Date.now()
+      } :
+      {
+        zone: null,
+        obstacleClass: null,
+        obstacleType: null,
+        distance: null,
+        limit: null,
+        reason: 'No obstacles in range',
+        timestamp: Date.now()
+      };
+
+    this.events.push(event);
+    if (this.events.length > this.params.maxEvents) {
+      this.events.shift();
+    }
+
+    if (next) {
+      this.logger.warn(`${next.reason}, ${next.distance.toFixed(1)} m away: speed limited to ${next.limit.toFixed(2)} m/s`);
+    } else {
+      this.logger.info('Left speed zones');
+    }
+
+    eventBus.publish('safety.speedZone.changed', event);
+  }
+
+  /**
+   * Get speed zone status
+   * @returns {object} Status
+   */
+  getStatus() {
+    return {
+      enabled: this.params.enabled,
+      current: this.current ? { ...this.current } : null,
+      zones: {
+        stationary: { ...this.params.stationary },
+        moving: { ...this.params.moving }
+      },
+      events: this.events.map(event => ({ ...event }))
+    };
+  }
+
+  /**
+   * Shutdown the speed zone manager
+   */
+  async shutdown() {
+    this.logger.info('Shutting down speed zone manager...');
+
+    if (this.updateInterval) {
+      clearInterval(this.updateInterval);
+      this.updateInterval = null;
+    }
+
+    if (this.current) {
+      this.motorController.clearSpeedLimit(LIMIT_SOURCE);
+      this.current = null;
+    }
+
+    this.logger.info('Speed zone manager shut down');
+    return true;
+  }
+}
+
+module.exports = SpeedZoneManager;
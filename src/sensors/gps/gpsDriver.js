@@ -0,0 +1,24 @@
+/**
+ * Sevak Mini Tractor - GPS Driver
+ *
+ * Base class for the GPS drivers behind SensorManager. A GPS driver is a
+ * sensor driver that also reports its fix quality.
+ *
+ * Fixes have the shape SensorManager publishes on 'sensor.gps.updated':
+ * { latitude, longitude, altitude, accuracy, speed, heading, fixQuality,
+ *   satellites, hdop, timestamp }
+ */
+
+const SensorDriver = require('../../hal/sensorDriver');
+
+class GpsDriver extends SensorDriver {
+  /**
+   * Get the current fix quality
+   * @returns {string} 'none', 'gps', 'dgps', 'rtkFloat', 'rtkFixed', ...
+   */
+  getFixQuality() {
+    return 'none';
+  }
+}
+
+module.exports = GpsDriver;
@@ -0,0 +1,21 @@
+/**
+ * Sevak Mini Tractor - GPS Drivers
+ *
+ * The hardware abstraction layer picks one of these for the gps device
+ * class: simulated (simulator backend), NMEA log replay (replay backend) or
+ * serial NMEA receiver (hardware backend).
+ */
+
+const GpsDriver = require('./gpsDriver');
+const NmeaGpsDriver = require('./nmeaGpsDriver');
+const SerialGpsDriver = require('./serialGpsDriver');
+const ReplayGpsDriver = require('./replayGpsDriver');
+const SimulatedGpsDriver = require('./simulatedGpsDriver');
+
+module.exports = {
+  GpsDriver,
+  NmeaGpsDriver,
+  SerialGpsDriver,
+  ReplayGpsDriver,
+  SimulatedGpsDriver
+};
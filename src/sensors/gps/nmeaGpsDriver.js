@@ -0,0 +1,197 @@
+/**
+ * Sevak Mini Tractor - NMEA GPS Driver
+ *
+ * Turns a stream of NMEA 0183 text into fixes. A GGA sentence completes a
+ * fix; speed and course from the latest RMC/VTG and dilution of precision
+ * from the latest GSA are merged in (receivers send these once per epoch, so
+ * they are at most one epoch older than the GGA).
+ */
+
+const Logger = require('../../utils/logger');
+const GpsDriver = require('./gpsDriver');
+const { parseSentence } = require('./nmeaParser');
+
+// User equivalent range error per fix quality (meters, 1 sigma);
+// horizontal accuracy is HDOP times this
+const DEFAULT_UERE = {
+  gps: 2.5,
+  pps: 2.5,
+  dgps: 1.0,
+  rtkFloat: 0.3,
+  rtkFixed: 0.02,
+  estimated: 10.0,
+  manual: 10.0,
+  simulation: 2.5
+};
+
+class NmeaGpsDriver extends GpsDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {object} options.uere - Per-fix-quality range error overrides (meters)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.logger = new Logger(this.constructor.name);
+
+    this.uere = { ...DEFAULT_UERE, ...(options.uere || {}) };
+
+    // Partial line carried over between chunks
+    this.buffer = '';
+
+    // Latest values from the sentences that do not complete a fix
+    this.latest = {
+      fixQuality: 'none',
+      speed: null,
+      course: null,
+      pdop: null,
+      hdop: null,
+      vdop: null
+    };
+
+    // Newest fix not yet read
+    this.fix = null;
+
+    this.stats = {
+      sentences: 0,
+      errors: 0,
+      fixes: 0
+    };
+  }
+
+  /**
+   * Feed raw NMEA text (any chunking)
+   * @param {string} text - Received text
+   */
+  feed(text) {
+    this.buffer += text;
+
+    const lines = this.buffer.split(/\r?\n/);
+    this.buffer = lines.pop();
+
+    lines.forEach(line => this.handleSentence(line));
+  }
+
+  /**
+   * Handle one NMEA sentence
+   * @param {string} line - Sentence
+   */
+  handleSentence(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('$')) {
+      return;
+    }
+
+    let sentence;
+    try {
+      sentence = parseSentence(trimmed);
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.debug(`Discarded NMEA sentence: ${error.message}`);
+      return;
+    }
+
+    this.stats.sentences++;
+
+    if (!sentence) {
+      return;
+    }
+
+    switch (sentence.type) {
+      case 'GGA':
+        this._handleGGA(sentence);
+        break;
+
+      case 'RMC':
+        if (sentence.valid) {
+          this.latest.speed = sentence.speed;
+          this.latest.course = sentence.course;
+        }
+        break;
+
+      case 'VTG':
+        this.latest.speed = sentence.speed;
+        this.latest.course = sentence.course;
+        break;
+
+      case 'GSA':
+        this.latest.pdop = sentence.pdop;
+        this.latest.hdop = sentence.hdop;
+        this.latest.vdop = sentence.vdop;
+        break;
+    }
+  }
+
+  /**
+   * Complete a fix from a GGA sentence
+   * @param {object} gga - Parsed GGA sentence
+   * @private
+   */
+  _handleGGA(gga) {
+    this.latest.fixQuality = gga.fixQuality;
+
+    if (gga.fixQuality === 'none' || gga.latitude === null || gga.longitude === null) {
+      return;
+    }
+
+    // GGA altitude is above mean sea level, the local frame works on the WGS84 ellipsoid
+    const altitude = gga.altitude === null ? null : gga.altitude + (gga.geoidSeparation || 0);
+    const hdop = gga.hdop !== null ? gga.hdop : this.latest.hdop;
+
+    this.fix = {
+      latitude: gga.latitude,
+      longitude: gga.longitude,
+      altitude: altitude,
+      accuracy: this.estimateAccuracy(gga.fixQuality, hdop),
+      speed: this.latest.speed,
+      heading: this.latest.course,
+      fixQuality: gga.fixQuality,
+      satellites: gga.satellites,
+      hdop: hdop,
+      pdop: this.latest.pdop,
+      vdop: this.latest.vdop,
+      correctionAge: gga.dgpsAge,
+      timestamp: Date.now()
+    };
+
+    this.stats.fixes++;
+  }
+
+  /**
+   * Estimate horizontal accuracy from fix quality and HDOP
+   * @param {string} fixQuality - Fix quality
+   * @param {number} hdop - Horizontal dilution of precision
+   * @returns {number} Accuracy in meters (1 sigma)
+   */
+  estimateAccuracy(fixQuality, hdop) {
+    const uere = this.uere[fixQuality] !== undefined ? this.uere[fixQuality] : this.uere.gps;
+    return (hdop || 1.0) * uere;
+  }
+
+  /**
+   * Take the newest fix since the last read
+   * @returns {object|null} Fix, or null if there is no new one
+   */
+  read() {
+    const fix = this.fix;
+    this.fix = null;
+    return fix;
+  }
+
+  /**
+   * Get the current fix quality
+   * @returns {string} Fix quality from the latest GGA
+   */
+  getFixQuality() {
+    return this.latest.fixQuality;
+  }
+
+  /**
+   * Get driver statistics
+   * @returns {object} Sentence, error and fix counts
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = NmeaGpsDriver;
@@ -0,0 +1,221 @@
+/**
+ * Sevak Mini Tractor - NMEA 0183 Parser
+ *
+ * Parses the NMEA 0183 sentences a GNSS receiver reports its fix with:
+ * GGA (position and fix quality), RMC (position, speed, course and date),
+ * VTG (speed and course) and GSA (dilution of precision). Any talker ID
+ * (GP, GN, GL, GA, GB) is accepted.
+ */
+
+const KNOTS_TO_MPS = 1852 / 3600;
+const KMH_TO_MPS = 1000 / 3600;
+
+// GGA fix quality indicator
+const FIX_QUALITY = {
+  0: 'none',
+  1: 'gps',
+  2: 'dgps',
+  3: 'pps',
+  4: 'rtkFixed',
+  5: 'rtkFloat',
+  6: 'estimated',
+  7: 'manual',
+  8: 'simulation'
+};
+
+// RMC/VTG mode indicator (NMEA 2.3 and later)
+const MODE_INDICATOR = {
+  A: 'autonomous',
+  D: 'differential',
+  E: 'estimated',
+  F: 'rtkFloat',
+  M: 'manual',
+  N: 'none',
+  P: 'precise',
+  R: 'rtkFixed',
+  S: 'simulation'
+};
+
+/**
+ * Compute the checksum of a sentence body (the text between '$' and '*')
+ * @param {string} body - Sentence body
+ * @returns {string} Two-digit uppercase hex checksum
+ */
+function computeChecksum(body) {
+  let checksum = 0;
+  for (let i = 0; i < body.length; i++) {
+    checksum ^= body.charCodeAt(i);
+  }
+  return checksum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Parse a number field
+ * @param {string} field - Field text
+ * @returns {number|null} Number, or null if the field is empty
+ * @private
+ */
+function parseNumber(field) {
+  if (field === undefined || field === '') {
+    return null;
+  }
+
+  const value = Number(field);
+  if (isNaN(value)) {
+    throw new Error(`Invalid numeric field: ${field}`);
+  }
+  return value;
+}
+
+/**
+ * Parse an NMEA latitude or longitude (ddmm.mmmm / dddmm.mmmm plus hemisphere)
+ * @param {string} field - Coordinate field
+ * @param {string} hemisphere - N, S, E or W
+ * @returns {number|null} Signed decimal degrees, or null if empty
+ * @private
+ */
+function parseCoordinate(field, hemisphere) {
+  if (!field) {
+    return null;
+  }
+
+  const value = parseNumber(field);
+  const degrees = Math.floor(value / 100);
+  const minutes = value - degrees * 100;
+  const decimal = degrees + minutes / 60;
+
+  return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+}
+
+/**
+ * Parse a GGA sentence
+ * @private
+ */
+function parseGGA(fields) {
+  const quality = parseNumber(fields[6]);
+
+  return {
+    time: fields[1] || null,
+    latitude: parseCoordinate(fields[2], fields[3]),
+    longitude: parseCoordinate(fields[4], fields[5]),
+    fixQuality: FIX_QUALITY[quality] || 'none',
+    satellites: parseNumber(fields[7]),
+    hdop: parseNumber(fields[8]),
+    altitude: parseNumber(fields[9]), // meters above mean sea level
+    geoidSeparation: parseNumber(fields[11]), // meters, ellipsoid above geoid
+    dgpsAge: parseNumber(fields[13]), // seconds since the last correction
+    stationId: fields[14] || null
+  };
+}
+
+/**
+ * Parse an RMC sentence
+ * @private
+ */
+function parseRMC(fields) {
+  const speed = parseNumber(fields[7]);
+
+  return {
+    time: fields[1] || null,
+    valid: fields[2] === 'A',
+    latitude: parseCoordinate(fields[3], fields[4]),
+    longitude: parseCoordinate(fields[5], fields[6]),
+    speed: speed === null ? null : speed * KNOTS_TO_MPS, // m/s
+    course: parseNumber(fields[8]), // degrees true
+    date: fields[9] || null,
+    mode: MODE_INDICATOR[fields[12]] || null
+  };
+}
+
+/**
+ * Parse a VTG sentence
+ * @private
+ */
+function parseVTG(fields) {
+  const knots = parseNumber(fields[5]);
+  const kmh = parseNumber(fields[7]);
+  let speed = null;
+
+  if (kmh !== null) {
+    speed = kmh * KMH_TO_MPS;
+  } else if (knots !== null) {
+    speed = knots * KNOTS_TO_MPS;
+  }
+
+  return {
+    course: parseNumber(fields[1]), // degrees true
+    speed: speed, // m/s
+    mode: MODE_INDICATOR[fields[9]] || null
+  };
+}
+
+/**
+ * Parse a GSA sentence
+ * @private
+ */
+function parseGSA(fields) {
+  const fixType = parseNumber(fields[2]);
+
+  return {
+    selectionMode: fields[1] === 'M' ? 'manual' : 'automatic',
+    fixType: fixType === 3 ? '3d' : fixType === 2 ? '2d' : 'none',
+    satellites: fields.slice(3, 15).filter(Boolean).map(Number),
+    pdop: parseNumber(fields[15]),
+    hdop: parseNumber(fields[16]),
+    vdop: parseNumber(fields[17])
+  };
+}
+
+const PARSERS = {
+  GGA: parseGGA,
+  RMC: parseRMC,
+  VTG: parseVTG,
+  GSA: parseGSA
+};
+
+/**
+ * Parse an NMEA 0183 sentence
+ * @param {string} sentence - Sentence, e.g. '$GNGGA,...*4F'
+ * @returns {object|null} Parsed sentence ({ type, talker, ... }), or null for unsupported types
+ * @throws {Error} If the sentence is malformed or its checksum does not match
+ */
+function parseSentence(sentence) {
+  const line = sentence.trim();
+
+  if (!line.startsWith('$')) {
+    throw new Error('NMEA sentence must start with $');
+  }
+
+  const star = line.indexOf('*');
+  if (star === -1) {
+    throw new Error('NMEA sentence has no checksum');
+  }
+
+  const body = line.slice(1, star);
+  const checksum = line.slice(star + 1, star + 3).toUpperCase();
+
+  if (computeChecksum(body) !== checksum) {
+    throw new Error(`NMEA checksum mismatch: expected ${computeChecksum(body)}, got ${checksum}`);
+  }
+
+  const fields = body.split(',');
+  const address = fields[0];
+  const type = address.slice(-3);
+  const parser = PARSERS[type];
+
+  if (!parser) {
+    return null;
+  }
+
+  return {
+    type: type,
+    talker: address.slice(0, -3),
+    ...parser(fields)
+  };
+}
+
+module.exports = {
+  FIX_QUALITY,
+  computeChecksum,
+  parseSentence
+};
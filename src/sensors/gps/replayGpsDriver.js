@@ -0,0 +1,68 @@
+/**
+ * Sevak Mini Tractor - Replay GPS Driver
+ *
+ * Plays back a recorded NMEA 0183 log file one fix per read, so a drive can
+ * be reproduced through the same parsing and fusion code as live data.
+ */
+
+const fs = require('fs');
+const NmeaGpsDriver = require('./nmeaGpsDriver');
+
+class ReplayGpsDriver extends NmeaGpsDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {string} options.replayFile - NMEA log file
+   * @param {boolean} options.replayLoop - Start again at the end of the log
+   */
+  constructor(options = {}) {
+    super(options);
+    this.lines = [];
+    this.position = 0;
+  }
+
+  /**
+   * Load the log file
+   */
+  async open() {
+    if (!this.options.replayFile) {
+      throw new Error('The replay GPS driver needs a replayFile');
+    }
+
+    const text = await fs.promises.readFile(this.options.replayFile, 'utf8');
+    this.lines = text.split(/\r?\n/).filter(line => line.trim().startsWith('$'));
+    this.position = 0;
+    this.opened = true;
+
+    this.logger.info(`Replaying ${this.lines.length} NMEA sentences from ${this.options.replayFile}`);
+  }
+
+  /**
+   * Play sentences up to the next fix
+   * @returns {object|null} Fix, or null at the end of the log
+   */
+  read() {
+    // At most one pass over the log, in case it holds no fixes at all
+    let remaining = this.lines.length;
+
+    while (!this.fix && remaining > 0 && !this.isFinished()) {
+      this.handleSentence(this.lines[this.position++]);
+      remaining--;
+
+      if (this.position >= this.lines.length && this.options.replayLoop) {
+        this.position = 0;
+      }
+    }
+
+    return super.read();
+  }
+
+  /**
+   * Check whether the whole log has been played
+   * @returns {boolean} True at the end of a non-looping log
+   */
+  isFinished() {
+    return this.position >= this.lines.length;
+  }
+}
+
+module.exports = ReplayGpsDriver;
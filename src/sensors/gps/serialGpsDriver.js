@@ -0,0 +1,71 @@
+/**
+ * Sevak Mini Tractor - Serial GPS Driver
+ *
+ * Reads NMEA 0183 from a GNSS receiver on a serial port (config.sensors.gps
+ * port and baudRate). RTK receivers report float/fixed solutions through the
+ * GGA fix quality once they receive corrections.
+ */
+
+const NmeaGpsDriver = require('./nmeaGpsDriver');
+
+class SerialGpsDriver extends NmeaGpsDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {string} options.port - Serial device, e.g. '/dev/ttyUSB0'
+   * @param {number} options.baudRate - Baud rate
+   */
+  constructor(options = {}) {
+    super(options);
+    this.port = null;
+  }
+
+  /**
+   * Open the serial port
+   */
+  async open() {
+    // Only needed on the tractor itself
+    let SerialPort;
+    try {
+      ({ SerialPort } = require('serialport'));
+    } catch (error) {
+      throw new Error('The serial GPS driver needs the serialport package');
+    }
+
+    const path = this.options.port || '/dev/ttyUSB0';
+    const baudRate = this.options.baudRate || 9600;
+
+    this.port = new SerialPort({ path, baudRate, autoOpen: false });
+
+    await new Promise((resolve, reject) => {
+      this.port.open(error => (error ? reject(error) : resolve()));
+    });
+
+    this.port.on('data', chunk => this.feed(chunk.toString('ascii')));
+
+    this.port.on('error', error => {
+      this.logger.error(`GPS serial port error: ${error.message}`);
+    });
+
+    this.port.on('close', () => {
+      this.opened = false;
+      this.logger.warn(`GPS serial port ${path} closed`);
+    });
+
+    this.opened = true;
+    this.logger.info(`Reading NMEA from ${path} at ${baudRate} baud`);
+  }
+
+  /**
+   * Close the serial port
+   */
+  async close() {
+    if (this.port && this.port.isOpen) {
+      await new Promise(resolve => this.port.close(() => resolve()));
+    }
+
+    this.port = null;
+    this.opened = false;
+  }
+}
+
+module.exports = SerialGpsDriver;
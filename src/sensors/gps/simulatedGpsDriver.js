@@ -0,0 +1,54 @@
+/**
+ * Sevak Mini Tractor - Simulated GPS Driver
+ *
+ * Produces noisy fixes around a fixed location, for development and tests.
+ */
+
+const GpsDriver = require('./gpsDriver');
+
+class SimulatedGpsDriver extends GpsDriver {
+  /**
+   * @param {object} options - Driver options
+   * @param {object} options.simulatedLocation - Centre of the fixes ({ latitude, longitude, altitude })
+   * @param {function} options.random - Random number generator (defaults to Math.random)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.random = options.random || Math.random;
+
+    this.location = options.simulatedLocation || {
+      latitude: 37.7749,
+      longitude: -122.4194,
+      altitude: 10
+    };
+  }
+
+  /**
+   * Take a new simulated fix
+   * @returns {object} Fix
+   */
+  read() {
+    return {
+      latitude: this.location.latitude + (this.random() - 0.5) * 0.0001,
+      longitude: this.location.longitude + (this.random() - 0.5) * 0.0001,
+      altitude: this.location.altitude + this.random() * 2,
+      accuracy: 2 + this.random() * 1,
+      speed: 1 + this.random() * 0.5,
+      heading: 45 + (this.random() - 0.5) * 5,
+      fixQuality: 'simulation',
+      satellites: 12,
+      hdop: 1.0,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Get the current fix quality
+   * @returns {string} Fix quality
+   */
+  getFixQuality() {
+    return 'simulation';
+  }
+}
+
+module.exports = SimulatedGpsDriver;
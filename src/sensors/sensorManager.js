@@ -9,6 +9,7 @@ const Logger = require('../utils/logger');
 const eventBus = require('../utils/eventBus');
 const config = require('../config');
 const SensorFusion = require('../utils/sensorFusion');
+const hal = require('../hal');
 
 class SensorManager {
   constructor() {
@@ -17,18 +18,37 @@ class SensorManager {
     // Initialize sensor fusion
     this.sensorFusion = new SensorFusion();
     
+    // Device drivers from the hardware abstraction layer (simulator, replay or hardware backend)
+    this.drivers = {
+      gps: hal.createDriver('gps', config.sensors.gps),
+      imu: hal.createDriver('imu', config.sensors.imu),
+      lidar: hal.createDriver('lidar', config.sensors.lidar),
+      ultrasonicSensors: hal.createDriver('ultrasonic', config.sensors.ultrasonicSensors),
+      temperatureSensors: hal.createDriver('temperature', config.sensors.temperatureSensors),
+      powerMonitors: hal.createDriver('power', config.sensors.powerMonitors),
+      camera: hal.createDriver('camera', config.sensors.camera),
+      loadCell: hal.createDriver('loadCell', {
+        ...config.sensors.loadCell,
+        dumpRate: config.implements?.loader?.dumpRate
+      })
+    };
+    
     // Sensor states
     this.sensors = {
       gps: {
         connected: false,
         lastUpdate: 0,
+        fixQuality: 'none',
         data: {
           latitude: 0,
           longitude: 0,
           altitude: 0,
           accuracy: 0,
           speed: 0,
-          heading: 0
+          heading: 0,
+          fixQuality: 'none',
+          satellites: 0,
+          hdop: 0
         }
       },
       imu: {
@@ -101,6 +121,13 @@ class SensorManager {
           imageAvailable: false,
           resolution: { width: 0, height: 0 }
         }
+      },
+      loadCell: {
+        connected: false,
+        lastUpdate: 0,
+        data: {
+          weight: 0 // Net container weight (kg)
+        }
       }
     };
     
@@ -112,7 +139,8 @@ class SensorManager {
       ultrasonicSensors: 200, // Default value since config.sensors.ultrasonicSensors is undefined
       temperatureSensors: 5000, // Default value since config.sensors.temperatureSensors is undefined
       powerMonitors: 1000, // Default value since config.sensors.powerMonitors is undefined
-      camera: config.sensors.camera?.updateInterval || 500
+      camera: config.sensors.camera?.updateInterval || 500,
+      loadCell: config.sensors.loadCell?.updateInterval || 200
     };
     
     // Sensor update timers
@@ -145,6 +173,10 @@ class SensorManager {
       await this._initializeTemperatureSensors();
       await this._initializePowerMonitors();
       await this._initializeCamera();
+      await this._initializeLoadCell();
+      
+      // Fuse wheel odometry from the motor controller
+      this._subscribeToOdometry();
       
       // Start sensor update loops
       this._startSensorUpdateLoops();
@@ -168,10 +200,8 @@ class SensorManager {
     this.logger.info('Initializing GPS...');
     
     try {
-      // In a real implementation, this would initialize the actual GPS hardware
-      // For this prototype, we'll simulate the GPS
+      await this.drivers.gps.open();
       
-      // Simulate successful connection
       this.sensors.gps.connected = true;
       
       // Reset error counter
@@ -194,10 +224,8 @@ class SensorManager {
     this.logger.info('Initializing IMU...');
     
     try {
-      // In a real implementation, this would initialize the actual IMU hardware
-      // For this prototype, we'll simulate the IMU
+      await this.drivers.imu.open();
       
-      // Simulate successful connection
       this.sensors.imu.connected = true;
       
       // Reset error counter
@@ -220,10 +248,8 @@ class SensorManager {
     this.logger.info('Initializing LIDAR...');
     
     try {
-      // In a real implementation, this would initialize the actual LIDAR hardware
-      // For this prototype, we'll simulate the LIDAR
+      await this.drivers.lidar.open();
       
-      // Simulate successful connection
       this.sensors.lidar.connected = true;
       
       // Reset error counter
@@ -246,10 +272,8 @@ class SensorManager {
     this.logger.info('Initializing ultrasonic sensors...');
     
     try {
-      // In a real implementation, this would initialize the actual ultrasonic sensors
-      // For this prototype, we'll simulate the ultrasonic sensors
+      await this.drivers.ultrasonicSensors.open();
       
-      // Simulate successful connection
       this.sensors.ultrasonicSensors.connected = true;
       
       // Reset error counter
@@ -272,10 +296,8 @@ class SensorManager {
     this.logger.info('Initializing temperature sensors...');
     
     try {
-      // In a real implementation, this would initialize the actual temperature sensors
-      // For this prototype, we'll simulate the temperature sensors
+      await this.drivers.temperatureSensors.open();
       
-      // Simulate successful connection
       this.sensors.temperatureSensors.connected = true;
       
       // Reset error counter
@@ -298,10 +320,8 @@ class SensorManager {
     this.logger.info('Initializing power monitors...');
     
     try {
-      // In a real implementation, this would initialize the actual power monitors
-      // For this prototype, we'll simulate the power monitors
+      await this.drivers.powerMonitors.open();
       
-      // Simulate successful connection
       this.sensors.powerMonitors.connected = true;
       
       // Reset error counter
@@ -324,10 +344,8 @@ class SensorManager {
     this.logger.info('Initializing camera...');
     
     try {
-      // In a real implementation, this would initialize the actual camera
-      // For this prototype, we'll simulate the camera
+      await this.drivers.camera.open();
       
-      // Simulate successful connection
       this.sensors.camera.connected = true;
       
       // Reset error counter
@@ -341,7 +359,45 @@ class SensorManager {
       return false;
     }
   }
+  
+  /**
+   * Initialize container load cell
+   * @private
+   */
+  async _initializeLoadCell() {
+    this.logger.info('Initializing load cell...');
+    
+    try {
+      await this.drivers.loadCell.open();
+      
+      this.sensors.loadCell.connected = true;
+      
+      // Reset error counter
+      this.errorCounters.loadCell = 0;
+      
+      this.logger.info('Load cell initialized successfully');
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to initialize load cell: ${error.message}`);
+      this.sensors.loadCell.connected = false;
+      return false;
+    }
+  }
 /**
+   * Feed wheel odometry into sensor fusion
+   * @private
+   */
+  _subscribeToOdometry() {
+    eventBus.subscribe('motor.odometry.updated', (data) => {
+      try {
+        this.sensorFusion.updateOdometry(data);
+      } catch (error) {
+        this.logger.error(`Failed to fuse wheel odometry: ${error.message}`);
+      }
+    });
+  }
+  
+  /**
    * Start sensor update loops
    * @private
    */
@@ -356,6 +412,7 @@ class SensorManager {
     this._startTemperatureSensorsUpdateLoop();
     this._startPowerMonitorsUpdateLoop();
     this._startCameraUpdateLoop();
+    this._startLoadCellUpdateLoop();
     
     this.logger.info('Sensor update loops started');
   }
@@ -471,6 +528,22 @@ class SensorManager {
       this._updateCamera();
     }, this.updateIntervals.camera);
   }
+  
+  /**
+   * Start load cell update loop
+   * @private
+   */
+  _startLoadCellUpdateLoop() {
+    // Clear any existing timer
+    if (this.updateTimers.loadCell) {
+      clearInterval(this.updateTimers.loadCell);
+    }
+    
+    // Start new update loop
+    this.updateTimers.loadCell = setInterval(() => {
+      this._updateLoadCell();
+    }, this.updateIntervals.loadCell);
+  }
 /**
    * Update GPS data
    * @private
@@ -482,24 +555,18 @@ class SensorManager {
     }
     
     try {
-      // In a real implementation, this would read data from the actual GPS hardware
-      // For this prototype, we'll simulate GPS data
-      
-      // Simulate GPS data
-      const now = Date.now();
-      const data = {
-        latitude: 37.7749 + (Math.random() - 0.5) * 0.0001,
-        longitude: -122.4194 + (Math.random() - 0.5) * 0.0001,
-        altitude: 10 + Math.random() * 2,
-        accuracy: 2 + Math.random() * 1,
-        speed: 1 + Math.random() * 0.5,
-        heading: 45 + (Math.random() - 0.5) * 5,
-        timestamp: now
-      };
+      // Report RTK float/fixed transitions and lost fixes
+      this._checkGPSFixQuality();
+      
+      // Newest fix from the driver, if there is one
+      const data = this.drivers.gps.read();
+      if (!data) {
+        return;
+      }
       
       // Update sensor data
       this.sensors.gps.data = data;
-      this.sensors.gps.lastUpdate = now;
+      this.sensors.gps.lastUpdate = data.timestamp;
       
       // Reset error counter
       this.errorCounters.gps = 0;
@@ -523,6 +590,33 @@ class SensorManager {
     }
   }
   
+  /**
+   * Publish changes of the GPS fix quality
+   * @private
+   */
+  _checkGPSFixQuality() {
+    const fixQuality = this.drivers.gps.getFixQuality();
+    const previous = this.sensors.gps.fixQuality;
+    
+    if (fixQuality === previous) {
+      return;
+    }
+    
+    this.sensors.gps.fixQuality = fixQuality;
+    
+    if (previous === 'rtkFixed') {
+      this.logger.warn(`GPS lost RTK fixed solution, now ${fixQuality}`);
+    } else {
+      this.logger.info(`GPS fix quality changed from ${previous} to ${fixQuality}`);
+    }
+    
+    eventBus.publish('sensor.gps.fixQuality.changed', {
+      fixQuality: fixQuality,
+      previous: previous,
+      timestamp: Date.now()
+    });
+  }
+  
   /**
    * Update IMU data
    * @private
@@ -534,38 +628,15 @@ class SensorManager {
     }
     
     try {
-      // In a real implementation, this would read data from the actual IMU hardware
-      // For this prototype, we'll simulate IMU data
-      
-      // Simulate IMU data
-      const now = Date.now();
-      const data = {
-        acceleration: {
-          x: (Math.random() - 0.5) * 0.2,
-          y: (Math.random() - 0.5) * 0.2,
-          z: 9.8 + (Math.random() - 0.5) * 0.2
-        },
-        gyroscope: {
-          x: (Math.random() - 0.5) * 0.1,
-          y: (Math.random() - 0.5) * 0.1,
-          z: (Math.random() - 0.5) * 0.1
-        },
-        magnetometer: {
-          x: 20 + (Math.random() - 0.5) * 2,
-          y: 0 + (Math.random() - 0.5) * 2,
-          z: 40 + (Math.random() - 0.5) * 2
-        },
-        orientation: {
-          roll: (Math.random() - 0.5) * 0.05,
-          pitch: (Math.random() - 0.5) * 0.05,
-          yaw: 0.785 + (Math.random() - 0.5) * 0.05 // ~45 degrees
-        },
-        timestamp: now
-      };
+      // Newest reading from the driver, if there is one
+      const data = this.drivers.imu.read();
+      if (!data) {
+        return;
+      }
       
       // Update sensor data
       this.sensors.imu.data = data;
-      this.sensors.imu.lastUpdate = now;
+      this.sensors.imu.lastUpdate = data.timestamp;
       
       // Reset error counter
       this.errorCounters.imu = 0;
@@ -600,44 +671,15 @@ class SensorManager {
     }
     
     try {
-      // In a real implementation, this would read data from the actual LIDAR hardware
-      // For this prototype, we'll simulate LIDAR data
-      
-      // Simulate LIDAR data
-      const now = Date.now();
-      const points = [];
-      
-      // Generate simulated LIDAR points
-      const numPoints = 360; // One point per degree
-      for (let i = 0; i < numPoints; i++) {
-        const angle = (i / numPoints) * 2 * Math.PI;
-        
-        // Base distance (5-20 meters)
-        let distance = 10 + Math.random() * 10;
-        
-        // Add some obstacles
-        if (i > 30 && i < 50) {
-          distance = 3 + Math.random() * 2; // Obstacle at 3-5 meters
-        } else if (i > 180 && i < 200) {
-          distance = 4 + Math.random() * 3; // Obstacle at 4-7 meters
-        }
-        
-        points.push({
-          angle: angle,
-          distance: distance,
-          intensity: 100 + Math.random() * 100
-        });
+      // Newest reading from the driver, if there is one
+      const data = this.drivers.lidar.read();
+      if (!data) {
+        return;
       }
       
-      const data = {
-        points: points,
-        scanTime: 100, // ms
-        timestamp: now
-      };
-      
       // Update sensor data
       this.sensors.lidar.data = data;
-      this.sensors.lidar.lastUpdate = now;
+      this.sensors.lidar.lastUpdate = data.timestamp;
       
       // Reset error counter
       this.errorCounters.lidar = 0;
@@ -671,37 +713,15 @@ class SensorManager {
     }
     
     try {
-      // In a real implementation, this would read data from the actual ultrasonic sensors
-      // For this prototype, we'll simulate ultrasonic sensor data
-      
-      // Simulate ultrasonic sensor data
-      const now = Date.now();
-      const sensors = this.sensors.ultrasonicSensors.data.sensors.map(sensor => {
-        // Base distance (2-4 meters)
-        let distance = 3 + Math.random();
-        
-        // Add some obstacles
-        if (sensor.id === 'front_left' || sensor.id === 'front_center') {
-          // 20% chance of detecting an obstacle
-          if (Math.random() < 0.2) {
-            distance = 0.5 + Math.random() * 1.5; // Obstacle at 0.5-2 meters
-          }
-        }
-        
-        return {
-          ...sensor,
-          distance: distance
-        };
-      });
-      
-      const data = {
-        sensors: sensors,
-        timestamp: now
-      };
+      // Newest reading from the driver, if there is one
+      const data = this.drivers.ultrasonicSensors.read();
+      if (!data) {
+        return;
+      }
       
       // Update sensor data
       this.sensors.ultrasonicSensors.data = data;
-      this.sensors.ultrasonicSensors.lastUpdate = now;
+      this.sensors.ultrasonicSensors.lastUpdate = data.timestamp;
       
       // Reset error counter
       this.errorCounters.ultrasonicSensors = 0;
@@ -736,25 +756,15 @@ class SensorManager {
     }
     
     try {
-      // In a real implementation, this would read data from the actual temperature sensors
-      // For this prototype, we'll simulate temperature sensor data
-      
-      // Simulate temperature sensor data
-      const now = Date.now();
-      const data = {
-        ambient: 25 + (Math.random() - 0.5) * 2,
-        motorFrontLeft: 40 + (Math.random() - 0.5) * 5,
-        motorFrontRight: 42 + (Math.random() - 0.5) * 5,
-        motorRearLeft: 41 + (Math.random() - 0.5) * 5,
-        motorRearRight: 43 + (Math.random() - 0.5) * 5,
-        controllerMain: 35 + (Math.random() - 0.5) * 3,
-        batteryPack: 30 + (Math.random() - 0.5) * 2,
-        timestamp: now
-      };
+      // Newest reading from the driver, if there is one
+      const data = this.drivers.temperatureSensors.read();
+      if (!data) {
+        return;
+      }
       
       // Update sensor data
       this.sensors.temperatureSensors.data = data;
-      this.sensors.temperatureSensors.lastUpdate = now;
+      this.sensors.temperatureSensors.lastUpdate = data.timestamp;
       
       // Reset error counter
       this.errorCounters.temperatureSensors = 0;
@@ -786,28 +796,15 @@ class SensorManager {
     }
     
     try {
-      // In a real implementation, this would read data from the actual power monitors
-      // For this prototype, we'll simulate power monitor data
-      
-      // Simulate power monitor data
-      const now = Date.now();
-      const data = {
-        batteryVoltage: 48 + (Math.random() - 0.5) * 2,
-        batteryCurrent: 10 + (Math.random() - 0.5) * 5,
-        batteryLevel: 75 + (Math.random() - 0.5) * 2, // Percentage
-        motorCurrents: {
-          frontLeft: 5 + (Math.random() - 0.5) * 2,
-          frontRight: 5.2 + (Math.random() - 0.5) * 2,
-          rearLeft: 4.8 + (Math.random() - 0.5) * 2,
-          rearRight: 5.1 + (Math.random() - 0.5) * 2
-        },
-        powerConsumption: 500 + (Math.random() - 0.5) * 100, // Watts
-        timestamp: now
-      };
+      // Newest reading from the driver, if there is one
+      const data = this.drivers.powerMonitors.read();
+      if (!data) {
+        return;
+      }
       
       // Update sensor data
       this.sensors.powerMonitors.data = data;
-      this.sensors.powerMonitors.lastUpdate = now;
+      this.sensors.powerMonitors.lastUpdate = data.timestamp;
       
       // Reset error counter
       this.errorCounters.powerMonitors = 0;
@@ -838,20 +835,15 @@ class SensorManager {
     }
     
     try {
-      // In a real implementation, this would read data from the actual camera
-      // For this prototype, we'll simulate camera data
-      
-      // Simulate camera data
-      const now = Date.now();
-      const data = {
-        imageAvailable: true,
-        resolution: { width: 1280, height: 720 },
-        timestamp: now
-      };
+      // Newest reading from the driver, if there is one
+      const data = this.drivers.camera.read();
+      if (!data) {
+        return;
+      }
       
       // Update sensor data
       this.sensors.camera.data = data;
-      this.sensors.camera.lastUpdate = now;
+      this.sensors.camera.lastUpdate = data.timestamp;
       
       // Reset error counter
       this.errorCounters.camera = 0;
@@ -872,6 +864,46 @@ class SensorManager {
     }
   }
   
+  /**
+   * Update load cell data
+   * @private
+   */
+  _updateLoadCell() {
+    // Skip if not connected
+    if (!this.sensors.loadCell.connected) {
+      return;
+    }
+    
+    try {
+      // Newest reading from the driver, if there is one
+      const data = this.drivers.loadCell.read();
+      if (!data) {
+        return;
+      }
+      
+      // Update sensor data
+      this.sensors.loadCell.data = data;
+      this.sensors.loadCell.lastUpdate = data.timestamp;
+      
+      // Reset error counter
+      this.errorCounters.loadCell = 0;
+      
+      // Publish sensor data
+      eventBus.publish('sensor.loadCell.updated', data);
+    } catch (error) {
+      this.logger.error(`Failed to update load cell: ${error.message}`);
+      
+      // Increment error counter
+      this.errorCounters.loadCell = (this.errorCounters.loadCell || 0) + 1;
+      
+      // Check if too many errors
+      if (this.errorCounters.loadCell > 5) {
+        this.logger.error('Too many load cell errors, marking as disconnected');
+        this.sensors.loadCell.connected = false;
+      }
+    }
+  }
+  
   /**
    * Update connection status
    * @private
@@ -885,7 +917,8 @@ class SensorManager {
       this.sensors.ultrasonicSensors.connected,
       this.sensors.temperatureSensors.connected,
       this.sensors.powerMonitors.connected,
-      this.sensors.camera.connected
+      this.sensors.camera.connected,
+      this.sensors.loadCell.connected
     ];
     
     const allSensorsConnected = allSensors.every(connected => connected);
@@ -921,6 +954,31 @@ class SensorManager {
     return this.sensorFusion.getPositionAndOrientation();
   }
   
+  /**
+   * Get the local frame that positions are expressed in
+   * @returns {LocalFrame} Local ENU frame
+   */
+  getLocalFrame() {
+    return this.sensorFusion.getLocalFrame();
+  }
+  
+  /**
+   * Get the local frame datum origin
+   * @returns {object|null} Datum origin ({ latitude, longitude, altitude }), or null until set
+   */
+  getDatum() {
+    return this.sensorFusion.getDatum();
+  }
+  
+  /**
+   * Set the local frame datum origin
+   * @param {object} datum - Datum origin ({ latitude, longitude, altitude })
+   * @param {string} source - What set the datum
+   */
+  setDatum(datum, source) {
+    this.sensorFusion.setDatum(datum, source);
+  }
+  
   /**
    * Get sensor status
    * @returns {object} Sensor status
@@ -955,6 +1013,10 @@ class SensorManager {
         connected: this.sensors.camera.connected,
         lastUpdate: this.sensors.camera.lastUpdate
       },
+      loadCell: {
+        connected: this.sensors.loadCell.connected,
+        lastUpdate: this.sensors.loadCell.lastUpdate
+      },
       connectionStatus: { ...this.connectionStatus }
     };
   }
@@ -973,6 +1035,15 @@ class SensorManager {
     // Clear update timers
     this.updateTimers = {};
     
+    // Release the device drivers
+    for (const sensor of Object.keys(this.drivers)) {
+      try {
+        await this.drivers[sensor].close();
+      } catch (error) {
+        this.logger.error(`Failed to close ${sensor} driver: ${error.message}`);
+      }
+    }
+    
     // Mark all sensors as disconnected
     Object.keys(this.sensors).forEach(sensor => {
       this.sensors[sensor].connected = false;
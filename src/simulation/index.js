@@ -0,0 +1,41 @@
+/**
+ * Sevak Mini Tractor - Simulation
+ *
+ * The physics backend of the hardware abstraction layer drives every device
+ * against one shared world, built from config.simulation on first use.
+ * Tests can put their own world in place with setWorld().
+ */
+
+const config = require('../config');
+const SimulationWorld = require('./world');
+
+let world = null;
+
+/**
+ * Get the shared simulation world
+ * @returns {SimulationWorld} World
+ */
+function getWorld() {
+  if (!world) {
+    world = new SimulationWorld({
+      seed: config.hal?.seed,
+      ...(config.simulation || {})
+    });
+  }
+
+  return world;
+}
+
+/**
+ * Replace the shared simulation world
+ * @param {SimulationWorld|null} newWorld - World, or null to build a fresh one from config on next use
+ */
+function setWorld(newWorld) {
+  world = newWorld;
+}
+
+module.exports = {
+  SimulationWorld,
+  getWorld,
+  setWorld
+};
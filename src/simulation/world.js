@@ -0,0 +1,826 @@
+/**
+ * Sevak Mini Tractor - Simulation World
+ *
+ * Physics model of the tractor and its surroundings for closed-loop testing.
+ * The motor drive's wheel setpoints move a skid-steer vehicle over sloped
+ * terrain, each motor draws current for the traction force it delivers, the
+ * battery drains with that current and the motors heat up with it, and the
+ * LIDAR and ultrasonic readings are ray-cast against simulated obstacles.
+ *
+ * The world keeps its own clock and integrates in fixed steps up to the time
+ * it is asked for, so under Jest's fake timers it runs as fast as the timers
+ * are advanced. Positions are in the local ENU frame (x east, y north, z up)
+ * and yaw is counter-clockwise from east, as in SensorFusion.
+ */
+
+const { LocalFrame } = require('../utils/geodesy');
+const { createRandom } = require('../hal/random');
+
+const GRAVITY = 9.81;
+const WHEELS = ['frontLeft', 'frontRight', 'rearLeft', 'rearRight'];
+
+// Ultrasonic sensors: mounting point in the vehicle frame (x forward, y left) and facing
+const DEFAULT_ULTRASONIC_SENSORS = [
+  { id: 'front_left', x: 1.0, y: 0.4, angle: 0.35, maxRange: 4.0 },
+  { id: 'front_center', x: 1.0, y: 0, angle: 0, maxRange: 4.0 },
+  { id: 'front_right', x: 1.0, y: -0.4, angle: -0.35, maxRange: 4.0 },
+  { id: 'rear_left', x: -1.0, y: 0.4, angle: Math.PI - 0.35, maxRange: 4.0 },
+  { id: 'rear_center', x: -1.0, y: 0, angle: Math.PI, maxRange: 4.0 },
+  { id: 'rear_right', x: -1.0, y: -0.4, angle: -Math.PI + 0.35, maxRange: 4.0 }
+];
+
+// Sensor noise (1 sigma)
+const DEFAULT_NOISE = {
+  gps: 0.02, // m
+  speed: 0.05, // m/s
+  heading: 0.005, // rad
+  acceleration: 0.05, // m/s²
+  gyro: 0.002, // rad/s
+  gyroBias: 0, // rad/s, constant
+  lidar: 0.02, // m
+  ultrasonic: 0.02, // m
+  current: 0.1, // A
+  temperature: 0.2 // °C
+};
+
+/**
+ * Clamp a value to a range
+ * @private
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(value, max));
+}
+
+/**
+ * Turn an obstacle description into a circle or a polygon
+ * @param {object} obstacle - { x, y, radius } circle, { x, y, width, height } box or { points } polygon
+ * @param {number} index - Position in the obstacle list, for the default id
+ * @returns {object} Obstacle
+ * @private
+ */
+function normalizeObstacle(obstacle, index) {
+  const id = obstacle.id || `obstacle_${index}`;
+
+  if (obstacle.radius !== undefined) {
+    return { id, type: 'circle', x: obstacle.x, y: obstacle.y, radius: obstacle.radius };
+  }
+
+  if (obstacle.points) {
+    return { id, type: 'polygon', points: obstacle.points.map(point => ({ x: point.x, y: point.y })) };
+  }
+
+  if (obstacle.width !== undefined && obstacle.height !== undefined) {
+    const halfWidth = obstacle.width / 2;
+    const halfHeight = obstacle.height / 2;
+
+    return {
+      id,
+      type: 'polygon',
+      points: [
+        { x: obstacle.x - halfWidth, y: obstacle.y - halfHeight },
+        { x: obstacle.x + halfWidth, y: obstacle.y - halfHeight },
+        { x: obstacle.x + halfWidth, y: obstacle.y + halfHeight },
+        { x: obstacle.x - halfWidth, y: obstacle.y + halfHeight }
+      ]
+    };
+  }
+
+  throw new Error(`Obstacle ${id} needs a radius, a width and height, or points`);
+}
+
+class SimulationWorld {
+  /**
+   * @param {object} options - World options
+   * @param {function} options.clock - Time source in ms (defaults to Date.now)
+   * @param {number|string} options.seed - Seed for the sensor noise
+   * @param {number} options.stepSize - Integration step in seconds
+   * @param {object} options.origin - Geodetic position of the local frame origin
+   * @param {object} options.start - Starting pose ({ x, y, yaw })
+   * @param {object} options.vehicle - Vehicle parameter overrides
+   * @param {object} options.battery - Battery parameter overrides
+   * @param {object} options.terrain - { slope: { x, y } grade east and north, hills: [{ x, y, radius, height }] }
+   * @param {Array} options.obstacles - Obstacles (see normalizeObstacle)
+   * @param {object} options.noise - Sensor noise overrides
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || Date.now;
+    this.random = options.random || createRandom(options.seed !== undefined ? options.seed : 1);
+    this.stepSize = options.stepSize || 0.01; // s
+
+    this.frame = new LocalFrame(options.origin || { latitude: 37.7749, longitude: -122.4194, altitude: 10 });
+
+    this.vehicle = {
+      mass: 350, // kg
+      trackWidth: 0.9, // m
+      radius: 1.1, // m, footprint used for collisions
+      maxWheelAcceleration: 2.0, // m/s², the drive's speed loop
+      maxWheelForce: 400, // N per wheel
+      rollingResistance: 0.05,
+      idleCurrent: 0.5, // A per turning motor
+      currentPerNewton: 0.02, // A per newton of wheel force
+      ratedCurrent: 10, // A
+      temperatureRise: 40, // °C above ambient at rated current
+      thermalTimeConstant: 300, // s
+      ...(options.vehicle || {})
+    };
+
+    const battery = {
+      capacity: 100, // Ah
+      level: 100, // %
+      emptyVoltage: 42, // V
+      fullVoltage: 54.6, // V
+      internalResistance: 0.02, // Ω
+      auxiliaryCurrent: 2, // A for the computers and sensors
+      ...(options.battery || {})
+    };
+    this.battery = {
+      ...battery,
+      charge: battery.capacity * battery.level / 100, // Ah
+      current: battery.auxiliaryCurrent // A
+    };
+
+    this.terrain = {
+      slope: { x: 0, y: 0 },
+      hills: [],
+      ...(options.terrain || {})
+    };
+
+    this.obstacles = (options.obstacles || []).map(normalizeObstacle);
+    this.noise = { ...DEFAULT_NOISE, ...(options.noise || {}) };
+    this.ambientTemperature = options.ambientTemperature !== undefined ? options.ambientTemperature : 25;
+    this.ultrasonicSensors = options.ultrasonicSensors || DEFAULT_ULTRASONIC_SENSORS;
+
+    const start = options.start || {};
+    this.pose = {
+      x: start.x || 0,
+      y: start.y || 0,
+      yaw: start.yaw || 0
+    };
+
+    this.motion = {
+      speed: 0, // m/s forward
+      yawRate: 0, // rad/s
+      acceleration: 0, // m/s² forward
+      pitch: 0, // rad, negative nose up
+      roll: 0 // rad, positive left side up
+    };
+
+    this.wheels = {};
+    WHEELS.forEach(wheel => {
+      this.wheels[wheel] = {
+        target: 0, // m/s
+        speed: 0, // m/s
+        force: 0, // N
+        current: 0, // A
+        temperature: this.ambientTemperature // °C
+      };
+    });
+
+    this.collisions = [];
+    this.contact = null; // Obstacle the vehicle is pushing against
+    this.time = null;
+  }
+
+  /**
+   * Current world time
+   * @returns {number} Time in ms
+   */
+  now() {
+    return this.time !== null ? this.time : this.clock();
+  }
+
+  /**
+   * Advance the world to the clock's current time
+   */
+  update() {
+    this.advanceTo(this.clock());
+  }
+
+  /**
+   * Advance the world in fixed steps up to a time
+   * @param {number} time - Time in ms
+   */
+  advanceTo(time) {
+    if (this.time === null) {
+      this.time = time;
+      this._updateAttitude();
+      return;
+    }
+
+    const stepMs = this.stepSize * 1000;
+    while (this.time + stepMs <= time) {
+      this.step(this.stepSize);
+      this.time += stepMs;
+    }
+  }
+
+  /**
+   * Advance the world by one integration step
+   * @param {number} dt - Step in seconds
+   */
+  step(dt) {
+    const forward = { x: Math.cos(this.pose.yaw), y: Math.sin(this.pose.yaw) };
+    const gradient = this.gradientAt(this.pose.x, this.pose.y);
+    const slopeAngle = Math.atan(gradient.x * forward.x + gradient.y * forward.y);
+
+    WHEELS.forEach(wheel => this._stepWheel(this.wheels[wheel], slopeAngle, dt));
+
+    // Skid steer kinematics from the average speed of each side
+    const left = (this.wheels.frontLeft.speed + this.wheels.rearLeft.speed) / 2;
+    const right = (this.wheels.frontRight.speed + this.wheels.rearRight.speed) / 2;
+    const speed = (left + right) / 2;
+    const yawRate = (right - left) / this.vehicle.trackWidth;
+
+    const horizontal = speed * Math.cos(slopeAngle);
+    const next = {
+      x: this.pose.x + horizontal * forward.x * dt,
+      y: this.pose.y + horizontal * forward.y * dt,
+      yaw: this._normalizeAngle(this.pose.yaw + yawRate * dt)
+    };
+
+    const obstacle = this._findCollision(next);
+    if (obstacle) {
+      this._collide(obstacle);
+    } else {
+      // Contact ends once the vehicle has backed off a little
+      if (this.contact && !this._findCollision(next, 0.1)) {
+        this.contact = null;
+      }
+
+      this.pose = next;
+      this.motion.acceleration = (speed - this.motion.speed) / dt;
+      this.motion.speed = speed;
+      this.motion.yawRate = yawRate;
+    }
+
+    this._updateAttitude();
+    this._updateElectrical(dt);
+  }
+
+  /**
+   * Move one wheel towards its setpoint within the force the motor can deliver
+   * @private
+   */
+  _stepWheel(wheel, slopeAngle, dt) {
+    const wheelMass = this.vehicle.mass / WHEELS.length;
+    const maxForce = this.vehicle.maxWheelForce;
+    const maxAcceleration = this.vehicle.maxWheelAcceleration;
+
+    const desired = clamp((wheel.target - wheel.speed) / dt, -maxAcceleration, maxAcceleration);
+    const direction = wheel.speed !== 0 ? Math.sign(wheel.speed) : Math.sign(desired);
+
+    // Gravity along the slope and rolling resistance against the motion
+    const load = GRAVITY * (Math.sin(slopeAngle) + this.vehicle.rollingResistance * Math.cos(slopeAngle) * direction);
+
+    wheel.force = clamp(wheelMass * (desired + load), -maxForce, maxForce);
+
+    let speed = wheel.speed + (wheel.force / wheelMass - load) * dt;
+
+    // The drive's speed loop does not overshoot its setpoint
+    if ((wheel.target - wheel.speed) * (wheel.target - speed) < 0) {
+      speed = wheel.target;
+    }
+
+    wheel.speed = Math.abs(speed) < 1e-9 ? 0 : speed;
+  }
+
+  /**
+   * Update motor currents, battery charge and motor temperatures
+   * @private
+   */
+  _updateElectrical(dt) {
+    const heating = this.vehicle.temperatureRise /
+      (this.vehicle.ratedCurrent * this.vehicle.ratedCurrent * this.vehicle.thermalTimeConstant);
+    let current = this.battery.auxiliaryCurrent;
+
+    WHEELS.forEach(name => {
+      const wheel = this.wheels[name];
+      const turning = wheel.speed !== 0 || wheel.force !== 0;
+
+      wheel.current = (turning ? this.vehicle.idleCurrent : 0) + Math.abs(wheel.force) * this.vehicle.currentPerNewton;
+      current += wheel.current;
+
+      // First order thermal model: I² heating, cooling towards ambient
+      const cooling = (wheel.temperature - this.ambientTemperature) / this.vehicle.thermalTimeConstant;
+      wheel.temperature += (wheel.current * wheel.current * heating - cooling) * dt;
+    });
+
+    this.battery.current = current;
+    this.battery.charge = Math.max(0, this.battery.charge - current * dt / 3600);
+  }
+
+  /**
+   * Pitch and roll from the terrain under the vehicle
+   * @private
+   */
+  _updateAttitude() {
+    const gradient = this.gradientAt(this.pose.x, this.pose.y);
+    const cosYaw = Math.cos(this.pose.yaw);
+    const sinYaw = Math.sin(this.pose.yaw);
+
+    // Climbing is nose up, which is a negative pitch in SensorFusion's rotation convention
+    this.motion.pitch = -Math.atan(gradient.x * cosYaw + gradient.y * sinYaw);
+    this.motion.roll = Math.atan(-gradient.x * sinYaw + gradient.y * cosYaw);
+  }
+
+  /**
+   * Stop the vehicle against an obstacle
+   * @private
+   */
+  _collide(obstacle) {
+    // One record per contact, not per step
+    if (this.contact !== obstacle.id) {
+      this.contact = obstacle.id;
+      this.collisions.push({
+        obstacle: obstacle.id,
+        position: { x: this.pose.x, y: this.pose.y },
+        speed: this.motion.speed,
+        time: this.now()
+      });
+    }
+
+    WHEELS.forEach(wheel => {
+      this.wheels[wheel].speed = 0;
+    });
+
+    this.motion.acceleration = 0;
+    this.motion.speed = 0;
+    this.motion.yawRate = 0;
+  }
+
+  /**
+   * Find an obstacle the vehicle footprint overlaps at a pose
+   * @param {object} pose - Vehicle pose
+   * @param {number} margin - Extra clearance around the footprint (m)
+   * @private
+   */
+  _findCollision(pose, margin = 0) {
+    const radius = this.vehicle.radius + margin;
+
+    return this.obstacles.find(obstacle => {
+      if (obstacle.type === 'circle') {
+        return Math.hypot(pose.x - obstacle.x, pose.y - obstacle.y) < obstacle.radius + radius;
+      }
+
+      return this._pointInPolygon(pose, obstacle.points) ||
+        obstacle.points.some((point, i) => {
+          const next = obstacle.points[(i + 1) % obstacle.points.length];
+          return this._distanceToSegment(pose, point, next) < radius;
+        });
+    }) || null;
+  }
+
+  /**
+   * Terrain height
+   * @param {number} x - East (m)
+   * @param {number} y - North (m)
+   * @returns {number} Height above the origin (m)
+   */
+  heightAt(x, y) {
+    let height = this.terrain.slope.x * x + this.terrain.slope.y * y;
+
+    this.terrain.hills.forEach(hill => {
+      const distanceSquared = Math.pow(x - hill.x, 2) + Math.pow(y - hill.y, 2);
+      height += hill.height * Math.exp(-distanceSquared / (2 * hill.radius * hill.radius));
+    });
+
+    return height;
+  }
+
+  /**
+   * Terrain gradient
+   * @param {number} x - East (m)
+   * @param {number} y - North (m)
+   * @returns {object} Rise per meter east and north ({ x, y })
+   */
+  gradientAt(x, y) {
+    const h = 0.05;
+
+    return {
+      x: (this.heightAt(x + h, y) - this.heightAt(x - h, y)) / (2 * h),
+      y: (this.heightAt(x, y + h) - this.heightAt(x, y - h)) / (2 * h)
+    };
+  }
+
+  /**
+   * Distance along a ray to the nearest obstacle
+   * @param {object} origin - Ray origin ({ x, y })
+   * @param {number} angle - Ray direction, counter-clockwise from east (rad)
+   * @param {number} maxRange - Longest distance to look (m)
+   * @returns {number|null} Distance in meters, or null if nothing is in range
+   */
+  raycast(origin, angle, maxRange) {
+    const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+    let nearest = null;
+
+    this.obstacles.forEach(obstacle => {
+      const distance = obstacle.type === 'circle' ?
+        this._rayCircle(origin, direction, obstacle) :
+        this._rayPolygon(origin, direction, obstacle.points);
+
+      if (distance !== null && distance <= maxRange && (nearest === null || distance < nearest)) {
+        nearest = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Ray-circle intersection distance
+   * @private
+   */
+  _rayCircle(origin, direction, circle) {
+    const ox = origin.x - circle.x;
+    const oy = origin.y - circle.y;
+    const b = ox * direction.x + oy * direction.y;
+    const c = ox * ox + oy * oy - circle.radius * circle.radius;
+    const discriminant = b * b - c;
+
+    if (discriminant < 0) {
+      return null;
+    }
+
+    const root = Math.sqrt(discriminant);
+    const near = -b - root;
+    const far = -b + root;
+
+    if (near >= 0) {
+      return near;
+    }
+    return far >= 0 ? 0 : null;
+  }
+
+  /**
+   * Ray-polygon intersection distance
+   * @private
+   */
+  _rayPolygon(origin, direction, points) {
+    let nearest = null;
+
+    points.forEach((a, i) => {
+      const b = points[(i + 1) % points.length];
+      const ex = b.x - a.x;
+      const ey = b.y - a.y;
+      const denominator = direction.x * ey - direction.y * ex;
+
+      if (Math.abs(denominator) < 1e-12) {
+        return;
+      }
+
+      const ax = a.x - origin.x;
+      const ay = a.y - origin.y;
+      const t = (ax * ey - ay * ex) / denominator;
+      const u = (ax * direction.y - ay * direction.x) / denominator;
+
+      if (t >= 0 && u >= 0 && u <= 1 && (nearest === null || t < nearest)) {
+        nearest = t;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Check whether a point is inside a polygon
+   * @private
+   */
+  _pointInPolygon(point, points) {
+    let inside = false;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  /**
+   * Distance from a point to a line segment
+   * @private
+   */
+  _distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ?
+      clamp(((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared, 0, 1) :
+      0;
+
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+  }
+
+  /**
+   * Gaussian noise
+   * @param {number} sigma - Standard deviation
+   * @returns {number} Sample
+   * @private
+   */
+  _noise(sigma) {
+    if (!sigma) {
+      return 0;
+    }
+
+    // Box-Muller
+    const u = Math.max(this.random(), 1e-12);
+    const v = this.random();
+    return sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Normalize angle to [-PI, PI]
+   * @private
+   */
+  _normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+  }
+
+  /**
+   * Set the wheel speed setpoints
+   * @param {object} targets - Speed per wheel in m/s
+   */
+  setWheelTargets(targets) {
+    WHEELS.forEach(wheel => {
+      if (typeof targets[wheel] === 'number') {
+        this.wheels[wheel].target = targets[wheel];
+      }
+    });
+  }
+
+  /**
+   * Stop every wheel at once (emergency stop brakes)
+   */
+  stopWheels() {
+    WHEELS.forEach(wheel => {
+      this.wheels[wheel].target = 0;
+      this.wheels[wheel].speed = 0;
+    });
+  }
+
+  /**
+   * Move the vehicle
+   * @param {object} pose - { x, y, yaw }
+   */
+  setPose(pose) {
+    this.pose = {
+      x: pose.x !== undefined ? pose.x : this.pose.x,
+      y: pose.y !== undefined ? pose.y : this.pose.y,
+      yaw: pose.yaw !== undefined ? pose.yaw : this.pose.yaw
+    };
+    this._updateAttitude();
+  }
+
+  /**
+   * Add an obstacle
+   * @param {object} obstacle - Obstacle (see normalizeObstacle)
+   * @returns {string} Obstacle id
+   */
+  addObstacle(obstacle) {
+    const normalized = normalizeObstacle(obstacle, this.obstacles.length);
+    this.obstacles.push(normalized);
+    return normalized.id;
+  }
+
+  /**
+   * Remove an obstacle
+   * @param {string} id - Obstacle id
+   * @returns {boolean} True if it was removed
+   */
+  removeObstacle(id) {
+    const count = this.obstacles.length;
+    this.obstacles = this.obstacles.filter(obstacle => obstacle.id !== id);
+    return this.obstacles.length !== count;
+  }
+
+  /**
+   * Get the true state of the world, for test assertions
+   * @returns {object} Vehicle pose, motion, wheels, battery and collisions
+   */
+  getState() {
+    const wheels = {};
+    WHEELS.forEach(wheel => {
+      wheels[wheel] = { ...this.wheels[wheel] };
+    });
+
+    return {
+      position: { x: this.pose.x, y: this.pose.y, z: this.heightAt(this.pose.x, this.pose.y) },
+      yaw: this.pose.yaw,
+      ...this.motion,
+      wheels: wheels,
+      battery: {
+        level: this.getBatteryLevel(),
+        voltage: this.getBatteryVoltage(),
+        current: this.battery.current,
+        charge: this.battery.charge
+      },
+      collisions: this.collisions.map(collision => ({ ...collision })),
+      time: this.now()
+    };
+  }
+
+  /**
+   * Battery state of charge
+   * @returns {number} Percentage
+   */
+  getBatteryLevel() {
+    return this.battery.charge / this.battery.capacity * 100;
+  }
+
+  /**
+   * Battery terminal voltage under the present load
+   * @returns {number} Volts
+   */
+  getBatteryVoltage() {
+    const soc = this.battery.charge / this.battery.capacity;
+    const openCircuit = this.battery.emptyVoltage + (this.battery.fullVoltage - this.battery.emptyVoltage) * soc;
+    return openCircuit - this.battery.current * this.battery.internalResistance;
+  }
+
+  /**
+   * Read the GPS
+   * @returns {object} Fix, as published on 'sensor.gps.updated'
+   */
+  readGps() {
+    const position = this.frame.toGeodetic({
+      x: this.pose.x + this._noise(this.noise.gps),
+      y: this.pose.y + this._noise(this.noise.gps),
+      z: this.heightAt(this.pose.x, this.pose.y) + this._noise(this.noise.gps * 2)
+    });
+
+    // Course over ground is clockwise from north
+    const course = (90 - (this.pose.yaw + this._noise(this.noise.heading)) * 180 / Math.PI + 360) % 360;
+
+    return {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      altitude: position.altitude,
+      accuracy: Math.max(this.noise.gps, 0.01),
+      speed: Math.abs(this.motion.speed + this._noise(this.noise.speed)),
+      heading: this.motion.speed < 0 ? (course + 180) % 360 : course,
+      fixQuality: 'simulation',
+      satellites: 12,
+      hdop: 1.0,
+      timestamp: this.now()
+    };
+  }
+
+  /**
+   * Read the IMU
+   * @returns {object} Reading, as published on 'sensor.imu.updated'
+   */
+  readImu() {
+    const { pitch, roll, speed, yawRate, acceleration } = this.motion;
+
+    // Specific force in the body frame: motion plus the reaction to gravity
+    const cosPitch = Math.cos(pitch);
+    const yaw = this.pose.yaw;
+
+    // Earth's field (µT) points north and down
+    const field = { north: 20, down: 40 };
+
+    return {
+      acceleration: {
+        x: acceleration - GRAVITY * Math.sin(pitch) + this._noise(this.noise.acceleration),
+        y: speed * yawRate + GRAVITY * cosPitch * Math.sin(roll) + this._noise(this.noise.acceleration),
+        z: GRAVITY * cosPitch * Math.cos(roll) + this._noise(this.noise.acceleration)
+      },
+      gyroscope: {
+        x: this._noise(this.noise.gyro),
+        y: this._noise(this.noise.gyro),
+        z: yawRate + this.noise.gyroBias + this._noise(this.noise.gyro)
+      },
+      magnetometer: {
+        x: field.north * Math.sin(yaw),
+        y: field.north * Math.cos(yaw),
+        z: field.down
+      },
+      orientation: {
+        roll: roll + this._noise(this.noise.heading),
+        pitch: pitch + this._noise(this.noise.heading),
+        yaw: this._normalizeAngle(yaw + this._noise(this.noise.heading))
+      },
+      timestamp: this.now()
+    };
+  }
+
+  /**
+   * Read the LIDAR
+   * @param {object} options - { points, maxRange }
+   * @returns {object} Scan, as published on 'sensor.lidar.updated'
+   */
+  readLidar(options = {}) {
+    const numPoints = options.points || 360;
+    const maxRange = options.maxRange || 30;
+    const points = [];
+
+    for (let i = 0; i < numPoints; i++) {
+      // Angle in the vehicle frame, counter-clockwise from straight ahead
+      const angle = (i / numPoints) * 2 * Math.PI;
+      const distance = this.raycast(this.pose, this.pose.yaw + angle, maxRange);
+
+      points.push({
+        angle: angle,
+        distance: distance === null ? maxRange : Math.max(0, distance + this._noise(this.noise.lidar)),
+        intensity: distance === null ? 0 : 150
+      });
+    }
+
+    return {
+      points: points,
+      scanTime: 100, // ms
+      timestamp: this.now()
+    };
+  }
+
+  /**
+   * Read the ultrasonic sensors
+   * @returns {object} Reading, as published on 'sensor.ultrasonic.updated'
+   */
+  readUltrasonic() {
+    const cosYaw = Math.cos(this.pose.yaw);
+    const sinYaw = Math.sin(this.pose.yaw);
+    const halfCone = 0.26; // rad, about 15 degrees
+
+    const sensors = this.ultrasonicSensors.map(sensor => {
+      const origin = {
+        x: this.pose.x + sensor.x * cosYaw - sensor.y * sinYaw,
+        y: this.pose.y + sensor.x * sinYaw + sensor.y * cosYaw
+      };
+      const facing = this.pose.yaw + sensor.angle;
+
+      // Nearest echo within the cone
+      let nearest = null;
+      [-halfCone, 0, halfCone].forEach(offset => {
+        const distance = this.raycast(origin, facing + offset, sensor.maxRange);
+        if (distance !== null && (nearest === null || distance < nearest)) {
+          nearest = distance;
+        }
+      });
+
+      return {
+        id: sensor.id,
+        distance: nearest === null ?
+          sensor.maxRange :
+          clamp(nearest + this._noise(this.noise.ultrasonic), 0, sensor.maxRange),
+        maxRange: sensor.maxRange
+      };
+    });
+
+    return {
+      sensors: sensors,
+      timestamp: this.now()
+    };
+  }
+
+  /**
+   * Read the power monitors
+   * @returns {object} Reading, as published on 'sensor.powerMonitors.updated'
+   */
+  readPower() {
+    const voltage = this.getBatteryVoltage();
+    const motorCurrents = {};
+
+    WHEELS.forEach(wheel => {
+      motorCurrents[wheel] = Math.max(0, this.wheels[wheel].current + this._noise(this.noise.current));
+    });
+
+    return {
+      batteryVoltage: voltage,
+      batteryCurrent: this.battery.current,
+      batteryLevel: this.getBatteryLevel(),
+      motorCurrents: motorCurrents,
+      powerConsumption: voltage * this.battery.current, // Watts
+      timestamp: this.now()
+    };
+  }
+
+  /**
+   * Read the temperature sensors
+   * @returns {object} Reading, as published on 'sensor.temperatureSensors.updated'
+   */
+  readTemperatures() {
+    const noise = () => this._noise(this.noise.temperature);
+    const load = this.battery.current - this.battery.auxiliaryCurrent;
+
+    return {
+      ambient: this.ambientTemperature + noise(),
+      motorFrontLeft: this.wheels.frontLeft.temperature + noise(),
+      motorFrontRight: this.wheels.frontRight.temperature + noise(),
+      motorRearLeft: this.wheels.rearLeft.temperature + noise(),
+      motorRearRight: this.wheels.rearRight.temperature + noise(),
+      controllerMain: this.ambientTemperature + 10 + load * 0.2 + noise(),
+      batteryPack: this.ambientTemperature + 5 + load * 0.1 + noise(),
+      timestamp: this.now()
+    };
+  }
+}
+
+SimulationWorld.WHEELS = WHEELS;
+
+module.exports = SimulationWorld;
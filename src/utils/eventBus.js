@@ -14,6 +14,9 @@ class EventBus {
     // Event subscribers
     this.subscribers = new Map();
     
+    // Wildcard patterns with subscribers, compiled to regular expressions
+    this.patterns = new Map();
+    
     // Request handlers
     this.requestHandlers = new Map();
     
@@ -28,13 +31,22 @@ class EventBus {
   
   /**
    * Subscribe to an event
-   * @param {string} eventType - Event type to subscribe to
+   * 
+   * The event type may be a wildcard pattern, where '*' matches any run of
+   * characters: 'sensor.*' receives every sensor event and '*' every event.
+   * Pattern subscribers are called with the event type as second argument.
+   * 
+   * @param {string} eventType - Event type (or pattern) to subscribe to
    * @param {function} callback - Callback function to be called when event is published
    * @returns {string} Subscription ID
    */
   subscribe(eventType, callback) {
     if (!this.subscribers.has(eventType)) {
       this.subscribers.set(eventType, new Map());
+      
+      if (eventType.includes('*')) {
+        this.patterns.set(eventType, this._compilePattern(eventType));
+      }
     }
     
     const subscriptionId = `${eventType}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -66,6 +78,7 @@ class EventBus {
       // Clean up empty event types
       if (this.subscribers.get(eventType).size === 0) {
         this.subscribers.delete(eventType);
+        this.patterns.delete(eventType);
       }
     }
     
@@ -78,22 +91,70 @@ class EventBus {
    * @param {object} data - Event data
    */
   publish(eventType, data) {
-    if (!this.subscribers.has(eventType)) {
+    const patterns = this._matchPatterns(eventType);
+    
+    if (!this.subscribers.has(eventType) && patterns.length === 0) {
       return;
     }
     
     this.logger.debug(`Publishing event: ${eventType}`);
     
     // Call all subscribers
-    for (const callback of this.subscribers.get(eventType).values()) {
-      try {
-        callback(data);
-      } catch (error) {
-        this.logger.error(`Error in event subscriber for ${eventType}: ${error.message}`);
+    if (this.subscribers.has(eventType)) {
+      for (const callback of this.subscribers.get(eventType).values()) {
+        try {
+          callback(data);
+        } catch (error) {
+          this.logger.error(`Error in event subscriber for ${eventType}: ${error.message}`);
+        }
+      }
+    }
+    
+    // Call pattern subscribers
+    for (const pattern of patterns) {
+      for (const callback of this.subscribers.get(pattern).values()) {
+        try {
+          callback(data, eventType);
+        } catch (error) {
+          this.logger.error(`Error in event subscriber for ${pattern}: ${error.message}`);
+        }
       }
     }
   }
   
+  /**
+   * Compile a wildcard pattern to a regular expression
+   * @param {string} pattern - Pattern, e.g. 'sensor.*'
+   * @returns {RegExp} Regular expression matching the whole event type
+   * @private
+   */
+  _compilePattern(pattern) {
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    
+    return new RegExp(`^${source}$`);
+  }
+  
+  /**
+   * Find the subscribed patterns matching an event type
+   * @param {string} eventType - Published event type
+   * @returns {Array<string>} Matching patterns
+   * @private
+   */
+  _matchPatterns(eventType) {
+    const matches = [];
+    
+    for (const [pattern, regex] of this.patterns) {
+      if (pattern !== eventType && regex.test(eventType)) {
+        matches.push(pattern);
+      }
+    }
+    
+    return matches;
+  }
+  
   /**
    * Register a request handler
    * @param {string} requestType - Request type to handle
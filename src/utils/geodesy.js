@@ -0,0 +1,222 @@
+/**
+ * Sevak Mini Tractor - Geodesy
+ *
+ * Conversions between WGS84 latitude/longitude/altitude and a local
+ * East-North-Up (ENU) frame in meters, anchored at a datum origin near the
+ * field. Navigation works in the local frame; GPS fixes, boundaries and
+ * waypoints given in latitude/longitude are converted on the way in.
+ */
+
+// WGS84 ellipsoid
+const WGS84 = {
+  a: 6378137.0, // Semi-major axis (m)
+  f: 1 / 298.257223563 // Flattening
+};
+WGS84.b = WGS84.a * (1 - WGS84.f); // Semi-minor axis (m)
+WGS84.e2 = WGS84.f * (2 - WGS84.f); // First eccentricity squared
+WGS84.ep2 = WGS84.e2 / (1 - WGS84.e2); // Second eccentricity squared
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Convert geodetic coordinates to Earth-centred, Earth-fixed coordinates
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} altitude - Height above the ellipsoid in meters
+ * @returns {object} ECEF position ({ x, y, z }) in meters
+ */
+function geodeticToEcef(latitude, longitude, altitude = 0) {
+  const lat = latitude * DEG_TO_RAD;
+  const lon = longitude * DEG_TO_RAD;
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+
+  // Prime vertical radius of curvature
+  const N = WGS84.a / Math.sqrt(1 - WGS84.e2 * sinLat * sinLat);
+
+  return {
+    x: (N + altitude) * cosLat * Math.cos(lon),
+    y: (N + altitude) * cosLat * Math.sin(lon),
+    z: (N * (1 - WGS84.e2) + altitude) * sinLat
+  };
+}
+
+/**
+ * Convert Earth-centred, Earth-fixed coordinates to geodetic coordinates
+ * (Bowring's method, sub-millimetre near the Earth's surface)
+ * @param {object} ecef - ECEF position ({ x, y, z }) in meters
+ * @returns {object} Geodetic position ({ latitude, longitude, altitude })
+ */
+function ecefToGeodetic(ecef) {
+  const p = Math.hypot(ecef.x, ecef.y);
+  const theta = Math.atan2(ecef.z * WGS84.a, p * WGS84.b);
+  const sinTheta = Math.sin(theta);
+  const cosTheta = Math.cos(theta);
+
+  const lat = Math.atan2(
+    ecef.z + WGS84.ep2 * WGS84.b * sinTheta * sinTheta * sinTheta,
+    p - WGS84.e2 * WGS84.a * cosTheta * cosTheta * cosTheta
+  );
+  const lon = Math.atan2(ecef.y, ecef.x);
+
+  const sinLat = Math.sin(lat);
+  const N = WGS84.a / Math.sqrt(1 - WGS84.e2 * sinLat * sinLat);
+
+  // Height is ill-conditioned through cos(lat) near the poles, use the z axis there
+  const altitude = Math.abs(lat) < 45 * DEG_TO_RAD ?
+    p / Math.cos(lat) - N :
+    ecef.z / sinLat - N * (1 - WGS84.e2);
+
+  return {
+    latitude: lat * RAD_TO_DEG,
+    longitude: lon * RAD_TO_DEG,
+    altitude: altitude
+  };
+}
+
+/**
+ * Check whether a point is given in latitude/longitude
+ * @param {object} point - Point to check
+ * @returns {boolean} True for geodetic points
+ */
+function isGeodeticPoint(point) {
+  return !!point && typeof point.latitude === 'number' && typeof point.longitude === 'number';
+}
+
+/**
+ * Check that a point has usable local (x, y) or geodetic coordinates
+ * @param {object} point - Point to check
+ * @returns {boolean} True if valid
+ */
+function isValidPoint(point) {
+  if (!point) {
+    return false;
+  }
+
+  if (isGeodeticPoint(point)) {
+    return Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180;
+  }
+
+  return typeof point.x === 'number' && typeof point.y === 'number';
+}
+
+/**
+ * Local East-North-Up frame anchored at a datum origin
+ */
+class LocalFrame {
+  /**
+   * @param {object} origin - Datum origin ({ latitude, longitude, altitude }), or null to set later
+   */
+  constructor(origin = null) {
+    this.origin = null;
+    this.originEcef = null;
+
+    if (origin) {
+      this.setOrigin(origin);
+    }
+  }
+
+  /**
+   * Set the datum origin
+   * @param {object} origin - Datum origin ({ latitude, longitude, altitude })
+   */
+  setOrigin(origin) {
+    if (!isValidPoint(origin) || !isGeodeticPoint(origin)) {
+      throw new Error('Datum origin must have a valid latitude and longitude');
+    }
+
+    this.origin = {
+      latitude: origin.latitude,
+      longitude: origin.longitude,
+      altitude: origin.altitude || 0
+    };
+    this.originEcef = geodeticToEcef(this.origin.latitude, this.origin.longitude, this.origin.altitude);
+
+    // Rotation terms between ECEF and ENU at the origin
+    const lat = this.origin.latitude * DEG_TO_RAD;
+    const lon = this.origin.longitude * DEG_TO_RAD;
+    this.rotation = {
+      sinLat: Math.sin(lat),
+      cosLat: Math.cos(lat),
+      sinLon: Math.sin(lon),
+      cosLon: Math.cos(lon)
+    };
+  }
+
+  /**
+   * Check whether the datum origin has been set
+   * @returns {boolean} True if set
+   */
+  hasOrigin() {
+    return this.origin !== null;
+  }
+
+  /**
+   * Get the datum origin
+   * @returns {object|null} Datum origin ({ latitude, longitude, altitude })
+   */
+  getOrigin() {
+    return this.origin ? { ...this.origin } : null;
+  }
+
+  /**
+   * Convert a geodetic position to the local frame
+   * @param {object} point - Geodetic position ({ latitude, longitude, altitude })
+   * @returns {object} Local position ({ x: east, y: north, z: up }) in meters
+   */
+  toLocal(point) {
+    this._requireOrigin();
+
+    const ecef = geodeticToEcef(point.latitude, point.longitude, point.altitude ?? this.origin.altitude);
+    const dx = ecef.x - this.originEcef.x;
+    const dy = ecef.y - this.originEcef.y;
+    const dz = ecef.z - this.originEcef.z;
+    const { sinLat, cosLat, sinLon, cosLon } = this.rotation;
+
+    return {
+      x: -sinLon * dx + cosLon * dy,
+      y: -sinLat * cosLon * dx - sinLat * sinLon * dy + cosLat * dz,
+      z: cosLat * cosLon * dx + cosLat * sinLon * dy + sinLat * dz
+    };
+  }
+
+  /**
+   * Convert a local position to geodetic coordinates
+   * @param {object} point - Local position ({ x: east, y: north, z: up }) in meters
+   * @returns {object} Geodetic position ({ latitude, longitude, altitude })
+   */
+  toGeodetic(point) {
+    this._requireOrigin();
+
+    const east = point.x;
+    const north = point.y;
+    const up = point.z || 0;
+    const { sinLat, cosLat, sinLon, cosLon } = this.rotation;
+
+    return ecefToGeodetic({
+      x: this.originEcef.x - sinLon * east - sinLat * cosLon * north + cosLat * cosLon * up,
+      y: this.originEcef.y + cosLon * east - sinLat * sinLon * north + cosLat * sinLon * up,
+      z: this.originEcef.z + cosLat * north + sinLat * up
+    });
+  }
+
+  /**
+   * Throw if the datum origin has not been set
+   * @private
+   */
+  _requireOrigin() {
+    if (!this.origin) {
+      throw new Error('Local frame has no datum origin');
+    }
+  }
+}
+
+module.exports = {
+  WGS84,
+  geodeticToEcef,
+  ecefToGeodetic,
+  isGeodeticPoint,
+  isValidPoint,
+  LocalFrame
+};
@@ -0,0 +1,189 @@
+/**
+ * Sevak Mini Tractor - Matrix
+ *
+ * Small dense matrix helpers for the sensor fusion filter. Matrices are
+ * plain arrays of rows; every function returns a new matrix.
+ */
+
+/**
+ * Create a matrix of zeros
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {Array<Array<number>>} Matrix
+ */
+function zeros(rows, cols) {
+  return Array.from({ length: rows }, () => new Array(cols).fill(0));
+}
+
+/**
+ * Create an identity matrix
+ * @param {number} n - Size
+ * @returns {Array<Array<number>>} Matrix
+ */
+function identity(n) {
+  const result = zeros(n, n);
+  for (let i = 0; i < n; i++) {
+    result[i][i] = 1;
+  }
+  return result;
+}
+
+/**
+ * Create a diagonal matrix
+ * @param {Array<number>} values - Diagonal values
+ * @returns {Array<Array<number>>} Matrix
+ */
+function diagonal(values) {
+  const result = zeros(values.length, values.length);
+  values.forEach((value, i) => {
+    result[i][i] = value;
+  });
+  return result;
+}
+
+/**
+ * Copy a matrix
+ * @param {Array<Array<number>>} a - Matrix
+ * @returns {Array<Array<number>>} Copy
+ */
+function clone(a) {
+  return a.map(row => row.slice());
+}
+
+/**
+ * Transpose a matrix
+ * @param {Array<Array<number>>} a - Matrix
+ * @returns {Array<Array<number>>} Transpose
+ */
+function transpose(a) {
+  return a[0].map((_, j) => a.map(row => row[j]));
+}
+
+/**
+ * Multiply two matrices
+ * @param {Array<Array<number>>} a - Left matrix (n x m)
+ * @param {Array<Array<number>>} b - Right matrix (m x p)
+ * @returns {Array<Array<number>>} Product (n x p)
+ */
+function multiply(a, b) {
+  if (a[0].length !== b.length) {
+    throw new Error(`Cannot multiply ${a.length}x${a[0].length} by ${b.length}x${b[0].length} matrix`);
+  }
+
+  const result = zeros(a.length, b[0].length);
+
+  for (let i = 0; i < a.length; i++) {
+    for (let k = 0; k < b.length; k++) {
+      const aik = a[i][k];
+      if (aik === 0) {
+        continue;
+      }
+      for (let j = 0; j < b[0].length; j++) {
+        result[i][j] += aik * b[k][j];
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Add two matrices
+ * @param {Array<Array<number>>} a - Matrix
+ * @param {Array<Array<number>>} b - Matrix of the same size
+ * @returns {Array<Array<number>>} Sum
+ */
+function add(a, b) {
+  return a.map((row, i) => row.map((value, j) => value + b[i][j]));
+}
+
+/**
+ * Subtract one matrix from another
+ * @param {Array<Array<number>>} a - Matrix
+ * @param {Array<Array<number>>} b - Matrix of the same size
+ * @returns {Array<Array<number>>} Difference (a - b)
+ */
+function subtract(a, b) {
+  return a.map((row, i) => row.map((value, j) => value - b[i][j]));
+}
+
+/**
+ * Multiply a matrix by a scalar
+ * @param {Array<Array<number>>} a - Matrix
+ * @param {number} s - Scalar
+ * @returns {Array<Array<number>>} Scaled matrix
+ */
+function scale(a, s) {
+  return a.map(row => row.map(value => value * s));
+}
+
+/**
+ * Invert a square matrix (Gauss-Jordan elimination with partial pivoting)
+ * @param {Array<Array<number>>} a - Square matrix
+ * @returns {Array<Array<number>>} Inverse
+ */
+function inverse(a) {
+  const n = a.length;
+  const m = clone(a);
+  const result = identity(n);
+
+  for (let col = 0; col < n; col++) {
+    // Pick the largest pivot for stability
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) {
+        pivot = row;
+      }
+    }
+
+    if (Math.abs(m[pivot][col]) < 1e-12) {
+      throw new Error('Matrix is singular');
+    }
+
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    [result[col], result[pivot]] = [result[pivot], result[col]];
+
+    const divisor = m[col][col];
+    for (let j = 0; j < n; j++) {
+      m[col][j] /= divisor;
+      result[col][j] /= divisor;
+    }
+
+    for (let row = 0; row < n; row++) {
+      if (row === col || m[row][col] === 0) {
+        continue;
+      }
+
+      const factor = m[row][col];
+      for (let j = 0; j < n; j++) {
+        m[row][j] -= factor * m[col][j];
+        result[row][j] -= factor * result[col][j];
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Make a matrix exactly symmetric by averaging it with its transpose
+ * @param {Array<Array<number>>} a - Square matrix
+ * @returns {Array<Array<number>>} Symmetric matrix
+ */
+function symmetrize(a) {
+  return a.map((row, i) => row.map((value, j) => (value + a[j][i]) / 2));
+}
+
+module.exports = {
+  zeros,
+  identity,
+  diagonal,
+  clone,
+  transpose,
+  multiply,
+  add,
+  subtract,
+  scale,
+  inverse,
+  symmetrize
+};
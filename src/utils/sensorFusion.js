@@ -1,16 +1,58 @@
 /**
  * Sevak Mini Tractor - Sensor Fusion
- * 
+ *
  * Combines data from multiple sensors to provide accurate position and orientation.
  * Implements an Extended Kalman Filter (EKF) for sensor fusion.
+ *
+ * The filter state is [x, y, z, vx, vy, vz, yaw, gyroBias] in the local ENU
+ * frame. IMU samples drive the prediction (acceleration and yaw rate as control
+ * inputs) and correct yaw; GPS fixes correct position; wheel odometry propagates
+ * yaw and corrects the forward speed, which keeps the pose moving (with growing
+ * uncertainty) through GPS dropouts. Measurements are applied
+ * in timestamp order: a late measurement rolls the filter back to the snapshot
+ * before it and replays everything received since.
  */
 
 const Logger = require('./logger');
+const eventBus = require('./eventBus');
+const config = require('../config');
+const matrix = require('./matrix');
+const { LocalFrame } = require('./geodesy');
+
+// Order of the filter state vector (and of the covariance rows and columns)
+const STATE_ORDER = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'yaw', 'gyroBias'];
+const X = 0;
+const Y = 1;
+const Z = 2;
+const VX = 3;
+const VY = 4;
+const VZ = 5;
+const YAW = 6;
+const GYRO_BIAS = 7;
+const STATE_SIZE = STATE_ORDER.length;
+
+const GRAVITY = 9.81; // m/s²
+
+// 95% chi-square bounds by measurement dimension, for the NIS consistency check
+const CHI_SQUARE_95 = {
+  1: 3.841,
+  2: 5.991,
+  3: 7.815
+};
+
+// Updates before the consistency check is trusted
+const MIN_CONSISTENCY_UPDATES = 10;
+
+// Upper bound on the replay history, whatever the delay window
+const MAX_HISTORY = 200;
 
 class SensorFusion {
   constructor() {
     this.logger = new Logger('SensorFusion');
     
+    // Local ENU frame for GPS positions (origin from config, or the first fix)
+    this.localFrame = new LocalFrame(config.navigation?.datum || null);
+    
     // Position and orientation state
     this.state = {
       position: {
@@ -37,28 +79,30 @@ class SensorFusion {
         yaw: 0,
         uncertainty: 0.05 // rad/s
       },
+      gyroBias: 0, // rad/s
+      covariance: null,
       lastUpdate: 0
     };
     
+    // Which parts of the state have been seeded from a first measurement
+    this.initialized = {
+      position: false,
+      orientation: false
+    };
+    
     // Sensor data timestamps
     this.lastSensorUpdate = {
       gps: 0,
       imu: 0,
+      odometry: 0,
       lidar: 0,
       ultrasonic: 0
     };
     
     // Kalman filter parameters
     this.kalmanFilter = {
-      // Process noise covariance
-      Q: [
-        [0.01, 0, 0, 0, 0, 0],
-        [0, 0.01, 0, 0, 0, 0],
-        [0, 0, 0.01, 0, 0, 0],
-        [0, 0, 0, 0.001, 0, 0],
-        [0, 0, 0, 0, 0.001, 0],
-        [0, 0, 0, 0, 0, 0.001]
-      ],
+      // Process noise covariance per second (x, y, z, vx, vy, vz, yaw, gyroBias)
+      Q: matrix.diagonal([0.01, 0.01, 0.01, 0.1, 0.1, 0.1, 0.001, 0.00001]),
       // Measurement noise covariance
       R: {
         gps: [
@@ -70,68 +114,79 @@ class SensorFusion {
           [0.01, 0, 0],
           [0, 0.01, 0],
           [0, 0, 0.01]
+        ],
+        // Forward and lateral speed from the wheels (lateral allows for skid)
+        odometry: [
+          [0.0025, 0],
+          [0, 0.01]
         ]
       },
       // State covariance
-      P: [
-        [10.0, 0, 0, 0, 0, 0],
-        [0, 10.0, 0, 0, 0, 0],
-        [0, 0, 10.0, 0, 0, 0],
-        [0, 0, 0, 0.1, 0, 0],
-        [0, 0, 0, 0, 0.1, 0],
-        [0, 0, 0, 0, 0, 0.1]
-      ]
+      P: matrix.diagonal([100.0, 100.0, 100.0, 0.25, 0.25, 0.25, 0.01, 0.0025])
+    };
+    this.state.covariance = matrix.clone(this.kalmanFilter.P);
+    
+    // Measurements older than this (relative to the newest) are dropped
+    this.maxMeasurementDelay = config.sensors?.fusion?.maxMeasurementDelay || 500; // ms
+    this.nisSmoothing = config.sensors?.fusion?.nisSmoothing || 0.05;
+    
+    // Applied measurements with the filter snapshot after each, for replay
+    this.history = [];
+    this.replaying = false;
+    
+    // Previous odometry message, for the encoder tick deltas
+    this.lastOdometry = null;
+    
+    // Innovation and consistency metrics
+    this.metrics = {
+      gps: this._createSensorMetrics(),
+      imu: this._createSensorMetrics(),
+      odometry: this._createSensorMetrics(),
+      delayed: 0, // Late measurements applied by replaying history
+      dropped: 0, // Measurements too old to apply
+      diverging: false
     };
     
     this.logger.info('Sensor Fusion initialized');
   }
   
+  /**
+   * Order of the filter state, matching the covariance rows and columns
+   * @returns {Array<string>} State names
+   */
+  static get STATE_ORDER() {
+    return STATE_ORDER.slice();
+  }
+  
   /**
    * Update with GPS data
    * @param {object} gpsData - GPS data
    */
   updateGPS(gpsData) {
-    const now = Date.now();
-    
-    // Skip if data is too old
-    if (gpsData.timestamp < this.lastSensorUpdate.gps) {
+    if (!this._acceptMeasurement('gps', gpsData.timestamp)) {
       return;
     }
     
-    // Update timestamp
-    this.lastSensorUpdate.gps = gpsData.timestamp;
-    
-    // Convert GPS coordinates to local coordinates
-    // In a real implementation, this would convert from lat/lon to a local coordinate system
-    // For this prototype, we'll assume the GPS data is already in local coordinates
-    
-    // Extract position data
-    const position = {
-      x: gpsData.longitude * 111320, // Approximate conversion from degrees to meters
-      y: gpsData.latitude * 110540,  // Approximate conversion from degrees to meters
-      z: gpsData.altitude
-    };
-    
-    // Calculate time delta
-    const dt = (now - this.state.lastUpdate) / 1000; // seconds
-    
-    // Skip if this is the first update
-    if (this.state.lastUpdate === 0) {
-      // Initialize position
-      this.state.position.x = position.x;
-      this.state.position.y = position.y;
-      this.state.position.z = position.z;
-      this.state.position.uncertainty = gpsData.accuracy;
-      
-      this.state.lastUpdate = now;
-      return;
+    // Anchor the local frame at the first fix if no datum was configured
+    if (!this.localFrame.hasOrigin()) {
+      this.setDatum({
+        latitude: gpsData.latitude,
+        longitude: gpsData.longitude,
+        altitude: gpsData.altitude
+      }, 'gps');
     }
     
-    // Apply Kalman filter
-    this._applyKalmanFilterGPS(position, gpsData.accuracy, dt);
+    // Convert GPS coordinates to the local ENU frame
+    const position = this.localFrame.toLocal(gpsData);
+    
+    this._processMeasurement({
+      type: 'gps',
+      timestamp: gpsData.timestamp,
+      position: position,
+      accuracy: gpsData.accuracy
+    });
     
-    // Update last update time
-    this.state.lastUpdate = now;
+    this._publishMetrics();
   }
   
   /**
@@ -139,50 +194,51 @@ class SensorFusion {
    * @param {object} imuData - IMU data
    */
   updateIMU(imuData) {
-    const now = Date.now();
-    
-    // Skip if data is too old
-    if (imuData.timestamp < this.lastSensorUpdate.imu) {
+    if (!this._acceptMeasurement('imu', imuData.timestamp)) {
       return;
     }
     
-    // Update timestamp
-    this.lastSensorUpdate.imu = imuData.timestamp;
-    
-    // Extract orientation data
-    const orientation = imuData.orientation;
-    
-    // Extract acceleration data
-    const acceleration = imuData.acceleration;
+    this._processMeasurement({
+      type: 'imu',
+      timestamp: imuData.timestamp,
+      orientation: imuData.orientation,
+      acceleration: imuData.acceleration,
+      angularVelocity: imuData.gyroscope
+    });
+  }
+  
+  /**
+   * Update with wheel odometry
+   * @param {object} odometryData - Per-wheel encoder ticks and wheel geometry
+   */
+  updateOdometry(odometryData) {
+    const previous = this.lastOdometry;
     
-    // Extract angular velocity data
-    const angularVelocity = imuData.gyroscope;
+    // Ticks are cumulative, the first message only sets the baseline
+    if (previous && odometryData.timestamp <= previous.timestamp) {
+      return;
+    }
     
-    // Calculate time delta
-    const dt = (now - this.state.lastUpdate) / 1000; // seconds
+    this.lastOdometry = odometryData;
     
-    // Skip if this is the first update
-    if (this.state.lastUpdate === 0) {
-      // Initialize orientation
-      this.state.orientation.roll = orientation.roll;
-      this.state.orientation.pitch = orientation.pitch;
-      this.state.orientation.yaw = orientation.yaw;
-      this.state.orientation.uncertainty = 0.1;
-      
-      // Initialize angular velocity
-      this.state.angularVelocity.roll = angularVelocity.x;
-      this.state.angularVelocity.pitch = angularVelocity.y;
-      this.state.angularVelocity.yaw = angularVelocity.z;
-      
-      this.state.lastUpdate = now;
+    if (!previous || !this._acceptMeasurement('odometry', odometryData.timestamp)) {
       return;
     }
     
-    // Apply Kalman filter
-    this._applyKalmanFilterIMU(orientation, acceleration, angularVelocity, dt);
+    const dt = (odometryData.timestamp - previous.timestamp) / 1000; // seconds
+    const metersPerTick = 2 * Math.PI * odometryData.wheelRadius / odometryData.ticksPerRevolution;
+    const travel = wheel => (odometryData.wheels[wheel].ticks - previous.wheels[wheel].ticks) * metersPerTick;
+    
+    // Differential drive: average each side, then the two sides
+    const left = (travel('frontLeft') + travel('rearLeft')) / 2;
+    const right = (travel('frontRight') + travel('rearRight')) / 2;
     
-    // Update last update time
-    this.state.lastUpdate = now;
+    this._processMeasurement({
+      type: 'odometry',
+      timestamp: odometryData.timestamp,
+      speed: (left + right) / 2 / dt,
+      yawRate: (right - left) / odometryData.trackWidth / dt
+    });
   }
   
   /**
@@ -223,6 +279,166 @@ class SensorFusion {
     // For this prototype, we'll just update the timestamp
   }
   
+  /**
+   * Check a measurement's timestamp and record it as the sensor's latest
+   * @param {string} sensor - Sensor name
+   * @param {number} timestamp - Measurement timestamp
+   * @returns {boolean} False if the measurement is too old to apply
+   * @private
+   */
+  _acceptMeasurement(sensor, timestamp) {
+    const newest = Math.max(this.lastSensorUpdate.gps, this.lastSensorUpdate.imu, this.lastSensorUpdate.odometry);
+    
+    if (timestamp < newest - this.maxMeasurementDelay) {
+      this.metrics.dropped++;
+      this.logger.debug(`Dropped ${sensor} measurement ${newest - timestamp} ms behind the newest`);
+      return false;
+    }
+    
+    this.lastSensorUpdate[sensor] = Math.max(this.lastSensorUpdate[sensor], timestamp);
+    return true;
+  }
+  
+  /**
+   * Apply a measurement in timestamp order, replaying history for late ones
+   * @param {object} measurement - Measurement ({ type, timestamp, ... })
+   * @private
+   */
+  _processMeasurement(measurement) {
+    if (measurement.timestamp >= this.state.lastUpdate) {
+      this._applyMeasurement(measurement);
+      this.history.push({ measurement, snapshot: this._takeSnapshot() });
+    } else {
+      this._replayFrom(measurement);
+    }
+    
+    // Keep one entry older than the delay window as the replay starting point
+    const horizon = this.state.lastUpdate - this.maxMeasurementDelay;
+    while (this.history.length > 1 &&
+           (this.history[1].measurement.timestamp <= horizon || this.history.length > MAX_HISTORY)) {
+      this.history.shift();
+    }
+  }
+  
+  /**
+   * Roll back to before a late measurement, apply it, and replay the rest
+   * @param {object} measurement - Late measurement
+   * @private
+   */
+  _replayFrom(measurement) {
+    const index = this.history.findIndex(entry => entry.measurement.timestamp > measurement.timestamp);
+    
+    // Nothing to roll back to (history older than the measurement was trimmed or cleared)
+    if (index <= 0) {
+      this.metrics.dropped++;
+      return;
+    }
+    
+    const later = this.history.splice(index);
+    this._restoreSnapshot(this.history[index - 1].snapshot);
+    
+    this._applyMeasurement(measurement);
+    this.history.push({ measurement, snapshot: this._takeSnapshot() });
+    
+    // Replayed measurements were already counted in the innovation metrics
+    this.replaying = true;
+    try {
+      later.forEach(entry => {
+        this._applyMeasurement(entry.measurement);
+        this.history.push({ measurement: entry.measurement, snapshot: this._takeSnapshot() });
+      });
+    } finally {
+      this.replaying = false;
+    }
+    
+    this.metrics.delayed++;
+  }
+  
+  /**
+   * Run one measurement through the filter
+   * @param {object} measurement - Measurement ({ type, timestamp, ... })
+   * @private
+   */
+  _applyMeasurement(measurement) {
+    const dt = (measurement.timestamp - this.state.lastUpdate) / 1000; // seconds
+    
+    switch (measurement.type) {
+      case 'gps':
+        if (!this.initialized.position) {
+          this._initializePosition(measurement.position, measurement.accuracy);
+        } else {
+          this._applyKalmanFilterGPS(measurement.position, measurement.accuracy, dt);
+        }
+        break;
+        
+      case 'imu':
+        if (!this.initialized.orientation) {
+          this._initializeOrientation(measurement.orientation, measurement.angularVelocity);
+        } else {
+          this._applyKalmanFilterIMU(
+            measurement.orientation,
+            measurement.acceleration,
+            measurement.angularVelocity,
+            dt
+          );
+        }
+        break;
+        
+      case 'odometry':
+        this._applyKalmanFilterOdometry(measurement.speed, measurement.yawRate, dt);
+        break;
+    }
+    
+    this.state.lastUpdate = measurement.timestamp;
+  }
+  
+  /**
+   * Seed the position from the first GPS fix
+   * @param {object} position - Local position
+   * @param {number} accuracy - Position accuracy in meters
+   * @private
+   */
+  _initializePosition(position, accuracy) {
+    const noise = this._getGpsNoise(accuracy);
+    const x = this._getStateVector();
+    
+    x[X] = position.x;
+    x[Y] = position.y;
+    x[Z] = position.z;
+    
+    [X, Y, Z].forEach((index, i) => this._resetCovariance(index, noise[i][i]));
+    
+    this._setStateVector(x);
+    this.initialized.position = true;
+  }
+  
+  /**
+   * Seed the orientation from the first IMU sample
+   * @param {object} orientation - Orientation data
+   * @param {object} angularVelocity - Angular velocity data
+   * @private
+   */
+  _initializeOrientation(orientation, angularVelocity) {
+    const x = this._getStateVector();
+    x[YAW] = orientation.yaw;
+    
+    this._resetCovariance(YAW, this.kalmanFilter.R.imu[2][2]);
+    this._setStateVector(x);
+    
+    this.state.orientation.roll = orientation.roll;
+    this.state.orientation.pitch = orientation.pitch;
+    this.state.orientation.yaw = orientation.yaw;
+    
+    this.state.angularVelocity = {
+      roll: angularVelocity.x,
+      pitch: angularVelocity.y,
+      yaw: angularVelocity.z - x[GYRO_BIAS],
+      uncertainty: Math.sqrt(this.kalmanFilter.P[GYRO_BIAS][GYRO_BIAS])
+    };
+    
+    this.initialized.orientation = true;
+  }
+  
   /**
    * Apply Kalman filter for GPS data
    * @param {object} position - Position data
@@ -231,36 +447,19 @@ class SensorFusion {
    * @private
    */
   _applyKalmanFilterGPS(position, accuracy, dt) {
-    // In a real implementation, this would apply an Extended Kalman Filter
-    // For this prototype, we'll use a simplified approach
-    
-    // Predict step
-    // Update position based on velocity
-    const predictedPosition = {
-      x: this.state.position.x + this.state.velocity.x * dt,
-      y: this.state.position.y + this.state.velocity.y * dt,
-      z: this.state.position.z + this.state.velocity.z * dt
-    };
-    
-    // Update uncertainty
-    const predictedUncertainty = this.state.position.uncertainty + 0.1 * dt;
-    
-    // Update step
-    // Calculate Kalman gain
-    const kalmanGain = predictedUncertainty / (predictedUncertainty + accuracy);
+    // Predict with constant velocity up to the fix
+    this._predict(dt);
     
-    // Update position
-    this.state.position.x = predictedPosition.x + kalmanGain * (position.x - predictedPosition.x);
-    this.state.position.y = predictedPosition.y + kalmanGain * (position.y - predictedPosition.y);
-    this.state.position.z = predictedPosition.z + kalmanGain * (position.z - predictedPosition.z);
+    // Correct position
+    const x = this._getStateVector();
+    const H = matrix.zeros(3, STATE_SIZE);
+    H[0][X] = 1;
+    H[1][Y] = 1;
+    H[2][Z] = 1;
     
-    // Update uncertainty
-    this.state.position.uncertainty = (1 - kalmanGain) * predictedUncertainty;
+    const innovation = [position.x - x[X], position.y - x[Y], position.z - x[Z]];
     
-    // Update velocity
-    this.state.velocity.x = (this.state.position.x - predictedPosition.x) / dt;
-    this.state.velocity.y = (this.state.position.y - predictedPosition.y) / dt;
-    this.state.velocity.z = (this.state.position.z - predictedPosition.z) / dt;
+    this._correct('gps', innovation, H, this._getGpsNoise(accuracy));
   }
   
   /**
@@ -272,45 +471,172 @@ class SensorFusion {
    * @private
    */
   _applyKalmanFilterIMU(orientation, acceleration, angularVelocity, dt) {
-    // In a real implementation, this would apply an Extended Kalman Filter
-    // For this prototype, we'll use a simplified approach
-    
-    // Predict step
-    // Update orientation based on angular velocity
-    const predictedOrientation = {
-      roll: this.state.orientation.roll + this.state.angularVelocity.roll * dt,
-      pitch: this.state.orientation.pitch + this.state.angularVelocity.pitch * dt,
-      yaw: this.state.orientation.yaw + this.state.angularVelocity.yaw * dt
+    // Predict with the sample's acceleration and yaw rate as control inputs
+    const state = this._getStateVector();
+    const bias = state[GYRO_BIAS];
+    this._predict(dt, {
+      acceleration: this._toWorldAcceleration(acceleration, orientation, state[YAW]),
+      yawRate: angularVelocity.z,
+      gyro: true
+    });
+    
+    // Roll and pitch come straight from the IMU's attitude solution, only yaw is estimated
+    this.state.orientation.roll = orientation.roll;
+    this.state.orientation.pitch = orientation.pitch;
+    
+    // Rates as used for the prediction, with the gyro bias removed from yaw
+    this.state.angularVelocity = {
+      roll: angularVelocity.x,
+      pitch: angularVelocity.y,
+      yaw: angularVelocity.z - bias,
+      uncertainty: Math.sqrt(this.kalmanFilter.P[GYRO_BIAS][GYRO_BIAS])
     };
     
-    // Update uncertainty
-    const predictedUncertainty = this.state.orientation.uncertainty + 0.01 * dt;
+    // Correct yaw
+    const x = this._getStateVector();
+    const H = matrix.zeros(1, STATE_SIZE);
+    H[0][YAW] = 1;
+    
+    const innovation = [this._normalizeAngle(orientation.yaw - x[YAW])];
+    
+    this._correct('imu', innovation, H, [[this.kalmanFilter.R.imu[2][2]]]);
+  }
+  
+  /**
+   * Apply Kalman filter for wheel odometry
+   * @param {number} speed - Forward speed in m/s
+   * @param {number} yawRate - Yaw rate from the wheel speed difference in rad/s
+   * @param {number} dt - Time delta in seconds
+   * @private
+   */
+  _applyKalmanFilterOdometry(speed, yawRate, dt) {
+    // Predict with the wheels' yaw rate as control input
+    this._predict(dt, { yawRate });
+    
+    // Correct velocity: the wheels measure forward speed and no sideways motion
+    const x = this._getStateVector();
+    const cosYaw = Math.cos(x[YAW]);
+    const sinYaw = Math.sin(x[YAW]);
+    const forward = cosYaw * x[VX] + sinYaw * x[VY];
+    const lateral = -sinYaw * x[VX] + cosYaw * x[VY];
+    
+    const H = matrix.zeros(2, STATE_SIZE);
+    H[0][VX] = cosYaw;
+    H[0][VY] = sinYaw;
+    H[0][YAW] = lateral;
+    H[1][VX] = -sinYaw;
+    H[1][VY] = cosYaw;
+    H[1][YAW] = -forward;
+    
+    const innovation = [speed - forward, -lateral];
+    
+    this._correct('odometry', innovation, H, this.kalmanFilter.R.odometry);
+  }
+  
+  /**
+   * EKF predict step
+   * @param {number} dt - Time delta in seconds
+   * @param {object} control - Control inputs: local-frame acceleration, yaw rate,
+   *   and whether the yaw rate is from the gyro (and so carries its bias)
+   * @private
+   */
+  _predict(dt, control = {}) {
+    if (dt <= 0) {
+      return;
+    }
+    
+    const x = this._getStateVector();
+    const F = matrix.identity(STATE_SIZE);
+    F[X][VX] = dt;
+    F[Y][VY] = dt;
+    F[Z][VZ] = dt;
     
-    // Update step
-    // Calculate Kalman gain
-    const kalmanGain = predictedUncertainty / (predictedUncertainty + 0.1);
+    const acceleration = control.acceleration || { x: 0, y: 0, z: 0 };
     
-    // Update orientation
-    this.state.orientation.roll = predictedOrientation.roll + kalmanGain * (orientation.roll - predictedOrientation.roll);
-    this.state.orientation.pitch = predictedOrientation.pitch + kalmanGain * (orientation.pitch - predictedOrientation.pitch);
-    this.state.orientation.yaw = predictedOrientation.yaw + kalmanGain * (orientation.yaw - predictedOrientation.yaw);
+    if (control.acceleration) {
+      // Yaw rotates the horizontal acceleration
+      F[X][YAW] = -0.5 * acceleration.y * dt * dt;
+      F[Y][YAW] = 0.5 * acceleration.x * dt * dt;
+      F[VX][YAW] = -acceleration.y * dt;
+      F[VY][YAW] = acceleration.x * dt;
+    }
     
-    // Update uncertainty
-    this.state.orientation.uncertainty = (1 - kalmanGain) * predictedUncertainty;
+    if (control.gyro) {
+      F[YAW][GYRO_BIAS] = -dt;
+    }
     
-    // Update angular velocity
-    this.state.angularVelocity.roll = angularVelocity.x;
-    this.state.angularVelocity.pitch = angularVelocity.y;
-    this.state.angularVelocity.yaw = angularVelocity.z;
+    const predicted = x.slice();
+    predicted[X] += x[VX] * dt + 0.5 * acceleration.x * dt * dt;
+    predicted[Y] += x[VY] * dt + 0.5 * acceleration.y * dt * dt;
+    predicted[Z] += x[VZ] * dt + 0.5 * acceleration.z * dt * dt;
+    predicted[VX] += acceleration.x * dt;
+    predicted[VY] += acceleration.y * dt;
+    predicted[VZ] += acceleration.z * dt;
+    
+    if (control.yawRate !== undefined) {
+      const yawRate = control.gyro ? control.yawRate - x[GYRO_BIAS] : control.yawRate;
+      predicted[YAW] = this._normalizeAngle(x[YAW] + yawRate * dt);
+    }
     
-    // Update velocity based on acceleration
-    // First, transform acceleration from body frame to world frame
-    const cosRoll = Math.cos(this.state.orientation.roll);
-    const sinRoll = Math.sin(this.state.orientation.roll);
-    const cosPitch = Math.cos(this.state.orientation.pitch);
-    const sinPitch = Math.sin(this.state.orientation.pitch);
-    const cosYaw = Math.cos(this.state.orientation.yaw);
-    const sinYaw = Math.sin(this.state.orientation.yaw);
+    // P = F P F' + Q dt
+    const P = matrix.add(
+      matrix.multiply(matrix.multiply(F, this.kalmanFilter.P), matrix.transpose(F)),
+      matrix.scale(this.kalmanFilter.Q, dt)
+    );
+    this.kalmanFilter.P = matrix.symmetrize(P);
+    
+    this._setStateVector(predicted);
+  }
+  
+  /**
+   * EKF update step
+   * @param {string} sensor - Sensor name for the metrics
+   * @param {Array<number>} innovation - Measurement minus prediction
+   * @param {Array<Array<number>>} H - Measurement Jacobian
+   * @param {Array<Array<number>>} R - Measurement noise covariance
+   * @private
+   */
+  _correct(sensor, innovation, H, R) {
+    const P = this.kalmanFilter.P;
+    const PHt = matrix.multiply(P, matrix.transpose(H));
+    const S = matrix.add(matrix.multiply(H, PHt), R);
+    const SInverse = matrix.inverse(S);
+    const K = matrix.multiply(PHt, SInverse);
+    
+    const y = innovation.map(value => [value]);
+    const correction = matrix.multiply(K, y);
+    const x = this._getStateVector().map((value, i) => value + correction[i][0]);
+    x[YAW] = this._normalizeAngle(x[YAW]);
+    
+    // Joseph form keeps P symmetric and positive definite
+    const IKH = matrix.subtract(matrix.identity(STATE_SIZE), matrix.multiply(K, H));
+    this.kalmanFilter.P = matrix.symmetrize(matrix.add(
+      matrix.multiply(matrix.multiply(IKH, P), matrix.transpose(IKH)),
+      matrix.multiply(matrix.multiply(K, R), matrix.transpose(K))
+    ));
+    
+    this._setStateVector(x);
+    
+    // Normalized innovation squared
+    const nis = matrix.multiply(matrix.multiply(matrix.transpose(y), SInverse), y)[0][0];
+    this._recordInnovation(sensor, innovation, nis);
+  }
+  
+  /**
+   * Rotate a body-frame accelerometer sample into the local frame and remove gravity
+   * @param {object} acceleration - Body-frame acceleration
+   * @param {object} orientation - Roll and pitch from the IMU
+   * @param {number} yaw - Estimated yaw
+   * @returns {object} Local-frame acceleration
+   * @private
+   */
+  _toWorldAcceleration(acceleration, orientation, yaw) {
+    const cosRoll = Math.cos(orientation.roll);
+    const sinRoll = Math.sin(orientation.roll);
+    const cosPitch = Math.cos(orientation.pitch);
+    const sinPitch = Math.sin(orientation.pitch);
+    const cosYaw = Math.cos(yaw);
+    const sinYaw = Math.sin(yaw);
     
     // Rotation matrix from body frame to world frame
     const R = [
@@ -319,21 +645,276 @@ class SensorFusion {
       [-sinPitch, cosPitch * sinRoll, cosPitch * cosRoll]
     ];
     
-    // Transform acceleration
-    const worldAcceleration = {
+    return {
       x: R[0][0] * acceleration.x + R[0][1] * acceleration.y + R[0][2] * acceleration.z,
       y: R[1][0] * acceleration.x + R[1][1] * acceleration.y + R[1][2] * acceleration.z,
-      z: R[2][0] * acceleration.x + R[2][1] * acceleration.y + R[2][2] * acceleration.z - 9.81 // Subtract gravity
+      z: R[2][0] * acceleration.x + R[2][1] * acceleration.y + R[2][2] * acceleration.z - GRAVITY
     };
+  }
+  
+  /**
+   * GPS measurement noise for a reported accuracy
+   * @param {number} accuracy - Horizontal accuracy in meters
+   * @returns {Array<Array<number>>} Measurement noise covariance
+   * @private
+   */
+  _getGpsNoise(accuracy) {
+    const R = this.kalmanFilter.R.gps;
+    
+    if (!accuracy) {
+      return matrix.clone(R);
+    }
     
-    // Update velocity
-    this.state.velocity.x += worldAcceleration.x * dt;
-    this.state.velocity.y += worldAcceleration.y * dt;
-    this.state.velocity.z += worldAcceleration.z * dt;
+    // Scale the declared noise so the horizontal variance matches the reported accuracy
+    return matrix.scale(R, (accuracy * accuracy) / R[0][0]);
+  }
+  
+  /**
+   * Replace a state's variance and drop its correlations
+   * @param {number} index - State index
+   * @param {number} variance - New variance
+   * @private
+   */
+  _resetCovariance(index, variance) {
+    const P = this.kalmanFilter.P;
+    
+    for (let i = 0; i < STATE_SIZE; i++) {
+      P[index][i] = 0;
+      P[i][index] = 0;
+    }
+    P[index][index] = variance;
+  }
+  
+  /**
+   * Read the filter state vector from the state
+   * @returns {Array<number>} State vector
+   * @private
+   */
+  _getStateVector() {
+    const { position = {}, velocity = {}, orientation = {} } = this.state;
+    
+    return [
+      position.x || 0,
+      position.y || 0,
+      position.z || 0,
+      velocity.x || 0,
+      velocity.y || 0,
+      velocity.z || 0,
+      orientation.yaw || 0,
+      this.state.gyroBias || 0
+    ];
+  }
+  
+  /**
+   * Write the filter state vector and its uncertainties back to the state
+   * @param {Array<number>} x - State vector
+   * @private
+   */
+  _setStateVector(x) {
+    const P = this.kalmanFilter.P;
+    
+    this.state.position = {
+      ...this.state.position,
+      x: x[X],
+      y: x[Y],
+      z: x[Z],
+      uncertainty: Math.sqrt(Math.max(P[X][X], P[Y][Y]))
+    };
+    this.state.velocity = {
+      ...this.state.velocity,
+      x: x[VX],
+      y: x[VY],
+      z: x[VZ],
+      uncertainty: Math.sqrt(Math.max(P[VX][VX], P[VY][VY]))
+    };
+    this.state.orientation = {
+      ...this.state.orientation,
+      yaw: x[YAW],
+      uncertainty: Math.sqrt(P[YAW][YAW])
+    };
+    this.state.gyroBias = x[GYRO_BIAS];
+    this.state.covariance = matrix.clone(P);
+  }
+  
+  /**
+   * Copy the filter state for replay
+   * @returns {object} Snapshot
+   * @private
+   */
+  _takeSnapshot() {
+    return {
+      state: {
+        position: { ...this.state.position },
+        orientation: { ...this.state.orientation },
+        velocity: { ...this.state.velocity },
+        angularVelocity: { ...this.state.angularVelocity },
+        gyroBias: this.state.gyroBias,
+        lastUpdate: this.state.lastUpdate
+      },
+      P: matrix.clone(this.kalmanFilter.P),
+      initialized: { ...this.initialized }
+    };
+  }
+  
+  /**
+   * Restore the filter state from a snapshot
+   * @param {object} snapshot - Snapshot from _takeSnapshot
+   * @private
+   */
+  _restoreSnapshot(snapshot) {
+    this.state = {
+      position: { ...snapshot.state.position },
+      orientation: { ...snapshot.state.orientation },
+      velocity: { ...snapshot.state.velocity },
+      angularVelocity: { ...snapshot.state.angularVelocity },
+      gyroBias: snapshot.state.gyroBias,
+      covariance: matrix.clone(snapshot.P),
+      lastUpdate: snapshot.state.lastUpdate
+    };
+    this.kalmanFilter.P = matrix.clone(snapshot.P);
+    this.initialized = { ...snapshot.initialized };
+  }
+  
+  /**
+   * Create empty innovation metrics for a sensor
+   * @returns {object} Sensor metrics
+   * @private
+   */
+  _createSensorMetrics() {
+    return {
+      updates: 0,
+      innovation: null,
+      nis: null,
+      averageNis: null,
+      consistent: true
+    };
+  }
+  
+  /**
+   * Track the innovation and NIS of an update
+   * The smoothed NIS of a consistent filter stays near the measurement
+   * dimension; well above its 95% bound means the filter is overconfident
+   * or the measurements disagree with the model.
+   * @param {string} sensor - Sensor name
+   * @param {Array<number>} innovation - Innovation vector
+   * @param {number} nis - Normalized innovation squared
+   * @private
+   */
+  _recordInnovation(sensor, innovation, nis) {
+    if (this.replaying) {
+      return;
+    }
+    
+    const metrics = this.metrics[sensor];
+    metrics.updates++;
+    metrics.innovation = innovation.slice();
+    metrics.nis = nis;
+    metrics.averageNis = metrics.averageNis === null ?
+      nis :
+      metrics.averageNis + this.nisSmoothing * (nis - metrics.averageNis);
+    metrics.consistent = metrics.updates < MIN_CONSISTENCY_UPDATES ||
+      metrics.averageNis <= CHI_SQUARE_95[innovation.length];
+    
+    const diverging = ['gps', 'imu', 'odometry'].some(name => !this.metrics[name].consistent);
+    
+    if (diverging !== this.metrics.diverging) {
+      this.metrics.diverging = diverging;
+      
+      if (diverging) {
+        this.logger.warn(`Sensor fusion diverging: ${sensor} average NIS ${metrics.averageNis.toFixed(2)}`);
+      } else {
+        this.logger.info('Sensor fusion consistent again');
+      }
+    }
+  }
+  
+  /**
+   * Publish the innovation and consistency metrics
+   * @private
+   */
+  _publishMetrics() {
+    eventBus.publish('sensor.fusion.metrics', {
+      ...this.getMetrics(),
+      timestamp: Date.now()
+    });
+  }
+  
+  /**
+   * Normalize angle to -PI to PI
+   * @private
+   */
+  _normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+  }
+  
+  /**
+   * Set the local frame datum origin
+   * Any position already estimated is carried over to the new frame.
+   * @param {object} datum - Datum origin ({ latitude, longitude, altitude })
+   * @param {string} source - What set the datum ('gps', 'config' or 'user')
+   */
+  setDatum(datum, source = 'user') {
+    const hadPosition = this.localFrame.hasOrigin() && this.initialized.position;
+    const geodetic = hadPosition ? this.localFrame.toGeodetic(this.state.position) : null;
+    
+    this.localFrame.setOrigin(datum);
+    
+    if (geodetic) {
+      const position = this.localFrame.toLocal(geodetic);
+      this.state.position.x = position.x;
+      this.state.position.y = position.y;
+      this.state.position.z = position.z;
+    }
+    
+    // Snapshots hold positions in the old frame
+    this.history = [];
+    
+    const origin = this.localFrame.getOrigin();
+    this.logger.info(`Datum set from ${source}: ${origin.latitude.toFixed(7)}, ${origin.longitude.toFixed(7)}, ${origin.altitude.toFixed(1)} m`);
+    
+    eventBus.publish('sensor.datum.updated', {
+      datum: origin,
+      source: source,
+      timestamp: Date.now()
+    });
+  }
+  
+  /**
+   * Get the local frame datum origin
+   * @returns {object|null} Datum origin, or null until set
+   */
+  getDatum() {
+    return this.localFrame.getOrigin();
+  }
+  
+  /**
+   * Get the local frame used for GPS positions
+   * @returns {LocalFrame} Local frame
+   */
+  getLocalFrame() {
+    return this.localFrame;
+  }
+  
+  /**
+   * Get the innovation and consistency metrics
+   * @returns {object} Per-sensor innovation, NIS and smoothed NIS, plus delayed/dropped counts
+   */
+  getMetrics() {
+    const copy = metrics => ({ ...metrics, innovation: metrics.innovation && metrics.innovation.slice() });
+    
+    return {
+      gps: copy(this.metrics.gps),
+      imu: copy(this.metrics.imu),
+      odometry: copy(this.metrics.odometry),
+      delayed: this.metrics.delayed,
+      dropped: this.metrics.dropped,
+      diverging: this.metrics.diverging
+    };
   }
   
   /**
    * Get current position and orientation
+   * The covariance rows and columns follow SensorFusion.STATE_ORDER.
    * @returns {object} Position and orientation data
    */
   getPositionAndOrientation() {
@@ -342,9 +923,11 @@ class SensorFusion {
       orientation: { ...this.state.orientation },
       velocity: { ...this.state.velocity },
       angularVelocity: { ...this.state.angularVelocity },
+      gyroBias: this.state.gyroBias,
+      covariance: this.state.covariance && matrix.clone(this.state.covariance),
       timestamp: this.state.lastUpdate
     };
   }
 }
 
-module.exports = SensorFusion;
\ No newline at end of file
+module.exports = SensorFusion;
@@ -188,6 +188,234 @@ describe('MotorController Integration Tests', () => {
     });
   });
   
+  describe('Skid Steer', () => {
+    test('should reverse up to the maximum reverse speed', () => {
+      // Execute
+      motorController.setTargetSpeed(-20);
+      
+      // Verify - half the forward maximum by default
+      expect(motorController.motion.targetSpeed).toBeCloseTo(-5.0, 5);
+      
+      motorController.motion.speed = -2.0;
+      motorController.setTargetSpeed(0);
+      motorController._updateVehicleSpeed();
+      
+      // Stopping from reverse is braking
+      expect(motorController.motion.acceleration).toBeCloseTo(4.0, 5);
+      expect(motorController.motion.speed).toBeGreaterThan(-2.0);
+      expect(motorController.motion.speed).toBeLessThanOrEqual(0);
+    });
+    
+    test('should drive each side from the linear and angular velocity', () => {
+      // Setup - 1 m/s turning left at 1 rad/s across the 0.9m track
+      motorController.setVelocityCommand(1.0, 1.0);
+      motorController.motion.speed = 1.0;
+      
+      // Execute
+      motorController._calculateMotorSpeeds();
+      
+      // Verify - normalized by the 10 m/s maximum
+      expect(motorController.motors.frontLeft.targetSpeed).toBeCloseTo(0.055, 5);
+      expect(motorController.motors.rearLeft.targetSpeed).toBeCloseTo(0.055, 5);
+      expect(motorController.motors.frontRight.targetSpeed).toBeCloseTo(0.145, 5);
+      expect(motorController.motors.rearRight.targetSpeed).toBeCloseTo(0.145, 5);
+      expect(motorController.motion.angularVelocity).toBeCloseTo(1.0, 5);
+      expect(motorController.getStatus().motion.commandMode).toBe('velocity');
+    });
+    
+    test('should counter-rotate the sides to pivot on the spot', () => {
+      // Setup - turn right on the spot
+      motorController.setVelocityCommand(0, -0.8);
+      
+      // Execute
+      motorController._calculateMotorSpeeds();
+      
+      // Verify
+      expect(motorController.motors.frontLeft.targetSpeed).toBeCloseTo(0.036, 5);
+      expect(motorController.motors.frontRight.targetSpeed).toBeCloseTo(-0.036, 5);
+      
+      // A stop limit holds the pivot too
+      motorController.setSpeedLimit('speedZones', 0, 'Person in protective zone');
+      motorController._calculateMotorSpeeds();
+      
+      expect(motorController.motors.frontLeft.targetSpeed).toBeCloseTo(0, 5);
+      expect(motorController.motors.frontRight.targetSpeed).toBeCloseTo(0, 5);
+    });
+    
+    test('should limit and validate velocity commands', () => {
+      expect(motorController.setVelocityCommand(1.0, 5.0)).toBe(true);
+      expect(motorController.motion.targetAngularVelocity).toBe(1.0);
+      
+      expect(motorController.setVelocityCommand('fast', 0)).toBe(false);
+      
+      // A steering direction switches back to steering mode
+      motorController.setTargetDirection(0.2);
+      expect(motorController.motion.commandMode).toBe('steering');
+    });
+  });
+  
+  describe('Traction Control', () => {
+    let tractionController;
+    let sensorManager;
+    
+    beforeEach(() => {
+      // Driving straight ahead at 1 m/s over the ground
+      sensorManager = {
+        getPositionAndOrientation: jest.fn(() => ({
+          velocity: { x: 1.0, y: 0, z: 0 },
+          orientation: { roll: 0, pitch: 0, yaw: 0 },
+          angularVelocity: { roll: 0, pitch: 0, yaw: 0 },
+          timestamp: Date.now()
+        }))
+      };
+      
+      // Not initialized, so no control loop runs
+      tractionController = new MotorController(sensorManager);
+      
+      Object.keys(tractionController.motors).forEach(motor => {
+        tractionController.motors[motor].speed = 0.1;
+        tractionController.motors[motor].targetSpeed = 0.12;
+      });
+    });
+    
+    test('should push each wheel towards its target on its measured speed', () => {
+      // Setup
+      tractionController.motorDriver.write = jest.fn();
+      tractionController.motorDriver.read = jest.fn(() => null);
+      tractionController.motors.frontLeft.speed = 0.05;
+      tractionController.motors.frontRight.speed = 0.12;
+      
+      // Execute
+      tractionController._applyMotorSpeeds();
+      
+      // Verify - the lagging wheel is driven harder, the one on target is not
+      const setpoints = tractionController.motorDriver.write.mock.calls[0][0];
+      expect(setpoints.frontLeft).toBeGreaterThan(0.12);
+      expect(setpoints.frontRight).toBeCloseTo(0.12, 5);
+    });
+    
+    test('should detect a spinning wheel and shift its drive to the other wheel on its side', () => {
+      const events = [];
+      eventBus.subscribe('motor.slip.detected', (data) => events.push(data));
+      eventBus.subscribe('motor.slip.cleared', (data) => events.push(data));
+      
+      // Front left spins at 2 m/s
+      tractionController.motors.frontLeft.speed = 0.2;
+      tractionController._updateTraction();
+      
+      // Not until it has slipped for a while
+      expect(tractionController.getTraction().wheels.frontLeft).toMatchObject({ slipping: false, slipRatio: 0.5 });
+      
+      jest.advanceTimersByTime(250);
+      tractionController.motors.frontLeft.targetSpeed = 0.12;
+      tractionController._updateTraction();
+      
+      // Verify - held 10% over ground speed, with the partner taking over
+      expect(events).toEqual([expect.objectContaining({ motor: 'frontLeft', slipRatio: 0.5, wheelSpeed: 2.0, groundSpeed: 1.0 })]);
+      expect(tractionController.motors.frontLeft.targetSpeed).toBeCloseTo(0.11, 5);
+      expect(tractionController.motors.rearLeft.targetSpeed).toBeCloseTo(0.13, 5);
+      expect(tractionController.motors.frontRight.targetSpeed).toBeCloseTo(0.12, 5);
+      expect(tractionController.getTraction().wheels.rearLeft.redistribution).toBeCloseTo(0.1, 5);
+      
+      // Grip is back
+      tractionController.motors.frontLeft.speed = 0.1;
+      tractionController._updateTraction();
+      jest.advanceTimersByTime(600);
+      tractionController._updateTraction();
+      
+      expect(events[1]).toMatchObject({ motor: 'frontLeft' });
+      expect(tractionController.getTraction().wheels.frontLeft.slipping).toBe(false);
+    });
+    
+    test('should not judge slip without a recent ground speed', () => {
+      sensorManager.getPositionAndOrientation.mockReturnValue({
+        velocity: { x: 1.0, y: 0, z: 0 },
+        orientation: { roll: 0, pitch: 0, yaw: 0 },
+        timestamp: Date.now() - 2000
+      });
+      tractionController.motors.frontLeft.speed = 0.5;
+      
+      tractionController._updateTraction();
+      
+      expect(tractionController.getTraction()).toMatchObject({ groundSpeed: null });
+      expect(tractionController.getTraction().wheels.frontLeft.slipRatio).toBe(0);
+    });
+  });
+  
+  describe('Speed Limits', () => {
+    test('should apply the lowest speed limit until its source clears it', () => {
+      // Setup
+      motorController.setSpeedLimit('geofence', 2.0, 'Approaching the field boundary');
+      motorController.setSpeedLimit('localization', 1.0, 'Position uncertain');
+      
+      // Verify
+      expect(motorController.getSpeedLimit()).toMatchObject({ source: 'localization', limit: 1.0, reason: 'Position uncertain' });
+      
+      // Clear the lower limit
+      motorController.clearSpeedLimit('localization');
+      expect(motorController.getSpeedLimit()).toMatchObject({ source: 'geofence', limit: 2.0 });
+      
+      motorController.clearSpeedLimit('geofence');
+      expect(motorController.getSpeedLimit()).toBeNull();
+      
+      // Reject invalid limits
+      expect(motorController.setSpeedLimit('geofence', -1, 'Invalid')).toBe(false);
+    });
+    
+    test('should slow down to the speed limit below the target speed', () => {
+      // Setup
+      motorController.motion.speed = 3.0;
+      motorController.motion.targetSpeed = 5.0;
+      motorController.setSpeedLimit('geofence', 0, 'Approaching the field boundary');
+      
+      // Execute
+      motorController._updateVehicleSpeed();
+      
+      // Verify - braking, with the target itself left alone
+      expect(motorController.motion.acceleration).toBeCloseTo(-4.0, 5);
+      expect(motorController.motion.speed).toBeLessThan(3.0);
+      expect(motorController.motion.targetSpeed).toBe(5.0);
+    });
+    
+    test('should leave reversing and turning on the spot free under a forward limit', () => {
+      // Setup - stopped at the geofence, facing it
+      motorController.setSpeedLimit('geofence', 0, 'Approaching the field boundary', 'forward');
+      expect(motorController.getSpeedLimit('forward')).toMatchObject({ source: 'geofence', limit: 0 });
+      expect(motorController.getSpeedLimit('reverse')).toBeNull();
+
+      // Forward is held
+      motorController.setTargetSpeed(1.0);
+      motorController._updateVehicleSpeed();
+      expect(motorController.motion.speed).toBe(0);
+
+      // Backing off is not
+      motorController.setTargetSpeed(-1.0);
+      motorController._updateVehicleSpeed();
+      expect(motorController.motion.speed).toBeLessThan(0);
+
+      // Nor is turning on the spot
+      motorController.motion.speed = 0;
+      motorController.setVelocityCommand(0, 0.5);
+      motorController._updateVehicleSpeed();
+      motorController._calculateMotorSpeeds();
+      expect(motorController.motors.frontLeft.targetSpeed).toBeLessThan(0);
+      expect(motorController.motors.frontRight.targetSpeed).toBeGreaterThan(0);
+
+      // Reject unknown directions
+      expect(motorController.setSpeedLimit('geofence', 0, 'Invalid', 'sideways')).toBe(false);
+    });
+
+    test('should size the stopping distance by the deceleration limit', () => {
+      // Braking at 4 m/s² from 4 m/s takes 2 m
+      expect(motorController.getStoppingDistance(4.0)).toBeCloseTo(2.0, 5);
+      expect(motorController.getStoppingSpeed(2.0)).toBeCloseTo(4.0, 5);
+      
+      // Driving on at 2 m/s for 0.5 s before braking uses 1 m of it
+      expect(motorController.getStoppingSpeed(1.5, 0.5)).toBeCloseTo(2.0, 5);
+      expect(motorController.getStoppingSpeed(0, 0.5)).toBe(0);
+    });
+  });
+  
   describe('Safety Features', () => {
     test('should stop motors when emergency stop is activated', () => {
       // Setup - set a speed
@@ -228,60 +456,96 @@ describe('MotorController Integration Tests', () => {
       );
     });
     
-    test('should reduce power when motor overheating is detected', () => {
-      // Setup - set a speed
-      motorController.setTargetSpeed(5.0);
-      
-      // Advance time to reach speed
-      for (let i = 0; i < 30; i++) {
-        jest.advanceTimersByTime(20);
-      }
-      
-      // Get initial max speed
-      const initialMaxSpeed = motorController.motion.maxSpeed;
+    test('should derate only the overheating motor and release it once cooled', () => {
+      const temperatures = (frontLeft) => ({
+        motorFrontLeft: frontLeft,
+        motorFrontRight: 40,
+        motorRearLeft: 40,
+        motorRearRight: 40
+      });
+      
+      // Between the warning (60°C) and critical (80°C) thresholds
+      motorController._updateMotorTemperatures(temperatures(75));
+      
+      let derating = motorController.getStatus().derating;
+      expect(derating.motors.frontLeft.factor).toBeCloseTo(1 - 0.7 * 15 / 20, 5);
+      expect(derating.motors.frontLeft.reasons).toEqual(['temperature 75°C']);
+      expect(derating.motors.frontRight.factor).toBe(1);
+      
+      // The vehicle is limited by its hottest motor, its maximum speed is untouched
+      expect(motorController.motion.maxSpeed).toBe(10);
+      expect(motorController.getSpeedLimit()).toMatchObject({
+        source: 'derating',
+        reason: 'frontLeft motor temperature 75°C'
+      });
+      expect(motorController.getSpeedLimit().limit).toBeCloseTo(10 * derating.motors.frontLeft.factor, 5);
+      
+      // Cooling down is released with 5°C hysteresis
+      motorController._updateMotorTemperatures(temperatures(58));
+      expect(motorController.getDerating().motors.frontLeft.factor).toBeCloseTo(1 - 0.7 * 3 / 20, 5);
+      
+      motorController._updateMotorTemperatures(temperatures(54));
+      derating = motorController.getDerating();
+      expect(derating.motors.frontLeft.factor).toBe(1);
+      expect(derating.speedFactor).toBe(1);
+      expect(motorController.getSpeedLimit()).toBeNull();
+    });
+    
+    test('should derate acceleration while a motor draws too much current', () => {
+      motorController._updateMotorCurrents({
+        motorCurrents: { frontLeft: 5, frontRight: 12.5, rearLeft: 5, rearRight: 5 }
+      });
       
-      // Simulate overheating by directly calling the handler
-      motorController._handleSafetyEvent('overTemperature');
+      expect(motorController.safetyFlags.overCurrent).toBe(true);
+      expect(motorController.getDerating().accelerationFactor).toBeCloseTo(0.75, 5);
       
-      // Verify max speed is reduced
-      expect(motorController.motion.maxSpeed).toBeLessThan(initialMaxSpeed);
+      motorController.setTargetSpeed(5.0);
+      jest.advanceTimersByTime(100);
       
-      // Verify event was published
-      expect(eventBus.publish).toHaveBeenCalledWith(
-        'safety.event',
-        expect.objectContaining({
-          eventType: 'overTemperature',
-          severity: 'warning'
-        })
-      );
+      // Acceleration is held to the derated limit, its maximum is untouched
+      expect(motorController.motion.maxAcceleration).toBe(2.0);
+      expect(motorController.motion.acceleration).toBeCloseTo(1.5, 5);
     });
     
-    test('should reduce acceleration when motor overcurrent is detected', () => {
-      // Setup - set a speed
+    test('should isolate a faulted motor into limp mode until its fault is reset', () => {
+      const write = jest.spyOn(motorController.motorDriver, 'write');
+      const currents = (rearLeft) => ({
+        motorCurrents: { frontLeft: 5, frontRight: 5, rearLeft: rearLeft, rearRight: 5 }
+      });
+      
+      motorController._updateMotorCurrents(currents(25));
+      
+      expect(motorController.safetyFlags.motorFault).toBe(true);
+      expect(motorController.motors.rearLeft.health).toBe('fault');
+      expect(motorController.getDerating()).toMatchObject({
+        limpMode: true,
+        motors: { rearLeft: { factor: 0, isolated: true, fault: 'current 25.0 A' } }
+      });
+      expect(motorController.getSpeedLimit()).toMatchObject({
+        source: 'derating',
+        reason: 'rearLeft motor isolated (current 25.0 A), limp mode'
+      });
+      expect(motorController.getSpeedLimit().limit).toBeCloseTo(3, 5);
+      
+      // The isolated motor is no longer driven
       motorController.setTargetSpeed(5.0);
+      jest.advanceTimersByTime(200);
       
-      // Advance time to reach speed
-      for (let i = 0; i < 30; i++) {
-        jest.advanceTimersByTime(20);
-      }
-      
-      // Get initial max acceleration
-      const initialMaxAcceleration = motorController.motion.maxAcceleration;
+      const setpoints = write.mock.calls[write.mock.calls.length - 1][0];
+      expect(setpoints.rearLeft).toBe(0);
+      expect(setpoints.frontLeft).toBeGreaterThan(0);
       
-      // Simulate overcurrent by directly calling the handler
-      motorController._handleSafetyEvent('overCurrent');
+      // Stays isolated when the current drops, until reset
+      motorController._updateMotorCurrents(currents(30));
+      expect(motorController.resetMotorFault('rearLeft')).toBe(false);
       
-      // Verify max acceleration is reduced
-      expect(motorController.motion.maxAcceleration).toBeLessThan(initialMaxAcceleration);
+      motorController._updateMotorCurrents(currents(5));
+      expect(motorController.safetyFlags.motorFault).toBe(true);
       
-      // Verify event was published
-      expect(eventBus.publish).toHaveBeenCalledWith(
-        'safety.event',
-        expect.objectContaining({
-          eventType: 'overCurrent',
-          severity: 'warning'
-        })
-      );
+      expect(motorController.resetMotorFault('rearLeft')).toBe(true);
+      expect(motorController.safetyFlags.motorFault).toBe(false);
+      expect(motorController.getDerating().motors.rearLeft.factor).toBe(1);
+      expect(motorController.getSpeedLimit()).toBeNull();
     });
   });
   
@@ -0,0 +1,129 @@
+/**
+ * Integration tests for recovering from a geofence hold
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const NavigationSystem = require('../../../src/navigation/navigationSystem');
+const MotorController = require('../../../src/motors/motorController');
+const MissionManager = require('../../../src/missions/missionManager');
+const eventBus = require('../../../src/utils/eventBus');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config', () => ({
+  navigation: {
+    waypointReachedThreshold: 2.0,
+    pathPlanningResolution: 1.0,
+    obstacleAvoidanceMargin: 1.5,
+    maxPathfindingIterations: 1000,
+    geofencingMargin: 5.0
+  },
+  motors: {
+    maxSpeed: 7.2, // 2 m/s (7.2 km/h)
+    maxAcceleration: 1.0,
+    maxDeceleration: 2.0,
+    steeringMaxAngle: 30
+  },
+  missions: {
+    storageDir: require('path').join(require('os').tmpdir(), 'sevak-geofence-recovery-test'),
+    progressInterval: 60000
+  },
+  sensors: {
+    temperatureSensors: {
+      warningThreshold: 60,
+      criticalThreshold: 80
+    }
+  }
+}));
+
+const storageDir = path.join(os.tmpdir(), 'sevak-geofence-recovery-test');
+
+describe('Geofence Recovery Integration Tests', () => {
+  let navigationSystem;
+  let motorController;
+  let missionManager;
+  let pose;
+
+  // Drive the tractor for a while, moving it as the motors turn
+  const drive = (duration) => {
+    for (let elapsed = 0; elapsed < duration; elapsed += 100) {
+      jest.advanceTimersByTime(100);
+
+      pose.yaw += motorController.motion.angularVelocity * 0.1;
+      pose.x += motorController.motion.speed * Math.cos(pose.yaw) * 0.1;
+      pose.y += motorController.motion.speed * Math.sin(pose.yaw) * 0.1;
+
+      navigationSystem._updateLoop();
+    }
+  };
+
+  beforeEach(async () => {
+    // Clear all mocks
+    jest.clearAllMocks();
+    await fs.rm(storageDir, { recursive: true, force: true });
+
+    // Stopped at the 5m margin of the field, facing its edge
+    pose = { x: 15, y: 0, yaw: 0 };
+    const sensorManager = {
+      getPositionAndOrientation: jest.fn(() => ({
+        position: { x: pose.x, y: pose.y, z: 0, uncertainty: 0.1 },
+        orientation: { roll: 0, pitch: 0, yaw: pose.yaw, uncertainty: 0.01 },
+        timestamp: Date.now()
+      }))
+    };
+
+    motorController = new MotorController();
+    navigationSystem = new NavigationSystem(sensorManager, motorController);
+    missionManager = new MissionManager(
+      navigationSystem,
+      { disengage: jest.fn(() => ({ success: true })), getStatus: jest.fn(() => ({ state: 'stopped', isCutting: false })) },
+      { getStatus: jest.fn(() => ({ unload: { state: 'idle' } })) }
+    );
+    await missionManager.initialize();
+
+    jest.useFakeTimers();
+    await motorController.initialize();
+
+    navigationSystem.setFieldBoundaries([
+      { x: -20, y: -20, z: 0 },
+      { x: 20, y: -20, z: 0 },
+      { x: 20, y: 20, z: 0 },
+      { x: -20, y: 20, z: 0 }
+    ]);
+  });
+
+  afterEach(async () => {
+    motorController.shutdown();
+    await missionManager.shutdown();
+    jest.useRealTimers();
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  test('should turn away and finish a mission started while held at the geofence', () => {
+    // Setup
+    const blocked = jest.fn();
+    const subscription = eventBus.subscribe('navigation.path.blocked', blocked);
+    navigationSystem._updateLoop();
+    expect(motorController.getSpeedLimit('forward').limit).toBe(0);
+
+    const { mission } = missionManager.createMission({
+      name: 'Back to the shed',
+      type: 'custom',
+      steps: [{ type: 'navigate', waypoints: [{ x: -5, y: 0 }] }]
+    });
+
+    // Execute
+    expect(missionManager.startMission(mission.id).success).toBe(true);
+    drive(60000);
+
+    // Verify
+    expect(blocked).not.toHaveBeenCalled();
+    expect(missionManager.missions.get(mission.id).status).toBe('completed');
+    expect(Math.abs(pose.yaw)).toBeGreaterThan(Math.PI / 2);
+    expect(pose.x).toBeLessThan(0);
+
+    eventBus.unsubscribe(subscription);
+  });
+});
@@ -135,6 +135,25 @@ describe('Monitoring System', () => {
     // Assert
     expect(newMonitoringSystem.metrics.performance.length).toBeGreaterThan(0);
   });
+  
+  test('should raise alerts reported by other subsystems', () => {
+    // Arrange
+    const listener = jest.fn();
+    monitoringSystem.eventEmitter.on('alert:new', listener);
+    
+    // Act
+    const alert = monitoringSystem.raiseAlert({
+      type: 'implement',
+      level: 'warning',
+      message: 'Fodder container 80% full',
+      details: { fillLevel: 80 }
+    });
+    
+    // Assert
+    expect(alert.id).toBeDefined();
+    expect(monitoringSystem.getAlerts()).toContain(alert);
+    expect(listener).toHaveBeenCalledWith(alert);
+  });
 });
 
 describe('Metrics Collector', () => {
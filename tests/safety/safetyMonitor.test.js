@@ -241,6 +241,62 @@ describe('SafetyMonitor Tests', () => {
         })
       );
     });
+    
+    test('should raise human proximity for a person within safe distance', () => {
+      // Execute - a person 1.5m away and an animal closer still
+      safetyMonitor._handlePerceptionDetections({
+        detections: [
+          { label: 'animal', distance: 1.0 },
+          { label: 'person', distance: 1.5 },
+          { label: 'person', distance: 6.0 }
+        ]
+      });
+      
+      // Verify
+      expect(safetyMonitor.safetyState.currentViolations.humanProximity).toBe(true);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'safety.violation',
+        expect.objectContaining({
+          type: 'humanProximity',
+          severity: 'critical',
+          message: 'Person 1.5 m from tractor'
+        })
+      );
+      
+      // The person walks away
+      safetyMonitor._handlePerceptionDetections({ detections: [{ label: 'person', distance: 6.0 }] });
+      
+      expect(safetyMonitor.safetyState.currentViolations.humanProximity).toBe(false);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'safety.violation.cleared',
+        expect.objectContaining({ type: 'humanProximity' })
+      );
+    });
+    
+    test('should report keep-out zone entry separately and clear it on exit', () => {
+      // Execute
+      safetyMonitor._handleBoundaryViolation({ type: 'keepOutEntry', zone: 0, position: { x: 5, y: 5 } });
+      
+      // Verify
+      expect(safetyMonitor.safetyState.currentViolations.keepOutViolation).toBe(true);
+      expect(safetyMonitor.safetyState.currentViolations.boundaryViolation).toBe(false);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'safety.violation',
+        expect.objectContaining({
+          type: 'keepOutViolation',
+          severity: 'warning'
+        })
+      );
+      
+      // Leaving the zone clears the violation
+      safetyMonitor._handleBoundaryViolationCleared({ type: 'keepOutEntry', position: { x: 12, y: 5 } });
+      
+      expect(safetyMonitor.safetyState.currentViolations.keepOutViolation).toBe(false);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'safety.violation.cleared',
+        expect.objectContaining({ type: 'keepOutViolation' })
+      );
+    });
   });
   
   describe('Motor Status Monitoring', () => {
@@ -315,6 +371,56 @@ describe('SafetyMonitor Tests', () => {
     });
   });
   
+  describe('Cutter Status Monitoring', () => {
+    test('should detect cutter blade jam', () => {
+      // Setup
+      const cutterData = {
+        state: 'jammed',
+        safetyFlags: {
+          emergencyStop: false,
+          jamDetected: true,
+          overTemperature: false,
+          overCurrent: false
+        }
+      };
+      
+      // Execute
+      safetyMonitor._handleCutterStatus(cutterData);
+      
+      // Verify
+      expect(safetyMonitor.safetyState.currentViolations.cutterJam).toBe(true);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'safety.violation',
+        expect.objectContaining({
+          type: 'cutterJam'
+        })
+      );
+    });
+    
+    test('should clear cutter violations when jam is cleared and blade cools', () => {
+      // Setup - first trigger violations
+      safetyMonitor.safetyState.currentViolations.cutterJam = true;
+      safetyMonitor.safetyState.currentViolations.cutterOverheat = true;
+      
+      const cutterData = {
+        state: 'stopped',
+        safetyFlags: {
+          emergencyStop: false,
+          jamDetected: false,
+          overTemperature: false,
+          overCurrent: false
+        }
+      };
+      
+      // Execute
+      safetyMonitor._handleCutterStatus(cutterData);
+      
+      // Verify
+      expect(safetyMonitor.safetyState.currentViolations.cutterJam).toBe(false);
+      expect(safetyMonitor.safetyState.currentViolations.cutterOverheat).toBe(false);
+    });
+  });
+  
   describe('Power Monitoring', () => {
     test('should detect low battery', () => {
       // Setup
@@ -4,7 +4,9 @@
 
 const NavigationSystem = require('../../../src/navigation/navigationSystem');
 const SensorManager = require('../../../src/sensors/sensorManager');
+const MapStore = require('../../../src/navigation/mapStore');
 const eventBus = require('../../../src/utils/eventBus');
+const { LocalFrame } = require('../../../src/utils/geodesy');
 
 // Mock dependencies
 jest.mock('../../../src/utils/logger');
@@ -328,6 +330,90 @@ describe('NavigationSystem Simulation Tests', () => {
         expect.any(Object)
       );
     });
+
+    // LIDAR scan of open ground with one return straight ahead
+    const scanWithPost = (distance, timestamp) => ({
+      points: Array.from({ length: 360 }, (_, i) => ({
+        angle: i * Math.PI / 180,
+        distance: i === 0 ? distance : 30,
+        intensity: i === 0 ? 150 : 0
+      })),
+      timestamp: timestamp
+    });
+
+    test('should map LIDAR returns into obstacles in the local frame', () => {
+      // Setup - tractor at (10, 0) facing north
+      mockSensorManager.getPositionAndOrientation.mockReturnValue({
+        position: { x: 10, y: 0, z: 0, uncertainty: 1.0 },
+        orientation: { roll: 0, pitch: 0, yaw: Math.PI / 2, uncertainty: 0.1 }
+      });
+
+      // Execute
+      for (let time = 0; time < 300; time += 100) {
+        navigationSystem._updateObstacleMapFromLidar(scanWithPost(4, time));
+      }
+
+      // Verify - one obstacle 4 m north of the tractor, nothing on the open ground
+      const obstacles = navigationSystem.obstacleMap.staticObstacles;
+      expect(obstacles).toHaveLength(1);
+      expect(obstacles[0].position.x).toBeCloseTo(10, 0);
+      expect(obstacles[0].position.y).toBeCloseTo(4, 0);
+      expect(navigationSystem.occupancyGrid.getProbability(10, 2)).toBeLessThan(0.5);
+      expect(navigationSystem.getMap().grid.encoding).toBe('rle');
+    });
+
+    test('should load the static obstacles of a field when it is reopened', async () => {
+      // Setup - maps stored in a scratch directory
+      const storageDir = require('path').join(require('os').tmpdir(), 'sevak-maps-test');
+      await require('fs').promises.rm(storageDir, { recursive: true, force: true });
+      navigationSystem.mapStore = new MapStore(storageDir);
+
+      await navigationSystem.openFieldMap('north-field');
+
+      // A post seen for long enough to be confirmed static
+      for (let time = 0; time <= 3500; time += 100) {
+        navigationSystem._updateObstacleMapFromLidar(scanWithPost(6, time));
+      }
+      expect(navigationSystem.obstacleMap.staticObstacles[0].type).toBe('static');
+
+      // Execute - work another field, then come back
+      await navigationSystem.openFieldMap('south-field');
+      const otherField = navigationSystem.obstacleMap.staticObstacles.length;
+      const result = await navigationSystem.openFieldMap('north-field');
+
+      // Verify
+      expect(otherField).toBe(0);
+      expect(result).toEqual({ success: true, fieldId: 'north-field', staticCells: 1 });
+      expect(navigationSystem.obstacleMap.staticObstacles).toHaveLength(1);
+      expect(navigationSystem.obstacleMap.staticObstacles[0].position.x).toBeCloseTo(6, 0);
+
+      await require('fs').promises.rm(storageDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('Perceived Obstacles', () => {
+    test('should keep people and animals as dynamic obstacles with their clearance', () => {
+      // Execute
+      navigationSystem._updatePerceivedObstacles({
+        detections: [
+          { label: 'person', confidence: 0.6, position: { x: 10, y: 0, z: 0 }, size: { width: 0.5, height: 0, depth: 0.5 }, clearance: 3.0, timestamp: 1000 },
+          { label: 'object', confidence: 0.6, position: { x: 5, y: 5, z: 0 }, size: { width: 3, height: 0, depth: 3 }, clearance: 0, timestamp: 1000 }
+        ],
+        timestamp: 1000
+      });
+      
+      // Verify - the object is left to the occupancy grid
+      expect(navigationSystem.obstacleMap.dynamicObstacles).toEqual([
+        expect.objectContaining({ type: 'person', clearance: 3.0, source: 'perception' })
+      ]);
+      
+      // A path passing 2m from the person is blocked by its clearance
+      expect(navigationSystem._findObstaclesInPath({ x: 0, y: 2 }, { x: 20, y: 2 }, 1.5)).toHaveLength(1);
+      
+      // Perception no longer sees anyone
+      navigationSystem._updatePerceivedObstacles({ detections: [], timestamp: 1100 });
+      expect(navigationSystem.obstacleMap.dynamicObstacles).toEqual([]);
+    });
   });
   
   describe('Boundary Checking', () => {
@@ -388,6 +474,40 @@ describe('NavigationSystem Simulation Tests', () => {
       // Verify we're back within boundaries
       expect(navigationSystem.boundaries.isWithinBoundaries).toBe(true);
     });
+    
+    test('should report keep-out zone entry as a distinct violation', () => {
+      // Setup - a pond inside the field
+      navigationSystem.setFieldBoundaries([
+        { x: -10, y: -10, z: 0 },
+        { x: 10, y: -10, z: 0 },
+        { x: 10, y: 10, z: 0 },
+        { x: -10, y: 10, z: 0 }
+      ], [[{ x: 2, y: -2 }, { x: 6, y: -2 }, { x: 6, y: 2 }, { x: 2, y: 2 }]]);
+      eventBus.publish.mockClear();
+      
+      // Drive into the pond
+      navigationSystem.state.currentPosition = { x: 4, y: 0, z: 0 };
+      navigationSystem._checkBoundaries();
+      
+      // Verify
+      expect(navigationSystem.boundaries.isWithinBoundaries).toBe(true);
+      expect(navigationSystem.getBoundaries().violation).toBe('keepOutEntry');
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'navigation.boundaryViolation',
+        expect.objectContaining({ type: 'keepOutEntry', zone: 0 })
+      );
+      
+      // Leave the pond
+      navigationSystem.state.currentPosition = { x: 8, y: 0, z: 0 };
+      navigationSystem._checkBoundaries();
+      
+      // Verify
+      expect(navigationSystem.getBoundaries().violation).toBeNull();
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'navigation.boundaryViolation.cleared',
+        expect.objectContaining({ type: 'keepOutEntry' })
+      );
+    });
   });
   
   describe('Path Planning', () => {
@@ -442,6 +562,253 @@ describe('NavigationSystem Simulation Tests', () => {
       // Should be at least obstacle avoidance margin away
       expect(distanceToObstacle).toBeGreaterThanOrEqual(navigationSystem.params.obstacleAvoidanceMargin);
     });
+
+    test('should plan around a cluster of obstacles from the obstacle map', () => {
+      // Setup - a wall across the direct route
+      const start = { x: 0, y: 0, z: 0 };
+      const goal = { x: 20, y: 0, z: 0 };
+      const wall = [-4, -2, 0, 2, 4].map(y => ({
+        position: { x: 10, y: y, z: 0 },
+        size: { width: 2, height: 2, depth: 2 }
+      }));
+
+      navigationSystem.state.obstacleDetected = true;
+      navigationSystem.obstacleMap.staticObstacles = wall;
+
+      // Execute
+      const path = navigationSystem._planPath(start, goal);
+
+      // Verify every path point keeps clear of every obstacle
+      expect(path[0]).toEqual(start);
+      expect(path[path.length - 1]).toEqual(goal);
+      path.forEach(point => {
+        wall.forEach(obstacle => {
+          const distance = Math.sqrt(
+            Math.pow(point.x - obstacle.position.x, 2) +
+            Math.pow(point.y - obstacle.position.y, 2)
+          );
+          expect(distance).toBeGreaterThan(1);
+        });
+      });
+    });
+
+    test('should invalidate the path and publish an event when no path exists', () => {
+      // Setup - boundary with a wall across it
+      navigationSystem.setFieldBoundaries([
+        { x: -2, y: -3, z: 0 },
+        { x: 22, y: -3, z: 0 },
+        { x: 22, y: 3, z: 0 },
+        { x: -2, y: 3, z: 0 }
+      ]);
+      navigationSystem.setWaypoints([{ x: 20, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+      navigationSystem.state.obstacleDetected = true;
+      navigationSystem.obstacleMap.staticObstacles = [-2, 0, 2].map(y => ({
+        position: { x: 10, y: y, z: 0 },
+        size: { width: 2, height: 2, depth: 2 }
+      }));
+      eventBus.publish.mockClear();
+
+      // Execute
+      navigationSystem._replanPath();
+
+      // Verify
+      expect(navigationSystem.state.isPathValid).toBe(false);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'navigation.path.blocked',
+        expect.objectContaining({
+          goal: { x: 20, y: 0, z: 0 },
+          reason: 'noPath',
+          timestamp: expect.any(Number)
+        })
+      );
+    });
+
+    test('should navigate around a keep-out zone across the way', () => {
+      // Setup - a pond between the tractor and its goal
+      const pond = [{ x: 10, y: -5 }, { x: 20, y: -5 }, { x: 20, y: 5 }, { x: 10, y: 5 }];
+      navigationSystem.setFieldBoundaries([
+        { x: -50, y: -50, z: 0 },
+        { x: 50, y: -50, z: 0 },
+        { x: 50, y: 50, z: 0 },
+        { x: -50, y: 50, z: 0 }
+      ], [pond]);
+      navigationSystem.setWaypoints([{ x: 30, y: 0, z: 0 }]);
+
+      // Execute
+      navigationSystem.startNavigation();
+
+      // Verify - the straight line is replaced by a way around, clear of the pond
+      const path = [navigationSystem.path.segmentStart, ...navigationSystem.path.waypoints];
+      expect(navigationSystem.state.isPathValid).toBe(true);
+      expect(path.length).toBeGreaterThan(2);
+      expect(path[path.length - 1]).toEqual(expect.objectContaining({ x: 30, y: 0 }));
+      for (let i = 1; i < path.length; i++) {
+        for (let t = 0; t <= 1; t += 0.05) {
+          const point = {
+            x: path[i - 1].x + (path[i].x - path[i - 1].x) * t,
+            y: path[i - 1].y + (path[i].y - path[i - 1].y) * t
+          };
+          expect(navigationSystem._isPointInPolygon(point, pond)).toBe(false);
+        }
+      }
+    });
+
+    test('should only plan segments that a keep-out zone is in the way of', () => {
+      // Setup - a pond well off to the side
+      navigationSystem.setFieldBoundaries([
+        { x: -50, y: -50, z: 0 },
+        { x: 50, y: -50, z: 0 },
+        { x: 50, y: 50, z: 0 },
+        { x: -50, y: 50, z: 0 }
+      ], [[{ x: 10, y: 20 }, { x: 20, y: 20 }, { x: 20, y: 30 }, { x: 10, y: 30 }]]);
+      const planSpy = jest.spyOn(navigationSystem.pathPlanner, 'plan');
+      const directSpy = jest.spyOn(navigationSystem.pathPlanner, 'isDirectPathClear');
+
+      // Execute
+      navigationSystem.setWaypoints([{ x: 30, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+
+      // Verify
+      expect(navigationSystem.path.waypoints).toEqual([{ x: 30, y: 0, z: 0 }]);
+      expect(planSpy).not.toHaveBeenCalled();
+      expect(directSpy).not.toHaveBeenCalled();
+    });
+
+    test('should not start navigation when the first waypoint lies in a keep-out zone', () => {
+      // Setup
+      navigationSystem.setFieldBoundaries([
+        { x: -50, y: -50, z: 0 },
+        { x: 50, y: -50, z: 0 },
+        { x: 50, y: 50, z: 0 },
+        { x: -50, y: 50, z: 0 }
+      ], [[{ x: 10, y: -5 }, { x: 20, y: -5 }, { x: 20, y: 5 }, { x: 10, y: 5 }]]);
+      navigationSystem.setWaypoints([{ x: 15, y: 0, z: 0 }]);
+      eventBus.publish.mockClear();
+
+      // Execute
+      const result = navigationSystem.startNavigation();
+
+      // Verify
+      expect(result).toBe(false);
+      expect(navigationSystem.state.isNavigating).toBe(false);
+      expect(navigationSystem.lastPlanResult.reason).toBe('goalBlocked');
+      expect(eventBus.publish).not.toHaveBeenCalledWith('navigation.started', expect.anything());
+      expect(eventBus.publish).not.toHaveBeenCalledWith('navigation.path.blocked', expect.anything());
+    });
+
+    test('should report a blocked path when a waypoint lies in a keep-out zone', () => {
+      // Setup
+      navigationSystem.setFieldBoundaries([
+        { x: -50, y: -50, z: 0 },
+        { x: 50, y: -50, z: 0 },
+        { x: 50, y: 50, z: 0 },
+        { x: -50, y: 50, z: 0 }
+      ], [[{ x: 10, y: -5 }, { x: 20, y: -5 }, { x: 20, y: 5 }, { x: 10, y: 5 }]]);
+      navigationSystem.setWaypoints([{ x: 5, y: 20, z: 0 }, { x: 15, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+      eventBus.publish.mockClear();
+
+      // Execute - reach the first waypoint, the next one is in the pond
+      mockSensorManager.getPositionAndOrientation.mockReturnValue({
+        position: { x: 5, y: 20, z: 0, uncertainty: 1.0 },
+        orientation: { roll: 0, pitch: 0, yaw: 0, uncertainty: 0.1 },
+        timestamp: Date.now()
+      });
+      navigationSystem._updateLoop();
+
+      // Verify
+      expect(navigationSystem.state.isPathValid).toBe(false);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'navigation.path.blocked',
+        expect.objectContaining({ goal: { x: 15, y: 0, z: 0 }, reason: 'goalBlocked' })
+      );
+    });
+
+    test('should accept waypoints and boundaries in latitude/longitude', () => {
+      // Setup - sensor fusion frame without a datum yet
+      const frame = new LocalFrame();
+      mockSensorManager.getLocalFrame = jest.fn(() => frame);
+      mockSensorManager.setDatum = jest.fn((datum) => frame.setOrigin(datum));
+
+      // Execute
+      navigationSystem.setFieldBoundaries([
+        { latitude: 18.5204, longitude: 73.8567 },
+        { latitude: 18.5204, longitude: 73.8577 },
+        { latitude: 18.5214, longitude: 73.8577 }
+      ]);
+      navigationSystem.setWaypoints([{ latitude: 18.5214, longitude: 73.8567 }, { x: 5, y: 5, z: 0 }]);
+
+      // Verify - first point anchors the frame, the rest is in meters east/north of it
+      expect(mockSensorManager.setDatum).toHaveBeenCalledWith(
+        { latitude: 18.5204, longitude: 73.8567 },
+        'navigation'
+      );
+      expect(navigationSystem.boundaries.points[0].x).toBeCloseTo(0, 3);
+      expect(navigationSystem.boundaries.points[1].x).toBeCloseTo(105.6, 1);
+      expect(navigationSystem.path.waypoints[0].y).toBeCloseTo(110.7, 1);
+      expect(navigationSystem.path.waypoints[0].latitude).toBeUndefined();
+      expect(navigationSystem.path.waypoints[1]).toEqual({ x: 5, y: 5, z: 0 });
+      expect(navigationSystem.getDatum().latitude).toBe(18.5204);
+    });
+
+    test('should plan a route from the current position with its length', () => {
+      // Setup - tractor out in the field, wall between it and the goal
+      navigationSystem.state.currentPosition = { x: 20, y: 0, z: 0 };
+      navigationSystem.state.obstacleDetected = true;
+      navigationSystem.obstacleMap.staticObstacles = [{
+        position: { x: 10, y: 0, z: 0 },
+        size: { width: 2, height: 2, depth: 2 }
+      }];
+
+      // Execute
+      const route = navigationSystem.planRoute({ x: 0, y: 0 });
+
+      // Verify route ends at the goal and detours around the wall
+      expect(route.success).toBe(true);
+      expect(route.waypoints[route.waypoints.length - 1]).toEqual(expect.objectContaining({ x: 0, y: 0 }));
+      expect(route.waypoints[0]).not.toEqual(expect.objectContaining({ x: 20, y: 0 }));
+      expect(route.distance).toBeGreaterThan(20);
+    });
+  });
+  
+  describe('Coverage Planning', () => {
+    test('should plan coverage of the field boundary', () => {
+      // Setup - the 5m geofencing margin leaves a 40m x 20m area to cover
+      navigationSystem.setFieldBoundaries([
+        { x: -5, y: -5, z: 0 },
+        { x: 45, y: -5, z: 0 },
+        { x: 45, y: 25, z: 0 },
+        { x: -5, y: 25, z: 0 }
+      ]);
+      eventBus.publish.mockClear();
+      
+      // Execute
+      const plan = navigationSystem.planCoverage({ swathWidth: 2.0, overlap: 0, headlandWidth: 4.0 });
+      
+      // Verify
+      expect(plan.success).toBe(true);
+      expect(plan.waypoints.length).toBeGreaterThan(0);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'navigation.coverage.planned',
+        expect.objectContaining({
+          stats: expect.objectContaining({ passes: 6 }),
+          waypointCount: plan.waypoints.length
+        })
+      );
+    });
+    
+    test('should fail coverage planning without a boundary', () => {
+      // Execute
+      const plan = navigationSystem.planCoverage({});
+      
+      // Verify
+      expect(plan.success).toBe(false);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'navigation.coverage.failed',
+        expect.objectContaining({ reason: 'noBoundary' })
+      );
+    });
   });
   
   describe('Status Updates', () => {
@@ -502,4 +869,335 @@ describe('NavigationSystem Simulation Tests', () => {
       });
     });
   });
-});
\ No newline at end of file
+  
+  describe('Path Following', () => {
+    let mockMotorController;
+    
+    beforeEach(() => {
+      // Create mock motor controller
+      mockMotorController = {
+        setTargetSpeed: jest.fn().mockReturnValue(true),
+        setTargetDirection: jest.fn().mockReturnValue(true),
+        setVelocityCommand: jest.fn().mockReturnValue(true),
+        getCurrentSpeed: jest.fn().mockReturnValue(0),
+        getTargetSpeed: jest.fn().mockReturnValue(0),
+        setSpeedLimit: jest.fn().mockReturnValue(true),
+        clearSpeedLimit: jest.fn().mockReturnValue(true),
+        // Braking at 1 m/s²
+        getStoppingDistance: jest.fn(speed => speed * speed / 2),
+        getStoppingSpeed: jest.fn((distance, reactionTime) =>
+          Math.max(0, Math.sqrt(reactionTime * reactionTime + 2 * distance) - reactionTime))
+      };
+      
+      navigationSystem.motorController = mockMotorController;
+    });
+    
+    test('should command motors towards the current waypoint', () => {
+      // Setup
+      navigationSystem.setWaypoints([{ x: 20, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+      
+      // Execute
+      navigationSystem._updateLoop();
+      
+      // Verify motors were commanded forward without steering
+      expect(mockMotorController.setTargetSpeed).toHaveBeenCalledWith(expect.any(Number));
+      expect(mockMotorController.setTargetSpeed.mock.calls[0][0]).toBeGreaterThan(0);
+      expect(mockMotorController.setTargetDirection.mock.calls[0][0]).toBeCloseTo(0, 5);
+    });
+    
+    test('should publish cross-track error in navigation status', () => {
+      // Setup
+      navigationSystem.setWaypoints([{ x: 20, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+      
+      // Tractor drifts 1m to the left of the path
+      mockSensorManager.getPositionAndOrientation.mockReturnValue({
+        position: { x: 5, y: 1, z: 0, uncertainty: 1.0 },
+        orientation: { roll: 0, pitch: 0, yaw: 0, uncertainty: 0.1 },
+        timestamp: Date.now()
+      });
+      
+      eventBus.publish.mockClear();
+      
+      // Execute
+      navigationSystem._updateLoop();
+      
+      // Verify
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'navigation.status.updated',
+        expect.objectContaining({
+          crossTrackError: expect.any(Number),
+          headingError: expect.any(Number)
+        })
+      );
+      expect(navigationSystem.state.crossTrackError).toBeCloseTo(1, 5);
+      
+      // Steering should bring the tractor back to the right
+      const lastDirection = mockMotorController.setTargetDirection.mock.calls.slice(-1)[0][0];
+      expect(lastDirection).toBeGreaterThan(0);
+    });
+    
+    test('should slow down while the position is uncertain', () => {
+      // Setup - full speed with a good fix
+      navigationSystem.setWaypoints([{ x: 20, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+      navigationSystem._updateLoop();
+      const fullSpeed = mockMotorController.setTargetSpeed.mock.calls.slice(-1)[0][0];
+      
+      mockSensorManager.getPositionAndOrientation.mockReturnValue({
+        position: { x: 0, y: 0, z: 0, uncertainty: 2.0 },
+        orientation: { roll: 0, pitch: 0, yaw: 0, uncertainty: 0.1 },
+        timestamp: Date.now()
+      });
+      eventBus.publish.mockClear();
+      
+      // Execute
+      navigationSystem._updateLoop();
+      
+      // Verify
+      expect(navigationSystem.state.localization).toBe('degraded');
+      expect(mockMotorController.setTargetSpeed.mock.calls.slice(-1)[0][0]).toBeCloseTo(fullSpeed * 0.5, 5);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'navigation.localization.changed',
+        expect.objectContaining({ localization: 'degraded', previous: 'good', positionUncertainty: 2.0 })
+      );
+    });
+    
+    test('should hold position until the position uncertainty recovers', () => {
+      // Setup
+      navigationSystem.setWaypoints([{ x: 20, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+      navigationSystem._updateLoop();
+      
+      mockSensorManager.getPositionAndOrientation.mockReturnValue({
+        position: { x: 0, y: 0, z: 0, uncertainty: 5.0 },
+        orientation: { roll: 0, pitch: 0, yaw: 0, uncertainty: 0.1 },
+        timestamp: Date.now()
+      });
+      
+      // Execute
+      navigationSystem._updateLoop();
+      
+      // Verify - stopped but still navigating
+      expect(navigationSystem.state.localization).toBe('lost');
+      expect(mockMotorController.setTargetSpeed).toHaveBeenLastCalledWith(0);
+      expect(navigationSystem.state.isNavigating).toBe(true);
+      
+      // Execute - a good fix again
+      mockSensorManager.getPositionAndOrientation.mockReturnValue({
+        position: { x: 0, y: 0, z: 0, uncertainty: 1.0 },
+        orientation: { roll: 0, pitch: 0, yaw: 0, uncertainty: 0.1 },
+        timestamp: Date.now()
+      });
+      navigationSystem._updateLoop();
+      
+      // Verify
+      expect(navigationSystem.state.localization).toBe('good');
+      expect(mockMotorController.setTargetSpeed.mock.calls.slice(-1)[0][0]).toBeGreaterThan(0);
+    });
+    
+    test('should stop motors when the path is complete', () => {
+      // Setup
+      navigationSystem.setWaypoints([{ x: 0.5, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+      mockMotorController.setTargetSpeed.mockClear();
+      
+      // Execute - already within threshold of the only waypoint
+      navigationSystem._updateLoop();
+      
+      // Verify
+      expect(navigationSystem.state.isNavigating).toBe(false);
+      expect(mockMotorController.setTargetSpeed).toHaveBeenCalledWith(0);
+    });
+    
+    test('should limit speed to stop before the buffered boundary', () => {
+      // Setup - driving east at 1.5 m/s, the 5m margin starts at x = 5
+      navigationSystem.setFieldBoundaries([
+        { x: -10, y: -10, z: 0 },
+        { x: 10, y: -10, z: 0 },
+        { x: 10, y: 10, z: 0 },
+        { x: -10, y: 10, z: 0 }
+      ]);
+      navigationSystem.state.currentPosition = { x: 2, y: 0, z: 0 };
+      mockMotorController.getCurrentSpeed.mockReturnValue(1.5);
+      eventBus.publish.mockClear();
+      
+      // Execute
+      navigationSystem._checkBoundaryApproach();
+      
+      // Verify - 3m left to brake in after the reaction time
+      expect(navigationSystem.boundaries.approach.distance).toBeCloseTo(3, 5);
+      expect(mockMotorController.setSpeedLimit).toHaveBeenCalledWith(
+        'geofence',
+        expect.any(Number),
+        'Approaching the field boundary',
+        'forward'
+      );
+      const speedLimit = mockMotorController.setSpeedLimit.mock.calls[0][1];
+      expect(speedLimit * 0.3 + speedLimit * speedLimit / 2).toBeCloseTo(3, 5);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'navigation.boundary.approaching',
+        expect.objectContaining({ type: 'boundary', distance: 3, clearance: 8 })
+      );
+      
+      // Turning away lifts the limit
+      navigationSystem.state.currentOrientation = { roll: 0, pitch: 0, yaw: Math.PI };
+      navigationSystem._checkBoundaryApproach();
+      
+      expect(navigationSystem.boundaries.approach).toBeNull();
+      expect(mockMotorController.clearSpeedLimit).toHaveBeenCalledWith('geofence');
+    });
+    
+    test('should stop at the margin of a keep-out zone', () => {
+      // Setup - a pond ahead, with the tractor already at its margin
+      navigationSystem.setFieldBoundaries([
+        { x: -50, y: -50, z: 0 },
+        { x: 50, y: -50, z: 0 },
+        { x: 50, y: 50, z: 0 },
+        { x: -50, y: 50, z: 0 }
+      ], [[{ x: 10, y: -5 }, { x: 20, y: -5 }, { x: 20, y: 5 }, { x: 10, y: 5 }]]);
+      navigationSystem.state.currentPosition = { x: 5, y: 0, z: 0 };
+      mockMotorController.getCurrentSpeed.mockReturnValue(1.0);
+      
+      // Execute
+      navigationSystem._checkBoundaryApproach();
+      
+      // Verify
+      expect(mockMotorController.setSpeedLimit).toHaveBeenCalledWith('geofence', 0, 'Approaching keep-out zone 0', 'forward');
+      expect(navigationSystem.boundaries.approach).toEqual({ distance: 0, zone: 0, direction: 'forward', speedLimit: 0 });
+      
+      // Driving along the margin is still allowed
+      navigationSystem.state.currentOrientation = { roll: 0, pitch: 0, yaw: Math.PI / 2 };
+      navigationSystem.state.currentPosition = { x: 5, y: -4, z: 0 };
+      navigationSystem._checkBoundaryApproach();
+      
+      expect(navigationSystem.boundaries.approach).toBeNull();
+      expect(mockMotorController.clearSpeedLimit).toHaveBeenCalledWith('geofence');
+    });
+    
+    test('should limit speed at the boundary while driven by hand', () => {
+      // Setup - not navigating, driven east at 1.5 m/s towards the 5m margin at x = 5
+      navigationSystem.setFieldBoundaries([
+        { x: -10, y: -10, z: 0 },
+        { x: 10, y: -10, z: 0 },
+        { x: 10, y: 10, z: 0 },
+        { x: -10, y: 10, z: 0 }
+      ]);
+      mockMotorController.getCurrentSpeed.mockReturnValue(1.5);
+      mockSensorManager.getPositionAndOrientation.mockReturnValue({
+        position: { x: 2, y: 0, z: 0, uncertainty: 1.0 },
+        orientation: { roll: 0, pitch: 0, yaw: 0, uncertainty: 0.1 },
+        timestamp: Date.now()
+      });
+
+      // Execute
+      navigationSystem._updateLoop();
+
+      // Verify
+      expect(navigationSystem.state.isNavigating).toBe(false);
+      expect(navigationSystem.boundaries.approach.distance).toBeCloseTo(3, 5);
+      expect(mockMotorController.setSpeedLimit).toHaveBeenCalledWith(
+        'geofence',
+        expect.any(Number),
+        'Approaching the field boundary',
+        'forward'
+      );
+    });
+
+    test('should replan, then report the path blocked, while held at the geofence', () => {
+      // Setup - a waypoint inside the 5m margin, the tractor already at its edge
+      navigationSystem.setFieldBoundaries([
+        { x: -10, y: -10, z: 0 },
+        { x: 10, y: -10, z: 0 },
+        { x: 10, y: 10, z: 0 },
+        { x: -10, y: 10, z: 0 }
+      ]);
+      mockMotorController.getCurrentSpeed.mockReturnValue(0.5);
+      mockSensorManager.getPositionAndOrientation.mockReturnValue({
+        position: { x: 5, y: 0, z: 0, uncertainty: 1.0 },
+        orientation: { roll: 0, pitch: 0, yaw: 0, uncertainty: 0.1 },
+        timestamp: Date.now()
+      });
+      navigationSystem.setWaypoints([{ x: 8, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+      const replanSpy = jest.spyOn(navigationSystem, '_replanPath');
+      eventBus.publish.mockClear();
+
+      // Execute - held at a standstill for the stop timeout
+      jest.advanceTimersByTime(3200);
+
+      // Verify
+      expect(navigationSystem.boundaries.approach.speedLimit).toBe(0);
+      expect(replanSpy).toHaveBeenCalledTimes(1);
+      expect(eventBus.publish).not.toHaveBeenCalledWith('navigation.path.blocked', expect.anything());
+
+      // Execute - still held after replanning
+      jest.advanceTimersByTime(3200);
+
+      // Verify
+      expect(navigationSystem.state.isPathValid).toBe(false);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'navigation.path.blocked',
+        expect.objectContaining({ goal: { x: 8, y: 0, z: 0 }, reason: 'geofence' })
+      );
+      expect(eventBus.publish.mock.calls.filter(call => call[0] === 'navigation.path.blocked')).toHaveLength(1);
+    });
+
+    test('should let a tractor held at the geofence back off and turn', () => {
+      // Setup - stopped at the margin facing the boundary
+      navigationSystem.setFieldBoundaries([
+        { x: -10, y: -10, z: 0 },
+        { x: 10, y: -10, z: 0 },
+        { x: 10, y: 10, z: 0 },
+        { x: -10, y: 10, z: 0 }
+      ]);
+      mockSensorManager.getPositionAndOrientation.mockReturnValue({
+        position: { x: 5, y: 0, z: 0, uncertainty: 1.0 },
+        orientation: { roll: 0, pitch: 0, yaw: 0, uncertainty: 0.1 },
+        timestamp: Date.now()
+      });
+      navigationSystem._updateLoop();
+      expect(mockMotorController.setSpeedLimit).toHaveBeenLastCalledWith('geofence', 0, 'Approaching the field boundary', 'forward');
+
+      // Execute - reversing away from the boundary
+      mockMotorController.getTargetSpeed.mockReturnValue(-0.5);
+      mockMotorController.clearSpeedLimit.mockClear();
+      navigationSystem._updateLoop();
+
+      // Verify
+      expect(mockMotorController.clearSpeedLimit).toHaveBeenCalledWith('geofence');
+      expect(navigationSystem.boundaries.approach).toBeNull();
+
+      // Execute - a path leading back into the field
+      mockMotorController.getTargetSpeed.mockReturnValue(0);
+      navigationSystem.setWaypoints([{ x: -5, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+      const replanSpy = jest.spyOn(navigationSystem, '_replanPath');
+      eventBus.publish.mockClear();
+      jest.advanceTimersByTime(7000);
+
+      // Verify - turns on the spot instead of waiting out the stop timeout
+      expect(navigationSystem.boundaries.approach.direction).toBe('forward');
+      expect(mockMotorController.setVelocityCommand).toHaveBeenLastCalledWith(0, expect.any(Number));
+      expect(Math.abs(mockMotorController.setVelocityCommand.mock.calls[0][1])).toBeCloseTo(0.5, 5);
+      expect(replanSpy).not.toHaveBeenCalled();
+      expect(eventBus.publish).not.toHaveBeenCalledWith('navigation.path.blocked', expect.anything());
+    });
+
+    test('should stop motors when navigation is stopped', () => {
+      // Setup
+      navigationSystem.setWaypoints([{ x: 20, y: 0, z: 0 }]);
+      navigationSystem.startNavigation();
+      navigationSystem._updateLoop();
+      mockMotorController.setTargetSpeed.mockClear();
+      
+      // Execute
+      navigationSystem.stopNavigation();
+      
+      // Verify
+      expect(mockMotorController.setTargetSpeed).toHaveBeenCalledWith(0);
+      expect(mockMotorController.setTargetDirection).toHaveBeenCalledWith(0);
+    });
+  });
+});
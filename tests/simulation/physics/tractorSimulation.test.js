@@ -0,0 +1,123 @@
+/**
+ * Closed-loop simulation tests: MotorController and SensorManager on the
+ * physics backend, where the motor commands move the simulated tractor
+ */
+
+const MotorController = require('../../../src/motors/motorController');
+const SensorManager = require('../../../src/sensors/sensorManager');
+const eventBus = require('../../../src/utils/eventBus');
+const { getWorld, setWorld } = require('../../../src/simulation');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config', () => ({
+  hal: {
+    backend: 'physics',
+    seed: 1
+  },
+  simulation: {
+    origin: { latitude: 18.5204, longitude: 73.8567, altitude: 560 },
+    obstacles: []
+  },
+  navigation: {
+    datum: { latitude: 18.5204, longitude: 73.8567, altitude: 560 }
+  },
+  sensors: {
+    gps: { updateInterval: 200 },
+    imu: { updateInterval: 50 }
+  },
+  motors: {
+    maxSpeed: 7.2, // 2 m/s
+    maxAcceleration: 1.0,
+    maxDeceleration: 2.0,
+    steeringMaxAngle: 30
+  }
+}));
+
+describe('Tractor Simulation Tests', () => {
+  let motorController;
+  let sensorManager;
+  let world;
+  
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    
+    // Fresh world from the mocked config
+    setWorld(null);
+    world = getWorld();
+    
+    motorController = new MotorController();
+    sensorManager = new SensorManager();
+    
+    await motorController.initialize();
+    await sensorManager.initialize();
+  });
+  
+  afterEach(async () => {
+    await motorController.shutdown();
+    await sensorManager.shutdown();
+    jest.useRealTimers();
+    setWorld(null);
+  });
+  
+  test('should drive the simulated tractor and track it with sensor fusion', () => {
+    // Execute - 20 s of simulated time
+    motorController.setTargetSpeed(1.5);
+    jest.advanceTimersByTime(20000);
+    
+    // Verify
+    const truth = world.getState();
+    const estimate = sensorManager.getPositionAndOrientation();
+    
+    expect(truth.speed).toBeCloseTo(1.5, 1);
+    expect(truth.position.x).toBeGreaterThan(25);
+    expect(Math.abs(truth.position.y)).toBeLessThan(0.1);
+    expect(Math.abs(estimate.position.x - truth.position.x)).toBeLessThan(1.0);
+    expect(Math.abs(estimate.position.y - truth.position.y)).toBeLessThan(1.0);
+  });
+  
+  test('should see an obstacle ahead and stop on emergency stop', () => {
+    // Setup
+    world.addObstacle({ id: 'bale', x: 12, y: 0, radius: 0.6 });
+    const readings = [];
+    eventBus.subscribe('sensor.ultrasonic.updated', (data) => {
+      readings.push(data.sensors.find(sensor => sensor.id === 'front_center').distance);
+    });
+    
+    // Execute - drive until the front sensor sees the bale, then stop
+    motorController.setTargetSpeed(1.0);
+    let elapsed = 0;
+    while (elapsed < 20000 && !(readings.length && readings[readings.length - 1] < 2.0)) {
+      jest.advanceTimersByTime(200);
+      elapsed += 200;
+    }
+    motorController.emergencyStop();
+    jest.advanceTimersByTime(2000);
+    
+    // Verify
+    const state = world.getState();
+    expect(Math.min(...readings)).toBeLessThan(2.0);
+    expect(state.speed).toBe(0);
+    expect(state.collisions).toHaveLength(0);
+  });
+  
+  test('should drain the battery with the motor load', () => {
+    // Setup
+    const power = [];
+    eventBus.subscribe('sensor.powerMonitors.updated', (data) => {
+      power.push(data);
+    });
+    
+    // Execute
+    jest.advanceTimersByTime(5000);
+    const idleCurrent = power[power.length - 1].batteryCurrent;
+    motorController.setTargetSpeed(2.0);
+    jest.advanceTimersByTime(30000);
+    
+    // Verify
+    const last = power[power.length - 1];
+    expect(last.batteryCurrent).toBeGreaterThan(idleCurrent);
+    expect(last.batteryLevel).toBeLessThan(power[0].batteryLevel);
+    expect(last.batteryLevel).toBeCloseTo(world.getBatteryLevel(), 6);
+  });
+});
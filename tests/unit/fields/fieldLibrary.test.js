@@ -0,0 +1,201 @@
+/**
+ * Unit tests for FieldLibrary
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const FieldLibrary = require('../../../src/fields/fieldLibrary');
+const eventBus = require('../../../src/utils/eventBus');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/utils/eventBus');
+jest.mock('../../../src/config', () => ({
+  fields: {
+    storageDir: require('path').join(require('os').tmpdir(), 'sevak-fields-test')
+  }
+}));
+
+const storageDir = path.join(os.tmpdir(), 'sevak-fields-test');
+
+describe('FieldLibrary', () => {
+  let fieldLibrary;
+  let navigationSystem;
+  let dockingManager;
+  let loadingController;
+
+  const northField = {
+    name: 'North Field',
+    boundary: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }, { x: 0, y: 50 }],
+    noGoZones: [[{ x: 40, y: 20 }, { x: 50, y: 20 }, { x: 50, y: 30 }]],
+    dock: { x: 2, y: 2 },
+    unloadPoint: { x: 95, y: 45 }
+  };
+
+  const createLibrary = async () => {
+    const library = new FieldLibrary(navigationSystem, dockingManager, loadingController);
+    await library.initialize();
+    return library;
+  };
+
+  beforeEach(async () => {
+    // Clear all mocks
+    jest.clearAllMocks();
+
+    await fs.rm(storageDir, { recursive: true, force: true });
+
+    navigationSystem = {
+      setFieldBoundaries: jest.fn(() => true),
+      setWaypoints: jest.fn(() => true),
+      openFieldMap: jest.fn(async (fieldId) => ({ success: true, fieldId: fieldId, staticCells: 0 })),
+      getStatus: jest.fn(() => ({ isNavigating: false }))
+    };
+
+    dockingManager = {
+      setLocation: jest.fn(() => true)
+    };
+
+    loadingController = {
+      setUnloadPoint: jest.fn(() => true)
+    };
+
+    fieldLibrary = await createLibrary();
+  });
+
+  afterEach(async () => {
+    await fieldLibrary.shutdown();
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  describe('fields', () => {
+    test('should create a field at version 1', () => {
+      const result = fieldLibrary.createField(northField);
+
+      expect(result.success).toBe(true);
+      expect(result.field).toMatchObject({ name: 'North Field', version: 1, dock: { x: 2, y: 2 } });
+      expect(result.field.noGoZones).toHaveLength(1);
+      expect(eventBus.publish).toHaveBeenCalledWith('field.updated', expect.objectContaining({ event: 'created' }));
+    });
+
+    test('should reject a field without a valid boundary', () => {
+      const result = fieldLibrary.createField({ name: 'Strip', boundary: [{ x: 0, y: 0 }, { x: 1, y: 0 }] });
+
+      expect(result).toMatchObject({ success: false, code: 'invalid' });
+      expect(fieldLibrary.listFields()).toHaveLength(0);
+    });
+
+    test('should bump the version on update and reject stale updates', () => {
+      const { field } = fieldLibrary.createField(northField);
+
+      const updated = fieldLibrary.updateField(field.id, { name: 'North Paddock', version: 1 });
+      expect(updated.success).toBe(true);
+      expect(updated.field).toMatchObject({ name: 'North Paddock', version: 2 });
+
+      const stale = fieldLibrary.updateField(field.id, { name: 'North Meadow', version: 1 });
+      expect(stale).toMatchObject({ success: false, code: 'conflict' });
+      expect(fieldLibrary.getField(field.id).name).toBe('North Paddock');
+    });
+
+    test('should not delete a field that a saved route uses', () => {
+      const { field } = fieldLibrary.createField(northField);
+      const { route } = fieldLibrary.createRoute({ name: 'Headland', fieldId: field.id, waypoints: [{ x: 5, y: 5 }] });
+
+      expect(fieldLibrary.deleteField(field.id)).toMatchObject({ success: false, code: 'conflict' });
+
+      fieldLibrary.deleteRoute(route.id);
+
+      expect(fieldLibrary.deleteField(field.id)).toEqual({ success: true });
+      expect(fieldLibrary.getField(field.id)).toBeNull();
+    });
+  });
+
+  describe('routes', () => {
+    test('should reject a route for an unknown field', () => {
+      const result = fieldLibrary.createRoute({ name: 'Lane', fieldId: 'missing', waypoints: [{ x: 1, y: 1 }] });
+
+      expect(result).toMatchObject({ success: false, code: 'invalid', error: 'Route field not found' });
+    });
+
+    test('should store routes with latitude/longitude waypoints', () => {
+      const result = fieldLibrary.createRoute({
+        name: 'Farm track',
+        waypoints: [{ latitude: 18.52, longitude: 73.85 }, { latitude: 18.53, longitude: 73.86 }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.route).toMatchObject({ version: 1, fieldId: null });
+      expect(result.route.waypoints).toHaveLength(2);
+    });
+  });
+
+  describe('persistence', () => {
+    test('should load stored fields and routes after a restart', async () => {
+      for (let i = 0; i < 25; i++) {
+        fieldLibrary.createRoute({ name: `Route ${i}`, waypoints: [{ x: i, y: 0 }, { x: i, y: 10 }] });
+      }
+      const { field } = fieldLibrary.createField(northField);
+      fieldLibrary.updateField(field.id, { description: 'Fodder' });
+
+      await fieldLibrary.shutdown();
+      fieldLibrary = await createLibrary();
+
+      expect(fieldLibrary.listRoutes()).toHaveLength(25);
+      expect(fieldLibrary.getField(field.id)).toMatchObject({ name: 'North Field', description: 'Fodder', version: 2 });
+    });
+  });
+
+  describe('loading', () => {
+    test('should load a field into the navigation system', async () => {
+      const { field } = fieldLibrary.createField(northField);
+
+      const result = await fieldLibrary.loadField(field.id);
+
+      expect(result.success).toBe(true);
+      expect(navigationSystem.setFieldBoundaries).toHaveBeenCalledWith(northField.boundary, northField.noGoZones);
+      expect(dockingManager.setLocation).toHaveBeenCalledWith({ x: 2, y: 2 });
+      expect(loadingController.setUnloadPoint).toHaveBeenCalledWith({ x: 95, y: 45 });
+      expect(navigationSystem.openFieldMap).toHaveBeenCalledWith(field.id);
+      expect(fieldLibrary.getStatus().loadedFieldId).toBe(field.id);
+    });
+
+    test('should load a route and its field', async () => {
+      const { field } = fieldLibrary.createField(northField);
+      const waypoints = [{ x: 10, y: 10 }, { x: 90, y: 10 }];
+      const { route } = fieldLibrary.createRoute({ name: 'First pass', fieldId: field.id, waypoints: waypoints });
+
+      const result = await fieldLibrary.loadRoute(route.id);
+
+      expect(result.success).toBe(true);
+      expect(navigationSystem.setFieldBoundaries).toHaveBeenCalledTimes(1);
+      expect(navigationSystem.setWaypoints).toHaveBeenCalledWith(waypoints);
+
+      // The field is not loaded again for another route in it
+      await fieldLibrary.loadRoute(route.id);
+      expect(navigationSystem.setFieldBoundaries).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not load while navigating', async () => {
+      const { route } = fieldLibrary.createRoute({ name: 'Lane', waypoints: [{ x: 1, y: 1 }] });
+      navigationSystem.getStatus.mockReturnValue({ isNavigating: true });
+
+      const result = await fieldLibrary.loadRoute(route.id);
+
+      expect(result).toMatchObject({ success: false, code: 'conflict' });
+      expect(navigationSystem.setWaypoints).not.toHaveBeenCalled();
+    });
+
+    test('should report a field boundary the navigation system rejects', async () => {
+      const { field } = fieldLibrary.createField({
+        name: 'South Field',
+        boundary: [{ latitude: 18.52, longitude: 73.85 }, { latitude: 18.52, longitude: 73.86 }, { latitude: 18.53, longitude: 73.86 }]
+      });
+      navigationSystem.setFieldBoundaries.mockReturnValue(false);
+
+      const result = await fieldLibrary.loadField(field.id);
+
+      expect(result).toMatchObject({ success: false, code: 'invalid' });
+      expect(navigationSystem.openFieldMap).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the CAN motor drive driver on the virtual CAN bus
+ */
+
+const CanMotorDriveDriver = require('../../../src/hal/can/canMotorDriveDriver');
+const { VirtualCanBus, createCanBus } = require('../../../src/hal/can/canBus');
+const frames = require('../../../src/hal/can/canFrames');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+
+describe('CanMotorDriveDriver', () => {
+  let driver;
+  let monitor;
+  let received;
+
+  const setpoints = speed => ({ frontLeft: speed, frontRight: speed, rearLeft: speed, rearRight: speed });
+
+  // Last command sent to a drive node
+  const lastCommand = nodeId => frames.decodeCommand(received
+    .filter(frame => frame.id === frames.FUNCTION_CODES.command + nodeId)
+    .pop());
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+
+    driver = new CanMotorDriveDriver({
+      can: { bus: 'virtual', channel: 'vcan-test', maxRpm: 3000, heartbeatInterval: 100, heartbeatTimeout: 300 }
+    });
+    await driver.open();
+
+    // Another end of the bus, listening in
+    received = [];
+    monitor = new VirtualCanBus('vcan-test');
+    await monitor.open();
+    monitor.onFrame(frame => received.push(frame));
+  });
+
+  afterEach(async () => {
+    await monitor.close();
+    await driver.close();
+    jest.useRealTimers();
+  });
+
+  test('should encode and decode drive frames', () => {
+    const command = frames.encodeCommand(3, { rpm: -1500, torque: 80, enable: true });
+    expect(command.id).toBe(0x203);
+    expect(frames.decodeCommand(command)).toEqual({ nodeId: 3, rpm: -1500, torque: 80, enable: true });
+
+    const telemetry = frames.encodeTelemetry(2, { rpm: 1200, current: 7.3, temperature: 64, faultCode: 0x4310 });
+    expect(telemetry.id).toBe(0x182);
+    expect(frames.decodeTelemetry(telemetry)).toEqual({ nodeId: 2, rpm: 1200, current: 7.3, temperature: 64, faultCode: 0x4310 });
+
+    expect(frames.describeFault(0x2310)).toBe('0x2310 (overcurrent)');
+    expect(() => createCanBus('carrierPigeon', 'can0')).toThrow('Unknown CAN bus: carrierPigeon');
+  });
+
+  test('should send speed setpoints and read back the drives\' telemetry', () => {
+    for (let i = 0; i < 30; i++) {
+      driver.write(setpoints(0.5));
+      jest.advanceTimersByTime(20);
+    }
+
+    expect(lastCommand(1)).toMatchObject({ rpm: 1500, torque: 100, enable: true });
+
+    const feedback = driver.read();
+    expect(feedback.wheels.frontLeft).toMatchObject({ rpm: 1500, temperature: 30, fault: null });
+    expect(feedback.wheels.frontLeft.speed).toBeCloseTo(0.5, 5);
+    expect(feedback.wheels.rearRight.current).toBeGreaterThan(2);
+  });
+
+  test('should report drive faults on their wheel', () => {
+    driver.write(setpoints(0.2));
+    driver.virtualDrives[2].raiseFault(0x2310);
+
+    expect(driver.read().wheels.rearLeft.fault).toBe('drive fault 0x2310 (overcurrent)');
+    expect(driver.read().wheels.frontLeft.fault).toBeNull();
+
+    driver.virtualDrives[2].clearFault();
+    expect(driver.read().wheels.rearLeft.fault).toBeNull();
+  });
+
+  test('should drop every drive to zero torque while one stops answering', () => {
+    driver.write(setpoints(0.5));
+    driver.virtualDrives[1].setResponding(false);
+
+    // Still within the timeout
+    jest.advanceTimersByTime(200);
+    driver.write(setpoints(0.5));
+    expect(lastCommand(1).enable).toBe(true);
+
+    jest.advanceTimersByTime(200);
+    driver.write(setpoints(0.5));
+
+    expect(lastCommand(1)).toMatchObject({ rpm: 0, torque: 0, enable: false });
+    expect(driver.read().wheels.frontRight).toMatchObject({ speed: 0, fault: 'drive not answering' });
+    expect(driver.virtualDrives[0].enabled).toBe(false);
+
+    // Back on the bus it is driven again, but missed the controller's heartbeat meanwhile
+    driver.virtualDrives[1].setResponding(true);
+    jest.advanceTimersByTime(100);
+    driver.write(setpoints(0.5));
+
+    expect(lastCommand(2).enable).toBe(true);
+    expect(driver.read().wheels.frontRight.fault).toBe('drive fault 0x8130 (heartbeat lost)');
+
+    driver.virtualDrives[1].clearFault();
+    expect(driver.read().wheels.frontRight.fault).toBeNull();
+  });
+
+  test('should make the drives fault when the controller\'s heartbeat stops', () => {
+    driver.write(setpoints(0.5));
+    clearInterval(driver.heartbeatTimer);
+
+    jest.advanceTimersByTime(500);
+
+    expect(driver.virtualDrives[0]).toMatchObject({ enabled: false, faultCode: 0x8130 });
+    expect(driver.read().wheels.frontLeft.fault).toBe('drive fault 0x8130 (heartbeat lost)');
+  });
+});
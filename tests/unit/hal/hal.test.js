@@ -0,0 +1,169 @@
+/**
+ * Unit tests for the hardware abstraction layer
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hal = require('../../../src/hal');
+const config = require('../../../src/config');
+const { SimulatedGpsDriver, SerialGpsDriver, ReplayGpsDriver } = require('../../../src/sensors/gps');
+const ReplaySensorDriver = require('../../../src/hal/replay/replaySensorDriver');
+const SimulatedMotorDriveDriver = require('../../../src/hal/simulator/simulatedMotorDrive');
+const PhysicsGpsDriver = require('../../../src/hal/physics/physicsGpsDriver');
+const CanMotorDriveDriver = require('../../../src/hal/can/canMotorDriveDriver');
+const { getWorld, setWorld } = require('../../../src/simulation');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config', () => ({
+  hal: {}
+}));
+
+// Drop the timestamp, which comes from the clock rather than the seed
+const values = ({ timestamp, ...reading }) => reading;
+
+describe('hal', () => {
+  beforeEach(() => {
+    config.hal = { backend: 'simulator', seed: 7, devices: {} };
+  });
+
+  describe('createDriver', () => {
+    test('should create drivers from the configured backend with per-device overrides', () => {
+      config.hal.devices = { gps: 'hardware', imu: 'replay' };
+
+      expect(hal.createDriver('gps', { port: '/dev/ttyACM0' })).toBeInstanceOf(SerialGpsDriver);
+      expect(hal.createDriver('imu')).toBeInstanceOf(ReplaySensorDriver);
+      expect(hal.createDriver('motorDrive')).toBeInstanceOf(SimulatedMotorDriveDriver);
+      expect(hal.getBackend('lidar')).toBe('simulator');
+    });
+
+    test('should replay a GPS NMEA log when the GPS has one', () => {
+      config.hal.backend = 'replay';
+
+      expect(hal.createDriver('gps', { replayFile: 'drive.nmea' })).toBeInstanceOf(ReplayGpsDriver);
+      expect(hal.createDriver('gps', {})).toBeInstanceOf(ReplaySensorDriver);
+    });
+
+    test('should reject unknown device classes and backends', () => {
+      expect(() => hal.createDriver('radar')).toThrow('Unknown device class');
+
+      config.hal.backend = 'carrier-pigeon';
+      expect(() => hal.createDriver('imu')).toThrow('No carrier-pigeon driver for imu');
+    });
+
+    test('should use registered drivers', () => {
+      const driver = new SimulatedGpsDriver();
+      hal.registerDriver('bench', 'gps', () => driver);
+      config.hal.devices = { gps: 'bench' };
+
+      expect(hal.createDriver('gps')).toBe(driver);
+    });
+  });
+
+  describe('simulator backend', () => {
+    test('should repeat the same readings for the same seed', () => {
+      const first = hal.createDriver('imu');
+      const second = hal.createDriver('imu');
+      config.hal.seed = 8;
+      const other = hal.createDriver('imu');
+
+      const reading = values(first.read());
+
+      expect(values(second.read())).toEqual(reading);
+      expect(values(other.read())).not.toEqual(reading);
+    });
+
+    test('should slew the simulated wheels towards their setpoints', () => {
+      const drive = hal.createDriver('motorDrive');
+
+      drive.write({ frontLeft: 1, frontRight: 0.02, rearLeft: 1, rearRight: 1 });
+      const wheels = drive.read().wheels;
+
+      expect(wheels.frontLeft.speed).toBeCloseTo(0.05, 10);
+      expect(wheels.frontRight.speed).toBeCloseTo(0.02, 10);
+
+      drive.stop();
+      expect(drive.read().wheels.frontLeft.speed).toBe(0);
+    });
+  });
+
+  describe('physics backend', () => {
+    afterEach(() => {
+      setWorld(null);
+    });
+
+    test('should drive and observe the shared simulation world', () => {
+      config.hal.backend = 'physics';
+      const world = getWorld();
+      world.clock = () => 0;
+
+      const gps = hal.createDriver('gps');
+      const drive = hal.createDriver('motorDrive', { maxSpeed: 7.2 });
+      drive.write({ frontLeft: 0.5, frontRight: 0.5, rearLeft: 0.5, rearRight: 0.5 });
+
+      expect(gps).toBeInstanceOf(PhysicsGpsDriver);
+      expect(gps.world).toBe(world);
+      expect(world.wheels.frontLeft.target).toBeCloseTo(1.0, 10);
+      expect(hal.createDriver('camera').read().imageAvailable).toBe(true);
+    });
+  });
+
+  describe('replay backend', () => {
+    let logFile;
+
+    beforeEach(() => {
+      logFile = path.join(os.tmpdir(), `sevak-hal-replay-${process.pid}.jsonl`);
+      fs.writeFileSync(logFile, [
+        JSON.stringify({ topic: 'sensor.imu.updated', timestamp: 1000, data: { orientation: { yaw: 0.1 } } }),
+        JSON.stringify({ topic: 'motor.status.updated', timestamp: 1010, data: { motors: { frontLeft: { speed: 0.4 } } } }),
+        'not json',
+        JSON.stringify({ topic: 'sensor.imu.updated', timestamp: 1100, data: { orientation: { yaw: 0.2 }, timestamp: 1090 } })
+      ].join('\n'));
+
+      config.hal = { backend: 'replay', replayFile: logFile, replayLoop: false, devices: {} };
+    });
+
+    afterEach(() => {
+      fs.unlinkSync(logFile);
+    });
+
+    test('should play back one device\'s readings in order', async () => {
+      const imu = hal.createDriver('imu');
+      await imu.open();
+
+      expect(imu.read()).toEqual({ orientation: { yaw: 0.1 }, timestamp: 1000 });
+      expect(imu.read()).toEqual({ orientation: { yaw: 0.2 }, timestamp: 1090 });
+      expect(imu.read()).toBeNull();
+    });
+
+    test('should play back recorded wheel speeds and ignore setpoints', async () => {
+      const drive = hal.createDriver('motorDrive');
+      await drive.open();
+
+      drive.write({ frontLeft: 1 });
+
+      expect(drive.read().wheels).toEqual({ frontLeft: { speed: 0.4 } });
+    });
+
+    test('should fail to open without a log file', async () => {
+      config.hal.replayFile = null;
+
+      await expect(hal.createDriver('lidar').open()).rejects.toThrow('replayFile');
+    });
+  });
+
+  describe('hardware backend', () => {
+    test('should refuse to open devices that have no hardware driver', async () => {
+      config.hal.backend = 'hardware';
+
+      await expect(hal.createDriver('lidar').open()).rejects.toThrow('No hardware driver is available for lidar');
+    });
+
+    test('should drive the wheels over CAN', () => {
+      config.hal.backend = 'hardware';
+
+      expect(hal.createDriver('motorDrive')).toBeInstanceOf(CanMotorDriveDriver);
+    });
+  });
+});
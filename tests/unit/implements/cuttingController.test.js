@@ -0,0 +1,160 @@
+/**
+ * Unit tests for CuttingController
+ */
+
+const CuttingController = require('../../../src/implements/cuttingController');
+const eventBus = require('../../../src/utils/eventBus');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/utils/eventBus');
+jest.mock('../../../src/config', () => ({
+  implements: {
+    cutter: {
+      updateInterval: 50,
+      bladeSpeed: 2500,
+      minHeight: 5,
+      maxHeight: 30,
+      defaultHeight: 10,
+      transportHeight: 30,
+      heightRate: 5,
+      spinUpRate: 1000,
+      spinDownRate: 1500,
+      jamMinCurrent: 15,
+      jamDetectionTime: 200
+    }
+  }
+}));
+
+describe('CuttingController', () => {
+  let cuttingController;
+
+  // Find the handler the controller registered for an event
+  const getSubscriber = (eventName) => {
+    const call = eventBus.subscribe.mock.calls.find(([name]) => name === eventName);
+    return call[1];
+  };
+
+  beforeEach(async () => {
+    // Clear all mocks
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+
+    // Create and initialize a new instance for each test
+    cuttingController = new CuttingController();
+    await cuttingController.initialize();
+  });
+
+  afterEach(async () => {
+    await cuttingController.shutdown();
+    jest.useRealTimers();
+  });
+
+  describe('engage', () => {
+    test('should lower to cutting height before spinning up the blade', () => {
+      cuttingController.engage();
+
+      // Cutter is still being lowered from transport height
+      jest.advanceTimersByTime(1000);
+      expect(cuttingController.blade.state).toBe('starting');
+      expect(cuttingController.blade.speed).toBe(0);
+
+      // 20 cm at 5 cm/s, then 2500 RPM at 1000 RPM/s
+      jest.advanceTimersByTime(6000);
+      expect(cuttingController.height.current).toBeCloseTo(10, 1);
+      expect(cuttingController.blade.state).toBe('running');
+      expect(cuttingController.blade.speed).toBe(2500);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'implement.cutter.status.updated',
+        expect.objectContaining({ isCutting: true })
+      );
+    });
+
+    test('should spin down and raise to transport height when disengaged', () => {
+      cuttingController.engage();
+      jest.advanceTimersByTime(7000);
+
+      cuttingController.disengage();
+      jest.advanceTimersByTime(2000);
+
+      expect(cuttingController.blade.state).toBe('stopped');
+      expect(cuttingController.blade.speed).toBe(0);
+      expect(cuttingController.height.target).toBe(30);
+    });
+  });
+
+  describe('setCuttingHeight', () => {
+    test('should limit cutting height to the cutter range', () => {
+      cuttingController.setCuttingHeight(40);
+      expect(cuttingController.height.cutting).toBe(30);
+
+      cuttingController.setCuttingHeight(2);
+      expect(cuttingController.height.cutting).toBe(5);
+
+      expect(cuttingController.setCuttingHeight('low')).toBe(false);
+      expect(cuttingController.height.cutting).toBe(5);
+    });
+  });
+
+  describe('jam detection', () => {
+    test('should stop the blade on a sustained current spike', () => {
+      cuttingController.engage();
+      jest.advanceTimersByTime(7000);
+      expect(cuttingController.blade.state).toBe('running');
+
+      // Blade motor current spikes well above the running average
+      const onCutterSensor = getSubscriber('sensor.cutter.updated');
+      onCutterSensor({ current: 30, temperature: 40 });
+      jest.advanceTimersByTime(300);
+
+      expect(cuttingController.blade.state).toBe('jammed');
+      expect(cuttingController.blade.speed).toBe(0);
+      expect(cuttingController.safetyFlags.jamDetected).toBe(true);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'implement.cutter.jam',
+        expect.objectContaining({ current: 30, bladeSpeed: 2500 })
+      );
+
+      // Blade cannot be restarted until the jam is cleared
+      expect(cuttingController.engage().success).toBe(false);
+
+      cuttingController.clearJam();
+      expect(cuttingController.blade.state).toBe('stopped');
+      expect(cuttingController.safetyFlags.jamDetected).toBe(false);
+    });
+
+    test('should ignore short current spikes', () => {
+      cuttingController.engage();
+      jest.advanceTimersByTime(7000);
+
+      const onCutterSensor = getSubscriber('sensor.cutter.updated');
+      onCutterSensor({ current: 30 });
+      jest.advanceTimersByTime(100);
+      onCutterSensor({ current: 5 });
+      jest.advanceTimersByTime(300);
+
+      expect(cuttingController.blade.state).toBe('running');
+      expect(cuttingController.safetyFlags.jamDetected).toBe(false);
+    });
+  });
+
+  describe('emergency stop', () => {
+    test('should stop the blade on any emergency stop', () => {
+      cuttingController.engage();
+      jest.advanceTimersByTime(7000);
+
+      const onEmergencyStop = getSubscriber('safety.emergencyStop.triggered');
+      onEmergencyStop({ reason: 'Human detected' });
+
+      expect(cuttingController.blade.state).toBe('stopped');
+      expect(cuttingController.blade.speed).toBe(0);
+      expect(cuttingController.safetyFlags.emergencyStop).toBe(true);
+
+      // Blade stays stopped until the emergency stop is reset
+      expect(cuttingController.engage().success).toBe(false);
+
+      getSubscriber('safety.emergencyStop.reset')({});
+      expect(cuttingController.engage().success).toBe(true);
+    });
+  });
+});
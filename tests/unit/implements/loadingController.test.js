@@ -0,0 +1,168 @@
+/**
+ * Unit tests for LoadingController
+ */
+
+const LoadingController = require('../../../src/implements/loadingController');
+const eventBus = require('../../../src/utils/eventBus');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/utils/eventBus');
+jest.mock('../../../src/config', () => ({
+  implements: {
+    loader: {
+      updateInterval: 100,
+      capacity: 150,
+      fullThreshold: 80,
+      cropYield: 1.5,
+      conveyorRunOn: 3000,
+      weightFilter: 0.2,
+      sensorTimeout: 1000,
+      autoUnload: true,
+      unloadPoint: null
+    }
+  }
+}));
+
+describe('LoadingController', () => {
+  let loadingController;
+  let navigationSystem;
+
+  // Find the handler the controller registered for an event
+  const getSubscriber = (eventName) => {
+    const call = eventBus.subscribe.mock.calls.find(([name]) => name === eventName);
+    return call[1];
+  };
+
+  // Feed the load cell for a while so the filtered weight settles
+  const feedLoadCell = (weight, duration) => {
+    for (let elapsed = 0; elapsed < duration; elapsed += 500) {
+      getSubscriber('sensor.loadCell.updated')({ weight: weight });
+      jest.advanceTimersByTime(500);
+    }
+  };
+
+  beforeEach(async () => {
+    // Clear all mocks
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+
+    navigationSystem = {
+      state: { isNavigating: true },
+      getRemainingWaypoints: jest.fn(() => [{ x: 20, y: 5 }, { x: 20, y: 10 }]),
+      setWaypoints: jest.fn(() => true),
+      startNavigation: jest.fn(() => true)
+    };
+
+    // Create and initialize a new instance for each test
+    loadingController = new LoadingController(navigationSystem);
+    await loadingController.initialize();
+  });
+
+  afterEach(async () => {
+    await loadingController.shutdown();
+    jest.useRealTimers();
+  });
+
+  describe('conveyor', () => {
+    test('should collect fodder while cutting and estimate fill without a load cell', () => {
+      getSubscriber('implement.cutter.status.updated')({ isCutting: true });
+      getSubscriber('motor.status.updated')({ motion: { speed: 1.0 } });
+
+      jest.advanceTimersByTime(10000);
+
+      // 1.5 kg per metre at 1 m/s for 10 s
+      expect(loadingController.conveyor.running).toBe(true);
+      expect(loadingController.container.weight).toBeCloseTo(15, 0);
+      expect(loadingController.container.fillLevel).toBeCloseTo(10, 0);
+    });
+
+    test('should keep the conveyor running briefly after cutting stops', () => {
+      getSubscriber('implement.cutter.status.updated')({ isCutting: true });
+      jest.advanceTimersByTime(500);
+
+      getSubscriber('implement.cutter.status.updated')({ isCutting: false });
+      jest.advanceTimersByTime(2000);
+      expect(loadingController.conveyor.running).toBe(true);
+      expect(loadingController.conveyor.feedRate).toBe(0);
+
+      jest.advanceTimersByTime(1500);
+      expect(loadingController.conveyor.running).toBe(false);
+    });
+  });
+
+  describe('fill level', () => {
+    test('should raise the container full alert once at 80%', () => {
+      feedLoadCell(125, 5000);
+
+      expect(loadingController.container.fillLevel).toBeGreaterThan(80);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'monitoring.alert',
+        expect.objectContaining({ type: 'implement', level: 'warning' })
+      );
+
+      const fullEvents = eventBus.publish.mock.calls.filter(([name]) => name === 'implement.loader.full');
+      expect(fullEvents.length).toBe(1);
+    });
+
+    test('should publish status with fill level', () => {
+      feedLoadCell(30, 3000);
+
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'implement.loader.status.updated',
+        expect.objectContaining({
+          container: expect.objectContaining({ capacity: 150 }),
+          isFull: false
+        })
+      );
+      expect(loadingController.getStatus().container.fillLevel).toBeCloseTo(20, 0);
+    });
+  });
+
+  describe('unloading', () => {
+    beforeEach(() => {
+      loadingController.setUnloadPoint({ x: 0, y: -10 });
+      getSubscriber('implement.cutter.status.updated')({ isCutting: true });
+    });
+
+    test('should drive to the unload point when full and resume afterwards', () => {
+      feedLoadCell(125, 5000);
+
+      // Heading for the unload point with the blade stopped
+      expect(loadingController.unload.state).toBe('travelling');
+      expect(navigationSystem.setWaypoints).toHaveBeenCalledWith([{ x: 0, y: -10 }]);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'command.cutter',
+        expect.objectContaining({ action: 'stop' })
+      );
+
+      // Arrive and tip the container
+      getSubscriber('navigation.path.complete')({});
+      expect(loadingController.unload.state).toBe('dumping');
+
+      feedLoadCell(0, 3000);
+
+      expect(loadingController.unload.state).toBe('idle');
+      expect(navigationSystem.setWaypoints).toHaveBeenLastCalledWith([{ x: 20, y: 5 }, { x: 20, y: 10 }]);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'command.cutter',
+        expect.objectContaining({ action: 'start' })
+      );
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'implement.loader.unload.completed',
+        expect.objectContaining({ resumed: true })
+      );
+    });
+
+    test('should abort the unload trip on emergency stop', () => {
+      feedLoadCell(125, 5000);
+      expect(loadingController.unload.state).toBe('travelling');
+
+      getSubscriber('safety.emergencyStop.triggered')({ reason: 'Human detected' });
+
+      expect(loadingController.unload.state).toBe('idle');
+      expect(loadingController.conveyor.running).toBe(false);
+      expect(loadingController.startUnload().success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for DockingManager
+ */
+
+const DockingManager = require('../../../src/missions/dockingManager');
+const eventBus = require('../../../src/utils/eventBus');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/utils/eventBus');
+jest.mock('../../../src/config', () => ({
+  docking: {
+    location: { x: 0, y: 0 },
+    autoReturn: true,
+    batteryCapacity: 2400,
+    defaultEnergyPerMeter: 0.1,
+    minLearningDistance: 50,
+    energyReserve: 1.5,
+    checkInterval: 5000,
+    resumeLevel: 90
+  },
+  safety: {
+    batteryCriticalThreshold: 10
+  },
+  navigation: {
+    pathFollowing: {
+      cruiseSpeed: 1.5
+    }
+  }
+}));
+
+describe('DockingManager', () => {
+  let dockingManager;
+  let navigationSystem;
+  let missionManager;
+  let safetyMonitor;
+
+  // Find the handler the manager registered for an event
+  const getSubscriber = (eventName) => {
+    const call = eventBus.subscribe.mock.calls.find(([name]) => name === eventName);
+    return call[1];
+  };
+
+  const reportBattery = (batteryLevel, powerConsumption = 500) => {
+    getSubscriber('sensor.powerMonitors.updated')({
+      batteryLevel: batteryLevel,
+      powerConsumption: powerConsumption,
+      timestamp: Date.now()
+    });
+  };
+
+  const statusEvents = () => eventBus.publish.mock.calls
+    .filter(([name]) => name === 'docking.status.updated')
+    .map(([, data]) => data);
+
+  beforeEach(async () => {
+    // Clear all mocks
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+
+    navigationSystem = {
+      planRoute: jest.fn(() => ({ success: true, waypoints: [{ x: 0, y: 0 }], distance: 1000 })),
+      setWaypoints: jest.fn(() => true),
+      startNavigation: jest.fn(() => true)
+    };
+
+    missionManager = {
+      getStatus: jest.fn(() => ({ activeMission: { id: 'm1', status: 'in_progress' } })),
+      pauseActiveMission: jest.fn(() => ({ success: true, mission: { id: 'm1' } })),
+      resumeMission: jest.fn(() => ({ success: true, mission: { id: 'm1' } }))
+    };
+
+    safetyMonitor = {
+      isSafeToOperate: jest.fn(() => true)
+    };
+
+    // Create and initialize a new instance for each test
+    dockingManager = new DockingManager(navigationSystem, missionManager, safetyMonitor);
+    await dockingManager.initialize();
+  });
+
+  afterEach(async () => {
+    await dockingManager.shutdown();
+    jest.useRealTimers();
+  });
+
+  describe('energy estimate', () => {
+    test('should learn energy per metre from power draw while driving', () => {
+      expect(dockingManager.getEnergyPerMeter()).toBe(0.1);
+
+      // 600 W for 100 s while covering 100 m
+      for (let x = 0; x <= 100; x += 1) {
+        getSubscriber('navigation.status.updated')({
+          position: { x: x, y: 0 },
+          isNavigating: true,
+          path: { remainingDistance: 100 - x }
+        });
+        reportBattery(80, 600);
+        jest.advanceTimersByTime(1000);
+      }
+
+      // 600 W over 1 s/m is 1/6 Wh per metre
+      expect(dockingManager.getEnergyPerMeter()).toBeCloseTo(600 / 3600, 3);
+    });
+
+    test('should estimate energy, duration and ETA for the trip home', () => {
+      reportBattery(60);
+
+      const estimate = dockingManager.estimateReturn();
+
+      expect(navigationSystem.planRoute).toHaveBeenCalledWith({ x: 0, y: 0 });
+      expect(estimate.energyRequired).toBeCloseTo(150);
+      expect(estimate.energyAvailable).toBeCloseTo(1200);
+      expect(estimate.duration).toBeCloseTo(1000 / 1.5);
+      expect(estimate.eta).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('return to dock', () => {
+    test('should head home when the charge no longer covers the trip', () => {
+      // 120 Wh usable, 150 Wh needed
+      reportBattery(15);
+      jest.advanceTimersByTime(5000);
+
+      expect(missionManager.pauseActiveMission).toHaveBeenCalledWith(expect.stringContaining('Returning to dock'));
+      expect(navigationSystem.setWaypoints).toHaveBeenCalledWith([{ x: 0, y: 0 }]);
+      expect(navigationSystem.startNavigation).toHaveBeenCalled();
+      expect(dockingManager.getStatus().state).toBe('returning');
+
+      const [returning] = statusEvents();
+      expect(returning.event).toBe('returning');
+      expect(returning.reason).toBe('Insufficient battery to continue');
+      expect(returning.estimate.eta).toBeGreaterThan(Date.now());
+      expect(returning.missionId).toBe('m1');
+    });
+
+    test('should stay out in the field while there is charge to spare', () => {
+      reportBattery(50);
+      jest.advanceTimersByTime(5000);
+
+      expect(missionManager.pauseActiveMission).not.toHaveBeenCalled();
+      expect(dockingManager.getStatus().state).toBe('idle');
+    });
+
+    test('should head home on a low battery violation only during a mission', () => {
+      missionManager.getStatus.mockReturnValue({ activeMission: null });
+      getSubscriber('safety.violation')({ type: 'batteryLow' });
+      expect(navigationSystem.startNavigation).not.toHaveBeenCalled();
+
+      missionManager.getStatus.mockReturnValue({ activeMission: { id: 'm1', status: 'in_progress' } });
+      getSubscriber('safety.violation')({ type: 'batteryLow' });
+      expect(navigationSystem.startNavigation).toHaveBeenCalled();
+      expect(dockingManager.getStatus().reason).toBe('Battery low');
+    });
+
+    test('should charge at the dock and resume the mission', () => {
+      reportBattery(15);
+      jest.advanceTimersByTime(5000);
+
+      getSubscriber('navigation.path.complete')({});
+      expect(dockingManager.getStatus().state).toBe('charging');
+
+      reportBattery(60);
+      expect(missionManager.resumeMission).not.toHaveBeenCalled();
+
+      reportBattery(91);
+      expect(missionManager.resumeMission).toHaveBeenCalledWith('m1');
+      expect(dockingManager.getStatus().state).toBe('idle');
+      expect(statusEvents().pop()).toEqual(expect.objectContaining({ event: 'charged', resumed: true }));
+    });
+
+    test('should abort the trip if navigation is stopped', () => {
+      reportBattery(15);
+      jest.advanceTimersByTime(5000);
+
+      getSubscriber('navigation.stopped')({});
+
+      expect(dockingManager.getStatus().state).toBe('idle');
+      expect(statusEvents().pop()).toEqual(expect.objectContaining({ event: 'aborted' }));
+    });
+  });
+});
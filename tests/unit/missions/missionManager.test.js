@@ -0,0 +1,237 @@
+/**
+ * Unit tests for MissionManager
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const MissionManager = require('../../../src/missions/missionManager');
+const eventBus = require('../../../src/utils/eventBus');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/utils/eventBus');
+jest.mock('../../../src/config', () => ({
+  missions: {
+    storageDir: require('path').join(require('os').tmpdir(), 'sevak-missions-test'),
+    progressInterval: 60000
+  }
+}));
+
+const storageDir = path.join(os.tmpdir(), 'sevak-missions-test');
+
+describe('MissionManager', () => {
+  let missionManager;
+  let navigationSystem;
+  let cuttingController;
+  let loadingController;
+
+  // Find the handler the manager registered for an event
+  const getSubscriber = (eventName) => {
+    const call = eventBus.subscribe.mock.calls.find(([name]) => name === eventName);
+    return call[1];
+  };
+
+  const cuttingMission = {
+    name: 'Morning Fodder Cutting',
+    type: 'cutting',
+    fieldName: 'North Field',
+    parameters: { height: 12 }
+  };
+
+  beforeEach(async () => {
+    // Clear all mocks
+    jest.clearAllMocks();
+
+    await fs.rm(storageDir, { recursive: true, force: true });
+
+    navigationSystem = {
+      setWaypoints: jest.fn(() => true),
+      startNavigation: jest.fn(() => true),
+      stopNavigation: jest.fn(() => true),
+      planCoverage: jest.fn(() => ({ success: true, waypoints: [{ x: 0, y: 0 }, { x: 10, y: 0 }] })),
+      getRemainingWaypoints: jest.fn(() => [{ x: 10, y: 0 }]),
+      getStatus: jest.fn(() => ({ path: { progress: 0.5 } }))
+    };
+
+    cuttingController = {
+      setCuttingHeight: jest.fn(() => true),
+      setBladeSpeed: jest.fn(() => true),
+      engage: jest.fn(() => ({ success: true })),
+      disengage: jest.fn(() => ({ success: true })),
+      getStatus: jest.fn(() => ({ state: 'stopped', isCutting: false }))
+    };
+
+    loadingController = {
+      startUnload: jest.fn(() => ({ success: true })),
+      getStatus: jest.fn(() => ({ unload: { state: 'idle' } }))
+    };
+
+    // Create and initialize a new instance for each test
+    missionManager = new MissionManager(navigationSystem, cuttingController, loadingController);
+    await missionManager.initialize();
+  });
+
+  afterEach(async () => {
+    await missionManager.shutdown();
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  describe('createMission', () => {
+    test('should build the standard steps for a cutting mission', () => {
+      const result = missionManager.createMission(cuttingMission);
+
+      expect(result.success).toBe(true);
+      expect(result.mission.status).toBe('scheduled');
+      expect(result.mission.steps.map(step => step.type)).toEqual(['cutterStart', 'coverage', 'cutterStop']);
+      expect(result.mission.steps[0].height).toBe(12);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'mission.updated',
+        expect.objectContaining({ event: 'created' })
+      );
+    });
+
+    test('should reject invalid missions', () => {
+      expect(missionManager.createMission({ type: 'cutting' }).code).toBe('invalid');
+      expect(missionManager.createMission({ name: 'Plough', type: 'ploughing' }).code).toBe('invalid');
+      expect(missionManager.createMission({ name: 'Haul', type: 'transport' }).code).toBe('invalid');
+      expect(missionManager.createMission({ name: 'Odd job', type: 'custom' }).code).toBe('invalid');
+      expect(missionManager.createMission({
+        name: 'Odd job',
+        type: 'custom',
+        steps: [{ type: 'wait' }]
+      }).code).toBe('invalid');
+    });
+  });
+
+  describe('mission execution', () => {
+    test('should sequence cutter start, coverage and cutter stop', () => {
+      const { mission } = missionManager.createMission(cuttingMission);
+
+      missionManager.startMission(mission.id);
+      expect(cuttingController.setCuttingHeight).toHaveBeenCalledWith(12);
+      expect(cuttingController.engage).toHaveBeenCalled();
+      expect(navigationSystem.startNavigation).not.toHaveBeenCalled();
+
+      // Blade up to speed - drive the field
+      getSubscriber('implement.cutter.status.updated')({ isCutting: true });
+      expect(navigationSystem.planCoverage).toHaveBeenCalled();
+      expect(navigationSystem.setWaypoints).toHaveBeenCalledWith([{ x: 0, y: 0 }, { x: 10, y: 0 }]);
+      expect(missionManager.getMission(mission.id).currentStep).toBe(1);
+
+      // Field done - blade stopped and mission complete
+      getSubscriber('navigation.path.complete')({});
+      expect(cuttingController.disengage).toHaveBeenCalled();
+
+      const completed = missionManager.getMission(mission.id);
+      expect(completed.status).toBe('completed');
+      expect(completed.progress).toBe(1);
+      expect(missionManager.getStatus().activeMission).toBeNull();
+    });
+
+    test('should not finish a driving step while the loader is away unloading', () => {
+      const { mission } = missionManager.createMission(cuttingMission);
+      missionManager.startMission(mission.id);
+      getSubscriber('implement.cutter.status.updated')({ isCutting: true });
+
+      loadingController.getStatus.mockReturnValue({ unload: { state: 'dumping' } });
+      getSubscriber('navigation.path.complete')({});
+
+      expect(missionManager.getMission(mission.id).currentStep).toBe(1);
+    });
+
+    test('should fail the mission when the path is blocked', () => {
+      const { mission } = missionManager.createMission(cuttingMission);
+      missionManager.startMission(mission.id);
+      getSubscriber('implement.cutter.status.updated')({ isCutting: true });
+
+      getSubscriber('navigation.path.blocked')({ reason: 'noPath' });
+
+      const failed = missionManager.getMission(mission.id);
+      expect(failed.status).toBe('failed');
+      expect(failed.error).toBe('Path blocked: noPath');
+      expect(navigationSystem.stopNavigation).toHaveBeenCalled();
+    });
+
+    test('should allow only one active mission', () => {
+      const first = missionManager.createMission(cuttingMission).mission;
+      const second = missionManager.createMission(cuttingMission).mission;
+
+      missionManager.startMission(first.id);
+
+      expect(missionManager.startMission(second.id).code).toBe('conflict');
+      expect(missionManager.deleteMission(first.id).code).toBe('conflict');
+      expect(missionManager.updateMission(first.id, { name: 'Renamed' }).code).toBe('conflict');
+    });
+  });
+
+  describe('pause and resume', () => {
+    test('should pause mid-path and resume along the remaining waypoints', () => {
+      const { mission } = missionManager.createMission(cuttingMission);
+      missionManager.startMission(mission.id);
+      getSubscriber('implement.cutter.status.updated')({ isCutting: true });
+      cuttingController.getStatus.mockReturnValue({ state: 'running', isCutting: true });
+
+      const paused = missionManager.pauseMission(mission.id);
+      expect(paused.success).toBe(true);
+      expect(paused.mission.status).toBe('paused');
+      expect(paused.mission.checkpoint.waypoints).toEqual([{ x: 10, y: 0 }]);
+      expect(navigationSystem.stopNavigation).toHaveBeenCalled();
+      expect(cuttingController.disengage).toHaveBeenCalled();
+
+      navigationSystem.setWaypoints.mockClear();
+      cuttingController.engage.mockClear();
+
+      const resumed = missionManager.resumeMission(mission.id);
+      expect(resumed.success).toBe(true);
+      expect(resumed.mission.status).toBe('in_progress');
+      expect(cuttingController.engage).toHaveBeenCalled();
+      expect(navigationSystem.setWaypoints).toHaveBeenCalledWith([{ x: 10, y: 0 }]);
+    });
+
+    test('should pause on emergency stop', () => {
+      const { mission } = missionManager.createMission(cuttingMission);
+      missionManager.startMission(mission.id);
+
+      getSubscriber('safety.emergencyStop.triggered')({ reason: 'Human detected' });
+
+      const paused = missionManager.getMission(mission.id);
+      expect(paused.status).toBe('paused');
+      expect(paused.pauseReason).toBe('Emergency stop');
+    });
+
+    test('should abort an active mission', () => {
+      const { mission } = missionManager.createMission(cuttingMission);
+      missionManager.startMission(mission.id);
+
+      const result = missionManager.abortMission(mission.id);
+
+      expect(result.success).toBe(true);
+      expect(result.mission.status).toBe('cancelled');
+      expect(missionManager.getStatus().activeMission).toBeNull();
+      expect(missionManager.resumeMission(mission.id).code).toBe('conflict');
+    });
+  });
+
+  describe('persistence', () => {
+    test('should reload missions and hold interrupted ones paused', async () => {
+      const { mission } = missionManager.createMission(cuttingMission);
+      missionManager.startMission(mission.id);
+
+      // Simulate a crash - pending writes land but nothing is paused
+      await missionManager.saveQueue;
+      clearInterval(missionManager.progressInterval);
+
+      const restarted = new MissionManager(navigationSystem, cuttingController, loadingController);
+      await restarted.initialize();
+
+      const reloaded = restarted.getMission(mission.id);
+      expect(reloaded.name).toBe('Morning Fodder Cutting');
+      expect(reloaded.status).toBe('paused');
+      expect(reloaded.pauseReason).toBe('System restarted');
+      expect(restarted.getStatus().activeMission.id).toBe(mission.id);
+
+      await restarted.shutdown();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for DeratingManager
+ */
+
+const DeratingManager = require('../../../src/motors/deratingManager');
+
+describe('DeratingManager', () => {
+  let deratingManager;
+
+  beforeEach(() => {
+    deratingManager = new DeratingManager(['left', 'right'], {
+      temperature: { start: 60, end: 80, minFactor: 0.2, hysteresis: 5 },
+      current: { start: 10, end: 20, minFactor: 0.5, hysteresis: 2 },
+      faultTemperature: 90,
+      faultCurrent: 25,
+      limpFactor: 0.4
+    });
+  });
+
+  test('should derate along the curve and release with hysteresis', () => {
+    expect(deratingManager.update('left', { temperature: 70 }, 1000)).toBe(true);
+    expect(deratingManager.getFactor('left')).toBeCloseTo(0.6, 5);
+
+    // Hotter derates at once
+    deratingManager.update('left', { temperature: 75 }, 1100);
+    expect(deratingManager.getFactor('left')).toBeCloseTo(0.4, 5);
+
+    // Cooling within the hysteresis band holds the derating
+    expect(deratingManager.update('left', { temperature: 72 }, 1200)).toBe(false);
+    expect(deratingManager.getFactor('left')).toBeCloseTo(0.4, 5);
+
+    // Further down it is released as if 5°C hotter
+    deratingManager.update('left', { temperature: 65 }, 1300);
+    expect(deratingManager.getFactor('left')).toBeCloseTo(0.6, 5);
+
+    deratingManager.update('left', { temperature: 55 }, 1400);
+    expect(deratingManager.getFactor('left')).toBe(1);
+    expect(deratingManager.getState().left).toMatchObject({ reasons: [], since: null });
+  });
+
+  test('should limit the vehicle by its most derated motors', () => {
+    deratingManager.update('left', { temperature: 70, current: 5 }, 1000);
+    deratingManager.update('right', { temperature: 65, current: 15 }, 1000);
+
+    expect(deratingManager.getFactor('right')).toBeCloseTo(0.75, 5);
+    expect(deratingManager.getReasons('right')).toEqual(['temperature 65°C', 'current 15.0 A']);
+    expect(deratingManager.getVehicleLimits()).toEqual({
+      speedFactor: expect.closeTo(0.6, 5),
+      accelerationFactor: expect.closeTo(0.75, 5),
+      limpMode: false,
+      reason: 'left motor temperature 70°C'
+    });
+  });
+
+  test('should isolate a faulted motor until its fault is reset', () => {
+    deratingManager.update('right', { fault: 'drive overvoltage' }, 1000);
+
+    expect(deratingManager.isIsolated('right')).toBe(true);
+    expect(deratingManager.getFactor('right')).toBe(0);
+    expect(deratingManager.getReasons('right')).toEqual(['isolated: drive overvoltage']);
+    expect(deratingManager.getVehicleLimits()).toMatchObject({
+      speedFactor: 0.4,
+      limpMode: true,
+      reason: 'right motor isolated (drive overvoltage), limp mode'
+    });
+
+    expect(deratingManager.resetFault('right')).toBe(true);
+    expect(deratingManager.getVehicleLimits()).toMatchObject({ speedFactor: 1, limpMode: false });
+  });
+
+  test('should not reset a fault while the reading is over the fault level', () => {
+    deratingManager.update('left', { temperature: 95 }, 1000);
+    expect(deratingManager.getState().left).toMatchObject({ isolated: true, fault: 'temperature 95°C', since: 1000 });
+
+    expect(deratingManager.resetFault('left')).toBe(false);
+
+    deratingManager.update('left', { temperature: 70 }, 2000);
+    expect(deratingManager.resetFault('left')).toBe(true);
+    expect(deratingManager.getFactor('left')).toBeCloseTo(0.4, 5);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Unit tests for CoveragePlanner
+ */
+
+const CoveragePlanner = require('../../../src/navigation/coveragePlanner');
+
+describe('CoveragePlanner', () => {
+  let coveragePlanner;
+
+  const rectangle = [
+    { x: 0, y: 0 },
+    { x: 40, y: 0 },
+    { x: 40, y: 20 },
+    { x: 0, y: 20 }
+  ];
+
+  beforeEach(() => {
+    // Create a new instance for each test
+    coveragePlanner = new CoveragePlanner({
+      swathWidth: 2.0,
+      overlap: 0,
+      headlandWidth: 4.0,
+      orientation: 'auto',
+      headlandPasses: false,
+      minTurningRadius: 1.5,
+      turnResolution: 0.5
+    });
+  });
+
+  const isInside = (point, polygon) => {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+
+      if (((a.y > point.y) !== (b.y > point.y)) &&
+          (point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x)) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  };
+
+  // Passes are the waypoint pairs that run the full length of a row
+  const findPasses = (waypoints, minLength) => {
+    const passes = [];
+
+    for (let i = 1; i < waypoints.length; i++) {
+      const length = Math.hypot(waypoints[i].x - waypoints[i - 1].x, waypoints[i].y - waypoints[i - 1].y);
+
+      if (length >= minLength) {
+        passes.push({ from: waypoints[i - 1], to: waypoints[i] });
+      }
+    }
+
+    return passes;
+  };
+
+  describe('plan', () => {
+    test('should cover a rectangle with evenly spaced alternating passes', () => {
+      const result = coveragePlanner.plan(rectangle);
+
+      expect(result.success).toBe(true);
+      expect(result.stats.passes).toBe(6);
+      expect(result.stats.orientation).toBeCloseTo(0, 5);
+
+      const passes = findPasses(result.waypoints, 20);
+      expect(passes).toHaveLength(6);
+
+      passes.forEach((pass, index) => {
+        // Rows run along x, inside the headland
+        expect(pass.from.y).toBeCloseTo(pass.to.y, 5);
+        expect(Math.min(pass.from.x, pass.to.x)).toBeCloseTo(4, 5);
+        expect(Math.max(pass.from.x, pass.to.x)).toBeCloseTo(36, 5);
+
+        if (index > 0) {
+          // Alternating direction, one swath apart
+          const previous = passes[index - 1];
+          expect(Math.sign(pass.to.x - pass.from.x)).toBe(-Math.sign(previous.to.x - previous.from.x));
+          expect(Math.abs(pass.from.y - previous.from.y)).toBeCloseTo(2.0, 5);
+        }
+      });
+    });
+
+    test('should reduce row spacing by the overlap percentage', () => {
+      const result = coveragePlanner.plan(rectangle, { overlap: 20 });
+
+      expect(result.success).toBe(true);
+      expect(result.stats.swathSpacing).toBeCloseTo(1.6, 5);
+      expect(result.stats.passes).toBe(8);
+    });
+
+    test('should run rows along the requested orientation', () => {
+      const result = coveragePlanner.plan(rectangle, { orientation: 90 });
+
+      expect(result.success).toBe(true);
+      expect(result.stats.orientation).toBeCloseTo(90, 5);
+
+      findPasses(result.waypoints, 10).forEach(pass => {
+        expect(pass.from.x).toBeCloseTo(pass.to.x, 5);
+      });
+    });
+
+    test('should keep every waypoint inside the field boundary', () => {
+      const result = coveragePlanner.plan(rectangle, { overlap: 10, headlandPasses: true });
+
+      expect(result.success).toBe(true);
+      expect(result.stats.headlandLaps).toBeGreaterThan(0);
+      result.waypoints.forEach(point => {
+        expect(isInside(point, rectangle)).toBe(true);
+      });
+    });
+
+    test('should use U-turns no tighter than the turning radius', () => {
+      const result = coveragePlanner.plan(rectangle, { swathWidth: 4.0 });
+
+      expect(result.success).toBe(true);
+
+      // Turn points beyond the row end stay within one turning radius of it
+      result.waypoints.forEach(point => {
+        expect(point.x).toBeGreaterThanOrEqual(4 - 1.5 - 1e-6);
+        expect(point.x).toBeLessThanOrEqual(36 + 1.5 + 1e-6);
+      });
+    });
+
+    test('should split a non-convex field into separately covered cells', () => {
+      // U-shaped field - rows across the top cross both arms
+      const uShape = [
+        { x: 0, y: 0 },
+        { x: 50, y: 0 },
+        { x: 50, y: 40 },
+        { x: 34, y: 40 },
+        { x: 34, y: 16 },
+        { x: 16, y: 16 },
+        { x: 16, y: 40 },
+        { x: 0, y: 40 }
+      ];
+
+      const result = coveragePlanner.plan(uShape, { orientation: 0, headlandPasses: true });
+
+      expect(result.success).toBe(true);
+      expect(result.stats.cells).toBeGreaterThan(1);
+
+      // No leg between waypoints cuts across the gap between the arms
+      for (let i = 1; i < result.waypoints.length; i++) {
+        const a = result.waypoints[i - 1];
+        const b = result.waypoints[i];
+
+        for (let t = 0; t <= 1; t += 0.1) {
+          expect(isInside({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t }, uShape)).toBe(true);
+        }
+      }
+    });
+
+    test('should cover around a keep-out zone without crossing it', () => {
+      const pond = [
+        { x: 16, y: 8 },
+        { x: 24, y: 8 },
+        { x: 24, y: 12 },
+        { x: 16, y: 12 }
+      ];
+
+      const result = coveragePlanner.plan(rectangle, { keepOut: [pond], boundaryMargin: 1.0, headlandPasses: true });
+
+      expect(result.success).toBe(true);
+      expect(result.stats.keepOutZones).toBe(1);
+
+      // No leg enters the pond, and every waypoint keeps the margin from the boundary
+      for (let i = 1; i < result.waypoints.length; i++) {
+        const a = result.waypoints[i - 1];
+        const b = result.waypoints[i];
+
+        for (let t = 0; t <= 1; t += 0.05) {
+          expect(isInside({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t }, pond)).toBe(false);
+        }
+      }
+
+      result.waypoints.forEach(point => {
+        expect(point.x).toBeGreaterThanOrEqual(1 - 1e-6);
+        expect(point.x).toBeLessThanOrEqual(39 + 1e-6);
+        expect(point.y).toBeGreaterThanOrEqual(1 - 1e-6);
+        expect(point.y).toBeLessThanOrEqual(19 + 1e-6);
+      });
+
+      // Passes are cut short on both sides of the pond
+      const passes = findPasses(result.waypoints, 3);
+      expect(passes.some(pass => Math.max(pass.from.x, pass.to.x) < 16)).toBe(true);
+      expect(passes.some(pass => Math.min(pass.from.x, pass.to.x) > 24)).toBe(true);
+    });
+
+    test('should reject an invalid keep-out zone', () => {
+      const result = coveragePlanner.plan(rectangle, { keepOut: [[{ x: 10, y: 10 }, { x: 12, y: 10 }]] });
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('invalidKeepOut');
+    });
+
+    test('should fail when the headland is too narrow for the turns', () => {
+      const result = coveragePlanner.plan(rectangle, { swathWidth: 1.0, headlandWidth: 2.0 });
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('headlandTooNarrow');
+      expect(result.requiredHeadlandWidth).toBeGreaterThan(2.0);
+    });
+
+    test('should fail when the headland leaves no room for passes', () => {
+      const result = coveragePlanner.plan([
+        { x: 0, y: 0 },
+        { x: 6, y: 0 },
+        { x: 6, y: 6 },
+        { x: 0, y: 6 }
+      ]);
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('headlandTooWide');
+    });
+
+    test('should reject an invalid boundary', () => {
+      const result = coveragePlanner.plan([{ x: 0, y: 0 }, { x: 10, y: 0 }]);
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('invalidBoundary');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for ObstacleTracker
+ */
+
+const ObstacleTracker = require('../../../src/navigation/obstacleTracker');
+
+describe('ObstacleTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new ObstacleTracker({ staticAfter: 1000, maxAge: 500 });
+  });
+
+  const detection = (x, y) => ({
+    position: { x, y, z: 0 },
+    size: { width: 0.5, height: 1, depth: 0.5 }
+  });
+
+  test('should classify an obstacle that stays put as static', () => {
+    for (let time = 0; time <= 1000; time += 100) {
+      tracker.update([detection(5, 5)], time);
+    }
+
+    const tracks = tracker.getTracks();
+
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0].classification).toBe('static');
+    expect(tracks[0].position.x).toBeCloseTo(5);
+  });
+
+  test('should follow a moving obstacle and estimate its velocity', () => {
+    // Walking north at 1 m/s
+    for (let time = 0; time <= 2000; time += 100) {
+      tracker.update([detection(5, time / 1000)], time);
+    }
+
+    const tracks = tracker.getTracks();
+
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0].classification).toBe('moving');
+    expect(tracks[0].velocity.x).toBeCloseTo(0, 1);
+    expect(tracks[0].velocity.y).toBeCloseTo(1, 1);
+  });
+
+  test('should keep separate tracks for separate obstacles', () => {
+    for (let time = 0; time <= 1000; time += 100) {
+      tracker.update([detection(0, 10), detection(5, time / 1000)], time);
+    }
+
+    const tracks = tracker.getTracks().sort((a, b) => a.position.x - b.position.x);
+
+    expect(tracks).toHaveLength(2);
+    expect(tracks[0].classification).toBe('static');
+    expect(tracks[1].classification).toBe('moving');
+    expect(tracks[1].detection.position).toEqual({ x: 5, y: 1, z: 0 });
+  });
+
+  test('should drop tracks that are no longer seen', () => {
+    tracker.update([detection(5, 5)], 0);
+    tracker.update([], 400);
+
+    expect(tracker.getTracks()).toHaveLength(1);
+    expect(tracker.getTracks()[0].detection).toBeNull();
+
+    tracker.update([], 600);
+
+    expect(tracker.getTracks()).toHaveLength(0);
+  });
+});
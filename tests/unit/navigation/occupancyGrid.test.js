@@ -0,0 +1,131 @@
+/**
+ * Unit tests for OccupancyGrid
+ */
+
+const OccupancyGrid = require('../../../src/navigation/occupancyGrid');
+
+const { CELL_STATE } = OccupancyGrid;
+
+describe('OccupancyGrid', () => {
+  let grid;
+
+  beforeEach(() => {
+    grid = new OccupancyGrid({ resolution: 0.5 });
+  });
+
+  // Integrate the same ray a number of times
+  const observe = (end, hit, times, time = 0) => {
+    for (let n = 0; n < times; n++) {
+      grid.integrateRay({ x: 0.25, y: 0.25 }, end, hit, time);
+    }
+  };
+
+  // Expand a run-length encoded grid
+  const decode = (encoded) => {
+    const states = [];
+    for (let k = 0; k < encoded.data.length; k += 2) {
+      for (let n = 0; n < encoded.data[k + 1]; n++) {
+        states.push(encoded.data[k]);
+      }
+    }
+    return states;
+  };
+
+  test('should mark the end of a ray occupied and the cells before it free', () => {
+    observe({ x: 5.25, y: 0.25 }, true, 3);
+
+    expect(grid.getProbability(5.25, 0.25)).toBeGreaterThan(0.9);
+    expect(grid.isOccupied(10, 0)).toBe(true);
+    for (let x = 0.25; x < 5; x += 0.5) {
+      expect(grid.getProbability(x, 0.25)).toBeLessThan(0.3);
+    }
+    expect(grid.getProbability(7.25, 0.25)).toBe(0.5);
+  });
+
+  test('should visit every cell along a diagonal ray', () => {
+    observe({ x: 3.1, y: 2.3 }, false, 1);
+
+    // A miss leaves every crossed cell, including the last, a little more likely free
+    const cells = [];
+    grid.tiles.forEach(tile => {
+      tile.logOdds.forEach((logOdds, index) => {
+        if (logOdds < 0) {
+          cells.push(index);
+        }
+      });
+    });
+
+    expect(cells.length).toBe(6 + 4 + 1);
+    expect(grid.getLogOdds(6, 4)).toBeLessThan(0);
+  });
+
+  test('should cluster touching occupied cells into obstacles', () => {
+    [0.25, 0.75, 1.25].forEach(y => observe({ x: 5.25, y: y }, true, 3));
+    observe({ x: -4.75, y: 0.25 }, true, 3);
+
+    const clusters = grid.findClusters().sort((a, b) => a.position.x - b.position.x);
+
+    expect(clusters).toHaveLength(2);
+    expect(clusters[0].position).toEqual({ x: -4.75, y: 0.25, z: 0 });
+    expect(clusters[1].cells).toHaveLength(3);
+    expect(clusters[1].position.x).toBeCloseTo(5.25);
+    expect(clusters[1].position.y).toBeCloseTo(0.75);
+    expect(clusters[1].size.depth).toBeCloseTo(1.5);
+  });
+
+  test('should decay stale cells but keep static ones', () => {
+    observe({ x: 5.25, y: 0.25 }, true, 3, 0);
+    observe({ x: 0.25, y: 5.25 }, true, 3, 0);
+    grid.markStatic([{ i: 0, j: 10 }]);
+
+    grid.decay(0);
+    grid.decay(30000);
+
+    expect(grid.isOccupied(10, 0)).toBe(false);
+    expect(grid.getLogOdds(10, 0)).toBe(0);
+    expect(grid.isOccupied(0, 10)).toBe(true);
+    expect(grid.isStatic(0, 10)).toBe(true);
+  });
+
+  test('should drop a static cell once the sensors see through it', () => {
+    observe({ x: 5.25, y: 0.25 }, true, 3);
+    grid.markStatic([{ i: 10, j: 0 }]);
+
+    observe({ x: 8.25, y: 0.25 }, false, 15);
+
+    expect(grid.isOccupied(10, 0)).toBe(false);
+    expect(grid.isStatic(10, 0)).toBe(false);
+  });
+
+  test('should reload static cells at another resolution', () => {
+    observe({ x: 5.25, y: 0.25 }, true, 5);
+    grid.markStatic([{ i: 10, j: 0 }]);
+    const cells = grid.getStaticCells();
+
+    const coarse = new OccupancyGrid({ resolution: 1.0 });
+    coarse.loadStaticCells(cells, 0.5, 0);
+
+    expect(cells).toEqual([[10, 0, expect.any(Number)]]);
+    expect(coarse.isOccupied(5, 0)).toBe(true);
+    expect(coarse.isStatic(5, 0)).toBe(true);
+  });
+
+  test('should run-length encode the cell states', () => {
+    observe({ x: 5.25, y: 0.25 }, true, 3);
+    grid.markStatic([{ i: 10, j: 0 }]);
+
+    const encoded = grid.encode();
+    const states = decode(encoded);
+    const stateAt = (x, y) => states[
+      Math.floor((y - encoded.origin.y) / encoded.resolution) * encoded.width +
+      Math.floor((x - encoded.origin.x) / encoded.resolution)
+    ];
+
+    expect(encoded.encoding).toBe('rle');
+    expect(states).toHaveLength(encoded.width * encoded.height);
+    expect(encoded.data.length).toBeLessThan(20);
+    expect(stateAt(5.25, 0.25)).toBe(CELL_STATE.static);
+    expect(stateAt(2.25, 0.25)).toBe(CELL_STATE.free);
+    expect(stateAt(2.25, 3.25)).toBe(CELL_STATE.unknown);
+  });
+});
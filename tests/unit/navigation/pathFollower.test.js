@@ -0,0 +1,160 @@
+/**
+ * Unit tests for PathFollower
+ */
+
+const PathFollower = require('../../../src/navigation/pathFollower');
+
+describe('PathFollower', () => {
+  let pathFollower;
+
+  beforeEach(() => {
+    // Create a new instance for each test
+    pathFollower = new PathFollower({
+      lookaheadDistance: 2.0,
+      minLookaheadDistance: 1.0,
+      lookaheadGain: 0,
+      cruiseSpeed: 2.0,
+      minSpeed: 0.5,
+      slowdownDistance: 4.0,
+      wheelBase: 1.0,
+      maxSteeringAngle: 30
+    });
+  });
+
+  const createPose = (x, y, yaw, speed = 0) => ({
+    position: { x, y, z: 0 },
+    orientation: { roll: 0, pitch: 0, yaw },
+    speed
+  });
+
+  describe('computeCommand', () => {
+    test('should return null when there is no active waypoint', () => {
+      const command = pathFollower.computeCommand(createPose(0, 0, 0), {
+        waypoints: [{ x: 10, y: 0, z: 0 }],
+        currentWaypoint: 1,
+        segmentStart: { x: 0, y: 0, z: 0 }
+      });
+
+      expect(command).toBeNull();
+    });
+
+    test('should drive straight at cruise speed when on the path', () => {
+      const command = pathFollower.computeCommand(createPose(0, 0, 0), {
+        waypoints: [{ x: 20, y: 0, z: 0 }],
+        currentWaypoint: 0,
+        segmentStart: { x: 0, y: 0, z: 0 }
+      });
+
+      expect(command.speed).toBeCloseTo(2.0, 5);
+      expect(command.direction).toBeCloseTo(0, 5);
+      expect(command.crossTrackError).toBeCloseTo(0, 5);
+      expect(command.headingError).toBeCloseTo(0, 5);
+    });
+
+    test('should report cross-track error and steer back towards the path', () => {
+      // Tractor is 1m to the left of the path (positive y)
+      const command = pathFollower.computeCommand(createPose(5, 1, 0), {
+        waypoints: [{ x: 20, y: 0, z: 0 }],
+        currentWaypoint: 0,
+        segmentStart: { x: 0, y: 0, z: 0 }
+      });
+
+      expect(command.crossTrackError).toBeCloseTo(1, 5);
+
+      // Path is to the right, so steer right (positive direction)
+      expect(command.direction).toBeGreaterThan(0);
+    });
+
+    test('should steer left when the path is to the left', () => {
+      const command = pathFollower.computeCommand(createPose(5, -1, 0), {
+        waypoints: [{ x: 20, y: 0, z: 0 }],
+        currentWaypoint: 0,
+        segmentStart: { x: 0, y: 0, z: 0 }
+      });
+
+      expect(command.crossTrackError).toBeCloseTo(-1, 5);
+      expect(command.direction).toBeLessThan(0);
+    });
+
+    test('should report heading error relative to the segment', () => {
+      const command = pathFollower.computeCommand(createPose(5, 0, 0.2), {
+        waypoints: [{ x: 20, y: 0, z: 0 }],
+        currentWaypoint: 0,
+        segmentStart: { x: 0, y: 0, z: 0 }
+      });
+
+      expect(command.headingError).toBeCloseTo(-0.2, 5);
+      expect(command.direction).toBeGreaterThan(0);
+    });
+
+    test('should limit steering to the maximum steering angle', () => {
+      const command = pathFollower.computeCommand(createPose(0, 0, 0), {
+        waypoints: [{ x: 0, y: 20, z: 0 }],
+        currentWaypoint: 0,
+        segmentStart: { x: 0, y: 0, z: 0 }
+      });
+
+      expect(Math.abs(command.direction)).toBeLessThanOrEqual(30 * Math.PI / 180 + 1e-9);
+    });
+
+    test('should ramp speed down when approaching the final waypoint', () => {
+      const path = {
+        waypoints: [{ x: 10, y: 0, z: 0 }],
+        currentWaypoint: 0,
+        segmentStart: { x: 0, y: 0, z: 0 }
+      };
+
+      const far = pathFollower.computeCommand(createPose(2, 0, 0), path);
+      const near = pathFollower.computeCommand(createPose(8, 0, 0), path);
+      const closer = pathFollower.computeCommand(createPose(9.5, 0, 0), path);
+
+      expect(far.speed).toBeCloseTo(2.0, 5);
+      expect(near.speed).toBeLessThan(far.speed);
+      expect(closer.speed).toBeLessThan(near.speed);
+      expect(closer.speed).toBeGreaterThanOrEqual(0.5);
+    });
+
+    test('should not slow down for intermediate waypoints on a straight line', () => {
+      const path = {
+        waypoints: [
+          { x: 0, y: 0, z: 0 },
+          { x: 10, y: 0, z: 0 },
+          { x: 20, y: 0, z: 0 }
+        ],
+        currentWaypoint: 1,
+        segmentStart: { x: 0, y: 0, z: 0 }
+      };
+
+      const command = pathFollower.computeCommand(createPose(8, 0, 0), path);
+
+      expect(command.speed).toBeCloseTo(2.0, 5);
+    });
+
+    test('should use the next segment for the lookahead point near a corner', () => {
+      const command = pathFollower.computeCommand(createPose(9, 0, 0), {
+        waypoints: [
+          { x: 10, y: 0, z: 0 },
+          { x: 10, y: 10, z: 0 }
+        ],
+        currentWaypoint: 0,
+        segmentStart: { x: 0, y: 0, z: 0 }
+      });
+
+      expect(command.lookaheadPoint.x).toBeCloseTo(10, 5);
+      expect(command.lookaheadPoint.y).toBeCloseTo(1, 5);
+
+      // Corner turns left
+      expect(command.direction).toBeLessThan(0);
+    });
+
+    test('should crawl when the lookahead point is behind the tractor', () => {
+      const command = pathFollower.computeCommand(createPose(0, 0, Math.PI), {
+        waypoints: [{ x: 20, y: 0, z: 0 }],
+        currentWaypoint: 0,
+        segmentStart: { x: 0, y: 0, z: 0 }
+      });
+
+      expect(command.speed).toBeCloseTo(0.5, 5);
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Unit tests for PathPlanner
+ */
+
+const PathPlanner = require('../../../src/navigation/pathPlanner');
+
+describe('PathPlanner', () => {
+  let pathPlanner;
+
+  beforeEach(() => {
+    // Create a new instance for each test
+    pathPlanner = new PathPlanner({
+      resolution: 0.5,
+      maxIterations: 20000,
+      obstacleMargin: 1.0,
+      minTurningRadius: 1.5
+    });
+  });
+
+  const createObstacle = (x, y, width = 2, depth = 2) => ({
+    position: { x, y, z: 0 },
+    size: { width, height: 1, depth }
+  });
+
+  // Minimum distance from any densely sampled path point to an obstacle center
+  const minClearance = (path, obstacle) => {
+    let minDistance = Infinity;
+
+    for (let i = 1; i < path.length; i++) {
+      const a = path[i - 1];
+      const b = path[i];
+
+      for (let t = 0; t <= 1; t += 0.05) {
+        const x = a.x + (b.x - a.x) * t;
+        const y = a.y + (b.y - a.y) * t;
+        minDistance = Math.min(minDistance, Math.hypot(x - obstacle.position.x, y - obstacle.position.y));
+      }
+    }
+
+    return minDistance;
+  };
+
+  describe('plan', () => {
+    test('should return a direct path when nothing is in the way', () => {
+      const start = { x: 0, y: 0, z: 0 };
+      const goal = { x: 10, y: 0, z: 0 };
+
+      const result = pathPlanner.plan(start, goal, { obstacles: [] });
+
+      expect(result.success).toBe(true);
+      expect(result.path).toEqual([start, goal]);
+    });
+
+    test('should plan around a single obstacle with clearance', () => {
+      const start = { x: 0, y: 0, z: 0 };
+      const goal = { x: 20, y: 0, z: 0 };
+      const obstacle = createObstacle(10, 0);
+
+      const result = pathPlanner.plan(start, goal, { obstacles: [obstacle] });
+
+      expect(result.success).toBe(true);
+      expect(result.path[0]).toEqual(start);
+      expect(result.path[result.path.length - 1]).toEqual(goal);
+      expect(result.path.length).toBeGreaterThan(2);
+
+      // Obstacle radius plus margin, less one grid cell of discretisation
+      expect(minClearance(result.path, obstacle)).toBeGreaterThan(2.0 - 0.5);
+    });
+
+    test('should keep an obstacle\'s own clearance when it is larger than the margin', () => {
+      const person = { ...createObstacle(10, 0, 0.5, 0.5), clearance: 3.0 };
+
+      const result = pathPlanner.plan({ x: 0, y: 0, z: 0 }, { x: 20, y: 0, z: 0 }, { obstacles: [person] });
+
+      expect(result.success).toBe(true);
+      expect(minClearance(result.path, person)).toBeGreaterThan(0.25 + 3.0 - 0.5);
+    });
+
+    test('should plan around a wall of obstacles', () => {
+      const start = { x: 0, y: 0, z: 0 };
+      const goal = { x: 20, y: 0, z: 0 };
+      const wall = [-4, -2, 0, 2, 4].map(y => createObstacle(10, y));
+
+      const result = pathPlanner.plan(start, goal, { obstacles: wall });
+
+      expect(result.success).toBe(true);
+      wall.forEach(obstacle => {
+        expect(minClearance(result.path, obstacle)).toBeGreaterThan(1.5);
+      });
+    });
+
+    test('should stay inside the field boundary', () => {
+      const boundary = [
+        { x: -2, y: -3 },
+        { x: 22, y: -3 },
+        { x: 22, y: 6 },
+        { x: -2, y: 6 }
+      ];
+
+      // Obstacle hugs the lower boundary, so the only way round is above it
+      const result = pathPlanner.plan({ x: 0, y: 0, z: 0 }, { x: 20, y: 0, z: 0 }, {
+        obstacles: [createObstacle(10, -1)],
+        boundary: boundary
+      });
+
+      expect(result.success).toBe(true);
+      result.path.forEach(point => {
+        expect(point.x).toBeGreaterThanOrEqual(-2);
+        expect(point.x).toBeLessThanOrEqual(22);
+        expect(point.y).toBeGreaterThanOrEqual(-3);
+        expect(point.y).toBeLessThanOrEqual(6);
+      });
+
+      const maxY = Math.max(...result.path.map(point => point.y));
+      expect(maxY).toBeGreaterThan(0.5);
+    });
+
+    test('should keep the boundary margin clear around a keep-out zone', () => {
+      const planner = new PathPlanner({ resolution: 0.5, obstacleMargin: 1.0, boundaryMargin: 1.0 });
+      const pond = [
+        { x: 8, y: -3 },
+        { x: 12, y: -3 },
+        { x: 12, y: 3 },
+        { x: 8, y: 3 }
+      ];
+
+      const result = planner.plan({ x: 0, y: 0, z: 0 }, { x: 20, y: 0, z: 0 }, { obstacles: [], keepOut: [pond] });
+
+      expect(result.success).toBe(true);
+
+      // Distance from each sampled point to the pond rectangle
+      for (let i = 1; i < result.path.length; i++) {
+        const a = result.path[i - 1];
+        const b = result.path[i];
+
+        for (let t = 0; t <= 1; t += 0.05) {
+          const x = a.x + (b.x - a.x) * t;
+          const y = a.y + (b.y - a.y) * t;
+          const dx = Math.max(8 - x, 0, x - 12);
+          const dy = Math.max(-3 - y, 0, y - 3);
+          expect(Math.hypot(dx, dy)).toBeGreaterThan(0.5);
+        }
+      }
+    });
+
+    test('should plan around a pond across the way in a large field', () => {
+      const planner = new PathPlanner({ resolution: 0.5, maxIterations: 10000, obstacleMargin: 1.0, boundaryMargin: 5.0 });
+      const environment = {
+        obstacles: [],
+        boundary: [{ x: 0, y: 0 }, { x: 300, y: 0 }, { x: 300, y: 300 }, { x: 0, y: 300 }],
+        keepOut: [[{ x: 145, y: 130 }, { x: 155, y: 130 }, { x: 155, y: 170 }, { x: 145, y: 170 }]]
+      };
+      const markZones = jest.spyOn(planner, '_markZones');
+
+      const result = planner.plan({ x: 100, y: 150, z: 0 }, { x: 200, y: 150, z: 0 }, environment);
+
+      expect(result.success).toBe(true);
+      expect(Math.max(...result.path.map(point => Math.abs(point.y - 150)))).toBeGreaterThan(20);
+
+      // The field layer is built once for the geofence
+      expect(planner.plan({ x: 100, y: 140, z: 0 }, { x: 200, y: 160, z: 0 }, environment).success).toBe(true);
+      expect(markZones).toHaveBeenCalledTimes(1);
+
+      environment.keepOut = [[{ x: 145, y: 100 }, { x: 155, y: 100 }, { x: 155, y: 140 }, { x: 145, y: 140 }]];
+      expect(planner.plan({ x: 100, y: 150, z: 0 }, { x: 200, y: 150, z: 0 }, environment).success).toBe(true);
+      expect(markZones).toHaveBeenCalledTimes(2);
+    });
+
+    test('should search the whole field when the way round leaves the area of the segment', () => {
+      // U-shaped field, the notch between the arms reaching far below both ends
+      const boundary = [
+        { x: 0, y: 0 },
+        { x: 100, y: 0 },
+        { x: 100, y: 100 },
+        { x: 60, y: 100 },
+        { x: 60, y: 20 },
+        { x: 40, y: 20 },
+        { x: 40, y: 100 },
+        { x: 0, y: 100 }
+      ];
+
+      const result = pathPlanner.plan({ x: 30, y: 90, z: 0 }, { x: 70, y: 90, z: 0 }, { obstacles: [], boundary: boundary });
+
+      expect(result.success).toBe(true);
+      expect(Math.min(...result.path.map(point => point.y))).toBeLessThan(20);
+    });
+
+    test('should report no path when the goal is enclosed', () => {
+      const boundary = [
+        { x: -2, y: -3 },
+        { x: 22, y: -3 },
+        { x: 22, y: 3 },
+        { x: -2, y: 3 }
+      ];
+      const wall = [-2, 0, 2].map(y => createObstacle(10, y));
+
+      const result = pathPlanner.plan({ x: 0, y: 0, z: 0 }, { x: 20, y: 0, z: 0 }, {
+        obstacles: wall,
+        boundary: boundary
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.path).toBeNull();
+      expect(result.reason).toBe('noPath');
+    });
+
+    test('should report a blocked goal', () => {
+      const result = pathPlanner.plan({ x: 0, y: 0, z: 0 }, { x: 10, y: 0, z: 0 }, {
+        obstacles: [createObstacle(10, 0)]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('goalBlocked');
+    });
+
+    test('should give up after the iteration limit', () => {
+      pathPlanner = new PathPlanner({ resolution: 0.5, maxIterations: 10 });
+
+      const result = pathPlanner.plan({ x: 0, y: 0, z: 0 }, { x: 20, y: 0, z: 0 }, {
+        obstacles: [createObstacle(10, 0)]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('iterationLimit');
+      expect(result.iterations).toBe(10);
+    });
+
+    test('should allow leaving an inflated obstacle margin from the start', () => {
+      // Start is within the margin of the obstacle but not inside it
+      const result = pathPlanner.plan({ x: 0, y: 0, z: 0 }, { x: 0, y: 10, z: 0 }, {
+        obstacles: [createObstacle(1.5, 0)]
+      });
+
+      expect(result.success).toBe(true);
+    });
+
+    test('should round corners no tighter than the turning radius', () => {
+      const start = { x: 0, y: 0, z: 0 };
+      const goal = { x: 20, y: 0, z: 0 };
+
+      const result = pathPlanner.plan(start, goal, { obstacles: [createObstacle(10, 0, 4, 4)] });
+
+      expect(result.success).toBe(true);
+
+      // Heading change between consecutive segments stays small once corners are rounded
+      for (let i = 2; i < result.path.length; i++) {
+        const a = result.path[i - 2];
+        const b = result.path[i - 1];
+        const c = result.path[i];
+        const inHeading = Math.atan2(b.y - a.y, b.x - a.x);
+        const outHeading = Math.atan2(c.y - b.y, c.x - b.x);
+        const turn = Math.abs(Math.atan2(Math.sin(outHeading - inHeading), Math.cos(outHeading - inHeading)));
+
+        expect(turn).toBeLessThan(Math.PI / 2);
+      }
+    });
+  });
+
+  describe('isDirectPathClear', () => {
+    test('should detect a blocked straight line', () => {
+      const environment = { obstacles: [createObstacle(5, 0)] };
+
+      expect(pathPlanner.isDirectPathClear({ x: 0, y: 0 }, { x: 10, y: 0 }, environment)).toBe(false);
+      expect(pathPlanner.isDirectPathClear({ x: 0, y: 5 }, { x: 10, y: 5 }, environment)).toBe(true);
+    });
+  });
+
+  describe('isClearOfZones', () => {
+    test('should find keep-out zones in the way or within the margin', () => {
+      const planner = new PathPlanner({ resolution: 0.5, boundaryMargin: 2.0 });
+      const pond = [{ x: 8, y: -3 }, { x: 12, y: -3 }, { x: 12, y: 3 }, { x: 8, y: 3 }];
+
+      expect(planner.isClearOfZones({ x: 0, y: 0 }, { x: 20, y: 0 }, [pond])).toBe(false);
+      expect(planner.isClearOfZones({ x: 0, y: 4 }, { x: 20, y: 4 }, [pond])).toBe(false);
+      expect(planner.isClearOfZones({ x: 0, y: 6 }, { x: 20, y: 6 }, [pond])).toBe(true);
+      expect(planner.isClearOfZones({ x: 0, y: 0 }, { x: 10, y: 0 }, [pond])).toBe(false);
+      expect(planner.isClearOfZones({ x: 0, y: 0 }, { x: 20, y: 0 }, [])).toBe(true);
+    });
+  });
+});
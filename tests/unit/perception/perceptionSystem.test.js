@@ -0,0 +1,163 @@
+/**
+ * Unit tests for PerceptionSystem
+ */
+
+const PerceptionSystem = require('../../../src/perception/perceptionSystem');
+const { StubClassifier, createClassifier } = require('../../../src/perception/classifiers');
+const eventBus = require('../../../src/utils/eventBus');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/utils/eventBus');
+jest.mock('../../../src/config', () => ({
+  perception: {
+    classifier: 'rules',
+    clearance: { person: 3.0, animal: 2.5 }
+  }
+}));
+
+describe('PerceptionSystem', () => {
+  let perceptionSystem;
+  let sensorManager;
+
+  // Open ground beyond range, with a run of returns at the given range around each bearing
+  const createScan = (objects, timestamp = 1000) => {
+    const points = [];
+
+    for (let i = 0; i < 720; i++) {
+      const angle = i * Math.PI / 360;
+      const object = objects.find(o => Math.abs(Math.atan2(Math.sin(angle - o.bearing), Math.cos(angle - o.bearing))) <= o.halfWidth / o.distance);
+
+      points.push({
+        angle: angle,
+        distance: object ? object.distance : 25,
+        intensity: 150
+      });
+    }
+
+    return { points: points, timestamp: timestamp };
+  };
+
+  beforeEach(() => {
+    // Clear all mocks
+    jest.clearAllMocks();
+
+    // Tractor at (10, 5) facing north
+    sensorManager = {
+      getPositionAndOrientation: jest.fn(() => ({
+        position: { x: 10, y: 5, z: 0 },
+        orientation: { roll: 0, pitch: 0, yaw: Math.PI / 2 }
+      }))
+    };
+
+    perceptionSystem = new PerceptionSystem(sensorManager);
+  });
+
+  test('should classify a person-sized return as a person in the local frame', async () => {
+    const detections = await perceptionSystem.processScan(createScan([{ bearing: 0, distance: 3, halfWidth: 0.25 }]));
+
+    expect(detections).toHaveLength(1);
+    expect(detections[0]).toMatchObject({ label: 'person', clearance: 3.0 });
+    expect(detections[0].distance).toBeCloseTo(3, 5);
+    expect(detections[0].bearing).toBeCloseTo(0, 5);
+
+    // Straight ahead of a tractor facing north
+    expect(detections[0].position.x).toBeCloseTo(10, 1);
+    expect(detections[0].position.y).toBeCloseTo(8, 1);
+
+    expect(eventBus.publish).toHaveBeenCalledWith('perception.detections', expect.objectContaining({
+      detections: detections,
+      cameraUsed: false
+    }));
+  });
+
+  test('should tell animals and objects apart by width', async () => {
+    const detections = await perceptionSystem.processScan(createScan([
+      { bearing: Math.PI / 2, distance: 5, halfWidth: 0.75 },
+      { bearing: -Math.PI / 2, distance: 5, halfWidth: 2.0 }
+    ]));
+
+    const labels = detections.map(detection => detection.label).sort();
+    expect(labels).toEqual(['animal', 'object']);
+    expect(detections.find(detection => detection.label === 'object').clearance).toBe(0);
+  });
+
+  test('should keep a run straight behind the tractor together', async () => {
+    const detections = await perceptionSystem.processScan(createScan([{ bearing: Math.PI, distance: 4, halfWidth: 0.3 }]));
+
+    expect(detections).toHaveLength(1);
+    expect(Math.abs(detections[0].bearing)).toBeCloseTo(Math.PI, 5);
+    expect(detections[0].label).toBe('person');
+  });
+
+  test('should use labels from a recent camera frame', async () => {
+    const scan = createScan([{ bearing: 0, distance: 3, halfWidth: 0.25 }], 5000);
+
+    perceptionSystem.lastFrame = {
+      imageAvailable: true,
+      objects: [{ label: 'animal', bearing: 0.02, confidence: 0.9 }],
+      timestamp: 4800
+    };
+
+    let detections = await perceptionSystem.processScan(scan);
+    expect(detections[0]).toMatchObject({ label: 'animal', confidence: 0.9 });
+
+    // A stale frame is ignored
+    perceptionSystem.lastFrame.timestamp = 3000;
+
+    detections = await perceptionSystem.processScan(scan);
+    expect(detections[0].label).toBe('person');
+  });
+
+  test('should treat low confidence labels as objects', async () => {
+    perceptionSystem.classifier = new StubClassifier({ label: 'person', confidence: 0.3 });
+
+    const detections = await perceptionSystem.processScan(createScan([{ bearing: 0, distance: 3, halfWidth: 0.25 }]));
+
+    expect(detections[0]).toMatchObject({ label: 'object', confidence: 0.3, clearance: 0 });
+  });
+
+  test('should place detections from the pose at the scan, not after classifying it', async () => {
+    let finish;
+    perceptionSystem.classifier.classify = jest.fn(candidates => new Promise(resolve => {
+      finish = () => resolve(candidates.map(() => ({ label: 'person', confidence: 1 })));
+    }));
+
+    const processing = perceptionSystem.processScan(createScan([{ bearing: 0, distance: 3, halfWidth: 0.25 }]));
+
+    // The tractor drives on while the model runs
+    sensorManager.getPositionAndOrientation.mockReturnValue({
+      position: { x: 10, y: 9, z: 0 },
+      orientation: { roll: 0, pitch: 0, yaw: Math.PI / 2 }
+    });
+
+    finish();
+    const detections = await processing;
+
+    expect(detections[0].position.x).toBeCloseTo(10, 1);
+    expect(detections[0].position.y).toBeCloseTo(8, 1);
+  });
+
+  test('should drop scans while the classifier is busy', async () => {
+    let finish;
+    perceptionSystem.classifier.classify = jest.fn(candidates => new Promise(resolve => {
+      finish = () => resolve(candidates.map(() => ({ label: 'object', confidence: 1 })));
+    }));
+
+    const scan = createScan([{ bearing: 0, distance: 3, halfWidth: 0.25 }]);
+    const first = perceptionSystem._handleScan(scan);
+    await perceptionSystem._handleScan(scan);
+
+    expect(perceptionSystem.stats.droppedScans).toBe(1);
+
+    finish();
+    await first;
+
+    expect(perceptionSystem.classifier.classify).toHaveBeenCalledTimes(1);
+    expect(perceptionSystem.getStatus().stats.scans).toBe(1);
+  });
+
+  test('should reject an unknown classifier', () => {
+    expect(() => createClassifier('crystalBall')).toThrow('Unknown classifier: crystalBall');
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for Recorder
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const Recorder = require('../../../src/recording/recorder');
+const eventBus = require('../../../src/utils/eventBus');
+const { readLog } = require('../../../src/hal/replay/replayLog');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config', () => ({
+  recording: {
+    storageDir: require('path').join(require('os').tmpdir(), 'sevak-recordings-test'),
+    topics: ['sensor.*', 'motor.status.updated'],
+    flushInterval: 60000,
+    maxRecordings: 3
+  }
+}));
+
+const storageDir = path.join(os.tmpdir(), 'sevak-recordings-test');
+
+describe('Recorder', () => {
+  let recorder;
+
+  beforeEach(async () => {
+    await fs.rm(storageDir, { recursive: true, force: true });
+
+    recorder = new Recorder();
+  });
+
+  afterEach(async () => {
+    await recorder.shutdown();
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  test('should record the configured topics as compressed JSON lines', async () => {
+    await recorder.initialize();
+
+    eventBus.publish('sensor.gps.updated', { latitude: 37.7749 });
+    eventBus.publish('motor.status.updated', { speed: 0.5 });
+    eventBus.publish('implement.cutter.status.updated', { isCutting: true });
+    await recorder.flush();
+
+    const directory = path.join(storageDir, recorder.recordingId);
+    const files = await fs.readdir(directory);
+    const records = await readLog(directory);
+
+    expect(files).toEqual(['chunk-00000.jsonl.gz']);
+    expect(records.map(record => record.topic)).toEqual(['sensor.gps.updated', 'motor.status.updated']);
+    expect(records[0].data).toEqual({ latitude: 37.7749 });
+    expect(typeof records[0].timestamp).toBe('number');
+  });
+
+  test('should keep everything written before the recording stopped', async () => {
+    await recorder.initialize();
+
+    eventBus.publish('sensor.imu.updated', { yawRate: 0.1 });
+    await recorder.flush();
+    eventBus.publish('sensor.imu.updated', { yawRate: 0.2 });
+    await recorder.stop();
+
+    // Published after stopping
+    eventBus.publish('sensor.imu.updated', { yawRate: 0.3 });
+
+    const records = await readLog(path.join(storageDir, recorder.recordingId));
+
+    expect(records.map(record => record.data.yawRate)).toEqual([0.1, 0.2]);
+    expect(recorder.getStatus().isRecording).toBe(false);
+  });
+
+  test('should start a new chunk when the current one is full', async () => {
+    await recorder.initialize();
+    recorder.params.chunkSize = 1;
+
+    eventBus.publish('sensor.gps.updated', { latitude: 1 });
+    await recorder.flush();
+    eventBus.publish('sensor.gps.updated', { latitude: 2 });
+    await recorder.flush();
+
+    const directory = path.join(storageDir, recorder.recordingId);
+    const files = await fs.readdir(directory);
+    const records = await readLog(directory);
+
+    expect(files.sort()).toEqual(['chunk-00000.jsonl.gz', 'chunk-00001.jsonl.gz']);
+    expect(records.map(record => record.data.latitude)).toEqual([1, 2]);
+  });
+
+  test('should delete the oldest recordings beyond the limit', async () => {
+    const oldIds = ['2020-01-01T00-00-00.000Z', '2020-01-02T00-00-00.000Z', '2020-01-03T00-00-00.000Z'];
+    for (const id of oldIds) {
+      await fs.mkdir(path.join(storageDir, id), { recursive: true });
+    }
+
+    await recorder.initialize();
+
+    const recordings = await recorder.listRecordings();
+
+    expect(recordings.map(recording => recording.id)).toEqual([oldIds[1], oldIds[2], recorder.recordingId]);
+    expect(recordings[0].startTime).toBe(Date.parse('2020-01-02T00:00:00.000Z'));
+    expect(recordings[2].active).toBe(true);
+  });
+
+  test('should drop the oldest chunks when the current recording is over the size limit', async () => {
+    await recorder.initialize();
+    recorder.params.chunkSize = 1;
+
+    for (let i = 0; i < 3; i++) {
+      eventBus.publish('sensor.gps.updated', { latitude: i });
+      await recorder.flush();
+    }
+
+    recorder.params.maxTotalSize = 1;
+    eventBus.publish('sensor.gps.updated', { latitude: 3 });
+    await recorder.flush();
+
+    const files = await fs.readdir(path.join(storageDir, recorder.recordingId));
+
+    expect(files).toEqual(['chunk-00003.jsonl.gz']);
+  });
+
+  test('should only return recordings from the listing', async () => {
+    await recorder.initialize();
+
+    const missing = await recorder.getRecording('../missions');
+    const current = await recorder.getRecording(recorder.recordingId);
+
+    expect(missing).toEqual({ success: false, code: 'notFound', error: 'Recording not found' });
+    expect(current.success).toBe(true);
+    expect(current.recording.directory).toBe(path.join(storageDir, recorder.recordingId));
+  });
+
+  test('should not record events while a log is being replayed', async () => {
+    await recorder.initialize();
+
+    eventBus.publish('recording.replay.started', {});
+    eventBus.publish('sensor.gps.updated', { latitude: 1 });
+    eventBus.publish('recording.replay.finished', {});
+    eventBus.publish('sensor.gps.updated', { latitude: 2 });
+    await recorder.flush();
+
+    const records = await readLog(path.join(storageDir, recorder.recordingId));
+
+    expect(records.map(record => record.data.latitude)).toEqual([2]);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for Replayer
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const Replayer = require('../../../src/recording/replayer');
+const eventBus = require('../../../src/utils/eventBus');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+
+const logFile = path.join(os.tmpdir(), 'sevak-replayer-test.jsonl.gz');
+
+describe('Replayer', () => {
+  let replayer;
+  let published;
+  let subscriptions;
+
+  beforeAll(async () => {
+    const records = [
+      { topic: 'sensor.gps.updated', timestamp: 10000, data: { latitude: 1 } },
+      { topic: 'sensor.imu.updated', timestamp: 10000, data: { yawRate: 0.1 } },
+      { topic: 'sensor.gps.updated', timestamp: 11000, data: { latitude: 2 } },
+      { topic: 'sensor.gps.updated', timestamp: 20000, data: { latitude: 3 } }
+    ];
+
+    await fs.writeFile(logFile, zlib.gzipSync(records.map(record => JSON.stringify(record)).join('\n')));
+  });
+
+  afterAll(async () => {
+    await fs.rm(logFile, { force: true });
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    published = [];
+    subscriptions = [
+      eventBus.subscribe('sensor.*', (data, topic) => published.push({ topic, data })),
+      eventBus.subscribe('recording.replay.finished', data => published.push({ topic: 'finished', data }))
+    ];
+
+    replayer = new Replayer();
+  });
+
+  afterEach(async () => {
+    await replayer.shutdown();
+    subscriptions.forEach(id => eventBus.unsubscribe(id));
+    jest.useRealTimers();
+  });
+
+  test('should republish records with the recorded timing', async () => {
+    const result = await replayer.start(logFile);
+
+    expect(result.success).toBe(true);
+    expect(result.replay.records).toBe(4);
+
+    jest.advanceTimersByTime(0);
+    expect(published.map(event => event.topic)).toEqual(['sensor.gps.updated', 'sensor.imu.updated']);
+
+    jest.advanceTimersByTime(999);
+    expect(published).toHaveLength(2);
+
+    jest.advanceTimersByTime(1);
+    expect(published[2]).toEqual({ topic: 'sensor.gps.updated', data: { latitude: 2 } });
+
+    jest.advanceTimersByTime(9000);
+    expect(published[3].data).toEqual({ latitude: 3 });
+    expect(published[4]).toEqual({ topic: 'finished', data: expect.objectContaining({ reason: 'completed', published: 4 }) });
+    expect(replayer.getStatus().isReplaying).toBe(false);
+  });
+
+  test('should replay faster at a higher speed', async () => {
+    await replayer.start(logFile, { speed: 10, topics: ['sensor.gps.updated'] });
+
+    jest.advanceTimersByTime(100);
+    expect(published.map(event => event.data.latitude)).toEqual([1, 2]);
+
+    jest.advanceTimersByTime(900);
+    expect(published.map(event => event.data.latitude)).toEqual([1, 2, 3]);
+  });
+
+  test('should stop a running replay', async () => {
+    await replayer.start(logFile);
+    jest.advanceTimersByTime(0);
+
+    const result = replayer.stop();
+    jest.advanceTimersByTime(20000);
+
+    expect(result.success).toBe(true);
+    expect(published.filter(event => event.topic !== 'finished')).toHaveLength(2);
+    expect(published[published.length - 1].data.reason).toBe('stopped');
+  });
+
+  test('should reject bad speeds, missing logs and a second replay', async () => {
+    expect((await replayer.start(logFile, { speed: 0 })).code).toBe('invalid');
+    expect((await replayer.start(path.join(os.tmpdir(), 'sevak-no-such-log.jsonl'))).code).toBe('notFound');
+
+    await replayer.start(logFile);
+
+    expect((await replayer.start(logFile)).code).toBe('conflict');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for SpeedGovernor
+ */
+
+const SpeedGovernor = require('../../../src/safety/speedGovernor');
+const eventBus = require('../../../src/utils/eventBus');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/utils/eventBus');
+jest.mock('../../../src/config', () => ({
+  safety: {
+    speedGovernor: {
+      tiltFilter: 0.5,
+      minSpeed: 0.3,
+      uphill: { start: 5, end: 15, minFactor: 0.6 },
+      downhill: { start: 3, end: 15, minFactor: 0.3 },
+      roll: { start: 4, end: 12, minFactor: 0.4 },
+      load: { minFactor: 0.7, downhillMinFactor: 0.5 },
+      battery: { start: 30, end: 10, minFactor: 0.5 }
+    }
+  }
+}));
+
+describe('SpeedGovernor', () => {
+  let speedGovernor;
+  let sensorManager;
+  let motorController;
+  let orientation;
+
+  const degrees = value => value * Math.PI / 180;
+
+  beforeEach(() => {
+    // Clear all mocks
+    jest.clearAllMocks();
+
+    // Level ground
+    orientation = { roll: 0, pitch: 0, yaw: 0 };
+
+    sensorManager = {
+      getPositionAndOrientation: jest.fn(() => ({
+        position: { x: 0, y: 0, z: 0 },
+        orientation: orientation
+      }))
+    };
+
+    motorController = {
+      motion: { maxSpeed: 2.0, speed: 0, targetSpeed: 1.0 },
+      setSpeedLimit: jest.fn(),
+      clearSpeedLimit: jest.fn()
+    };
+
+    speedGovernor = new SpeedGovernor(sensorManager, motorController);
+  });
+
+  test('should leave the speed alone on level ground', () => {
+    expect(speedGovernor.update()).toBeNull();
+    expect(motorController.setSpeedLimit).not.toHaveBeenCalled();
+  });
+
+  test('should limit the speed more strictly downhill than uphill', () => {
+    // 9° climb, nose up (negative pitch)
+    orientation.pitch = degrees(-9);
+
+    let envelope = speedGovernor.update();
+    expect(envelope.reason).toBe('Uphill slope');
+    expect(envelope.factors.slope).toBeCloseTo(1 - 0.4 * 4 / 10, 5);
+    expect(envelope.limit).toBeCloseTo(2.0 * envelope.factors.slope, 5);
+
+    // Reversing down the same slope
+    motorController.motion.targetSpeed = -0.5;
+
+    envelope = speedGovernor.update();
+    expect(envelope.reason).toBe('Downhill slope');
+    expect(envelope.factors.slope).toBeCloseTo(1 - 0.7 * 6 / 12, 5);
+    expect(motorController.setSpeedLimit).toHaveBeenLastCalledWith('speedGovernor', envelope.limit, 'Downhill slope');
+  });
+
+  test('should combine lateral tilt, load and battery, weighing load more heavily downhill', () => {
+    orientation.roll = degrees(8);
+    speedGovernor._handleLoaderStatus({ container: { weight: 75, capacity: 150 } });
+    speedGovernor._handlePowerStatus({ batteryLevel: 20 });
+
+    let envelope = speedGovernor.update();
+    expect(envelope.factors).toEqual({
+      slope: 1,
+      roll: expect.closeTo(0.7, 5),
+      load: expect.closeTo(0.85, 5),
+      battery: expect.closeTo(0.75, 5)
+    });
+    expect(envelope.reason).toBe('Lateral tilt, Low battery, Container load');
+    expect(envelope.limit).toBeCloseTo(2.0 * 0.7 * 0.85 * 0.75, 5);
+
+    // Nose down going forward
+    orientation.pitch = degrees(20);
+    speedGovernor.tilt.pitch = orientation.pitch;
+
+    envelope = speedGovernor.update();
+    expect(envelope.factors.slope).toBeCloseTo(0.3, 5);
+    expect(envelope.factors.load).toBeCloseTo(0.75, 5);
+
+    // Never below the minimum speed
+    expect(envelope.limit).toBe(0.3);
+  });
+
+  test('should filter the tilt', () => {
+    orientation.roll = degrees(12);
+    speedGovernor.update();
+
+    orientation.roll = 0;
+    speedGovernor.update();
+
+    expect(speedGovernor.getStatus().tilt.roll).toBeCloseTo(degrees(6), 5);
+  });
+
+  test('should record each change of what limits the speed and clear the limit when unlimited', () => {
+    speedGovernor._handlePowerStatus({ batteryLevel: 25 });
+    speedGovernor.update();
+
+    // Same reason, lower charge: no new event
+    speedGovernor._handlePowerStatus({ batteryLevel: 20 });
+    speedGovernor.update();
+
+    speedGovernor._handlePowerStatus({ batteryLevel: 90 });
+    speedGovernor.update();
+
+    expect(speedGovernor.getStatus().events.map(event => event.reason)).toEqual(['Low battery', 'Unlimited']);
+    expect(eventBus.publish).toHaveBeenCalledTimes(2);
+    expect(eventBus.publish).toHaveBeenCalledWith('safety.speedGovernor.changed', expect.objectContaining({
+      reason: 'Low battery',
+      limit: expect.closeTo(2.0 * 0.875, 5)
+    }));
+    expect(motorController.setSpeedLimit).toHaveBeenLastCalledWith('speedGovernor', expect.closeTo(1.5, 5), 'Low battery');
+    expect(motorController.clearSpeedLimit).toHaveBeenCalledWith('speedGovernor');
+    expect(speedGovernor.getStatus().current).toBeNull();
+  });
+});
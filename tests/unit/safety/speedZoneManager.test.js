@@ -0,0 +1,161 @@
+/**
+ * Unit tests for SpeedZoneManager
+ */
+
+const SpeedZoneManager = require('../../../src/safety/speedZoneManager');
+const eventBus = require('../../../src/utils/eventBus');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/utils/eventBus');
+jest.mock('../../../src/config', () => ({
+  safety: {
+    speedZones: {
+      stationary: { protective: 0.5, warning: 1.5, slow: 4.0, warningSpeed: 0.3 },
+      moving: { protective: 1.5, warning: 3.0, slow: 8.0, warningSpeed: 0.2 }
+    }
+  }
+}));
+
+describe('SpeedZoneManager', () => {
+  let speedZoneManager;
+  let sensorManager;
+  let navigationSystem;
+  let motorController;
+  let obstacles;
+
+  const createObstacle = (x, y, type = 'static', width = 0) => ({
+    position: { x: x, y: y, z: 0 },
+    size: { width: width, height: 0, depth: width },
+    type: type
+  });
+
+  beforeEach(() => {
+    // Clear all mocks
+    jest.clearAllMocks();
+
+    obstacles = { static: [], dynamic: [] };
+
+    // Tractor at the origin facing east
+    sensorManager = {
+      getPositionAndOrientation: jest.fn(() => ({
+        position: { x: 0, y: 0, z: 0 },
+        orientation: { roll: 0, pitch: 0, yaw: 0 }
+      }))
+    };
+
+    // Navigation idle, its pose left where the last autonomous run ended
+    navigationSystem = {
+      getStatus: jest.fn(() => ({
+        isNavigating: false,
+        position: { x: 50, y: 50, z: 0 },
+        orientation: { roll: 0, pitch: 0, yaw: Math.PI }
+      })),
+      getObstacles: jest.fn(() => obstacles)
+    };
+
+    motorController = {
+      motion: { maxSpeed: 2.0, speed: 0, targetSpeed: 0 },
+      setSpeedLimit: jest.fn(),
+      clearSpeedLimit: jest.fn()
+    };
+
+    speedZoneManager = new SpeedZoneManager(sensorManager, navigationSystem, motorController);
+  });
+
+  test('should scale the speed down through the slow zone', () => {
+    // Halfway between the warning (1.5m) and slow (4m) edges of a 1m wide obstacle
+    obstacles.static = [createObstacle(3.25, 0, 'static', 1.0)];
+
+    const zone = speedZoneManager.update();
+
+    expect(zone).toMatchObject({ zone: 'slow', obstacleClass: 'stationary', reason: 'Stationary obstacle in slow zone' });
+    expect(zone.distance).toBeCloseTo(2.75, 5);
+    expect(zone.limit).toBeCloseTo(0.3 + 0.5 * (2.0 - 0.3), 5);
+    expect(motorController.setSpeedLimit).toHaveBeenCalledWith('speedZones', zone.limit, 'Stationary obstacle in slow zone');
+  });
+
+  test('should use the wider zones of moving obstacles', () => {
+    // 2.5m away: clear of a stationary obstacle's warning zone, inside a moving one's
+    obstacles.static = [createObstacle(2.5, 1, 'static')];
+    obstacles.dynamic = [createObstacle(0, 2.5, 'person')];
+
+    const zone = speedZoneManager.update();
+
+    expect(zone).toMatchObject({ zone: 'warning', obstacleClass: 'moving', obstacleType: 'person', limit: 0.2 });
+    expect(motorController.setSpeedLimit).toHaveBeenCalledWith('speedZones', 0.2, 'Person in warning zone');
+
+    // Closer still, the tractor must stop
+    obstacles.dynamic = [createObstacle(0, 1.0, 'moving')];
+
+    expect(speedZoneManager.update()).toMatchObject({ zone: 'protective', limit: 0, reason: 'Moving obstacle in protective zone' });
+  });
+
+  test('should ignore stationary obstacles behind the tractor but not moving ones', () => {
+    obstacles.static = [createObstacle(-1.0, 0, 'static')];
+
+    expect(speedZoneManager.update()).toBeNull();
+    expect(motorController.setSpeedLimit).not.toHaveBeenCalled();
+
+    obstacles.dynamic = [createObstacle(-2.0, 0, 'moving')];
+
+    expect(speedZoneManager.update()).toMatchObject({ zone: 'warning', obstacleClass: 'moving' });
+  });
+
+  test('should look behind the tractor when reversing', () => {
+    obstacles.static = [createObstacle(-1.0, 0, 'static'), createObstacle(3.0, 0, 'static')];
+    motorController.motion.targetSpeed = -0.5;
+
+    expect(speedZoneManager.update()).toMatchObject({ zone: 'warning', distance: 1.0 });
+
+    // Still rolling forward while braking to reverse, both sides count
+    motorController.motion.speed = 0.2;
+    obstacles.static = [createObstacle(-3.0, 0, 'static'), createObstacle(1.0, 0, 'static')];
+
+    expect(speedZoneManager.update()).toMatchObject({ zone: 'warning', distance: 1.0 });
+  });
+
+  test('should follow the fused pose while driven by hand', () => {
+    obstacles.static = [createObstacle(10, 0, 'static')];
+
+    expect(speedZoneManager.update()).toBeNull();
+
+    // Driven towards the obstacle with navigation idle
+    sensorManager.getPositionAndOrientation.mockReturnValue({
+      position: { x: 9, y: 0, z: 0 },
+      orientation: { roll: 0, pitch: 0, yaw: 0 }
+    });
+
+    expect(speedZoneManager.update()).toMatchObject({ zone: 'warning', distance: 1.0 });
+    expect(navigationSystem.getStatus).not.toHaveBeenCalled();
+  });
+
+  test('should record each change of zone with its reason and clear the limit when clear', () => {
+    obstacles.static = [createObstacle(3.0, 0)];
+    speedZoneManager.update();
+
+    // Same zone, closer: no new event
+    obstacles.static = [createObstacle(2.0, 0)];
+    speedZoneManager.update();
+
+    obstacles.static = [createObstacle(1.0, 0)];
+    speedZoneManager.update();
+
+    obstacles.static = [];
+    speedZoneManager.update();
+
+    expect(speedZoneManager.getStatus().events.map(event => [event.zone, event.reason])).toEqual([
+      ['slow', 'Stationary obstacle in slow zone'],
+      ['warning', 'Stationary obstacle in warning zone'],
+      [null, 'No obstacles in range']
+    ]);
+    expect(eventBus.publish).toHaveBeenCalledTimes(3);
+    expect(eventBus.publish).toHaveBeenCalledWith('safety.speedZone.changed', expect.objectContaining({
+      zone: 'warning',
+      limit: 0.3,
+      distance: 1.0
+    }));
+    expect(motorController.clearSpeedLimit).toHaveBeenCalledWith('speedZones');
+    expect(speedZoneManager.getStatus().current).toBeNull();
+  });
+});
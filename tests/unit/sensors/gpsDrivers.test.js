@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the GPS drivers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NmeaGpsDriver, ReplayGpsDriver } = require('../../../src/sensors/gps');
+const { computeChecksum } = require('../../../src/sensors/gps/nmeaParser');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+
+// Build a sentence with a valid checksum
+const sentence = body => `$${body}*${computeChecksum(body)}`;
+
+// One receiver epoch: speed and DOP first, GGA last
+const epoch = (time, quality, hdop = '0.8') => [
+  sentence(`GNVTG,090.0,T,,M,3.888,N,7.200,K,D`),
+  sentence(`GNGSA,A,3,04,05,09,12,24,,,,,,,,1.6,${hdop},1.2`),
+  sentence(`GNGGA,${time},1831.2240,N,07351.4020,E,${quality},18,${hdop},560.0,M,-65.0,M,1.0,0042`)
+].join('\r\n') + '\r\n';
+
+describe('GPS drivers', () => {
+  describe('NmeaGpsDriver', () => {
+    let driver;
+
+    beforeEach(() => {
+      driver = new NmeaGpsDriver();
+    });
+
+    test('should assemble a fix from an epoch split across chunks', () => {
+      const text = epoch('101010.00', 1);
+
+      // Execute
+      driver.feed(text.slice(0, 37));
+      expect(driver.read()).toBeNull();
+      driver.feed(text.slice(37));
+      const fix = driver.read();
+
+      // Verify
+      expect(fix.latitude).toBeCloseTo(18.5204, 4);
+      expect(fix.longitude).toBeCloseTo(73.8567, 4);
+      expect(fix.altitude).toBeCloseTo(495.0, 6); // 560 m above the geoid, geoid 65 m below the ellipsoid
+      expect(fix.speed).toBeCloseTo(2.0, 6);
+      expect(fix.heading).toBe(90);
+      expect(fix.pdop).toBe(1.6);
+      expect(fix.fixQuality).toBe('gps');
+      expect(driver.read()).toBeNull();
+    });
+
+    test('should derive accuracy from HDOP and the RTK solution', () => {
+      driver.feed(epoch('101010.00', 1, '2.0'));
+      const autonomous = driver.read();
+      driver.feed(epoch('101011.00', 5, '2.0'));
+      const float = driver.read();
+      driver.feed(epoch('101012.00', 4, '2.0'));
+      const fixed = driver.read();
+
+      expect(autonomous.accuracy).toBeCloseTo(5.0, 6);
+      expect(float.accuracy).toBeCloseTo(0.6, 6);
+      expect(fixed.accuracy).toBeCloseTo(0.04, 6);
+      expect(driver.getFixQuality()).toBe('rtkFixed');
+    });
+
+    test('should not report a fix without a solution and count bad sentences', () => {
+      driver.feed(epoch('101010.00', 0));
+      driver.feed('$GNGGA,garbage*00\r\n');
+
+      expect(driver.read()).toBeNull();
+      expect(driver.getFixQuality()).toBe('none');
+      expect(driver.getStats().errors).toBe(1);
+    });
+  });
+
+  describe('ReplayGpsDriver', () => {
+    let logFile;
+
+    beforeEach(() => {
+      logFile = path.join(os.tmpdir(), `sevak-gps-replay-${process.pid}.nmea`);
+      fs.writeFileSync(logFile, epoch('101010.00', 4) + epoch('101011.00', 5));
+    });
+
+    afterEach(() => {
+      fs.unlinkSync(logFile);
+    });
+
+    test('should play one fix per read until the log ends', async () => {
+      const driver = new ReplayGpsDriver({ replayFile: logFile, replayLoop: false });
+      await driver.open();
+
+      expect(driver.read().fixQuality).toBe('rtkFixed');
+      expect(driver.read().fixQuality).toBe('rtkFloat');
+      expect(driver.read()).toBeNull();
+      expect(driver.isFinished()).toBe(true);
+    });
+
+    test('should loop back to the start of the log', async () => {
+      const driver = new ReplayGpsDriver({ replayFile: logFile, replayLoop: true });
+      await driver.open();
+
+      driver.read();
+      driver.read();
+
+      expect(driver.read().fixQuality).toBe('rtkFixed');
+    });
+
+    test('should fail to open without a log file', async () => {
+      await expect(new ReplayGpsDriver({}).open()).rejects.toThrow('replayFile');
+    });
+  });
+});
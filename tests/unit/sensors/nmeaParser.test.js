@@ -0,0 +1,67 @@
+/**
+ * Unit tests for the NMEA 0183 parser
+ */
+
+const { parseSentence, computeChecksum } = require('../../../src/sensors/gps/nmeaParser');
+
+// Build a sentence with a valid checksum
+const sentence = body => `$${body}*${computeChecksum(body)}`;
+
+describe('nmeaParser', () => {
+  test('should parse GGA position, fix quality and ellipsoidal height parts', () => {
+    const gga = parseSentence('$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47');
+
+    expect(gga.type).toBe('GGA');
+    expect(gga.talker).toBe('GP');
+    expect(gga.latitude).toBeCloseTo(48.1173, 4);
+    expect(gga.longitude).toBeCloseTo(11.516667, 5);
+    expect(gga.fixQuality).toBe('gps');
+    expect(gga.satellites).toBe(8);
+    expect(gga.hdop).toBe(0.9);
+    expect(gga.altitude).toBe(545.4);
+    expect(gga.geoidSeparation).toBe(46.9);
+  });
+
+  test('should report RTK fixed and float solutions', () => {
+    const fixed = parseSentence(sentence('GNGGA,101010.00,1831.2240,N,07351.4020,E,4,20,0.6,560.1,M,-65.2,M,1.0,0042'));
+    const float = parseSentence(sentence('GNGGA,101011.00,1831.2240,N,07351.4020,E,5,20,0.6,560.1,M,-65.2,M,1.0,0042'));
+
+    expect(fixed.talker).toBe('GN');
+    expect(fixed.fixQuality).toBe('rtkFixed');
+    expect(fixed.dgpsAge).toBe(1.0);
+    expect(fixed.stationId).toBe('0042');
+    expect(float.fixQuality).toBe('rtkFloat');
+  });
+
+  test('should parse RMC speed, course and the southern and western hemispheres', () => {
+    const rmc = parseSentence(sentence('GPRMC,123519,A,3351.000,S,15112.000,W,010.0,084.4,230394,003.1,W,R'));
+
+    expect(rmc.valid).toBe(true);
+    expect(rmc.latitude).toBeCloseTo(-33.85, 6);
+    expect(rmc.longitude).toBeCloseTo(-151.2, 6);
+    expect(rmc.speed).toBeCloseTo(5.144, 3); // 10 knots
+    expect(rmc.course).toBe(84.4);
+    expect(rmc.date).toBe('230394');
+    expect(rmc.mode).toBe('rtkFixed');
+  });
+
+  test('should parse VTG and GSA', () => {
+    const vtg = parseSentence(sentence('GPVTG,054.7,T,034.4,M,005.5,N,010.2,K,A'));
+    const gsa = parseSentence(sentence('GNGSA,A,3,04,05,,09,12,,,24,,,,,2.5,1.3,2.1'));
+
+    expect(vtg.course).toBe(54.7);
+    expect(vtg.speed).toBeCloseTo(2.833, 3); // 10.2 km/h
+    expect(gsa.fixType).toBe('3d');
+    expect(gsa.satellites).toEqual([4, 5, 9, 12, 24]);
+    expect(gsa.pdop).toBe(2.5);
+    expect(gsa.hdop).toBe(1.3);
+    expect(gsa.vdop).toBe(2.1);
+  });
+
+  test('should reject bad checksums and ignore unsupported sentences', () => {
+    expect(() => parseSentence('$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*48')).toThrow('checksum');
+    expect(() => parseSentence('$GPGGA,123519,4807.038,N')).toThrow('no checksum');
+    expect(() => parseSentence('GPGGA*00')).toThrow();
+    expect(parseSentence(sentence('GPGSV,3,1,11,03,03,111,00'))).toBeNull();
+  });
+});
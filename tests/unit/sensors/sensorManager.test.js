@@ -171,6 +171,39 @@ describe('SensorManager', () => {
     });
   });
   
+  describe('_updateLoadCell', () => {
+    test('should accumulate conveyor feed and publish container weight', () => {
+      // Setup - conveyor delivering 2 kg/s for 10 seconds
+      sensorManager.sensors.loadCell.connected = true;
+      sensorManager.drivers.loadCell.simulation.feedRate = 2;
+      sensorManager.drivers.loadCell.simulation.lastUpdate = Date.now() - 10000;
+      
+      // Execute
+      sensorManager._updateLoadCell();
+      
+      // Verify
+      expect(sensorManager.drivers.loadCell.simulation.containerMass).toBeCloseTo(20, 0);
+      expect(sensorManager.sensors.loadCell.data.weight).toBeGreaterThan(18);
+      expect(eventBus.publish).toHaveBeenCalledWith('sensor.loadCell.updated', expect.objectContaining({
+        weight: expect.any(Number)
+      }));
+    });
+    
+    test('should empty the container while dumping', () => {
+      // Setup
+      sensorManager.sensors.loadCell.connected = true;
+      sensorManager.drivers.loadCell.simulation.containerMass = 50;
+      sensorManager.drivers.loadCell.simulation.dumping = true;
+      sensorManager.drivers.loadCell.simulation.lastUpdate = Date.now() - 5000;
+      
+      // Execute
+      sensorManager._updateLoadCell();
+      
+      // Verify
+      expect(sensorManager.drivers.loadCell.simulation.containerMass).toBe(0);
+    });
+  });
+  
   describe('_updateConnectionStatus', () => {
     test('should update connection status correctly when all sensors are connected', () => {
       // Setup
@@ -0,0 +1,164 @@
+/**
+ * Unit tests for the simulation world
+ */
+
+const SimulationWorld = require('../../../src/simulation/world');
+
+// All four wheels at the same speed (m/s)
+const drive = (left, right = left) => ({
+  frontLeft: left,
+  rearLeft: left,
+  frontRight: right,
+  rearRight: right
+});
+
+describe('SimulationWorld', () => {
+  let time;
+  let world;
+
+  // A world on a manual clock, without sensor noise unless asked for
+  const createWorld = (options = {}) => {
+    time = 0;
+    return new SimulationWorld({
+      clock: () => time,
+      noise: { gps: 0, speed: 0, heading: 0, acceleration: 0, gyro: 0, lidar: 0, ultrasonic: 0, current: 0, temperature: 0 },
+      ...options
+    });
+  };
+
+  // Advance the world clock by some seconds
+  const run = (seconds) => {
+    time += seconds * 1000;
+    world.update();
+  };
+
+  beforeEach(() => {
+    world = createWorld();
+    world.update();
+  });
+
+  describe('kinematics', () => {
+    test('should drive straight at the wheel speed', () => {
+      world.setWheelTargets(drive(1.0));
+      run(10);
+
+      const state = world.getState();
+      expect(state.speed).toBeCloseTo(1.0, 6);
+      expect(state.position.x).toBeCloseTo(9.75, 1); // half a second spent accelerating at 2 m/s²
+      expect(state.position.y).toBeCloseTo(0, 6);
+    });
+
+    test('should turn counter-clockwise when the right side is faster', () => {
+      world.setWheelTargets(drive(0.55, 1.0));
+      run(2);
+
+      const state = world.getState();
+      expect(state.yawRate).toBeCloseTo(0.5, 6); // 0.45 m/s difference over a 0.9 m track
+      expect(state.yaw).toBeGreaterThan(0.8);
+      expect(state.position.y).toBeGreaterThan(0);
+    });
+
+    test('should stop against an obstacle and record the collision', () => {
+      world.addObstacle({ id: 'post', x: 5, y: 0, radius: 0.3 });
+      world.setWheelTargets(drive(1.0));
+      run(10);
+
+      const state = world.getState();
+      expect(state.position.x).toBeLessThan(5 - 0.3 - world.vehicle.radius + 0.02);
+      expect(state.speed).toBe(0);
+      expect(state.collisions).toHaveLength(1);
+      expect(state.collisions[0].obstacle).toBe('post');
+    });
+  });
+
+  describe('terrain', () => {
+    test('should climb nose up and draw more current on a slope', () => {
+      const flat = createWorld();
+      flat.update();
+      world = createWorld({ terrain: { slope: { x: 0.1, y: 0 } } });
+      world.update();
+
+      [flat, world].forEach(w => w.setWheelTargets(drive(1.0)));
+      time += 5000;
+      flat.update();
+      world.update();
+
+      const state = world.getState();
+      expect(state.pitch).toBeCloseTo(-Math.atan(0.1), 6);
+      expect(state.position.z).toBeCloseTo(state.position.x * 0.1, 6);
+      expect(state.battery.current).toBeGreaterThan(flat.getState().battery.current + 2);
+
+      // The accelerometer sees gravity along the slope
+      expect(world.readImu().acceleration.x).toBeCloseTo(9.81 * Math.sin(Math.atan(0.1)), 3);
+    });
+
+    test('should stall on a slope steeper than the motors can climb', () => {
+      world = createWorld({ terrain: { slope: { x: 1.5, y: 0 } } });
+      world.update();
+
+      world.setWheelTargets(drive(1.0));
+      run(5);
+
+      expect(world.getState().position.x).toBeLessThan(0);
+      expect(world.getState().wheels.frontLeft.force).toBe(world.vehicle.maxWheelForce);
+    });
+  });
+
+  describe('power', () => {
+    test('should drain the battery with the motor current and heat the motors', () => {
+      world = createWorld({ battery: { capacity: 1 } });
+      world.update();
+
+      world.setWheelTargets(drive(1.0));
+      run(60);
+
+      const state = world.getState();
+      const power = world.readPower();
+      const motorCurrent = Object.values(power.motorCurrents).reduce((sum, current) => sum + current, 0);
+
+      expect(power.batteryCurrent).toBeCloseTo(motorCurrent + world.battery.auxiliaryCurrent, 6);
+      expect(state.battery.level).toBeLessThan(100 - power.batteryCurrent * 60 / 3600 * 100 * 0.9);
+      expect(power.batteryVoltage).toBeLessThan(54.6);
+      expect(world.readTemperatures().motorFrontLeft).toBeGreaterThan(25);
+    });
+  });
+
+  describe('sensors', () => {
+    test('should ray-cast the LIDAR and ultrasonic sensors against obstacles', () => {
+      world.addObstacle({ x: 6, y: 0, width: 1, height: 4 });
+      world.addObstacle({ x: 0, y: 3, radius: 0.5 });
+
+      const lidar = world.readLidar();
+      const ultrasonic = world.readUltrasonic();
+
+      expect(lidar.points[0].distance).toBeCloseTo(5.5, 6);
+      expect(lidar.points[90].distance).toBeCloseTo(2.5, 6); // 90 degrees to the left
+      expect(lidar.points[180].distance).toBe(30);
+      expect(lidar.points[180].intensity).toBe(0);
+
+      world.setPose({ x: 3 });
+      const near = world.readUltrasonic().sensors.find(sensor => sensor.id === 'front_center');
+      expect(near.distance).toBeCloseTo(1.5, 6);
+      expect(ultrasonic.sensors.find(sensor => sensor.id === 'rear_center').distance).toBe(4.0);
+    });
+
+    test('should report GPS fixes in the local frame and compass heading', () => {
+      world.setPose({ x: 10, y: 20, yaw: Math.PI / 2 });
+
+      const fix = world.readGps();
+      const local = world.frame.toLocal(fix);
+
+      expect(local.x).toBeCloseTo(10, 3);
+      expect(local.y).toBeCloseTo(20, 3);
+      expect(fix.heading).toBeCloseTo(0, 6); // facing north
+      expect(fix.timestamp).toBe(time);
+    });
+
+    test('should produce the same noise for the same seed', () => {
+      const readings = [1, 1, 2].map(seed => new SimulationWorld({ clock: () => 0, seed }).readImu());
+
+      expect(readings[1]).toEqual(readings[0]);
+      expect(readings[2]).not.toEqual(readings[0]);
+    });
+  });
+});
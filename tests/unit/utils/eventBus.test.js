@@ -85,6 +85,37 @@ describe('EventBus', () => {
       // This should not throw an error
       eventBus.publish('nonexistent.event', { data: 'test' });
     });
+    
+    test('should call pattern subscribers with the event type', () => {
+      // Setup
+      const sensorSubscriber = jest.fn();
+      const allSubscriber = jest.fn();
+      
+      // Execute
+      eventBus.subscribe('sensor.*', sensorSubscriber);
+      eventBus.subscribe('*', allSubscriber);
+      eventBus.publish('sensor.gps.updated', { latitude: 1 });
+      eventBus.publish('motor.status.updated', { speed: 0 });
+      
+      // Verify
+      expect(sensorSubscriber).toHaveBeenCalledTimes(1);
+      expect(sensorSubscriber).toHaveBeenCalledWith({ latitude: 1 }, 'sensor.gps.updated');
+      expect(allSubscriber).toHaveBeenCalledTimes(2);
+      expect(allSubscriber).toHaveBeenCalledWith({ speed: 0 }, 'motor.status.updated');
+    });
+    
+    test('should not match pattern characters literally', () => {
+      // Setup
+      const subscriber = jest.fn();
+      
+      // Execute
+      eventBus.subscribe('sensor.gps*', subscriber);
+      eventBus.publish('sensorXgps.updated', {});
+      eventBus.publish('sensor.gps.updated', {});
+      
+      // Verify
+      expect(subscriber).toHaveBeenCalledTimes(1);
+    });
   });
   
   describe('unsubscribe', () => {
@@ -124,6 +155,20 @@ describe('EventBus', () => {
       // publishing to the event type doesn't throw an error
       eventBus.publish(eventType, { data: 'test' });
     });
+    
+    test('should remove pattern subscriber when unsubscribed', () => {
+      // Setup
+      const subscriber = jest.fn();
+      
+      // Execute
+      const subscriptionId = eventBus.subscribe('sensor.*', subscriber);
+      const result = eventBus.unsubscribe(subscriptionId);
+      eventBus.publish('sensor.imu.updated', {});
+      
+      // Verify
+      expect(result).toBe(true);
+      expect(subscriber).not.toHaveBeenCalled();
+    });
   });
   
   describe('request and respond', () => {
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for geodesy helpers
+ */
+
+const {
+  geodeticToEcef,
+  ecefToGeodetic,
+  isValidPoint,
+  LocalFrame
+} = require('../../../src/utils/geodesy');
+
+describe('geodesy', () => {
+  describe('ECEF conversion', () => {
+    test('should place the equator and pole on the WGS84 ellipsoid', () => {
+      const equator = geodeticToEcef(0, 0, 0);
+      expect(equator.x).toBeCloseTo(6378137.0, 3);
+      expect(equator.y).toBeCloseTo(0, 3);
+      expect(equator.z).toBeCloseTo(0, 3);
+
+      const pole = geodeticToEcef(90, 0, 0);
+      expect(pole.x).toBeCloseTo(0, 3);
+      expect(pole.z).toBeCloseTo(6356752.3142, 3);
+    });
+
+    test('should round-trip geodetic coordinates', () => {
+      [
+        { latitude: 18.5204, longitude: 73.8567, altitude: 560 },
+        { latitude: -33.8688, longitude: 151.2093, altitude: 58 },
+        { latitude: 78.2232, longitude: 15.6267, altitude: 10 }
+      ].forEach(point => {
+        const result = ecefToGeodetic(geodeticToEcef(point.latitude, point.longitude, point.altitude));
+
+        expect(result.latitude).toBeCloseTo(point.latitude, 9);
+        expect(result.longitude).toBeCloseTo(point.longitude, 9);
+        expect(result.altitude).toBeCloseTo(point.altitude, 3);
+      });
+    });
+  });
+
+  describe('LocalFrame', () => {
+    let frame;
+
+    beforeEach(() => {
+      frame = new LocalFrame({ latitude: 18.5204, longitude: 73.8567, altitude: 560 });
+    });
+
+    test('should put east on x and north on y', () => {
+      // 0.001 degrees north and east of the origin
+      const north = frame.toLocal({ latitude: 18.5214, longitude: 73.8567, altitude: 560 });
+      const east = frame.toLocal({ latitude: 18.5204, longitude: 73.8577, altitude: 560 });
+
+      expect(north.x).toBeCloseTo(0, 3);
+      expect(north.y).toBeCloseTo(110.7, 1);
+      expect(east.x).toBeCloseTo(105.6, 1);
+      expect(east.y).toBeCloseTo(0, 1);
+    });
+
+    test('should scale longitude with latitude', () => {
+      const polar = new LocalFrame({ latitude: 60, longitude: 10 });
+      const east = polar.toLocal({ latitude: 60, longitude: 10.001 });
+
+      // Half the equatorial distance at 60 degrees
+      expect(east.x).toBeCloseTo(55.8, 1);
+    });
+
+    test('should convert local points back to latitude and longitude', () => {
+      const geodetic = frame.toGeodetic({ x: 250, y: -120, z: 3 });
+      const local = frame.toLocal(geodetic);
+
+      expect(local.x).toBeCloseTo(250, 6);
+      expect(local.y).toBeCloseTo(-120, 6);
+      expect(local.z).toBeCloseTo(3, 6);
+    });
+
+    test('should refuse conversions before the origin is set', () => {
+      const unset = new LocalFrame();
+
+      expect(unset.hasOrigin()).toBe(false);
+      expect(() => unset.toLocal({ latitude: 18.5, longitude: 73.8 })).toThrow('no datum origin');
+      expect(() => unset.setOrigin({ latitude: 95, longitude: 0 })).toThrow();
+    });
+  });
+
+  describe('isValidPoint', () => {
+    test('should accept local and geodetic points', () => {
+      expect(isValidPoint({ x: 1, y: 2 })).toBe(true);
+      expect(isValidPoint({ latitude: 18.5, longitude: 73.8 })).toBe(true);
+      expect(isValidPoint({ latitude: 91, longitude: 73.8 })).toBe(false);
+      expect(isValidPoint({ x: '1', y: 2 })).toBe(false);
+      expect(isValidPoint(null)).toBe(false);
+    });
+  });
+});
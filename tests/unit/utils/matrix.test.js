@@ -0,0 +1,43 @@
+/**
+ * Unit tests for matrix helpers
+ */
+
+const matrix = require('../../../src/utils/matrix');
+
+describe('matrix', () => {
+  test('should multiply and transpose matrices', () => {
+    const a = [[1, 2, 3], [4, 5, 6]];
+    const b = [[7, 8], [9, 10], [11, 12]];
+
+    expect(matrix.multiply(a, b)).toEqual([[58, 64], [139, 154]]);
+    expect(matrix.transpose(a)).toEqual([[1, 4], [2, 5], [3, 6]]);
+    expect(() => matrix.multiply(a, a)).toThrow('Cannot multiply');
+  });
+
+  test('should invert a matrix that needs pivoting', () => {
+    const a = [[0, 2, 1], [1, 1, 0], [3, 0, 1]];
+    const product = matrix.multiply(a, matrix.inverse(a));
+
+    product.forEach((row, i) => {
+      row.forEach((value, j) => {
+        expect(value).toBeCloseTo(i === j ? 1 : 0, 12);
+      });
+    });
+  });
+
+  test('should refuse to invert a singular matrix', () => {
+    expect(() => matrix.inverse([[1, 2], [2, 4]])).toThrow('singular');
+  });
+
+  test('should not modify its inputs', () => {
+    const a = matrix.diagonal([1, 2]);
+    const copy = matrix.clone(a);
+
+    matrix.add(a, a);
+    matrix.scale(a, 3);
+    matrix.inverse(a);
+
+    expect(a).toEqual(copy);
+    expect(matrix.symmetrize([[1, 2], [4, 1]])).toEqual([[1, 3], [3, 1]]);
+  });
+});
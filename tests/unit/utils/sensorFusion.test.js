@@ -3,6 +3,7 @@
  */
 
 const SensorFusion = require('../../../src/utils/sensorFusion');
+const eventBus = require('../../../src/utils/eventBus');
 
 // Mock dependencies
 jest.mock('../../../src/utils/logger');
@@ -39,7 +40,8 @@ describe('SensorFusion', () => {
   
   describe('updateGPS', () => {
     test('should update position with GPS data', () => {
-      // Setup
+      // Setup - datum about 100 m south-west of the fix
+      sensorFusion.localFrame.setOrigin({ latitude: 37.7740, longitude: -122.4205, altitude: 0 });
       const now = Date.now();
       const gpsData = {
         latitude: 37.7749,
@@ -56,13 +58,47 @@ describe('SensorFusion', () => {
       
       // Verify
       expect(sensorFusion.lastSensorUpdate.gps).toBe(now);
-      expect(sensorFusion.state.position.x).not.toBe(0);
-      expect(sensorFusion.state.position.y).not.toBe(0);
-      expect(sensorFusion.state.position.z).toBe(10);
+      expect(sensorFusion.state.position.x).toBeCloseTo(96.9, 0);
+      expect(sensorFusion.state.position.y).toBeCloseTo(99.9, 0);
+      expect(sensorFusion.state.position.z).toBeCloseTo(10, 2);
       expect(sensorFusion.state.position.uncertainty).toBe(2.5);
       expect(sensorFusion.state.lastUpdate).toBe(now);
     });
     
+    test('should anchor the local frame at the first fix without a datum', () => {
+      // Execute
+      sensorFusion.updateGPS({
+        latitude: 37.7749,
+        longitude: -122.4194,
+        altitude: 10,
+        accuracy: 2.5,
+        timestamp: Date.now()
+      });
+      
+      // Verify
+      expect(sensorFusion.getDatum()).toEqual({ latitude: 37.7749, longitude: -122.4194, altitude: 10 });
+      expect(sensorFusion.state.position.x).toBeCloseTo(0, 6);
+      expect(sensorFusion.state.position.y).toBeCloseTo(0, 6);
+    });
+    
+    test('should carry the position over when the datum moves', () => {
+      // Setup
+      sensorFusion.updateGPS({
+        latitude: 37.7749,
+        longitude: -122.4194,
+        altitude: 10,
+        accuracy: 2.5,
+        timestamp: Date.now()
+      });
+      
+      // Execute - move the origin 0.001 degrees south
+      sensorFusion.setDatum({ latitude: 37.7739, longitude: -122.4194, altitude: 10 });
+      
+      // Verify - tractor is now about 111 m north of the origin
+      expect(sensorFusion.state.position.x).toBeCloseTo(0, 3);
+      expect(sensorFusion.state.position.y).toBeCloseTo(111.0, 0);
+    });
+    
     test('should skip update if GPS data is older than last update', () => {
       // Setup
       const oldTime = Date.now() - 1000;
@@ -432,4 +468,212 @@ describe('SensorFusion', () => {
       expect(sensorFusion.state.velocity.z).toBeDefined();
     });
   });
+  
+  describe('extended Kalman filter', () => {
+    const origin = { latitude: 18.5204, longitude: 73.8567, altitude: 560 };
+    
+    // GPS fix at a local position
+    const fix = (x, y, timestamp, accuracy = 0.5) => ({
+      ...sensorFusion.getLocalFrame().toGeodetic({ x, y, z: 0 }),
+      accuracy: accuracy,
+      timestamp: timestamp
+    });
+    
+    // Stationary IMU sample with the given gyro yaw rate and heading
+    const imu = (gyroZ, yaw, timestamp) => ({
+      orientation: { roll: 0, pitch: 0, yaw: yaw },
+      acceleration: { x: 0, y: 0, z: 9.81 },
+      gyroscope: { x: 0, y: 0, z: gyroZ },
+      timestamp: timestamp
+    });
+    
+    // Wheel encoders after each side has travelled the given distance
+    const odometry = (left, right, timestamp) => {
+      const ticks = distance => Math.round(distance / (2 * Math.PI * 0.25) * 1024);
+      
+      return {
+        wheels: {
+          frontLeft: { ticks: ticks(left) },
+          rearLeft: { ticks: ticks(left) },
+          frontRight: { ticks: ticks(right) },
+          rearRight: { ticks: ticks(right) }
+        },
+        wheelRadius: 0.25,
+        trackWidth: 0.9,
+        ticksPerRevolution: 1024,
+        timestamp: timestamp
+      };
+    };
+    
+    beforeEach(() => {
+      sensorFusion.setDatum(origin);
+    });
+    
+    test('should estimate velocity from successive GPS fixes', () => {
+      // Setup - driving east at 1 m/s with a fix every second
+      const start = Date.now();
+      
+      // Execute
+      for (let i = 0; i <= 20; i++) {
+        sensorFusion.updateGPS(fix(i, 0, start + i * 1000));
+      }
+      
+      // Verify
+      expect(sensorFusion.state.position.x).toBeCloseTo(20, 0);
+      expect(sensorFusion.state.velocity.x).toBeCloseTo(1, 1);
+      expect(sensorFusion.state.velocity.y).toBeCloseTo(0, 1);
+      expect(sensorFusion.state.position.uncertainty).toBeLessThan(0.5);
+    });
+    
+    test('should estimate the gyro bias from yaw corrections', () => {
+      // Setup - standing still, the gyro reads 0.02 rad/s of pure bias
+      const start = Date.now();
+      
+      // Execute - one minute at 10 Hz
+      for (let i = 0; i <= 600; i++) {
+        sensorFusion.updateIMU(imu(0.02, 0.5, start + i * 100));
+      }
+      
+      // Verify
+      expect(sensorFusion.state.gyroBias).toBeCloseTo(0.02, 2);
+      expect(sensorFusion.state.orientation.yaw).toBeCloseTo(0.5, 2);
+      expect(sensorFusion.state.angularVelocity.yaw).toBeCloseTo(0, 2);
+    });
+    
+    test('should dead-reckon from wheel odometry through a GPS dropout', () => {
+      // Setup - a fix at the origin facing east, then GPS drops out
+      const start = Date.now();
+      sensorFusion.updateGPS(fix(0, 0, start));
+      sensorFusion.updateIMU(imu(0, 0, start));
+      const uncertaintyAtFix = sensorFusion.state.position.uncertainty;
+      
+      // Execute - ten seconds straight ahead at 1 m/s
+      for (let i = 0; i <= 100; i++) {
+        sensorFusion.updateOdometry(odometry(i * 0.1, i * 0.1, start + i * 100));
+      }
+      
+      // Verify
+      expect(sensorFusion.state.position.x).toBeCloseTo(10, 0);
+      expect(sensorFusion.state.position.y).toBeCloseTo(0, 1);
+      expect(sensorFusion.state.velocity.x).toBeCloseTo(1, 1);
+      expect(sensorFusion.state.position.uncertainty).toBeGreaterThan(uncertaintyAtFix);
+      expect(sensorFusion.getMetrics().odometry.updates).toBe(100);
+    });
+    
+    test('should turn with the wheel speed difference', () => {
+      // Setup
+      const start = Date.now();
+      sensorFusion.updateIMU(imu(0, 0, start));
+      sensorFusion.updateOdometry(odometry(0, 0, start));
+      
+      // Execute - right side 0.9 m further than the left over one second
+      sensorFusion.updateOdometry(odometry(0.55, 1.45, start + 1000));
+      
+      // Verify - one radian to the left, within the encoder resolution
+      expect(sensorFusion.state.orientation.yaw).toBeCloseTo(1, 2);
+    });
+    
+    test('should expose the full covariance', () => {
+      // Execute
+      sensorFusion.updateGPS(fix(0, 0, Date.now(), 2.0));
+      const result = sensorFusion.getPositionAndOrientation();
+      
+      // Verify
+      expect(SensorFusion.STATE_ORDER).toEqual(['x', 'y', 'z', 'vx', 'vy', 'vz', 'yaw', 'gyroBias']);
+      expect(result.covariance).toHaveLength(8);
+      result.covariance.forEach((row, i) => {
+        expect(row).toHaveLength(8);
+        row.forEach((value, j) => expect(value).toBe(result.covariance[j][i]));
+      });
+      expect(result.covariance[0][0]).toBeCloseTo(4.0, 6);
+      expect(result.gyroBias).toBe(0);
+      
+      // Copies, not the filter's own matrix
+      result.covariance[0][0] = 0;
+      expect(sensorFusion.kalmanFilter.P[0][0]).toBeCloseTo(4.0, 6);
+    });
+    
+    test('should replay a late measurement into the same estimate as in order', () => {
+      // Setup - a second filter receives the same data in order
+      const inOrder = new SensorFusion();
+      inOrder.setDatum(origin);
+      const start = Date.now();
+      const gps1 = fix(0, 0, start);
+      const imu1 = imu(0.01, 0.3, start + 100);
+      const gps2 = fix(0.5, 0.2, start + 200);
+      const imu2 = imu(0.01, 0.31, start + 300);
+      
+      [gps1, imu1, gps2, imu2].forEach(data => {
+        if (data.gyroscope) {
+          inOrder.updateIMU(data);
+        } else {
+          inOrder.updateGPS(data);
+        }
+      });
+      
+      // Execute - the second fix arrives after the second IMU sample
+      sensorFusion.updateGPS(gps1);
+      sensorFusion.updateIMU(imu1);
+      sensorFusion.updateIMU(imu2);
+      sensorFusion.updateGPS(gps2);
+      
+      // Verify
+      const expected = inOrder.getPositionAndOrientation();
+      const result = sensorFusion.getPositionAndOrientation();
+      expect(result.position.x).toBeCloseTo(expected.position.x, 9);
+      expect(result.position.y).toBeCloseTo(expected.position.y, 9);
+      expect(result.velocity.x).toBeCloseTo(expected.velocity.x, 9);
+      expect(result.orientation.yaw).toBeCloseTo(expected.orientation.yaw, 9);
+      expect(result.timestamp).toBe(start + 300);
+      expect(sensorFusion.getMetrics().delayed).toBe(1);
+    });
+    
+    test('should drop measurements older than the replay window', () => {
+      // Setup
+      const start = Date.now();
+      sensorFusion.updateGPS(fix(0, 0, start));
+      sensorFusion.updateIMU(imu(0, 0, start + 1000));
+      
+      // Execute
+      sensorFusion.updateGPS(fix(5, 5, start + 200));
+      
+      // Verify
+      expect(sensorFusion.state.position.x).toBeCloseTo(0, 1);
+      expect(sensorFusion.getMetrics().dropped).toBe(1);
+    });
+    
+    test('should publish innovation metrics with each GPS fix', () => {
+      // Setup
+      const publishSpy = jest.spyOn(eventBus, 'publish');
+      const start = Date.now();
+      
+      // Execute
+      sensorFusion.updateGPS(fix(0, 0, start));
+      sensorFusion.updateGPS(fix(1, 0, start + 1000));
+      
+      // Verify
+      const [, metrics] = publishSpy.mock.calls.filter(([name]) => name === 'sensor.fusion.metrics').pop();
+      expect(metrics.gps.updates).toBe(1);
+      expect(metrics.gps.innovation[0]).toBeCloseTo(1, 6);
+      expect(metrics.gps.nis).toBeGreaterThan(0);
+      expect(metrics.diverging).toBe(false);
+      
+      publishSpy.mockRestore();
+    });
+    
+    test('should flag divergence when innovations are inconsistent', () => {
+      // Setup - fixes jumping 20 m either side while claiming 0.5 m accuracy
+      const start = Date.now();
+      
+      // Execute
+      for (let i = 0; i <= 20; i++) {
+        sensorFusion.updateGPS(fix(i % 2 ? 20 : -20, 0, start + i * 1000));
+      }
+      
+      // Verify
+      expect(sensorFusion.getMetrics().gps.averageNis).toBeGreaterThan(7.815);
+      expect(sensorFusion.getMetrics().diverging).toBe(true);
+      expect(sensorFusion.logger.warn).toHaveBeenCalledWith(expect.stringContaining('diverging'));
+    });
+  });
 });
\ No newline at end of file